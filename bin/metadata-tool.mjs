@@ -0,0 +1,191 @@
+#!/usr/bin/env node
+/**
+ * metadata-tool - Command line front end for MetadataCore
+ *
+ * Prints JSON on stdout and sets the exit code, so build scripts and CI can
+ * block images that still carry sensitive metadata:
+ *   0 - nothing sensitive was found
+ *   1 - a file has sensitive fields (anything above low risk), or a cleaned file failed verification
+ *   2 - wrong usage, or a file or one of its metadata blocks could not be read or processed
+ * A file that fails is reported with its error (and the error code, e.g. "truncated" or
+ * "ENOENT") and the other files are still processed.
+ */
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import { MetadataCore } from '../metadata-core.mjs';
+
+const USAGE = `Usage: metadata-tool <command> [options] <files...>
+
+Commands:
+  inspect <files...>        List every metadata field with its privacy risk
+  strip <files...>          Remove all metadata without re-encoding, writing
+                            <name>_cleaned.<ext>, and verify the result;
+                            files with the same name in one folder are
+                            numbered, e.g. <name>_cleaned (2).<ext>;
+                            an existing cleaned file is an error unless
+                            --force is given
+  diff <before> <after>     Compare the metadata fields of two files
+
+Options:
+  --out-dir <dir>           Where strip writes the cleaned files (default: next to each file)
+  --no-icc                  Remove the ICC colour profile as well when stripping
+  --force                   Let strip overwrite cleaned files that already exist
+  --compact                 Print JSON on a single line
+  -h, --help                Show this help
+
+Exit codes: 0 nothing sensitive, 1 sensitive metadata found, 2 error`;
+
+const EXIT = { ok: 0, sensitive: 1, error: 2 };
+
+/**
+ * Run a job for each file, recording failures instead of stopping
+ *
+ * @param {string[]} files - File paths
+ * @param {Function} job - Called with the path; resolves to the report entry
+ * @returns {Promise<Object[]>} One entry per file, { file, error, code } for the ones that failed
+ */
+async function forEachFile(files, job) {
+    const report = [];
+    for (const file of files) {
+        try {
+            report.push({ file, ...await job(file) });
+        } catch (error) {
+            report.push({ file, error: error.message, code: error.code ?? null });
+        }
+    }
+    return report;
+}
+
+/**
+ * Inspect each file
+ *
+ * @param {string[]} files - File paths
+ * @returns {Promise<{report: Object[], sensitive: boolean, failed: boolean}>} One entry per file;
+ *     failed when a file, or a metadata block in it, could not be read
+ */
+async function inspect(files) {
+    const report = await forEachFile(files, async file => MetadataCore.inspect(await readFile(file)));
+    return {
+        report,
+        sensitive: report.some(entry => entry.privacy?.sensitive),
+        failed: report.some(entry => entry.error || Object.values(entry.errors).some(Boolean))
+    };
+}
+
+/**
+ * Strip each file and verify the cleaned copy
+ *
+ * @param {string[]} files - File paths
+ * @param {Object} options - Parsed command line options
+ * @returns {Promise<{report: Object[], sensitive: boolean, failed: boolean}>} One entry per file;
+ *     sensitive when a cleaned file cannot be fully read, still has fields or fails the hidden data scan
+ */
+async function strip(files, options) {
+    // Output names written so far, by folder, so inputs with the same name do not overwrite each other
+    const written = new Map();
+
+    const report = await forEachFile(files, async file => {
+        const original = await readFile(file);
+        const { data, format, removed, orientation } =
+            await MetadataCore.strip(original, { keepIcc: options.icc });
+
+        const { name, ext } = path.parse(file);
+        const outDir = options['out-dir'] ?? path.dirname(file);
+        const folder = path.resolve(outDir);
+        if (!written.has(folder)) written.set(folder, new Set());
+        const outputName = MetadataCore.getUniqueName(`${name}_cleaned${ext}`, written.get(folder));
+        written.get(folder).add(outputName);
+
+        const output = path.join(outDir, outputName);
+        await mkdir(outDir, { recursive: true });
+        // Without --force an existing file fails with EEXIST instead of being replaced
+        await writeFile(output, data, { flag: options.force ? 'w' : 'wx' });
+
+        // A JPEG turned upright has rearranged image data, so only unrotated files are compared
+        const rotated = orientation?.applied === 'pixels';
+        const verification = await MetadataCore.verify(data, { original: rotated ? null : original });
+
+        return {
+            output,
+            format,
+            removed: removed.map(({ name, identifier }) => (identifier ? `${name} (${identifier})` : name)),
+            orientation,
+            verification
+        };
+    });
+    return {
+        report,
+        sensitive: report.some(entry => entry.verification && !entry.verification.clean),
+        failed: report.some(entry => entry.error)
+    };
+}
+
+/**
+ * Compare two files
+ *
+ * @param {string[]} files - Exactly two file paths
+ * @returns {Promise<{report: Object, sensitive: boolean, failed: boolean}>} The diff;
+ *     sensitive when the second file has sensitive fields
+ */
+async function diff([before, after]) {
+    const [beforeBytes, afterBytes] = await Promise.all([readFile(before), readFile(after)]);
+    const result = await MetadataCore.diff(beforeBytes, afterBytes);
+    const afterReport = await MetadataCore.inspect(afterBytes);
+
+    return {
+        report: { before, after, ...result, privacy: afterReport.privacy },
+        sensitive: afterReport.privacy.sensitive,
+        failed: false
+    };
+}
+
+/**
+ * Parse the command line and run a command
+ *
+ * @param {string[]} args - Arguments after the script name
+ * @returns {Promise<number>} Exit code
+ */
+async function main(args) {
+    let parsed;
+    try {
+        parsed = parseArgs({
+            args,
+            allowPositionals: true,
+            options: {
+                'out-dir': { type: 'string' },
+                'no-icc': { type: 'boolean', default: false },
+                force: { type: 'boolean', default: false },
+                compact: { type: 'boolean', default: false },
+                help: { type: 'boolean', short: 'h', default: false }
+            }
+        });
+    } catch (error) {
+        console.error(`${error.message}\n\n${USAGE}`);
+        return EXIT.error;
+    }
+
+    const { values, positionals: [command, ...files] } = parsed;
+    if (values.help) {
+        console.log(USAGE);
+        return EXIT.ok;
+    }
+
+    const commands = { inspect, strip, diff };
+    if (!commands[command] || files.length === 0 || (command === 'diff' && files.length !== 2)) {
+        console.error(USAGE);
+        return EXIT.error;
+    }
+
+    try {
+        const { report, sensitive, failed } = await commands[command](files, { ...values, icc: !values['no-icc'] });
+        console.log(JSON.stringify(report, null, values.compact ? 0 : 2));
+        if (failed) return EXIT.error;
+        return sensitive ? EXIT.sensitive : EXIT.ok;
+    } catch (error) {
+        console.error(`metadata-tool: ${error.message}`);
+        return EXIT.error;
+    }
+}
+
+process.exitCode = await main(process.argv.slice(2));
@@ -0,0 +1,6331 @@
+/**
+ * GeoData - Bundled offline geography for the location preview
+ *
+ * COUNTRIES: Natural Earth 1:110m country boundaries (public domain, via the
+ * world-atlas package), rounded to 0.1°. Entries are [iso2, name, polygons];
+ * each polygon is a list of rings and each ring a flat [lon, lat, lon, lat, ...] array.
+ * Rings that cross the antimeridian use longitudes above 180 instead of wrapping.
+ *
+ * CITIES: SimpleMaps World Cities Basic database (CC BY 4.0,
+ * https://simplemaps.com/data/world-cities): every city over 200,000 people plus
+ * the largest city of each first-level region, largest first. Entries are
+ * [name, lat, lon, iso2, region].
+ *
+ * COUNTRY_NAMES: names of the countries that are too small to appear in COUNTRIES.
+ */
+class GeoData {
+    static COUNTRIES = [
+        ["FJ","Fiji",[[[178.1,-17.5,178.4,-17.3,178.7,-17.6,178.6,-18.2,177.9,-18.3,177.4,-18.2,177.3,-17.7,177.7,-17.4,178.1,-17.5]],[[180,-16.1,180.2,-16,180.1,-16.5,180,-16.6,179.4,-16.8,178.7,-17,178.6,-16.6,179.1,-16.4,179.4,-16.4,180,-16.1,180,-16.1]]]],
+        ["TZ","Tanzania",[[[33.9,-1,34.1,-1.1,37.7,-3.1,37.8,-3.7,39.2,-4.7,38.7,-5.9,38.8,-6.5,39.4,-6.8,39.5,-7.1,39.2,-7.7,39.3,-8,39.2,-8.5,39.5,-9.1,40,-10.1,40.3,-10.3,39.5,-10.9,38.4,-11.3,37.8,-11.3,37.5,-11.6,36.8,-11.6,36.5,-11.7,35.3,-11.4,34.6,-11.5,34.3,-10.2,33.9,-9.7,33.7,-9.4,32.8,-9.2,32.2,-8.9,31.6,-8.8,31.2,-8.6,30.7,-8.3,30.2,-7.1,29.6,-6.5,29.4,-5.9,29.5,-5.4,29.3,-4.5,29.8,-4.5,30.1,-4.1,30.5,-3.6,30.8,-3.4,30.7,-3,30.5,-2.8,30.5,-2.4,30.8,-2.3,30.8,-1.7,30.4,-1.1,30.8,-1,31.9,-1,33.9,-1]]]],
+        ["EH","W. Sahara",[[[-8.7,27.7,-8.7,27.6,-8.7,27.4,-8.7,25.9,-12,25.9,-11.9,23.4,-12.9,23.3,-13.1,22.8,-12.9,21.3,-16.8,21.3,-17.1,21,-17,21.4,-14.8,21.5,-14.6,21.9,-14.2,22.3,-13.9,23.7,-12.5,24.8,-12,26,-11.7,26.1,-11.4,26.9,-10.5,27,-10.2,26.9,-9.7,26.9,-9.4,27.1,-8.8,27.1,-8.8,27.7,-8.7,27.7]]]],
+        ["CA","Canada",[[[-122.8,49,-123,49,-124.9,50,-125.6,50.4,-127.4,50.8,-128,51.7,-127.8,52.3,-129.1,52.8,-129.3,53.6,-130.5,54.3,-130.5,54.8,-130,55.3,-130,55.9,-131.7,56.6,-132.7,57.7,-133.4,58.4,-134.3,58.9,-134.9,59.3,-135.5,59.8,-136.5,59.5,-137.5,58.9,-138.3,59.6,-139,60,-140,60.3,-141,60.3,-141,66,-141,69.7,-139.1,69.5,-137.5,69,-136.5,68.9,-135.6,69.3,-134.4,69.6,-132.9,69.5,-131.4,69.9,-129.8,70.2,-129.1,69.8,-128.4,70,-128.1,70.5,-127.4,70.4,-125.8,69.5,-124.4,70.2,-124.3,69.4,-123.1,69.6,-122.7,69.9,-121.5,69.8,-119.9,69.4,-117.6,69,-116.2,68.8,-115.2,68.9,-113.9,68.4,-115.3,67.9,-113.5,67.7,-110.8,67.8,-109.9,68,-108.9,67.4,-107.8,67.9,-108.8,68.3,-108.2,68.7,-107,68.7,-106.1,68.8,-105.3,68.6,-104.3,68,-103.2,68.1,-101.5,67.6,-99.9,67.8,-98.4,67.8,-98.6,68.4,-97.7,68.6,-96.1,68.2,-96.1,67.3,-95.5,68.1,-94.7,68.1,-94.2,69.1,-95.3,69.7,-96.5,70.1,-96.4,71.2,-95.2,71.9,-93.9,71.8,-92.9,71.3,-91.5,70.2,-92.4,69.7,-90.5,69.5,-90.5,68.5,-89.2,69.3,-88,68.6,-88.3,67.9,-87.3,67.2,-86.3,67.9,-85.6,68.8,-85.5,69.9,-84.1,69.8,-82.6,69.7,-81.3,69.2,-81.2,68.7,-82,68.1,-81.3,67.6,-81.4,67.1,-83.3,66.4,-84.7,66.3,-85.8,66.6,-86.1,66.1,-87,65.2,-87.3,64.8,-88.5,64.1,-89.9,64,-90.7,63.6,-90.8,63,-91.9,62.8,-93.2,62,-94.2,60.9,-94.6,60.1,-94.7,58.9,-93.2,58.8,-92.8,57.8,-92.3,57.1,-90.9,57.3,-89,56.9,-88,56.5,-87.3,56,-86.1,55.7,-85,55.3,-83.4,55.2,-82.3,55.1,-82.4,54.3,-82.1,53.3,-81.4,52.2,-79.9,51.2,-79.1,51.5,-78.6,52.6,-79.1,54.1,-79.8,54.7,-78.2,55.1,-77.1,55.8,-76.5,56.5,-76.6,57.2,-77.3,58.1,-78.5,58.8,-77.3,59.9,-77.8,60.8,-78.1,62.3,-77.4,62.6,-75.7,62.3,-74.7,62.2,-73.8,62.4,-72.9,62.1,-71.7,61.5,-71.4,61.1,-69.6,61.1,-69.6,60.2,-69.3,59,-68.4,58.8,-67.7,58.2,-66.2,58.8,-65.2,59.9,-64.6,60.3,-63.8,59.4,-62.5,58.2,-61.4,57,-61.8,56.3,-60.5,55.8,-59.6,55.2,-58,54.9,-57.3,54.6,-56.9,53.8,-56.2,53.6,-55.8,53.3,-55.7,52.1,-56.4,51.8,-57.1,51.4,-58.8,51.1,-60,50.2,-61.7,50.1,-63.9,50.3,-65.4,50.3,-66.4,50.2,-67.2,49.5,-68.5,49.1,-70,47.7,-71.1,46.8,-70.3,47,-68.7,48.3,-66.6,49.1,-65.1,49.2,-64.2,48.7,-65.1,48.1,-64.8,47,-64.5,46.2,-63.2,45.7,-61.5,45.9,-60.5,47,-60.5,46.3,-59.8,45.9,-61,45.3,-63.3,44.7,-64.2,44.3,-65.4,43.5,-66.1,43.6,-66.2,44.5,-64.4,45.3,-66,45.3,-67.1,45.1,-67.8,45.7,-67.8,47.1,-68.2,47.4,-68.9,47.2,-69.2,47.4,-70,46.7,-70.3,45.9,-70.7,45.5,-71.1,45.3,-71.4,45.3,-71.5,45,-73.3,45,-74.9,45,-75.3,44.8,-76.4,44.1,-76.5,44,-76.8,43.6,-77.7,43.6,-78.7,43.6,-79.2,43.5,-79,43.3,-78.9,43,-78.9,42.9,-80.2,42.4,-81.3,42.2,-82.4,41.7,-82.7,41.7,-83,41.8,-83.1,42,-83.1,42.1,-82.9,42.4,-82.4,43,-82.1,43.6,-82.3,44.4,-82.6,45.3,-83.6,45.8,-83.5,46,-83.6,46.1,-83.9,46.1,-84.1,46.3,-84.1,46.5,-84.3,46.4,-84.6,46.4,-84.5,46.5,-84.8,46.6,-84.9,46.9,-85.7,47.2,-86.5,47.6,-87.4,47.9,-88.4,48.3,-89.3,48,-89.6,48,-90.8,48.3,-91.6,48.1,-92.6,48.5,-93.6,48.6,-94.3,48.7,-94.6,48.8,-94.8,49.4,-95.2,49.4,-95.2,49,-97.2,49,-100.7,49,-104.1,49,-107,49,-110.1,49,-113,49,-116,49,-117,49,-120,49,-122.8,49]],[[-84,62.5,-83.2,62.9,-81.9,62.9,-81.9,62.7,-83.1,62.2,-83.8,62.2,-84,62.5]],[[-79.8,72.8,-80.9,73.3,-80.8,73.7,-80.4,73.8,-78.1,73.7,-76.3,73.1,-76.3,72.8,-77.3,72.9,-78.4,72.9,-79.5,72.7,-79.8,72.8]],[[-80.3,62.1,-79.9,62.4,-79.5,62.4,-79.3,62.2,-79.7,61.6,-80.1,61.7,-80.4,62,-80.3,62.1]],[[-93.6,75,-94.2,74.6,-95.6,74.7,-96.8,74.9,-96.3,75.4,-94.9,75.6,-94,75.3,-93.6,75]],[[-93.8,77.5,-94.3,77.5,-96.2,77.6,-96.4,77.8,-94.4,77.8,-93.7,77.6,-93.8,77.5]],[[-96.8,78.8,-95.6,78.4,-95.8,78.1,-97.3,77.8,-98.1,78.1,-98.6,78.5,-98.6,78.9,-97.3,78.8,-96.8,78.8]],[[-88.1,74.4,-89.8,74.5,-92.4,74.8,-92.8,75.4,-92.9,75.9,-93.9,76.3,-96,76.4,-97.1,76.8,-96.7,77.2,-94.7,77.1,-93.6,76.8,-91.6,76.8,-90.7,76.5,-91,76.1,-89.8,75.8,-89.2,75.6,-87.8,75.6,-86.4,75.5,-84.8,75.7,-82.8,75.8,-81.1,75.7,-80.1,75.3,-79.8,74.9,-80.5,74.7,-81.9,74.4,-83.2,74.6,-86.1,74.4,-88.1,74.4]],[[-111.3,78.2,-109.9,78,-110.2,77.7,-112.1,77.4,-113.5,77.7,-112.7,78.1,-111.3,78.2]],[[-111,78.8,-109.7,78.6,-110.9,78.4,-112.5,78.4,-112.5,78.6,-111.5,78.9,-111,78.8]],[[-55.6,51.3,-56.1,50.7,-56.8,49.8,-56.1,50.1,-55.5,49.9,-55.8,49.6,-54.9,49.3,-54.5,49.6,-53.5,49.2,-53.8,48.5,-53.1,48.7,-53,48.2,-52.6,47.5,-53.1,46.7,-53.5,46.6,-54.2,46.8,-54,47.6,-54.2,47.8,-55.4,46.9,-56,46.9,-55.3,47.4,-56.3,47.6,-57.3,47.6,-59.3,47.6,-59.4,47.9,-58.8,48.3,-59.2,48.5,-58.4,49.1,-57.4,50.7,-56.7,51.3,-55.9,51.6,-55.4,51.6,-55.6,51.3]],[[-83.9,65.1,-82.8,64.8,-81.6,64.5,-81.6,64,-80.8,64.1,-80.1,63.7,-81,63.4,-82.5,63.7,-83.1,64.1,-84.1,63.6,-85.5,63.1,-85.9,63.6,-87.2,63.5,-86.4,64,-86.2,64.8,-85.9,65.7,-85.2,65.7,-85,65.2,-84.5,65.4,-83.9,65.1]],[[-78.8,72.4,-77.8,72.8,-75.6,72.2,-74.2,71.8,-74.1,71.3,-72.2,71.6,-71.2,70.9,-68.8,70.5,-67.9,70.1,-67,69.2,-68.8,68.7,-66.5,68.1,-64.9,67.8,-63.4,66.9,-61.9,66.9,-62.2,66.2,-63.9,65,-65.1,65.4,-66.7,66.4,-68,66.3,-68.1,65.7,-67.1,65.1,-65.7,64.6,-65.3,64.4,-64.7,63.4,-65,62.7,-66.3,62.9,-68.8,63.7,-67.4,62.9,-66.3,62.3,-66.2,61.9,-68.9,62.3,-71,62.9,-72.2,63.4,-71.9,63.7,-73.4,64.2,-74.8,64.7,-74.8,64.4,-77.7,64.2,-78.6,64.6,-77.9,65.3,-76,65.3,-74,65.5,-74.3,65.8,-73.9,66.3,-72.7,67.3,-72.9,67.7,-73.3,68.1,-74.8,68.6,-76.9,68.9,-76.2,69.1,-77.3,69.8,-78.2,69.8,-79,70.2,-79.5,69.9,-81.3,69.7,-84.9,70,-87.1,70.3,-88.7,70.4,-89.5,70.8,-88.5,71.2,-89.9,71.2,-90.2,72.2,-89.4,73.1,-88.4,73.5,-85.8,73.8,-86.6,73.2,-85.8,72.5,-84.9,73.3,-82.3,73.8,-80.6,72.7,-80.8,72.1,-78.8,72.4]],[[-94.5,74.1,-92.4,74.1,-90.5,73.9,-92,73,-93.2,72.8,-94.3,72,-95.4,72.1,-96,72.9,-96,73.4,-95.5,73.9,-94.5,74.1]],[[-122.9,76.1,-121.2,76.9,-119.1,77.5,-117.6,77.5,-116.2,77.6,-116.3,76.9,-117.1,76.5,-118,76.5,-119.9,76.1,-121.5,75.9,-122.9,76.1]],[[-132.7,54,-131.7,54.1,-132.1,53,-131.2,52.2,-131.6,52.2,-132.2,52.6,-132.6,53.1,-133.1,53.4,-133.2,53.9,-133.2,54.2,-132.7,54]],[[-105.5,79.3,-103.5,79.2,-100.8,78.8,-100.1,78.3,-99.7,77.9,-101.3,78,-102.9,78.3,-105.2,78.4,-104.2,78.7,-105.4,78.9,-105.5,79.3]],[[-123.5,48.5,-124,48.4,-125.7,48.8,-126,49.2,-126.8,49.5,-127,49.8,-128.1,50,-128.4,50.5,-128.4,50.8,-127.3,50.6,-126.7,50.4,-125.8,50.3,-125.4,49.9,-124.9,49.5,-123.9,49.1,-123.5,48.5]],[[-121.5,74.4,-120.1,74.2,-117.6,74.2,-116.6,73.9,-115.5,73.5,-116.8,73.2,-119.2,72.5,-120.5,71.8,-120.5,71.4,-123.1,70.9,-123.6,71.3,-125.9,71.9,-125.5,72.3,-124.8,73,-123.9,73.7,-124.9,74.3,-121.5,74.4]],[[-107.8,75.8,-106.9,76,-105.9,76,-105.7,75.5,-106.3,75,-109.7,74.9,-112.2,74.4,-113.7,74.4,-113.9,74.7,-111.8,75.2,-116.3,75,-117.7,75.2,-116.3,76.2,-115.4,76.5,-112.6,76.1,-110.8,75.5,-109.1,75.5,-110.5,76.4,-109.6,76.8,-108.6,76.7,-108.2,76.2,-107.8,75.8]],[[-106.5,73.1,-105.4,72.7,-104.8,71.7,-104.5,71,-102.8,70.5,-101,70,-101.1,69.6,-102.7,69.5,-102.1,69.1,-102.4,68.8,-104.2,68.9,-106,69.2,-107.1,69.1,-109,68.8,-111.5,68.6,-113.3,68.5,-113.9,69,-115.2,69.3,-116.1,69.2,-117.3,70,-116.7,70.1,-115.1,70.2,-113.7,70.2,-112.4,70.4,-114.3,70.6,-116.5,70.5,-117.9,70.5,-118.4,70.9,-116.1,71.3,-117.7,71.3,-119.4,71.6,-118.6,72.3,-117.9,72.7,-115.2,73.3,-114.2,73.1,-114.7,72.7,-112.4,73,-111.1,72.5,-109.9,73,-109,72.6,-108.2,71.7,-107.7,72.1,-108.4,73.1,-107.5,73.2,-106.5,73.1]],[[-100.4,72.7,-101.5,73.4,-100.4,73.8,-99.2,73.6,-97.4,73.8,-97.1,73.5,-98.1,73,-96.5,72.6,-96.7,71.7,-98.4,71.3,-99.3,71.4,-100,71.7,-102.5,72.5,-102.5,72.8,-100.4,72.7]],[[-106.6,73.6,-105.3,73.6,-104.5,73.4,-105.4,72.8,-106.9,73.5,-106.6,73.6]],[[-98.5,76.7,-97.7,76.3,-97.7,75.7,-98.2,75,-99.8,74.9,-100.9,75.1,-100.9,75.6,-102.5,75.6,-102.6,76.3,-101.5,76.3,-100,76.6,-98.6,76.6,-98.5,76.7]],[[-96,80.6,-95.3,80.9,-94.3,81,-94.7,81.2,-92.4,81.3,-91.1,80.7,-89.4,80.5,-87.8,80.3,-87,79.7,-85.8,79.3,-87.2,79,-89,78.3,-90.8,78.2,-92.9,78.3,-94,78.8,-93.9,79.1,-93.1,79.4,-95,79.4,-96.1,79.7,-96.7,80.2,-96,80.6]],[[-91.6,81.9,-90.1,82.1,-88.9,82.1,-87,82.3,-85.5,82.7,-84.3,82.6,-83.2,82.3,-82.4,82.9,-81.1,83,-79.3,83.1,-76.3,83.2,-75.7,83.1,-72.8,83.2,-70.7,83.2,-68.5,83.1,-65.8,83,-63.7,82.9,-61.9,82.6,-61.9,82.4,-64.3,81.9,-66.8,81.7,-67.7,81.5,-65.5,81.5,-67.8,80.9,-69.5,80.6,-71.2,79.8,-73.2,79.6,-73.9,79.4,-76.9,79.3,-75.5,79.2,-76.2,79,-75.4,78.5,-76.3,78.2,-77.9,77.9,-78.4,77.5,-79.8,77.2,-79.6,77,-77.9,77,-77.9,76.8,-80.6,76.2,-83.2,76.5,-86.1,76.3,-87.6,76.4,-89.5,76.5,-89.6,77,-87.8,77.2,-88.3,77.9,-87.6,78,-85,77.5,-86.3,78.2,-88,78.4,-87.2,78.8,-85.4,79,-85.1,79.3,-86.5,79.7,-86.9,80.3,-84.2,80.2,-83.4,80.1,-81.8,80.5,-84.1,80.6,-87.6,80.5,-89.4,80.9,-90.2,81.3,-91.4,81.6,-91.6,81.9]],[[-75.2,67.4,-75.9,67.1,-77,67.1,-77.2,67.6,-76.8,68.1,-75.9,68.3,-75.1,68,-75.1,67.6,-75.2,67.4]],[[-96.3,69.5,-95.6,69.1,-96.3,68.8,-97.6,69.1,-98.4,69,-99.8,69.4,-98.9,69.7,-98.2,70.1,-97.2,69.9,-96.6,69.7,-96.3,69.5]],[[-64.5,49.9,-64.2,50,-62.9,49.7,-61.8,49.3,-61.8,49.1,-62.3,49.1,-63.6,49.4,-64.5,49.9]],[[-64,47,-63.7,46.5,-62.9,46.4,-62,46.4,-62.5,46,-62.9,46,-64.1,46.4,-64.4,46.7,-64,47]]]],
+        ["US","United States",[[[-122.8,49,-120,49,-117,49,-116,49,-113,49,-110.1,49,-107,49,-104.1,49,-100.7,49,-97.2,49,-95.2,49,-95.2,49.4,-94.8,49.4,-94.6,48.8,-94.3,48.7,-93.6,48.6,-92.6,48.5,-91.6,48.1,-90.8,48.3,-89.6,48,-89.3,48,-88.4,48.3,-87.4,47.9,-86.5,47.6,-85.7,47.2,-84.9,46.9,-84.8,46.6,-84.5,46.5,-84.6,46.4,-84.3,46.4,-84.1,46.5,-84.1,46.3,-83.9,46.1,-83.6,46.1,-83.5,46,-83.6,45.8,-82.6,45.3,-82.3,44.4,-82.1,43.6,-82.4,43,-82.9,42.4,-83.1,42.1,-83.1,42,-83,41.8,-82.7,41.7,-82.4,41.7,-81.3,42.2,-80.2,42.4,-78.9,42.9,-78.9,43,-79,43.3,-79.2,43.5,-78.7,43.6,-77.7,43.6,-76.8,43.6,-76.5,44,-76.4,44.1,-75.3,44.8,-74.9,45,-73.3,45,-71.5,45,-71.4,45.3,-71.1,45.3,-70.7,45.5,-70.3,45.9,-70,46.7,-69.2,47.4,-68.9,47.2,-68.2,47.4,-67.8,47.1,-67.8,45.7,-67.1,45.1,-67,44.8,-68,44.3,-69.1,44,-70.1,43.7,-70.6,43.1,-70.8,42.9,-70.8,42.3,-70.5,41.8,-70.1,41.8,-70.2,42.1,-69.9,41.9,-70,41.6,-70.6,41.5,-71.1,41.5,-71.9,41.3,-72.3,41.3,-72.9,41.2,-73.7,40.9,-72.2,41.1,-71.9,40.9,-73.3,40.6,-74,40.6,-74,40.8,-74.3,40.5,-74,40.4,-74.2,39.7,-74.9,38.9,-75,39.2,-75.2,39.2,-75.5,39.5,-75.3,39,-75.1,38.8,-75.1,38.4,-75.4,38,-75.9,37.2,-76,37.3,-75.7,37.9,-76.2,38.3,-76.4,39.1,-76.5,38.7,-76.3,38.1,-77,38.2,-76.3,37.9,-76.3,37,-76,36.9,-75.9,36.6,-75.7,35.6,-76.4,34.8,-77.4,34.5,-78.1,33.9,-78.6,33.9,-79.1,33.5,-79.2,33.2,-80.3,32.5,-80.9,32,-81.3,31.4,-81.5,30.7,-81.3,30,-81,29.2,-80.5,28.5,-80.5,28,-80.1,26.9,-80.1,26.2,-80.1,25.8,-80.4,25.2,-80.7,25.1,-81.2,25.2,-81.3,25.6,-81.7,25.9,-82.2,26.7,-82.7,27.5,-82.9,27.9,-82.7,28.6,-82.9,29.1,-83.7,29.9,-84.1,30.1,-85.1,29.6,-85.3,29.7,-85.8,30.2,-86.4,30.4,-87.5,30.3,-88.4,30.4,-89.2,30.3,-89.6,30.2,-89.4,29.9,-89.4,29.5,-89.2,29.3,-89.4,29.2,-89.8,29.3,-90.2,29.1,-90.9,29.1,-91.6,29.7,-92.5,29.6,-93.2,29.8,-93.8,29.7,-94.7,29.5,-95.6,28.7,-96.6,28.3,-97.1,27.8,-97.4,27.4,-97.4,26.7,-97.3,26.2,-97.1,25.9,-97.5,25.8,-98.2,26.1,-99,26.4,-99.3,26.8,-99.5,27.5,-100.1,28.1,-100.5,28.7,-101,29.4,-101.7,29.8,-102.5,29.8,-103.1,29,-103.9,29.3,-104.5,29.6,-104.7,30.1,-105,30.6,-105.6,31.1,-106.1,31.4,-106.5,31.8,-108.2,31.8,-108.2,31.3,-109,31.3,-111,31.3,-113.3,32,-114.8,32.5,-114.7,32.7,-116,32.6,-117.1,32.5,-117.3,33,-117.9,33.6,-118.4,33.7,-118.5,34,-119.1,34.1,-119.4,34.3,-120.4,34.4,-120.6,34.6,-120.7,35.2,-121.7,36.2,-122.5,37.6,-122.5,37.8,-123,38.1,-123.7,39,-123.9,39.8,-124.4,40.3,-124.2,41.1,-124.2,42,-124.5,42.8,-124.1,43.7,-124,44.6,-123.9,45.5,-124.1,46.9,-124.4,47.7,-124.7,48.2,-124.6,48.4,-123.1,48,-122.6,47.1,-122.3,47.4,-122.5,48.2,-122.8,49]],[[-155.4,20.1,-155.2,20,-155.1,19.9,-154.8,19.5,-155.2,19.2,-155.5,19.1,-155.7,18.9,-155.9,19.1,-155.9,19.3,-156.1,19.7,-156,19.8,-155.9,20,-155.9,20.2,-155.9,20.3,-155.8,20.2,-155.4,20.1]],[[-156,20.8,-156.1,20.6,-156.4,20.6,-156.6,20.8,-156.7,20.9,-156.6,21,-156.3,20.9,-156,20.8]],[[-156.8,21.2,-156.8,21.1,-157.3,21.1,-157.3,21.2,-156.8,21.2]],[[-158,21.7,-157.9,21.7,-157.7,21.3,-157.8,21.3,-158.1,21.3,-158.3,21.5,-158.3,21.6,-158,21.7]],[[-159.4,22.2,-159.3,22,-159.5,21.9,-159.8,22.1,-159.7,22.1,-159.6,22.2,-159.4,22.2]],[[-166.5,60.4,-165.7,60.3,-165.6,59.9,-166.2,59.8,-166.8,59.9,-167.5,60.2,-166.5,60.4]],[[-153.2,58,-152.6,57.9,-152.1,57.6,-153,57.1,-154,56.7,-154.5,57,-154.7,57.5,-153.8,57.8,-153.2,58]],[[-141,69.7,-141,66,-141,60.3,-140,60.3,-139,60,-138.3,59.6,-137.5,58.9,-136.5,59.5,-135.5,59.8,-134.9,59.3,-134.3,58.9,-133.4,58.4,-132.7,57.7,-131.7,56.6,-130,55.9,-130,55.3,-130.5,54.8,-131.1,55.2,-132,55.5,-132.2,56.4,-133.5,57.2,-134.1,58.1,-135,58.2,-136.6,58.2,-137.8,58.5,-139.9,59.5,-140.8,59.7,-142.6,60.1,-144,60,-145.9,60.5,-147.1,60.9,-148.2,60.7,-148,60,-148.6,59.9,-149.7,59.7,-150.6,59.4,-151.7,59.2,-151.9,59.7,-151.4,60.7,-150.3,61,-150.6,61.3,-151.9,60.7,-152.6,60.1,-154,59.4,-153.3,58.9,-154.2,58.1,-155.3,57.7,-156.3,57.4,-156.6,57,-158.1,56.5,-158.4,56,-159.6,55.6,-160.3,55.6,-161.2,55.4,-162.2,55,-163.1,54.7,-164.8,54.4,-164.9,54.6,-163.8,55,-162.9,55.3,-161.8,55.9,-160.6,56,-160.1,56.4,-158.7,57,-158.5,57.2,-157.7,57.6,-157.6,58.3,-157,58.9,-158.2,58.6,-158.5,58.8,-159.1,58.4,-159.7,58.9,-160,58.6,-160.4,59.1,-161.4,58.7,-162,58.7,-162.1,59.3,-161.9,59.6,-162.5,60,-163.8,59.8,-164.7,60.3,-165.3,60.5,-165.4,61.1,-166.1,61.5,-165.7,62.1,-164.9,62.6,-164.6,63.1,-163.8,63.2,-163.1,63.1,-162.3,63.5,-161.5,63.5,-160.8,63.8,-161,64.2,-161.5,64.4,-160.8,64.8,-161.4,64.8,-162.5,64.6,-162.8,64.3,-163.5,64.6,-165,64.4,-166.4,64.7,-166.8,65.1,-168.1,65.7,-166.7,66.1,-164.5,66.6,-163.7,66.6,-163.8,66.1,-161.7,66.1,-162.5,66.7,-163.7,67.1,-164.4,67.6,-165.4,68,-166.8,68.4,-166.2,68.9,-164.4,68.9,-163.2,69.4,-162.9,69.9,-161.9,70.3,-160.9,70.4,-159,70.9,-158.1,70.8,-156.6,71.4,-155.1,71.1,-154.3,70.7,-153.9,70.9,-152.2,70.8,-152.3,70.6,-150.7,70.4,-149.7,70.5,-147.6,70.2,-145.7,70.1,-144.9,70,-143.6,70.2,-142.1,69.9,-141,69.7]],[[-171.7,63.8,-171.1,63.6,-170.5,63.7,-169.7,63.4,-168.7,63.3,-168.8,63.2,-169.5,63,-170.3,63.2,-170.7,63.4,-171.6,63.3,-171.8,63.4,-171.7,63.8]]]],
+        ["KZ","Kazakhstan",[[[87.4,49.2,86.6,48.5,85.8,48.5,85.7,47.5,85.2,47,83.2,47.3,82.5,45.5,81.9,45.3,80,44.9,80.9,43.2,80.2,42.9,80.3,42.4,79.6,42.5,79.1,42.9,77.7,43,76,43,75.6,42.9,74.2,43.3,73.6,43.1,73.5,42.5,71.8,42.8,71.2,42.7,71,42.3,70.4,42.1,69.1,41.4,68.6,40.7,68.3,40.7,68,41.1,66.7,41.2,66.5,42,66,42,66.1,43,64.9,43.7,63.2,43.6,62,43.5,61.1,44.4,60.2,44.8,58.7,45.5,58.5,45.6,55.9,45,56,41.3,55.5,41.3,54.8,42,54.1,42.3,52.9,42.1,52.5,41.8,52.4,42,52.7,42.4,52.5,42.8,51.3,43.1,50.9,44,50.3,44.3,50.3,44.6,51.3,44.5,51.3,45.2,52.2,45.4,53,45.3,53.2,46.2,53,46.9,52,46.8,51.2,47,50,46.6,49.1,46.4,48.6,46.6,48.7,47.1,48.1,47.7,47.3,47.7,46.5,48.4,47,49.2,46.8,49.4,47.6,50.5,48.6,49.9,48.7,50.6,50.8,51.7,52.3,51.7,54.5,51,55.7,50.6,56.8,51,58.4,51.1,59.6,50.5,59.9,50.8,61.3,50.8,61.6,51.3,60,52,60.9,52.4,60.7,52.7,61.7,53,61,53.7,61.4,54,65.2,54.4,65.7,54.6,68.2,55,69.1,55.4,70.9,55.2,71.2,54.1,72.2,54.4,73.5,54,73.4,53.5,74.4,53.5,76.9,54.5,76.5,54.2,77.8,53.4,80,50.9,80.6,51.4,81.9,50.8,83.4,51.1,83.9,50.9,84.4,50.3,85.1,50.1,85.5,49.7,86.8,49.8,87.4,49.2]]]],
+        ["UZ","Uzbekistan",[[[56,41.3,55.9,45,58.5,45.6,58.7,45.5,60.2,44.8,61.1,44.4,62,43.5,63.2,43.6,64.9,43.7,66.1,43,66,42,66.5,42,66.7,41.2,68,41.1,68.3,40.7,68.6,40.7,69.1,41.4,70.4,42.1,71,42.3,71.3,42.2,70.4,41.5,71.2,41.1,71.9,41.4,73.1,40.9,71.8,40.1,71,40.2,70.6,40.2,70.5,40.5,70.7,41,69.3,40.7,69,40.1,68.5,39.5,67.7,39.6,67.4,39.1,68.2,38.9,68.4,38.2,67.8,37.1,67.1,37.4,66.5,37.4,66.5,38,65.2,38.4,64.2,38.9,63.5,39.4,62.4,40.1,61.9,41.1,61.5,41.3,60.5,41.2,60.1,41.4,60,42.2,58.6,42.8,57.8,42.2,56.9,41.8,57.1,41.3,56,41.3]]]],
+        ["PG","Papua New Guinea",[[[141,-2.6,142.7,-3.3,144.6,-3.9,145.3,-4.4,145.8,-4.9,146,-5.5,147.6,-6.1,147.9,-6.6,147,-6.7,147.2,-7.4,148.1,-8,148.7,-9.1,149.3,-9.1,149.3,-9.5,150,-9.7,149.7,-9.9,150.8,-10.3,150.7,-10.6,150,-10.7,149.8,-10.4,148.9,-10.3,147.9,-10.1,147.1,-9.5,146.6,-8.9,146,-8.1,144.7,-7.6,143.9,-7.9,143.3,-8.2,143.4,-9,142.6,-9.3,142.1,-9.2,141,-9.1,141,-5.9,141,-2.6]],[[152.6,-3.7,153,-4,153.1,-4.5,152.8,-4.8,152.6,-4.2,152.4,-3.8,152,-3.5,151.4,-3,150.7,-2.7,150.9,-2.5,151.5,-2.8,151.8,-3,152.2,-3.2,152.6,-3.7]],[[151.3,-5.8,150.8,-6.1,150.2,-6.3,149.7,-6.3,148.9,-6,148.3,-5.7,148.4,-5.4,149.3,-5.6,149.8,-5.5,150,-5,150.1,-5,150.2,-5.5,150.8,-5.5,151.1,-5.1,151.6,-4.8,151.5,-4.2,152.1,-4.1,152.3,-4.3,152.3,-4.9,152,-5.5,151.5,-5.6,151.3,-5.8]],[[154.8,-5.3,155.1,-5.6,155.5,-6.2,156,-6.5,155.9,-6.8,155.6,-6.9,155.2,-6.5,154.7,-5.9,154.5,-5.1,154.7,-5,154.8,-5.3]]]],
+        ["ID","Indonesia",[[[141,-2.6,141,-5.9,141,-9.1,140.1,-8.3,139.1,-8.1,138.9,-8.4,137.6,-8.4,138,-7.6,138.7,-7.3,138.4,-6.2,137.9,-5.4,136,-4.5,135.2,-4.5,133.7,-3.5,133.4,-4,133,-4.1,132.8,-3.7,132.8,-3.3,132,-2.8,133.1,-2.5,133.8,-2.5,133.7,-2.2,132.2,-2.2,131.8,-1.6,130.9,-1.4,130.5,-0.9,131.9,-0.7,132.4,-0.4,134,-0.8,134.1,-1.2,134.4,-2.8,135.5,-3.4,136.3,-2.3,137.4,-1.7,138.3,-1.7,139.2,-2.1,139.9,-2.4,141,-2.6]],[[125,-8.9,125.1,-9.1,125.1,-9.4,124.4,-10.1,123.6,-10.4,123.5,-10.2,123.6,-9.9,124,-9.3,125,-8.9]],[[134.2,-6.9,134.1,-6.1,134.3,-5.8,134.5,-5.4,134.7,-5.7,134.7,-6.2,134.2,-6.9]],[[117.9,4.1,117.3,3.2,118,2.3,117.9,1.8,119,0.9,117.8,0.8,117.5,0.1,117.5,-0.8,116.6,-1.5,116.5,-2.5,116.1,-4,116,-3.7,114.9,-4.1,114.5,-3.5,113.8,-3.4,113.3,-3.1,112.1,-3.5,111.7,-3,111,-3,110.2,-2.9,110.1,-1.6,109.6,-1.3,109.1,-0.5,109,0.4,109.1,1.3,109.7,2,109.8,1.3,110.5,0.8,111.2,1,111.8,0.9,112.4,1.4,112.9,1.5,113.8,1.2,114.6,1.4,115.1,2.8,115.5,3.2,115.9,4.3,117,4.3,117.9,4.1]],[[129.4,-2.8,130.5,-3.1,130.8,-3.9,130,-3.4,129.2,-3.4,128.6,-3.4,127.9,-3.4,128.1,-2.8,129.4,-2.8]],[[126.9,-3.8,126.2,-3.6,126,-3.2,127,-3.1,127.2,-3.5,126.9,-3.8]],[[127.9,2.2,128,1.6,128.6,1.5,128.7,1.1,128.6,0.3,128.1,0.4,128,-0.3,128.4,-0.8,128.1,-0.9,127.7,-0.3,127.4,1,127.6,1.8,127.9,2.2]],[[122.9,0.9,124.1,0.9,125.1,1.6,125.2,1.4,124.4,0.4,123.7,0.2,122.7,0.4,121.1,0.4,120.2,0.2,120,-0.5,120.9,-1.4,121.5,-1,123.3,-0.6,123.3,-1.1,122.8,-0.9,122.4,-1.5,121.5,-1.9,122.5,-3.2,122.3,-3.5,123.2,-4.7,123.2,-5.3,122.6,-5.6,122.2,-5.3,122.7,-4.5,121.7,-4.9,121.5,-4.6,121.6,-4.2,120.9,-3.6,121,-2.6,120.3,-2.9,120.4,-4.1,120.4,-5.5,119.8,-5.7,119.4,-5.4,119.7,-4.5,119.5,-3.5,119.1,-3.5,118.8,-2.8,119.2,-2.1,119.3,-1.4,119.8,0.2,120,0.6,120.9,1.3,121.7,1,122.9,0.9]],[[120.3,-10.3,119,-9.6,119.9,-9.4,120.4,-9.7,120.8,-10,120.7,-10.2,120.3,-10.3]],[[121.3,-8.5,122,-8.5,122.9,-8.1,122.8,-8.7,121.3,-8.9,119.9,-8.8,119.9,-8.4,120.7,-8.2,121.3,-8.5]],[[118.3,-8.4,118.9,-8.3,119.1,-8.7,118,-8.9,117.3,-9,116.7,-9,117.1,-8.5,117.6,-8.4,117.9,-8.1,118.3,-8.4]],[[108.5,-6.4,108.6,-6.8,110.5,-6.9,110.8,-6.5,112.6,-6.9,113,-7.6,114.5,-7.8,115.7,-8.4,114.6,-8.8,113.5,-8.3,112.6,-8.4,111.5,-8.3,110.6,-8.1,109.4,-7.7,108.7,-7.6,108.3,-7.8,106.5,-7.4,106.3,-6.9,105.4,-6.9,106.1,-5.9,107.3,-6,108.1,-6.3,108.5,-6.4]],[[104.4,-1.1,104.5,-1.8,104.9,-2.3,105.6,-2.4,106.1,-3.1,105.9,-4.3,105.8,-5.9,104.7,-5.9,103.9,-5,102.6,-4.2,102.2,-3.6,101.4,-2.8,100.9,-2.1,100.1,-0.7,99.3,0.2,99,1,98.6,1.8,97.7,2.5,97.2,3.3,96.4,3.9,95.4,5,95.3,5.5,95.9,5.4,97.5,5.2,98.4,4.3,99.1,3.6,99.7,3.2,100.6,2.1,101.7,2.1,102.5,1.4,103.1,0.6,103.8,0.1,103.4,-0.7,104,-1.1,104.4,-1.1]]]],
+        ["AR","Argentina",[[[-68.6,-52.6,-68.3,-53.1,-67.8,-53.8,-66.5,-54.5,-65.1,-54.7,-65.5,-55.2,-66.5,-55.2,-67,-54.9,-67.6,-54.9,-68.6,-54.9,-68.6,-52.6]],[[-57.6,-30.2,-57.9,-31,-58.1,-32,-58.1,-33,-58.4,-33.3,-58.4,-33.9,-58.5,-34.4,-57.2,-35.3,-57.4,-36,-56.7,-36.4,-56.8,-36.9,-57.7,-38.2,-59.2,-38.7,-61.2,-38.9,-62.3,-38.8,-62.1,-39.4,-62.3,-40.2,-62.1,-40.7,-62.7,-41,-63.8,-41.2,-64.7,-40.8,-65.1,-41.1,-65,-42.1,-64.3,-42.4,-63.8,-42,-63.5,-42.6,-64.4,-42.9,-65.2,-43.5,-65.3,-44.5,-65.6,-45,-66.5,-45,-67.3,-45.6,-67.6,-46.3,-66.6,-47,-65.6,-47.2,-66,-48.1,-67.2,-48.7,-67.8,-49.9,-68.7,-50.3,-69.1,-50.7,-68.8,-51.8,-68.2,-52.4,-68.6,-52.3,-69.5,-52.1,-71.9,-52,-72.3,-51.4,-72.3,-50.7,-73,-50.7,-73.3,-50.4,-73.4,-49.3,-72.6,-48.9,-72.3,-48.2,-72.4,-47.7,-71.9,-46.9,-71.6,-45.6,-71.7,-45,-71.2,-44.8,-71.3,-44.4,-71.8,-44.2,-71.5,-43.8,-71.9,-43.4,-72.2,-42.3,-71.7,-42.1,-71.9,-40.8,-71.7,-39.8,-71.4,-38.9,-70.8,-38.6,-71.1,-37.6,-71.1,-36.7,-70.4,-36,-70.4,-35.2,-69.8,-34.2,-69.8,-33.3,-70.1,-33.1,-70.5,-31.4,-69.9,-30.3,-70,-29.4,-69.7,-28.5,-69,-27.5,-68.3,-26.9,-68.6,-26.5,-68.4,-26.2,-68.4,-24.5,-67.3,-24,-67,-23,-67.1,-22.7,-66.3,-21.8,-65,-22.1,-64.4,-22.8,-64,-22,-62.8,-22,-62.7,-22.2,-60.8,-23.9,-60,-24,-58.8,-24.8,-57.8,-25.2,-57.6,-25.6,-58.6,-27.1,-57.6,-27.4,-56.5,-27.5,-55.7,-27.4,-54.8,-26.6,-54.6,-25.7,-54.1,-25.5,-53.6,-26.1,-53.6,-26.9,-54.5,-27.5,-55.2,-27.9,-56.3,-28.9,-57.6,-30.2]]]],
+        ["CL","Chile",[[[-68.6,-52.6,-68.6,-54.9,-67.6,-54.9,-67,-54.9,-67.3,-55.3,-68.1,-55.6,-68.6,-55.6,-69.2,-55.5,-70,-55.2,-71,-55.1,-72.3,-54.5,-73.3,-54,-74.7,-52.8,-73.8,-53,-72.4,-53.7,-71.1,-54.1,-70.6,-53.6,-70.3,-52.9,-69.3,-52.5,-68.6,-52.6]],[[-69.6,-17.6,-69.1,-18.3,-69,-19,-68.4,-19.4,-68.8,-20.4,-68.2,-21.5,-67.8,-22.9,-67.1,-22.7,-67,-23,-67.3,-24,-68.4,-24.5,-68.4,-26.2,-68.6,-26.5,-68.3,-26.9,-69,-27.5,-69.7,-28.5,-70,-29.4,-69.9,-30.3,-70.5,-31.4,-70.1,-33.1,-69.8,-33.3,-69.8,-34.2,-70.4,-35.2,-70.4,-36,-71.1,-36.7,-71.1,-37.6,-70.8,-38.6,-71.4,-38.9,-71.7,-39.8,-71.9,-40.8,-71.7,-42.1,-72.2,-42.3,-71.9,-43.4,-71.5,-43.8,-71.8,-44.2,-71.3,-44.4,-71.2,-44.8,-71.7,-45,-71.6,-45.6,-71.9,-46.9,-72.4,-47.7,-72.3,-48.2,-72.6,-48.9,-73.4,-49.3,-73.3,-50.4,-73,-50.7,-72.3,-50.7,-72.3,-51.4,-71.9,-52,-69.5,-52.1,-68.6,-52.3,-69.5,-52.3,-69.9,-52.5,-70.8,-52.9,-71,-53.8,-71.4,-53.9,-72.6,-53.5,-73.7,-52.8,-74.9,-52.3,-75.3,-51.6,-75,-51,-75.5,-50.4,-75.6,-48.7,-75.2,-47.7,-74.1,-46.9,-75.6,-46.6,-74.7,-45.8,-74.4,-44.1,-73.2,-44.5,-72.7,-42.4,-73.4,-42.1,-73.7,-43.4,-74.3,-43.2,-74,-41.8,-73.7,-39.9,-73.2,-39.3,-73.5,-38.3,-73.6,-37.2,-73.2,-37.1,-72.6,-35.5,-71.9,-33.9,-71.4,-32.4,-71.7,-30.9,-71.4,-30.1,-71.5,-28.9,-70.9,-27.6,-70.7,-25.7,-70.4,-23.6,-70.1,-21.4,-70.2,-19.8,-70.4,-18.3,-69.9,-18.1,-69.6,-17.6]]]],
+        ["CD","Congo (Kinshasa)",[[[29.3,-4.5,29.5,-5.4,29.4,-5.9,29.6,-6.5,30.2,-7.1,30.7,-8.3,30.3,-8.2,29,-8.4,28.7,-8.5,28.4,-9.2,28.7,-9.6,28.5,-10.8,28.4,-11.8,28.6,-12,29.3,-12.4,29.6,-12.2,29.7,-13.3,28.9,-13.2,28.5,-12.7,28.2,-12.3,27.4,-12.1,27.2,-11.6,26.6,-11.9,25.8,-11.8,25.4,-11.3,24.8,-11.2,24.3,-11.3,24.3,-11,23.9,-10.9,23.5,-10.9,22.8,-11,22.4,-11,22.2,-11.1,22.2,-9.9,21.9,-9.5,21.8,-8.9,21.9,-8.3,21.7,-7.9,21.7,-7.3,20.5,-7.3,20.6,-6.9,20.1,-6.9,20,-7.1,19.4,-7.2,19.2,-7.7,19,-8,18.5,-7.8,18.1,-8,17.5,-8.1,17.1,-7.5,16.9,-7.2,16.6,-6.6,16.3,-5.9,13.4,-5.9,13,-6,12.7,-6,12.3,-6.1,12.2,-5.8,12.4,-5.7,12.5,-5.2,12.6,-5,13,-4.8,13.3,-4.9,13.6,-4.5,14.1,-4.5,14.2,-4.8,14.6,-5,15.2,-4.3,15.8,-3.9,16,-3.5,16,-2.7,16.4,-1.7,16.9,-1.2,17.5,-0.7,17.6,-0.4,17.7,-0.1,17.8,0.3,17.8,0.9,17.9,1.7,18.1,2.4,18.4,2.9,18.5,3.5,18.5,4.2,18.9,4.7,19.5,5,20.3,4.7,20.9,4.3,21.7,4.2,22.4,4,22.7,4.6,22.8,4.7,23.3,4.6,24.4,5.1,24.8,4.9,25.1,4.9,25.3,5.2,25.7,5.3,26.4,5.2,27,5.1,27.4,5.2,28,4.4,28.4,4.3,28.7,4.5,29.2,4.4,29.7,4.6,30,4.2,30.8,3.5,30.8,2.3,31.2,2.2,30.9,1.8,30.5,1.6,30.1,1.1,29.9,0.6,29.8,-0.2,29.6,-0.6,29.6,-1.3,29.3,-1.6,29.3,-2.2,29.1,-2.3,29,-2.8,29.3,-3.3,29.3,-4.5]]]],
+        ["SO","Somalia",[[[41.6,-1.7,41,-0.9,41,2.8,41.9,3.9,42.1,4.2,42.8,4.3,43.7,5,45,5,47.8,8,48.5,8.8,48.9,9.5,48.9,10,48.9,11,48.9,11.4,49.3,11.4,49.7,11.6,50.3,11.7,50.7,12,51.1,12,51.1,11.7,51,11.2,51,10.6,50.8,10.3,50.6,9.2,50.1,8.1,49.5,6.8,48.6,5.3,47.7,4.2,46.6,2.9,45.6,2,44.1,1.1,43.1,0.3,42,-0.9,41.8,-1.4,41.6,-1.7]]]],
+        ["KE","Kenya",[[[39.2,-4.7,37.8,-3.7,37.7,-3.1,34.1,-1.1,33.9,-1,33.9,0.1,34.2,0.5,34.7,1.2,35,1.9,34.6,3.1,34.5,3.6,34,4.3,34.6,4.8,35.3,5.5,35.8,5.3,35.8,4.8,36.2,4.4,36.9,4.4,38.1,3.6,38.4,3.6,38.7,3.6,38.9,3.5,39.6,3.4,39.9,3.8,40.8,4.3,41.2,3.9,41.9,3.9,41,2.8,41,-0.9,41.6,-1.7,40.9,-2.1,40.6,-2.5,40.3,-2.6,40.1,-3.3,39.8,-3.7,39.6,-4.3,39.2,-4.7]]]],
+        ["SD","Sudan",[[[24.6,8.2,23.8,8.7,23.5,9,23.4,9.3,23.6,9.7,23.6,10.1,23,10.7,22.9,11.1,22.9,11.4,22.5,11.7,22.5,12.3,22.3,12.6,21.9,12.6,22,13,22.3,13.4,22.2,13.8,22.5,14.1,22.3,14.3,22.6,14.9,23,15.7,23.9,15.6,23.8,19.6,23.8,20,25,20,25,22,29,22,32.9,22,36.9,22,37.2,21,37,20.8,37.1,19.8,37.5,18.6,37.9,18.4,38.4,18,37.9,17.4,37.2,17.3,36.9,17,36.8,16.3,36.3,14.8,36.4,14.4,36.3,13.6,35.9,12.6,35.3,12.1,34.8,11.3,34.7,10.9,34.3,10.6,34,9.6,34,8.7,34,9.5,33.8,9.5,33.8,10,33.7,10.3,33.2,10.7,33.1,11.4,33.2,12.2,32.7,12.2,32.7,12,32.1,12,32.3,11.7,32.4,11.1,31.9,10.5,31.4,9.8,30.8,9.7,30,10.3,29.6,10.1,29.5,9.8,29,9.6,29,9.4,28,9.4,27.8,9.6,27.1,9.6,26.8,9.5,26.5,9.6,26,10.1,25.8,10.4,25.1,10.3,24.8,9.8,24.5,8.9,24.2,8.7,23.9,8.6,24.6,8.2]]]],
+        ["TD","Chad",[[[23.8,19.6,23.9,15.6,23,15.7,22.6,14.9,22.3,14.3,22.5,14.1,22.2,13.8,22.3,13.4,22,13,21.9,12.6,22.3,12.6,22.5,12.3,22.5,11.7,22.9,11.4,22.9,11.1,22.2,11,21.7,10.6,21,9.5,20.1,9,19.1,9.1,18.8,9,18.9,8.6,18.4,8.3,18,7.9,16.7,7.5,16.5,7.7,16.3,7.8,16.1,7.5,15.3,7.4,15.4,7.7,15.1,8.4,15,8.8,14.5,9,14,9.5,14.2,10,14.6,9.9,14.9,10,15.5,10,14.9,10.9,15,11.6,14.9,12.2,14.5,12.9,14.6,13.3,14,13.4,14,14,13.5,14.4,14,15.7,15.2,16.6,15.3,17.9,15.7,20,15.9,20.4,15.5,20.7,15.5,21,15.1,21.3,14.9,22.9,15.9,23.4,19.8,21.5,23.8,19.6]]]],
+        ["HT","Haiti",[[[-71.7,19.7,-71.6,19.2,-71.7,18.8,-71.9,18.6,-71.7,18.3,-71.7,18,-72.4,18.2,-72.8,18.1,-73.5,18.2,-73.9,18,-74.5,18.3,-74.4,18.7,-73.4,18.5,-72.7,18.4,-72.3,18.7,-72.8,19.1,-72.8,19.5,-73.4,19.6,-73.2,19.9,-72.6,19.9,-71.7,19.7]]]],
+        ["DO","Dominican Republic",[[[-71.7,18,-71.7,18.3,-71.9,18.6,-71.7,18.8,-71.6,19.2,-71.7,19.7,-71.6,19.9,-70.8,19.9,-70.2,19.6,-70,19.6,-69.8,19.3,-69.2,19.3,-69.3,19,-68.8,19,-68.3,18.6,-68.7,18.2,-69.2,18.4,-69.6,18.4,-70,18.4,-70.1,18.2,-70.5,18.2,-70.7,18.4,-71,18.3,-71.4,17.6,-71.7,17.8,-71.7,18]]]],
+        ["RU","Russia",[[[93.8,81,95.9,81.3,97.9,80.7,100.2,79.8,99.9,78.9,97.8,78.8,95,79,93.3,79.4,92.5,80.1,91.2,80.3,93.8,81]],[[102.8,79.3,105.4,78.7,105.1,78.3,99.4,77.9,101.3,79.2,102.1,79.3,102.8,79.3]],[[138.8,76.1,141.5,76.1,145.1,75.6,144.3,74.8,140.6,74.8,139,74.6,137,75.3,137.5,75.9,138.8,76.1]],[[148.2,75.3,150.7,75.1,149.6,74.7,148,74.8,146.1,75.2,146.4,75.5,148.2,75.3]],[[139.9,73.4,140.8,73.8,142.1,73.9,143.5,73.5,143.6,73.2,142.1,73.2,140,73.3,139.9,73.4]],[[44.8,80.6,46.8,80.8,48.3,80.8,48.5,80.5,49.1,80.8,50,80.9,51.5,80.7,51.1,80.5,49.8,80.4,48.9,80.3,48.8,80.2,47.6,80,46.5,80.2,47.1,80.6,44.8,80.6]],[[22.7,54.3,20.9,54.3,19.7,54.4,19.9,54.9,21.3,55.2,22.3,55,22.8,54.9,22.6,54.6,22.7,54.3]],[[53.5,73.8,55.9,74.6,55.6,75.1,57.9,75.6,61.2,76.3,64.5,76.4,66.2,76.8,68.2,76.9,68.9,76.5,68.2,76.2,64.6,75.7,61.6,75.3,58.5,74.3,57,73.3,55.4,72.4,55.6,71.5,57.5,70.7,56.9,70.6,53.7,70.8,53.4,71.2,51.6,71.5,51.5,72,52.5,72.2,52.4,72.8,54.4,73.6,53.5,73.8]],[[142.9,53.7,143.3,52.7,143.2,51.8,143.6,50.7,144.7,49,143.2,49.3,142.6,47.9,143.5,46.8,143.5,46.1,142.7,46.7,142.1,46,141.9,46.8,142,47.8,141.9,48.9,142.1,49.6,142.2,51,141.6,51.9,141.7,53.3,142.6,53.8,142.2,54.2,142.7,54.4,142.9,53.7]],[[130.8,42.2,130.6,42.4,130.6,42.9,131.1,42.9,131.3,44.1,131,45,131.9,45.3,133.1,45.1,133.8,46.1,134.1,47.2,134.5,47.6,135,48.5,133.4,48.2,132.5,47.8,131,47.8,130.6,48.7,129.4,49.4,127.7,49.8,127.3,50.7,126.9,51.4,126.6,51.8,125.9,52.8,125.1,53.2,123.6,53.5,122.2,53.4,121,53.3,120.2,52.8,120.7,52.5,120.7,52,120.2,51.6,119.3,50.6,119.3,50.1,117.9,49.5,116.7,49.9,115.5,49.8,115,50.1,114.4,50.2,112.9,49.5,111.6,49.4,110.7,49.1,109.4,49.3,108.5,49.3,107.9,49.8,106.9,50.3,105.9,50.4,104.6,50.3,103.7,50.1,102.3,50.5,102.1,51.3,100.9,51.5,100,51.6,98.9,52,97.8,51,98.2,50.4,97.3,49.7,95.8,50,94.8,50,94.1,50.5,93.1,50.5,92.2,50.8,90.7,50.3,88.8,49.5,87.8,49.3,87.4,49.2,86.8,49.8,85.5,49.7,85.1,50.1,84.4,50.3,83.9,50.9,83.4,51.1,81.9,50.8,80.6,51.4,80,50.9,77.8,53.4,76.5,54.2,76.9,54.5,74.4,53.5,73.4,53.5,73.5,54,72.2,54.4,71.2,54.1,70.9,55.2,69.1,55.4,68.2,55,65.7,54.6,65.2,54.4,61.4,54,61,53.7,61.7,53,60.7,52.7,60.9,52.4,60,52,61.6,51.3,61.3,50.8,59.9,50.8,59.6,50.5,58.4,51.1,56.8,51,55.7,50.6,54.5,51,52.3,51.7,50.8,51.7,48.7,50.6,48.6,49.9,47.6,50.5,46.8,49.4,47,49.2,46.5,48.4,47.3,47.7,48.1,47.7,48.7,47.1,48.6,46.6,49.1,46.4,48.6,45.8,47.7,45.6,46.7,44.6,47.6,43.7,47.5,43,48.6,41.8,48,41.4,47.8,41.2,47.4,41.2,46.7,41.8,46.4,41.9,45.8,42.1,45.5,42.5,44.5,42.7,43.9,42.6,43.8,42.7,42.4,43.2,40.9,43.4,40.1,43.6,40,43.4,38.7,44.3,37.5,44.7,36.7,45.2,37.4,45.4,38.2,46.2,37.7,46.6,39.1,47,39.1,47.3,38.2,47.1,38.3,47.5,38.8,47.8,39.7,47.9,39.9,48.2,39.7,48.8,40.1,49.3,40.1,49.6,38.6,49.9,38,49.9,37.4,50.4,36.6,50.2,35.4,50.6,35.4,50.8,35,51.2,34.2,51.3,34.1,51.6,34.4,51.8,33.8,52.3,32.7,52.2,32.4,52.3,32.2,52.1,31.8,52.1,31.5,52.7,31.3,53.1,31.5,53.2,32.3,53.1,32.7,53.4,32.4,53.6,31.7,53.8,31.8,54,31.4,54.2,30.8,54.8,31,55.1,30.9,55.6,29.9,55.8,29.4,55.7,29.2,55.9,28.2,56.2,27.9,56.8,27.8,57.2,27.3,57.5,27.7,57.8,27.4,58.7,28.1,59.3,28,59.5,29.1,60,28.1,60.5,30.2,61.8,31.1,62.4,31.5,62.9,30,63.6,30.4,64.2,29.5,64.9,30.2,65.8,29.1,66.9,30,67.7,28.4,68.4,28.6,69.1,29.4,69.2,31.1,69.6,32.1,69.9,33.8,69.3,36.5,69.1,40.3,67.9,41.1,67.5,41.1,66.8,40,66.3,38.4,66,33.9,66.8,33.2,66.6,34.8,65.9,34.9,65.4,34.9,64.4,36.2,64.1,37,63.9,37.1,64.3,36.5,64.8,37.2,65.1,39.6,64.5,40.4,64.8,39.8,65.5,42.1,66.5,43,66.4,44,66.1,44.5,66.8,43.7,67.4,44.2,68,43.5,68.6,46.3,68.2,46.8,67.7,45.6,67.6,45.6,67,46.3,66.7,47.9,66.9,48.1,67.5,50.2,68,53.7,68.9,54.5,68.8,53.5,68.2,54.7,68.1,55.4,68.4,57.3,68.5,58.8,68.9,59.9,68.3,61.1,68.9,60,69.5,60.6,69.9,63.5,69.5,64.9,69.2,68.5,68.1,69.2,68.6,68.2,69.1,68.1,69.4,66.9,69.5,67.3,69.9,66.7,70.7,66.7,71,68.5,71.9,69.2,72.8,69.9,73,72.6,72.8,72.8,72.2,71.8,71.4,72.5,71.1,72.8,70.4,72.6,69,73.7,68.4,73.2,67.7,71.3,66.3,72.4,66.2,72.8,66.5,73.9,66.8,74.2,67.3,75.1,67.8,74.5,68.3,74.9,69,73.8,69.1,73.6,69.6,74.4,70.6,73.1,71.4,74.9,72.1,74.7,72.8,75.2,72.9,75.7,72.3,75.3,71.3,76.4,71.2,75.9,71.9,77.6,72.3,79.7,72.3,81.5,71.7,80.6,72.6,80.5,73.6,82.2,73.9,84.7,73.8,86.8,73.9,86,74.5,87.2,75.1,88.3,75.1,90.3,75.6,92.9,75.8,93.2,76,95.9,76.1,96.7,75.9,98.9,76.4,100.8,76.4,101,76.9,102,77.3,104.4,77.7,106.1,77.4,104.7,77.1,107,77,107.2,76.5,108.2,76.7,111.1,76.7,113.3,76.2,114.1,75.8,113.9,75.3,112.8,75,110.2,74.5,109.4,74.2,110.6,74,112.1,73.8,113,74,113.5,73.3,114,73.6,115.6,73.8,118.8,73.6,119,73.1,123.2,73,123.3,73.7,125.4,73.6,127,73.6,128.6,73,129.1,72.4,128.5,72,129.7,71.2,131.3,70.8,132.3,71.8,133.9,71.4,135.6,71.7,137.5,71.3,138.2,71.6,139.9,71.5,139.1,72.4,140.5,72.8,149.5,72.2,150.4,71.6,153,70.8,157,71,159,70.9,159.8,70.5,159.7,69.7,160.9,69.4,162.3,69.6,164.1,69.7,165.9,69.5,167.8,69.6,169.6,68.7,170.8,69,170,69.7,170.5,70.1,173.6,69.8,175.7,69.9,178.6,69.4,180,69,182.5,68.2,185.1,67.2,185,66.6,185.7,66.3,185.4,67.1,188.1,66.9,190.1,66,189.1,65.5,187.5,65.4,187.4,64.5,187,64.3,186.1,64.3,185.3,64.6,184,64.9,183.8,65.4,182.8,65.5,181.6,65.4,181.1,65.7,181.3,66.1,180.1,65.9,180.6,65.4,180,65,180,65,178.7,64.5,177.4,64.6,178.3,64.1,178.9,63.3,179.4,63,179.5,62.6,179.2,62.3,177.4,62.5,174.6,61.8,173.7,61.7,172.1,60.9,170.7,60.3,170.3,59.9,168.9,60.6,166.3,59.8,165.8,60.2,164.9,59.7,163.5,59.9,163.2,59.2,162,58.2,162.1,57.8,163.2,57.6,163.1,56.2,162.1,56.1,161.7,55.3,162.1,54.9,160.4,54.3,160,53.2,158.5,53,158.2,51.9,156.8,51,156.4,51.7,156,53.2,155.4,55.4,155.9,56.8,156.8,57.4,156.8,57.8,158.4,58.1,160.1,59.3,161.9,60.3,163.7,61.1,164.5,62.6,163.3,62.5,162.7,61.6,160.1,60.5,159.3,61.8,156.7,61.4,154.2,59.8,155,59.1,152.8,58.9,151.3,58.8,151.3,59.5,149.8,59.7,148.5,59.2,145.5,59.3,142.2,59,139,57.1,135.1,54.7,136.7,54.6,137.2,54,138.2,53.8,138.8,54.3,139.9,54.2,141.3,53.1,141.4,52.2,140.6,51.2,140.5,50,140.1,48.4,138.6,47,138.2,46.3,136.9,45.1,135.5,44,134.9,43.4,133.5,42.8,132.9,42.8,132.3,43.3,130.9,42.6,130.8,42.2]],[[180,71.5,180.1,71.6,181,71.6,182.4,71.3,182.3,71.1,181.3,70.9,180,70.8,178.9,70.8,178.7,71.1,180,71.5]],[[33.4,46,33.7,46.2,34.4,46,34.7,46,34.9,45.8,35,45.7,35.5,45.4,36.5,45.5,36.3,45.1,35.2,44.9,33.9,44.4,33.3,44.6,33.5,45,32.5,45.3,32.6,45.5,33.6,45.9,33.4,46]]]],
+        ["BS","The Bahamas",[[[-79,26.8,-78.5,26.9,-77.8,26.8,-77.8,26.6,-78.9,26.4,-79,26.8]],[[-77.8,27,-77,26.6,-77.2,25.9,-77.4,26,-77.3,26.5,-77.8,26.9,-77.8,27]],[[-78.2,25.2,-77.9,25.2,-77.5,24.3,-77.5,23.8,-77.8,23.7,-78,24.3,-78.4,24.6,-78.2,25.2]]]],
+        ["FK","Falkland Islands (Islas Malvinas)",[[[-61.2,-51.8,-60,-51.3,-59.2,-51.5,-58.5,-51.1,-57.7,-51.5,-58,-51.9,-59.4,-52.2,-59.8,-51.8,-60.7,-52.3,-61.2,-51.8]]]],
+        ["NO","Norway",[[[15.1,79.7,15.5,80,17,80.1,18.3,79.7,21.5,79,19,78.6,18.5,77.8,17.6,77.6,17.1,76.8,15.9,76.8,13.8,77.4,14.7,77.7,13.2,78,11.2,78.9,10.4,79.7,13.2,80,13.7,79.7,15.1,79.7]],[[31.1,69.6,29.4,69.2,28.6,69.1,29,69.8,27.7,70.2,26.2,69.8,25.7,69.1,24.7,68.6,23.7,68.9,22.4,68.8,21.2,69.4,20.6,69.1,20,69.1,19.9,68.4,18,68.6,17.7,68,16.8,68,16.1,67.3,15.1,66.2,13.6,64.8,13.9,64.4,13.6,64,12.6,64.1,11.9,63.1,12,61.8,12.6,61.3,12.3,60.1,11.5,59.4,11,58.9,10.4,59.5,8.4,58.3,7,58.1,5.7,58.6,5.3,59.7,5,62,5.9,62.6,8.6,63.5,10.5,64.5,12.4,65.9,14.8,67.8,16.4,68.6,19.2,69.8,21.4,70.3,23,70.2,24.5,71,26.4,71,28.2,71.2,31.3,70.5,30,70.2,31.1,69.6]],[[27.4,80.1,25.9,79.5,23,79.4,20.1,79.6,19.9,79.8,18.5,79.9,17.4,80.3,20.5,80.6,21.9,80.4,22.9,80.7,25.4,80.4,27.4,80.1]],[[24.7,77.9,22.5,77.4,20.7,77.7,21.4,77.9,20.8,78.3,22.9,78.5,23.3,78.1,24.7,77.9]]]],
+        ["GL","Greenland",[[[-46.8,82.6,-43.4,83.2,-39.9,83.2,-38.6,83.5,-35.1,83.6,-27.1,83.5,-20.8,82.7,-22.7,82.3,-26.5,82.3,-31.9,82.2,-31.4,82,-27.9,82.1,-24.8,81.8,-22.9,82.1,-22.1,81.7,-23.2,81.2,-20.6,81.5,-15.8,81.9,-12.8,81.7,-12.2,81.3,-16.3,80.6,-16.8,80.3,-20,80.2,-17.7,80.1,-18.9,79.4,-19.7,78.8,-19.7,77.6,-18.5,77,-20,76.9,-21.7,76.6,-19.8,76.1,-19.6,75.2,-20.7,75.2,-19.4,74.3,-21.6,74.2,-20.4,73.8,-20.8,73.5,-22.2,73.3,-23.6,73.3,-22.3,72.6,-22.3,72.2,-24.3,72.6,-24.8,72.3,-23.4,72.1,-22.1,71.5,-21.8,70.7,-23.5,70.5,-24.3,70.9,-25.5,71.4,-25.2,70.8,-26.4,70.2,-23.7,70.2,-22.3,70.1,-25,69.3,-27.7,68.5,-30.7,68.1,-31.8,68.1,-32.8,67.7,-34.2,66.7,-36.4,66,-37,65.9,-38.4,65.7,-39.8,65.5,-40.7,64.8,-40.7,64.1,-41.2,63.5,-42.8,62.7,-42.4,61.9,-42.9,61.1,-43.4,60.1,-44.8,60,-46.3,60.9,-48.3,60.9,-49.2,61.4,-49.9,62.4,-51.6,63.6,-52.1,64.3,-52.3,65.2,-53.7,66.1,-53.3,66.8,-54,67.2,-53,68.4,-51.5,68.7,-51.1,69.1,-50.9,69.9,-52,69.6,-52.6,69.4,-53.5,69.3,-54.7,69.6,-54.8,70.3,-54.4,70.8,-53.4,70.8,-51.4,70.6,-53.1,71.2,-54,71.5,-55,71.4,-55.8,71.7,-54.7,72.6,-55.3,73,-56.1,73.7,-57.3,74.7,-58.6,75.1,-58.6,75.5,-61.3,76.1,-63.4,76.2,-66.1,76.1,-68.5,76.1,-69.7,76.4,-71.4,77,-68.8,77.3,-66.8,77.4,-71,77.6,-73.3,78,-73.2,78.4,-69.4,78.9,-65.7,79.4,-65.3,79.8,-68,80.1,-67.1,80.5,-63.7,81.2,-62.2,81.3,-62.6,81.8,-60.3,82,-57.2,82.2,-54.1,82.2,-53,81.9,-50.4,82.4,-48,82.1,-46.6,82,-44.5,81.7,-46.9,82.2,-46.8,82.6]]]],
+        ["TF","Fr. S. Antarctic Lands",[[[68.9,-48.6,69.6,-48.9,70.5,-49.1,70.6,-49.3,70.3,-49.7,68.7,-49.8,68.7,-49.2,68.9,-48.8,68.9,-48.6]]]],
+        ["TL","Timor-Leste",[[[125,-8.9,125.1,-8.7,125.9,-8.4,126.6,-8.4,127,-8.3,127.3,-8.4,127,-8.7,125.9,-9.1,125.1,-9.4,125.1,-9.1,125,-8.9]]]],
+        ["ZA","South Africa",[[[16.3,-28.6,16.8,-28.1,17.2,-28.4,17.4,-28.8,17.8,-28.9,18.5,-29,19,-29,19.9,-28.5,19.9,-24.8,20.2,-24.9,20.8,-25.9,20.7,-26.5,20.9,-26.8,21.6,-26.7,22.1,-26.3,22.6,-26,22.8,-25.5,23.3,-25.3,23.7,-25.4,24.2,-25.7,25,-25.7,25.7,-25.5,25.8,-25.2,25.9,-24.7,26.5,-24.6,26.8,-24.2,27.1,-23.6,28,-22.8,29.4,-22.1,29.8,-22.1,30.3,-22.3,30.7,-22.2,31.2,-22.3,31.7,-23.7,31.9,-24.4,31.8,-25.5,31.8,-25.8,31.3,-25.7,31,-25.7,31,-26,30.7,-26.4,30.7,-26.7,31.3,-27.3,31.9,-27.2,32.1,-26.7,32.8,-26.7,32.6,-27.5,32.5,-28.3,32.2,-28.8,31.5,-29.3,31.3,-29.4,30.9,-29.9,30.6,-30.4,30.1,-31.1,28.9,-32.2,28.2,-32.8,27.5,-33.2,26.4,-33.6,25.9,-33.7,25.8,-33.9,25.2,-33.8,24.7,-34,23.6,-33.8,23,-33.9,22.6,-33.9,21.5,-34.3,20.7,-34.4,20.1,-34.8,19.6,-34.8,19.2,-34.5,18.9,-34.4,18.4,-34,18.4,-34.1,18.2,-33.9,18.3,-33.3,17.9,-32.6,18.2,-32.4,18.2,-31.7,17.6,-30.7,17.1,-29.9,16.3,-28.6],[29,-29,28.5,-28.6,28.1,-28.9,27.5,-29.2,27,-29.9,27.8,-30.6,28.1,-30.5,28.3,-30.2,28.8,-30.1,29,-29.7,29.3,-29.3,29,-29]]]],
+        ["LS","Lesotho",[[[29,-29,29.3,-29.3,29,-29.7,28.8,-30.1,28.3,-30.2,28.1,-30.5,27.8,-30.6,27,-29.9,27.5,-29.2,28.1,-28.9,28.5,-28.6,29,-29]]]],
+        ["MX","Mexico",[[[-117.1,32.5,-116,32.6,-114.7,32.7,-114.8,32.5,-113.3,32,-111,31.3,-109,31.3,-108.2,31.3,-108.2,31.8,-106.5,31.8,-106.1,31.4,-105.6,31.1,-105,30.6,-104.7,30.1,-104.5,29.6,-103.9,29.3,-103.1,29,-102.5,29.8,-101.7,29.8,-101,29.4,-100.5,28.7,-100.1,28.1,-99.5,27.5,-99.3,26.8,-99,26.4,-98.2,26.1,-97.5,25.8,-97.1,25.9,-97.5,25,-97.7,24.3,-97.8,22.9,-97.9,22.4,-97.7,21.9,-97.4,21.4,-97.2,20.6,-96.5,19.9,-96.3,19.3,-95.9,18.8,-94.8,18.6,-94.4,18.1,-93.5,18.4,-92.8,18.5,-92,18.7,-91.4,18.9,-90.8,19.3,-90.5,19.9,-90.5,20.7,-90.3,21,-89.6,21.3,-88.5,21.5,-87.7,21.5,-87.1,21.5,-86.8,21.3,-86.8,20.8,-87.4,20.3,-87.6,19.6,-87.4,19.5,-87.6,19,-87.8,18.3,-88.1,18.5,-88.3,18.5,-88.5,18.5,-88.8,17.9,-89,18,-89.1,18,-89.1,17.8,-90.1,17.8,-91,17.8,-91,17.3,-91.5,17.3,-91.1,16.9,-90.7,16.7,-90.6,16.5,-90.4,16.4,-90.5,16.1,-91.7,16.1,-92.2,15.3,-92.1,15.1,-92.2,14.8,-92.2,14.5,-93.4,15.6,-93.9,15.9,-94.7,16.2,-95.3,16.1,-96.1,15.8,-96.6,15.7,-97.3,15.9,-98,16.1,-98.9,16.6,-99.7,16.7,-100.8,17.2,-101.7,17.6,-101.9,17.9,-102.5,18,-103.5,18.3,-103.9,18.7,-105,19.3,-105.5,19.9,-105.7,20.4,-105.4,20.5,-105.5,20.8,-105.3,21.1,-105.3,21.4,-105.6,21.9,-105.7,22.3,-106,22.8,-106.9,23.8,-107.9,24.5,-108.4,25.2,-109.3,25.6,-109.4,25.8,-109.3,26.4,-109.8,26.7,-110.4,27.2,-110.6,27.9,-111.2,27.9,-111.8,28.5,-112.2,29,-112.3,29.3,-112.8,30,-113.2,30.8,-113.1,31.2,-113.9,31.6,-114.2,31.5,-114.8,31.8,-114.9,31.4,-114.8,30.9,-114.7,30.2,-114.3,29.8,-113.6,29.1,-113.4,28.8,-113.3,28.8,-113.1,28.4,-113,28.4,-112.8,27.8,-112.5,27.5,-112.2,27.2,-111.6,26.7,-111.3,25.7,-111,25.3,-110.7,24.8,-110.7,24.3,-110.2,24.3,-109.8,23.8,-109.4,23.4,-109.4,23.2,-109.9,22.8,-110,22.8,-110.3,23.4,-110.9,24,-111.7,24.5,-112.2,24.7,-112.2,25.5,-112.3,26,-112.8,26.3,-113.5,26.8,-113.6,26.6,-113.8,26.9,-114.5,27.1,-115.1,27.7,-115,27.8,-114.6,27.7,-114.2,28.1,-114.2,28.6,-114.9,29.3,-115.5,29.6,-115.9,30.2,-116.3,30.8,-116.7,31.6,-117.1,32.5]]]],
+        ["UY","Uruguay",[[[-57.6,-30.2,-57,-30.1,-56,-30.9,-55.6,-30.9,-54.6,-31.5,-53.8,-32,-53.2,-32.7,-53.6,-33.2,-53.4,-33.8,-53.8,-34.4,-54.9,-35,-55.7,-34.8,-56.2,-34.9,-57.1,-34.4,-57.8,-34.5,-58.4,-33.9,-58.4,-33.3,-58.1,-33,-58.1,-32,-57.9,-31,-57.6,-30.2]]]],
+        ["BR","Brazil",[[[-53.4,-33.8,-53.6,-33.2,-53.2,-32.7,-53.8,-32,-54.6,-31.5,-55.6,-30.9,-56,-30.9,-57,-30.1,-57.6,-30.2,-56.3,-28.9,-55.2,-27.9,-54.5,-27.5,-53.6,-26.9,-53.6,-26.1,-54.1,-25.5,-54.6,-25.7,-54.4,-25.2,-54.3,-24.6,-54.3,-24,-54.7,-23.8,-55,-24,-55.4,-24,-55.5,-23.6,-55.6,-22.7,-55.8,-22.4,-56.5,-22.1,-56.9,-22.3,-57.9,-22.1,-57.9,-20.7,-58.2,-20.2,-57.9,-20,-58,-19.4,-57.7,-19,-57.5,-18.2,-57.7,-17.6,-58.3,-17.3,-58.4,-16.9,-58.2,-16.3,-60.2,-16.3,-60.5,-15.1,-60.3,-15.1,-60.3,-14.6,-60.5,-14.4,-60.5,-13.8,-61.1,-13.5,-61.7,-13.5,-62.1,-13.2,-62.8,-13,-63.2,-12.6,-64.3,-12.5,-65.4,-11.6,-65.3,-10.9,-65.4,-10.5,-65.3,-9.8,-66.6,-9.9,-67.2,-10.3,-68,-10.7,-68.3,-11,-68.8,-11,-69.5,-11,-70.1,-11.1,-70.5,-11,-70.5,-9.5,-71.3,-10.1,-72.2,-10.1,-72.6,-9.5,-73.2,-9.5,-73,-9,-73.6,-8.4,-74,-7.5,-73.7,-7.3,-73.7,-6.9,-73.1,-6.6,-73.2,-6.1,-73,-5.7,-72.9,-5.3,-71.7,-4.6,-70.9,-4.4,-70.8,-4.3,-69.9,-4.3,-69.4,-1.6,-69.4,-1.1,-69.6,-0.5,-70,-0.2,-70,0.5,-69.5,0.7,-69.3,0.6,-69.2,1,-69.8,1.1,-69.8,1.7,-67.9,1.7,-67.5,2,-67.3,1.7,-67.1,1.1,-66.9,1.3,-66.3,0.7,-65.5,0.8,-65.4,1.1,-64.6,1.3,-64.2,1.5,-64.1,1.9,-63.4,2.2,-63.4,2.4,-64.3,2.5,-64.4,3.1,-64.4,3.8,-64.8,4.1,-64.6,4.1,-63.9,4,-63.1,3.8,-62.8,4,-62.1,4.2,-61,4.5,-60.6,4.9,-60.7,5.2,-60.2,5.2,-60,5,-60.1,4.6,-59.8,4.4,-59.5,4,-59.8,3.6,-60,2.8,-59.7,2.2,-59.6,1.8,-59,1.3,-58.5,1.3,-58.4,1.5,-58.1,1.5,-57.7,1.7,-57.3,1.9,-56.8,1.9,-56.5,1.9,-56,1.8,-55.9,2,-56.1,2.2,-56,2.5,-55.6,2.4,-55.1,2.5,-54.5,2.3,-54.1,2.1,-53.8,2.4,-53.6,2.3,-53.4,2.1,-52.9,2.1,-52.6,2.5,-52.2,3.2,-51.7,4.2,-51.3,4.2,-51.1,3.6,-50.5,1.9,-50,1.7,-49.9,1,-50.7,0.2,-50.4,-0.1,-48.6,-0.2,-48.6,-1.2,-47.8,-0.6,-46.6,-0.9,-44.9,-1.6,-44.4,-2.1,-44.6,-2.7,-43.4,-2.4,-41.5,-2.9,-40,-2.9,-38.5,-3.7,-37.2,-4.8,-36.5,-5.1,-35.6,-5.1,-35.2,-5.5,-34.9,-6.7,-34.7,-7.3,-35.1,-9,-35.6,-9.6,-37,-11,-37.7,-12.2,-38.4,-13,-38.7,-13.1,-39,-13.8,-38.9,-15.7,-39.2,-17.2,-39.3,-17.9,-39.6,-18.3,-39.8,-19.6,-40.8,-20.9,-40.9,-21.9,-41.8,-22.4,-42,-23,-43.1,-23,-44.6,-23.4,-45.4,-23.8,-46.5,-24.1,-47.6,-24.9,-48.5,-25.9,-48.6,-26.6,-48.5,-27.2,-48.7,-28.2,-48.9,-28.7,-49.6,-29.2,-50.7,-31,-51.6,-31.8,-52.3,-32.2,-52.7,-33.2,-53.4,-33.8]]]],
+        ["BO","Bolivia",[[[-69.5,-11,-68.8,-11,-68.3,-11,-68,-10.7,-67.2,-10.3,-66.6,-9.9,-65.3,-9.8,-65.4,-10.5,-65.3,-10.9,-65.4,-11.6,-64.3,-12.5,-63.2,-12.6,-62.8,-13,-62.1,-13.2,-61.7,-13.5,-61.1,-13.5,-60.5,-13.8,-60.5,-14.4,-60.3,-14.6,-60.3,-15.1,-60.5,-15.1,-60.2,-16.3,-58.2,-16.3,-58.4,-16.9,-58.3,-17.3,-57.7,-17.6,-57.5,-18.2,-57.7,-19,-58,-19.4,-57.9,-20,-58.2,-20.2,-58.2,-19.9,-59.1,-19.4,-60,-19.3,-61.8,-19.6,-62.3,-20.5,-62.3,-21.1,-62.7,-22.2,-62.8,-22,-64,-22,-64.4,-22.8,-65,-22.1,-66.3,-21.8,-67.1,-22.7,-67.8,-22.9,-68.2,-21.5,-68.8,-20.4,-68.4,-19.4,-69,-19,-69.1,-18.3,-69.6,-17.6,-69,-16.5,-69.4,-15.7,-69.2,-15.3,-69.3,-15,-68.9,-14.5,-68.9,-13.6,-68.9,-12.9,-68.7,-12.6,-69.5,-11]]]],
+        ["PE","Peru",[[[-69.9,-4.3,-70.8,-4.3,-70.9,-4.4,-71.7,-4.6,-72.9,-5.3,-73,-5.7,-73.2,-6.1,-73.1,-6.6,-73.7,-6.9,-73.7,-7.3,-74,-7.5,-73.6,-8.4,-73,-9,-73.2,-9.5,-72.6,-9.5,-72.2,-10.1,-71.3,-10.1,-70.5,-9.5,-70.5,-11,-70.1,-11.1,-69.5,-11,-68.7,-12.6,-68.9,-12.9,-68.9,-13.6,-68.9,-14.5,-69.3,-15,-69.2,-15.3,-69.4,-15.7,-69,-16.5,-69.6,-17.6,-69.9,-18.1,-70.4,-18.3,-71.4,-17.8,-71.5,-17.4,-73.4,-16.4,-75.2,-15.3,-76,-14.6,-76.4,-13.8,-76.3,-13.5,-77.1,-12.2,-78.1,-10.4,-79,-8.4,-79.4,-7.9,-79.8,-7.2,-80.5,-6.5,-81.3,-6.1,-80.9,-5.7,-81.4,-4.7,-81.1,-4,-80.3,-3.4,-80.2,-3.8,-80.5,-4.1,-80.4,-4.4,-80,-4.3,-79.6,-4.5,-79.2,-5,-78.6,-4.5,-78.5,-3.9,-77.8,-3,-76.6,-2.6,-75.5,-1.6,-75.2,-0.9,-75.4,-0.2,-75.1,-0.1,-74.4,-0.5,-74.1,-1,-73.7,-1.3,-73.1,-2.3,-72.3,-2.4,-71.8,-2.2,-71.4,-2.3,-70.8,-2.3,-70,-2.7,-70.7,-3.7,-70.4,-3.8,-69.9,-4.3]]]],
+        ["CO","Colombia",[[[-66.9,1.3,-67.1,1.1,-67.3,1.7,-67.5,2,-67.9,1.7,-69.8,1.7,-69.8,1.1,-69.2,1,-69.3,0.6,-69.5,0.7,-70,0.5,-70,-0.2,-69.6,-0.5,-69.4,-1.1,-69.4,-1.6,-69.9,-4.3,-70.4,-3.8,-70.7,-3.7,-70,-2.7,-70.8,-2.3,-71.4,-2.3,-71.8,-2.2,-72.3,-2.4,-73.1,-2.3,-73.7,-1.3,-74.1,-1,-74.4,-0.5,-75.1,-0.1,-75.4,-0.2,-75.8,0.1,-76.3,0.4,-76.6,0.3,-77.4,0.4,-77.7,0.8,-77.9,0.8,-78.9,1.4,-79,1.7,-78.6,1.8,-78.7,2.3,-78.4,2.6,-77.9,2.7,-77.5,3.3,-77.1,3.8,-77.5,4.1,-77.3,4.7,-77.5,5.6,-77.3,5.8,-77.5,6.7,-77.9,7.2,-77.8,7.7,-77.4,7.6,-77.2,7.9,-77.5,8.5,-77.4,8.7,-76.8,8.6,-76.1,9.3,-75.7,9.4,-75.7,9.8,-75.5,10.6,-74.9,11.1,-74.3,11.1,-74.2,11.3,-73.4,11.2,-72.6,11.7,-72.2,12,-71.8,12.4,-71.4,12.4,-71.1,12.1,-71.3,11.8,-72,11.6,-72.2,11.1,-72.6,10.8,-72.9,10.5,-73,9.7,-73.3,9.2,-72.8,9.1,-72.7,8.6,-72.4,8.4,-72.4,8,-72.5,7.6,-72.4,7.4,-72.2,7.3,-72,7,-70.7,7.1,-70.1,7,-69.4,6.1,-69,6.2,-68.3,6.2,-67.7,6.3,-67.3,6.1,-67.5,5.6,-67.7,5.2,-67.8,4.5,-67.6,3.8,-67.3,3.5,-67.3,3.3,-67.8,2.8,-67.4,2.6,-67.2,2.2,-66.9,1.3]]]],
+        ["PA","Panama",[[[-77.4,8.7,-77.5,8.5,-77.2,7.9,-77.4,7.6,-77.8,7.7,-77.9,7.2,-78.2,7.5,-78.4,8.1,-78.2,8.3,-78.4,8.4,-78.6,8.7,-79.1,9,-79.6,8.9,-79.8,8.6,-80.2,8.3,-80.4,8.3,-80.5,8.1,-80,7.5,-80.3,7.4,-80.4,7.3,-80.9,7.2,-81.1,7.8,-81.2,7.6,-81.5,7.7,-81.7,8.1,-82.1,8.2,-82.4,8.3,-82.8,8.3,-82.8,8.1,-83,8.2,-82.9,8.4,-82.8,8.6,-82.9,8.8,-82.7,8.9,-82.9,9.1,-82.9,9.5,-82.5,9.6,-82.2,9.2,-82.2,9,-81.8,9,-81.7,9,-81.4,8.8,-80.9,8.9,-80.5,9.1,-79.9,9.3,-79.6,9.6,-79,9.6,-79.1,9.5,-78.5,9.4,-78.1,9.2,-77.7,8.9,-77.4,8.7]]]],
+        ["CR","Costa Rica",[[[-82.5,9.6,-82.9,9.5,-82.9,9.1,-82.7,8.9,-82.9,8.8,-82.8,8.6,-82.9,8.4,-83,8.2,-83.5,8.4,-83.7,8.7,-83.6,8.8,-83.6,9.1,-83.9,9.3,-84.3,9.5,-84.6,9.6,-84.7,9.9,-85,10.1,-84.9,9.8,-85.1,9.6,-85.3,9.8,-85.7,9.9,-85.8,10.1,-85.8,10.4,-85.7,10.8,-85.9,10.9,-85.7,11.1,-85.6,11.2,-84.9,11,-84.7,11.1,-84.4,11,-84.2,10.8,-83.9,10.7,-83.7,10.9,-83.4,10.4,-83,10,-82.5,9.6]]]],
+        ["NI","Nicaragua",[[[-83.7,10.9,-83.9,10.7,-84.2,10.8,-84.4,11,-84.7,11.1,-84.9,11,-85.6,11.2,-85.7,11.1,-86.1,11.4,-86.5,11.8,-86.7,12.1,-87.2,12.5,-87.7,12.9,-87.6,13.1,-87.4,12.9,-87.3,13,-87,13,-86.9,13.3,-86.7,13.3,-86.8,13.8,-86.5,13.8,-86.3,13.8,-86.1,14,-85.8,13.8,-85.7,14,-85.5,14.1,-85.2,14.4,-85.1,14.6,-84.9,14.8,-84.8,14.8,-84.6,14.7,-84.4,14.6,-84.2,14.7,-84,14.7,-83.6,14.9,-83.5,15,-83.1,15,-83.2,14.9,-83.3,14.7,-83.2,14.3,-83.4,14,-83.5,13.6,-83.6,13.1,-83.5,12.9,-83.5,12.4,-83.6,12.3,-83.7,11.9,-83.7,11.6,-83.9,11.4,-83.8,11.1,-83.7,10.9]]]],
+        ["HN","Honduras",[[[-83.1,15,-83.5,15,-83.6,14.9,-84,14.7,-84.2,14.7,-84.4,14.6,-84.6,14.7,-84.8,14.8,-84.9,14.8,-85.1,14.6,-85.2,14.4,-85.5,14.1,-85.7,14,-85.8,13.8,-86.1,14,-86.3,13.8,-86.5,13.8,-86.8,13.8,-86.7,13.3,-86.9,13.3,-87,13,-87.3,13,-87.5,13.3,-87.8,13.4,-87.7,13.8,-87.9,13.9,-88.1,14,-88.5,13.8,-88.5,14,-88.8,14.1,-89.1,14.3,-89.4,14.4,-89.1,14.7,-89.2,14.9,-89.2,15.1,-88.7,15.3,-88.2,15.7,-88.1,15.7,-87.9,15.9,-87.6,15.9,-87.5,15.8,-87.4,15.8,-86.9,15.8,-86.4,15.8,-86.1,15.9,-86,16,-85.7,16,-85.4,15.9,-85.2,15.9,-85,16,-84.5,15.9,-84.4,15.8,-84.1,15.6,-83.8,15.4,-83.4,15.3,-83.1,15]]]],
+        ["SV","El Salvador",[[[-89.4,14.4,-89.1,14.3,-88.8,14.1,-88.5,14,-88.5,13.8,-88.1,14,-87.9,13.9,-87.7,13.8,-87.8,13.4,-87.9,13.1,-88.5,13.2,-88.8,13.3,-89.3,13.5,-89.8,13.5,-90.1,13.7,-90.1,13.9,-89.7,14.1,-89.5,14.2,-89.6,14.4,-89.4,14.4]]]],
+        ["GT","Guatemala",[[[-92.2,14.5,-92.2,14.8,-92.1,15.1,-92.2,15.3,-91.7,16.1,-90.5,16.1,-90.4,16.4,-90.6,16.5,-90.7,16.7,-91.1,16.9,-91.5,17.3,-91,17.3,-91,17.8,-90.1,17.8,-89.1,17.8,-89.1,17,-89.2,15.9,-88.9,15.9,-88.6,15.7,-88.5,15.9,-88.2,15.7,-88.7,15.3,-89.2,15.1,-89.2,14.9,-89.1,14.7,-89.4,14.4,-89.6,14.4,-89.5,14.2,-89.7,14.1,-90.1,13.9,-90.1,13.7,-90.6,13.9,-91.2,13.9,-91.7,14.1,-92.2,14.5]]]],
+        ["BZ","Belize",[[[-89.1,17.8,-89.1,18,-89,18,-88.8,17.9,-88.5,18.5,-88.3,18.5,-88.3,18.4,-88.1,18.3,-88.1,18.1,-88.3,17.6,-88.2,17.5,-88.3,17.1,-88.2,17,-88.4,16.5,-88.6,16.3,-88.7,16.2,-88.9,15.9,-89.2,15.9,-89.1,17,-89.1,17.8]]]],
+        ["VE","Venezuela",[[[-60.7,5.2,-60.6,4.9,-61,4.5,-62.1,4.2,-62.8,4,-63.1,3.8,-63.9,4,-64.6,4.1,-64.8,4.1,-64.4,3.8,-64.4,3.1,-64.3,2.5,-63.4,2.4,-63.4,2.2,-64.1,1.9,-64.2,1.5,-64.6,1.3,-65.4,1.1,-65.5,0.8,-66.3,0.7,-66.9,1.3,-67.2,2.2,-67.4,2.6,-67.8,2.8,-67.3,3.3,-67.3,3.5,-67.6,3.8,-67.8,4.5,-67.7,5.2,-67.5,5.6,-67.3,6.1,-67.7,6.3,-68.3,6.2,-69,6.2,-69.4,6.1,-70.1,7,-70.7,7.1,-72,7,-72.2,7.3,-72.4,7.4,-72.5,7.6,-72.4,8,-72.4,8.4,-72.7,8.6,-72.8,9.1,-73.3,9.2,-73,9.7,-72.9,10.5,-72.6,10.8,-72.2,11.1,-72,11.6,-71.3,11.8,-71.4,11.5,-71.9,11.4,-71.6,11,-71.6,10.4,-72.1,9.9,-71.7,9.1,-71.3,9.1,-71,9.9,-71.4,10.2,-71.4,11,-70.2,11.4,-70.3,11.8,-69.9,12.2,-69.6,11.5,-68.9,11.4,-68.2,10.9,-68.2,10.6,-67.3,10.5,-66.2,10.6,-65.7,10.2,-64.9,10.1,-64.3,10.4,-64.3,10.6,-63.1,10.7,-61.9,10.7,-62.7,10.4,-62.4,9.9,-61.6,9.9,-60.8,9.4,-60.7,8.6,-60.2,8.6,-59.8,8.4,-60.6,7.8,-60.6,7.4,-60.3,7,-60.5,6.9,-61.2,6.7,-61.1,6.2,-61.4,6,-60.7,5.2]]]],
+        ["GY","Guyana",[[[-56.5,1.9,-56.8,1.9,-57.3,1.9,-57.7,1.7,-58.1,1.5,-58.4,1.5,-58.5,1.3,-59,1.3,-59.6,1.8,-59.7,2.2,-60,2.8,-59.8,3.6,-59.5,4,-59.8,4.4,-60.1,4.6,-60,5,-60.2,5.2,-60.7,5.2,-61.4,6,-61.1,6.2,-61.2,6.7,-60.5,6.9,-60.3,7,-60.6,7.4,-60.6,7.8,-59.8,8.4,-59.1,8,-58.5,7.3,-58.5,6.8,-58.1,6.8,-57.5,6.3,-57.1,6,-57.3,5.1,-57.9,4.8,-57.9,4.6,-58,4.1,-57.6,3.3,-57.3,3.3,-57.1,2.8,-56.5,1.9]]]],
+        ["SR","Suriname",[[[-54.5,2.3,-55.1,2.5,-55.6,2.4,-56,2.5,-56.1,2.2,-55.9,2,-56,1.8,-56.5,1.9,-57.1,2.8,-57.3,3.3,-57.6,3.3,-58,4.1,-57.9,4.6,-57.9,4.8,-57.3,5.1,-57.1,6,-55.9,5.8,-55.8,6,-55,6,-54,5.8,-54.5,4.9,-54.4,4.2,-54,3.6,-54.2,3.2,-54.3,2.7,-54.5,2.3]]]],
+        ["FR","France",[[[-51.7,4.2,-52.2,3.2,-52.6,2.5,-52.9,2.1,-53.4,2.1,-53.6,2.3,-53.8,2.4,-54.1,2.1,-54.5,2.3,-54.3,2.7,-54.2,3.2,-54,3.6,-54.4,4.2,-54.5,4.9,-54,5.8,-53.6,5.6,-52.9,5.4,-51.8,4.6,-51.7,4.2]],[[6.2,49.5,6.7,49.2,8.1,49,7.6,48.3,7.5,47.6,7.2,47.4,6.7,47.5,6.8,47.3,6,46.7,6,46.3,6.5,46.4,6.8,46,6.8,45.7,7.1,45.3,6.7,45,7,44.3,7.6,44.1,7.4,43.7,6.5,43.1,4.6,43.4,3.1,43.1,3,42.5,1.8,42.3,0.7,42.8,0.3,42.6,-1.5,43,-1.9,43.4,-1.4,44,-1.2,46,-2.2,47.1,-3,47.6,-4.5,48,-4.6,48.7,-3.3,48.9,-1.6,48.6,-1.9,49.8,-1,49.3,1.3,50.1,1.6,50.9,2.5,51.1,2.7,50.8,3.1,50.8,3.6,50.4,4.3,49.9,4.8,50,5.7,49.5,5.9,49.4,6.2,49.5]],[[8.7,42.6,9.4,43,9.6,42.2,9.2,41.4,8.8,41.6,8.5,42.3,8.7,42.6]]]],
+        ["EC","Ecuador",[[[-75.4,-0.2,-75.2,-0.9,-75.5,-1.6,-76.6,-2.6,-77.8,-3,-78.5,-3.9,-78.6,-4.5,-79.2,-5,-79.6,-4.5,-80,-4.3,-80.4,-4.4,-80.5,-4.1,-80.2,-3.8,-80.3,-3.4,-79.8,-2.7,-80,-2.2,-80.4,-2.7,-81,-2.2,-80.8,-2,-80.9,-1.1,-80.6,-0.9,-80.4,-0.3,-80,0.4,-80.1,0.8,-79.5,1,-78.9,1.4,-77.9,0.8,-77.7,0.8,-77.4,0.4,-76.6,0.3,-76.3,0.4,-75.8,0.1,-75.4,-0.2]]]],
+        ["PR","Puerto Rico",[[[-66.3,18.5,-65.8,18.4,-65.6,18.2,-65.8,18,-66.6,18,-67.2,17.9,-67.2,18.4,-67.1,18.5,-66.3,18.5]]]],
+        ["JM","Jamaica",[[[-77.6,18.5,-76.9,18.4,-76.4,18.2,-76.2,17.9,-76.9,17.9,-77.2,17.7,-77.8,17.9,-78.3,18.2,-78.2,18.5,-77.8,18.5,-77.6,18.5]]]],
+        ["CU","Cuba",[[[-82.3,23.2,-81.4,23.1,-80.6,23.1,-79.7,22.8,-79.3,22.4,-78.3,22.5,-78,22.3,-77.1,21.7,-76.5,21.2,-76.2,21.2,-75.6,21,-75.7,20.7,-74.9,20.7,-74.2,20.3,-74.3,20.1,-75,19.9,-75.6,19.9,-76.3,20,-77.8,19.9,-77.1,20.4,-77.5,20.7,-78.1,20.7,-78.5,21,-78.7,21.6,-79.3,21.6,-80.2,21.8,-80.5,22,-81.8,22.2,-82.2,22.4,-81.8,22.6,-82.8,22.7,-83.5,22.2,-83.9,22.2,-84.1,21.9,-84.5,21.8,-85,21.9,-84.4,22.2,-84.2,22.6,-83.8,22.8,-83.3,23,-82.5,23.1,-82.3,23.2]]]],
+        ["ZW","Zimbabwe",[[[31.2,-22.3,30.7,-22.2,30.3,-22.3,29.8,-22.1,29.4,-22.1,28.8,-21.6,28,-21.5,27.7,-20.9,27.7,-20.5,27.3,-20.4,26.2,-19.3,25.9,-18.7,25.6,-18.5,25.3,-17.7,26.4,-17.8,26.7,-18,27,-17.9,27.6,-17.3,28.5,-16.5,28.8,-16.4,28.9,-16,29.5,-15.6,30.3,-15.5,30.3,-15.9,31.2,-15.9,31.6,-16.1,31.9,-16.3,32.3,-16.4,32.8,-16.7,32.8,-18,32.7,-18.7,32.6,-19.4,32.8,-19.7,32.7,-20.3,32.5,-20.4,32.2,-21.1,31.2,-22.3]]]],
+        ["BW","Botswana",[[[29.4,-22.1,28,-22.8,27.1,-23.6,26.8,-24.2,26.5,-24.6,25.9,-24.7,25.8,-25.2,25.7,-25.5,25,-25.7,24.2,-25.7,23.7,-25.4,23.3,-25.3,22.8,-25.5,22.6,-26,22.1,-26.3,21.6,-26.7,20.9,-26.8,20.7,-26.5,20.8,-25.9,20.2,-24.9,19.9,-24.8,19.9,-21.8,20.9,-21.8,20.9,-18.3,21.7,-18.2,23.2,-17.9,23.6,-18.3,24.2,-17.9,24.5,-17.9,25.1,-17.7,25.3,-17.7,25.6,-18.5,25.9,-18.7,26.2,-19.3,27.3,-20.4,27.7,-20.5,27.7,-20.9,28,-21.5,28.8,-21.6,29.4,-22.1]]]],
+        ["NA","Namibia",[[[19.9,-24.8,19.9,-28.5,19,-29,18.5,-29,17.8,-28.9,17.4,-28.8,17.2,-28.4,16.8,-28.1,16.3,-28.6,15.6,-27.8,15.2,-27.1,15,-26.1,14.7,-25.4,14.4,-23.9,14.4,-22.7,14.3,-22.1,13.9,-21.7,13.4,-20.9,12.8,-19.7,12.6,-19,11.8,-18.1,11.7,-17.3,12.2,-17.1,12.8,-16.9,13.5,-17,14.1,-17.4,14.2,-17.4,18.3,-17.3,19,-17.8,21.4,-17.9,23.2,-17.5,24,-17.3,24.7,-17.4,25.1,-17.6,25.1,-17.7,24.5,-17.9,24.2,-17.9,23.6,-18.3,23.2,-17.9,21.7,-18.2,20.9,-18.3,20.9,-21.8,19.9,-21.8,19.9,-24.8]]]],
+        ["SN","Senegal",[[[-16.7,13.6,-17.1,14.4,-17.6,14.7,-17.2,14.9,-16.7,15.6,-16.5,16.1,-16.1,16.5,-15.6,16.4,-15.1,16.6,-14.6,16.6,-14.1,16.3,-13.4,16,-12.8,15.3,-12.2,14.6,-12.1,14,-11.9,13.4,-11.6,13.1,-11.5,12.8,-11.5,12.4,-11.7,12.4,-12.2,12.5,-12.3,12.4,-12.5,12.3,-13.2,12.6,-13.7,12.6,-15.5,12.6,-15.8,12.5,-16.1,12.5,-16.7,12.4,-16.8,13.2,-15.9,13.1,-15.7,13.3,-15.5,13.3,-15.1,13.5,-14.7,13.3,-14.3,13.3,-13.8,13.5,-14,13.8,-14.4,13.6,-14.7,13.6,-15.1,13.9,-15.4,13.9,-15.6,13.6,-16.7,13.6]]]],
+        ["ML","Mali",[[[-11.5,12.4,-11.5,12.8,-11.6,13.1,-11.9,13.4,-12.1,14,-12.2,14.6,-11.8,14.8,-11.7,15.4,-11.3,15.4,-10.7,15.1,-10.1,15.3,-9.7,15.3,-9.5,15.5,-5.5,15.5,-5.3,16.2,-5.5,16.3,-6,20.6,-6.5,25,-4.9,25,-1.5,22.8,1.8,20.6,2.1,20.1,2.7,19.9,3.1,19.7,3.2,19.1,4.3,19.2,4.3,16.9,3.7,16.2,3.6,15.6,2.7,15.4,1.4,15.3,1,15,0.4,14.9,-0.3,14.9,-0.5,15.1,-1.1,15,-2,14.6,-2.2,14.2,-3,13.8,-3.1,13.5,-3.5,13.3,-4,13.5,-4.3,13.2,-4.4,12.5,-5.2,11.7,-5.2,11.4,-5.5,11,-5.4,10.4,-5.8,10.2,-6,10.1,-6.2,10.5,-6.5,10.4,-6.7,10.4,-6.8,10.1,-7.6,10.1,-7.9,10.3,-8,10.2,-8.3,10.5,-8.3,10.8,-8.4,10.9,-8.6,10.8,-8.6,11.1,-8.4,11.4,-8.8,11.8,-8.9,12.1,-9.1,12.3,-9.3,12.3,-9.6,12.2,-9.9,12.1,-10.2,11.8,-10.6,11.9,-10.9,12.2,-11,12.2,-11.3,12.1,-11.5,12.1,-11.5,12.4]]]],
+        ["MR","Mauritania",[[[-17.1,21,-16.8,21.3,-12.9,21.3,-13.1,22.8,-12.9,23.3,-11.9,23.4,-12,25.9,-8.7,25.9,-8.7,27.4,-4.9,25,-6.5,25,-6,20.6,-5.5,16.3,-5.3,16.2,-5.5,15.5,-9.5,15.5,-9.7,15.3,-10.1,15.3,-10.7,15.1,-11.3,15.4,-11.7,15.4,-11.8,14.8,-12.2,14.6,-12.8,15.3,-13.4,16,-14.1,16.3,-14.6,16.6,-15.1,16.6,-15.6,16.4,-16.1,16.5,-16.5,16.1,-16.6,16.7,-16.3,17.2,-16.1,18.1,-16.3,19.1,-16.4,19.6,-16.3,20.1,-16.5,20.6,-17.1,21]]]],
+        ["BJ","Benin",[[[2.7,6.3,1.9,6.1,1.6,6.8,1.7,9.1,1.5,9.3,1.4,9.8,1.1,10.2,0.8,10.5,0.9,11,1.2,11.1,1.4,11.5,1.9,11.6,2.2,11.9,2.5,12.2,2.8,12.2,3.6,11.7,3.6,11.3,3.8,10.7,3.6,10.3,3.7,10.1,3.2,9.4,2.9,9.1,2.7,8.5,2.7,7.9,2.7,6.3]]]],
+        ["NE","Niger",[[[14.9,22.9,15.1,21.3,15.5,21,15.5,20.7,15.9,20.4,15.7,20,15.3,17.9,15.2,16.6,14,15.7,13.5,14.4,14,14,14,13.4,14.6,13.3,14.5,12.9,14.2,12.8,14.2,12.5,14,12.5,13.3,13.6,13.1,13.6,12.3,13,11.5,13.3,11,13.4,10.7,13.2,10.1,13.3,9.5,12.9,9,12.8,7.8,13.3,7.3,13.1,6.8,13.1,6.4,13.5,5.4,13.9,4.4,13.7,4.1,13.5,4,13,3.7,12.6,3.6,11.7,2.8,12.2,2.5,12.2,2.2,11.9,2.2,12.6,1,12.9,1,13.3,0.4,14,0.3,14.4,0.4,14.9,1,15,1.4,15.3,2.7,15.4,3.6,15.6,3.7,16.2,4.3,16.9,4.3,19.2,5.7,19.6,8.6,21.6,12,23.5,13.6,23,14.1,22.5,14.9,22.9]]]],
+        ["NG","Nigeria",[[[2.7,6.3,2.7,7.9,2.7,8.5,2.9,9.1,3.2,9.4,3.7,10.1,3.6,10.3,3.8,10.7,3.6,11.3,3.6,11.7,3.7,12.6,4,13,4.1,13.5,4.4,13.7,5.4,13.9,6.4,13.5,6.8,13.1,7.3,13.1,7.8,13.3,9,12.8,9.5,12.9,10.1,13.3,10.7,13.2,11,13.4,11.5,13.3,12.3,13,13.1,13.6,13.3,13.6,14,12.5,14.2,12.5,14.6,12.1,14.5,11.9,14.4,11.6,13.6,10.8,13.3,10.2,13.2,9.6,13,9.4,12.8,8.7,12.2,8.3,12.1,7.8,11.8,7.4,11.7,7,11.1,6.6,10.5,7.1,10.1,7,9.5,6.5,9.2,6.4,8.8,5.5,8.5,4.8,7.5,4.4,7.1,4.5,6.7,4.2,5.9,4.3,5.4,4.9,5,5.6,4.3,6.3,3.6,6.3,2.7,6.3]]]],
+        ["CM","Cameroon",[[[14.5,12.9,14.9,12.2,15,11.6,14.9,10.9,15.5,10,14.9,10,14.6,9.9,14.2,10,14,9.5,14.5,9,15,8.8,15.1,8.4,15.4,7.7,15.3,7.4,14.8,6.4,14.5,6.2,14.5,5.5,14.6,5,14.5,4.7,15,4.2,15,3.9,15.4,3.3,15.9,3,15.9,2.6,16,2.3,15.9,1.7,15.1,2,14.3,2.2,13.1,2.3,13,2.3,12.4,2.2,11.8,2.3,11.3,2.3,9.6,2.3,9.8,3.1,9.4,3.7,8.9,3.9,8.7,4.4,8.5,4.5,8.5,4.8,8.8,5.5,9.2,6.4,9.5,6.5,10.1,7,10.5,7.1,11.1,6.6,11.7,7,11.8,7.4,12.1,7.8,12.2,8.3,12.8,8.7,13,9.4,13.2,9.6,13.3,10.2,13.6,10.8,14.4,11.6,14.5,11.9,14.6,12.1,14.2,12.5,14.2,12.8,14.5,12.9]]]],
+        ["TG","Togo",[[[0.9,11,0.8,10.5,1.1,10.2,1.4,9.8,1.5,9.3,1.7,9.1,1.6,6.8,1.9,6.1,1.1,5.9,0.8,6.3,0.6,6.9,0.5,7.4,0.7,8.3,0.5,8.7,0.4,9.5,0.4,10.2,0,10.7,0,11,0.9,11]]]],
+        ["GH","Ghana",[[[0,11,0,10.7,0.4,10.2,0.4,9.5,0.5,8.7,0.7,8.3,0.5,7.4,0.6,6.9,0.8,6.3,1.1,5.9,-0.5,5.3,-1.1,5,-2,4.7,-2.9,5,-2.8,5.4,-3.2,6.3,-3,7.4,-2.6,8.2,-2.8,9.6,-3,10.4,-2.9,11,-1.2,11,-0.8,10.9,-0.4,11.1,0,11]]]],
+        ["CI","Côte d'Ivoire",[[[-8,10.2,-7.9,10.3,-7.6,10.1,-6.8,10.1,-6.7,10.4,-6.5,10.4,-6.2,10.5,-6,10.1,-5.8,10.2,-5.4,10.4,-5,10.2,-4.8,9.8,-4.3,9.6,-4,9.9,-3.5,9.9,-2.8,9.6,-2.6,8.2,-3,7.4,-3.2,6.3,-2.8,5.4,-2.9,5,-3.3,5,-4,5.2,-4.6,5.2,-5.8,5,-6.5,4.7,-7.5,4.3,-7.7,4.4,-7.6,5.2,-7.5,5.3,-7.6,5.7,-8,6.1,-8.3,6.2,-8.6,6.5,-8.4,6.9,-8.5,7.4,-8.4,7.7,-8.3,7.7,-8.2,8.1,-8.3,8.3,-8.2,8.5,-7.8,8.6,-8.1,9.4,-8.3,9.8,-8.2,10.1,-8,10.2]]]],
+        ["GN","Guinea",[[[-13.7,12.6,-13.2,12.6,-12.5,12.3,-12.3,12.4,-12.2,12.5,-11.7,12.4,-11.5,12.4,-11.5,12.1,-11.3,12.1,-11,12.2,-10.9,12.2,-10.6,11.9,-10.2,11.8,-9.9,12.1,-9.6,12.2,-9.3,12.3,-9.1,12.3,-8.9,12.1,-8.8,11.8,-8.4,11.4,-8.6,11.1,-8.6,10.8,-8.4,10.9,-8.3,10.8,-8.3,10.5,-8,10.2,-8.2,10.1,-8.3,9.8,-8.1,9.4,-7.8,8.6,-8.2,8.5,-8.3,8.3,-8.2,8.1,-8.3,7.7,-8.4,7.7,-8.7,7.7,-8.9,7.3,-9.2,7.3,-9.4,7.5,-9.3,7.9,-9.8,8.5,-10,8.4,-10.2,8.4,-10.5,8.3,-10.5,8.7,-10.7,9,-10.6,9.3,-10.8,9.7,-11.1,10,-11.9,10,-12.2,9.9,-12.4,9.8,-12.6,9.6,-12.7,9.3,-13.2,8.9,-13.7,9.5,-14.1,9.9,-14.3,10,-14.6,10.2,-14.7,10.7,-14.8,10.9,-15.1,11,-14.7,11.5,-14.4,11.5,-14.1,11.7,-13.9,11.7,-13.7,11.8,-13.8,12.1,-13.7,12.2,-13.7,12.6]]]],
+        ["GW","Guinea-Bissau",[[[-16.7,12.4,-16.1,12.5,-15.8,12.5,-15.5,12.6,-13.7,12.6,-13.7,12.2,-13.8,12.1,-13.7,11.8,-13.9,11.7,-14.1,11.7,-14.4,11.5,-14.7,11.5,-15.1,11,-15.7,11.5,-16.1,11.5,-16.3,11.8,-16.3,12,-16.6,12.2,-16.7,12.4]]]],
+        ["LR","Liberia",[[[-8.4,7.7,-8.5,7.4,-8.4,6.9,-8.6,6.5,-8.3,6.2,-8,6.1,-7.6,5.7,-7.5,5.3,-7.6,5.2,-7.7,4.4,-8,4.4,-9,4.8,-9.9,5.6,-10.8,6.1,-11.4,6.8,-11.2,7.1,-11.1,7.4,-10.7,7.9,-10.2,8.4,-10,8.4,-9.8,8.5,-9.3,7.9,-9.4,7.5,-9.2,7.3,-8.9,7.3,-8.7,7.7,-8.4,7.7]]]],
+        ["SL","Sierra Leone",[[[-13.2,8.9,-12.7,9.3,-12.6,9.6,-12.4,9.8,-12.2,9.9,-11.9,10,-11.1,10,-10.8,9.7,-10.6,9.3,-10.7,9,-10.5,8.7,-10.5,8.3,-10.2,8.4,-10.7,7.9,-11.1,7.4,-11.2,7.1,-11.4,6.8,-11.7,6.9,-12.4,7.3,-12.9,7.8,-13.1,8.2,-13.2,8.9]]]],
+        ["BF","Burkina Faso",[[[-5.4,10.4,-5.5,11,-5.2,11.4,-5.2,11.7,-4.4,12.5,-4.3,13.2,-4,13.5,-3.5,13.3,-3.1,13.5,-3,13.8,-2.2,14.2,-2,14.6,-1.1,15,-0.5,15.1,-0.3,14.9,0.4,14.9,0.3,14.4,0.4,14,1,13.3,1,12.9,2.2,12.6,2.2,11.9,1.9,11.6,1.4,11.5,1.2,11.1,0.9,11,0,11,-0.4,11.1,-0.8,10.9,-1.2,11,-2.9,11,-3,10.4,-2.8,9.6,-3.5,9.9,-4,9.9,-4.3,9.6,-4.8,9.8,-5,10.2,-5.4,10.4]]]],
+        ["CF","Central African Republic",[[[27.4,5.2,27,5.1,26.4,5.2,25.7,5.3,25.3,5.2,25.1,4.9,24.8,4.9,24.4,5.1,23.3,4.6,22.8,4.7,22.7,4.6,22.4,4,21.7,4.2,20.9,4.3,20.3,4.7,19.5,5,18.9,4.7,18.5,4.2,18.5,3.5,17.8,3.6,17.1,3.7,16.5,3.2,16,2.3,15.9,2.6,15.9,3,15.4,3.3,15,3.9,15,4.2,14.5,4.7,14.6,5,14.5,5.5,14.5,6.2,14.8,6.4,15.3,7.4,16.1,7.5,16.3,7.8,16.5,7.7,16.7,7.5,18,7.9,18.4,8.3,18.9,8.6,18.8,9,19.1,9.1,20.1,9,21,9.5,21.7,10.6,22.2,11,22.9,11.1,23,10.7,23.6,10.1,23.6,9.7,23.4,9.3,23.5,9,23.8,8.7,24.6,8.2,25.1,7.8,25.1,7.5,25.8,7,26.2,6.5,26.5,5.9,27.2,5.6,27.4,5.2]]]],
+        ["CG","Congo (Brazzaville)",[[[18.5,3.5,18.4,2.9,18.1,2.4,17.9,1.7,17.8,0.9,17.8,0.3,17.7,-0.1,17.6,-0.4,17.5,-0.7,16.9,-1.2,16.4,-1.7,16,-2.7,16,-3.5,15.8,-3.9,15.2,-4.3,14.6,-5,14.2,-4.8,14.1,-4.5,13.6,-4.5,13.3,-4.9,13,-4.8,12.6,-4.4,12.3,-4.6,11.9,-5,11.1,-4,11.9,-3.4,11.5,-2.8,11.8,-2.5,12.5,-2.4,12.6,-1.9,13.1,-2.4,14,-2.5,14.3,-2,14.4,-1.3,14.3,-0.6,13.8,0,14.3,1.2,14,1.4,13.3,1.3,13,1.8,13.1,2.3,14.3,2.2,15.1,2,15.9,1.7,16,2.3,16.5,3.2,17.1,3.7,17.8,3.6,18.5,3.5]]]],
+        ["GA","Gabon",[[[11.3,2.3,11.8,2.3,12.4,2.2,13,2.3,13.1,2.3,13,1.8,13.3,1.3,14,1.4,14.3,1.2,13.8,0,14.3,-0.6,14.4,-1.3,14.3,-2,14,-2.5,13.1,-2.4,12.6,-1.9,12.5,-2.4,11.8,-2.5,11.5,-2.8,11.9,-3.4,11.1,-4,10.1,-3,9.4,-2.1,8.8,-1.1,8.8,-0.8,9,-0.5,9.3,0.3,9.5,1,9.8,1.1,11.3,1.1,11.3,2.3]]]],
+        ["GQ","Equatorial Guinea",[[[9.6,2.3,11.3,2.3,11.3,1.1,9.8,1.1,9.5,1,9.3,1.2,9.6,2.3]]]],
+        ["ZM","Zambia",[[[30.7,-8.3,31.2,-8.6,31.6,-8.8,32.2,-8.9,32.8,-9.2,33.2,-9.7,33.5,-10.5,33.3,-10.8,33.1,-11.6,33.3,-12.4,33,-12.8,32.7,-13.7,33.2,-14,30.2,-14.8,30.3,-15.5,29.5,-15.6,28.9,-16,28.8,-16.4,28.5,-16.5,27.6,-17.3,27,-17.9,26.7,-18,26.4,-17.8,25.3,-17.7,25.1,-17.7,25.1,-17.6,24.7,-17.4,24,-17.3,23.2,-17.5,22.6,-16.9,21.9,-16.1,21.9,-12.9,24,-12.9,23.9,-12.6,24.1,-12.2,23.9,-11.7,24,-11.2,23.9,-10.9,24.3,-11,24.3,-11.3,24.8,-11.2,25.4,-11.3,25.8,-11.8,26.6,-11.9,27.2,-11.6,27.4,-12.1,28.2,-12.3,28.5,-12.7,28.9,-13.2,29.7,-13.3,29.6,-12.2,29.3,-12.4,28.6,-12,28.4,-11.8,28.5,-10.8,28.7,-9.6,28.4,-9.2,28.7,-8.5,29,-8.4,30.3,-8.2,30.7,-8.3]]]],
+        ["MW","Malawi",[[[32.8,-9.2,33.7,-9.4,33.9,-9.7,34.3,-10.2,34.6,-11.5,34.3,-12.3,34.6,-13.6,34.9,-13.6,35.3,-13.9,35.7,-14.6,35.8,-15.9,35.3,-16.1,35,-16.8,34.4,-16.2,34.3,-15.5,34.5,-15,34.5,-14.6,34.1,-14.4,33.8,-14.5,33.2,-14,32.7,-13.7,33,-12.8,33.3,-12.4,33.1,-11.6,33.3,-10.8,33.5,-10.5,33.2,-9.7,32.8,-9.2]]]],
+        ["MZ","Mozambique",[[[34.6,-11.5,35.3,-11.4,36.5,-11.7,36.8,-11.6,37.5,-11.6,37.8,-11.3,38.4,-11.3,39.5,-10.9,40.3,-10.3,40.5,-10.8,40.4,-11.8,40.6,-12.6,40.6,-14.2,40.8,-14.7,40.5,-15.4,40.1,-16.1,39.5,-16.7,38.5,-17.1,37.4,-17.6,36.3,-18.7,35.9,-18.8,35.2,-19.6,34.8,-19.8,34.7,-20.5,35.2,-21.3,35.4,-21.8,35.4,-22.1,35.6,-22.1,35.5,-23.1,35.4,-23.5,35.6,-23.7,35.5,-24.1,35,-24.5,34.2,-24.8,33,-25.4,32.6,-25.7,32.7,-26.1,32.9,-26.2,32.8,-26.7,32.1,-26.7,32,-26.3,31.8,-25.8,31.8,-25.5,31.9,-24.4,31.7,-23.7,31.2,-22.3,32.2,-21.1,32.5,-20.4,32.7,-20.3,32.8,-19.7,32.6,-19.4,32.7,-18.7,32.8,-18,32.8,-16.7,32.3,-16.4,31.9,-16.3,31.6,-16.1,31.2,-15.9,30.3,-15.9,30.3,-15.5,30.2,-14.8,33.2,-14,33.8,-14.5,34.1,-14.4,34.5,-14.6,34.5,-15,34.3,-15.5,34.4,-16.2,35,-16.8,35.3,-16.1,35.8,-15.9,35.7,-14.6,35.3,-13.9,34.9,-13.6,34.6,-13.6,34.3,-12.3,34.6,-11.5]]]],
+        ["SZ","Swaziland",[[[32.1,-26.7,31.9,-27.2,31.3,-27.3,30.7,-26.7,30.7,-26.4,31,-26,31,-25.7,31.3,-25.7,31.8,-25.8,32,-26.3,32.1,-26.7]]]],
+        ["AO","Angola",[[[13,-4.8,12.6,-5,12.5,-5.2,12.4,-5.7,12.2,-5.8,11.9,-5,12.3,-4.6,12.6,-4.4,13,-4.8]],[[12.3,-6.1,12.7,-6,13,-6,13.4,-5.9,16.3,-5.9,16.6,-6.6,16.9,-7.2,17.1,-7.5,17.5,-8.1,18.1,-8,18.5,-7.8,19,-8,19.2,-7.7,19.4,-7.2,20,-7.1,20.1,-6.9,20.6,-6.9,20.5,-7.3,21.7,-7.3,21.7,-7.9,21.9,-8.3,21.8,-8.9,21.9,-9.5,22.2,-9.9,22.2,-11.1,22.4,-11,22.8,-11,23.5,-10.9,23.9,-10.9,24,-11.2,23.9,-11.7,24.1,-12.2,23.9,-12.6,24,-12.9,21.9,-12.9,21.9,-16.1,22.6,-16.9,23.2,-17.5,21.4,-17.9,19,-17.8,18.3,-17.3,14.2,-17.4,14.1,-17.4,13.5,-17,12.8,-16.9,12.2,-17.1,11.7,-17.3,11.6,-16.7,11.8,-15.8,12.1,-14.9,12.2,-14.4,12.5,-13.5,12.7,-13.1,13.3,-12.5,13.6,-12,13.7,-11.3,13.7,-10.7,13.4,-10.4,13.1,-9.8,12.9,-9.2,12.9,-9,13.2,-8.6,12.9,-7.6,12.7,-6.9,12.2,-6.3,12.3,-6.1]]]],
+        ["BI","Burundi",[[[30.5,-2.4,30.5,-2.8,30.7,-3,30.8,-3.4,30.5,-3.6,30.1,-4.1,29.8,-4.5,29.3,-4.5,29.3,-3.3,29,-2.8,29.6,-2.9,29.9,-2.3,30.5,-2.4]]]],
+        ["IL","Israel",[[[35.7,32.7,35.5,32.4,35.2,32.5,35,31.9,35.2,31.8,35,31.6,34.9,31.4,35.4,31.5,35.4,31.1,34.9,29.5,34.8,29.8,34.3,31.2,34.6,31.5,34.5,31.6,34.8,32.1,35,32.8,35.1,33.1,35.5,33.1,35.6,33.3,35.8,33.3,35.8,32.9,35.7,32.7]]]],
+        ["LB","Lebanon",[[[35.8,33.3,35.6,33.3,35.5,33.1,35.1,33.1,35.5,33.9,36,34.6,36.4,34.6,36.6,34.2,36.1,33.8,35.8,33.3]]]],
+        ["MG","Madagascar",[[[49.5,-12.5,49.8,-12.9,50.1,-13.6,50.2,-14.8,50.5,-15.2,50.4,-15.7,50.2,-16,49.9,-15.4,49.7,-15.7,49.9,-16.5,49.8,-16.9,49.5,-17.1,49.4,-18,49,-19.1,48.5,-20.5,47.9,-22.4,47.5,-23.8,47.1,-24.9,46.3,-25.2,45.4,-25.6,44.8,-25.3,44,-25,43.8,-24.5,43.7,-23.6,43.3,-22.8,43.3,-22.1,43.4,-21.3,43.9,-21.2,43.9,-20.8,44.4,-20.1,44.5,-19.4,44.2,-19,44,-18.3,44,-17.4,44.3,-16.9,44.4,-16.2,44.9,-16.2,45.5,-16,45.9,-15.8,46.3,-15.8,46.9,-15.2,47.7,-14.6,48,-14.1,47.9,-13.7,48.3,-13.8,48.8,-13.1,48.9,-12.5,49.2,-12,49.5,-12.5]]]],
+        ["PS","Palestine",[[[35.4,31.5,34.9,31.4,35,31.6,35.2,31.8,35,31.9,35.2,32.5,35.5,32.4,35.5,31.8,35.4,31.5]]]],
+        ["GM","The Gambia",[[[-16.7,13.6,-15.6,13.6,-15.4,13.9,-15.1,13.9,-14.7,13.6,-14.4,13.6,-14,13.8,-13.8,13.5,-14.3,13.3,-14.7,13.3,-15.1,13.5,-15.5,13.3,-15.7,13.3,-15.9,13.1,-16.8,13.2,-16.7,13.6]]]],
+        ["TN","Tunisia",[[[9.5,30.3,9.1,32.1,8.4,32.5,8.4,32.7,7.6,33.3,7.5,34.1,8.1,34.7,8.4,35.5,8.2,36.4,8.4,36.9,9.5,37.4,10.2,37.2,10.2,36.7,11,37.1,11.1,36.9,10.6,36.4,10.6,35.9,10.9,35.7,10.8,34.8,10.2,34.3,10.3,33.8,10.9,33.8,11.1,33.3,11.5,33.1,11.4,32.4,10.9,32.1,10.6,31.8,9.9,31.4,10.1,31,10,30.5,9.5,30.3]]]],
+        ["DZ","Algeria",[[[-8.7,27.4,-8.7,27.6,-8.7,27.7,-8.7,28.8,-7.1,29.6,-6.1,29.7,-5.2,30,-4.9,30.5,-3.7,30.9,-3.6,31.6,-3.1,31.7,-2.6,32.1,-1.3,32.3,-1.1,32.7,-1.4,32.9,-1.7,33.9,-1.8,34.5,-2.2,35.2,-1.2,35.7,-0.1,35.9,0.5,36.3,1.5,36.6,3.2,36.8,4.8,36.9,5.3,36.7,6.3,37.1,7.3,37.1,7.7,36.9,8.4,36.9,8.2,36.4,8.4,35.5,8.1,34.7,7.5,34.1,7.6,33.3,8.4,32.7,8.4,32.5,9.1,32.1,9.5,30.3,9.8,29.4,9.9,29,9.7,28.1,9.8,27.7,9.6,27.1,9.7,26.5,9.3,26.1,9.9,25.4,9.9,24.9,10.3,24.4,10.8,24.6,11.6,24.1,12,23.5,8.6,21.6,5.7,19.6,4.3,19.2,3.2,19.1,3.1,19.7,2.7,19.9,2.1,20.1,1.8,20.6,-1.5,22.8,-4.9,25,-8.7,27.4]]]],
+        ["JO","Jordan",[[[35.5,32.4,35.7,32.7,36.8,32.3,38.8,33.4,39.2,32.2,39,32,37,31.5,38,30.5,37.7,30.3,37.5,30,36.7,29.9,36.5,29.5,36.1,29.2,35,29.4,34.9,29.5,35.4,31.1,35.4,31.5,35.5,31.8,35.5,32.4]]]],
+        ["AE","United Arab Emirates",[[[51.6,24.2,51.8,24.3,51.8,24,52.6,24.2,53.4,24.2,54,24.1,54.7,24.8,55.4,25.4,56.1,26.1,56.3,25.7,56.4,24.9,55.9,24.9,55.8,24.3,56,24.1,55.5,23.9,55.5,23.5,55.2,23.1,55.2,22.7,55,22.5,52,23,51.6,24,51.6,24.2]]]],
+        ["QA","Qatar",[[[50.8,24.8,50.7,25.5,51,26,51.3,26.1,51.6,25.8,51.6,25.2,51.4,24.6,51.1,24.6,50.8,24.8]]]],
+        ["KW","Kuwait",[[[48,30,48.2,29.5,48.1,29.3,48.4,28.6,47.7,28.5,47.5,29,46.6,29.1,47.3,30.1,48,30]]]],
+        ["IQ","Iraq",[[[39.2,32.2,38.8,33.4,41,34.4,41.4,35.6,41.3,36.4,41.8,36.6,42.3,37.2,42.8,37.4,43.9,37.3,44.3,37,44.8,37.2,45.4,36,46.1,35.7,46.2,35.1,45.7,34.7,45.4,34,46.1,33,47.3,32.5,47.8,31.7,47.7,31,48,31,48,30.5,48.6,29.9,48,30,47.3,30.1,46.6,29.1,44.7,29.2,41.9,31.2,40.4,31.9,39.2,32.2]]]],
+        ["OM","Oman",[[[55.2,22.7,55.2,23.1,55.5,23.5,55.5,23.9,56,24.1,55.8,24.3,55.9,24.9,56.4,24.9,56.8,24.2,57.4,23.9,58.1,23.7,58.7,23.6,59.2,23,59.4,22.7,59.8,22.5,59.8,22.3,59.4,21.7,59.3,21.4,58.9,21.1,58.5,20.4,58,20.5,57.8,20.2,57.7,19.7,57.8,19.1,57.7,18.9,57.2,18.9,56.6,18.6,56.5,18.1,56.3,17.9,55.7,17.9,55.3,17.6,55.3,17.2,54.8,16.9,54.2,17,53.6,16.7,53.1,16.7,52.8,17.3,52,19,55,20,55.7,22,55.2,22.7]],[[56.3,25.7,56.1,26.1,56.4,26.4,56.5,26.3,56.4,25.9,56.3,25.7]]]],
+        ["VU","Vanuatu",[[[167.2,-15.9,167.8,-16.5,167.5,-16.6,167.2,-16.2,167.2,-15.9]],[[166.8,-15.7,166.7,-15.4,166.6,-14.6,167.1,-14.9,167.3,-15.7,167,-15.6,166.8,-15.7]]]],
+        ["KH","Cambodia",[[[102.6,12.2,102.3,13.4,103,14.2,104.3,14.4,105.2,14.3,106,13.9,106.5,14.6,107.4,14.2,107.6,13.5,107.5,12.3,105.8,11.6,106.2,11,105.2,10.9,104.3,10.5,103.5,10.6,103.1,11.2,102.6,12.2]]]],
+        ["TH","Thailand",[[[105.2,14.3,104.3,14.4,103,14.2,102.3,13.4,102.6,12.2,101.7,12.6,100.8,12.6,101,13.4,100.1,13.4,100,12.3,99.5,10.8,99.2,10,99.2,9.2,99.9,9.2,100.3,8.3,100.5,7.4,101,6.9,101.6,6.7,102.1,6.2,101.8,5.8,101.2,5.7,101.1,6.2,100.3,6.6,100.1,6.5,99.7,6.8,99.5,7.3,99,7.9,98.5,8.4,98.3,7.8,98.1,8.3,98.3,9,98.6,9.9,99,11,99.6,11.9,99.2,12.8,99.2,13.3,99.1,13.8,98.4,14.6,98.2,15.1,98.5,15.3,98.9,16.2,98.5,16.8,97.9,17.6,97.4,18.4,97.8,18.6,98.3,19.7,99,19.8,99.5,20.2,100.1,20.4,100.5,20.1,100.6,19.5,101.3,19.5,101,18.4,101.1,17.5,102.1,18.1,102.4,17.9,103,18,103.2,18.3,104,18.2,104.7,17.4,104.8,16.4,105.6,15.6,105.5,14.7,105.2,14.3]]]],
+        ["LA","Laos",[[[107.4,14.2,106.5,14.6,106,13.9,105.2,14.3,105.5,14.7,105.6,15.6,104.8,16.4,104.7,17.4,104,18.2,103.2,18.3,103,18,102.4,17.9,102.1,18.1,101.1,17.5,101,18.4,101.3,19.5,100.6,19.5,100.5,20.1,100.1,20.4,100.3,20.8,101.2,21.4,101.3,21.2,101.8,21.2,101.7,22.3,102.2,22.5,102.8,21.7,103.2,20.8,104.4,20.8,104.8,19.9,104.2,19.6,103.9,19.3,105.1,18.7,105.9,17.5,106.6,16.6,107.3,15.9,107.6,15.2,107.4,14.2]]]],
+        ["MM","Myanmar",[[[100.1,20.4,99.5,20.2,99,19.8,98.3,19.7,97.8,18.6,97.4,18.4,97.9,17.6,98.5,16.8,98.9,16.2,98.5,15.3,98.2,15.1,98.4,14.6,99.1,13.8,99.2,13.3,99.2,12.8,99.6,11.9,99,11,98.6,9.9,98.5,10.7,98.8,11.4,98.4,12,98.5,13.1,98.1,13.6,97.8,14.8,97.6,16.1,97.2,16.9,96.5,16.4,95.4,15.7,94.8,15.8,94.2,16,94.5,17.3,94.3,18.2,93.5,19.4,93.7,19.7,93.1,19.9,92.4,20.7,92.3,21.5,92.7,21.3,92.7,22,93.2,22.3,93.1,22.7,93.3,23,93.3,24.1,94.1,23.9,94.6,24.7,94.6,25.2,95.2,26,95.1,26.6,96.4,27.3,97.1,27.1,97.1,27.7,97.4,27.9,97.3,28.3,97.9,28.3,98.2,27.7,98.7,27.5,98.7,26.7,98.7,25.9,97.7,25.1,97.6,23.9,98.7,24.1,98.9,23.1,99.5,22.9,99.2,22.1,100,21.7,100.4,21.6,101.1,21.8,101.2,21.4,100.3,20.8,100.1,20.4]]]],
+        ["VN","Vietnam",[[[104.3,10.5,105.2,10.9,106.2,11,105.8,11.6,107.5,12.3,107.6,13.5,107.4,14.2,107.6,15.2,107.3,15.9,106.6,16.6,105.9,17.5,105.1,18.7,103.9,19.3,104.2,19.6,104.8,19.9,104.4,20.8,103.2,20.8,102.8,21.7,102.2,22.5,102.7,22.7,103.5,22.7,104.5,22.8,105.3,23.4,105.8,23,106.7,22.8,106.6,22.2,107,21.8,108,21.6,106.7,20.7,105.9,19.8,105.7,19.1,106.4,18,107.4,16.7,108.3,16.1,108.9,15.3,109.3,13.4,109.2,11.7,108.4,11,107.2,10.4,106.4,9.5,105.2,8.6,104.8,9.2,105.1,9.9,104.3,10.5]]]],
+        ["KP","North Korea",[[],[[130.6,42.4,130.8,42.2,130.4,42.3,130,41.9,129.7,41.6,129.7,40.9,129.2,40.7,129,40.5,128.6,40.2,128,40,127.5,39.8,127.5,39.3,127.4,39.2,127.8,39.1,128.4,38.6,128.2,38.4,127.8,38.3,127.1,38.3,126.7,37.8,126.2,37.8,126.2,37.7,125.7,37.9,125.6,37.8,125.3,37.7,125.2,37.9,125,37.9,124.7,38.1,125,38.5,125.2,38.7,125.1,38.8,125.4,39.4,125.3,39.6,124.7,39.7,124.3,39.9,125.1,40.6,126.2,41.1,126.9,41.8,127.3,41.5,128.2,41.5,128.1,42,129.6,42.4,130,43,130.6,42.4]]]],
+        ["KR","South Korea",[[[126.2,37.7,126.2,37.8,126.7,37.8,127.1,38.3,127.8,38.3,128.2,38.4,128.4,38.6,129.2,37.4,129.5,36.8,129.5,35.6,129.1,35.1,128.2,34.9,127.4,34.5,126.5,34.4,126.4,34.9,126.6,35.7,126.1,36.7,126.9,36.9,126.2,37.7]]]],
+        ["MN","Mongolia",[[[87.8,49.3,88.8,49.5,90.7,50.3,92.2,50.8,93.1,50.5,94.1,50.5,94.8,50,95.8,50,97.3,49.7,98.2,50.4,97.8,51,98.9,52,100,51.6,100.9,51.5,102.1,51.3,102.3,50.5,103.7,50.1,104.6,50.3,105.9,50.4,106.9,50.3,107.9,49.8,108.5,49.3,109.4,49.3,110.7,49.1,111.6,49.4,112.9,49.5,114.4,50.2,115,50.1,115.5,49.8,116.7,49.9,116.2,49.1,115.5,48.1,115.7,47.7,116.3,47.9,117.3,47.7,118.1,48.1,118.9,47.7,119.8,47,119.7,46.7,118.9,46.8,117.4,46.7,116.7,46.4,116,45.7,114.5,45.3,113.5,44.8,112.4,45,111.9,45.1,111.3,44.5,111.7,44.1,111.8,43.7,111.1,43.4,110.4,42.9,109.2,42.5,107.7,42.5,106.1,42.1,105,41.6,104.5,41.9,103.3,41.9,101.8,42.5,100.8,42.7,99.5,42.5,97.5,42.7,96.3,42.7,95.8,43.3,95.3,44.2,94.7,44.4,93.5,45,92.1,45.1,90.9,45.3,90.6,45.7,91,46.9,90.3,47.7,88.9,48.1,88,48.6,87.8,49.3]]]],
+        ["IN","India",[[[97.3,28.3,97.4,27.9,97.1,27.7,97.1,27.1,96.4,27.3,95.1,26.6,95.2,26,94.6,25.2,94.6,24.7,94.1,23.9,93.3,24.1,93.3,23,93.1,22.7,93.2,22.3,92.7,22,92.1,23.6,91.9,23.6,91.7,23,91.2,23.5,91.5,24.1,91.9,24.1,92.4,25,91.8,25.1,90.9,25.1,89.9,25.3,89.8,26,89.4,26,88.6,26.4,88.2,25.8,88.9,25.2,88.3,24.9,88.1,24.5,88.7,24.2,88.5,23.6,88.9,22.9,89,22.1,88.9,21.7,88.2,21.7,87,21.5,87,20.7,86.5,20.2,85.1,19.5,83.9,18.3,83.2,17.7,82.2,17,82.2,16.6,81.7,16.3,80.8,16,80.3,15.9,80,15.1,80.2,13.8,80.3,13,79.9,12.1,79.9,10.4,79.3,10.3,78.9,9.5,79.2,9.2,78.3,8.9,77.9,8.3,77.5,8,76.6,8.9,76.1,10.3,75.7,11.3,75.4,11.8,74.9,12.7,74.6,14,74.4,14.6,73.5,16,73.1,17.9,72.8,19.2,72.8,20.4,72.6,21.4,71.2,20.8,70.5,20.9,69.2,22.1,69.6,22.5,69.3,22.8,68.2,23.7,68.8,24.4,71,24.4,70.8,25.2,70.3,25.7,70.2,26.5,69.5,26.9,70.6,28,71.8,27.9,72.8,29,73.4,30,74.4,31,74.4,31.7,75.3,32.3,74.5,32.8,74.1,33.4,73.7,34.3,74.2,34.7,75.8,34.5,76.9,34.7,77.8,35.5,78.9,34.3,78.8,33.5,79.2,33,79.2,32.5,78.5,32.6,78.7,31.5,79.7,30.9,81.1,30.2,80.5,29.7,80.1,28.8,81.1,28.4,82,27.9,83.3,27.4,84.7,27.2,85.3,26.7,86,26.6,87.2,26.4,88.1,26.4,88.2,26.8,88,27.4,88.1,27.9,88.7,28.1,88.8,27.3,88.8,27.1,89.7,26.7,90.4,26.9,91.2,26.8,92,26.8,92.1,27.5,91.7,27.8,92.5,27.9,93.4,28.6,94.6,29.3,95.4,29,96.1,29.5,96.6,28.8,96.2,28.4,97.3,28.3]]]],
+        ["BD","Bangladesh",[[[92.7,22,92.7,21.3,92.3,21.5,92.4,20.7,92.1,21.2,92,21.7,91.8,22.2,91.4,22.8,90.5,22.8,90.6,22.4,90.3,21.8,89.8,22,89.7,21.9,89.4,22,89,22.1,88.9,22.9,88.5,23.6,88.7,24.2,88.1,24.5,88.3,24.9,88.9,25.2,88.2,25.8,88.6,26.4,89.4,26,89.8,26,89.9,25.3,90.9,25.1,91.8,25.1,92.4,25,91.9,24.1,91.5,24.1,91.2,23.5,91.7,23,91.9,23.6,92.1,23.6,92.7,22]]]],
+        ["BT","Bhutan",[[[91.7,27.8,92.1,27.5,92,26.8,91.2,26.8,90.4,26.9,89.7,26.7,88.8,27.1,88.8,27.3,89.5,28,90,28.3,90.7,28.1,91.3,28,91.7,27.8]]]],
+        ["NP","Nepal",[[[88.1,27.9,88,27.4,88.2,26.8,88.1,26.4,87.2,26.4,86,26.6,85.3,26.7,84.7,27.2,83.3,27.4,82,27.9,81.1,28.4,80.1,28.8,80.5,29.7,81.1,30.2,81.5,30.4,82.3,30.1,83.3,29.5,83.9,29.3,84.2,28.8,85,28.6,85.8,28.2,87,28,88.1,27.9]]]],
+        ["PK","Pakistan",[[[77.8,35.5,76.9,34.7,75.8,34.5,74.2,34.7,73.7,34.3,74.1,33.4,74.5,32.8,75.3,32.3,74.4,31.7,74.4,31,73.4,30,72.8,29,71.8,27.9,70.6,28,69.5,26.9,70.2,26.5,70.3,25.7,70.8,25.2,71,24.4,68.8,24.4,68.2,23.7,67.4,23.9,67.1,24.7,66.4,25.4,64.5,25.2,62.9,25.2,61.5,25.1,61.9,26.2,63.3,26.8,63.2,27.2,62.8,27.4,62.7,28.3,61.8,28.7,61.4,29.3,60.9,29.8,62.5,29.3,63.5,29.5,64.1,29.3,64.3,29.6,65,29.5,66.3,29.9,66.4,30.7,66.9,31.3,67.7,31.3,67.8,31.6,68.6,31.7,68.9,31.6,69.3,31.9,69.3,32.5,69.7,33.1,70.3,33.4,69.9,34,70.9,34,71.2,34.3,71.1,34.7,71.6,35.2,71.5,35.7,71.3,36.1,71.8,36.5,72.9,36.7,74.1,36.8,74.6,37,75.2,37.1,75.9,36.7,76.2,35.9,77.8,35.5]]]],
+        ["AF","Afghanistan",[[[66.5,37.4,67.1,37.4,67.8,37.1,68.1,37,68.9,37.3,69.2,37.2,69.5,37.6,70.1,37.6,70.3,37.7,70.4,38.1,70.8,38.5,71.3,38.3,71.2,38,71.5,37.9,71.4,37.1,71.8,36.7,72.2,36.9,72.6,37,73.3,37.5,74,37.4,75,37.4,75.2,37.1,74.6,37,74.1,36.8,72.9,36.7,71.8,36.5,71.3,36.1,71.5,35.7,71.6,35.2,71.1,34.7,71.2,34.3,70.9,34,69.9,34,70.3,33.4,69.7,33.1,69.3,32.5,69.3,31.9,68.9,31.6,68.6,31.7,67.8,31.6,67.7,31.3,66.9,31.3,66.4,30.7,66.3,29.9,65,29.5,64.3,29.6,64.1,29.3,63.5,29.5,62.5,29.3,60.9,29.8,61.8,30.7,61.7,31.4,60.9,31.5,60.9,32.2,60.5,33,61,33.5,60.5,33.7,60.8,34.4,61.2,35.6,62.2,35.3,63,35.4,63.2,35.9,64,36,64.5,36.3,64.7,37.1,65.6,37.3,65.7,37.7,66.2,37.4,66.5,37.4]]]],
+        ["TJ","Tajikistan",[[[67.8,37.1,68.4,38.2,68.2,38.9,67.4,39.1,67.7,39.6,68.5,39.5,69,40.1,69.3,40.7,70.7,41,70.5,40.5,70.6,40.2,71,40.2,70.6,39.9,69.6,40.1,69.5,39.5,70.5,39.6,71.8,39.3,73.7,39.4,73.9,38.5,74.3,38.6,74.9,38.4,74.8,38,75,37.4,74,37.4,73.3,37.5,72.6,37,72.2,36.9,71.8,36.7,71.4,37.1,71.5,37.9,71.2,38,71.3,38.3,70.8,38.5,70.4,38.1,70.3,37.7,70.1,37.6,69.5,37.6,69.2,37.2,68.9,37.3,68.1,37,67.8,37.1]]]],
+        ["KG","Kyrgyzstan",[[[71,42.3,71.2,42.7,71.8,42.8,73.5,42.5,73.6,43.1,74.2,43.3,75.6,42.9,76,43,77.7,43,79.1,42.9,79.6,42.5,80.3,42.4,80.1,42.1,78.5,41.6,78.2,41.2,76.9,41.1,76.5,40.4,75.5,40.6,74.8,40.4,73.8,39.9,74,39.7,73.7,39.4,71.8,39.3,70.5,39.6,69.5,39.5,69.6,40.1,70.6,39.9,71,40.2,71.8,40.1,73.1,40.9,71.9,41.4,71.2,41.1,70.4,41.5,71.3,42.2,71,42.3]]]],
+        ["TM","Turkmenistan",[[[52.5,41.8,52.9,42.1,54.1,42.3,54.8,42,55.5,41.3,56,41.3,57.1,41.3,56.9,41.8,57.8,42.2,58.6,42.8,60,42.2,60.1,41.4,60.5,41.2,61.5,41.3,61.9,41.1,62.4,40.1,63.5,39.4,64.2,38.9,65.2,38.4,66.5,38,66.5,37.4,66.2,37.4,65.7,37.7,65.6,37.3,64.7,37.1,64.5,36.3,64,36,63.2,35.9,63,35.4,62.2,35.3,61.2,35.6,61.1,36.5,60.4,36.5,59.2,37.4,58.4,37.5,57.3,38,56.6,38.1,56.2,37.9,55.5,38,54.8,37.4,53.9,37.2,53.7,37.9,53.9,39,53.1,39.3,53.4,40,52.7,40,52.9,40.9,53.9,40.6,54.7,41,54,41.6,53.7,42.1,52.9,41.9,52.8,41.1,52.5,41.8]]]],
+        ["IR","Iran",[[[48.6,29.9,48,30.5,48,31,47.7,31,47.8,31.7,47.3,32.5,46.1,33,45.4,34,45.7,34.7,46.2,35.1,46.1,35.7,45.4,36,44.8,37.2,44.2,38,44.4,38.3,44.1,39.4,44.8,39.7,45,39.3,45.5,38.9,46.1,38.7,46.5,38.8,47.7,39.5,48.1,39.6,48.4,39.3,48,38.8,48.6,38.3,48.9,38.3,49.2,37.6,50.1,37.4,50.8,36.9,52.3,36.7,53.8,37,53.9,37.2,54.8,37.4,55.5,38,56.2,37.9,56.6,38.1,57.3,38,58.4,37.5,59.2,37.4,60.4,36.5,61.1,36.5,61.2,35.6,60.8,34.4,60.5,33.7,61,33.5,60.5,33,60.9,32.2,60.9,31.5,61.7,31.4,61.8,30.7,60.9,29.8,61.4,29.3,61.8,28.7,62.7,28.3,62.8,27.4,63.2,27.2,63.3,26.8,61.9,26.2,61.5,25.1,59.6,25.4,58.5,25.6,57.4,25.7,57,27,56.5,27.1,55.7,27,54.7,26.5,53.5,26.8,52.5,27.6,51.5,27.9,50.9,28.8,50.1,30.1,49.6,30,48.9,30.3,48.6,29.9]]]],
+        ["SY","Syria",[[[35.7,32.7,35.8,32.9,35.8,33.3,36.1,33.8,36.6,34.2,36.4,34.6,36,34.6,35.9,35.4,36.1,35.8,36.4,36,36.7,36.3,36.7,36.8,37.1,36.6,38.2,36.9,38.7,36.7,39.5,36.7,40.7,37.1,41.2,37.1,42.3,37.2,41.8,36.6,41.3,36.4,41.4,35.6,41,34.4,38.8,33.4,36.8,32.3,35.7,32.7]]]],
+        ["AM","Armenia",[[[46.5,38.8,46.1,38.7,45.7,39.3,45.7,39.5,45.3,39.5,45,39.7,44.8,39.7,44.4,40,43.7,40.3,43.8,40.7,43.6,41.1,45,41.2,45.2,41,45.6,40.8,45.4,40.6,45.9,40.2,45.6,39.9,46,39.6,46.5,39.5,46.5,38.8]]]],
+        ["SE","Sweden",[[[11,58.9,11.5,59.4,12.3,60.1,12.6,61.3,12,61.8,11.9,63.1,12.6,64.1,13.6,64,13.9,64.4,13.6,64.8,15.1,66.2,16.1,67.3,16.8,68,17.7,68,18,68.6,19.9,68.4,20,69.1,20.6,69.1,22,68.6,23.5,67.9,23.6,66.4,23.9,66,22.2,65.7,21.2,65,21.4,64.4,19.8,63.6,17.8,62.7,17.1,61.3,17.8,60.6,18.8,60.1,17.9,59,16.8,58.7,16.4,57,15.9,56.1,14.7,56.2,14.1,55.4,12.9,55.4,12.6,56.3,11.8,57.4,11,58.9]]]],
+        ["BY","Belarus",[[[28.2,56.2,29.2,55.9,29.4,55.7,29.9,55.8,30.9,55.6,31,55.1,30.8,54.8,31.4,54.2,31.8,54,31.7,53.8,32.4,53.6,32.7,53.4,32.3,53.1,31.5,53.2,31.3,53.1,31.5,52.7,31.8,52.1,30.9,52,30.6,51.8,30.6,51.3,30.2,51.4,29.3,51.4,29,51.6,28.6,51.4,28.2,51.6,27.5,51.6,26.3,51.8,25.3,51.9,24.6,51.9,24,51.6,23.5,51.6,23.5,52,23.2,52.5,23.8,52.7,23.8,53.1,23.5,53.5,23.5,53.9,24.4,53.9,25.5,54.3,25.8,54.8,26.6,55.2,26.5,55.6,27.1,55.8,28.2,56.2]]]],
+        ["UA","Ukraine",[[[31.8,52.1,32.2,52.1,32.4,52.3,32.7,52.2,33.8,52.3,34.4,51.8,34.1,51.6,34.2,51.3,35,51.2,35.4,50.8,35.4,50.6,36.6,50.2,37.4,50.4,38,49.9,38.6,49.9,40.1,49.6,40.1,49.3,39.7,48.8,39.9,48.2,39.7,47.9,38.8,47.8,38.3,47.5,38.2,47.1,37.4,47,36.8,46.7,35.8,46.6,35,46.3,35,45.7,34.9,45.8,34.7,46,34.4,46,33.7,46.2,33.4,46,33.3,46.1,31.7,46.3,31.7,46.7,30.7,46.6,30.4,46,29.6,45.3,29.2,45.5,28.7,45.3,28.2,45.5,28.5,45.6,28.7,45.9,28.9,46.3,28.9,46.4,29.1,46.5,29.2,46.4,29.8,46.3,30,46.4,29.8,46.5,29.9,46.7,29.6,46.9,29.4,47.3,29.1,47.5,29.1,47.8,28.7,48.1,28.3,48.2,27.5,48.5,26.9,48.4,26.6,48.2,26.2,48.2,25.9,48,25.2,47.9,24.9,47.7,24.4,48,23.8,48,23.1,48.1,22.7,47.9,22.6,48.2,22.1,48.4,22.3,48.8,22.6,49.1,22.8,49,22.5,49.5,23.4,50.3,23.9,50.4,24,50.7,23.5,51.6,24,51.6,24.6,51.9,25.3,51.9,26.3,51.8,27.5,51.6,28.2,51.6,28.6,51.4,29,51.6,29.3,51.4,30.2,51.4,30.6,51.3,30.6,51.8,30.9,52,31.8,52.1]]]],
+        ["PL","Poland",[[[23.5,53.9,23.5,53.5,23.8,53.1,23.8,52.7,23.2,52.5,23.5,52,23.5,51.6,24,50.7,23.9,50.4,23.4,50.3,22.5,49.5,22.8,49,22.6,49.1,21.6,49.5,20.9,49.3,20.4,49.4,19.8,49.2,19.3,49.6,18.9,49.4,18.9,49.5,18.4,50,17.6,50,17.6,50.4,16.9,50.5,16.7,50.2,16.2,50.4,16.2,50.7,15.5,50.8,15,51.1,14.6,51.7,14.7,52.1,14.4,52.6,14.1,53,14.4,53.2,14.1,53.8,14.8,54.1,16.4,54.5,17.6,54.9,18.6,54.7,18.7,54.4,19.7,54.4,20.9,54.3,22.7,54.3,23.2,54.2,23.5,53.9]]]],
+        ["AT","Austria",[[[17,48.1,16.9,47.7,16.3,47.7,16.5,47.5,16.2,46.9,16,46.7,15.1,46.7,14.6,46.4,13.8,46.5,12.4,46.8,12.2,47.1,11.2,46.9,11.1,46.8,10.4,46.9,9.9,46.9,9.5,47.1,9.6,47.3,9.6,47.5,9.9,47.6,10.4,47.3,10.5,47.6,11.4,47.5,12.1,47.7,12.6,47.7,12.9,47.5,13,47.6,12.9,48.3,13.2,48.4,13.6,48.9,14.3,48.6,14.9,49,15.3,49,16,48.7,16.5,48.8,17,48.6,16.9,48.5,17,48.1]]]],
+        ["HU","Hungary",[[[22.1,48.4,22.6,48.2,22.7,47.9,22.1,47.7,21.6,47,21,46.3,20.2,46.1,19.6,46.2,18.8,45.9,18.5,45.8,17.6,46,16.9,46.4,16.6,46.5,16.4,46.8,16.2,46.9,16.5,47.5,16.3,47.7,16.9,47.7,17,48.1,17.5,47.9,17.9,47.8,18.7,47.9,18.8,48.1,19.2,48.1,19.7,48.3,19.8,48.2,20.2,48.3,20.5,48.6,20.8,48.6,21.9,48.3,22.1,48.4]]]],
+        ["MD","Moldova",[[[26.6,48.2,26.9,48.4,27.5,48.5,28.3,48.2,28.7,48.1,29.1,47.8,29.1,47.5,29.4,47.3,29.6,46.9,29.9,46.7,29.8,46.5,30,46.4,29.8,46.3,29.2,46.4,29.1,46.5,28.9,46.4,28.9,46.3,28.7,45.9,28.5,45.6,28.2,45.5,28.1,45.9,28.2,46.4,28.1,46.8,27.6,47.4,27.2,47.8,26.9,48.1,26.6,48.2]]]],
+        ["RO","Romania",[[[28.2,45.5,28.7,45.3,29.2,45.5,29.6,45.3,29.6,45,29.1,44.8,28.8,44.9,28.6,43.7,28,43.8,27.2,44.2,26.1,43.9,25.6,43.7,24.1,43.7,23.3,43.9,22.9,43.8,22.7,44.2,22.5,44.4,22.7,44.6,22.5,44.7,22.1,44.5,21.6,44.8,21.5,45.2,20.9,45.4,20.8,45.7,20.2,46.1,21,46.3,21.6,47,22.1,47.7,22.7,47.9,23.1,48.1,23.8,48,24.4,48,24.9,47.7,25.2,47.9,25.9,48,26.2,48.2,26.6,48.2,26.9,48.1,27.2,47.8,27.6,47.4,28.1,46.8,28.2,46.4,28.1,45.9,28.2,45.5]]]],
+        ["LT","Lithuania",[[[26.5,55.6,26.6,55.2,25.8,54.8,25.5,54.3,24.4,53.9,23.5,53.9,23.2,54.2,22.7,54.3,22.6,54.6,22.8,54.9,22.3,55,21.3,55.2,21.1,56,22.2,56.3,23.9,56.3,24.9,56.4,25,56.2,25.5,56.1,26.5,55.6]]]],
+        ["LV","Latvia",[[[27.3,57.5,27.8,57.2,27.9,56.8,28.2,56.2,27.1,55.8,26.5,55.6,25.5,56.1,25,56.2,24.9,56.4,23.9,56.3,22.2,56.3,21.1,56,21.1,56.8,21.6,57.4,22.5,57.8,23.3,57,24.1,57,24.3,57.8,25.2,58,25.6,57.8,26.5,57.5,27.3,57.5]]]],
+        ["EE","Estonia",[[[28,59.5,28.1,59.3,27.4,58.7,27.7,57.8,27.3,57.5,26.5,57.5,25.6,57.8,25.2,58,24.3,57.8,24.4,58.4,24.1,58.3,23.4,58.6,23.3,59.2,24.6,59.5,25.9,59.6,26.9,59.4,28,59.5]]]],
+        ["DE","Germany",[[[14.1,53.8,14.4,53.2,14.1,53,14.4,52.6,14.7,52.1,14.6,51.7,15,51.1,14.6,51,14.3,51.1,14.1,50.9,13.3,50.7,13,50.5,12.2,50.3,12.4,50,12.5,49.5,13,49.3,13.6,48.9,13.2,48.4,12.9,48.3,13,47.6,12.9,47.5,12.6,47.7,12.1,47.7,11.4,47.5,10.5,47.6,10.4,47.3,9.9,47.6,9.6,47.5,8.5,47.8,8.3,47.6,7.5,47.6,7.6,48.3,8.1,49,6.7,49.2,6.2,49.5,6.2,49.9,6,50.1,6.2,50.8,6,51.9,6.6,51.9,6.8,52.2,7.1,53.1,6.9,53.5,7.1,53.7,7.9,53.7,8.1,53.5,8.8,54,8.6,54.4,8.5,55,9.3,54.8,9.9,55,9.9,54.6,10.9,54.4,10.9,54,12,54.2,12.5,54.5,13.6,54.1,14.1,53.8]]]],
+        ["BG","Bulgaria",[[[22.7,44.2,22.9,43.8,23.3,43.9,24.1,43.7,25.6,43.7,26.1,43.9,27.2,44.2,28,43.8,28.6,43.7,28,43.3,27.7,42.6,28,42,27.1,42.1,26.1,41.8,26.1,41.3,25.2,41.2,24.5,41.6,23.7,41.3,23,41.3,22.9,42,22.4,42.3,22.5,42.5,22.4,42.6,22.6,42.9,23,43.2,22.5,43.6,22.4,44,22.7,44.2]]]],
+        ["GR","Greece",[[[26.3,35.3,26.2,35,24.7,34.9,24.7,35.1,23.5,35.3,23.7,35.7,24.2,35.4,25,35.4,25.8,35.4,25.7,35.2,26.3,35.3]],[[23,41.3,23.7,41.3,24.5,41.6,25.2,41.2,26.1,41.3,26.1,41.8,26.6,41.6,26.3,40.9,26.1,40.8,25.4,40.9,24.9,40.9,23.7,40.7,24.4,40.1,23.9,40,23.3,40,22.8,40.5,22.6,40.3,22.9,39.7,23.4,39.2,23,39,23.5,38.5,24,38.2,24,37.7,23.1,37.9,23.4,37.4,22.8,37.3,23.2,36.4,22.5,36.4,21.7,36.8,21.3,37.6,21.1,38.3,20.7,38.8,20.2,39.3,20.2,39.6,20.6,40.1,20.7,40.4,21,40.6,21,40.8,21.7,40.9,22.1,41.2,22.6,41.1,22.8,41.3,23,41.3]]]],
+        ["TR","Turkey",[[[44.8,37.2,44.3,37,43.9,37.3,42.8,37.4,42.3,37.2,41.2,37.1,40.7,37.1,39.5,36.7,38.7,36.7,38.2,36.9,37.1,36.6,36.7,36.8,36.7,36.3,36.4,36,36.1,35.8,35.8,36.3,36.2,36.7,35.6,36.6,34.7,36.8,34,36.2,32.5,36.1,31.7,36.6,30.6,36.7,30.4,36.3,29.7,36.1,28.7,36.7,27.6,36.7,27,37.7,26.3,38.2,26.8,39,26.2,39.5,27.3,40.4,28.8,40.5,29.2,41.2,31.1,41.1,32.3,41.7,33.5,42,35.2,42,36.9,41.3,38.3,40.9,39.5,41.1,40.4,41,41.6,41.5,42.6,41.6,43.6,41.1,43.8,40.7,43.7,40.3,44.4,40,44.8,39.7,44.1,39.4,44.4,38.3,44.2,38,44.8,37.2]],[[26.1,41.8,27.1,42.1,28,42,28.1,41.6,29,41.3,28.8,41.1,27.6,41,27.2,40.7,26.4,40.2,26,40.6,26.1,40.8,26.3,40.9,26.6,41.6,26.1,41.8]]]],
+        ["AL","Albania",[[[21,40.8,21,40.6,20.7,40.4,20.6,40.1,20.2,39.6,20,39.7,20,39.9,19.4,40.3,19.3,40.7,19.4,41.4,19.5,41.7,19.4,41.9,19.3,42.2,19.7,42.7,19.8,42.5,20.1,42.6,20.3,42.3,20.5,42.2,20.6,41.9,20.5,41.5,20.6,41.1,21,40.8]]]],
+        ["HR","Croatia",[[[16.6,46.5,16.9,46.4,17.6,46,18.5,45.8,18.8,45.9,19.1,45.5,19.4,45.2,19,44.9,18.6,45.1,17.9,45.1,17,45.2,16.5,45.2,16.3,45,16,45.2,15.7,44.8,16.2,44.4,16.5,44,16.9,43.7,17.3,43.4,17.7,43,18.6,42.6,18.4,42.5,17.5,42.8,16.9,43.2,16,43.5,15.2,44.2,15.4,44.3,14.9,44.7,14.9,45.1,14.3,45.2,14,44.8,13.7,45.1,13.7,45.5,14.4,45.5,14.6,45.6,14.9,45.5,15.3,45.5,15.3,45.7,15.7,45.8,15.8,46.2,16.6,46.5]]]],
+        ["CH","Switzerland",[[[9.6,47.5,9.6,47.3,9.5,47.1,9.9,46.9,10.4,46.9,10.4,46.5,9.9,46.3,9.2,46.4,9,46,8.5,46,8.3,46.2,7.8,45.8,7.3,45.8,6.8,46,6.5,46.4,6,46.3,6,46.7,6.8,47.3,6.7,47.5,7.2,47.4,7.5,47.6,8.3,47.6,8.5,47.8,9.6,47.5]]]],
+        ["LU","Luxembourg",[[[6,50.1,6.2,49.9,6.2,49.5,5.9,49.4,5.7,49.5,5.8,50.1,6,50.1]]]],
+        ["BE","Belgium",[[[6.2,50.8,6,50.1,5.8,50.1,5.7,49.5,4.8,50,4.3,49.9,3.6,50.4,3.1,50.8,2.7,50.8,2.5,51.1,3.3,51.3,4,51.3,5,51.5,5.6,51,6.2,50.8]]]],
+        ["NL","Netherlands",[[[6.9,53.5,7.1,53.1,6.8,52.2,6.6,51.9,6,51.9,6.2,50.8,5.6,51,5,51.5,4,51.3,3.3,51.3,3.8,51.6,4.7,53.1,6.1,53.5,6.9,53.5]]]],
+        ["PT","Portugal",[[[-9,41.9,-8.7,42.1,-8.3,42.3,-8,41.8,-7.4,41.8,-7.3,41.9,-6.7,41.9,-6.4,41.4,-6.9,41.1,-6.9,40.3,-7,40.2,-7.1,39.7,-7.5,39.6,-7.1,39,-7.4,38.4,-7,38.1,-7.2,37.8,-7.5,37.4,-7.5,37.1,-7.9,36.8,-8.4,37,-8.9,36.9,-8.7,37.7,-8.8,38.3,-9.3,38.4,-9.5,38.7,-9.4,39.4,-9,39.8,-9,40.2,-8.8,40.8,-8.8,41.2,-9,41.5,-9,41.9]]]],
+        ["ES","Spain",[[[-7.5,37.1,-7.5,37.4,-7.2,37.8,-7,38.1,-7.4,38.4,-7.1,39,-7.5,39.6,-7.1,39.7,-7,40.2,-6.9,40.3,-6.9,41.1,-6.4,41.4,-6.7,41.9,-7.3,41.9,-7.4,41.8,-8,41.8,-8.3,42.3,-8.7,42.1,-9,41.9,-9,42.6,-9.4,43,-8,43.7,-6.8,43.6,-5.4,43.6,-4.3,43.4,-3.5,43.5,-1.9,43.4,-1.5,43,0.3,42.6,0.7,42.8,1.8,42.3,3,42.5,3,41.9,2.1,41.2,0.8,41,0.7,40.7,0.1,40.1,-0.3,39.3,0.1,38.7,-0.5,38.3,-0.7,37.6,-1.4,37.4,-2.1,36.7,-3.4,36.7,-4.4,36.7,-5,36.3,-5.4,35.9,-5.9,36,-6.2,36.4,-6.5,36.9,-7.5,37.1]]]],
+        ["IE","Ireland",[[[-6.2,53.9,-6,53.2,-6.8,52.3,-8.6,51.7,-10,51.8,-9.2,52.9,-9.7,53.9,-8.3,54.7,-7.6,55.1,-7.4,54.6,-7.6,54.1,-7,54.1,-6.2,53.9]]]],
+        ["NC","New Caledonia",[[[165.8,-21.1,166.6,-21.7,167.1,-22.2,166.7,-22.4,166.2,-22.1,165.5,-21.7,164.8,-21.1,164.2,-20.4,164,-20.1,164.5,-20.1,165,-20.5,165.5,-20.8,165.8,-21.1]]]],
+        ["SB","Solomon Islands",[[[162.1,-10.5,162.4,-10.8,161.7,-10.8,161.3,-10.2,161.9,-10.4,162.1,-10.5]],[[161.7,-9.6,161.5,-9.8,160.8,-8.9,160.6,-8.3,160.9,-8.3,161.3,-9.1,161.7,-9.6]],[[160.9,-9.9,160.5,-9.9,159.9,-9.8,159.6,-9.6,159.7,-9.2,160.4,-9.4,160.7,-9.6,160.9,-9.9]],[[159.6,-8,159.9,-8.3,159.9,-8.5,159.1,-8.1,158.6,-7.8,158.2,-7.4,158.4,-7.3,158.8,-7.6,159.6,-8]],[[157.1,-7,157.5,-7.3,157.3,-7.4,156.9,-7.2,156.5,-6.8,156.5,-6.6,157.1,-7]]]],
+        ["NZ","New Zealand",[[[176.9,-40.1,176.5,-40.6,176,-41.3,175.2,-41.7,175.1,-41.4,174.7,-41.3,175.2,-40.5,174.9,-39.9,173.8,-39.5,173.9,-39.1,174.6,-38.8,174.7,-38,174.7,-37.4,174.3,-36.7,174.3,-36.5,173.8,-36.1,173.1,-35.2,172.6,-34.5,173,-34.5,173.6,-35,174.3,-35.3,174.6,-36.2,175.3,-37.2,175.4,-36.5,175.8,-36.8,176,-37.6,176.8,-37.9,177.4,-38,178,-37.6,178.5,-37.7,178.3,-38.6,178,-39.2,177.2,-39.1,176.9,-39.4,177,-39.9,176.9,-40.1]],[[169.7,-43.6,170.5,-43,171.1,-42.5,171.6,-41.8,172,-41.5,172.1,-41,172.8,-40.5,173,-40.9,173.2,-41.3,174,-40.9,174.2,-41.3,174.2,-41.8,173.9,-42.2,173.2,-43,172.7,-43.4,173.1,-43.9,172.3,-43.9,171.5,-44.2,171.2,-44.9,170.6,-45.9,169.8,-46.4,169.3,-46.6,168.4,-46.6,167.8,-46.3,166.7,-46.2,166.5,-45.9,167,-45.1,168.3,-44.1,168.9,-43.9,169.7,-43.6]]]],
+        ["AU","Australia",[[[147.7,-40.8,148.3,-40.9,148.4,-42.1,148,-42.4,147.9,-43.2,147.6,-42.9,146.9,-43.6,146.7,-43.6,146,-43.5,145.4,-42.7,145.3,-42,144.7,-41.2,144.7,-40.7,145.4,-40.8,146.4,-41.1,146.9,-41,147.7,-40.8]],[[126.1,-32.2,125.1,-32.7,124.2,-33,124,-33.5,123.7,-33.9,122.8,-33.9,122.2,-34,121.3,-33.8,120.6,-33.9,119.9,-34,119.3,-34.5,119,-34.5,118.5,-34.7,118,-35.1,117.3,-35,116.6,-35,115.6,-34.4,115,-34.2,115,-33.6,115.5,-33.5,115.7,-33.3,115.7,-32.9,115.8,-32.2,115.7,-31.6,115.2,-30.6,115,-30,115,-29.5,114.6,-28.8,114.6,-28.5,114.2,-28.1,114,-27.3,113.5,-26.5,113.3,-26.1,113.8,-26.5,113.4,-25.6,113.9,-25.9,114.2,-26.3,114.2,-25.8,113.7,-25,113.6,-24.7,113.4,-24.4,113.5,-23.8,113.7,-23.6,113.8,-23.1,113.7,-22.5,114.1,-21.8,114.2,-22.5,114.6,-21.8,115.5,-21.5,115.9,-21.1,116.7,-20.7,117.2,-20.6,117.4,-20.7,118.2,-20.4,118.8,-20.3,119,-20,119.3,-20,119.8,-20,120.9,-19.7,121.4,-19.2,121.7,-18.7,122.2,-18.2,122.3,-17.8,122.3,-17.3,123,-16.4,123.4,-17.3,123.9,-17.1,123.5,-16.6,123.8,-16.1,124.3,-16.3,124.4,-15.6,124.9,-15.1,125.2,-14.7,125.7,-14.5,125.7,-14.2,126.1,-14.3,126.1,-14.1,126.6,-14,127.1,-13.8,127.8,-14.3,128.4,-14.9,129,-14.9,129.6,-15,129.4,-14.4,129.9,-13.6,130.3,-13.4,130.2,-13.1,130.6,-12.5,131.2,-12.2,131.7,-12.3,132.6,-12.1,132.6,-11.6,131.8,-11.3,132.4,-11.1,133,-11.4,133.6,-11.8,134.4,-12,134.7,-11.9,135.3,-12.2,135.9,-12,136.3,-12,136.5,-11.9,137,-12.4,136.7,-12.9,136.3,-13.3,136,-13.3,136.1,-13.7,135.8,-14.2,135.4,-14.7,135.5,-15,136.3,-15.6,137.1,-15.9,137.6,-16.2,138.3,-16.8,138.6,-16.8,139.1,-17.1,139.3,-17.4,140.2,-17.7,140.9,-17.4,141.1,-16.8,141.3,-16.4,141.4,-15.8,141.7,-15,141.6,-14.6,141.6,-14.3,141.5,-13.7,141.7,-12.9,141.8,-12.7,141.7,-12.4,141.9,-11.9,142.1,-11.3,142.1,-11,142.5,-10.7,142.8,-11.2,142.9,-11.8,143.1,-11.9,143.2,-12.3,143.5,-12.8,143.6,-13.4,143.6,-13.8,143.9,-14.5,144.6,-14.2,144.9,-14.6,145.4,-15,145.3,-15.4,145.5,-16.3,145.6,-16.8,145.9,-16.9,146.2,-17.8,146.1,-18.3,146.4,-19,147.5,-19.5,148.2,-20,148.8,-20.4,148.7,-20.6,149.3,-21.3,149.7,-22.3,150.1,-22.1,150.5,-22.6,150.7,-22.4,150.9,-23.5,151.6,-24.1,152.1,-24.5,152.9,-25.3,153.1,-26.1,153.2,-26.6,153.1,-27.3,153.6,-28.1,153.5,-29,153.3,-29.5,153.1,-30.4,153.1,-30.9,152.9,-31.6,152.4,-32.6,151.7,-33,151.3,-33.8,151,-34.3,150.7,-35.2,150.3,-35.7,150.1,-36.4,149.9,-37.1,150,-37.4,149.4,-37.8,148.3,-37.8,147.4,-38.2,146.9,-38.6,146.3,-39,145.5,-38.6,144.9,-38.4,145,-37.9,144.5,-38.1,143.6,-38.8,142.7,-38.5,142.2,-38.4,141.6,-38.3,140.6,-38,140,-37.4,139.8,-36.6,139.6,-36.1,139.1,-35.7,138.1,-35.6,138.4,-35.1,138.2,-34.4,137.7,-35.1,136.8,-35.3,137.4,-34.7,137.5,-34.1,137.9,-33.6,137.8,-32.9,137,-33.8,136.4,-34.1,136,-34.9,135.2,-34.5,135.2,-33.9,134.6,-33.2,134.1,-32.8,134.3,-32.6,133,-32,132.3,-32,131.3,-31.5,129.5,-31.6,128.2,-31.9,127.1,-32.3,126.1,-32.2]]]],
+        ["LK","Sri Lanka",[[[81.8,7.5,81.6,6.5,81.2,6.2,80.3,6,79.9,6.8,79.7,8.2,80.1,9.8,80.8,9.3,81.3,8.6,81.8,7.5]]]],
+        ["CN","China",[[[109.5,18.2,108.7,18.5,108.6,19.4,109.1,19.8,110.2,20.1,110.8,20.1,111,19.7,110.6,19.3,110.3,18.7,109.5,18.2]],[[80.3,42.4,80.2,42.9,80.9,43.2,80,44.9,81.9,45.3,82.5,45.5,83.2,47.3,85.2,47,85.7,47.5,85.8,48.5,86.6,48.5,87.4,49.2,87.8,49.3,88,48.6,88.9,48.1,90.3,47.7,91,46.9,90.6,45.7,90.9,45.3,92.1,45.1,93.5,45,94.7,44.4,95.3,44.2,95.8,43.3,96.3,42.7,97.5,42.7,99.5,42.5,100.8,42.7,101.8,42.5,103.3,41.9,104.5,41.9,105,41.6,106.1,42.1,107.7,42.5,109.2,42.5,110.4,42.9,111.1,43.4,111.8,43.7,111.7,44.1,111.3,44.5,111.9,45.1,112.4,45,113.5,44.8,114.5,45.3,116,45.7,116.7,46.4,117.4,46.7,118.9,46.8,119.7,46.7,119.8,47,118.9,47.7,118.1,48.1,117.3,47.7,116.3,47.9,115.7,47.7,115.5,48.1,116.2,49.1,116.7,49.9,117.9,49.5,119.3,50.1,119.3,50.6,120.2,51.6,120.7,52,120.7,52.5,120.2,52.8,121,53.3,122.2,53.4,123.6,53.5,125.1,53.2,125.9,52.8,126.6,51.8,126.9,51.4,127.3,50.7,127.7,49.8,129.4,49.4,130.6,48.7,131,47.8,132.5,47.8,133.4,48.2,135,48.5,134.5,47.6,134.1,47.2,133.8,46.1,133.1,45.1,131.9,45.3,131,45,131.3,44.1,131.1,42.9,130.6,42.9,130.6,42.4,130,43,129.6,42.4,128.1,42,128.2,41.5,127.3,41.5,126.9,41.8,126.2,41.1,125.1,40.6,124.3,39.9,122.9,39.6,122.1,39.2,121.1,38.9,121.6,39.4,121.4,39.8,122.2,40.4,121.6,40.9,120.8,40.6,119.6,39.9,119,39.3,118,39.2,117.5,38.7,118.1,38.1,118.9,37.9,118.9,37.4,119.7,37.2,120.8,37.9,121.7,37.5,122.4,37.5,122.5,36.9,121.1,36.7,120.6,36.1,119.7,35.6,119.2,34.9,120.2,34.4,120.6,33.4,121.2,32.5,121.9,31.7,121.9,30.9,121.3,30.7,121.5,30.1,122.1,29.8,121.9,29,121.7,28.2,121.1,28.1,120.4,27.1,119.6,25.7,118.7,24.5,117.3,23.6,115.9,22.8,114.8,22.7,114.2,22.2,113.8,22.5,113.2,22.1,111.8,21.6,110.8,21.4,110.4,20.3,109.9,20.3,109.6,21,109.9,21.4,108.5,21.7,108,21.6,107,21.8,106.6,22.2,106.7,22.8,105.8,23,105.3,23.4,104.5,22.8,103.5,22.7,102.7,22.7,102.2,22.5,101.7,22.3,101.8,21.2,101.3,21.2,101.2,21.4,101.1,21.8,100.4,21.6,100,21.7,99.2,22.1,99.5,22.9,98.9,23.1,98.7,24.1,97.6,23.9,97.7,25.1,98.7,25.9,98.7,26.7,98.7,27.5,98.2,27.7,97.9,28.3,97.3,28.3,96.2,28.4,96.6,28.8,96.1,29.5,95.4,29,94.6,29.3,93.4,28.6,92.5,27.9,91.7,27.8,91.3,28,90.7,28.1,90,28.3,89.5,28,88.8,27.3,88.7,28.1,88.1,27.9,87,28,85.8,28.2,85,28.6,84.2,28.8,83.9,29.3,83.3,29.5,82.3,30.1,81.5,30.4,81.1,30.2,79.7,30.9,78.7,31.5,78.5,32.6,79.2,32.5,79.2,33,78.8,33.5,78.9,34.3,77.8,35.5,76.2,35.9,75.9,36.7,75.2,37.1,75,37.4,74.8,38,74.9,38.4,74.3,38.6,73.9,38.5,73.7,39.4,74,39.7,73.8,39.9,74.8,40.4,75.5,40.6,76.5,40.4,76.9,41.1,78.2,41.2,78.5,41.6,80.1,42.1,80.3,42.4]]]],
+        ["TW","Taiwan",[[[121.8,24.4,121.2,22.8,120.7,22,120.2,22.8,120.1,23.6,120.7,24.5,121.5,25.3,122,25,121.8,24.4]]]],
+        ["IT","Italy",[[[10.4,46.9,11.1,46.8,11.2,46.9,12.2,47.1,12.4,46.8,13.8,46.5,13.7,46,13.9,45.6,13.1,45.7,12.3,45.4,12.4,44.9,12.3,44.6,12.6,44.1,13.5,43.6,14,42.8,15.1,42,15.9,42,16.2,41.7,15.9,41.5,16.8,41.2,17.5,40.9,18.4,40.4,18.5,40.2,18.3,39.8,17.7,40.3,16.9,40.4,16.5,39.8,17.2,39.4,17.1,38.9,16.6,38.8,16.1,38,15.7,37.9,15.7,38.2,15.9,38.8,16.1,39,15.7,39.5,15.4,40,15,40.2,14.7,40.6,14.1,40.8,13.6,41.2,12.9,41.3,12.1,41.7,11.2,42.4,10.5,42.9,10.2,43.9,9.7,44,8.9,44.4,8.4,44.2,7.8,43.8,7.4,43.7,7.6,44.1,7,44.3,6.7,45,7.1,45.3,6.8,45.7,6.8,46,7.3,45.8,7.8,45.8,8.3,46.2,8.5,46,9,46,9.2,46.4,9.9,46.3,10.4,46.5,10.4,46.9]],[[14.8,38.1,15.5,38.2,15.2,37.4,15.3,37.1,15.1,36.6,14.3,37,13.8,37.1,12.4,37.6,12.6,38.1,13.7,38,14.8,38.1]],[[8.7,40.9,9.2,41.2,9.8,40.5,9.7,39.2,9.2,39.2,8.8,38.9,8.4,39.2,8.4,40.4,8.2,41,8.7,40.9]]]],
+        ["DK","Denmark",[[[9.9,55,9.3,54.8,8.5,55,8.1,55.5,8.1,56.5,8.3,56.8,8.5,57.1,9.4,57.2,9.8,57.4,10.6,57.7,10.5,57.2,10.3,56.9,10.4,56.6,10.9,56.5,10.7,56.1,10.4,56.2,9.6,55.5,9.9,55]],[[12.4,56.1,12.7,55.6,12.1,54.8,11,55.4,10.9,55.8,12.4,56.1]]]],
+        ["GB","United Kingdom",[[[-6.2,53.9,-7,54.1,-7.6,54.1,-7.4,54.6,-7.6,55.1,-6.7,55.2,-5.7,54.6,-6.2,53.9]],[[-3.1,53.4,-2.9,54,-3.6,54.6,-4.8,54.8,-5.1,55.1,-4.7,55.5,-5,55.8,-5.6,55.3,-5.6,56.3,-6.2,56.8,-5.8,57.8,-5,58.6,-4.2,58.6,-3,58.6,-4.1,57.6,-3.1,57.7,-2,57.7,-2.2,56.9,-3.1,56,-2.1,55.9,-2,55.8,-1.1,54.6,-0.4,54.5,0.2,53.3,0.5,52.9,1.7,52.7,1.6,52.1,1,51.8,1.4,51.3,0.5,50.8,-0.8,50.8,-2.5,50.5,-3,50.7,-3.6,50.2,-4.5,50.3,-5.2,50,-5.8,50.2,-4.3,51.2,-3.4,51.4,-5,51.6,-5.3,52,-4.2,52.3,-4.8,52.8,-4.6,53.5,-3.1,53.4]]]],
+        ["IS","Iceland",[[[-14.5,66.5,-14.7,65.8,-13.6,65.1,-14.9,64.4,-17.8,63.7,-18.7,63.5,-20,63.6,-22.8,64,-21.8,64.4,-24,64.9,-22.2,65.1,-22.2,65.4,-24.3,65.6,-23.7,66.3,-22.1,66.4,-20.6,65.7,-19.1,66.3,-17.8,66,-16.2,66.5,-14.5,66.5]]]],
+        ["AZ","Azerbaijan",[[[46.4,41.9,46.7,41.8,47.4,41.2,47.8,41.2,48,41.4,48.6,41.8,49.1,41.3,49.6,40.6,50.1,40.5,50.4,40.3,49.6,40.2,49.4,39.4,49.2,39,48.9,38.8,48.9,38.3,48.6,38.3,48,38.8,48.4,39.3,48.1,39.6,47.7,39.5,46.5,38.8,46.5,39.5,46,39.6,45.6,39.9,45.9,40.2,45.4,40.6,45.6,40.8,45.2,41,45,41.2,45.2,41.4,46,41.1,46.5,41.1,46.6,41.2,46.1,41.7,46.4,41.9]],[[46.1,38.7,45.5,38.9,45,39.3,44.8,39.7,45,39.7,45.3,39.5,45.7,39.5,45.7,39.3,46.1,38.7]]]],
+        ["GE","Georgia",[[[40,43.4,40.1,43.6,40.9,43.4,42.4,43.2,43.8,42.7,43.9,42.6,44.5,42.7,45.5,42.5,45.8,42.1,46.4,41.9,46.1,41.7,46.6,41.2,46.5,41.1,46,41.1,45.2,41.4,45,41.2,43.6,41.1,42.6,41.6,41.6,41.5,41.7,42,41.5,42.6,40.9,43,40.3,43.1,40,43.4]]]],
+        ["PH","Philippines",[[[120.8,12.7,120.3,13.5,121.2,13.4,121.5,13.1,121.3,12.2,120.8,12.7]],[[122.6,10,122.8,10.3,122.9,10.9,123.5,10.9,123.3,10.3,124.1,11.2,124,10.3,123.6,9.9,123.3,9.3,123,9,122.4,9.7,122.6,10]],[[126.4,8.4,126.5,7.8,126.5,7.2,126.2,6.3,125.8,7.3,125.4,6.8,125.7,6,125.4,5.6,124.2,6.2,123.9,6.9,124.2,7.4,123.6,7.8,123.3,7.4,122.8,7.5,122.1,6.9,121.9,7.2,122.3,8,122.9,8.3,123.5,8.7,123.8,8.2,124.6,8.5,124.8,9,125.5,9,125.4,9.8,126.2,9.3,126.3,8.8,126.4,8.4]],[[118.5,9.3,117.2,8.4,117.7,9.1,118.4,9.7,119,10.4,119.5,11.4,119.7,10.6,119,10,118.5,9.3]],[[122.3,18.2,122.2,17.8,122.5,17.1,122.3,16.3,121.7,15.9,121.5,15.1,121.7,14.3,122.3,14.2,122.7,14.3,124,13.8,123.9,13.2,124.2,13,124.1,12.5,123.3,13,122.9,13.6,122.7,13.2,122,13.8,121.1,13.6,120.6,13.9,120.7,14.3,121,14.5,120.7,14.8,120.6,14.4,120.1,15,119.9,15.4,119.9,16.4,120.3,16,120.4,17.6,120.7,18.5,121.3,18.5,121.9,18.2,122.2,18.5,122.3,18.2]],[[122,11.4,121.9,11.9,122.5,11.6,123.1,11.6,123.1,11.2,122.6,10.7,122,10.4,122,10.9,122,11.4]],[[125.5,12.2,125.8,11,125,11.3,125,11,125.3,10.4,124.8,10.1,124.8,10.8,124.5,10.9,124.3,11.5,124.9,11.4,124.9,11.8,124.3,12.6,125.2,12.5,125.5,12.2]]]],
+        ["MY","Malaysia",[[[100.1,6.5,100.3,6.6,101.1,6.2,101.2,5.7,101.8,5.8,102.1,6.2,102.4,6.1,103,5.5,103.4,4.9,103.4,4.2,103.3,3.7,103.4,3.4,103.5,2.8,103.9,2.5,104.2,1.6,104.2,1.3,103.5,1.2,102.6,2,101.4,2.8,101.3,3.3,100.7,3.9,100.6,4.8,100.2,5.3,100.3,6,100.1,6.5]],[[117.9,4.1,117,4.3,115.9,4.3,115.5,3.2,115.1,2.8,114.6,1.4,113.8,1.2,112.9,1.5,112.4,1.4,111.8,0.9,111.2,1,110.5,0.8,109.8,1.3,109.7,2,110.4,1.7,111.2,1.9,111.4,2.7,111.8,2.9,113,3.1,113.7,3.9,114.2,4.5,114.7,4,114.9,4.3,115.3,4.3,115.4,5,115.5,5.4,116.2,6.1,116.7,6.9,117.1,6.9,117.6,6.4,117.7,6,118.3,5.7,119.2,5.4,119.1,5,118.4,5,118.6,4.5,117.9,4.1]]]],
+        ["BN","Brunei",[[[115.5,5.4,115.4,5,115.3,4.3,114.9,4.3,114.7,4,114.2,4.5,114.6,4.9,115.5,5.4]]]],
+        ["SI","Slovenia",[[[13.8,46.5,14.6,46.4,15.1,46.7,16,46.7,16.2,46.9,16.4,46.8,16.6,46.5,15.8,46.2,15.7,45.8,15.3,45.7,15.3,45.5,14.9,45.5,14.6,45.6,14.4,45.5,13.7,45.5,13.9,45.6,13.7,46,13.8,46.5]]]],
+        ["FI","Finland",[[[28.6,69.1,28.4,68.4,30,67.7,29.1,66.9,30.2,65.8,29.5,64.9,30.4,64.2,30,63.6,31.5,62.9,31.1,62.4,30.2,61.8,28.1,60.5,26.3,60.4,24.5,60.1,22.9,59.8,22.3,60.4,21.3,60.7,21.5,61.7,21.1,62.6,21.5,63.2,22.4,63.8,24.7,64.9,25.4,65.1,25.3,65.5,23.9,66,23.6,66.4,23.5,67.9,22,68.6,20.6,69.1,21.2,69.4,22.4,68.8,23.7,68.9,24.7,68.6,25.7,69.1,26.2,69.8,27.7,70.2,29,69.8,28.6,69.1]]]],
+        ["SK","Slovakia",[[[22.6,49.1,22.3,48.8,22.1,48.4,21.9,48.3,20.8,48.6,20.5,48.6,20.2,48.3,19.8,48.2,19.7,48.3,19.2,48.1,18.8,48.1,18.7,47.9,17.9,47.8,17.5,47.9,17,48.1,16.9,48.5,17,48.6,17.1,48.8,17.5,48.8,17.9,48.9,17.9,49,18.1,49,18.2,49.3,18.4,49.3,18.6,49.5,18.9,49.5,18.9,49.4,19.3,49.6,19.8,49.2,20.4,49.4,20.9,49.3,21.6,49.5,22.6,49.1]]]],
+        ["CZ","Czechia",[[[15,51.1,15.5,50.8,16.2,50.7,16.2,50.4,16.7,50.2,16.9,50.5,17.6,50.4,17.6,50,18.4,50,18.9,49.5,18.6,49.5,18.4,49.3,18.2,49.3,18.1,49,17.9,49,17.9,48.9,17.5,48.8,17.1,48.8,17,48.6,16.5,48.8,16,48.7,15.3,49,14.9,49,14.3,48.6,13.6,48.9,13,49.3,12.5,49.5,12.4,50,12.2,50.3,13,50.5,13.3,50.7,14.1,50.9,14.3,51.1,14.6,51,15,51.1]]]],
+        ["ER","Eritrea",[[[36.4,14.4,36.3,14.8,36.8,16.3,36.9,17,37.2,17.3,37.9,17.4,38.4,18,39,16.8,39.3,15.9,39.8,15.4,41.2,14.5,41.7,13.9,42.3,13.3,42.6,13,43.1,12.7,42.8,12.5,42.4,12.5,42,12.9,41.6,13.5,41.2,13.8,40.9,14.1,40,14.5,39.3,14.5,39.1,14.7,38.5,14.5,37.9,15,37.6,14.2,36.4,14.4]]]],
+        ["JP","Japan",[[[141.9,39.2,141,38.2,141,37.1,140.6,36.3,140.8,35.8,140.3,35.1,139,34.7,137.2,34.6,135.8,33.5,135.1,33.8,135.1,34.6,133.3,34.4,132.2,33.9,131,33.9,132,33.1,131.3,31.5,130.7,31,130.2,31.4,130.4,32.3,129.8,32.6,129.4,33.3,130.4,33.6,130.9,34.2,131.9,34.8,132.6,35.4,134.6,35.7,135.7,35.5,136.7,37.3,137.4,36.8,138.9,37.8,139.4,38.2,140.1,39.4,139.9,40.6,140.3,41.2,141.4,41.4,141.9,40,141.9,39.2]],[[144.6,44,145.3,44.4,145.5,43.3,144.1,43,143.2,42,141.6,42.7,141.1,41.6,140,41.6,139.8,42.6,140.3,43.3,141.4,43.4,141.7,44.8,142,45.6,143.1,44.5,143.9,44.2,144.6,44]],[[132.4,33.5,132.9,34.1,133.5,33.9,133.9,34.4,134.6,34.1,134.8,33.8,134.2,33.2,133.8,33.5,133.3,33.3,133,32.7,132.4,33,132.4,33.5]]]],
+        ["PY","Paraguay",[[[-58.2,-20.2,-57.9,-20.7,-57.9,-22.1,-56.9,-22.3,-56.5,-22.1,-55.8,-22.4,-55.6,-22.7,-55.5,-23.6,-55.4,-24,-55,-24,-54.7,-23.8,-54.3,-24,-54.3,-24.6,-54.4,-25.2,-54.6,-25.7,-54.8,-26.6,-55.7,-27.4,-56.5,-27.5,-57.6,-27.4,-58.6,-27.1,-57.6,-25.6,-57.8,-25.2,-58.8,-24.8,-60,-24,-60.8,-23.9,-62.7,-22.2,-62.3,-21.1,-62.3,-20.5,-61.8,-19.6,-60,-19.3,-59.1,-19.4,-58.2,-19.9,-58.2,-20.2]]]],
+        ["YE","Yemen",[[[52,19,52.8,17.3,53.1,16.7,52.4,16.4,52.2,15.9,52.2,15.6,51.2,15.2,49.6,14.7,48.7,14,48.2,13.9,47.9,14,47.4,13.6,46.7,13.4,45.9,13.3,45.6,13.3,45.4,13,45.1,13,45,12.7,44.5,12.7,44.2,12.6,43.5,12.6,43.2,13.2,43.3,13.8,43.1,14.1,42.9,14.8,42.6,15.2,42.8,15.3,42.7,15.7,42.8,15.9,42.8,16.3,43.2,16.7,43.1,17.1,43.4,17.6,43.8,17.3,44.1,17.4,45.2,17.4,45.4,17.3,46.4,17.2,46.7,17.3,47,16.9,47.5,17.1,48.2,18.2,49.1,18.6,52,19]]]],
+        ["SA","Saudi Arabia",[[[35,29.4,36.1,29.2,36.5,29.5,36.7,29.9,37.5,30,37.7,30.3,38,30.5,37,31.5,39,32,39.2,32.2,40.4,31.9,41.9,31.2,44.7,29.2,46.6,29.1,47.5,29,47.7,28.5,48.4,28.6,48.8,27.7,49.3,27.5,49.5,27.1,50.2,26.7,50.2,26.3,50.1,25.9,50.2,25.6,50.5,25.3,50.7,25,50.8,24.8,51.1,24.6,51.4,24.6,51.6,24.2,51.6,24,52,23,55,22.5,55.2,22.7,55.7,22,55,20,52,19,49.1,18.6,48.2,18.2,47.5,17.1,47,16.9,46.7,17.3,46.4,17.2,45.4,17.3,45.2,17.4,44.1,17.4,43.8,17.3,43.4,17.6,43.1,17.1,43.2,16.7,42.8,16.3,42.6,16.8,42.3,17.1,42.3,17.5,41.8,17.8,41.2,18.7,40.9,19.5,40.2,20.2,39.8,20.3,39.1,21.3,39,22,39.1,22.6,38.5,23.7,38,24.1,37.5,24.3,37.2,24.9,37.2,25.1,36.9,25.6,36.6,25.8,36.3,26.6,35.6,27.4,35.1,28.1,34.6,28.1,34.8,28.6,34.8,29,35,29.4]]]],
+        ["AQ","Antarctica",[[[-48.7,-78,-48.2,-78,-46.7,-77.8,-45.2,-78,-43.9,-78.5,-43.5,-79.1,-43.4,-79.5,-43.3,-80,-44.9,-80.3,-46.5,-80.6,-48.4,-80.8,-50.5,-81,-52.9,-81,-54.2,-80.6,-54,-80.2,-51.9,-79.9,-51,-79.6,-50.4,-79.2,-49.9,-78.8,-49.3,-78.5,-48.7,-78]],[[-66.3,-80.3,-64,-80.3,-61.9,-80.4,-61.1,-80,-60.6,-79.6,-59.6,-80,-59.9,-80.5,-60.2,-81,-62.3,-80.9,-64.5,-80.9,-65.7,-80.6,-65.7,-80.5,-66.3,-80.3]],[[-73.9,-71.3,-73.2,-71.2,-72.1,-71.2,-71.8,-70.7,-71.7,-70.3,-71.7,-69.5,-71.2,-69,-70.3,-68.9,-69.7,-69.3,-69.5,-69.6,-69.1,-70.1,-68.7,-70.5,-68.5,-71,-68.3,-71.4,-68.5,-71.8,-68.8,-72.2,-70,-72.3,-71.1,-72.5,-72.4,-72.5,-71.9,-72.1,-73.1,-72.2,-74.2,-72.4,-75,-72.1,-75,-71.7,-73.9,-71.3]],[[-102.3,-71.9,-101.7,-71.7,-100.4,-71.9,-99,-71.9,-97.9,-72.1,-96.8,-72,-96.2,-72.5,-97,-72.4,-98.2,-72.5,-99.4,-72.4,-100.8,-72.5,-101.8,-72.3,-102.3,-71.9]],[[-122.6,-73.7,-122.4,-73.3,-121.2,-73.5,-119.9,-73.7,-118.7,-73.5,-119.3,-73.8,-120.2,-74.1,-121.6,-74,-122.6,-73.7]],[[-127.3,-73.5,-126.6,-73.2,-125.6,-73.5,-124,-73.9,-124.6,-73.8,-125.9,-73.7,-127.3,-73.5]],[[-163.7,-78.6,-163.1,-78.2,-161.2,-78.4,-160.2,-78.7,-159.5,-79,-159.2,-79.5,-161.1,-79.6,-162.4,-79.3,-163,-78.9,-163.1,-78.9,-163.7,-78.6]],[[180,-84.7,180.1,-84.7,180.9,-84.1,182.7,-84.5,182.9,-84.4,183.9,-84.1,184.1,-84.1,184.2,-84.1,185.6,-84.5,186.9,-84.1,187.1,-84.1,190,-83.9,191,-84.1,191.5,-84.2,193,-84.6,195.8,-84.8,198.1,-85.1,201.9,-85.4,204.8,-85.1,209.1,-85.3,211.5,-85.6,214.1,-85.3,216.9,-85,217.1,-84.6,213.2,-84.5,209.9,-84.3,209.1,-83.9,206.4,-83.7,206.6,-83.2,207,-82.8,207.3,-82.5,207.1,-82,205.5,-81.8,204.7,-81.4,203.2,-81.1,205.6,-81.2,207.9,-81,209.4,-81.3,211.1,-81,212.8,-80.7,213.6,-80.3,213.2,-79.9,211.9,-79.7,210.5,-79.4,208.4,-79.3,206.6,-79.2,204.7,-79.1,204,-78.7,202.7,-78.4,201.9,-78,201.6,-76.9,202.1,-77,203,-77.3,204.7,-77.2,206.3,-77.1,207.1,-77.5,208.7,-77.4,210,-77.2,211.3,-76.9,212.4,-76.6,213.9,-76.5,213.9,-76.1,213.5,-75.7,213.8,-75.4,215.1,-75.2,215.7,-75.5,217.2,-75.3,218.4,-75.1,219.8,-75.1,221.1,-75,222.5,-74.7,223.6,-74.5,224.8,-74.3,225.6,-74.4,226.3,-74.4,227.7,-74.3,229.1,-74.5,230.4,-74.5,231.8,-74.3,233.1,-74.4,234.6,-74.5,236,-74.5,237.4,-74.5,238.9,-74.5,240.3,-74.5,241.3,-74.2,242.5,-74,243.8,-74.2,245,-74.1,246.1,-73.7,246.7,-74,247.1,-74.4,247.7,-74.7,248.7,-74.4,249.9,-74.8,251.3,-74.9,252.4,-75.2,253.9,-75.1,255.1,-74.9,256.6,-75,258,-75.1,259.4,-75.3,259.9,-74.9,259.2,-74.5,258.7,-74.2,257.5,-74.1,256.9,-73.7,256.7,-73.4,256.3,-72.6,257.1,-72.8,258.4,-72.8,259.7,-72.8,260.9,-72.9,261.9,-73.2,262.3,-73.6,263.7,-73.6,265,-73.5,266.3,-73.3,267.6,-73.2,268.6,-73.4,269.9,-73.3,270.8,-72.6,271.6,-73,272.7,-73.2,274,-73.1,274.8,-73.5,276.1,-73.5,277.3,-73.6,278.5,-73.9,279.3,-73.5,279.7,-73.1,280.7,-73.5,282.1,-73.4,283.1,-73.6,283.8,-74,285.1,-73.9,286.1,-73.7,287.2,-73.4,288.4,-73.3,289.8,-73.1,291.1,-73,292,-72.8,292.6,-72.5,292.9,-72,292.7,-71.6,292.4,-71.2,292.1,-70.9,291.8,-70.5,291.5,-70.1,291.5,-69.7,291.6,-69.3,292,-69,292.4,-68.5,292.6,-68.2,292.4,-67.7,292.3,-67.3,292.7,-66.9,293.3,-66.6,293.9,-66.2,294.6,-65.9,295.4,-65.6,295.8,-65.2,296.4,-64.9,297,-64.6,298,-64.6,298.6,-64.3,299.3,-64.1,300.1,-64,300.8,-63.7,301.4,-63.4,302.2,-63.3,302.8,-63.5,302.4,-63.9,301.4,-64.2,301,-64.4,300.2,-64.2,299.4,-64.3,298.7,-64.5,298,-64.8,297.5,-65.1,297.4,-65.5,297.4,-65.9,297.9,-66.2,297.2,-66.4,296.3,-66.5,295.7,-66.8,295.1,-67.1,294.5,-67.6,294.3,-68,294.7,-68.4,295.2,-68.7,296,-68.9,296.8,-69.2,297.2,-69.6,297.4,-70,297.7,-70.4,298.2,-70.7,298.5,-71.1,298.6,-72,298.9,-72.4,299,-72.8,299.3,-73.2,299.2,-73.7,298.6,-74.1,298,-74.4,296.7,-74.6,296.3,-74.9,295.6,-75.3,294.1,-75.6,292.8,-75.8,291.6,-76,290.2,-76.2,289.4,-76.6,287.8,-76.7,286,-76.6,284.4,-76.7,282.8,-76.7,283.1,-77.1,284.6,-77.3,285.7,-77.6,286.3,-77.9,285.2,-78.2,283.5,-78.1,282.1,-78.4,282,-78.8,282,-79.2,283.2,-79.5,283.4,-79.9,284.6,-80.3,286.8,-80.4,288.6,-80.7,290,-81,291.8,-81.3,294.3,-81.5,296.7,-81.7,298.4,-82,300.3,-82.4,301.3,-82.8,301.8,-83.2,303,-82.9,304.6,-82.6,306.4,-82.3,308.5,-82,310.2,-81.7,312.7,-81.7,315.2,-81.8,317.2,-82.1,317.8,-81.7,319.2,-81.4,321.8,-81.3,323.7,-81.1,325.6,-80.9,327.7,-80.8,329.9,-80.6,331.4,-80.3,330.7,-80,330.3,-79.6,330.3,-79.3,328.4,-79.3,326.3,-79.5,324.4,-79.5,324.1,-79.1,324.2,-78.3,324.7,-78.1,326.1,-77.9,327.8,-77.7,329,-77.4,330.2,-77.1,331.1,-76.7,332.5,-76.5,333.8,-76.4,334.5,-76.3,336.1,-76.2,337.5,-76.1,338.8,-75.9,340,-75.7,341.1,-75.4,342.5,-75.1,343.4,-74.8,344.3,-74.5,344.6,-74.1,343.5,-73.9,343.9,-73.5,344.6,-73.1,345.6,-73,346.7,-72.7,347.7,-72.4,348.5,-72,349,-71.5,349.7,-71.3,350.9,-71.3,351.4,-71.7,352.6,-71.7,352.6,-71.3,353.1,-70.9,354.2,-71,354.5,-71.4,355.7,-71.5,357,-71.3,358.2,-71.2,359.3,-71.2,359.8,-71.6,0.9,-71.3,1.9,-71.1,3,-71,4.1,-70.9,5.2,-70.6,6.3,-70.5,7.1,-70.2,7.7,-69.9,8.5,-70.1,9.5,-70,10.3,-70.5,10.8,-70.8,12,-70.6,12.4,-70.2,13.4,-70,14.7,-70,15.1,-70.4,15.9,-70,17,-69.9,18.2,-69.9,19.3,-69.9,20.4,-70,21.5,-70.1,21.9,-70.4,22.6,-70.7,23.7,-70.5,24.8,-70.5,26,-70.5,27.1,-70.5,28.1,-70.3,29.2,-70.2,30,-69.9,31,-69.8,32,-69.7,32.8,-69.4,33.3,-68.8,33.9,-68.5,34.9,-68.7,35.3,-69,36.2,-69.2,37.2,-69.2,37.9,-69.5,38.6,-69.8,39.7,-69.5,40,-69.1,40.9,-68.9,42,-68.6,42.9,-68.5,44.1,-68.3,44.9,-68.1,45.7,-67.8,46.5,-67.6,47.4,-67.7,48.3,-67.4,49,-67.1,49.9,-67.1,50.8,-66.9,50.9,-66.5,51.8,-66.2,52.6,-66.1,53.6,-65.9,54.5,-65.8,55.4,-65.9,56.4,-66,57.2,-66.2,57.3,-66.7,58.1,-67,58.7,-67.3,59.9,-67.4,60.6,-67.7,61.4,-68,62.4,-68,63.2,-67.8,64.1,-67.4,65,-67.6,66,-67.7,66.9,-67.9,67.9,-67.9,68.9,-67.9,69.7,-69,69.7,-69.2,69.6,-69.7,68.6,-69.9,67.8,-70.3,67.9,-70.7,69.1,-70.7,68.9,-71.1,68.4,-71.4,67.9,-71.9,68.7,-72.2,69.9,-72.3,71,-72.1,71.6,-71.7,71.9,-71.3,72.5,-71,73.1,-70.7,73.3,-70.4,73.9,-69.9,74.5,-69.8,75.6,-69.7,76.6,-69.6,77.6,-69.5,78.1,-69.1,78.4,-68.7,79.1,-68.3,80.1,-68.1,80.9,-67.9,81.5,-67.5,82.1,-67.4,82.8,-67.2,83.8,-67.3,84.7,-67.2,85.7,-67.1,86.8,-67.1,87.5,-66.9,88,-66.2,88.4,-66.5,88.8,-67,89.7,-67.1,90.6,-67.2,91.6,-67.1,92.6,-67.2,93.5,-67.2,94.2,-67.1,95,-67.2,95.8,-67.4,96.7,-67.2,97.8,-67.2,98.7,-67.1,99.7,-67.2,100.4,-66.9,100.9,-66.6,101.6,-66.3,102.8,-65.6,103.5,-65.7,104.2,-66,104.9,-66.3,106.2,-66.9,107.2,-67,108.1,-67,109.2,-66.8,110.2,-66.7,111.1,-66.4,111.7,-66.1,112.9,-66.1,113.6,-65.9,114.4,-66.1,114.9,-66.4,115.6,-66.7,116.7,-66.7,117.4,-66.9,118.6,-67.2,119.8,-67.3,120.9,-67.2,121.7,-66.9,122.3,-66.6,123.2,-66.5,124.1,-66.6,125.2,-66.7,126.1,-66.6,127,-66.6,127.9,-66.7,128.8,-66.8,129.7,-66.6,130.8,-66.4,131.8,-66.4,132.9,-66.4,133.9,-66.3,134.8,-66.2,135,-65.7,135.1,-65.3,135.7,-65.6,135.9,-66,136.2,-66.4,136.6,-66.8,137.5,-67,138.6,-66.9,139.9,-66.9,140.8,-66.8,142.1,-66.8,143.1,-66.8,144.4,-66.8,145.5,-66.9,146.2,-67.2,146,-67.6,146.6,-67.9,147.7,-68.1,148.8,-68.4,150.1,-68.6,151.5,-68.7,152.5,-68.9,153.6,-68.9,154.3,-68.6,155.2,-68.8,155.9,-69.1,156.8,-69.4,158,-69.5,159.2,-69.6,159.7,-70,160.8,-70.2,161.6,-70.6,162.7,-70.7,163.8,-70.7,164.9,-70.8,166.1,-70.8,167.3,-70.8,168.4,-71,169.5,-71.2,170.5,-71.4,171.2,-71.7,171.1,-72.1,170.6,-72.4,170.1,-72.9,169.8,-73.2,169.3,-73.7,168,-73.8,167.4,-74.2,166.1,-74.4,165.6,-74.8,165,-75.1,164.2,-75.5,163.8,-75.9,163.6,-76.2,163.5,-76.7,163.5,-77.1,164.1,-77.5,164.3,-77.8,164.7,-78.2,166.6,-78.3,167,-78.8,165.2,-78.9,163.7,-79.1,161.8,-79.2,160.9,-79.7,160.7,-80.2,160.3,-80.6,159.8,-80.9,161.1,-81.3,161.6,-81.7,162.5,-82.1,163.7,-82.4,165.1,-82.7,166.6,-83,168.9,-83.3,169.4,-83.8,172.3,-84,172.5,-84.1,173.2,-84.4,176,-84.2,178.3,-84.5,180,-84.7,180,-84.7]]]],
+        ["","N. Cyprus",[[[32.7,35.1,32.8,35.1,32.9,35.4,33.7,35.4,34.6,35.7,33.9,35.2,34,35.1,33.9,35.1,33.7,35,33.5,35,33.5,35.1,33.4,35.2,33.2,35.2,32.9,35.1,32.7,35.1]]]],
+        ["CY","Cyprus",[[[32.7,35.1,32.9,35.1,33.2,35.2,33.4,35.2,33.5,35.1,33.5,35,33.7,35,33.9,35.1,34,35.1,34,35,33,34.6,32.5,34.7,32.3,35.1,32.7,35.1]]]],
+        ["MA","Morocco",[[[-2.2,35.2,-1.8,34.5,-1.7,33.9,-1.4,32.9,-1.1,32.7,-1.3,32.3,-2.6,32.1,-3.1,31.7,-3.6,31.6,-3.7,30.9,-4.9,30.5,-5.2,30,-6.1,29.7,-7.1,29.6,-8.7,28.8,-8.7,27.7,-8.8,27.7,-8.8,27.1,-9.4,27.1,-9.7,26.9,-10.2,26.9,-10.5,27,-11.4,26.9,-11.7,26.1,-12,26,-12.5,24.8,-13.9,23.7,-14.2,22.3,-14.6,21.9,-14.8,21.5,-17,21.4,-17,21.9,-16.6,22.2,-16.3,22.7,-16.3,23,-16,23.7,-15.4,24.4,-15.1,24.5,-14.8,25.1,-14.8,25.6,-14.4,26.3,-13.8,26.6,-13.1,27.6,-13.1,27.7,-12.6,28,-11.7,28.1,-10.9,28.8,-10.4,29.1,-9.6,29.9,-9.8,31.2,-9.4,32,-9.3,32.6,-8.7,33.2,-7.7,33.7,-6.9,34.1,-6.2,35.1,-5.9,35.8,-5.2,35.8,-4.6,35.3,-3.6,35.4,-2.6,35.2,-2.2,35.2]]]],
+        ["EG","Egypt",[[[36.9,22,32.9,22,29,22,25,22,25,25.7,25,29.2,24.7,30,25,30.7,24.8,31.1,25.2,31.6,26.5,31.6,27.5,31.3,28.4,31,28.9,30.9,29.7,31.2,30.1,31.5,31,31.6,31.7,31.4,32,30.9,32.2,31.3,33,31,33.8,31,34.3,31.2,34.8,29.8,34.9,29.5,34.6,29.1,34.4,28.3,34.2,27.8,33.9,27.6,33.6,28,33.1,28.4,32.4,29.9,32.3,29.8,32.7,28.7,33.3,27.7,34.1,26.1,34.5,25.6,34.8,25,35.7,23.9,35.5,23.8,35.5,23.1,36.7,22.2,36.9,22]]]],
+        ["LY","Libya",[[[25,22,25,20,23.8,20,23.8,19.6,19.8,21.5,15.9,23.4,14.9,22.9,14.1,22.5,13.6,23,12,23.5,11.6,24.1,10.8,24.6,10.3,24.4,9.9,24.9,9.9,25.4,9.3,26.1,9.7,26.5,9.6,27.1,9.8,27.7,9.7,28.1,9.9,29,9.8,29.4,9.5,30.3,10,30.5,10.1,31,9.9,31.4,10.6,31.8,10.9,32.1,11.4,32.4,11.5,33.1,12.7,32.8,13.1,32.9,13.9,32.7,15.2,32.3,15.7,31.4,16.6,31.2,18,30.8,19.1,30.3,19.6,30.5,20.1,31,19.8,31.8,20.1,32.2,20.9,32.7,21.5,32.8,22.9,32.6,23.2,32.2,23.6,32.2,23.9,32,24.9,31.9,25.2,31.6,24.8,31.1,25,30.7,24.7,30,25,29.2,25,25.7,25,22]]]],
+        ["ET","Ethiopia",[[[47.8,8,45,5,43.7,5,42.8,4.3,42.1,4.2,41.9,3.9,41.2,3.9,40.8,4.3,39.9,3.8,39.6,3.4,38.9,3.5,38.7,3.6,38.4,3.6,38.1,3.6,36.9,4.4,36.2,4.4,35.8,4.8,35.8,5.3,35.3,5.5,34.7,6.6,34.2,6.8,34.1,7.2,33.6,7.7,33,7.8,33.3,8.4,33.8,8.4,34,8.7,34,9.6,34.3,10.6,34.7,10.9,34.8,11.3,35.3,12.1,35.9,12.6,36.3,13.6,36.4,14.4,37.6,14.2,37.9,15,38.5,14.5,39.1,14.7,39.3,14.5,40,14.5,40.9,14.1,41.2,13.8,41.6,13.5,42,12.9,42.4,12.5,42,12.1,41.7,11.6,41.7,11.4,41.8,11.1,42.3,11,42.6,11.1,42.8,10.9,42.6,10.6,42.9,10,43.3,9.5,43.7,9.2,46.9,8,47.8,8]]]],
+        ["DJ","Djibouti",[[[42.4,12.5,42.8,12.5,43.1,12.7,43.3,12.4,43.3,12,42.7,11.7,43.1,11.5,42.8,10.9,42.6,11.1,42.3,11,41.8,11.1,41.7,11.4,41.7,11.6,42,12.1,42.4,12.5]]]],
+        ["","Somaliland",[[[48.9,11.4,48.9,11,48.9,10,48.9,9.5,48.5,8.8,47.8,8,46.9,8,43.7,9.2,43.3,9.5,42.9,10,42.6,10.6,42.8,10.9,43.1,11.5,43.5,11.3,43.7,10.9,44.1,10.4,44.6,10.4,45.6,10.7,46.6,10.8,47.5,11.1,48,11.2,48.4,11.4,48.9,11.4]]]],
+        ["UG","Uganda",[[[33.9,-1,31.9,-1,30.8,-1,30.4,-1.1,29.8,-1.4,29.6,-1.3,29.6,-0.6,29.8,-0.2,29.9,0.6,30.1,1.1,30.5,1.6,30.9,1.8,31.2,2.2,30.8,2.3,30.8,3.5,31.2,3.8,31.9,3.6,32.7,3.8,33.4,3.8,34,4.3,34.5,3.6,34.6,3.1,35,1.9,34.7,1.2,34.2,0.5,33.9,0.1,33.9,-1]]]],
+        ["RW","Rwanda",[[[30.4,-1.1,30.8,-1.7,30.8,-2.3,30.5,-2.4,29.9,-2.3,29.6,-2.9,29,-2.8,29.1,-2.3,29.3,-2.2,29.3,-1.6,29.6,-1.3,29.8,-1.4,30.4,-1.1]]]],
+        ["BA","Bosnia and Herzegovina",[[[18.6,42.6,17.7,43,17.3,43.4,16.9,43.7,16.5,44,16.2,44.4,15.7,44.8,16,45.2,16.3,45,16.5,45.2,17,45.2,17.9,45.1,18.6,45.1,19,44.9,19.4,44.9,19.1,44.4,19.6,44,19.5,43.6,19.2,43.5,19,43.4,18.7,43.2,18.6,42.6]]]],
+        ["MK","Macedonia",[[[22.4,42.3,22.9,42,23,41.3,22.8,41.3,22.6,41.1,22.1,41.2,21.7,40.9,21,40.8,20.6,41.1,20.5,41.5,20.6,41.9,20.7,41.8,20.8,42.1,21.4,42.2,21.6,42.2,21.9,42.3,22.4,42.3]]]],
+        ["RS","Serbia",[[[18.8,45.9,19.6,46.2,20.2,46.1,20.8,45.7,20.9,45.4,21.5,45.2,21.6,44.8,22.1,44.5,22.5,44.7,22.7,44.6,22.5,44.4,22.7,44.2,22.4,44,22.5,43.6,23,43.2,22.6,42.9,22.4,42.6,22.5,42.5,22.4,42.3,21.9,42.3,21.6,42.2,21.5,42.3,21.7,42.4,21.8,42.7,21.6,42.7,21.4,42.9,21.3,42.9,21.1,43.1,21,43.1,20.8,43.3,20.6,43.2,20.5,42.9,20.3,42.8,20.3,42.9,20,43.1,19.6,43.2,19.5,43.4,19.2,43.5,19.5,43.6,19.6,44,19.1,44.4,19.4,44.9,19,44.9,19.4,45.2,19.1,45.5,18.8,45.9]]]],
+        ["ME","Montenegro",[[[20.1,42.6,19.8,42.5,19.7,42.7,19.3,42.2,19.4,41.9,19.2,42,18.9,42.3,18.4,42.5,18.6,42.6,18.7,43.2,19,43.4,19.2,43.5,19.5,43.4,19.6,43.2,20,43.1,20.3,42.9,20.3,42.8,20.1,42.6]]]],
+        ["XK","Kosovo",[[[20.6,41.9,20.5,42.2,20.3,42.3,20.1,42.6,20.3,42.8,20.5,42.9,20.6,43.2,20.8,43.3,21,43.1,21.1,43.1,21.3,42.9,21.4,42.9,21.6,42.7,21.8,42.7,21.7,42.4,21.5,42.3,21.6,42.2,21.4,42.2,20.8,42.1,20.7,41.8,20.6,41.9]]]],
+        ["TT","Trinidad and Tobago",[[[-61.7,10.8,-61.1,10.9,-60.9,10.9,-60.9,10.1,-61.8,10,-62,10.1,-61.7,10.4,-61.7,10.8]]]],
+        ["SS","South Sudan",[[[30.8,3.5,30,4.2,29.7,4.6,29.2,4.4,28.7,4.5,28.4,4.3,28,4.4,27.4,5.2,27.2,5.6,26.5,5.9,26.2,6.5,25.8,7,25.1,7.5,25.1,7.8,24.6,8.2,23.9,8.6,24.2,8.7,24.5,8.9,24.8,9.8,25.1,10.3,25.8,10.4,26,10.1,26.5,9.6,26.8,9.5,27.1,9.6,27.8,9.6,28,9.4,29,9.4,29,9.6,29.5,9.8,29.6,10.1,30,10.3,30.8,9.7,31.4,9.8,31.9,10.5,32.4,11.1,32.3,11.7,32.1,12,32.7,12,32.7,12.2,33.2,12.2,33.1,11.4,33.2,10.7,33.7,10.3,33.8,10,33.8,9.5,34,9.5,34,8.7,33.8,8.4,33.3,8.4,33,7.8,33.6,7.7,34.1,7.2,34.2,6.8,34.7,6.6,35.3,5.5,34.6,4.8,34,4.3,33.4,3.8,32.7,3.8,31.9,3.6,31.2,3.8,30.8,3.5]]]]
+    ];
+
+    static COUNTRY_NAMES = {
+        AD: "Andorra",
+        AG: "Antigua and Barbuda",
+        AI: "Anguilla",
+        AS: "American Samoa",
+        AW: "Aruba",
+        BB: "Barbados",
+        BH: "Bahrain",
+        BL: "Saint Barthelemy",
+        BM: "Bermuda",
+        BQ: "Bonaire, Sint Eustatius, and Saba",
+        CK: "Cook Islands",
+        CV: "Cabo Verde",
+        CW: "Curaçao",
+        CX: "Christmas Island",
+        DM: "Dominica",
+        FM: "Federated States of Micronesia",
+        FO: "Faroe Islands",
+        GD: "Grenada",
+        GF: "French Guiana",
+        GI: "Gibraltar",
+        GP: "Guadeloupe",
+        GS: "South Georgia and South Sandwich Islands",
+        GU: "Guam",
+        HK: "Hong Kong",
+        IM: "Isle Of Man",
+        JE: "Jersey",
+        KI: "Kiribati",
+        KM: "Comoros",
+        KN: "Saint Kitts and Nevis",
+        KY: "Cayman Islands",
+        LC: "Saint Lucia",
+        LI: "Liechtenstein",
+        MC: "Monaco",
+        MF: "Saint Martin",
+        MH: "Marshall Islands",
+        MO: "Macau",
+        MP: "Northern Mariana Islands",
+        MQ: "Martinique",
+        MS: "Montserrat",
+        MT: "Malta",
+        MU: "Mauritius",
+        MV: "Maldives",
+        NF: "Norfolk Island",
+        NR: "Nauru",
+        NU: "Niue",
+        PF: "French Polynesia",
+        PM: "Saint Pierre and Miquelon",
+        PN: "Pitcairn Islands",
+        PW: "Palau",
+        RE: "Reunion",
+        SC: "Seychelles",
+        SG: "Singapore",
+        SH: "Saint Helena, Ascension, and Tristan da Cunha",
+        SM: "San Marino",
+        ST: "Sao Tome and Principe",
+        SX: "Sint Maarten",
+        TC: "Turks and Caicos Islands",
+        TO: "Tonga",
+        TV: "Tuvalu",
+        VA: "Vatican City",
+        VC: "Saint Vincent and the Grenadines",
+        VG: "British Virgin Islands",
+        VI: "U.S. Virgin Islands",
+        WF: "Wallis and Futuna",
+        WS: "Samoa",
+        XG: "Gaza Strip",
+        XR: "Svalbard",
+        XW: "West Bank",
+        YT: "Mayotte"
+    };
+
+    static CITIES = [
+        ["Tokyo",35.69,139.69,"JP","Tōkyō"],
+        ["Jakarta",-6.17,106.83,"ID","Jakarta"],
+        ["Delhi",28.61,77.23,"IN","Delhi"],
+        ["Guangzhou",23.13,113.26,"CN","Guangdong"],
+        ["Mumbai",19.08,72.88,"IN","Mahārāshtra"],
+        ["Manila",14.6,120.98,"PH","Manila"],
+        ["Shanghai",31.17,121.47,"CN","Shanghai"],
+        ["São Paulo",-23.55,-46.63,"BR","São Paulo"],
+        ["Seoul",37.56,126.99,"KR","Seoul"],
+        ["Mexico City",19.43,-99.13,"MX","Ciudad de México"],
+        ["Cairo",30.04,31.24,"EG","Al Qāhirah"],
+        ["New York",40.69,-73.92,"US","New York"],
+        ["Dhaka",23.76,90.39,"BD","Dhaka"],
+        ["Beijing",39.9,116.41,"CN","Beijing"],
+        ["Kolkāta",22.57,88.37,"IN","West Bengal"],
+        ["Bangkok",13.75,100.49,"TH","Krung Thep Maha Nakhon"],
+        ["Shenzhen",22.54,114.05,"CN","Guangdong"],
+        ["Moscow",55.76,37.62,"RU","Moskva"],
+        ["Buenos Aires",-34.6,-58.38,"AR","Buenos Aires, Ciudad Autónoma de"],
+        ["Lagos",6.46,3.38,"NG","Lagos"],
+        ["Istanbul",41.01,28.96,"TR","İstanbul"],
+        ["Karachi",24.86,67.01,"PK","Sindh"],
+        ["Bangalore",12.98,77.59,"IN","Karnātaka"],
+        ["Ho Chi Minh City",10.78,106.7,"VN","Hồ Chí Minh"],
+        ["Ōsaka",34.69,135.5,"JP","Ōsaka"],
+        ["Chengdu",30.66,104.06,"CN","Sichuan"],
+        ["Tehran",35.69,51.39,"IR","Tehrān"],
+        ["Kinshasa",-4.32,15.32,"CD","Kinshasa"],
+        ["Rio de Janeiro",-22.91,-43.21,"BR","Rio de Janeiro"],
+        ["Chennai",13.08,80.28,"IN","Tamil Nādu"],
+        ["Xi’an",34.27,108.9,"CN","Shaanxi"],
+        ["Lahore",31.55,74.34,"PK","Punjab"],
+        ["Chongqing",29.55,106.51,"CN","Chongqing"],
+        ["Los Angeles",34.11,-118.41,"US","California"],
+        ["Baoding",38.87,115.48,"CN","Hebei"],
+        ["London",51.51,-0.13,"GB","London, City of"],
+        ["Paris",48.86,2.35,"FR","Île-de-France"],
+        ["Linyi",35.1,118.35,"CN","Shandong"],
+        ["Dongguan",23.05,113.75,"CN","Guangdong"],
+        ["Hyderābād",17.39,78.49,"IN","Telangāna"],
+        ["Tianjin",39.15,117.21,"CN","Tianjin"],
+        ["Lima",-12.06,-77.04,"PE","Lima"],
+        ["Wuhan",30.59,114.29,"CN","Hubei"],
+        ["Nanyang",33,112.53,"CN","Henan"],
+        ["Hangzhou",30.25,120.17,"CN","Zhejiang"],
+        ["Foshan",23.03,113.11,"CN","Guangdong"],
+        ["Nagoya",35.18,136.9,"JP","Aichi"],
+        ["Tongshan",34.26,117.19,"CN","Jiangsu"],
+        ["Taipei",25.04,121.56,"TW","Taipei"],
+        ["Luanda",-8.84,13.23,"AO","Luanda"],
+        ["Zhoukou",33.63,114.64,"CN","Henan"],
+        ["Ganzhou",25.83,114.93,"CN","Jiangxi"],
+        ["Kuala Lumpur",3.15,101.7,"MY","Kuala Lumpur"],
+        ["Heze",35.23,115.43,"CN","Shandong"],
+        ["Quanzhou",24.91,118.59,"CN","Fujian"],
+        ["Chicago",41.84,-87.69,"US","Illinois"],
+        ["Nanjing",32.06,118.78,"CN","Jiangsu"],
+        ["Jining",35.4,116.57,"CN","Shandong"],
+        ["Hanoi",21.03,105.85,"VN","Hà Nội"],
+        ["Pune",18.52,73.86,"IN","Mahārāshtra"],
+        ["Fuyang",32.9,115.8,"CN","Anhui"],
+        ["Ahmedabad",23.03,72.58,"IN","Gujarāt"],
+        ["Johannesburg",-26.2,28.05,"ZA","Gauteng"],
+        ["Bogotá",4.71,-74.07,"CO","Bogotá"],
+        ["Shenyang",41.8,123.43,"CN","Liaoning"],
+        ["Dar es Salaam",-6.82,39.28,"TZ","Dar es Salaam"],
+        ["Khartoum",15.5,32.56,"SD","Khartoum"],
+        ["Shangqiu",34.43,115.65,"CN","Henan"],
+        ["Cangzhou",38.3,116.85,"CN","Hebei"],
+        ["Hong Kong",22.3,114.2,"HK",""],
+        ["Shaoyang",27.24,111.47,"CN","Hunan"],
+        ["Zhanjiang",21.2,110.4,"CN","Guangdong"],
+        ["Yancheng",33.39,120.13,"CN","Jiangsu"],
+        ["Hengyang",26.9,112.59,"CN","Hunan"],
+        ["Riyadh",24.63,46.72,"SA","Ar Riyāḑ"],
+        ["Zhumadian",32.98,114.03,"CN","Henan"],
+        ["Santiago",-33.44,-70.65,"CL","Región Metropolitana"],
+        ["Xingtai",37.07,114.48,"CN","Hebei"],
+        ["Chattogram",22.34,91.83,"BD","Chattogram"],
+        ["Bijie",27.3,105.29,"CN","Guizhou"],
+        ["Shangrao",28.44,117.96,"CN","Jiangxi"],
+        ["Zunyi",27.71,106.93,"CN","Guizhou"],
+        ["Sūrat",21.17,72.83,"IN","Gujarāt"],
+        ["Surabaya",-7.25,112.74,"ID","Jawa Timur"],
+        ["Huanggang",30.45,114.88,"CN","Hubei"],
+        ["Maoming",21.66,110.92,"CN","Guangdong"],
+        ["Nanchong",30.8,106.08,"CN","Sichuan"],
+        ["Xinyang",32.13,114.07,"CN","Henan"],
+        ["Madrid",40.42,-3.7,"ES","Madrid"],
+        ["Baghdad",33.32,44.37,"IQ","Baghdād"],
+        ["Qujing",25.51,103.8,"CN","Yunnan"],
+        ["Jieyang",23.55,116.36,"CN","Guangdong"],
+        ["Singapore",1.3,103.8,"SG",""],
+        ["Prayagraj",25.44,81.85,"IN","Uttar Pradesh"],
+        ["Liaocheng",36.45,115.98,"CN","Shandong"],
+        ["Dalian",38.9,121.6,"CN","Liaoning"],
+        ["Yulin",22.63,110.15,"CN","Guangxi"],
+        ["Changde",29.04,111.68,"CN","Hunan"],
+        ["Qingdao",36.12,120.4,"CN","Shandong"],
+        ["Douala",4.05,9.7,"CM","Littoral"],
+        ["Miami",25.78,-80.21,"US","Florida"],
+        ["Nangandao",35.3,113.89,"CN","Henan"],
+        ["Pudong",31.22,121.54,"CN","Shanghai"],
+        ["Xiangyang",32.07,112.15,"CN","Hubei"],
+        ["Dallas",32.79,-96.77,"US","Texas"],
+        ["Houston",29.79,-95.39,"US","Texas"],
+        ["Zhengzhou",34.75,113.66,"CN","Henan"],
+        ["Lu’an",31.75,116.51,"CN","Anhui"],
+        ["Dezhou",37.45,116.31,"CN","Shandong"],
+        ["Jinan",36.67,116.98,"CN","Shandong"],
+        ["Giza",29.99,31.21,"EG","Al Jīzah"],
+        ["Zhaotong",27.33,103.71,"CN","Yunnan"],
+        ["Yichun",27.8,114.38,"CN","Jiangxi"],
+        ["Nairobi",-1.29,36.82,"KE","Nairobi City"],
+        ["Guadalajara",20.68,-103.35,"MX","Jalisco"],
+        ["Philadelphia",40.01,-75.13,"US","Pennsylvania"],
+        ["Ankara",39.93,32.85,"TR","Ankara"],
+        ["Tai’an",36.2,117.08,"CN","Shandong"],
+        ["Dazhou",31.22,107.49,"CN","Sichuan"],
+        ["Langfang",39.52,116.7,"CN","Hebei"],
+        ["Yongzhou",26.45,111.6,"CN","Hunan"],
+        ["Toronto",43.74,-79.37,"CA","Ontario"],
+        ["Suihua",46.64,126.98,"CN","Heilongjiang"],
+        ["Saint Petersburg",59.95,30.32,"RU","Sankt-Peterburg"],
+        ["Qiqihar",47.34,123.95,"CN","Heilongjiang"],
+        ["Suzhou",33.63,116.97,"CN","Anhui"],
+        ["Monterrey",25.67,-100.3,"MX","Nuevo León"],
+        ["Belo Horizonte",-19.92,-43.93,"BR","Minas Gerais"],
+        ["Weinan",34.5,109.47,"CN","Shaanxi"],
+        ["Rangoon",16.8,96.16,"MM","Yangon"],
+        ["Zhangzhou",24.51,117.66,"CN","Fujian"],
+        ["Yuncheng",35.03,111,"CN","Shanxi"],
+        ["Xianyang",34.35,108.72,"CN","Shaanxi"],
+        ["Guilin",25.28,110.29,"CN","Guangxi"],
+        ["Atlanta",33.76,-84.42,"US","Georgia"],
+        ["Taizhou",32.48,119.9,"CN","Jiangsu"],
+        ["Kāshān",33.98,51.43,"IR","Eşfahān"],
+        ["Bozhou",33.86,115.77,"CN","Anhui"],
+        ["Suqian",33.93,118.28,"CN","Jiangsu"],
+        ["Abidjan",5.32,-4.03,"CI","Abidjan"],
+        ["Huaihua",27.55,109.96,"CN","Hunan"],
+        ["Ji’an",27.12,114.98,"CN","Jiangxi"],
+        ["Xiaoganzhan",30.93,113.91,"CN","Hubei"],
+        ["Pingdingshan",33.74,113.3,"CN","Henan"],
+        ["Jiujiang",29.7,116,"CN","Jiangxi"],
+        ["Alexandria",31.2,29.89,"EG","Al Iskandarīyah"],
+        ["Mianyang",31.47,104.74,"CN","Sichuan"],
+        ["Sydney",-33.87,151.21,"AU","New South Wales"],
+        ["Huanglongsi",34.8,114.35,"CN","Henan"],
+        ["Washington",38.9,-77.02,"US","District of Columbia"],
+        ["Barcelona",41.38,2.18,"ES","Catalonia"],
+        ["Changsha",28.2,112.97,"CN","Hunan"],
+        ["Chenzhou",25.8,113.03,"CN","Hunan"],
+        ["Anqing",30.5,117.03,"CN","Anhui"],
+        ["Jiangmen",22.58,113.08,"CN","Guangdong"],
+        ["Xinpu",34.59,119.18,"CN","Jiangsu"],
+        ["Yibin",28.76,104.64,"CN","Sichuan"],
+        ["Yangzhou",32.39,119.44,"CN","Jiangsu"],
+        ["Melbourne",-37.81,144.96,"AU","Victoria"],
+        ["Berlin",52.52,13.41,"DE","Berlin"],
+        ["Hengshui",37.73,115.69,"CN","Hebei"],
+        ["Timbío",2.34,-76.68,"CO","Cauca"],
+        ["Kunming",25.04,102.71,"CN","Yunnan"],
+        ["Yiyang",28.58,112.33,"CN","Hunan"],
+        ["Guigang",23.1,109.61,"CN","Guangxi"],
+        ["Changchun",43.9,125.2,"CN","Jilin"],
+        ["Jiangguanchi",34.02,113.82,"CN","Henan"],
+        ["Meizhou",24.3,116.12,"CN","Guangdong"],
+        ["Casablanca",33.53,-7.58,"MA","Casablanca-Settat"],
+        ["Zhangjiakou",40.81,114.88,"CN","Hebei"],
+        ["Chifeng",42.27,118.92,"CN","Inner Mongolia"],
+        ["Ürümqi",43.82,87.61,"CN","Xinjiang"],
+        ["Suzhou",31.3,120.62,"CN","Jiangsu"],
+        ["İzmir",38.42,27.14,"TR","İzmir"],
+        ["Linfen",36.08,111.51,"CN","Shanxi"],
+        ["Shantou",23.37,116.69,"CN","Guangdong"],
+        ["Kabul",34.53,69.18,"AF","Kābul"],
+        ["Mogadishu",2.04,45.34,"SO","Banaadir"],
+        ["Luzhou",28.89,105.44,"CN","Sichuan"],
+        ["Hefei",31.86,117.28,"CN","Anhui"],
+        ["Boston",42.32,-71.09,"US","Massachusetts"],
+        ["Liuzhou",24.33,109.43,"CN","Guangxi"],
+        ["Zhaoqing",23.05,112.47,"CN","Guangdong"],
+        ["Xiaoxita",30.71,111.28,"CN","Hubei"],
+        ["Shijiazhuang",38.04,114.51,"CN","Hebei"],
+        ["Ningbo",29.88,121.55,"CN","Zhejiang"],
+        ["Fuzhou",27.98,116.36,"CN","Jiangxi"],
+        ["Phoenix",33.57,-112.09,"US","Arizona"],
+        ["Zhuzhou",27.84,113.15,"CN","Hunan"],
+        ["Amman",31.95,35.93,"JO","Al ‘Āşimah"],
+        ["Chuzhou",32.31,118.31,"CN","Anhui"],
+        ["Jeddah",21.54,39.17,"SA","Makkah al Mukarramah"],
+        ["Qingyuan",23.68,113.05,"CN","Guangdong"],
+        ["Loudi",27.74,112,"CN","Hunan"],
+        ["Binzhou",37.38,118.01,"CN","Shandong"],
+        ["Deyang",31.13,104.4,"CN","Sichuan"],
+        ["Taiyuan",37.87,112.54,"CN","Shanxi"],
+        ["Kano",12,8.52,"NG","Kano"],
+        ["Wuhu",31.33,118.36,"CN","Anhui"],
+        ["Nanning",22.82,108.32,"CN","Guangxi"],
+        ["Harbin",45.75,126.63,"CN","Heilongjiang"],
+        ["Abuja",9.07,7.48,"NG","Federal Capital Territory"],
+        ["Yokohama",35.44,139.64,"JP","Kanagawa"],
+        ["Baojishi",34.36,107.18,"CN","Shaanxi"],
+        ["Zaozhuang",34.87,117.55,"CN","Shandong"],
+        ["Xiamen",24.48,118.08,"CN","Fujian"],
+        ["Neijiang",29.59,105.06,"CN","Sichuan"],
+        ["Fuzhou",26.08,119.29,"CN","Fujian"],
+        ["Baicheng",23.9,106.62,"CN","Guangxi"],
+        ["Anshan",41.11,122.99,"CN","Liaoning"],
+        ["Yulinshi",38.27,109.74,"CN","Shaanxi"],
+        ["Medan",3.59,98.67,"ID","Sumatera Utara"],
+        ["Wenzhou",28,120.66,"CN","Zhejiang"],
+        ["Changzhou",31.81,119.97,"CN","Jiangsu"],
+        ["Puyang",35.76,115.03,"CN","Henan"],
+        ["Jiaozuo",35.23,113.23,"CN","Henan"],
+        ["Nanchang",28.68,115.89,"CN","Jiangxi"],
+        ["Ibadan",7.4,3.92,"NG","Oyo"],
+        ["Hechi",24.69,108.09,"CN","Guangxi"],
+        ["Detroit",42.38,-83.1,"US","Michigan"],
+        ["Montréal",45.51,-73.56,"CA","Quebec"],
+        ["Busan",35.18,129.07,"KR","Busan"],
+        ["Hohhot",40.82,111.66,"CN","Inner Mongolia"],
+        ["Seattle",47.62,-122.32,"US","Washington"],
+        ["Hanzhong",33.08,107.03,"CN","Shaanxi"],
+        ["Algiers",36.75,3.06,"DZ","Alger"],
+        ["Tangshan",39.63,118.17,"CN","Hebei"],
+        ["Shiyan",32.64,110.78,"CN","Hubei"],
+        ["Siping",43.17,124.36,"CN","Jilin"],
+        ["Lucknow",26.85,80.95,"IN","Uttar Pradesh"],
+        ["Mashhad",36.3,59.6,"IR","Khorāsān-e Raẕavī"],
+        ["Boankra",6.69,-1.4,"GH","Ashanti"],
+        ["Changzhi",36.2,113.1,"CN","Shanxi"],
+        ["Dubai",25.26,55.3,"AE","Dubayy"],
+        ["Qinzhou",21.95,108.62,"CN","Guangxi"],
+        ["Guiyang",26.58,106.71,"CN","Guizhou"],
+        ["Bengbu",32.94,117.35,"CN","Anhui"],
+        ["San Francisco",37.76,-122.44,"US","California"],
+        ["Bazhou",31.86,106.76,"CN","Sichuan"],
+        ["Qincheng",34.58,105.73,"CN","Gansu"],
+        ["Suining",30.51,105.57,"CN","Sichuan"],
+        ["Wuxi",31.57,120.28,"CN","Jiangsu"],
+        ["Leshan",29.59,103.76,"CN","Sichuan"],
+        ["Putian",25.44,119.01,"CN","Fujian"],
+        ["Zhenjiang",32.21,119.46,"CN","Jiangsu"],
+        ["Guang’an",30.47,106.63,"CN","Sichuan"],
+        ["Faisalabad",31.42,73.09,"PK","Punjab"],
+        ["Tongren",27.72,109.19,"CN","Guizhou"],
+        ["Santa Cruz",-17.79,-63.2,"BO","Santa Cruz"],
+        ["Qinhuangdao",39.94,119.59,"CN","Hebei"],
+        ["Tongliao",43.62,122.26,"CN","Inner Mongolia"],
+        ["Jinzhou",41.11,121.13,"CN","Liaoning"],
+        ["Heyuan",23.75,114.69,"CN","Guangdong"],
+        ["San Diego",32.83,-117.12,"US","California"],
+        ["Jaipur",26.9,75.8,"IN","Rājasthān"],
+        ["Xinzhou",38.42,112.72,"CN","Shanxi"],
+        ["Lanzhou",36.06,103.83,"CN","Gansu"],
+        ["Wuzhou",23.48,111.32,"CN","Guangxi"],
+        ["Chaoyang",41.58,120.45,"CN","Liaoning"],
+        ["Athens",37.98,23.73,"GR","Attikí"],
+        ["Addis Ababa",9.03,38.74,"ET","Ādīs Ābeba"],
+        ["Brasília",-15.79,-47.88,"BR","Distrito Federal"],
+        ["Taichung",24.14,120.68,"TW","Taichung"],
+        ["Kuwait City",29.37,47.98,"KW","Al ‘Āşimah"],
+        ["Budapest",47.49,19.05,"HU","Budapest"],
+        ["Shaoguan",24.8,113.59,"CN","Guangdong"],
+        ["Shanwei",22.77,115.33,"CN","Guangdong"],
+        ["Rizhao",35.42,119.43,"CN","Shandong"],
+        ["Kyiv",50.45,30.52,"UA","Kyiv, Misto"],
+        ["Quezon City",14.63,121.03,"PH","Quezon"],
+        ["Sanaa",15.35,44.21,"YE","Amānat al ‘Āşimah"],
+        ["Meishan",30.06,103.84,"CN","Sichuan"],
+        ["Incheon",37.48,126.63,"KR","Incheon"],
+        ["Guatemala City",14.61,-90.53,"GT","Guatemala"],
+        ["Birmingham",52.48,-1.9,"GB","Birmingham"],
+        ["Ningde",26.66,119.52,"CN","Fujian"],
+        ["Zhongshan",22.53,113.35,"CN","Guangdong"],
+        ["Weihai",37.5,122.1,"CN","Shandong"],
+        ["Daqing",46.6,125.01,"CN","Heilongjiang"],
+        ["Bursa",40.18,29.05,"TR","Bursa"],
+        ["Salvador",-12.97,-38.48,"BR","Bahia"],
+        ["Haikou",20.02,110.32,"CN","Hainan"],
+        ["Rome",41.89,12.48,"IT","Lazio"],
+        ["La Paz",-16.5,-68.15,"BO","La Paz"],
+        ["Xiangtan",27.84,112.92,"CN","Hunan"],
+        ["Pyongyang",39.02,125.74,"KP","P’yŏngyang"],
+        ["Minneapolis",44.96,-93.27,"US","Minnesota"],
+        ["Omdurman",15.65,32.48,"SD","Khartoum"],
+        ["Mudanjiang",44.59,129.6,"CN","Heilongjiang"],
+        ["Malang",-7.98,112.62,"ID","Jawa Timur"],
+        ["Stuttgart",48.78,9.18,"DE","Baden-Württemberg"],
+        ["Brooklyn",40.65,-73.95,"US","New York"],
+        ["Kaohsiung",22.62,120.3,"TW","Kaohsiung"],
+        ["Guayaquil",-2.19,-79.89,"EC","Guayas"],
+        ["Longyan",25.09,117.02,"CN","Fujian"],
+        ["Lisbon",38.73,-9.15,"PT","Lisboa"],
+        ["Tieling",42.28,123.84,"CN","Liaoning"],
+        ["Baotou",40.66,109.83,"CN","Inner Mongolia"],
+        ["Handan",36.61,114.49,"CN","Hebei"],
+        ["Manchester",53.48,-2.25,"GB","Manchester"],
+        ["Cawnpore",26.45,80.33,"IN","Uttar Pradesh"],
+        ["Dingxi",35.58,104.63,"CN","Gansu"],
+        ["Nanping",26.64,118.17,"CN","Fujian"],
+        ["Tampa",27.99,-82.44,"US","Florida"],
+        ["Zigong",29.35,104.76,"CN","Sichuan"],
+        ["Maracaibo",10.63,-71.63,"VE","Zulia"],
+        ["Chaozhou",23.67,116.63,"CN","Guangdong"],
+        ["Denver",39.76,-104.88,"US","Colorado"],
+        ["Mbuji-Mayi",-6.15,23.6,"CD","Kasaï Oriental"],
+        ["Weifang",36.72,119.1,"CN","Shandong"],
+        ["Huai’an",33.51,119.14,"CN","Jiangsu"],
+        ["Zibo",36.78,118.05,"CN","Shandong"],
+        ["Ankang",32.69,109.02,"CN","Shaanxi"],
+        ["Baoshan",25.12,99.17,"CN","Yunnan"],
+        ["Huludao",40.71,120.84,"CN","Liaoning"],
+        ["Antananarivo",-18.93,47.52,"MG","Antananarivo"],
+        ["Munich",48.14,11.58,"DE","Bavaria"],
+        ["Gulou",26.09,119.3,"CN","Fujian"],
+        ["Yanjiang",30.13,104.64,"CN","Sichuan"],
+        ["Santo Domingo",18.48,-69.89,"DO","Ozama"],
+        ["Sanming",26.27,117.63,"CN","Fujian"],
+        ["Tashkent",41.31,69.28,"UZ","Toshkent"],
+        ["Longba",33.53,105.35,"CN","Gansu"],
+        ["Yangjiang",21.86,111.96,"CN","Guangdong"],
+        ["Jiamusi",46.81,130.37,"CN","Heilongjiang"],
+        ["Luohe",33.58,114.01,"CN","Henan"],
+        ["Lincang",23.89,100.09,"CN","Yunnan"],
+        ["Xuanzhou",30.95,118.75,"CN","Anhui"],
+        ["Medellín",6.23,-75.59,"CO","Antioquia"],
+        ["Yunfu",22.92,112.04,"CN","Guangdong"],
+        ["Shaoxing",30,120.58,"CN","Zhejiang"],
+        ["Yantai",37.4,121.27,"CN","Shandong"],
+        ["Huizhou",23.11,114.42,"CN","Guangdong"],
+        ["Lishui",28.45,119.92,"CN","Zhejiang"],
+        ["Mirzāpur",25.15,82.57,"IN","Uttar Pradesh"],
+        ["Hamburg",53.55,10,"DE","Hamburg"],
+        ["Guangyuan",32.44,105.84,"CN","Sichuan"],
+        ["Huangshi",30.2,115.03,"CN","Hubei"],
+        ["Cali",3.42,-76.52,"CO","Valle del Cauca"],
+        ["Xining",36.62,101.78,"CN","Qinghai"],
+        ["Lusaka",-15.42,28.28,"ZM","Lusaka"],
+        ["Daegu",35.87,128.6,"KR","Daegu"],
+        ["Ouagadougou",12.37,-1.53,"BF","Centre"],
+        ["Fortaleza",-3.73,-38.53,"BR","Ceará"],
+        ["Dandong",40.12,124.38,"CN","Liaoning"],
+        ["Yaoundé",3.87,11.52,"CM","Centre"],
+        ["Zhuhai",22.28,113.57,"CN","Guangdong"],
+        ["Yingkou",40.67,122.23,"CN","Liaoning"],
+        ["Antalya",36.89,30.71,"TR","Antalya"],
+        ["Lianshan",40.75,120.83,"CN","Liaoning"],
+        ["Nāgpur",21.15,79.08,"IN","Mahārāshtra"],
+        ["Queens",40.75,-73.8,"US","New York"],
+        ["Jilin",43.85,126.55,"CN","Jilin"],
+        ["Accra",5.55,-0.2,"GH","Greater Accra"],
+        ["Yuxi",24.35,102.54,"CN","Yunnan"],
+        ["Bekasi",-6.23,106.99,"ID","Jawa Barat"],
+        ["Ghāziābād",28.67,77.42,"IN","Uttar Pradesh"],
+        ["Luoyang",34.66,112.42,"CN","Henan"],
+        ["Brisbane",-27.47,153.03,"AU","Queensland"],
+        ["Anshun",26.25,105.93,"CN","Guizhou"],
+        ["Shangzhou",33.87,109.92,"CN","Shaanxi"],
+        ["Huainan",32.48,117.02,"CN","Anhui"],
+        ["Depok",-6.39,106.82,"ID","Jawa Barat"],
+        ["Kuaidamao",41.73,125.95,"CN","Jilin"],
+        ["Colombo",6.93,79.84,"LK","Western"],
+        ["Baku",40.37,49.84,"AZ","Bakı"],
+        ["Fukuoka",33.58,130.4,"JP","Fukuoka"],
+        ["Yan’an",36.6,109.49,"CN","Shaanxi"],
+        ["Jincheng",35.49,112.85,"CN","Shanxi"],
+        ["Vancouver",49.25,-123.1,"CA","British Columbia"],
+        ["Nantong",31.98,120.89,"CN","Jiangsu"],
+        ["Caracas",10.48,-66.9,"VE","Distrito Capital"],
+        ["Tangerang",-6.18,106.63,"ID","Jawa Barat"],
+        ["Sanmenxia",34.77,111.2,"CN","Henan"],
+        ["Laibin",23.73,109.23,"CN","Guangxi"],
+        ["Konya",37.87,32.48,"TR","Konya"],
+        ["Manaus",-3.1,-60.02,"BR","Amazonas"],
+        ["Eşfahān",32.64,51.67,"IR","Eşfahān"],
+        ["Qinbaling",35.73,107.64,"CN","Gansu"],
+        ["Baltimore",39.31,-76.61,"US","Maryland"],
+        ["Ma’anshan",31.69,118.51,"CN","Anhui"],
+        ["Shengli",37.45,118.47,"CN","Shandong"],
+        ["Gaoping",30.78,106.13,"CN","Sichuan"],
+        ["Taizhou",28.66,121.42,"CN","Zhejiang"],
+        ["Las Vegas",36.23,-115.27,"US","Nevada"],
+        ["Harare",-17.83,31.05,"ZW","Harare"],
+        ["Perth",-31.96,115.86,"AU","Western Australia"],
+        ["Havana",23.14,-82.36,"CU","La Habana"],
+        ["Phnom Penh",11.57,104.92,"KH","Phnom Penh"],
+        ["Puning",23.3,116.16,"CN","Guangdong"],
+        ["Huaibei",33.96,116.79,"CN","Anhui"],
+        ["Qingyang",24.81,118.58,"CN","Fujian"],
+        ["Kowloon",22.32,114.18,"HK",""],
+        ["Haiphong",20.87,106.68,"VN","Hải Phòng"],
+        ["Chongzuo",22.42,107.37,"CN","Guangxi"],
+        ["Rawalpindi",33.6,73.03,"PK","Punjab"],
+        ["Yushan",31.39,120.98,"CN","Jiangsu"],
+        ["St. Louis",38.64,-90.25,"US","Missouri"],
+        ["Hezhou",24.42,111.55,"CN","Guangxi"],
+        ["Kumasi",6.67,-1.62,"GH","Ashanti"],
+        ["Pingliang",35.54,106.68,"CN","Gansu"],
+        ["Vadodara",22.3,73.2,"IN","Gujarāt"],
+        ["Portland",45.54,-122.65,"US","Oregon"],
+        ["Vishākhapatnam",17.7,83.3,"IN","Andhra Pradesh"],
+        ["Baicheng",45.61,122.83,"CN","Jilin"],
+        ["Gaziantep",37.06,37.38,"TR","Gaziantep"],
+        ["Gujranwala",32.16,74.19,"PK","Punjab"],
+        ["Fushun",41.87,123.89,"CN","Liaoning"],
+        ["Riverside",33.94,-117.39,"US","California"],
+        ["Quito",-0.22,-78.51,"EC","Pichincha"],
+        ["Minsk",53.9,27.57,"BY","Minsk"],
+        ["Bamako",12.65,-7.99,"ML","Bamako"],
+        ["Tijuana",32.53,-117.03,"MX","Baja California"],
+        ["Bamenda",5.96,10.15,"CM","North-West"],
+        ["Boosaaso",11.29,49.18,"SO","Bari"],
+        ["Indore",22.72,75.85,"IN","Madhya Pradesh"],
+        ["Şanlıurfa",37.16,38.79,"TR","Şanlıurfa"],
+        ["Karaj",35.83,50.95,"IR","Alborz"],
+        ["Vienna",48.21,16.37,"AT","Wien"],
+        ["Kananga",-5.9,22.45,"CD","Kasaï Central"],
+        ["Peshawar",34.01,71.57,"PK","Khyber Pakhtunkhwa"],
+        ["Sapporo",43.07,141.35,"JP","Hokkaidō"],
+        ["Pingxiang",27.63,113.85,"CN","Jiangxi"],
+        ["Ecatepec",19.61,-99.06,"MX","México"],
+        ["Orlando",28.48,-81.34,"US","Florida"],
+        ["Sacramento",38.57,-121.47,"US","California"],
+        ["Almaty",43.28,76.9,"KZ",""],
+        ["Aleppo",36.2,37.16,"SY","Ḩalab"],
+        ["San Juan",18.4,-66.06,"PR","Puerto Rico"],
+        ["San Antonio",29.46,-98.52,"US","Texas"],
+        ["Yinchuan",38.48,106.23,"CN","Ningxia"],
+        ["Santos",-23.94,-46.32,"BR","São Paulo"],
+        ["Blantyre",-15.79,35.01,"MW","Blantyre"],
+        ["Thāne",19.2,72.97,"IN","Mahārāshtra"],
+        ["Bucharest",44.43,26.1,"RO","Bucureşti"],
+        ["Curitiba",-25.43,-49.27,"BR","Paraná"],
+        ["Tainan",22.98,120.18,"TW","Tainan"],
+        ["Xiping",40.08,113.3,"CN","Shanxi"],
+        ["Multan",30.2,71.47,"PK","Punjab"],
+        ["Port Harcourt",4.82,7.03,"NG","Rivers"],
+        ["Jixi",45.29,130.97,"CN","Heilongjiang"],
+        ["Saidu Sharif",34.75,72.36,"PK","Khyber Pakhtunkhwa"],
+        ["Warsaw",52.23,21.01,"PL","Mazowieckie"],
+        ["Liaoyang",41.26,123.18,"CN","Liaoning"],
+        ["Beihai",21.47,109.1,"CN","Guangxi"],
+        ["Meru",0.05,37.65,"KE","Meru"],
+        ["Brazzaville",-4.27,15.27,"CG","Brazzaville"],
+        ["Fuxin",42.01,121.65,"CN","Liaoning"],
+        ["Wuwei",37.93,102.63,"CN","Gansu"],
+        ["Mersin",36.8,34.63,"TR","Mersin"],
+        ["Bhopāl",23.25,77.42,"IN","Madhya Pradesh"],
+        ["Lubumbashi",-11.66,27.48,"CD","Haut-Katanga"],
+        ["Denpasar",-8.65,115.22,"ID","Bali"],
+        ["Davao",7.07,125.6,"PH","Davao"],
+        ["Shuyangzha",34.13,118.77,"CN","Jiangsu"],
+        ["Adana",37,35.32,"TR","Adana"],
+        ["Damascus",33.51,36.29,"SY","Dimashq"],
+        ["Brussels",50.85,4.35,"BE","Brussels-Capital Region"],
+        ["Hyderabad City",25.38,68.37,"PK","Sindh"],
+        ["Diyarbakır",37.91,40.24,"TR","Diyarbakır"],
+        ["San Jose",37.3,-121.85,"US","California"],
+        ["Chinchvad",18.62,73.8,"IN","Mahārāshtra"],
+        ["Pittsburgh",40.44,-79.98,"US","Pennsylvania"],
+        ["Montevideo",-34.88,-56.18,"UY","Montevideo"],
+        ["Shuozhou",39.34,112.43,"CN","Shanxi"],
+        ["Cincinnati",39.14,-84.51,"US","Ohio"],
+        ["Benxi",41.29,123.76,"CN","Liaoning"],
+        ["Baiyin",36.54,104.18,"CN","Gansu"],
+        ["Manhattan",40.78,-73.97,"US","New York"],
+        ["Mosul",36.34,43.13,"IQ","Nīnawá"],
+        ["Patna",25.6,85.1,"IN","Bihār"],
+        ["Cleveland",41.48,-81.68,"US","Ohio"],
+        ["Tegucigalpa",14.1,-87.22,"HN","Francisco Morazán"],
+        ["Kampala",0.31,32.58,"UG","Kampala"],
+        ["Sanzhou",30.82,108.4,"CN","Chongqing"],
+        ["Changshu",31.65,120.73,"CN","Jiangsu"],
+        ["Mecca",21.42,39.82,"SA","Makkah al Mukarramah"],
+        ["Heihe",50.25,127.49,"CN","Heilongjiang"],
+        ["Jingdezhen",29.29,117.2,"CN","Jiangxi"],
+        ["Conakry",9.51,-13.71,"GN","Conakry"],
+        ["Caloocan City",14.65,120.97,"PH","Caloocan"],
+        ["Indianapolis",39.78,-86.15,"US","Indiana"],
+        ["Austin",30.3,-97.75,"US","Texas"],
+        ["Recife",-8.05,-34.9,"BR","Pernambuco"],
+        ["Sangereng",-6.29,106.72,"ID","Jawa Barat"],
+        ["Kansas City",39.12,-94.55,"US","Missouri"],
+        ["Zhongli",24.97,121.22,"TW","Taoyuan"],
+        ["Novosibirsk",55.03,82.92,"RU","Novosibirskaya Oblast’"],
+        ["Bilāspur",22.09,82.15,"IN","Chhattīsgarh"],
+        ["Semarang",-6.97,110.42,"ID","Jawa Tengah"],
+        ["Ludhiāna",30.91,75.85,"IN","Punjab"],
+        ["Stockholm",59.33,18.07,"SE","Stockholm"],
+        ["Chengtangcun",35.08,117.15,"CN","Shandong"],
+        ["Balandougou",13.36,-9.55,"ML","Kayes"],
+        ["Agwār",27.18,78.02,"IN","Uttar Pradesh"],
+        ["Āgra",27.18,78.02,"IN","Uttar Pradesh"],
+        ["León de los Aldama",21.12,-101.68,"MX","Guanajuato"],
+        ["Puebla",19.03,-98.18,"MX","Puebla"],
+        ["Nārāyanganj",23.62,90.5,"BD","Dhaka"],
+        ["Yopougon",5.32,-4.07,"CI","Abidjan"],
+        ["Hebi",35.75,114.29,"CN","Henan"],
+        ["Shīrāz",29.61,52.54,"IR","Fārs"],
+        ["Córdoba",-31.42,-64.18,"AR","Córdoba"],
+        ["Madurai",9.93,78.12,"IN","Tamil Nādu"],
+        ["Huzhou",30.89,120.09,"CN","Zhejiang"],
+        ["Tabrīz",38.08,46.3,"IR","Āz̄arbāyjān-e Sharqī"],
+        ["Jamshedpur",22.79,86.18,"IN","Jhārkhand"],
+        ["Columbus",39.99,-82.99,"US","Ohio"],
+        ["Sofia",42.7,23.33,"BG","Sofia-Grad"],
+        ["San José",9.93,-84.08,"CR","San José"],
+        ["Kawasaki",35.52,139.7,"JP","Kanagawa"],
+        ["Zhangjiajie",29.13,110.48,"CN","Hunan"],
+        ["Palembang",-2.99,104.76,"ID","Sumatera Selatan"],
+        ["Aba",5.12,7.37,"NG","Abia"],
+        ["Kōbe",34.69,135.2,"JP","Hyōgo"],
+        ["Jiaxing",30.75,120.75,"CN","Zhejiang"],
+        ["Charlotte",35.21,-80.83,"US","North Carolina"],
+        ["Guiping",23.4,110.08,"CN","Guangxi"],
+        ["Lianjiang",21.61,110.28,"CN","Guangdong"],
+        ["Ximeicun",24.96,118.38,"CN","Fujian"],
+        ["Jianguang",28.2,115.78,"CN","Jiangxi"],
+        ["Yucheng",29.99,103,"CN","Sichuan"],
+        ["Xushan",30.17,121.27,"CN","Zhejiang"],
+        ["Virginia Beach",36.73,-76.04,"US","Virginia"],
+        ["Panama City",8.98,-79.52,"PA","Panamá"],
+        ["Belém",-1.46,-48.5,"BR","Pará"],
+        ["Leizhou",20.91,110.08,"CN","Guangdong"],
+        ["Gwangju",35.17,126.85,"KR","Gwangju"],
+        ["Nāsik",20,73.78,"IN","Mahārāshtra"],
+        ["Porto Alegre",-30.03,-51.23,"BR","Rio Grande do Sul"],
+        ["Valencia",10.17,-68,"VE","Carabobo"],
+        ["Onitsha",6.17,6.78,"NG","Anambra"],
+        ["Abu Dhabi",24.47,54.37,"AE","Abū Z̧aby"],
+        ["Zapopan",20.72,-103.4,"MX","Jalisco"],
+        ["Daejeon",36.35,127.39,"KR","Daejeon"],
+        ["Bronx",40.85,-73.87,"US","New York"],
+        ["Yekaterinburg",56.84,60.61,"RU","Sverdlovskaya Oblast’"],
+        ["Huazhou",32.68,112.08,"CN","Henan"],
+        ["Kyōto",35.01,135.77,"JP","Kyōto"],
+        ["Jinhua",29.1,119.65,"CN","Zhejiang"],
+        ["Shuangyashan",46.64,131.15,"CN","Heilongjiang"],
+        ["Amsterdam",52.37,4.89,"NL","Noord-Holland"],
+        ["Pizhou",34.34,118.01,"CN","Jiangsu"],
+        ["El Kelaa des Srarhna",32.05,-7.41,"MA","Marrakech-Safi"],
+        ["Kharkiv",49.99,36.23,"UA","Kharkivska Oblast"],
+        ["Dakar",14.69,-17.45,"SN","Dakar"],
+        ["Yangshe",31.88,120.55,"CN","Jiangsu"],
+        ["Guyuan",36.01,106.28,"CN","Ningxia"],
+        ["Rui’an",27.78,120.65,"CN","Zhejiang"],
+        ["Muscat",23.61,58.59,"OM","Masqaţ"],
+        ["Wenling",28.38,121.37,"CN","Zhejiang"],
+        ["Gaozhou",21.91,110.85,"CN","Guangdong"],
+        ["Farīdābād",28.42,77.3,"IN","Haryāna"],
+        ["Chizhou",30.66,117.48,"CN","Anhui"],
+        ["Khulna",22.82,89.55,"BD","Khulna"],
+        ["Ulaanbaatar",47.92,106.92,"MN","Ulaanbaatar"],
+        ["Goiânia",-16.67,-49.25,"BR","Goiás"],
+        ["Fuqing",25.72,119.37,"CN","Fujian"],
+        ["Kayseri",38.72,35.49,"TR","Kayseri"],
+        ["Tel Aviv-Yafo",32.08,34.78,"IL","Tel Aviv"],
+        ["Wuzhong",37.99,106.19,"CN","Ningxia"],
+        ["Pingdu",36.78,119.96,"CN","Shandong"],
+        ["Belgrade",44.82,20.46,"RS","Beograd"],
+        ["Aurangābād",19.88,75.32,"IN","Mahārāshtra"],
+        ["Yangquan",37.86,113.58,"CN","Shanxi"],
+        ["Yutan",28.31,112.55,"CN","Hunan"],
+        ["Copenhagen",55.68,12.57,"DK","Hovedstaden"],
+        ["Milan",45.47,9.19,"IT","Lombardy"],
+        ["Huangshan",29.71,118.32,"CN","Anhui"],
+        ["Auckland",-36.84,174.74,"NZ","Auckland"],
+        ["Santiago",19.46,-70.69,"DO","Cibao Norte"],
+        ["Milwaukee",43.06,-87.97,"US","Wisconsin"],
+        ["Makassar",-5.16,119.44,"ID","Sulawesi Selatan"],
+        ["Liangshi",27.26,111.74,"CN","Hunan"],
+        ["Samsun",41.29,36.33,"TR","Samsun"],
+        ["Rājkot",22.3,70.78,"IN","Gujarāt"],
+        ["Prague",50.09,14.42,"CZ","Praha"],
+        ["Barranquilla",10.98,-74.8,"CO","Atlántico"],
+        ["Al Başrah",30.52,47.81,"IQ","Al Başrah"],
+        ["Saitama",35.86,139.65,"JP","Saitama"],
+        ["Guarulhos",-23.46,-46.53,"BR","São Paulo"],
+        ["Juárez",31.74,-106.49,"MX","Chihuahua"],
+        ["Mandalay",21.98,96.08,"MM","Mandalay"],
+        ["Xintai",35.91,117.78,"CN","Shandong"],
+        ["Wusong",30.93,117.77,"CN","Anhui"],
+        ["Meerut",28.98,77.71,"IN","Uttar Pradesh"],
+        ["Yushu",44.82,126.55,"CN","Jilin"],
+        ["Rongcheng",26.23,104.1,"CN","Yunnan"],
+        ["Huazhou",21.65,110.63,"CN","Guangdong"],
+        ["Baishan",41.94,126.42,"CN","Jilin"],
+        ["Dayan",26.88,100.22,"CN","Yunnan"],
+        ["Adelaide",-34.93,138.6,"AU","South Australia"],
+        ["Haicheng",40.85,122.75,"CN","Liaoning"],
+        ["Tripoli",32.89,13.19,"LY","Ţarābulus"],
+        ["Jiangyin",31.91,120.27,"CN","Jiangsu"],
+        ["Yicheng",31.37,119.82,"CN","Jiangsu"],
+        ["Cacuaco",-8.81,13.24,"AO","Luanda"],
+        ["Porto",41.16,-8.62,"PT","Porto"],
+        ["Rosario",-32.96,-60.64,"AR","Santa Fe"],
+        ["Canagatan",18,121.8,"PH","Cagayan"],
+        ["Soweto",-26.27,27.86,"ZA","Gauteng"],
+        ["Providence",41.82,-71.42,"US","Rhode Island"],
+        ["Helsinki",60.17,24.94,"FI","Uusimaa"],
+        ["Jabalpur",23.17,79.93,"IN","Madhya Pradesh"],
+        ["Rucheng",32.39,120.56,"CN","Jiangsu"],
+        ["Nizhniy Novgorod",56.33,44.01,"RU","Nizhegorodskaya Oblast’"],
+        ["Huaiyin",33.58,119.03,"CN","Jiangsu"],
+        ["Ahvāz",31.32,48.67,"IR","Khūzestān"],
+        ["Jepara",-6.53,110.67,"ID","Jawa Tengah"],
+        ["Shaoyang",32.94,119.84,"CN","Jiangsu"],
+        ["Comayagüela",14.1,-87.21,"HN","Francisco Morazán"],
+        ["Laiwu",36.18,117.67,"CN","Shandong"],
+        ["Sharjah",25.36,55.39,"AE","Ash Shāriqah"],
+        ["Jingling",30.67,113.17,"CN","Hubei"],
+        ["Kalamboli",19.23,73.13,"IN","Mahārāshtra"],
+        ["Kazan",55.8,49.11,"RU","Tatarstan"],
+        ["Yongcheng",33.93,116.45,"CN","Henan"],
+        ["Sumedang",-6.84,107.92,"ID","Jawa Barat"],
+        ["Calgary",51.05,-114.07,"CA","Alberta"],
+        ["Cần Thơ",10.03,105.78,"VN","Cần Thơ"],
+        ["Suwon",37.27,127.02,"KR","Gyeonggi"],
+        ["Yiwu",29.31,120.07,"CN","Zhejiang"],
+        ["Bagam",1.08,104.03,"ID","Kepulauan Riau"],
+        ["Beidao",34.6,105.92,"CN","Gansu"],
+        ["Vasai",19.47,72.8,"IN","Mahārāshtra"],
+        ["Xiangshui",26.6,104.83,"CN","Guizhou"],
+        ["Jacksonville",30.33,-81.67,"US","Florida"],
+        ["Akçaabat",41.02,39.55,"TR","Trabzon"],
+        ["Dadukou",26.58,101.71,"CN","Sichuan"],
+        ["Campinas",-22.91,-47.06,"BR","São Paulo"],
+        ["Lingcheng",22.7,110.35,"CN","Guangxi"],
+        ["Vila Velha",3.22,-51.22,"BR","Amapá"],
+        ["Mombasa",-4.05,39.67,"KE","Mombasa"],
+        ["Najafgarh",28.61,76.98,"IN","Delhi"],
+        ["Xinyu",27.8,114.92,"CN","Jiangxi"],
+        ["Chelyabinsk",55.15,61.4,"RU","Chelyabinskaya Oblast’"],
+        ["Qom",34.64,50.88,"IR","Qom"],
+        ["Hargeysa",9.56,44.07,"SO","Woqooyi Galbeed"],
+        ["Zhangye",38.94,100.46,"CN","Gansu"],
+        ["Gāzipura",23.99,90.38,"BD","Dhaka"],
+        ["Vārānasi",25.32,83.01,"IN","Uttar Pradesh"],
+        ["Hiroshima",34.39,132.45,"JP","Hiroshima"],
+        ["Chiang Mai",18.8,99,"TH","Chiang Mai"],
+        ["Maiduguri",11.83,13.15,"NG","Borno"],
+        ["Maputo",-25.97,32.58,"MZ","Maputo"],
+        ["Mbandaka",0.05,18.26,"CD","Équateur"],
+        ["Doha",25.29,51.53,"QA","Ad Dawḩah"],
+        ["Medina",24.47,39.61,"SA","Al Madīnah al Munawwarah"],
+        ["Srīnagar",34.09,74.79,"IN","Jammu and Kashmīr"],
+        ["Omsk",54.97,73.38,"RU","Omskaya Oblast’"],
+        ["Liaoyuan",42.9,125.14,"CN","Jilin"],
+        ["Yingtan",28.23,117,"CN","Jiangxi"],
+        ["Cilacap",-7.72,109.02,"ID","Jawa Tengah"],
+        ["Dublin",53.35,-6.26,"IE","Dublin"],
+        ["Pikine",14.75,-17.4,"SN","Dakar"],
+        ["Samara",53.2,50.14,"RU","Samarskaya Oblast’"],
+        ["Guankou",28.14,113.63,"CN","Hunan"],
+        ["Bandar Lampung",-5.45,105.27,"ID","Lampung"],
+        ["Ulsan",35.55,129.32,"KR","Ulsan"],
+        ["Dingzhou",38.52,114.98,"CN","Hebei"],
+        ["Lianyuan",27.7,111.67,"CN","Hunan"],
+        ["Rongcheng",29.82,112.9,"CN","Hubei"],
+        ["Dhanbād",23.8,86.43,"IN","Jhārkhand"],
+        ["Nay Pyi Taw",19.75,96.12,"MM","Nay Pyi Taw"],
+        ["Kaiyuan",36.07,113.82,"CN","Henan"],
+        ["Zhuji",29.72,120.23,"CN","Zhejiang"],
+        ["Kigali",-1.95,30.06,"RW","Kigali"],
+        ["Leiyang",26.42,112.85,"CN","Hunan"],
+        ["Yichun",47.72,128.89,"CN","Heilongjiang"],
+        ["Benin City",6.33,5.62,"NG","Edo"],
+        ["Bafoussam",5.47,10.42,"CM","Ouest"],
+        ["Xiantao",30.38,113.4,"CN","Hubei"],
+        ["Rostov",47.23,39.7,"RU","Rostovskaya Oblast’"],
+        ["Salt Lake City",40.78,-111.93,"US","Utah"],
+        ["Bukavu",-2.5,28.87,"CD","Sud-Kivu"],
+        ["Amritsar",31.64,74.86,"IN","Punjab"],
+        ["Shagamu",6.83,3.65,"NG","Ogun"],
+        ["Yingchuan",34.15,113.47,"CN","Henan"],
+        ["Alīgarh",27.88,78.08,"IN","Uttar Pradesh"],
+        ["Callao",-12.03,-77.13,"PE","Callao"],
+        ["Tbilisi",41.72,44.79,"GE","Tbilisi"],
+        ["Guwāhāti",26.17,91.75,"IN","Assam"],
+        ["Ufa",54.73,55.95,"RU","Bashkortostan"],
+        ["Fès",34.04,-5,"MA","Fès-Meknès"],
+        ["Ciudad Nezahualcóyotl",19.41,-99.02,"MX","México"],
+        ["São Luís",-2.53,-44.3,"BR","Maranhão"],
+        ["Biên Hòa",10.95,106.82,"VN","Đồng Nai"],
+        ["Mexicali",32.66,-115.47,"MX","Baja California"],
+        ["Sevilla",37.24,-5.99,"ES","Andalusia"],
+        ["Ikare",7.52,5.75,"NG","Ondo"],
+        ["Nashville",36.17,-86.78,"US","Tennessee"],
+        ["Xibeijie",39.74,98.5,"CN","Gansu"],
+        ["Tamale",9.41,-0.85,"GH","Northern"],
+        ["Yuyao",30.04,121.15,"CN","Zhejiang"],
+        ["Hanchuan",30.65,113.83,"CN","Hubei"],
+        ["Gongzhuling",43.5,124.81,"CN","Jilin"],
+        ["N’Djamena",12.11,15.05,"TD","N’Djamena"],
+        ["Krasnoyarsk",56.01,92.87,"RU","Krasnoyarskiy Kray"],
+        ["Cologne",50.94,6.95,"DE","North Rhine-Westphalia"],
+        ["Zhufeng",36,119.42,"CN","Shandong"],
+        ["Ezhou",30.4,114.88,"CN","Hubei"],
+        ["Nur-Sultan",51.15,71.42,"KZ",""],
+        ["São Gonçalo",-22.83,-43.05,"BR","Rio de Janeiro"],
+        ["Nezahualcóyotl",19.4,-99.01,"MX","México"],
+        ["Nouakchott",18.09,-15.98,"MR","Nouakchott Ouest"],
+        ["Hāora",22.58,88.33,"IN","West Bengal"],
+        ["Tongjin",37.23,127.2,"KR","Gyeonggi"],
+        ["Xiashi",30.53,120.68,"CN","Zhejiang"],
+        ["Yerevan",40.18,44.51,"AM","Yerevan"],
+        ["Bujumbura",-3.38,29.37,"BI","Bujumbura Mairie"],
+        ["Bishkek",42.87,74.61,"KG","Bishkek"],
+        ["Vereeniging",-26.67,27.93,"ZA","Gauteng"],
+        ["Taixing",32.17,120.01,"CN","Jiangsu"],
+        ["Rānchi",23.36,85.33,"IN","Jhārkhand"],
+        ["Gwalior",26.22,78.18,"IN","Madhya Pradesh"],
+        ["Zhongwei",37.51,105.19,"CN","Ningxia"],
+        ["Oslo",59.91,10.74,"NO","Oslo"],
+        ["Edmonton",53.53,-113.49,"CA","Alberta"],
+        ["Raleigh",35.83,-78.64,"US","North Carolina"],
+        ["Goyang",37.65,126.8,"KR","Gyeonggi"],
+        ["Sendai",38.27,140.87,"JP","Miyagi"],
+        ["Mizhou",35.99,119.38,"CN","Shandong"],
+        ["Xishan",27.66,113.49,"CN","Hunan"],
+        ["Barquisimeto",10.07,-69.35,"VE","Lara"],
+        ["Hegang",47.31,130.28,"CN","Heilongjiang"],
+        ["Tunis",36.81,10.18,"TN","Tunis"],
+        ["Chandīgarh",30.75,76.78,"IN","Chandīgarh"],
+        ["Voronezh",51.67,39.21,"RU","Voronezhskaya Oblast’"],
+        ["Vijayavāda",16.52,80.63,"IN","Andhra Pradesh"],
+        ["Perm",58.01,56.25,"RU","Permskiy Kray"],
+        ["Fangchenggang",21.6,108.3,"CN","Guangxi"],
+        ["Changwon",35.27,128.66,"KR","Gyeongnam"],
+        ["Shouguang",36.88,118.73,"CN","Shandong"],
+        ["Cartagena",10.4,-75.5,"CO","Bolívar"],
+        ["Memphis",35.11,-89.97,"US","Tennessee"],
+        ["Jodhpur",26.28,73.02,"IN","Rājasthān"],
+        ["Matola",-25.97,32.47,"MZ","Maputo"],
+        ["Ogbomoso",8.13,4.25,"NG","Oyo"],
+        ["Sanya",18.25,109.5,"CN","Hainan"],
+        ["Rangapukur",25.56,89.25,"BD","Rangpur"],
+        ["Bogor",-6.6,106.8,"ID","Jawa Barat"],
+        ["Wutong",30.63,120.55,"CN","Zhejiang"],
+        ["Linhai",28.85,121.14,"CN","Zhejiang"],
+        ["Managua",12.15,-86.27,"NI","Managua"],
+        ["Shymkent",42.32,69.6,"KZ",""],
+        ["Denizli",37.77,29.08,"TR","Denizli"],
+        ["Niamey",13.52,2.12,"NE","Niamey"],
+        ["Shubrā al Khaymah",30.13,31.24,"EG","Al Qalyūbīyah"],
+        ["Maceió",-9.67,-35.73,"BR","Alagoas"],
+        ["Wafangdian",39.63,122,"CN","Liaoning"],
+        ["Louisville",38.17,-85.65,"US","Kentucky"],
+        ["Zhongxiang",31.17,112.59,"CN","Hubei"],
+        ["Monrovia",6.31,-10.8,"LR","Montserrado"],
+        ["Odesa",46.48,30.73,"UA","Odeska Oblast"],
+        ["Volgograd",48.71,44.51,"RU","Volgogradskaya Oblast’"],
+        ["Islamabad",33.69,73.06,"PK","Islamabad"],
+        ["Xinyi",22.36,110.94,"CN","Guangdong"],
+        ["Thủ Đức",10.83,106.76,"VN","Hồ Chí Minh"],
+        ["Raipur",21.25,81.63,"IN","Chhattīsgarh"],
+        ["Arequipa",-16.4,-71.53,"PE","Arequipa"],
+        ["Richmond",37.53,-77.48,"US","Virginia"],
+        ["Zaoyang",32.13,112.76,"CN","Hubei"],
+        ["Buffalo",42.9,-78.85,"US","New York"],
+        ["Xingyi",25.09,104.9,"CN","Guizhou"],
+        ["Shuizhai",33.44,114.9,"CN","Henan"],
+        ["Kota",25.18,75.83,"IN","Rājasthān"],
+        ["Quetta",30.18,67,"PK","Balochistan"],
+        ["Bareilly",28.36,79.42,"IN","Uttar Pradesh"],
+        ["Quảng Hà",15.93,108.27,"VN","Quảng Nam"],
+        ["Domaa-Ahenkro",7.28,-2.88,"GH","Bono"],
+        ["Oklahoma City",35.47,-97.51,"US","Oklahoma"],
+        ["Xingcheng",24.17,115.67,"CN","Guangdong"],
+        ["Dongtai",32.85,120.3,"CN","Jiangsu"],
+        ["Ottawa",45.42,-75.69,"CA","Ontario"],
+        ["Lilongwe",-13.98,33.78,"MW","Lilongwe"],
+        ["Port-au-Prince",18.53,-72.33,"HT","Ouest"],
+        ["Yingcheng",24.19,113.4,"CN","Guangdong"],
+        ["Al Mijlad",11.03,27.74,"SD","West Kordofan"],
+        ["Luocheng",22.76,111.57,"CN","Guangdong"],
+        ["Pekanbaru",0.51,101.45,"ID","Riau"],
+        ["Chiba",35.61,140.11,"JP","Chiba"],
+        ["Dnipro",48.47,35.04,"UA","Dnipropetrovska Oblast"],
+        ["Godē",5.95,43.55,"ET","Sumalē"],
+        ["Danyang",31.99,119.58,"CN","Jiangsu"],
+        ["Natal",-6.98,-60.27,"BR","Amazonas"],
+        ["Nada",19.5,109.58,"CN","Hainan"],
+        ["Zamboanga City",6.9,122.08,"PH","Zamboanga"],
+        ["Kathmandu",27.72,85.32,"NP",""],
+        ["Bridgeport",41.19,-73.2,"US","Connecticut"],
+        ["Kirkuk",35.47,44.32,"IQ","Karkūk"],
+        ["Huilong",31.81,121.66,"CN","Jiangsu"],
+        ["Wuchuan",21.43,110.77,"CN","Guangdong"],
+        ["Málaga",36.72,-4.42,"ES","Andalusia"],
+        ["Naples",40.83,14.25,"IT","Campania"],
+        ["Cebu City",10.32,123.75,"PH","Cebu"],
+        ["Asmara",15.32,38.92,"ER","Ma’ĭkel"],
+        ["Morelia",19.77,-101.19,"MX","Michoacán"],
+        ["Al Manşūrah",31.05,31.38,"EG","Ad Daqahlīyah"],
+        ["Coimbatore",11.02,76.96,"IN","Tamil Nādu"],
+        ["Taishan",22.25,112.79,"CN","Guangdong"],
+        ["Teresina",-5.09,-42.8,"BR","Piauí"],
+        ["Kermānshāh",34.31,47.07,"IR","Kermānshāh"],
+        ["Solāpur",17.68,75.92,"IN","Mahārāshtra"],
+        ["Freetown",8.48,-13.23,"SL","Western Area"],
+        ["Baidoa",3.12,43.65,"SO","Bay"],
+        ["Gaalkacyo",6.77,47.43,"SO","Mudug"],
+        ["Santo Domingo Este",18.49,-69.87,"DO","Ozama"],
+        ["Krasnodar",45.03,38.97,"RU","Krasnodarskiy Kray"],
+        ["Sŏngnam",37.43,127.15,"KR","Gyeonggi"],
+        ["Vientiane",17.97,102.6,"LA","Viangchan"],
+        ["Tangier",35.78,-5.8,"MA","Tanger-Tétouan-Al Hoceïma"],
+        ["Anqiu",36.36,119.11,"CN","Shandong"],
+        ["Feicheng",36.19,116.77,"CN","Shandong"],
+        ["Seberang Jaya",5.4,100.47,"MY","Pulau Pinang"],
+        ["El Alto",-16.5,-68.16,"BO","La Paz"],
+        ["Setagaya",35.65,139.65,"JP","Tōkyō"],
+        ["Khartoum North",15.63,32.63,"SD","Khartoum"],
+        ["Meishan",34.17,112.84,"CN","Henan"],
+        ["Kisangani",0.52,25.19,"CD","Tshopo"],
+        ["Kitakyūshū",33.88,130.88,"JP","Fukuoka"],
+        ["Aguascalientes",21.88,-102.3,"MX","Aguascalientes"],
+        ["Donetsk",48,37.81,"UA","Donetska Oblast"],
+        ["Marrakech",31.63,-8.01,"MA","Marrakech-Safi"],
+        ["New Orleans",30.07,-89.93,"US","Louisiana"],
+        ["Taihe",30.87,105.38,"CN","Sichuan"],
+        ["Riga",56.95,24.11,"LV","Rīga"],
+        ["Xin’an",34.37,118.34,"CN","Jiangsu"],
+        ["Taihecun",45.77,131.01,"CN","Heilongjiang"],
+        ["Kashgar",39.47,75.99,"CN","Xinjiang"],
+        ["Trujillo",-8.11,-79.03,"PE","La Libertad"],
+        ["Jerusalem",31.78,35.21,"IL","Jerusalem"],
+        ["Santiago de Cuba",20.02,-75.83,"CU","Santiago de Cuba"],
+        ["Trichinopoly",10.79,78.7,"IN","Tamil Nādu"],
+        ["Padang",-0.95,100.35,"ID","Sumatera Barat"],
+        ["Çankaya",39.92,32.89,"TR","Ankara"],
+        ["Qingzhou",36.7,118.48,"CN","Shandong"],
+        ["Lichuan",30.3,108.94,"CN","Hubei"],
+        ["Naucalpan de Juárez",19.48,-99.24,"MX","México"],
+        ["Santiago del Estero",-27.78,-64.27,"AR","Santiago del Estero"],
+        ["Daye",30.1,114.97,"CN","Hubei"],
+        ["Fort Worth",32.78,-97.35,"US","Texas"],
+        ["Hengzhou",22.69,109.27,"CN","Guangxi"],
+        ["Owerri",5.48,7.03,"NG","Imo"],
+        ["Hartford",41.77,-72.68,"US","Connecticut"],
+        ["Campo Grande",-20.48,-54.61,"BR","Mato Grosso do Sul"],
+        ["Zhuanghe",39.69,122.97,"CN","Liaoning"],
+        ["Bobo-Dioulasso",11.18,-4.28,"BF","Hauts-Bassins"],
+        ["Ad Dammām",26.43,50.1,"SA","Ash Sharqīyah"],
+        ["Quzhou",28.95,118.88,"CN","Zhejiang"],
+        ["Lhasa",29.65,91.17,"CN","Tibet"],
+        ["Bunia",1.57,30.25,"CD","Ituri"],
+        ["Jiaozhou",36.25,119.96,"CN","Shandong"],
+        ["Mérida",20.97,-89.62,"MX","Yucatán"],
+        ["Yangchun",22.17,111.78,"CN","Guangdong"],
+        ["Esenyurt",41.05,28.66,"TR","İstanbul"],
+        ["Bangui",4.37,18.56,"CF","Bangui"],
+        ["Abeokuta",7.16,3.35,"NG","Ogun"],
+        ["Cancún",21.16,-86.85,"MX","Quintana Roo"],
+        ["Morādābād",28.84,78.78,"IN","Uttar Pradesh"],
+        ["Antipolo",14.58,121.18,"PH","Rizal"],
+        ["Dengtalu",36.14,114.11,"CN","Henan"],
+        ["Taguig City",14.52,121.05,"PH","Taguig"],
+        ["Zhoushan",29.99,122.2,"CN","Zhejiang"],
+        ["As Sulaymānīyah",35.56,45.44,"IQ","As Sulaymānīyah"],
+        ["Chihuahua",28.64,-106.09,"MX","Chihuahua"],
+        ["Klang",3.03,101.45,"MY","Selangor"],
+        ["Tiruppūr",11.11,77.34,"IN","Tamil Nādu"],
+        ["Natal",-5.78,-35.2,"BR","Rio Grande do Norte"],
+        ["Gurgaon",28.46,77.03,"IN","Haryāna"],
+        ["Tucson",32.15,-110.88,"US","Arizona"],
+        ["Ar Ramādī",33.43,43.3,"IQ","Al Anbār"],
+        ["Hai’an",32.53,120.46,"CN","Jiangsu"],
+        ["Laiyang",36.98,120.71,"CN","Shandong"],
+        ["Jalandhar",31.26,75.44,"IN","Punjab"],
+        ["Kaifeng Chengguanzhen",34.85,114.35,"CN","Henan"],
+        ["Eskişehir",39.78,30.52,"TR","Eskişehir"],
+        ["Turin",45.08,7.68,"IT","Piedmont"],
+        ["Bucaramanga",7.13,-73,"CO","Santander"],
+        ["Marseille",43.3,5.37,"FR","Provence-Alpes-Côte d’Azur"],
+        ["Gaomi",36.38,119.75,"CN","Shandong"],
+        ["Bucheon",37.5,126.78,"KR","Gyeonggi"],
+        ["Ipoh",4.6,101.08,"MY","Perak"],
+        ["Saltillo",25.42,-100.99,"MX","Coahuila"],
+        ["Liverpool",53.41,-2.99,"GB","Liverpool"],
+        ["Dushanbe",38.54,68.78,"TJ","Dushanbe"],
+        ["Ikeja",6.62,3.34,"NG","Lagos"],
+        ["Weichanglu",37.18,119.93,"CN","Shandong"],
+        ["Cochabamba",-17.38,-66.17,"BO","Cochabamba"],
+        ["Portsmouth",50.81,-1.09,"GB","Portsmouth"],
+        ["Southampton",50.9,-1.4,"GB","Southampton"],
+        ["Hermosillo",29.1,-110.95,"MX","Sonora"],
+        ["Wuxi",26.59,111.85,"CN","Hunan"],
+        ["Leping",28.96,117.12,"CN","Jiangxi"],
+        ["Oran",35.7,-0.63,"DZ","Oran"],
+        ["Shache",38.43,77.25,"CN","Xinjiang"],
+        ["Sale",34.03,-6.8,"MA","Rabat-Salé-Kénitra"],
+        ["Hailun",47.46,126.96,"CN","Heilongjiang"],
+        ["Macheng",31.18,115.02,"CN","Hubei"],
+        ["Akure",7.25,5.2,"NG","Ondo"],
+        ["Ilorin",8.5,4.55,"NG","Kwara"],
+        ["Erbil",36.19,44.01,"IQ","Arbīl"],
+        ["Saratov",51.53,46.02,"RU","Saratovskaya Oblast’"],
+        ["Iguaçu",-22.74,-43.47,"BR","Rio de Janeiro"],
+        ["Yuci",37.68,112.73,"CN","Shanxi"],
+        ["Dehui",44.53,125.7,"CN","Jilin"],
+        ["Bhubaneshwar",20.27,85.84,"IN","Odisha"],
+        ["Lomé",6.13,1.22,"TG","Maritime"],
+        ["Honolulu",21.33,-157.85,"US","Hawaii"],
+        ["Tongchuan",34.91,108.94,"CN","Shaanxi"],
+        ["Cheongju",36.63,127.48,"KR","Chungbuk"],
+        ["Chengxiang",31.45,121.1,"CN","Jiangsu"],
+        ["Warri",5.52,5.75,"NG","Delta"],
+        ["Pointe-Noire",-4.8,11.85,"CG","Pointe-Noire"],
+        ["Ashgabat",37.95,58.38,"TM","Aşgabat"],
+        ["Rongjiawan",29.14,113.11,"CN","Hunan"],
+        ["Thessaloníki",40.64,22.93,"GR","Kentrikí Makedonía"],
+        ["Sakai",34.57,135.48,"JP","Ōsaka"],
+        ["Kālkāji Devi",28.55,77.25,"IN","Delhi"],
+        ["Mediouna",33.45,-7.51,"MA","Casablanca-Settat"],
+        ["Renqiu",38.71,116.1,"CN","Hebei"],
+        ["Butterworth",5.4,100.36,"MY","Pulau Pinang"],
+        ["Xindi",29.82,113.47,"CN","Hubei"],
+        ["Wu’an",36.69,114.18,"CN","Hebei"],
+        ["São Bernardo do Campo",-23.7,-46.55,"BR","São Paulo"],
+        ["Barinas",8.63,-70.2,"VE","Barinas"],
+        ["Māndvi",19.3,72.85,"IN","Mahārāshtra"],
+        ["Gaoyou",32.78,119.44,"CN","Jiangsu"],
+        ["Yiyang",26.41,112.39,"CN","Hunan"],
+        ["Hejian",38.45,116.09,"CN","Hebei"],
+        ["Puxi",35.21,114.74,"CN","Henan"],
+        ["Bhayandar",19.29,72.85,"IN","Mahārāshtra"],
+        ["Androtsy",-24.1,46.3,"MG","Toliara"],
+        ["Zagreb",45.82,15.98,"HR","Zagreb, Grad"],
+        ["McAllen",26.23,-98.25,"US","Texas"],
+        ["Culiacán",24.81,-107.39,"MX","Sinaloa"],
+        ["Zijinglu",34.75,112.99,"CN","Henan"],
+        ["Omaha",41.26,-96.05,"US","Nebraska"],
+        ["Dongyang",29.28,120.23,"CN","Zhejiang"],
+        ["Pasig City",14.58,121.08,"PH","Pasig"],
+        ["Querétaro",20.59,-100.39,"MX","Querétaro"],
+        ["João Pessoa",-7.12,-34.88,"BR","Paraíba"],
+        ["Kraków",50.06,19.94,"PL","Małopolskie"],
+        ["Abaeté",-19.16,-45.45,"BR","Minas Gerais"],
+        ["Palermo",2.89,-75.44,"CO","Huila"],
+        ["Xigazê",29.25,88.88,"CN","Tibet"],
+        ["Qingping",34.54,113.38,"CN","Henan"],
+        ["Libreville",0.39,9.45,"GA","Estuaire"],
+        ["El Paso",31.85,-106.43,"US","Texas"],
+        ["George Town",5.41,100.33,"MY","Pulau Pinang"],
+        ["Seyhan",36.98,35.33,"TR","Adana"],
+        ["Valencia",39.47,-0.38,"ES","Valencia"],
+        ["Hempstead",40.66,-73.61,"US","New York"],
+        ["Niigata",37.92,139.04,"JP","Niigata"],
+        ["Leeds",53.8,-1.55,"GB","Leeds"],
+        ["Hamamatsu",34.71,137.73,"JP","Shizuoka"],
+        ["Xiangxiang",27.74,112.52,"CN","Hunan"],
+        ["Chaohucun",31.68,117.74,"CN","Anhui"],
+        ["Lubango",-14.92,13.5,"AO","Huíla"],
+        ["Homs",34.73,36.72,"SY","Ḩimş"],
+        ["Bilbao",43.26,-2.92,"ES","Basque Country"],
+        ["Zouping",36.86,117.74,"CN","Shandong"],
+        ["San Luis Potosí",22.15,-100.98,"MX","San Luis Potosí"],
+        ["Cencheng",22.93,111.02,"CN","Guangxi"],
+        ["Dali",25.68,100.3,"CN","Yunnan"],
+        ["Fuyang",30.06,119.95,"CN","Zhejiang"],
+        ["Küçükçekmece",41,28.8,"TR","İstanbul"],
+        ["Khŭjand",40.28,69.63,"TJ","Sughd"],
+        ["Korla",41.73,86.17,"CN","Xinjiang"],
+        ["Nottingham",52.95,-1.15,"GB","Nottingham"],
+        ["Hamhŭng",39.92,127.53,"KP","Hamnam"],
+        ["Erzurum",39.91,41.28,"TR","Erzurum"],
+        ["Al ‘Ayn",24.21,55.74,"AE","Abū Z̧aby"],
+        ["Songzi",30.18,111.77,"CN","Hubei"],
+        ["Albuquerque",35.11,-106.65,"US","New Mexico"],
+        ["Frankfurt",50.11,8.68,"DE","Hesse"],
+        ["Rājshāhi",24.37,88.6,"BD","Rājshāhi"],
+        ["Patiāla",30.34,76.38,"IN","Punjab"],
+        ["Laixi",36.87,120.53,"CN","Shandong"],
+        ["Zhongba",31.78,104.74,"CN","Sichuan"],
+        ["Bahawalpur",29.4,71.68,"PK","Punjab"],
+        ["Cotonou",6.37,2.43,"BJ","Littoral"],
+        ["Qamdo",31.14,97.18,"CN","Tibet"],
+        ["Qingnian",36.85,115.71,"CN","Shandong"],
+        ["San Pedro Sula",15.5,-88.03,"HN","Cortés"],
+        ["Kaduna",10.52,7.43,"NG","Kaduna"],
+        ["Xinhualu",34.4,113.72,"CN","Henan"],
+        ["Guangshui",31.62,113.82,"CN","Hubei"],
+        ["Baardheere",2.33,42.28,"SO","Gedo"],
+        ["Samarinda",-0.5,117.14,"ID","Kalimantan Timur"],
+        ["Sizhan",39.01,106.37,"CN","Ningxia"],
+        ["Ciudad Guayana",8.37,-62.65,"VE","Bolívar"],
+        ["Pietermaritzburg",-29.62,30.38,"ZA","KwaZulu-Natal"],
+        ["Burco",9.53,45.53,"SO","Togdheer"],
+        ["Changhua",24.07,120.53,"TW","Changhua"],
+        ["Cúcuta",7.89,-72.5,"CO","Norte de Santander"],
+        ["Dhūlia",20.9,74.77,"IN","Mahārāshtra"],
+        ["Licheng",31.42,119.48,"CN","Jiangsu"],
+        ["Tyumen",57.15,65.53,"RU","Tyumenskaya Oblast’"],
+        ["Thiruvananthapuram",8.49,76.95,"IN","Kerala"],
+        ["Nampula",-15.12,39.27,"MZ","Nampula"],
+        ["Nerima",35.74,139.65,"JP","Tōkyō"],
+        ["Zaporizhzhia",47.85,35.12,"UA","Zaporizka Oblast"],
+        ["Pretoria",-25.75,28.19,"ZA","Gauteng"],
+        ["Kyaukse",21.61,96.13,"MM","Mandalay"],
+        ["Chengguan",35.53,113.7,"CN","Henan"],
+        ["Nehe",48.48,124.87,"CN","Heilongjiang"],
+        ["Cabinda",-5.56,12.19,"AO","Cabinda"],
+        ["Kumamoto",32.8,130.71,"JP","Kumamoto"],
+        ["Kermān",30.28,57.08,"IR","Kermān"],
+        ["Rochester",43.17,-77.62,"US","New York"],
+        ["Ōta-ku",35.56,139.72,"JP","Tōkyō"],
+        ["Zunhua",40.19,117.96,"CN","Hebei"],
+        ["Orūmīyeh",37.55,45.07,"IR","Āz̄arbāyjān-e Gharbī"],
+        ["Wugang",26.73,110.63,"CN","Hunan"],
+        ["Bağcılar",41.03,28.86,"TR","İstanbul"],
+        ["Shuangqiao",35.08,112.58,"CN","Henan"],
+        ["Tshikapa",-6.42,20.8,"CD","Kasaï"],
+        ["Osogbo",7.77,4.57,"NG","Osun"],
+        ["Comodoro Rivadavia",-45.86,-67.48,"AR","Chubut"],
+        ["São José dos Campos",-23.18,-45.89,"BR","São Paulo"],
+        ["Langzhong",31.55,105.99,"CN","Sichuan"],
+        ["Cagayan de Oro",8.48,124.65,"PH","Cagayan de Oro"],
+        ["Qian’an",40.01,118.7,"CN","Hebei"],
+        ["Tlajomulco de Zúñiga",20.47,-103.44,"MX","Jalisco"],
+        ["Sarasota",27.34,-82.54,"US","Florida"],
+        ["Reynosa",26.09,-98.28,"MX","Tamaulipas"],
+        ["An Najaf",32,44.33,"IQ","An Najaf"],
+        ["Lviv",49.84,24.03,"UA","Lvivska Oblast"],
+        ["Guli",28.9,120.03,"CN","Zhejiang"],
+        ["Sagamihara",35.57,139.37,"JP","Kanagawa"],
+        ["Mississauga",43.6,-79.65,"CA","Ontario"],
+        ["Santo André",-23.66,-46.53,"BR","São Paulo"],
+        ["Okayama",34.65,133.92,"JP","Okayama"],
+        ["Anlu",31.26,113.68,"CN","Hubei"],
+        ["Concepción",-36.83,-73.05,"CL","Biobío"],
+        ["Fresno",36.78,-119.79,"US","California"],
+        ["Changsha",22.38,112.69,"CN","Guangdong"],
+        ["Shihezi",44.31,86.08,"CN","Xinjiang"],
+        ["Torreón",25.54,-103.45,"MX","Coahuila"],
+        ["Tulsa",36.13,-95.9,"US","Oklahoma"],
+        ["Enugu",6.45,7.51,"NG","Enugu"],
+        ["Valenzuela",14.7,120.98,"PH","Valenzuela"],
+        ["Yatou",37.17,122.49,"CN","Shandong"],
+        ["Allentown",40.6,-75.48,"US","Pennsylvania"],
+        ["Yanggok",37.63,127.22,"KR","Gyeonggi"],
+        ["Xichang",27.9,102.27,"CN","Sichuan"],
+        ["Ribeirão Prêto",-21.18,-47.81,"BR","São Paulo"],
+        ["Bhiwandi",19.3,73.06,"IN","Mahārāshtra"],
+        ["Dayton",39.78,-84.2,"US","Ohio"],
+        ["Vilnius",54.69,25.28,"LT","Vilniaus Miestas"],
+        ["Mwanza",-2.52,32.9,"TZ","Mwanza"],
+        ["Sahāranpur",29.96,77.55,"IN","Uttar Pradesh"],
+        ["Winnipeg",49.88,-97.15,"CA","Manitoba"],
+        ["Quebec City",46.81,-71.21,"CA","Quebec"],
+        ["Dashiqiao",40.63,122.5,"CN","Liaoning"],
+        ["Birmingham",33.53,-86.8,"US","Alabama"],
+        ["Warangal",17.97,79.59,"IN","Andhra Pradesh"],
+        ["Nampo",38.73,125.4,"KP","Namp’o"],
+        ["Dasmariñas",14.33,120.94,"PH","Cavite"],
+        ["Jaboatão",-8.18,-35,"BR","Pernambuco"],
+        ["Chisinau",47.02,28.84,"MD","Chişinău"],
+        ["Shiliguri",26.71,88.43,"IN","West Bengal"],
+        ["Port Moresby",-9.48,147.15,"PG","National Capital"],
+        ["Latakia",35.52,35.78,"SY","Al Lādhiqīyah"],
+        ["Soledad",10.92,-74.75,"CO","Atlántico"],
+        ["Edogawa",35.71,139.87,"JP","Chiba"],
+        ["General Santos",6.12,125.17,"PH","General Santos"],
+        ["Ḩamāh",35.13,36.75,"SY","Ḩamāh"],
+        ["Vellore",12.92,79.13,"IN","Tamil Nādu"],
+        ["Qianxi",27.03,106.03,"CN","Guizhou"],
+        ["Osasco",-23.53,-46.79,"BR","São Paulo"],
+        ["Bauchi",10.32,9.84,"NG","Bauchi"],
+        ["Hamilton",43.26,-79.87,"CA","Ontario"],
+        ["Pendik",40.87,29.24,"TR","İstanbul"],
+        ["Salem",11.65,78.15,"IN","Tamil Nādu"],
+        ["Tolyatti",53.51,49.42,"RU","Samarskaya Oblast’"],
+        ["Shishi",24.74,118.64,"CN","Fujian"],
+        ["Banjarmasin",-3.32,114.59,"ID","Kalimantan Selatan"],
+        ["Cocody",5.35,-3.97,"CI","Abidjan"],
+        ["Miluo Chengguanzhen",28.8,113.07,"CN","Hunan"],
+        ["Guadalupe",25.68,-100.26,"MX","Nuevo León"],
+        ["Gaizhou",40.4,122.35,"CN","Liaoning"],
+        ["Łódź",51.78,19.45,"PL","Łódzkie"],
+        ["Karbalā’",32.62,44.03,"IQ","Karbalā’"],
+        ["City of Parañaque",14.47,121.02,"PH","Parañaque"],
+        ["Leling",37.73,117.22,"CN","Shandong"],
+        ["Jianshe",34.22,113.77,"CN","Henan"],
+        ["Shizuoka",34.98,138.38,"JP","Shizuoka"],
+        ["Charleston",32.82,-79.97,"US","South Carolina"],
+        ["Jingcheng",32.01,120.25,"CN","Jiangsu"],
+        ["Cape Coral",26.64,-82,"US","Florida"],
+        ["Mar del Plata",-38,-57.55,"AR","Buenos Aires"],
+        ["Adachi",35.77,139.8,"JP","Tōkyō"],
+        ["Xinmin",42,122.82,"CN","Liaoning"],
+        ["Rasht",37.28,49.58,"IR","Gīlān"],
+        ["Shanhu",29.59,120.82,"CN","Zhejiang"],
+        ["Zhongshu",27.81,106.41,"CN","Guizhou"],
+        ["Tasikmalaya",-7.32,108.2,"ID","Jawa Barat"],
+        ["Kochi",9.97,76.28,"IN","Kerala"],
+        ["Zaragoza",41.65,-0.88,"ES","Aragon"],
+        ["Acapulco de Juárez",16.86,-99.88,"MX","Guerrero"],
+        ["Gorakhpur",26.76,83.4,"IN","Uttar Pradesh"],
+        ["Bahār",34.91,48.44,"IR","Hamadān"],
+        ["Kumul",42.82,93.52,"CN","Xinjiang"],
+        ["Wrocław",51.11,17.03,"PL","Dolnośląskie"],
+        ["Murcia",37.99,-1.13,"ES","Murcia"],
+        ["Pinghu",30.7,121.01,"CN","Zhejiang"],
+        ["Guankou",30.99,103.62,"CN","Sichuan"],
+        ["Songyang",34.46,113.03,"CN","Henan"],
+        ["Palermo",38.12,13.36,"IT","Sicilia"],
+        ["Ch’ŏngjin",41.78,129.77,"KP","Hambuk"],
+        ["Qionghu",28.84,112.36,"CN","Hunan"],
+        ["Zhaodong",46.06,125.98,"CN","Heilongjiang"],
+        ["Puyang Chengguanzhen",35.7,114.98,"CN","Henan"],
+        ["Huambo",-12.78,15.73,"AO","Huambo"],
+        ["Bacoor",14.46,120.96,"PH","Cavite"],
+        ["Wenchang",31.05,116.95,"CN","Anhui"],
+        ["Tlaquepaque",20.62,-103.32,"MX","Jalisco"],
+        ["Villavicencio",4.15,-73.63,"CO","Meta"],
+        ["Shulan",44.41,126.94,"CN","Jilin"],
+        ["Narela",28.85,77.09,"IN","Delhi"],
+        ["Catia La Mar",10.6,-67.03,"VE","La Guaira"],
+        ["Al Hufūf",25.38,49.58,"SA","Ash Sharqīyah"],
+        ["Jalingo",8.92,11.33,"NG","Taraba"],
+        ["Sargodha",32.08,72.67,"PK","Punjab"],
+        ["Bouaké",7.68,-5.02,"CI","Vallée du Bandama"],
+        ["Mazatlán",23.22,-106.42,"MX","Sinaloa"],
+        ["Lingbao Chengguanzhen",34.52,110.88,"CN","Henan"],
+        ["Abomey-Calavi",6.45,2.36,"BJ","Atlantique"],
+        ["Sialkot City",32.49,74.53,"PK","Punjab"],
+        ["Hwasu-dong",37.2,126.83,"KR","Gyeonggi"],
+        ["Durango",24.03,-104.67,"MX","Durango"],
+        ["Tondo",14.62,120.97,"PH","Manila"],
+        ["Tlalnepantla",19.54,-99.19,"MX","México"],
+        ["Bulawayo",-20.17,28.58,"ZW","Bulawayo"],
+        ["Ansan",37.32,126.83,"KR","Gyeonggi"],
+        ["Xiping",25.6,103.82,"CN","Yunnan"],
+        ["Huế",16.47,107.58,"VN","Thừa Thiên-Huế"],
+        ["Sanhe",39.98,117.07,"CN","Hebei"],
+        ["San Jose del Monte",14.81,121.05,"PH","Bulacan"],
+        ["Ch’ŏnan",36.82,127.17,"KR","Chungnam"],
+        ["Jieshou",33.26,115.36,"CN","Anhui"],
+        ["Ērer Sātā",9.57,41.38,"ET","Sumalē"],
+        ["Selçuklu",37.88,32.49,"TR","Konya"],
+        ["Contagem",-19.93,-44.05,"BR","Minas Gerais"],
+        ["Guntūr",16.3,80.44,"IN","Andhra Pradesh"],
+        ["Guixi",28.29,117.21,"CN","Jiangxi"],
+        ["Izhevsk",56.85,53.22,"RU","Udmurtiya"],
+        ["Düsseldorf",51.23,6.78,"DE","North Rhine-Westphalia"],
+        ["Sorocaba",-23.5,-47.46,"BR","São Paulo"],
+        ["Tengyue",25.02,98.5,"CN","Yunnan"],
+        ["Wuxue",29.85,115.55,"CN","Hubei"],
+        ["Yıldırım",40.11,29.08,"TR","Bursa"],
+        ["Bhāvnagar",21.76,72.15,"IN","Gujarāt"],
+        ["Honchō",35.69,139.98,"JP","Chiba"],
+        ["Ruiming",25.88,116.03,"CN","Jiangxi"],
+        ["Columbia",34.04,-80.9,"US","South Carolina"],
+        ["Qufu",35.6,116.98,"CN","Shandong"],
+        ["Gaobeidian",39.33,115.87,"CN","Hebei"],
+        ["Concord",37.97,-122,"US","California"],
+        ["Skopje",42,21.43,"MK","Skopje"],
+        ["Sha Tin",22.38,114.19,"HK",""],
+        ["Petaling Jaya",3.1,101.64,"MY","Selangor"],
+        ["Gold Coast",-28.02,153.4,"AU","Queensland"],
+        ["Rasūlpur",28.57,77.32,"IN","Uttar Pradesh"],
+        ["Noida",28.57,77.32,"IN","Uttar Pradesh"],
+        ["Xinshi",31.02,113.11,"CN","Hubei"],
+        ["Brahmapur",19.32,84.79,"IN","Odisha"],
+        ["Barnaul",53.33,83.75,"RU","Altayskiy Kray"],
+        ["Jin’e",29.34,105.29,"CN","Sichuan"],
+        ["Aracaju",-10.92,-37.05,"BR","Sergipe"],
+        ["Bhāngar",22.58,88.42,"IN","West Bengal"],
+        ["Benghazi",32.12,20.07,"LY","Banghāzī"],
+        ["Jeonju",35.82,127.15,"KR","Jeonbuk"],
+        ["Rotterdam",51.92,4.5,"NL","Zuid-Holland"],
+        ["Kryvyi Rih",47.91,33.34,"UA","Dnipropetrovska Oblast"],
+        ["Makati City",14.56,121.02,"PH","Makati"],
+        ["Colorado Springs",38.87,-104.76,"US","Colorado"],
+        ["Xinxing",39.87,124.15,"CN","Liaoning"],
+        ["Suohe",34.79,113.39,"CN","Henan"],
+        ["Zhuangyuan",37.31,120.83,"CN","Shandong"],
+        ["Glasgow",55.86,-4.25,"GB","Glasgow City"],
+        ["Namangan",41,71.67,"UZ","Namangan"],
+        ["Bhilai",21.37,81.72,"IN","Chhattīsgarh"],
+        ["Bhilai",21.21,81.38,"IN","Chhattīsgarh"],
+        ["Ulyanovsk",54.32,48.37,"RU","Ul’yanovskaya Oblast’"],
+        ["Mangalore",12.9,74.83,"IN","Karnātaka"],
+        ["Irkutsk",52.28,104.28,"RU","Irkutskaya Oblast’"],
+        ["Bazhou",39.12,116.39,"CN","Hebei"],
+        ["Turpan",42.95,89.19,"CN","Xinjiang"],
+        ["Jos",9.92,8.89,"NG","Plateau"],
+        ["Nāgercoil",8.18,77.41,"IN","Tamil Nādu"],
+        ["Springfield",42.12,-72.54,"US","Massachusetts"],
+        ["Knoxville",35.97,-83.95,"US","Tennessee"],
+        ["Ḩalwān",29.85,31.33,"EG","Al Qāhirah"],
+        ["Tân An",10.91,106.7,"VN","Hồ Chí Minh"],
+        ["Port-Bouët",5.27,-3.9,"CI","Abidjan"],
+        ["Villa Nueva",14.53,-90.6,"GT","Guatemala"],
+        ["Pontianak",-0.02,109.34,"ID","Kalimantan Barat"],
+        ["Meihekou",42.53,125.68,"CN","Jilin"],
+        ["Jurong",31.96,119.16,"CN","Jiangsu"],
+        ["Feira de Santana",-12.25,-38.95,"BR","Bahia"],
+        ["Zhugang",28.13,121.23,"CN","Zhejiang"],
+        ["Khabarovsk",48.48,135.07,"RU","Khabarovskiy Kray"],
+        ["Xinji",37.94,115.21,"CN","Hebei"],
+        ["Ta‘izz",13.58,44.02,"YE","Ta‘izz"],
+        ["Leipzig",51.34,12.38,"DE","Saxony"],
+        ["Changping",40.22,116.19,"CN","Beijing"],
+        ["Chimalhuacán",19.42,-98.9,"MX","México"],
+        ["Kandahār",31.62,65.72,"AF","Kandahār"],
+        ["Serang",-6.12,106.15,"ID","Banten"],
+        ["Jambi",-1.59,103.61,"ID","Jambi"],
+        ["Baton Rouge",30.44,-91.13,"US","Louisiana"],
+        ["Zhangshu",28.07,115.54,"CN","Jiangxi"],
+        ["Ogden",41.23,-111.97,"US","Utah"],
+        ["Yaroslavl",57.62,39.85,"RU","Yaroslavskaya Oblast’"],
+        ["Gothenburg",57.71,11.97,"SE","Västra Götaland"],
+        ["Kuantan",3.82,103.33,"MY","Pahang"],
+        ["Vladivostok",43.13,131.9,"RU","Primorskiy Kray"],
+        ["Las Piñas City",14.45,120.98,"PH","Las Piñas"],
+        ["Cuttack",20.52,85.79,"IN","Odisha"],
+        ["San Miguel de Tucumán",-26.82,-65.22,"AR","Tucumán"],
+        ["Ar Rayyān",25.25,51.4,"QA","Ar Rayyān"],
+        ["Grand Rapids",42.96,-85.66,"US","Michigan"],
+        ["Malanje",-9.53,16.35,"AO","Malanje"],
+        ["Albany",42.67,-73.8,"US","New York"],
+        ["Uberlândia",-18.92,-48.29,"BR","Minas Gerais"],
+        ["Djibouti",11.59,43.15,"DJ","Djibouti"],
+        ["Zhuozhou",39.49,115.99,"CN","Hebei"],
+        ["Tianchang",32.69,119,"CN","Anhui"],
+        ["Bacolod",10.68,122.95,"PH","Bacolod"],
+        ["Raurkela",22.25,84.88,"IN","Odisha"],
+        ["Haifa",32.82,35,"IL","Haifa"],
+        ["Garoua",9.3,13.4,"CM","Nord"],
+        ["Ḩafr al Bāţin",28.43,45.96,"SA","Ash Sharqīyah"],
+        ["Tumkūr",13.34,77.1,"IN","Karnātaka"],
+        ["Tuxtla",16.75,-93.12,"MX","Chiapas"],
+        ["Balikpapan",-1.28,116.83,"ID","Kalimantan Timur"],
+        ["Durban",-29.88,31.05,"ZA","KwaZulu-Natal"],
+        ["Al Ḩillah",23.49,46.76,"SA","Ar Riyāḑ"],
+        ["Kagoshima",31.6,130.55,"JP","Kagoshima"],
+        ["Brampton",43.68,-79.77,"CA","Ontario"],
+        ["Sihui",23.34,112.7,"CN","Guangdong"],
+        ["Kawaguchi",35.81,139.72,"JP","Saitama"],
+        ["Makhachkala",42.98,47.48,"RU","Dagestan"],
+        ["Irapuato",20.67,-101.35,"MX","Guanajuato"],
+        ["Luocheng",30.98,104.28,"CN","Sichuan"],
+        ["Bakersfield",35.35,-119.04,"US","California"],
+        ["Pereira",4.81,-75.69,"CO","Risaralda"],
+        ["Gaza",31.51,34.46,"XG",""],
+        ["Uvira",-3.4,29.15,"CD","Sud-Kivu"],
+        ["Chuxiong",25.05,101.54,"CN","Yunnan"],
+        ["Mission Viejo",33.61,-117.66,"US","California"],
+        ["Zāhedān",29.5,60.86,"IR","Sīstān va Balūchestān"],
+        ["Dortmund",51.52,7.47,"DE","North Rhine-Westphalia"],
+        ["New Haven",41.31,-72.92,"US","Connecticut"],
+        ["Cimahi",-6.87,107.55,"ID","Jawa Barat"],
+        ["Mbale",1.08,34.17,"UG","Mbale"],
+        ["Wenlan",23.4,103.36,"CN","Yunnan"],
+        ["Shangzhi",45.21,127.96,"CN","Heilongjiang"],
+        ["Cuiabá",-15.6,-56.1,"BR","Mato Grosso"],
+        ["Shah Alam",3.07,101.52,"MY","Selangor"],
+        ["Botou",38.07,116.57,"CN","Hebei"],
+        ["Suginami-ku",35.7,139.64,"JP","Tōkyō"],
+        ["Essen",51.45,7.01,"DE","North Rhine-Westphalia"],
+        ["Durgāpur",23.55,87.32,"IN","West Bengal"],
+        ["Itabashi",35.75,139.71,"JP","Tōkyō"],
+        ["Genoa",44.41,8.93,"IT","Liguria"],
+        ["Kingston",17.97,-76.79,"JM","Kingston"],
+        ["Al Mafraq",32.34,36.21,"JO","Al Mafraq"],
+        ["Aţ Ţā’if",21.28,40.41,"SA","Makkah al Mukarramah"],
+        ["Port Sudan",19.62,37.22,"SD","Red Sea"],
+        ["Wancheng",18.8,110.4,"CN","Hainan"],
+        ["Dehra Dūn",30.35,78.03,"IN","Uttarākhand"],
+        ["Xiulin",29.72,112.4,"CN","Hubei"],
+        ["Fu’an",27.1,119.63,"CN","Fujian"],
+        ["Mymensingh",24.75,90.4,"BD","Mymensingh"],
+        ["Hachiōji",35.67,139.32,"JP","Tōkyō"],
+        ["Puente Alto",-33.62,-70.57,"CL","Región Metropolitana"],
+        ["Worcester",42.27,-71.81,"US","Massachusetts"],
+        ["Anyang",37.38,126.93,"KR","Gyeonggi"],
+        ["Juiz de Fora",-21.76,-43.35,"BR","Minas Gerais"],
+        ["Kolwezi",-10.72,25.47,"CD","Lualaba"],
+        ["Tomsk",56.49,84.95,"RU","Tomskaya Oblast’"],
+        ["Rabat",34.02,-6.84,"MA","Rabat-Salé-Kénitra"],
+        ["Luofeng",37.36,120.4,"CN","Shandong"],
+        ["Lingyuan",41.24,119.4,"CN","Liaoning"],
+        ["Tonalá",20.62,-103.23,"MX","Jalisco"],
+        ["Irbid",32.55,35.85,"JO","Irbid"],
+        ["Wencheng",19.62,110.75,"CN","Hainan"],
+        ["Macau",22.2,113.55,"MO",""],
+        ["Ciudad Bolívar",8.12,-63.55,"VE","Bolívar"],
+        ["San Salvador",13.7,-89.19,"SV","San Salvador"],
+        ["Chāpra",25.78,84.73,"IN","Bihār"],
+        ["Bristol",51.45,-2.6,"GB","Bristol, City of"],
+        ["Bremen",53.08,8.8,"DE","Bremen"],
+        ["Shenzhou",38,115.55,"CN","Hebei"],
+        ["Orenburg",51.77,55.1,"RU","Orenburgskaya Oblast’"],
+        ["Kuiju",36.85,119.39,"CN","Shandong"],
+        ["Zhenzhou",32.27,119.16,"CN","Jiangsu"],
+        ["Āsansol",23.68,86.99,"IN","West Bengal"],
+        ["Dresden",51.05,13.74,"DE","Saxony"],
+        ["Benguela",-12.55,13.42,"AO","Benguela"],
+        ["Kolhāpur",16.69,74.23,"IN","Mahārāshtra"],
+        ["Lanxi",29.22,119.47,"CN","Zhejiang"],
+        ["Dangyang",30.83,111.79,"CN","Hubei"],
+        ["Kemerovo",55.37,86.07,"RU","Kemerovskaya Oblast’"],
+        ["Farīdpur",23.6,89.83,"BD","Dhaka"],
+        ["Ensenada",31.86,-116.61,"MX","Baja California"],
+        ["Herāt",34.34,62.2,"AF","Herāt"],
+        ["Hamadān",34.81,48.52,"IR","Hamadān"],
+        ["Luanzhou",39.74,118.7,"CN","Hebei"],
+        ["Chiclayo",-6.76,-79.84,"PE","Lambayeque"],
+        ["Surakarta",-7.57,110.82,"ID","Jawa Tengah"],
+        ["Novokuznetsk",53.77,87.13,"RU","Kemerovskaya Oblast’"],
+        ["Provo",40.25,-111.65,"US","Utah"],
+        ["Ajmer",26.45,74.64,"IN","Rājasthān"],
+        ["Kimhae",35.23,128.88,"KR","Gyeongnam"],
+        ["Nānded",19.15,77.3,"IN","Mahārāshtra"],
+        ["Palma",39.57,2.65,"ES","Balearic Islands"],
+        ["Rustenburg",-25.67,27.24,"ZA","North West"],
+        ["Amrāvati",20.93,77.76,"IN","Mahārāshtra"],
+        ["Huanghua",38.37,117.33,"CN","Hebei"],
+        ["Al Ḩudaydah",14.8,42.95,"YE","Al Ḩudaydah"],
+        ["The Hague",52.08,4.31,"NL","Zuid-Holland"],
+        ["Londrina",-23.31,-51.16,"BR","Paraná"],
+        ["Tabūk",28.4,36.58,"SA","Tabūk"],
+        ["Nellore",14.45,79.99,"IN","Andhra Pradesh"],
+        ["Poznań",52.41,16.93,"PL","Wielkopolskie"],
+        ["Akron",41.08,-81.52,"US","Ohio"],
+        ["Samarkand",39.65,66.98,"UZ","Samarqand"],
+        ["Xingcheng",40.62,120.72,"CN","Liaoning"],
+        ["Kaiyuan",42.54,124.04,"CN","Liaoning"],
+        ["Valledupar",10.48,-73.25,"CO","Cesar"],
+        ["Fengcheng",40.45,124.06,"CN","Liaoning"],
+        ["Muntinlupa City",14.38,121.05,"PH","Muntinlupa"],
+        ["Hannover",52.37,9.72,"DE","Lower Saxony"],
+        ["Ghulja",43.9,81.35,"CN","Xinjiang"],
+        ["Ixtapaluca",19.32,-98.88,"MX","México"],
+        ["Fuding",27.2,120.2,"CN","Fujian"],
+        ["Heroica Matamoros",25.88,-97.5,"MX","Tamaulipas"],
+        ["An Nāşirīyah",31.04,46.26,"IQ","Dhī Qār"],
+        ["Xiangyang",34.3,108.48,"CN","Shaanxi"],
+        ["Ibagué",4.43,-75.23,"CO","Tolima"],
+        ["Al Ḩillah",32.48,44.43,"IQ","Bābil"],
+        ["Ananindeua",-1.37,-48.37,"BR","Pará"],
+        ["City of Calamba",14.22,121.17,"PH","Laguna"],
+        ["Ryazan",54.63,39.74,"RU","Ryazanskaya Oblast’"],
+        ["Chang’an",29.48,113.45,"CN","Hunan"],
+        ["Kassala",15.45,36.4,"SD","Kassala"],
+        ["Aksu",41.19,80.29,"CN","Xinjiang"],
+        ["Salta",-24.78,-65.42,"AR","Salta"],
+        ["Al Maḩallah al Kubrá",30.97,31.16,"EG","Al Gharbīyah"],
+        ["Cadaado",6.14,46.63,"SO","Galguduud"],
+        ["Naberezhnyye Chelny",55.7,52.33,"RU","Tatarstan"],
+        ["Gulbarga",17.33,76.83,"IN","Karnātaka"],
+        ["Wuhai",39.68,106.82,"CN","Inner Mongolia"],
+        ["Nansana",0.36,32.53,"UG","Wakiso"],
+        ["Mingguang",32.78,117.99,"CN","Anhui"],
+        ["Astrakhan",46.35,48.04,"RU","Astrakhanskaya Oblast’"],
+        ["Tripoli",34.44,35.83,"LB","Liban-Nord"],
+        ["Yazd",31.88,54.34,"IR","Yazd"],
+        ["Ardabīl",38.24,48.29,"IR","Ardabīl"],
+        ["Antwerp",51.22,4.4,"BE","Flanders"],
+        ["Touba",14.87,-15.88,"SN","Diourbel"],
+        ["Bīkaner",28.02,73.31,"IN","Rājasthān"],
+        ["Ndola",-12.97,28.63,"ZM","Copperbelt"],
+        ["Palm Bay",27.96,-80.66,"US","Florida"],
+        ["Himeji",34.82,134.68,"JP","Hyōgo"],
+        ["Ailan Mubage",43.91,81.28,"CN","Xinjiang"],
+        ["Bandar ‘Abbās",27.18,56.27,"IR","Hormozgān"],
+        ["Juba",4.85,31.6,"SS","Central Equatoria"],
+        ["Santa Teresa del Tuy",10.23,-66.65,"VE","Miranda"],
+        ["Port Said",31.26,32.31,"EG","Būr Sa‘īd"],
+        ["Asunción",-25.3,-57.63,"PY","Asunción"],
+        ["Al Qaţīf",26.56,50,"SA","Ash Sharqīyah"],
+        ["Penza",53.2,45,"RU","Penzenskaya Oblast’"],
+        ["Ciudad Apodaca",25.78,-100.19,"MX","Nuevo León"],
+        ["Kōtō-ku",35.67,139.82,"JP","Tōkyō"],
+        ["Lyon",45.76,4.84,"FR","Auvergne-Rhône-Alpes"],
+        ["Yucheng",36.93,116.64,"CN","Shandong"],
+        ["Agartala",23.83,91.28,"IN","Tripura"],
+        ["Soacha",4.59,-74.22,"CO","Cundinamarca"],
+        ["Sevastopol",44.61,33.52,"UA","Sevastopol, Misto"],
+        ["Maipú",-33.52,-70.77,"CL","Región Metropolitana"],
+        ["Arāk",34.09,49.69,"IR","Markazī"],
+        ["Tultitlán de Mariano Escobedo",19.65,-99.17,"MX","México"],
+        ["Meknès",33.9,-5.55,"MA","Fès-Meknès"],
+        ["Pohang",36.03,129.37,"KR","Gyeongbuk"],
+        ["Bắc Ninh",21.18,106.05,"VN","Bắc Ninh"],
+        ["Longzhou",30.32,112.23,"CN","Hubei"],
+        ["Anda",46.41,125.33,"CN","Heilongjiang"],
+        ["Jinghong",22.01,100.79,"CN","Yunnan"],
+        ["Maseru",-29.31,27.48,"LS","Maseru"],
+        ["Utsunomiya",36.56,139.88,"JP","Tochigi"],
+        ["Sheffield",53.38,-1.47,"GB","Sheffield"],
+        ["Surrey",49.19,-122.85,"CA","British Columbia"],
+        ["Mixco",14.63,-90.61,"GT","Guatemala"],
+        ["Suez",29.97,32.55,"EG","As Suways"],
+        ["Heshan",22.77,112.96,"CN","Guangdong"],
+        ["Loni",28.75,77.28,"IN","Uttar Pradesh"],
+        ["Jiaji",19.24,110.46,"CN","Hainan"],
+        ["Santa Marta",11.24,-74.21,"CO","Magdalena"],
+        ["Nuremberg",49.45,11.08,"DE","Bavaria"],
+        ["Joinvile",-26.32,-48.84,"BR","Santa Catarina"],
+        ["Ujjain",23.17,75.79,"IN","Madhya Pradesh"],
+        ["Beining",41.6,121.79,"CN","Liaoning"],
+        ["Des Moines",41.57,-93.61,"US","Iowa"],
+        ["Maturín",9.74,-63.19,"VE","Monagas"],
+        ["Yanji",42.9,129.51,"CN","Jilin"],
+        ["Macapá",0.03,-51.07,"BR","Amapá"],
+        ["Yicheng",31.71,112.26,"CN","Hubei"],
+        ["Al ‘Āshir min Ramaḑān",30.31,31.74,"EG","Ash Sharqīyah"],
+        ["Al ‘Amārah",31.83,47.15,"IQ","Maysān"],
+        ["Carrefour",18.53,-72.41,"HT","Ouest"],
+        ["Lipetsk",52.62,39.6,"RU","Lipetskaya Oblast’"],
+        ["Homyel’",52.45,30.98,"BY","Homyel’skaya Voblasts’"],
+        ["Encheng",22.19,112.31,"CN","Guangdong"],
+        ["Murrieta",33.57,-117.19,"US","California"],
+        ["Bhīlwāra",25.35,74.63,"IN","Rājasthān"],
+        ["Leicester",52.63,-1.13,"GB","Leicester"],
+        ["Hải Dương",20.94,106.33,"VN","Hải Dương"],
+        ["Aden",12.8,45.03,"YE","‘Adan"],
+        ["Jhānsi",25.45,78.57,"IN","Uttar Pradesh"],
+        ["Matsuyama",33.83,132.77,"JP","Ehime"],
+        ["Ulhāsnagar",19.22,73.15,"IN","Mahārāshtra"],
+        ["Montería",8.75,-75.88,"CO","Córdoba"],
+        ["Nagqu",31.48,92.06,"CN","Tibet"],
+        ["Kitwe",-12.82,28.2,"ZM","Copperbelt"],
+        ["Pingtung",22.68,120.49,"TW","Pingtung"],
+        ["Jammu",32.73,74.87,"IN","Jammu and Kashmīr"],
+        ["Ile-Ife",7.47,4.57,"NG","Osun"],
+        ["Kirov",58.6,49.65,"RU","Kirovskaya Oblast’"],
+        ["Kimberley",-28.74,24.76,"ZA","Northern Cape"],
+        ["Meicheng",30.64,116.57,"CN","Anhui"],
+        ["Belas",-9,13.27,"AO","Luanda"],
+        ["Talatona",-8.92,13.18,"AO","Luanda"],
+        ["Farāh",32.34,62.12,"AF","Farāh"],
+        ["Sukkur",27.71,68.85,"PK","Sindh"],
+        ["Hsinchu",24.82,120.98,"TW","Hsinchu"],
+        ["Taozhou",30.9,119.41,"CN","Anhui"],
+        ["Marka",1.68,44.75,"SO","Shabeellaha Hoose"],
+        ["Mykolaiv",46.98,32,"UA","Mykolaivska Oblast"],
+        ["Hongjiang",27.12,109.95,"CN","Hunan"],
+        ["Chimbote",-9.07,-78.59,"PE","Ancash"],
+        ["Tinnevelly",8.71,77.76,"IN","Tamil Nādu"],
+        ["Qaraghandy",49.8,73.11,"KZ",""],
+        ["Mesa",33.4,-111.72,"US","Arizona"],
+        ["Lapu-Lapu City",10.31,123.95,"PH","Lapu-Lapu"],
+        ["Matsudo",35.79,139.9,"JP","Chiba"],
+        ["Johor Bahru",1.46,103.76,"MY","Johor"],
+        ["Purnea",25.78,87.48,"IN","Bihār"],
+        ["Imus",14.43,120.94,"PH","Cavite"],
+        ["Niterói",-22.88,-43.1,"BR","Rio de Janeiro"],
+        ["Ichikawa",35.72,139.93,"JP","Chiba"],
+        ["Beipiao",41.8,120.76,"CN","Liaoning"],
+        ["Dengtacun",41.42,123.32,"CN","Liaoning"],
+        ["Zhijiang",30.43,111.75,"CN","Hubei"],
+        ["Suoluntun",45.23,124.84,"CN","Jilin"],
+        ["Duisburg",51.43,6.76,"DE","North Rhine-Westphalia"],
+        ["Staten Island",40.58,-74.15,"US","New York"],
+        ["Chengjiao",35.4,114.06,"CN","Henan"],
+        ["Lembok",-8.56,116.35,"ID","Nusa Tenggara Barat"],
+        ["Bello",6.33,-75.57,"CO","Antioquia"],
+        ["Likasi",-10.98,26.73,"CD","Haut-Katanga"],
+        ["Celaya",20.52,-100.81,"MX","Guanajuato"],
+        ["Oujda-Angad",34.69,-1.91,"MA","Oriental"],
+        ["Duyun",26.27,107.51,"CN","Guizhou"],
+        ["Toulouse",43.6,1.44,"FR","Occitanie"],
+        ["Nyala",12.05,24.88,"SD","South Darfur"],
+        ["Bissau",11.85,-15.57,"GW","Bissau"],
+        ["Wichita",37.69,-97.34,"US","Kansas"],
+        ["Kota Bharu",6.13,102.25,"MY","Kelantan"],
+        ["Yuanping",38.73,112.71,"CN","Shanxi"],
+        ["Toledo",41.66,-83.58,"US","Ohio"],
+        ["Higashi-ōsaka",34.68,135.6,"JP","Ōsaka"],
+        ["Larkana",27.56,68.21,"PK","Sindh"],
+        ["‘Ajmān",25.41,55.45,"AE","‘Ajmān"],
+        ["Vinh",18.67,105.67,"VN","Nghệ An"],
+        ["Los Mochis",25.78,-108.99,"MX","Sinaloa"],
+        ["Ciudad López Mateos",19.55,-99.28,"MX","México"],
+        ["Cheboksary",56.13,47.25,"RU","Chuvashiya"],
+        ["Yueqing",28.12,120.96,"CN","Zhejiang"],
+        ["Belgaum",15.85,74.5,"IN","Karnātaka"],
+        ["Edinburgh",55.95,-3.19,"GB","Edinburgh, City of"],
+        ["Nishinomiya-hama",34.74,135.34,"JP","Hyōgo"],
+        ["Shahe",36.86,114.5,"CN","Hebei"],
+        ["Gdańsk",54.35,18.65,"PL","Pomorskie"],
+        ["Brookhaven",40.83,-72.95,"US","New York"],
+        ["Serra",-20.13,-40.31,"BR","Espírito Santo"],
+        ["Tula",54.2,37.62,"RU","Tul’skaya Oblast’"],
+        ["Gaoping",35.79,112.93,"CN","Shanxi"],
+        ["Dunhua",43.37,128.23,"CN","Jilin"],
+        ["Kaihua",23.37,104.24,"CN","Yunnan"],
+        ["Az Zarqā’",32.08,36.1,"JO","Az Zarqā’"],
+        ["Valletta",35.9,14.51,"MT","Valletta"],
+        ["Fuyuan",48.36,134.29,"CN","Heilongjiang"],
+        ["Jāmnagar",22.47,70.07,"IN","Gujarāt"],
+        ["Sylhet",24.9,91.87,"BD","Sylhet"],
+        ["Caerdydd",51.48,-3.18,"GB","Cardiff"],
+        ["Berbera",10.44,45.02,"SO","Woqooyi Galbeed"],
+        ["Jiannan",31.34,104.2,"CN","Sichuan"],
+        ["Florianópolis",-27.61,-48.49,"BR","Santa Catarina"],
+        ["Chiniot",31.72,72.98,"PK","Punjab"],
+        ["Ōita",33.23,131.61,"JP","Ōita"],
+        ["Nangong",37.36,115.38,"CN","Hebei"],
+        ["Bratislava",48.14,17.11,"SK","Bratislava"],
+        ["Kaliningrad",54.7,20.45,"RU","Kaliningradskaya Oblast’"],
+        ["Kurashiki",34.58,133.77,"JP","Okayama"],
+        ["Worthing",50.81,-0.37,"GB","West Sussex"],
+        ["Gaya",24.75,85.01,"IN","Bihār"],
+        ["Barura",23.38,91.06,"BD","Chattogram"],
+        ["Shekhupura",31.71,73.99,"PK","Punjab"],
+        ["Piura",-5.2,-80.63,"PE","Piura"],
+        ["Vila Velha",-20.34,-40.29,"BR","Espírito Santo"],
+        ["Harrisburg",40.28,-76.88,"US","Pennsylvania"],
+        ["Jiaojiangcun",28.68,121.45,"CN","Zhejiang"],
+        ["Laohekou",32.38,111.67,"CN","Hubei"],
+        ["San Juan",-31.53,-68.53,"AR","San Juan"],
+        ["Kitchener",43.42,-80.47,"CA","Ontario"],
+        ["Beian",48.24,126.5,"CN","Heilongjiang"],
+        ["Fujin",47.25,132.03,"CN","Heilongjiang"],
+        ["Mazār-e Sharīf",36.7,67.12,"AF","Balkh"],
+        ["São José do Rio Prêto",-20.81,-49.38,"BR","São Paulo"],
+        ["Port St. Lucie",27.28,-80.39,"US","Florida"],
+        ["Xiaoyi",37.14,111.77,"CN","Shanxi"],
+        ["Balashikha",55.82,37.97,"RU","Moskovskaya Oblast’"],
+        ["Qingzhen",26.56,106.46,"CN","Guizhou"],
+        ["Ba‘qūbah",33.75,44.63,"IQ","Diyālá"],
+        ["Katlehong",-26.33,28.15,"ZA","Gauteng"],
+        ["Jiangshan",28.74,118.62,"CN","Zhejiang"],
+        ["Buraydah",26.33,43.97,"SA","Al Qaşīm"],
+        ["Mbeya",-8.9,33.45,"TZ","Mbeya"],
+        ["Long Beach",33.8,-118.17,"US","California"],
+        ["Ambattūr",13.11,80.15,"IN","Tamil Nādu"],
+        ["Tân Uyên",11.05,106.76,"VN","Bình Dương"],
+        ["Longjiang",27.58,120.55,"CN","Zhejiang"],
+        ["Campos",-21.75,-41.32,"BR","Rio de Janeiro"],
+        ["Reno",39.55,-119.85,"US","Nevada"],
+        ["Angeles City",15.15,120.58,"PH","Angeles"],
+        ["Kuqa",41.72,82.93,"CN","Xinjiang"],
+        ["Kanazawa",36.56,136.66,"JP","Ishikawa"],
+        ["Calabar",4.98,8.34,"NG","Cross River"],
+        ["Madison",43.08,-89.39,"US","Wisconsin"],
+        ["Manado",1.49,124.84,"ID","Sulawesi Utara"],
+        ["Kartal",40.89,29.19,"TR","İstanbul"],
+        ["Cranbourne",-38.1,145.28,"AU","Victoria"],
+        ["Jalgaon",21,75.57,"IN","Mahārāshtra"],
+        ["Agege",6.62,3.33,"NG","Lagos"],
+        ["Xicheng",23.36,103.15,"CN","Yunnan"],
+        ["Fukuyama",34.48,133.37,"JP","Hiroshima"],
+        ["Lanús",-34.7,-58.4,"AR","Buenos Aires"],
+        ["Kikwit",-5.04,18.82,"CD","Kwilu"],
+        ["Pyeongtaek",36.99,127.11,"KR","Gyeonggi"],
+        ["Kurnool",15.83,78.05,"IN","Andhra Pradesh"],
+        ["Iloilo",10.72,122.57,"PH","Iloilo"],
+        ["Little Rock",34.73,-92.36,"US","Arkansas"],
+        ["Marikina City",14.65,121.1,"PH","Marikina"],
+        ["Jian’ou",27.04,118.32,"CN","Fujian"],
+        ["Huadian",42.96,126.75,"CN","Jilin"],
+        ["Melaka",2.19,102.25,"MY","Melaka"],
+        ["Katsushika-ku",35.74,139.85,"JP","Tōkyō"],
+        ["Mauá",-23.67,-46.46,"BR","São Paulo"],
+        ["Minzhu",43.72,127.34,"CN","Jilin"],
+        ["Kota Kinabalu",5.98,116.07,"MY","Sabah"],
+        ["Udaipur",24.58,73.68,"IN","Rājasthān"],
+        ["Kursk",51.72,36.18,"RU","Kurskaya Oblast’"],
+        ["Mogi das Cruzes",-23.52,-46.19,"BR","São Paulo"],
+        ["Stavropol",45.05,41.98,"RU","Stavropol’skiy Kray"],
+        ["General Trias",14.38,120.88,"PH","Cavite"],
+        ["Amagasaki",34.73,135.4,"JP","Hyōgo"],
+        ["Greenville",34.84,-82.36,"US","South Carolina"],
+        ["Mariupol",47.1,37.55,"UA","Donetska Oblast"],
+        ["Piraeus",37.94,23.65,"GR","Attikí"],
+        ["Constantine",36.37,6.61,"DZ","Constantine"],
+        ["Eslāmshahr",35.56,51.23,"IR","Tehrān"],
+        ["Barcelona",10.13,-64.68,"VE","Anzoátegui"],
+        ["Tanbei",35.09,112.93,"CN","Henan"],
+        ["Batman",37.89,41.13,"TR","Batman"],
+        ["Ado-Ekiti",7.62,5.22,"NG","Ekiti"],
+        ["Baisha",29.48,119.29,"CN","Zhejiang"],
+        ["Denton",33.22,-97.14,"US","Texas"],
+        ["Yongji",34.87,110.44,"CN","Shanxi"],
+        ["Esenler",41.03,28.89,"TR","İstanbul"],
+        ["Rodriguez",14.72,121.12,"PH","Rizal"],
+        ["Danjiangkou",32.54,111.51,"CN","Hubei"],
+        ["Chauddagram",23.23,91.31,"BD","Chattogram"],
+        ["Kahramanmaraş",37.58,36.93,"TR","Kahramanmaraş"],
+        ["San Nicolás de los Garza",25.75,-100.28,"MX","Nuevo León"],
+        ["Taoyuan District",24.99,121.31,"TW","Taoyuan"],
+        ["Mathura",27.49,77.67,"IN","Uttar Pradesh"],
+        ["Andijon",40.78,72.33,"UZ","Andijon"],
+        ["Pasay City",14.55,121,"PH","Pasay"],
+        ["Spokane",47.67,-117.43,"US","Washington"],
+        ["Ning’an",44.34,129.47,"CN","Heilongjiang"],
+        ["Ulan-Ude",51.83,107.61,"RU","Buryatiya"],
+        ["Tallinn",59.44,24.75,"EE","Tallinn"],
+        ["Jinchang",38.52,102.19,"CN","Gansu"],
+        ["Guangming",45.34,122.78,"CN","Jilin"],
+        ["Oakland",37.79,-122.22,"US","California"],
+        ["Kâğıthane",41.07,28.97,"TR","İstanbul"],
+        ["Sunch’ŏn",39.42,125.93,"KP","P’yŏngnam"],
+        ["Fujisawa",35.35,139.47,"JP","Kanagawa"],
+        ["Sāngli",16.87,74.57,"IN","Mahārāshtra"],
+        ["Zürich",47.37,8.54,"CH","Zürich"],
+        ["Beira",-19.83,34.85,"MZ","Sofala"],
+        ["Manama",26.23,50.58,"BH","Al ‘Āşimah"],
+        ["Avcılar",40.98,28.72,"TR","İstanbul"],
+        ["Caxias do Sul",-29.17,-51.18,"BR","Rio Grande do Sul"],
+        ["Jeju",33.51,126.52,"KR","Jeju"],
+        ["Davangere",14.47,75.92,"IN","Karnātaka"],
+        ["Machida",35.71,139.44,"JP","Tōkyō"],
+        ["Manizales",5.1,-75.55,"CO","Caldas"],
+        ["Kupang",-10.17,123.61,"ID","Nusa Tenggara Timur"],
+        ["Kashiwa",35.87,139.98,"JP","Chiba"],
+        ["Cape Town",-33.93,18.42,"ZA","Western Cape"],
+        ["Zanjān",36.68,48.51,"IR","Zanjān"],
+        ["Bandung",-6.91,107.61,"ID","Jawa Barat"],
+        ["Welkom",-27.98,26.72,"ZA","Free State"],
+        ["Calicut",11.25,75.77,"IN","Kerala"],
+        ["Kenitra",34.25,-6.58,"MA","Rabat-Salé-Kénitra"],
+        ["Lancaster",40.04,-76.3,"US","Pennsylvania"],
+        ["Huili Chengguanzhen",26.66,102.25,"CN","Sichuan"],
+        ["Sidi Bouzid",35.04,9.49,"TN","Sidi Bouzid"],
+        ["Uyo",5.05,7.93,"NG","Akwa Ibom"],
+        ["Masan",35.18,128.55,"KR","Gyeongnam"],
+        ["Ţanţā",30.78,31,"EG","Al Gharbīyah"],
+        ["Porto Velho",-8.76,-63.9,"BR","Rondônia"],
+        ["Cusco",-13.52,-71.97,"PE","Cusco"],
+        ["Veracruz",19.19,-96.15,"MX","Veracruz"],
+        ["Sokoto",13.06,5.23,"NG","Sokoto"],
+        ["Trabzon",41.01,39.72,"TR","Trabzon"],
+        ["Diadema",-23.69,-46.61,"BR","São Paulo"],
+        ["Xunyang",32.84,109.36,"CN","Shaanxi"],
+        ["Malatya",38.35,38.32,"TR","Malatya"],
+        ["Yan’an Beilu",44.01,87.27,"CN","Xinjiang"],
+        ["Florencio Varela",-34.82,-58.28,"AR","Buenos Aires"],
+        ["Aomori",40.82,140.73,"JP","Aomori"],
+        ["Akola",20.7,77,"IN","Mahārāshtra"],
+        ["Mandaluyong City",14.58,121.03,"PH","Mandaluyong"],
+        ["Owo",7.2,5.59,"NG","Ondo"],
+        ["Aves",41.44,-8.3,"PT","Porto"],
+        ["Sihŭng",37.38,126.8,"KR","Gyeonggi"],
+        ["Tver",56.86,35.92,"RU","Tverskaya Oblast’"],
+        ["Xalapa",19.54,-96.93,"MX","Veracruz"],
+        ["Buenaventura",3.88,-77.03,"CO","Valle del Cauca"],
+        ["Poughkeepsie",41.7,-73.92,"US","New York"],
+        ["Laval",45.58,-73.75,"CA","Quebec"],
+        ["Yogyakarta",-7.8,110.36,"ID","Yogyakarta"],
+        ["Boise",43.6,-116.23,"US","Idaho"],
+        ["Toyota",35.08,137.16,"JP","Aichi"],
+        ["Daloa",6.88,-6.45,"CI","Sassandra-Marahoué"],
+        ["Agadir",30.43,-9.6,"MA","Souss-Massa"],
+        ["Elazığ",38.67,39.22,"TR","Elazığ"],
+        ["Uijeongbu",37.75,127.04,"KR","Gyeonggi"],
+        ["Hpa-An",16.89,97.63,"MM","Kayin State"],
+        ["Rahimyar Khan",28.42,70.3,"PK","Punjab"],
+        ["Winston-Salem",36.1,-80.26,"US","North Carolina"],
+        ["Ugep",5.8,8.08,"NG","Cross River"],
+        ["Mishan",45.54,131.87,"CN","Heilongjiang"],
+        ["Hailin",44.57,129.38,"CN","Heilongjiang"],
+        ["Sarajevo",43.86,18.41,"BA","Bosnia and Herzegovina, Federation of"],
+        ["Boa Vista",2.82,-60.67,"BR","Roraima"],
+        ["Seremban",2.72,101.94,"MY","Negeri Sembilan"],
+        ["Zhengjiatun",43.51,123.5,"CN","Jilin"],
+        ["Lecheng",25.13,113.35,"CN","Guangdong"],
+        ["Pencheng",29.68,115.66,"CN","Jiangxi"],
+        ["Syracuse",43.04,-76.14,"US","New York"],
+        ["Kowloon City",22.33,114.19,"HK",""],
+        ["Wellington",-41.29,174.78,"NZ","Wellington"],
+        ["Tirana",41.33,19.82,"AL","Tiranë"],
+        ["Kushtia",23.91,89.12,"BD","Khulna"],
+        ["El Obeid",13.18,30.22,"SD","North Kordofan"],
+        ["Magnitogorsk",53.38,59.03,"RU","Chelyabinskaya Oblast’"],
+        ["Da’an",45.51,124.29,"CN","Jilin"],
+        ["Luhansk",48.57,39.33,"UA","Luhanska Oblast"],
+        ["Xingren",25.44,105.19,"CN","Guizhou"],
+        ["Takamatsu",34.35,134.05,"JP","Kagawa"],
+        ["Thủ Dầu Một",10.97,106.65,"VN","Bình Dương"],
+        ["Arusha",-3.37,36.68,"TZ","Arusha"],
+        ["Fenyang",37.26,111.78,"CN","Shanxi"],
+        ["Ajdābiyā",30.76,20.23,"LY","Al Wāḩāt"],
+        ["Shinagawa-ku",35.61,139.73,"JP","Tōkyō"],
+        ["Paju",37.87,126.8,"KR","Gyeonggi"],
+        ["Santa Rosa",14.32,121.12,"PH","Laguna"],
+        ["Bettiah",26.8,84.5,"IN","Bihār"],
+        ["Jhang City",31.27,72.32,"PK","Punjab"],
+        ["Tepic",21.51,-104.89,"MX","Nayarit"],
+        ["Rio Branco",-9.97,-67.81,"BR","Acre"],
+        ["Banjul",13.45,-16.58,"GM","Banjul"],
+        ["Jayapura",-2.53,140.72,"ID","Papua"],
+        ["Toyama",36.7,137.21,"JP","Toyama"],
+        ["Sanandaj",35.31,46.99,"IR","Kordestān"],
+        ["Fangting",31.13,104.17,"CN","Sichuan"],
+        ["Linghai",41.17,121.36,"CN","Liaoning"],
+        ["Shorāpur",16.52,76.76,"IN","Karnātaka"],
+        ["Koumassi",5.3,-3.95,"CI","Abidjan"],
+        ["Sochi",43.59,39.72,"RU","Krasnodarskiy Kray"],
+        ["Bellary",15.1,76.92,"IN","Karnātaka"],
+        ["Bhāgalpur",25.25,87,"IN","Bihār"],
+        ["Kisumu",-0.08,34.77,"KE","Kisumu"],
+        ["Zhangjiakou Shi Xuanhua Qu",40.59,115.02,"CN","Hebei"],
+        ["Augusta",33.36,-82.07,"US","Georgia"],
+        ["Türkmenabat",39.08,63.57,"TM","Lebap"],
+        ["Mataram",-8.58,116.12,"ID","Nusa Tenggara Barat"],
+        ["Zaria",11.07,7.7,"NG","Kaduna"],
+        ["Kumi",36.12,128.34,"KR","Gyeongbuk"],
+        ["Wanyuan",32.07,108.04,"CN","Sichuan"],
+        ["Biñan",14.33,121.08,"PH","Laguna"],
+        ["Maracay",10.25,-67.6,"VE","Aragua"],
+        ["Yüreğir",37,35.34,"TR","Adana"],
+        ["Ivanovo",57,41,"RU","Ivanovskaya Oblast’"],
+        ["Stockton",37.98,-121.31,"US","California"],
+        ["Bryansk",53.25,34.37,"RU","Bryanskaya Oblast’"],
+        ["Jiexiu",37.03,111.91,"CN","Shanxi"],
+        ["Padiāla",30.57,76.63,"IN","Punjab"],
+        ["Sham Shui Po",22.33,114.16,"HK",""],
+        ["Santa Fe",-31.63,-60.7,"AR","Santa Fe"],
+        ["Delhi Cantonment",28.6,77.13,"IN","Delhi"],
+        ["Campina Grande",-7.23,-35.88,"BR","Paraíba"],
+        ["Nagasaki",32.74,129.87,"JP","Nagasaki"],
+        ["Palm Coast",29.54,-81.25,"US","Florida"],
+        ["Szczecin",53.43,14.55,"PL","Zachodniopomorskie"],
+        ["Somolu",6.54,3.39,"NG","Lagos"],
+        ["Salt Lake City",22.61,88.4,"IN","West Bengal"],
+        ["Chattanooga",35.07,-85.25,"US","Tennessee"],
+        ["Carapicuíba",-23.52,-46.84,"BR","São Paulo"],
+        ["Halifax",44.65,-63.59,"CA","Nova Scotia"],
+        ["Maringá",-23.4,-51.92,"BR","Paraná"],
+        ["Qazvīn",36.27,50,"IR","Qazvīn"],
+        ["Jundiaí",-23.19,-46.88,"BR","São Paulo"],
+        ["Toyonaka",34.78,135.47,"JP","Ōsaka"],
+        ["Bogra",24.85,89.37,"BD","Rājshāhi"],
+        ["Gifu",35.42,136.76,"JP","Gifu"],
+        ["Jiangjiafan",31.02,111.97,"CN","Hubei"],
+        ["Maungdaw",20.82,92.37,"MM","Rakhine State"],
+        ["Kissimmee",28.3,-81.42,"US","Florida"],
+        ["Durham",35.98,-78.9,"US","North Carolina"],
+        ["Dera Ghazi Khan",30.03,70.64,"PK","Punjab"],
+        ["Miyazaki",31.92,131.42,"JP","Miyazaki"],
+        ["Quilon",8.88,76.6,"IN","Kerala"],
+        ["Hirakata",34.82,135.65,"JP","Ōsaka"],
+        ["Sandakan",5.84,118.12,"MY","Sabah"],
+        ["Surgut",61.25,73.43,"RU","Khanty-Mansiyskiy Avtonomnyy Okrug-Yugra"],
+        ["Hejin",35.59,110.71,"CN","Shanxi"],
+        ["Betsiboka",-16.95,46.83,"MG","Mahajanga"],
+        ["Thiès",14.78,-16.92,"SN","Thiès"],
+        ["Hazāribāgh",23.98,85.35,"IN","Jhārkhand"],
+        ["Al Jahrā’",29.35,47.68,"KW","Al Jahrā’"],
+        ["Thanh Hóa",19.81,105.78,"VN","Thanh Hóa"],
+        ["Olinda",-8,-34.88,"BR","Pernambuco"],
+        ["Lobito",-12.36,13.53,"AO","Benguela"],
+        ["Saurimo",-9.65,20.4,"AO","Lunda-Sul"],
+        ["Al Jubayl",27,49.65,"SA","Ash Sharqīyah"],
+        ["Pasto",1.21,-77.28,"CO","Nariño"],
+        ["Yola",9.23,12.46,"NG","Adamawa"],
+        ["Bologna",44.49,11.34,"IT","Emilia-Romagna"],
+        ["Arlington",32.7,-97.12,"US","Texas"],
+        ["Tāngāil",24.26,89.92,"BD","Dhaka"],
+        ["Nha Trang",12.25,109.19,"VN","Khánh Hòa"],
+        ["Khayelitsha",-34.04,18.68,"ZA","Western Cape"],
+        ["Belgorod",50.6,36.6,"RU","Belgorodskaya Oblast’"],
+        ["Ad Dīwānīyah",31.99,44.92,"IQ","Al Qādisīyah"],
+        ["Piracicaba",-22.73,-47.65,"BR","São Paulo"],
+        ["Nnewi",6.02,6.92,"NG","Anambra"],
+        ["Hancheng",35.48,110.44,"CN","Shaanxi"],
+        ["Karamay",45.58,84.89,"CN","Xinjiang"],
+        ["San-Pédro",4.75,-6.63,"CI","Bas-Sassandra"],
+        ["Gujrat",32.57,74.08,"PK","Punjab"],
+        ["Yokosuka",35.25,139.67,"JP","Kanagawa"],
+        ["Tieli",46.98,128.04,"CN","Heilongjiang"],
+        ["Asyūţ",27.18,31.17,"EG","Asyūţ"],
+        ["Victorville",34.53,-117.35,"US","California"],
+        ["Gwoza",11.09,13.69,"NG","Borno"],
+        ["Saki",8.67,3.4,"NG","Oyo"],
+        ["Aqtöbe",50.28,57.23,"KZ",""],
+        ["Cilegon",-6,106.01,"ID","Banten"],
+        ["Oyo",7.85,3.93,"NG","Oyo"],
+        ["Taytay",14.57,121.13,"PH","Rizal"],
+        ["Bhātpāra",22.87,88.41,"IN","West Bengal"],
+        ["Kūkatpalli",17.48,78.41,"IN","Andhra Pradesh"],
+        ["Bibā",28.92,30.98,"EG","Banī Suwayf"],
+        ["Sirūr",18.83,74.38,"IN","Mahārāshtra"],
+        ["Tarlac City",15.49,120.59,"PH","Tarlac"],
+        ["Okazaki",34.95,137.17,"JP","Aichi"],
+        ["Ḩā’il",27.52,41.68,"SA","Ḩā’il"],
+        ["Garoowe",8.4,48.47,"SO","Nugaal"],
+        ["Minamisuita",34.76,135.52,"JP","Ōsaka"],
+        ["Lianzhou",24.79,112.37,"CN","Guangdong"],
+        ["Ceel Baraf",3.21,45.76,"SO","Shabeellaha Dhexe"],
+        ["Yidu",30.39,111.45,"CN","Hubei"],
+        ["Ilesa",7.62,4.72,"NG","Osun"],
+        ["Kākināda",16.97,82.26,"IN","Andhra Pradesh"],
+        ["Nuevo Laredo",27.49,-99.51,"MX","Tamaulipas"],
+        ["Olomouc",49.59,17.25,"CZ","Olomoucký Kraj"],
+        ["London",42.98,-81.25,"CA","Ontario"],
+        ["Plovdiv",42.15,24.75,"BG","Plovdiv"],
+        ["Aurora",39.71,-104.72,"US","Colorado"],
+        ["Bawshar",23.53,58.38,"OM","Masqaţ"],
+        ["Christchurch",-43.53,172.64,"NZ","Canterbury"],
+        ["Gusau",12.15,6.67,"NG","Zamfara"],
+        ["Modesto",37.64,-121,"US","California"],
+        ["Zêtang",29.24,91.77,"CN","Tibet"],
+        ["Sardārshahr",28.44,74.49,"IN","Rājasthān"],
+        ["Brno",49.19,16.61,"CZ","Jihomoravský Kraj"],
+        ["Lancaster",34.69,-118.18,"US","California"],
+        ["Taunggyi",20.78,97.04,"MM","Shan State"],
+        ["Fayetteville",36.07,-94.17,"US","Arkansas"],
+        ["Canberra",-35.29,149.13,"AU","Australian Capital Territory"],
+        ["Kaunas",54.9,23.89,"LT","Kauno Miestas"],
+        ["Florence",43.77,11.25,"IT","Tuscany"],
+        ["Tétouan",35.57,-5.37,"MA","Tanger-Tétouan-Al Hoceïma"],
+        ["Malabon",14.66,120.96,"PH","Malabon"],
+        ["Darbhanga",26.17,85.9,"IN","Bihār"],
+        ["Novi Sad",45.25,19.84,"RS","Novi Sad"],
+        ["Las Palmas",28.13,-15.43,"ES","Canary Islands"],
+        ["Ichinomiya",35.3,136.8,"JP","Aichi"],
+        ["Usulután",13.35,-88.45,"SV","Usulután"],
+        ["Huancayo",-12.07,-75.22,"PE","Junín"],
+        ["Betim",-19.97,-44.2,"BR","Minas Gerais"],
+        ["Sintra",38.8,-9.39,"PT","Lisboa"],
+        ["Hatay",36.2,36.16,"TR","Hatay"],
+        ["Iquitos",-3.75,-73.25,"PE","Loreto"],
+        ["Sivas",39.75,37.02,"TR","Sivas"],
+        ["Pānihāti",22.69,88.37,"IN","West Bengal"],
+        ["Scranton",41.4,-75.66,"US","Pennsylvania"],
+        ["Cainta",14.57,121.12,"PH","Rizal"],
+        ["Helixi",30.63,118.99,"CN","Anhui"],
+        ["Al Kharj",24.15,47.31,"SA","Ar Riyāḑ"],
+        ["Mamou",10.38,-12.08,"GN","Mamou"],
+        ["Manukau City",-37,174.89,"NZ","Auckland"],
+        ["Cantonment",31.52,74.38,"PK","Punjab"],
+        ["Cumaná",10.45,-64.17,"VE","Sucre"],
+        ["Rohtak",28.89,76.58,"IN","Haryāna"],
+        ["Māler Kotla",30.52,75.88,"IN","Punjab"],
+        ["Bhawana",31.57,72.65,"PK","Punjab"],
+        ["Khorramābād",33.49,48.36,"IR","Lorestān"],
+        ["Lipa City",13.94,121.16,"PH","Batangas"],
+        ["Butuan",8.95,125.53,"PH","Butuan"],
+        ["Stoke-on-Trent",53,-2.18,"GB","Stoke-on-Trent"],
+        ["Takasaki",36.32,139,"JP","Gunma"],
+        ["Ambon",-3.7,128.17,"ID","Maluku"],
+        ["Vinnytsia",49.23,28.48,"UA","Vinnytska Oblast"],
+        ["Toyohashi",34.77,137.39,"JP","Aichi"],
+        ["Chitungwiza",-17.99,31.05,"ZW","Harare"],
+        ["Gebze",40.8,29.43,"TR","Kocaeli"],
+        ["Anguo",38.42,115.32,"CN","Hebei"],
+        ["Lengshuijiang",27.69,111.43,"CN","Hunan"],
+        ["Panshi",42.94,126.06,"CN","Jilin"],
+        ["Madan",30.34,48.3,"IR","Khūzestān"],
+        ["Keelung",25.13,121.73,"TW","Keelung"],
+        ["Az Zubayr",30.38,47.7,"IQ","Al Başrah"],
+        ["Bharatpur",27.68,84.43,"NP",""],
+        ["Petare",10.48,-66.82,"VE","Miranda"],
+        ["Caucaia",-3.72,-38.65,"BR","Ceará"],
+        ["Nagano",36.65,138.19,"JP","Nagano"],
+        ["Huichang",34.91,112.79,"CN","Henan"],
+        ["Bauru",-22.31,-49.06,"BR","São Paulo"],
+        ["La Florida",-33.53,-70.58,"CL","Región Metropolitana"],
+        ["Nicolás Romero",19.58,-99.37,"MX","México"],
+        ["Anápolis",-16.33,-48.95,"BR","Goiás"],
+        ["Baguio City",16.41,120.59,"PH","Baguio"],
+        ["Oxnard",34.2,-119.18,"US","California"],
+        ["Vitsyebsk",55.19,30.21,"BY","Vitsyebskaya Voblasts’"],
+        ["Korba",22.35,82.68,"IN","Chhattīsgarh"],
+        ["Qardho",9.5,49.08,"SO","Bari"],
+        ["Tecámac",19.71,-98.97,"MX","México"],
+        ["Bochum",51.48,7.22,"DE","North Rhine-Westphalia"],
+        ["Mandaue City",10.33,123.93,"PH","Mandaue"],
+        ["Yanjiao",39.94,116.8,"CN","Hebei"],
+        ["Youngstown",41.1,-80.65,"US","Ohio"],
+        ["Cibinong",-6.48,106.84,"ID","Jawa Barat"],
+        ["Kocaeli",40.76,29.92,"TR","Kocaeli"],
+        ["Newcastle",-27.75,29.93,"ZA","KwaZulu-Natal"],
+        ["Wŏnsan",39.15,127.45,"KP","Kangwŏn"],
+        ["Iligan",8.23,124.25,"PH","Iligan"],
+        ["Coventry",52.41,-1.51,"GB","Coventry"],
+        ["Kayapınar",37.94,40.19,"TR","Diyarbakır"],
+        ["Montes Claros",-16.73,-43.86,"BR","Minas Gerais"],
+        ["Blumenau",-26.93,-49.05,"BR","Santa Catarina"],
+        ["Indio",33.73,-116.23,"US","California"],
+        ["Beirut",33.89,35.51,"LB","Beyrouth"],
+        ["Buurhakaba",2.78,44.08,"SO","Bay"],
+        ["Pensacola",30.44,-87.19,"US","Florida"],
+        ["Bengkulu",-3.8,102.26,"ID","Bengkulu"],
+        ["Shuanghe",30.39,106.78,"CN","Sichuan"],
+        ["Wudalianchi",48.64,126.14,"CN","Heilongjiang"],
+        ["Pétion-Ville",18.51,-72.29,"HT","Ouest"],
+        ["Utrecht",52.08,5.12,"NL","Utrecht"],
+        ["Palu",-0.89,119.86,"ID","Sulawesi Tengah"],
+        ["Sīkar",27.62,75.15,"IN","Rājasthān"],
+        ["Umuahia",5.53,7.48,"NG","Abia"],
+        ["Mardan",34.2,72.03,"PK","Khyber Pakhtunkhwa"],
+        ["Franca",-20.54,-47.4,"BR","São Paulo"],
+        ["Sungai Petani",5.65,100.48,"MY","Kedah"],
+        ["Ash Shuhadā’",30.6,30.9,"EG","Al Minūfīyah"],
+        ["Karūr",10.96,78.08,"IN","Tamil Nādu"],
+        ["Sasarām",24.95,84.03,"IN","Bihār"],
+        ["Kismaayo",-0.36,42.55,"SO","Jubbada Hoose"],
+        ["Taraz",42.9,71.37,"KZ",""],
+        ["Cubal",-13.11,14.37,"AO","Benguela"],
+        ["Hrodna",53.67,23.83,"BY","Hrodzyenskaya Voblasts’"],
+        ["Luena",-11.79,19.91,"AO","Moxico"],
+        ["Karnāl",29.69,76.99,"IN","Haryāna"],
+        ["Mahilyow",53.92,30.35,"BY","Mahilyowskaya Voblasts’"],
+        ["Yong’an",25.97,117.36,"CN","Fujian"],
+        ["Manisa",38.63,27.42,"TR","Manisa"],
+        ["Konak",38.42,27.13,"TR","İzmir"],
+        ["Vladimir",56.13,40.41,"RU","Vladimirskaya Oblast’"],
+        ["Minatitlán",17.98,-94.55,"MX","Veracruz"],
+        ["Linxia Chengguanzhen",35.6,103.22,"CN","Gansu"],
+        ["Vitória",-20.29,-40.31,"BR","Espírito Santo"],
+        ["Chānda",19.95,79.3,"IN","Mahārāshtra"],
+        ["Nizhniy Tagil",57.92,59.97,"RU","Sverdlovskaya Oblast’"],
+        ["Yamoussoukro",6.82,-5.27,"CI","Yamoussoukro"],
+        ["São Vicente",-23.96,-46.39,"BR","São Paulo"],
+        ["Cuito",-12.38,16.93,"AO","Bié"],
+        ["Orizaba",18.85,-97.1,"MX","Veracruz"],
+        ["Cabuyao",14.28,121.13,"PH","Laguna"],
+        ["Hongzhai",34.99,104.54,"CN","Gansu"],
+        ["Wuppertal",51.27,7.18,"DE","North Rhine-Westphalia"],
+        ["Gedaref",14.03,35.38,"SD","Gedaref"],
+        ["San Fernando",15.03,120.68,"PH","Pampanga"],
+        ["Kawagoe",35.93,139.49,"JP","Saitama"],
+        ["Pavlodar",52.3,76.95,"KZ",""],
+        ["Pokhara",28.21,83.99,"NP","Gaṇḍakī"],
+        ["Villahermosa",17.99,-92.93,"MX","Tabasco"],
+        ["Van",38.49,43.38,"TR","Van"],
+        ["Wakayama",34.23,135.17,"JP","Wakayama"],
+        ["Kita-ku",35.75,139.73,"JP","Tōkyō"],
+        ["Neiva",2.93,-75.28,"CO","Huila"],
+        ["Itaquaquecetuba",-23.49,-46.35,"BR","São Paulo"],
+        ["Gimpo",37.7,126.6,"KR","Gyeonggi"],
+        ["Corrientes",-27.48,-58.82,"AR","Corrientes"],
+        ["Licheng",24.49,110.39,"CN","Guangxi"],
+        ["Nara",34.68,135.81,"JP","Nara"],
+        ["Yakeshi",49.28,120.73,"CN","Inner Mongolia"],
+        ["Nam Định",20.42,106.17,"VN","Nam Định"],
+        ["Sinŭiju",40.1,124.4,"KP","P’yŏngbuk"],
+        ["Oruro",-17.97,-67.12,"BO","Oruro"],
+        ["Malmö",55.61,13.04,"SE","Skåne"],
+        ["Cabimas",10.4,-71.43,"VE","Zulia"],
+        ["Arkhangelsk",64.55,40.53,"RU","Arkhangel’skaya Oblast’"],
+        ["Batangas",13.83,121,"PH","Batangas"],
+        ["Ibb",13.97,44.17,"YE","Ibb"],
+        ["Ahmadnagar",19.08,74.73,"IN","Mahārāshtra"],
+        ["Gorgān",36.84,54.43,"IR","Golestān"],
+        ["Sarai Alamgir",32.9,73.75,"PK","Punjab"],
+        ["Semey",50.43,80.27,"KZ",""],
+        ["Holguín",20.89,-76.26,"CU","Holguín"],
+        ["Tungi",23.9,90.41,"BD","Dhaka"],
+        ["Qo‘qon",40.53,70.94,"UZ","Farg‘ona"],
+        ["Yingmen",39.95,97.44,"CN","Gansu"],
+        ["Dāsarhalli",13.05,77.51,"IN","Karnātaka"],
+        ["Shinjuku",35.69,139.7,"JP","Tōkyō"],
+        ["Palmira",3.58,-76.25,"CO","Valle del Cauca"],
+        ["Cariacica",-20.26,-40.42,"BR","Espírito Santo"],
+        ["Varna",43.22,27.92,"BG","Varna"],
+        ["Antofagasta",-23.65,-70.4,"CL","Antofagasta"],
+        ["Anaheim",33.84,-117.86,"US","California"],
+        ["Tapachula",14.9,-92.27,"MX","Chiapas"],
+        ["Bonita Springs",26.36,-81.79,"US","Florida"],
+        ["Takatsuki",34.85,135.62,"JP","Ōsaka"],
+        ["António Enes",-16.23,39.92,"MZ","Nampula"],
+        ["Chita",52.03,113.5,"RU","Zabaykal’skiy Kray"],
+        ["Caruaru",-8.28,-35.98,"BR","Pernambuco"],
+        ["Koshigaya",35.89,139.79,"JP","Saitama"],
+        ["Bydgoszcz",53.12,18,"PL","Kujawsko-Pomorskie"],
+        ["Pamukkale",37.92,29.12,"TR","Denizli"],
+        ["Central Coast",-33.3,151.2,"AU","New South Wales"],
+        ["Öskemen",49.98,82.62,"KZ",""],
+        ["Shāhjānpur",27.88,79.91,"IN","Uttar Pradesh"],
+        ["Āvadi",13.11,80.1,"IN","Tamil Nādu"],
+        ["Tanch’ŏn",40.46,128.91,"KP","Hamnam"],
+        ["Wad Medani",14.4,33.52,"SD","Gezira"],
+        ["Greensboro",36.1,-79.83,"US","North Carolina"],
+        ["Kūstī",13.17,32.67,"SD","White Nile"],
+        ["Hosūr",12.74,77.83,"IN","Tamil Nādu"],
+        ["Cuddapah",14.47,78.82,"IN","Andhra Pradesh"],
+        ["Vitória da Conquista",-14.87,-40.84,"BR","Bahia"],
+        ["Makiivka",48.06,37.96,"UA","Donetska Oblast"],
+        ["Nice",43.7,7.27,"FR","Provence-Alpes-Côte d’Azur"],
+        ["Ōtsu",35.02,135.85,"JP","Shiga"],
+        ["Sarıyer",41.17,29.06,"TR","İstanbul"],
+        ["Meram",37.84,32.44,"TR","Konya"],
+        ["Gómez Palacio",25.56,-103.5,"MX","Durango"],
+        ["Yeosu",34.73,127.73,"KR","Jeonnam"],
+        ["Kaluga",54.53,36.27,"RU","Kaluzhskaya Oblast’"],
+        ["Rājahmundry",16.98,81.78,"IN","Andhra Pradesh"],
+        ["Simferopol",44.95,34.1,"UA","Krym, Avtonomna Respublika"],
+        ["Vũng Tàu",10.38,107.12,"VN","Bà Rịa-Vũng Tàu"],
+        ["Alwar",27.55,76.64,"IN","Rājasthān"],
+        ["Lianran",24.92,102.48,"CN","Yunnan"],
+        ["Tokorozawa",35.8,139.47,"JP","Saitama"],
+        ["Sumqayıt",40.59,49.64,"AZ","Sumqayıt"],
+        ["Nakano",35.71,139.66,"JP","Tōkyō"],
+        ["Brest",52.13,23.66,"BY","Brestskaya Voblasts’"],
+        ["Serekunda",13.43,-16.67,"GM","Kanifing"],
+        ["Buôn Ma Thuột",12.67,108.05,"VN","Đắk Lắk"],
+        ["Lublin",51.25,22.57,"PL","Lubelskie"],
+        ["Tarsus",36.92,34.9,"TR","Mersin"],
+        ["Islip",40.74,-73.19,"US","New York"],
+        ["Huntsville",34.7,-86.64,"US","Alabama"],
+        ["Cuernavaca",18.92,-99.23,"MX","Morelos"],
+        ["East London",-33.02,27.9,"ZA","Eastern Cape"],
+        ["Alicante",38.35,-0.48,"ES","Valencia"],
+        ["Kaesŏng",37.97,126.55,"KP","Kaesŏng"],
+        ["Jitpur",27.67,85.33,"NP",""],
+        ["Petrolina",-9.39,-40.51,"BR","Pernambuco"],
+        ["Tangdong",25.98,113.23,"CN","Hunan"],
+        ["Chinju",35.2,128.08,"KR","Gyeongnam"],
+        ["Reading",51.45,-0.97,"GB","Reading"],
+        ["Randburg",-26.09,28.01,"ZA","Gauteng"],
+        ["Matadi",-5.82,13.48,"CD","Kongo Central"],
+        ["Iwaki",37.05,140.89,"JP","Fukushima"],
+        ["Shah Latif Town",24.88,67.16,"PK","Sindh"],
+        ["Sambalpur",21.47,83.97,"IN","Odisha"],
+        ["Victoria",48.43,-123.36,"CA","British Columbia"],
+        ["Hirosaki",40.6,140.46,"JP","Aomori"],
+        ["Yingzhong",32.24,119.81,"CN","Jiangsu"],
+        ["Uruapan",19.42,-102.06,"MX","Michoacán"],
+        ["Tampere",61.5,23.76,"FI","Pirkanmaa"],
+        ["Bielefeld",52.02,8.53,"DE","North Rhine-Westphalia"],
+        ["Belfast",54.6,-5.93,"GB","Belfast"],
+        ["Uberaba",-19.75,-47.93,"BR","Minas Gerais"],
+        ["Corpus Christi",27.73,-97.38,"US","Texas"],
+        ["Muzaffarpur",26.12,85.39,"IN","Bihār"],
+        ["Beni",0.5,29.47,"CD","Nord-Kivu"],
+        ["Viña del Mar",-33.02,-71.55,"CL","Valparaíso"],
+        ["Hangu",39.23,117.78,"CN","Tianjin"],
+        ["Asan",36.78,126.98,"KR","Chungnam"],
+        ["Soledad de Graciano Sánchez",22.18,-100.93,"MX","San Luis Potosí"],
+        ["Bonn",50.73,7.1,"DE","North Rhine-Westphalia"],
+        ["Maebashi",36.39,139.06,"JP","Gunma"],
+        ["Balıkesir",39.63,27.88,"TR","Balıkesir"],
+        ["Blida",36.47,2.83,"DZ","Blida"],
+        ["Beylikdüzü",41,28.64,"TR","İstanbul"],
+        ["Gəncə",40.68,46.36,"AZ","Gəncə"],
+        ["Asahikawa",43.77,142.37,"JP","Hokkaidō"],
+        ["Ribeirão das Neves",-19.77,-44.09,"BR","Minas Gerais"],
+        ["Kendari",-3.99,122.51,"ID","Sulawesi Tenggara"],
+        ["Wŏnju",37.34,127.92,"KR","Gangwon"],
+        ["Lafia",8.5,8.52,"NG","Nasarawa"],
+        ["Dahūk",36.87,43,"IQ","Dahūk"],
+        ["Fort Wayne",41.09,-85.14,"US","Indiana"],
+        ["Kāmārhāti",22.67,88.37,"IN","West Bengal"],
+        ["Nicosia",35.17,33.37,"CY","Lefkosía"],
+        ["Thái Nguyên",21.6,105.85,"VN","Thái Nguyên"],
+        ["Bamiantong",44.92,130.52,"CN","Heilongjiang"],
+        ["Cuenca",-2.9,-79,"EC","Azuay"],
+        ["Smolensk",54.78,32.05,"RU","Smolenskaya Oblast’"],
+        ["Koriyama",37.4,140.36,"JP","Fukushima"],
+        ["Guédiawaye",14.78,-17.4,"SN","Dakar"],
+        ["Ciudad Obregón",27.49,-109.94,"MX","Sonora"],
+        ["Markham",43.88,-79.26,"CA","Ontario"],
+        ["Fayetteville",35.09,-78.98,"US","North Carolina"],
+        ["Debrecen",47.53,21.64,"HU","Hajdú-Bihar"],
+        ["Pelotas",-31.77,-52.34,"BR","Rio Grande do Sul"],
+        ["Ann Arbor",42.28,-83.73,"US","Michigan"],
+        ["Sultanbeyli",40.97,29.26,"TR","İstanbul"],
+        ["Bijāpur",16.83,75.71,"IN","Karnātaka"],
+        ["Cabanatuan City",15.49,120.97,"PH","Nueva Ecija"],
+        ["Tharād",24.39,71.62,"IN","Gujarāt"],
+        ["Salamanca",20.57,-101.2,"MX","Guanajuato"],
+        ["Ratnāgiri",16.99,73.3,"IN","Mahārāshtra"],
+        ["Ulanhot",46.07,122.07,"CN","Inner Mongolia"],
+        ["Jackson",32.32,-90.21,"US","Mississippi"],
+        ["Yunzhong",39.81,113.09,"CN","Shanxi"],
+        ["Al Fallūjah",33.35,43.78,"IQ","Al Anbār"],
+        ["Roodepoort",-26.16,27.87,"ZA","Gauteng"],
+        ["Volzhskiy",48.81,44.74,"RU","Volgogradskaya Oblast’"],
+        ["Pucallpa",-8.38,-74.55,"PE","Ucayali"],
+        ["San Pedro",14.36,121.06,"PH","Laguna"],
+        ["Kōchi",33.56,133.53,"JP","Kōchi"],
+        ["Rāmpur",28.8,79,"IN","Uttar Pradesh"],
+        ["Kuching",1.56,110.34,"MY","Sarawak"],
+        ["Cotabato",7.22,124.25,"PH","Cotabato"],
+        ["Bielsko-Biała",49.82,19.04,"PL","Śląskie"],
+        ["Cluj-Napoca",46.77,23.58,"RO","Cluj"],
+        ["Cimanggis",-6.36,106.86,"ID","Jawa Barat"],
+        ["Gonaïves",19.45,-72.69,"HT","Artibonite"],
+        ["Nazrēt",8.54,39.27,"ET","Oromīya"],
+        ["Gonder",12.61,37.46,"ET","Āmara"],
+        ["Kikuyu",-1.25,36.67,"KE","Kiambu"],
+        ["Canoas",-29.92,-51.18,"BR","Rio Grande do Sul"],
+        ["Mekele",13.5,39.48,"ET","Tigray"],
+        ["Bari",41.13,16.87,"IT","Puglia"],
+        ["Binxian",35.04,108.08,"CN","Shaanxi"],
+        ["Antioch",37.98,-121.8,"US","California"],
+        ["Kaiyuan",23.71,103.26,"CN","Yunnan"],
+        ["Shimoga",13.93,75.57,"IN","Karnātaka"],
+        ["Uíge",-7.62,15.05,"AO","Uíge"],
+        ["Windhoek",-22.57,17.08,"NA","Khomas"],
+        ["Hotan",37.1,80.02,"CN","Xinjiang"],
+        ["Osh",40.53,72.78,"KG","Osh"],
+        ["Minna",9.61,6.56,"NG","Niger"],
+        ["Mobile",30.68,-88.12,"US","Alabama"],
+        ["Córdoba",37.88,-4.78,"ES","Andalusia"],
+        ["Camagüey",21.38,-77.91,"CU","Camagüey"],
+        ["Taourirt",34.42,-2.88,"MA","Oriental"],
+        ["San Salvador de Jujuy",-24.18,-65.3,"AR","Jujuy"],
+        ["Al Kūt",32.49,45.83,"IQ","Wāsiţ"],
+        ["Lexington",38.04,-84.46,"US","Kentucky"],
+        ["Sukabumi",-6.92,106.93,"ID","Jawa Barat"],
+        ["Menongue",-14.66,17.68,"AO","Cuando Cubango"],
+        ["Ciudad del Este",-25.52,-54.62,"PY","Alto Paraná"],
+        ["Okene",7.55,6.23,"NG","Kogi"],
+        ["Jūnāgadh",21.52,70.46,"IN","Gujarāt"],
+        ["Guasave",25.57,-108.47,"MX","Sinaloa"],
+        ["Maroua",10.6,14.32,"CM","Extrême-Nord"],
+        ["Asan",36.35,126.92,"KR","Chungnam"],
+        ["Aksaray",38.37,34.03,"TR","Aksaray"],
+        ["Nukus",42.47,59.6,"UZ","Qoraqalpog‘iston"],
+        ["Kaech’ŏn",39.7,125.91,"KP","P’yŏngnam"],
+        ["Tehuacán",18.46,-97.39,"MX","Puebla"],
+        ["Timişoara",45.76,21.23,"RO","Timiş"],
+        ["Coatzacoalcos",18.15,-94.43,"MX","Veracruz"],
+        ["Zalantun",48,122.74,"CN","Inner Mongolia"],
+        ["Cherepovets",59.12,37.9,"RU","Vologodskaya Oblast’"],
+        ["Saransk",54.18,45.18,"RU","Mordoviya"],
+        ["Nantes",47.22,-1.55,"FR","Pays de la Loire"],
+        ["Katsina",12.99,7.6,"NG","Katsina"],
+        ["Puerto Plata",19.8,-70.68,"DO","Cibao Norte"],
+        ["Gwangmyeongni",37.48,126.87,"KR","Gyeonggi"],
+        ["Taubaté",-23.02,-45.56,"BR","São Paulo"],
+        ["Poltava",49.59,34.55,"UA","Poltavska Oblast"],
+        ["Münster",51.96,7.63,"DE","North Rhine-Westphalia"],
+        ["An Nhơn",13.92,109.08,"VN","Bình Định"],
+        ["Hāpur",28.73,77.78,"IN","Uttar Pradesh"],
+        ["Boaco",12.47,-85.66,"NI","Boaco"],
+        ["Asheville",35.57,-82.55,"US","North Carolina"],
+        ["Trenton",40.22,-74.76,"US","New Jersey"],
+        ["Cirebon",-6.71,108.56,"ID","Jawa Barat"],
+        ["Naha",26.21,127.68,"JP","Okinawa"],
+        ["Al Fayyūm",29.31,30.84,"EG","Al Fayyūm"],
+        ["Xiaoli",22.68,113.23,"CN","Guangdong"],
+        ["Trichūr",10.52,76.21,"IN","Kerala"],
+        ["Bor",6.21,31.56,"SS","Jonglei"],
+        ["Cà Mau",9.18,105.15,"VN","Cà Mau"],
+        ["Saint-Denis",-20.88,55.45,"RE",""],
+        ["San Miguelito",9.03,-79.5,"PA","Panamá"],
+        ["Kasur",31.12,74.45,"PK","Punjab"],
+        ["Barddhamān",23.23,87.87,"IN","West Bengal"],
+        ["Santa Rosa",38.45,-122.71,"US","California"],
+        ["Kingston upon Hull",53.74,-0.33,"GB","Kingston upon Hull, City of"],
+        ["Yakou",33.29,113.52,"CN","Henan"],
+        ["Santa Ana",33.74,-117.88,"US","California"],
+        ["Binangonan",14.45,121.19,"PH","Rizal"],
+        ["Temara",33.93,-6.91,"MA","Rabat-Salé-Kénitra"],
+        ["Attiecoubé",5.33,-4.03,"CI","Abidjan"],
+        ["Vologda",59.22,39.9,"RU","Vologodskaya Oblast’"],
+        ["Lansing",42.71,-84.56,"US","Michigan"],
+        ["Zarzal",4.4,-76.08,"CO","Valle del Cauca"],
+        ["Pasir Gudang",1.5,103.94,"MY","Johor"],
+        ["Port Elizabeth",-33.96,25.6,"ZA","Eastern Cape"],
+        ["La Victoria",18.55,-69.9,"DO","Ozama"],
+        ["Alanya",36.55,32,"TR","Antalya"],
+        ["Tanza",14.39,120.85,"PH","Cavite"],
+        ["Mannheim",49.49,8.47,"DE","Baden-Württemberg"],
+        ["Yakutsk",62.03,129.73,"RU","Sakha (Yakutiya)"],
+        ["Orël",52.97,36.07,"RU","Orlovskaya Oblast’"],
+        ["Ponta Grossa",-25.1,-50.16,"BR","Paraná"],
+        ["Catania",37.5,15.09,"IT","Sicilia"],
+        ["Panvel",18.99,73.11,"IN","Mahārāshtra"],
+        ["Henderson",36.01,-115.04,"US","Nevada"],
+        ["Guarujá",-23.99,-46.26,"BR","São Paulo"],
+        ["Nizāmābād",18.67,78.09,"IN","Andhra Pradesh"],
+        ["Quy Nhơn",13.77,109.23,"VN","Bình Định"],
+        ["Datang",22.95,113.93,"CN","Guangdong"],
+        ["Longquan",25.91,114.79,"CN","Jiangxi"],
+        ["Mitchells Plain",-34.05,18.62,"ZA","Western Cape"],
+        ["Gwangju",37.37,127.28,"KR","Gyeonggi"],
+        ["Yokkaichi",34.97,136.62,"JP","Mie"],
+        ["Chalco",19.26,-98.9,"MX","México"],
+        ["St. Paul",44.95,-93.1,"US","Minnesota"],
+        ["Shahrīār",35.66,51.06,"IR","Tehrān"],
+        ["Shahr-e Qods",35.72,51.11,"IR","Tehrān"],
+        ["St. Catharines",43.18,-79.23,"CA","Ontario"],
+        ["Kurgan",55.44,65.34,"RU","Kurganskaya Oblast’"],
+        ["Lakeland",28.06,-81.95,"US","Florida"],
+        ["Niagara Falls",43.06,-79.11,"CA","Ontario"],
+        ["Safi",32.28,-9.23,"MA","Marrakech-Safi"],
+        ["Karlsruhe",49.01,8.4,"DE","Baden-Württemberg"],
+        ["Nakuru",-0.3,36.07,"KE","Nakuru"],
+        ["Karawang",-6.31,107.3,"ID","Jawa Barat"],
+        ["Sariwŏn",38.51,125.76,"KP","Hwangbuk"],
+        ["Juliaca",-15.48,-70.13,"PE","Puno"],
+        ["Nghi Sơn",19.42,105.75,"VN","Thanh Hóa"],
+        ["Parbhani",19.27,76.78,"IN","Mahārāshtra"],
+        ["Puerto Princesa",9.75,118.75,"PH","Puerto Princesa"],
+        ["Hisar",29.15,75.7,"IN","Haryāna"],
+        ["Vladikavkaz",43.04,44.68,"RU","North Ossetia"],
+        ["Santarém",-2.43,-54.72,"BR","Pará"],
+        ["Kasugai",35.25,136.97,"JP","Aichi"],
+        ["Ciudad Santa Catarina",25.68,-100.45,"MX","Nuevo León"],
+        ["Puerto La Cruz",10.2,-64.63,"VE","Anzoátegui"],
+        ["Newark",40.72,-74.17,"US","New Jersey"],
+        ["Vaughan",43.83,-79.5,"CA","Ontario"],
+        ["Ciudad Victoria",23.74,-99.14,"MX","Tamaulipas"],
+        ["Playa del Carmen",20.63,-87.08,"MX","Quintana Roo"],
+        ["Yeşilyurt",38.3,38.25,"TR","Malatya"],
+        ["Adıyaman",37.76,38.28,"TR","Adıyaman"],
+        ["Akita",39.72,140.1,"JP","Akita"],
+        ["Kurume",33.32,130.52,"JP","Fukuoka"],
+        ["Az Zaqāzīq",30.57,31.5,"EG","Ash Sharqīyah"],
+        ["Iksan",35.94,126.95,"KR","Jeonbuk"],
+        ["Vila Nova de Gaia",41.13,-8.62,"PT","Porto"],
+        ["Awka",6.2,7.07,"NG","Anambra"],
+        ["Fort Collins",40.55,-105.07,"US","Colorado"],
+        ["Bahía Blanca",-38.72,-62.27,"AR","Buenos Aires"],
+        ["San Bernardo",-33.58,-70.7,"CL","Región Metropolitana"],
+        ["San Juan del Río",20.38,-99.98,"MX","Querétaro"],
+        ["Armenia",4.53,-75.68,"CO","Quindío"],
+        ["Qianzhou",28.32,109.73,"CN","Hunan"],
+        ["Limeira",-22.56,-47.4,"BR","São Paulo"],
+        ["Popayán",2.45,-76.61,"CO","Cauca"],
+        ["Oyster Bay",40.78,-73.51,"US","New York"],
+        ["Al Qunfudhah",19.13,41.08,"SA","Makkah al Mukarramah"],
+        ["Paulista",-7.94,-34.87,"BR","Pernambuco"],
+        ["Newcastle",54.98,-1.61,"GB","Newcastle upon Tyne"],
+        ["Oulgaret",11.96,79.77,"IN","Puducherry"],
+        ["Āwasa",7.05,38.47,"ET","YeDebub Bihēroch Bihēreseboch na Hizboch"],
+        ["Māldah",25.01,88.14,"IN","West Bengal"],
+        ["Oaxaca",17.06,-96.73,"MX","Oaxaca"],
+        ["Porto-Novo",6.5,2.61,"BJ","Ouémé"],
+        ["Sucre",-19.05,-65.26,"BO","Chuquisaca"],
+        ["Al ‘Ajamī",31.1,29.76,"EG","Al Iskandarīyah"],
+        ["Al Maţarīyah",31.18,32.03,"EG","Ad Daqahlīyah"],
+        ["Sóc Trăng",9.6,105.97,"VN","Sóc Trăng"],
+        ["Bada Barabīl",22.12,85.4,"IN","Odisha"],
+        ["Coatepeque",14.7,-91.87,"GT","Quetzaltenango"],
+        ["Ash Shāmīyah",31.96,44.6,"IQ","Al Qādisīyah"],
+        ["Mérida",8.48,-71.19,"VE","Mérida"],
+        ["Curepipe",-20.32,57.53,"MU","Plaines Wilhems"],
+        ["Ar Raqqah",35.95,39.01,"SY","Ar Raqqah"],
+        ["Chakwal",32.93,72.86,"PK","Punjab"],
+        ["Ōakashichō",34.65,135,"JP","Hyōgo"],
+        ["Phan Thiết",10.93,108.1,"VN","Bình Thuận"],
+        ["Afyonkarahisar",38.76,30.54,"TR","Afyonkarahisar"],
+        ["Podolsk",55.43,37.55,"RU","Moskovskaya Oblast’"],
+        ["Ciudad General Escobedo",25.79,-100.16,"MX","Nuevo León"],
+        ["Praia Grande",-24.01,-46.4,"BR","São Paulo"],
+        ["Reading",40.34,-75.93,"US","Pennsylvania"],
+        ["Springfield",37.19,-93.29,"US","Missouri"],
+        ["Jember",-8.17,113.69,"ID","Jawa Timur"],
+        ["Al Mubarraz",25.44,49.66,"SA","Ash Sharqīyah"],
+        ["Pekalongan",-6.88,109.67,"ID","Jawa Tengah"],
+        ["Petrópolis",-22.5,-43.18,"BR","Rio de Janeiro"],
+        ["Murmansk",68.97,33.08,"RU","Murmanskaya Oblast’"],
+        ["Toshima",35.73,139.72,"JP","Tōkyō"],
+        ["İskenderun",36.58,36.17,"TR","Hatay"],
+        ["Irvine",33.68,-117.77,"US","California"],
+        ["Pachuca",20.1,-98.75,"MX","Hidalgo"],
+        ["Valladolid",41.65,-4.72,"ES","Castille-Leon"],
+        ["Białystok",53.14,23.15,"PL","Podlaskie"],
+        ["Yangsan",35.33,129.03,"KR","Gyeongnam"],
+        ["Tampico",22.26,-97.87,"MX","Tamaulipas"],
+        ["Bihār",25.2,85.52,"IN","Bihār"],
+        ["Espoo",60.21,24.66,"FI","Uusimaa"],
+        ["Valparaíso",-33.05,-71.62,"CL","Valparaíso"],
+        ["Augsburg",48.37,10.9,"DE","Bavaria"],
+        ["Finglas",53.46,-6.22,"IE","Dublin"],
+        ["Tagum",7.45,125.81,"PH","Davao del Norte"],
+        ["Comilla",23.45,91.2,"BD","Chattogram"],
+        ["Battalgazi",38.42,38.37,"TR","Malatya"],
+        ["Silang",14.23,120.98,"PH","Cavite"],
+        ["Montpellier",43.61,3.88,"FR","Occitanie"],
+        ["Stockport",53.41,-2.15,"GB","Stockport"],
+        ["Pondokaren",-6.28,106.7,"ID","Jawa Barat"],
+        ["Sikandarābād",28.45,77.7,"IN","Uttar Pradesh"],
+        ["Çorum",40.55,34.96,"TR","Çorum"],
+        ["Chernihiv",51.49,31.29,"UA","Chernihivska Oblast"],
+        ["Vila Teixeira da Silva",-12.01,15.78,"AO","Huambo"],
+        ["Pānīpat",29.39,76.97,"IN","Haryāna"],
+        ["Rangpur",25.75,89.24,"BD","Rangpur"],
+        ["Vigo",42.23,-8.71,"ES","Galicia"],
+        ["Taboão da Serra",-23.53,-46.8,"BR","São Paulo"],
+        ["Coacalco",19.63,-99.09,"MX","México"],
+        ["Āīzawl",23.73,92.72,"IN","Mizoram"],
+        ["Bāli",22.65,88.34,"IN","West Bengal"],
+        ["Bradford",53.8,-1.75,"GB","Bradford"],
+        ["Mabalacat",15.22,120.58,"PH","Pampanga"],
+        ["Dexing",28.96,117.76,"CN","Jiangxi"],
+        ["Ismailia",30.58,32.27,"EG","Al Ismā‘īlīyah"],
+        ["Anchorage",61.15,-149.11,"US","Alaska"],
+        ["The Woodlands",30.17,-95.51,"US","Texas"],
+        ["Resistencia",-27.45,-58.99,"AR","Chaco"],
+        ["Groznyy",43.31,45.7,"RU","Chechnya"],
+        ["Kherson",46.64,32.63,"UA","Khersonska Oblast"],
+        ["South Bend",41.68,-86.27,"US","Indiana"],
+        ["Braşov",45.67,25.62,"RO","Braşov"],
+        ["Atyraū",47.12,51.88,"KZ",""],
+        ["Batna",35.55,6.17,"DZ","Batna"],
+        ["Strasbourg",48.58,7.75,"FR","Grand Est"],
+        ["Morioka",39.7,141.15,"JP","Iwate"],
+        ["Iaşi",47.16,27.59,"RO","Iaşi"],
+        ["Tambov",52.72,41.43,"RU","Tambovskaya Oblast’"],
+        ["Ipswich",52.06,1.16,"GB","Suffolk"],
+        ["Hulin",45.77,132.96,"CN","Heilongjiang"],
+        ["Hong’an",47.21,123.61,"CN","Heilongjiang"],
+        ["Karīmnagar",18.44,79.13,"IN","Andhra Pradesh"],
+        ["Santa Maria",14.82,120.96,"PH","Bulacan"],
+        ["Rockford",42.26,-89.06,"US","Illinois"],
+        ["Savannah",32.03,-81.18,"US","Georgia"],
+        ["Dewās",22.96,76.06,"IN","Madhya Pradesh"],
+        ["Graz",47.07,15.44,"AT","Steiermark"],
+        ["Sonīpat",28.99,77.02,"IN","Haryāna"],
+        ["Güngören",41.02,28.87,"TR","İstanbul"],
+        ["Magway",20.15,94.95,"MM","Magway"],
+        ["Lincoln",40.81,-96.68,"US","Nebraska"],
+        ["Farg‘ona",40.39,71.79,"UZ","Farg‘ona"],
+        ["Sétif",36.19,5.41,"DZ","Sétif"],
+        ["Sonpur",25.7,85.18,"IN","Bihār"],
+        ["San Lorenzo",-25.34,-57.52,"PY","Central"],
+        ["Ichalkaranji",16.7,74.47,"IN","Mahārāshtra"],
+        ["Punto Fijo",11.72,-70.18,"VE","Falcón"],
+        ["Várzea Grande",-15.65,-56.13,"BR","Mato Grosso"],
+        ["Jersey City",40.72,-74.07,"US","New Jersey"],
+        ["Round Lake Beach",42.38,-88.08,"US","Illinois"],
+        ["Camaçari",-12.7,-38.32,"BR","Bahia"],
+        ["Meguro",35.64,139.7,"JP","Tōkyō"],
+        ["Ljubljana",46.05,14.51,"SI","Ljubljana"],
+        ["Sincelejo",9.3,-75.4,"CO","Sucre"],
+        ["Flint",43.02,-83.69,"US","Michigan"],
+        ["Sekondi",4.94,-1.7,"GH","Western"],
+        ["Tacna",-18.01,-70.25,"PE","Tacna"],
+        ["Tin Shui Wai",22.46,114,"HK",""],
+        ["Cascavel",-24.96,-53.46,"BR","Paraná"],
+        ["Shreveport",32.47,-93.8,"US","Louisiana"],
+        ["Al Qurnah",31.02,47.43,"IQ","Al Başrah"],
+        ["Korhogo",9.42,-5.62,"CI","Savanes"],
+        ["San Cristóbal",7.77,-72.23,"VE","Táchira"],
+        ["Bhatinda",30.23,74.95,"IN","Punjab"],
+        ["Kunp’o",37.35,126.95,"KR","Gyeonggi"],
+        ["Katowice",50.27,19.02,"PL","Śląskie"],
+        ["Jālna",19.84,75.89,"IN","Mahārāshtra"],
+        ["Bolton",53.58,-2.43,"GB","Bolton"],
+        ["San Pablo",14.07,121.33,"PH","Laguna"],
+        ["Suzano",-23.54,-46.31,"BR","São Paulo"],
+        ["Aarhus",56.16,10.21,"DK","Midtjylland"],
+        ["Ostrava",49.84,18.29,"CZ","Moravskoslezský Kraj"],
+        ["Huixquilucan",19.36,-99.35,"MX","México"],
+        ["Croix-des-Bouquets",18.58,-72.23,"HT","Ouest"],
+        ["San Juan Sacatepéquez",14.72,-90.64,"GT","Guatemala"],
+        ["Myeik",12.43,98.6,"MM","Tanintharyi"],
+        ["Fukushima",37.76,140.47,"JP","Fukushima"],
+        ["Coro",11.4,-69.68,"VE","Falcón"],
+        ["Bago",17.33,96.48,"MM","Bago"],
+        ["Delmas",18.55,-72.3,"HT","Ouest"],
+        ["Fuquan",26.7,107.51,"CN","Guizhou"],
+        ["Constanţa",44.17,28.63,"RO","Constanţa"],
+        ["Ibaraki",34.82,135.57,"JP","Ōsaka"],
+        ["Ihosy",-22.4,46.13,"MG","Fianarantsoa"],
+        ["Sannai",24.6,80.83,"IN","Madhya Pradesh"],
+        ["Huozhou",36.57,111.72,"CN","Shanxi"],
+        ["Temuco",-38.73,-72.67,"CL","Araucanía"],
+        ["Ica",-14.07,-75.73,"PE","Ica"],
+        ["Tongchuanshi",35.08,109.03,"CN","Shaanxi"],
+        ["Plano",33.05,-96.75,"US","Texas"],
+        ["Jining",41.03,113.08,"CN","Inner Mongolia"],
+        ["Chuncheon",37.87,127.73,"KR","Gangwon"],
+        ["Myrtle Beach",33.71,-78.88,"US","South Carolina"],
+        ["Governador Valadares",-18.85,-41.93,"BR","Minas Gerais"],
+        ["Malārd",35.67,50.98,"IR","Tehrān"],
+        ["Davenport",41.56,-90.61,"US","Iowa"],
+        ["Sterlitamak",53.63,55.95,"RU","Bashkortostan"],
+        ["Satna",24.6,80.83,"IN","Madhya Pradesh"],
+        ["Bukhara",39.77,64.43,"UZ","Buxoro"],
+        ["Ar Ruşayfah",32.02,36.05,"JO","Az Zarqā’"],
+        ["Santa Ana",14,-89.56,"SV","Santa Ana"],
+        ["Sumbe",-11.21,13.84,"AO","Cuanza-Sul"],
+        ["Mingaora",34.77,72.36,"PK","Khyber Pakhtunkhwa"],
+        ["Companiganj",22.88,91.28,"BD","Chattogram"],
+        ["Çorlu",41.15,27.8,"TR","Tekirdağ"],
+        ["Wiesbaden",50.08,8.24,"DE","Hesse"],
+        ["Lucena",13.93,121.62,"PH","Lucena"],
+        ["Mamuju",-2.68,118.9,"ID","Sulawesi Barat"],
+        ["Mau",25.94,83.56,"IN","Uttar Pradesh"],
+        ["Nizhnevartovsk",60.95,76.6,"RU","Khanty-Mansiyskiy Avtonomnyy Okrug-Yugra"],
+        ["Ciego de Ávila",21.85,-78.76,"CU","Ciego de Ávila"],
+        ["Long Xuyên",10.37,105.45,"VN","An Giang"],
+        ["Petrozavodsk",61.78,34.35,"RU","Kareliya"],
+        ["Gyeongsan",35.82,128.73,"KR","Gyeongbuk"],
+        ["Bārāsat",22.72,88.48,"IN","West Bengal"],
+        ["Pematangsiantar",2.96,99.06,"ID","Sumatera Utara"],
+        ["Shaowu",27.34,117.49,"CN","Fujian"],
+        ["Canton",40.81,-81.37,"US","Ohio"],
+        ["Maastricht",50.85,5.68,"NL","Limburg"],
+        ["Kostroma",57.77,40.93,"RU","Kostromskaya Oblast’"],
+        ["Việt Trì",21.3,105.43,"VN","Phú Thọ"],
+        ["Sunderland",54.91,-1.38,"GB","Sunderland"],
+        ["Gagnoa",6.13,-5.93,"CI","Gôh-Djiboua"],
+        ["Dire Dawa",9.6,41.87,"ET","Dirē Dawa"],
+        ["Lashkar Gāh",31.58,64.37,"AF","Helmand"],
+        ["Itagüí",6.17,-75.62,"CO","Antioquia"],
+        ["Cherkasy",49.44,32.06,"UA","Cherkaska Oblast"],
+        ["Gatineau",45.48,-75.65,"CA","Quebec"],
+        ["Windsor",42.28,-83,"CA","Ontario"],
+        ["Dinājpur",25.62,88.65,"BD","Rangpur"],
+        ["Posadas",-27.37,-55.9,"AR","Misiones"],
+        ["Tegal",-6.87,109.13,"ID","Jawa Tengah"],
+        ["Farrukhābād",27.39,79.58,"IN","Uttar Pradesh"],
+        ["Santa Clarita",34.42,-118.5,"US","California"],
+        ["Kunsan",35.98,126.72,"KR","Jeonbuk"],
+        ["Qarshi",38.87,65.8,"UZ","Qashqadaryo"],
+        ["Chula Vista",32.63,-117.01,"US","California"],
+        ["Saugor",23.83,78.71,"IN","Madhya Pradesh"],
+        ["Nassau",25.08,-77.34,"BS",""],
+        ["Khmelnytskyi",49.42,27,"UA","Khmelnytska Oblast"],
+        ["Volta Redonda",-22.52,-44.1,"BR","Rio de Janeiro"],
+        ["Eugene",44.06,-123.12,"US","Oregon"],
+        ["Ratlām",23.33,75.04,"IN","Madhya Pradesh"],
+        ["Crato",-7.46,-63.04,"BR","Amazonas"],
+        ["Yeosu",34.76,127.66,"KR","Jeonnam"],
+        ["Pasarkemis",-6.17,106.53,"ID","Jawa Barat"],
+        ["San Mateo",14.7,121.12,"PH","Rizal"],
+        ["Novorossiysk",44.72,37.75,"RU","Krasnodarskiy Kray"],
+        ["Tsu",34.72,136.51,"JP","Mie"],
+        ["Sfax",34.74,10.76,"TN","Sfax"],
+        ["Los Alcarrizos",18.52,-70.02,"DO","Ozama"],
+        ["Soubré",5.78,-6.6,"CI","Bas-Sassandra"],
+        ["Palmas",-10.18,-48.33,"BR","Tocantins"],
+        ["Székesfehérvár",47.2,18.41,"HU","Fejér"],
+        ["Chandler",33.28,-111.85,"US","Arizona"],
+        ["Majene",-3.54,118.97,"ID","Sulawesi Barat"],
+        ["Sorong",-0.87,131.25,"ID","Papua Barat"],
+        ["Gabela",-10.85,14.37,"AO","Cuanza-Sul"],
+        ["Dayr az Zawr",35.33,40.15,"SY","Dayr az Zawr"],
+        ["Sakarya",40.78,30.4,"TR","Sakarya"],
+        ["Sartā",36.45,53.32,"IR","Māzandarān"],
+        ["Santo Domingo de los Colorados",-0.25,-79.17,"EC","Santo Domingo de los Tsáchilas"],
+        ["Sumida",35.71,139.8,"JP","Tōkyō"],
+        ["Mỹ Tho",10.35,106.35,"VN","Tiền Giang"],
+        ["Nguru",12.88,10.45,"NG","Yobe"],
+        ["Arnavutköy",41.19,28.74,"TR","İstanbul"],
+        ["Mito",36.37,140.47,"JP","Ibaraki"],
+        ["Gombe",10.29,11.17,"NG","Gombe"],
+        ["Bijiao",22.93,113.2,"CN","Guangdong"],
+        ["Craiova",44.33,23.82,"RO","Dolj"],
+        ["Handwāra",34.4,74.28,"IN","Jammu and Kashmīr"],
+        ["Binjai",3.6,98.48,"ID","Sumatera Utara"],
+        ["Gijón",43.53,-5.7,"ES","Asturias"],
+        ["Kunduz",36.73,68.87,"AF","Kunduz"],
+        ["Drug",21.19,81.28,"IN","Chhattīsgarh"],
+        ["Salem",44.92,-123.02,"US","Oregon"],
+        ["Brāhmanbāria",23.97,91.11,"BD","Chattogram"],
+        ["Thái Bình",20.45,106.34,"VN","Thái Bình"],
+        ["İnegöl",40.08,29.51,"TR","Bursa"],
+        ["Ichihara",35.5,140.12,"JP","Chiba"],
+        ["Tarija",-21.53,-64.73,"BO","Tarija"],
+        ["Plymouth",50.37,-4.14,"GB","Plymouth"],
+        ["Aswān",24.09,32.9,"EG","Aswān"],
+        ["Bimo",4.26,18.4,"CF","Ombella-Mpoko"],
+        ["Maradi",13.48,7.1,"NE","Maradi"],
+        ["Xiangkhoang",19.42,103.5,"LA","Xiangkhouang"],
+        ["Floridablanca",7.22,-73.07,"CO","Santander"],
+        ["Anantapur",14.68,77.6,"IN","Andhra Pradesh"],
+        ["Bergen",60.39,5.33,"NO","Vestland"],
+        ["Marabá",-5.35,-49.12,"BR","Pará"],
+        ["Kütahya",39.42,29.98,"TR","Kütahya"],
+        ["Yoshkar-Ola",56.63,47.9,"RU","Mariy-El"],
+        ["Chernivtsi",48.3,25.93,"UA","Chernivetska Oblast"],
+        ["Sumaré",-22.82,-47.27,"BR","São Paulo"],
+        ["Nagaoka",37.45,138.85,"JP","Niigata"],
+        ["Djelfa",34.67,3.25,"DZ","Djelfa"],
+        ["Sumy",50.92,34.75,"UA","Sumska Oblast"],
+        ["Suncheon",34.95,127.49,"KR","Jeonnam"],
+        ["Nalchik",43.48,43.62,"RU","Kabardino-Balkariya"],
+        ["Gent",51.05,3.73,"BE","Flanders"],
+        ["Feni",23.02,91.41,"BD","Chattogram"],
+        ["Engels",51.5,46.12,"RU","Saratovskaya Oblast’"],
+        ["Imphāl",24.81,93.94,"IN","Manipur"],
+        ["Yao",34.63,135.6,"JP","Nara"],
+        ["Nogales",31.18,-111,"MX","Sonora"],
+        ["Ed Daein",11.46,26.13,"SD","East Darfur"],
+        ["Dezfūl",32.38,48.4,"IR","Khūzestān"],
+        ["Concord",35.39,-80.64,"US","North Carolina"],
+        ["Zhytomyr",50.25,28.67,"UA","Zhytomyrska Oblast"],
+        ["Potosí",-19.59,-65.75,"BO","Potosí"],
+        ["Osmaniye",37.08,36.25,"TR","Osmaniye"],
+        ["São José dos Pinhais",-25.53,-49.21,"BR","Paraná"],
+        ["Kyŏngju",35.85,129.22,"KR","Gyeongbuk"],
+        ["Dumai",1.67,101.45,"ID","Riau"],
+        ["Tāluqān",36.72,69.52,"AF","Takhār"],
+        ["Luque",-25.27,-57.49,"PY","Central"],
+        ["Jalālābād",34.43,70.45,"AF","Nangarhār"],
+        ["El Fasher",13.63,25.35,"SD","North Darfur"],
+        ["Nawabshah",26.24,68.41,"PK","Sindh"],
+        ["Fuchū",35.67,139.48,"JP","Tōkyō"],
+        ["Talisay",10.25,123.83,"PH","Cebu"],
+        ["Tchibota",-4.18,11.37,"CG","Kouilou"],
+        ["Kafr ad Dawwār",31.13,30.13,"EG","Al Buḩayrah"],
+        ["Quilmes",-34.72,-58.27,"AR","Buenos Aires"],
+        ["Barueri",-23.51,-46.88,"BR","São Paulo"],
+        ["Gilbert",33.31,-111.75,"US","Arizona"],
+        ["Columbus",32.51,-84.88,"US","Georgia"],
+        ["Wollongong",-34.43,150.88,"AU","New South Wales"],
+        ["Fukui",36.06,136.22,"JP","Fukui"],
+        ["Arrah",25.55,84.66,"IN","Bihār"],
+        ["Venice",45.44,12.33,"IT","Veneto"],
+        ["Malolos",14.84,120.81,"PH","Bulacan"],
+        ["Heroica Nogales",31.32,-110.95,"MX","Sonora"],
+        ["Mönchengladbach",51.2,6.43,"DE","North Rhine-Westphalia"],
+        ["Bordeaux",44.84,-0.58,"FR","Nouvelle-Aquitaine"],
+        ["Oumé",6.38,-5.42,"CI","Gôh-Djiboua"],
+        ["Ciudad Benito Juárez",25.65,-100.08,"MX","Nuevo León"],
+        ["Kakogawachō-honmachi",34.75,134.83,"JP","Hyōgo"],
+        ["Minato",35.66,139.75,"JP","Tōkyō"],
+        ["Aguadilla",18.44,-67.15,"PR","Puerto Rico"],
+        ["Boksburg",-26.21,28.26,"ZA","Gauteng"],
+        ["Olongapo",14.83,120.28,"PH","Olongapo"],
+        ["Quảng Ngãi",15.12,108.8,"VN","Quảng Ngãi"],
+        ["Gelsenkirchen",51.52,7.1,"DE","North Rhine-Westphalia"],
+        ["Al Ḩamzah",31.73,45.01,"IQ","Al Qādisīyah"],
+        ["Lubbock",33.57,-101.89,"US","Texas"],
+        ["Mossoró",-5.19,-37.34,"BR","Rio Grande do Norte"],
+        ["North Las Vegas",36.29,-115.09,"US","Nevada"],
+        ["Kotri",25.37,68.31,"PK","Sindh"],
+        ["Mişrātah",32.38,15.09,"LY","Mişrātah"],
+        ["Singa",13.15,33.93,"SD","Sennar"],
+        ["Isparta",37.76,30.56,"TR","Isparta"],
+        ["Siverek",37.75,39.32,"TR","Şanlıurfa"],
+        ["St. Petersburg",27.79,-82.67,"US","Florida"],
+        ["Ndulo",-11.48,15.83,"AO","Huambo"],
+        ["Huayin",34.57,110.09,"CN","Shaanxi"],
+        ["Hiratsuka",35.32,139.35,"JP","Kanagawa"],
+        ["Tallahassee",30.46,-84.25,"US","Florida"],
+        ["Rāniyah",36.26,44.88,"IQ","As Sulaymānīyah"],
+        ["Annaba",36.9,7.77,"DZ","Annaba"],
+        ["Verona",45.44,10.99,"IT","Veneto"],
+        ["Antsirabe",-19.87,47.03,"MG","Antananarivo"],
+        ["Ondo",7.08,4.83,"NG","Ondo"],
+        ["Etāwah",26.77,79.03,"IN","Uttar Pradesh"],
+        ["Siddhirganj",23.68,90.52,"BD","Dhaka"],
+        ["Laredo",27.56,-99.49,"US","Texas"],
+        ["Horlivka",48.33,38.09,"UA","Donetska Oblast"],
+        ["Indaiatuba",-23.09,-47.22,"BR","São Paulo"],
+        ["Bloemfontein",-29.12,26.22,"ZA","Free State"],
+        ["Foz do Iguaçu",-25.54,-54.59,"BR","Paraná"],
+        ["Ấp Đa Lợi",11.93,108.47,"VN","Lâm Đồng"],
+        ["Malkājgiri",17.45,78.54,"IN","Andhra Pradesh"],
+        ["Damaturu",11.74,11.96,"NG","Yobe"],
+        ["Germiston",-26.22,28.17,"ZA","Gauteng"],
+        ["Peoria",40.75,-89.62,"US","Illinois"],
+        ["Nonthaburi",13.87,100.52,"TH","Nonthaburi"],
+        ["Gravataí",-29.93,-50.98,"BR","Rio Grande do Sul"],
+        ["Tuzla",40.82,29.3,"TR","İstanbul"],
+        ["Derby",52.92,-1.48,"GB","Derby"],
+        ["Westminster",51.49,-0.14,"GB","Westminster"],
+        ["Kuala Terengganu",5.33,103.14,"MY","Terengganu"],
+        ["San Pedro Carchá",15.48,-90.31,"GT","Alta Verapaz"],
+        ["Moçâmedes",-15.2,12.15,"AO","Namibe"],
+        ["Turmero",10.23,-67.48,"VE","Aragua"],
+        ["Avondale",33.39,-112.32,"US","Arizona"],
+        ["Tokushima",34.07,134.55,"JP","Tokushima"],
+        ["São Carlos",-22,-47.89,"BR","São Paulo"],
+        ["Marilao",14.76,120.95,"PH","Bulacan"],
+        ["Lafayette",30.21,-92.03,"US","Louisiana"],
+        ["Irving",32.86,-96.97,"US","Texas"],
+        ["Khimki",55.89,37.45,"RU","Moskva"],
+        ["Sab‘ al Būr",33.46,44.15,"IQ","Baghdād"],
+        ["Ash Shaţrah",31.41,46.17,"IQ","Dhī Qār"],
+        ["Fort-de-France",14.6,-61.07,"MQ",""],
+        ["Mawlamyine",16.48,97.63,"MM","Mon State"],
+        ["Montgomery",32.35,-86.27,"US","Alabama"],
+        ["Vitoria-Gasteiz",42.85,-2.68,"ES","Basque Country"],
+        ["Godomè",6.37,2.35,"BJ","Atlantique"],
+        ["Shinozaki",33.95,130.93,"JP","Fukuoka"],
+        ["El Geneina",13.45,22.45,"SD","West Darfur"],
+        ["Gadda Madiral",18.75,79.51,"IN","Andhra Pradesh"],
+        ["Kızıltepe",37.19,40.59,"TR","Mardin"],
+        ["Jhenida",23.54,89.18,"BD","Khulna"],
+        ["Turku",60.45,22.27,"FI","Varsinais-Suomi"],
+        ["Bharatpur",27.22,77.48,"IN","Rājasthān"],
+        ["Uşak",38.68,29.4,"TR","Uşak"],
+        ["Begusarai",25.42,86.13,"IN","Bihār"],
+        ["Kediri",-7.81,112,"ID","Jawa Timur"],
+        ["Kanggye",40.97,126.6,"KP","Chagang"],
+        ["Hakodate",41.77,140.73,"JP","Hokkaidō"],
+        ["Chiayi",23.48,120.45,"TW","Chiayi"],
+        ["Çekme",41.04,29.18,"TR","İstanbul"],
+        ["Tacloban",11.24,125,"PH","Tacloban"],
+        ["Jūnāgarh",19.86,82.93,"IN","Chhattīsgarh"],
+        ["Sōka",35.83,139.81,"JP","Saitama"],
+        ["Higüey",18.62,-68.7,"DO","Yuma"],
+        ["Los Teques",10.34,-67.04,"VE","Miranda"],
+        ["Jinshi",29.63,111.87,"CN","Hunan"],
+        ["Wolverhampton",52.58,-2.13,"GB","Wolverhampton"],
+        ["Pointe-à-Pitre",16.24,-61.53,"GP",""],
+        ["Bata",1.87,9.77,"GQ","Litoral"],
+        ["Rạch Giá",10.02,105.08,"VN","Kiến Giang"],
+        ["Iwo",7.63,4.18,"NG","Osun"],
+        ["Taganrog",47.22,38.92,"RU","Rostovskaya Oblast’"],
+        ["Bābol",36.55,52.68,"IR","Māzandarān"],
+        ["São José",-27.6,-48.62,"BR","Santa Catarina"],
+        ["La Paz",24.14,-110.31,"MX","Baja California Sur"],
+        ["Arua",3.04,30.91,"UG","Arua"],
+        ["Natogyi",21.42,95.65,"MM","Mandalay"],
+        ["Kalār",34.63,45.32,"IQ","As Sulaymānīyah"],
+        ["Al Bayḑā’",32.77,21.74,"LY","Al Jabal al Akhḑar"],
+        ["Yanbu",24.09,38.06,"SA","Al Madīnah al Munawwarah"],
+        ["Kurmuk",10.55,34.28,"SD","Blue Nile"],
+        ["New Delhi",28.61,77.21,"IN","Delhi"],
+        ["Juazeiro do Norte",-7.2,-39.33,"BR","Ceará"],
+        ["Las Condes",-33.41,-70.55,"CL","Región Metropolitana"],
+        ["Goma",-1.68,29.23,"CD","Nord-Kivu"],
+        ["Rishon LeẔiyyon",31.95,34.8,"IL","Central"],
+        ["Komsomol’sk-na-Amure",50.57,137,"RU","Khabarovskiy Kray"],
+        ["Visalia",36.33,-119.33,"US","California"],
+        ["Campeche",19.85,-90.53,"MX","Campeche"],
+        ["Manzhouli",49.59,117.45,"CN","Inner Mongolia"],
+        ["Tiruvottiyūr",13.16,80.3,"IN","Tamil Nādu"],
+        ["Palangkaraya",-2.21,113.92,"ID","Kalimantan Tengah"],
+        ["Galaţi",45.42,28.04,"RO","Galaţi"],
+        ["Rāmnagar",27.17,84.32,"IN","Bihār"],
+        ["Aachen",50.78,6.08,"DE","North Rhine-Westphalia"],
+        ["Carmen",18.42,-91.63,"MX","Campeche"],
+        ["McKinney",33.2,-96.67,"US","Texas"],
+        ["Braunschweig",52.27,10.52,"DE","Lower Saxony"],
+        ["Gāndhīdhām",23.08,70.13,"IN","Gujarāt"],
+        ["Banikoara",11.3,2.43,"BJ","Alibori"],
+        ["Chemnitz",50.83,12.92,"DE","Saxony"],
+        ["Sibu",2.3,111.82,"MY","Sarawak"],
+        ["Qā’em Shahr",36.46,52.86,"IR","Māzandarān"],
+        ["Paraná",-31.73,-60.53,"AR","Entre Ríos"],
+        ["Büyükçekmece",41.02,28.58,"TR","İstanbul"],
+        ["Sahiwal",30.66,73.11,"PK","Punjab"],
+        ["Gdynia",54.5,18.53,"PL","Pomorskie"],
+        ["Navotas",14.67,120.94,"PH","Navotas"],
+        ["Imperatriz",-5.53,-47.48,"BR","Maranhão"],
+        ["Santa Clara",22.41,-79.96,"CU","Villa Clara"],
+        ["Wilmington",34.21,-77.89,"US","North Carolina"],
+        ["Yamagata",38.26,140.34,"JP","Yamagata"],
+        ["Chesapeake",36.68,-76.3,"US","Virginia"],
+        ["Khomeynī Shahr",32.7,51.52,"IR","Eşfahān"],
+        ["Beykoz",41.13,29.09,"TR","İstanbul"],
+        ["Tsukuba-kenkyūgakuen-toshi",36.08,140.08,"JP","Ibaraki"],
+        ["Kiel",54.32,10.14,"DE","Schleswig-Holstein"],
+        ["Rivne",50.62,26.25,"UA","Rivnenska Oblast"],
+        ["Oruro",-17.98,-67.13,"BO","Oruro"],
+        ["Saskatoon",52.13,-106.68,"CA","Saskatchewan"],
+        ["Győr",47.68,17.63,"HU","Győr-Moson-Sopron"],
+        ["Mahajanga",-15.72,46.32,"MG","Mahajanga"],
+        ["Mount Lavinia",6.87,79.88,"LK","Western"],
+        ["Krishnarājpur",13.01,77.7,"IN","Karnātaka"],
+        ["Hafizabad",32.07,73.69,"PK","Punjab"],
+        ["Glendale",33.58,-112.23,"US","Arizona"],
+        ["Nelamangala",13.1,77.37,"IN","Karnātaka"],
+        ["Beichengqu",40.43,113.16,"CN","Inner Mongolia"],
+        ["Abertawe",51.62,-3.95,"GB","Swansea"],
+        ["A Coruña",43.37,-8.38,"ES","Galicia"],
+        ["Syktyvkar",61.67,50.82,"RU","Komi"],
+        ["Barnsley",53.55,-1.48,"GB","Barnsley"],
+        ["Garland",32.91,-96.63,"US","Texas"],
+        ["Long Khánh",10.92,107.17,"VN","Đồng Nai"],
+        ["Singrauliya",24.11,82.39,"IN","Madhya Pradesh"],
+        ["Puducherry",11.92,79.82,"IN","Puducherry"],
+        ["Americana",-22.74,-47.33,"BR","São Paulo"],
+        ["Merlo",-34.67,-58.73,"AR","Buenos Aires"],
+        ["Damanhūr",31.04,30.47,"EG","Al Buḩayrah"],
+        ["Kabinda",-6.13,24.48,"CD","Lomami"],
+        ["Jessore",23.17,89.2,"BD","Khulna"],
+        ["Kesbewa",6.8,79.94,"LK","Western"],
+        ["Fuji",35.16,138.68,"JP","Shizuoka"],
+        ["Sabzevār",36.21,57.68,"IR","Khorāsān-e Raẕavī"],
+        ["Santa Maria",-29.68,-53.8,"BR","Rio Grande do Sul"],
+        ["Tanga",-5.07,39.1,"TZ","Tanga"],
+        ["Bahir Dar",11.6,37.38,"ET","Āmara"],
+        ["Myitkyina",25.38,97.4,"MM","Kachin State"],
+        ["Rāmgundam",18.76,79.47,"IN","Andhra Pradesh"],
+        ["Tuy Hòa",13.08,109.3,"VN","Phú Yên"],
+        ["Sakākā",29.97,40.2,"SA","Al Jawf"],
+        ["Sasebo",33.18,129.72,"JP","Nagasaki"],
+        ["Sapele",5.83,5.65,"NG","Delta"],
+        ["Birāṭnagar",26.45,87.28,"NP","Province Number One"],
+        ["Pandharpur",17.68,75.33,"IN","Mahārāshtra"],
+        ["Qyzylorda",44.85,65.52,"KZ",""],
+        ["Chigasaki",35.33,139.4,"JP","Kanagawa"],
+        ["Zhangping",25.29,117.41,"CN","Fujian"],
+        ["Man",7.4,-7.55,"CI","Montagnes"],
+        ["Bānchpār",23.2,90.8,"BD","Chattogram"],
+        ["Dagana",16.48,-15.6,"SN","Saint-Louis"],
+        ["Haeju",38.03,125.72,"KP","Hwangnam"],
+        ["Diaobingshancun",42.44,123.54,"CN","Liaoning"],
+        ["Kennewick",46.2,-119.17,"US","Washington"],
+        ["Masaurhi Buzurg",25.35,85.02,"IN","Bihār"],
+        ["Winter Haven",28.01,-81.7,"US","Florida"],
+        ["Baruta",10.43,-66.87,"VE","Miranda"],
+        ["Düzce",40.84,31.16,"TR","Düzce"],
+        ["Marília",-22.21,-49.95,"BR","São Paulo"],
+        ["Katihār",25.53,87.58,"IN","Bihār"],
+        ["Tarapoto",-6.48,-76.37,"PE","San Martín"],
+        ["Atushi",39.72,76.17,"CN","Xinjiang"],
+        ["Chōfugaoka",35.65,139.54,"JP","Tōkyō"],
+        ["Abī al Khaşīb",30.44,47.97,"IQ","Al Başrah"],
+        ["Anju",39.62,125.66,"KP","P’yŏngnam"],
+        ["Bunkyō-ku",35.71,139.75,"JP","Tōkyō"],
+        ["Bạc Liêu",9.28,105.72,"VN","Bạc Liêu"],
+        ["Byatarayanpur",13.07,77.59,"IN","Karnātaka"],
+        ["Longueuil",45.53,-73.52,"CA","Quebec"],
+        ["Mokpo",34.76,126.38,"KR","Jeonnam"],
+        ["Ipatinga",-19.5,-42.53,"BR","Minas Gerais"],
+        ["Viamão",-30.08,-51.02,"BR","Rio Grande do Sul"],
+        ["Yato",35.48,139.45,"JP","Kanagawa"],
+        ["Matsumoto",36.24,137.97,"JP","Nagano"],
+        ["Szeged",46.26,20.15,"HU","Csongrád-Csanád"],
+        ["Chimoio",-19.12,33.45,"MZ","Manica"],
+        ["Novo Hamburgo",-29.68,-51.13,"BR","Rio Grande do Sul"],
+        ["Scottsdale",33.69,-111.87,"US","Arizona"],
+        ["Košice",48.72,21.25,"SK","Košice"],
+        ["Norfolk",36.89,-76.26,"US","Virginia"],
+        ["Āmol",36.47,52.35,"IR","Māzandarān"],
+        ["Killeen",31.08,-97.73,"US","Texas"],
+        ["Ivano-Frankivsk",48.92,24.71,"UA","Ivano-Frankivska Oblast"],
+        ["González Catán",-34.77,-58.62,"AR","Buenos Aires"],
+        ["Halle",51.48,11.97,"DE","Saxony-Anhalt"],
+        ["Nyíregyháza",47.95,21.73,"HU","Szabolcs-Szatmár-Bereg"],
+        ["Wuyishan",27.76,118.03,"CN","Fujian"],
+        ["Shenmu",38.83,110.5,"CN","Shaanxi"],
+        ["Tuticorin",8.76,78.13,"IN","Tamil Nādu"],
+        ["As Sīb",23.67,58.19,"OM","Masqaţ"],
+        ["Gangānagar",29.92,73.88,"IN","Rājasthān"],
+        ["Stavanger",58.97,5.73,"NO","Rogaland"],
+        ["Sandnes",58.85,5.74,"NO","Rogaland"],
+        ["Nizhnekamsk",55.63,51.82,"RU","Tatarstan"],
+        ["Monclova",26.91,-101.42,"MX","Coahuila"],
+        ["Taiping",4.85,100.73,"MY","Perak"],
+        ["Pathein",16.78,94.74,"MM","Ayeyarwady"],
+        ["Chishui",28.59,105.69,"CN","Guizhou"],
+        ["Djougou",9.7,1.67,"BJ","Donga"],
+        ["Mirpur Khas",25.53,69.01,"PK","Sindh"],
+        ["North Hempstead",40.79,-73.67,"US","New York"],
+        ["York",39.97,-76.73,"US","Pennsylvania"],
+        ["P’yŏng-dong",39.25,125.85,"KP","P’yŏngyang"],
+        ["Centurion",-25.86,28.19,"ZA","Gauteng"],
+        ["Rewa",24.53,81.3,"IN","Madhya Pradesh"],
+        ["Pākdasht",35.48,51.68,"IR","Tehrān"],
+        ["Atlantic City",39.38,-74.45,"US","New Jersey"],
+        ["Magdeburg",52.13,11.64,"DE","Saxony-Anhalt"],
+        ["Petaẖ Tiqwa",32.09,34.89,"IL","Central"],
+        ["Abhā",18.22,42.51,"SA","‘Asīr"],
+        ["Springs",-26.25,28.44,"ZA","Gauteng"],
+        ["Al Minyā",28.12,30.74,"EG","Al Minyā"],
+        ["Nashua",42.75,-71.49,"US","New Hampshire"],
+        ["Central District",22.29,114.16,"HK",""],
+        ["Arlington",38.88,-77.1,"US","Virginia"],
+        ["Brownsville",26,-97.46,"US","Texas"],
+        ["Eindhoven",51.43,5.48,"NL","Noord-Brabant"],
+        ["Zinder",13.81,8.99,"NE","Zinder"],
+        ["Bole",44.85,82.05,"CN","Xinjiang"],
+        ["Elche",38.27,-0.7,"ES","Valencia"],
+        ["Shakhty",47.7,40.23,"RU","Rostovskaya Oblast’"],
+        ["Ganda",-13.09,14.74,"AO","Benguela"],
+        ["Jacareí",-23.31,-45.97,"BR","São Paulo"],
+        ["Uluberiya",22.47,88.11,"IN","West Bengal"],
+        ["Bulandshahr",28.41,77.85,"IN","Uttar Pradesh"],
+        ["Banda Aceh",5.55,95.32,"ID","Aceh"],
+        ["Najafābād",32.63,51.37,"IR","Eşfahān"],
+        ["Shibuya-ku",35.66,139.7,"JP","Tōkyō"],
+        ["Bayamo",20.38,-76.64,"CU","Granma"],
+        ["Kamianske",48.52,34.62,"UA","Dnipropetrovska Oblast"],
+        ["Limassol",34.67,33.04,"CY","Lemesós"],
+        ["Borūjerd",33.9,48.9,"IR","Lorestān"],
+        ["Ibb",13.98,44.17,"YE","Ibb"],
+        ["Macaé",-22.37,-41.79,"BR","Rio de Janeiro"],
+        ["Longquan",28.07,119.13,"CN","Zhejiang"],
+        ["Miri",4.39,113.99,"MY","Sarawak"],
+        ["Lille",50.63,3.06,"FR","Hauts-de-France"],
+        ["Singaraja",-8.12,115.08,"ID","Bali"],
+        ["Kasulu",-4.58,30.1,"TZ","Kigoma"],
+        ["Messina",38.19,15.55,"IT","Sicilia"],
+        ["Oral",51.22,51.37,"KZ",""],
+        ["Formosa",-26.18,-58.18,"AR","Formosa"],
+        ["Bo",7.96,-11.74,"SL","Southern"],
+        ["Mambéré",5.5,15.5,"CF","Nana-Mambéré"],
+        ["Damboa",11.15,12.75,"NG","Borno"],
+        ["Groningen",53.22,6.57,"NL","Groningen"],
+        ["Arapiraca",-9.75,-36.66,"BR","Alagoas"],
+        ["San Cristóbal",18.42,-70.11,"DO","Valdesia"],
+        ["Burnaby",49.27,-122.97,"CA","British Columbia"],
+        ["Cannanore",11.87,75.36,"IN","Kerala"],
+        ["Rāichūr",16.2,77.37,"IN","Karnātaka"],
+        ["Okara",30.81,73.45,"PK","Punjab"],
+        ["Saga",33.27,130.3,"JP","Saga"],
+        ["Saidpur",25.8,89,"BD","Rangpur"],
+        ["Nazipur",25.04,88.76,"BD","Rājshāhi"],
+        ["Jiayuguan",39.81,98.29,"CN","Gansu"],
+        ["Freiburg im Breisgau",48,7.85,"DE","Baden-Württemberg"],
+        ["Dzerzhinsk",56.23,43.45,"RU","Nizhegorodskaya Oblast’"],
+        ["Granada",37.18,-3.6,"ES","Andalusia"],
+        ["Gaborone",-24.66,25.91,"BW","Gaborone"],
+        ["Bratsk",56.12,101.6,"RU","Irkutskaya Oblast’"],
+        ["Fremont",37.53,-121.98,"US","California"],
+        ["Gulfport",30.43,-89.07,"US","Mississippi"],
+        ["Rancagua",-34.17,-70.75,"CL","Libertador General Bernardo O’Higgins"],
+        ["Phú Yên",21.42,105.87,"VN","Thái Nguyên"],
+        ["Machala",-3.27,-79.97,"EC","El Oro"],
+        ["Neuquén",-38.95,-68.06,"AR","Neuquén"],
+        ["Qarchak",35.44,51.57,"IR","Tehrān"],
+        ["Ormoc",11.01,124.61,"PH","Ormoc"],
+        ["Fresnillo",23.18,-102.87,"MX","Zacatecas"],
+        ["Eloy Alfaro",-2.17,-79.83,"EC","Guayas"],
+        ["Manavgat",36.78,31.43,"TR","Antalya"],
+        ["Sơn Tây",21.13,105.5,"VN","Hà Nội"],
+        ["Orsk",51.2,58.57,"RU","Orenburgskaya Oblast’"],
+        ["Singkawang",0.9,108.98,"ID","Kalimantan Barat"],
+        ["Purwokerto",-7.43,109.24,"ID","Jawa Tengah"],
+        ["Barishal",22.7,90.37,"BD","Barishal"],
+        ["Pāli",25.77,73.33,"IN","Rājasthān"],
+        ["Songadh",21.17,73.56,"IN","Gujarāt"],
+        ["Noginsk",64.48,91.23,"RU","Krasnoyarskiy Kray"],
+        ["Cotia",-23.6,-46.92,"BR","São Paulo"],
+        ["Ordu",40.98,37.88,"TR","Ordu"],
+        ["Kasukabe",35.98,139.75,"JP","Saitama"],
+        ["Bojnūrd",37.48,57.33,"IR","Khorāsān-e Shomālī"],
+        ["Rondonópolis",-16.47,-54.63,"BR","Mato Grosso"],
+        ["Envigado",6.17,-75.57,"CO","Antioquia"],
+        ["Haridwār",29.95,78.16,"IN","Uttarākhand"],
+        ["Vizianagaram",18.12,83.41,"IN","Andhra Pradesh"],
+        ["Cobán",15.48,-90.37,"GT","Alta Verapaz"],
+        ["Khénifra",32.94,-5.67,"MA","Béni Mellal-Khénifra"],
+        ["Guantánamo",20.14,-75.21,"CU","Guantánamo"],
+        ["Şabyā",17.15,42.63,"SA","Jāzān"],
+        ["Pāthardi",19.17,75.18,"IN","Mahārāshtra"],
+        ["Neya",34.77,135.63,"JP","Ōsaka"],
+        ["Ninh Hòa",12.49,109.13,"VN","Khánh Hòa"],
+        ["Choloma",15.61,-87.95,"HN","Cortés"],
+        ["Kropyvnytskyi",48.5,32.27,"UA","Kirovohradska Oblast"],
+        ["Magé",-22.65,-43.04,"BR","Rio de Janeiro"],
+        ["Khatīma",28.92,79.97,"IN","Uttarākhand"],
+        ["Daşoguz",41.83,59.97,"TM","Daşoguz"],
+        ["Khanewal",30.3,71.93,"PK","Punjab"],
+        ["Krefeld",51.33,6.57,"DE","North Rhine-Westphalia"],
+        ["Petlād",22.47,72.8,"IN","Gujarāt"],
+        ["Evansville",37.99,-87.53,"US","Indiana"],
+        ["Ageoshimo",35.98,139.59,"JP","Saitama"],
+        ["Araraquara",-21.79,-48.18,"BR","São Paulo"],
+        ["Angarsk",52.55,103.9,"RU","Irkutskaya Oblast’"],
+        ["Kolpino",59.73,30.6,"RU","Sankt-Peterburg"],
+        ["Mubi",10.26,13.26,"NG","Adamawa"],
+        ["Meycauayan",14.73,120.95,"PH","Bulacan"],
+        ["Varāmīn",35.32,51.65,"IR","Tehrān"],
+        ["Padangsidempuan",1.38,99.27,"ID","Sumatera Utara"],
+        ["Hunchun",42.87,130.36,"CN","Jilin"],
+        ["Ternopil",49.57,25.6,"UA","Ternopilska Oblast"],
+        ["Nyanza",-2.35,29.73,"RW","Southern Province"],
+        ["Nadiād",22.69,72.86,"IN","Gujarāt"],
+        ["Toamasina",-18.15,49.42,"MG","Toamasina"],
+        ["Quetzaltenango",14.83,-91.52,"GT","Quetzaltenango"],
+        ["Mutare",-18.97,32.63,"ZW","Manicaland"],
+        ["Cikupa",-6.49,106.65,"ID","Jawa Barat"],
+        ["Chuādānga",23.64,88.86,"BD","Khulna"],
+        ["Carlos Manuel de Céspedes",21.58,-78.28,"CU","Camagüey"],
+        ["Blagoveshchensk",50.26,127.54,"RU","Amurskaya Oblast’"],
+        ["Hialeah",25.87,-80.3,"US","Florida"],
+        ["Puerto Vallarta",20.65,-105.22,"MX","Jalisco"],
+        ["Capiatá",-25.35,-57.42,"PY","Central"],
+        ["Tarrasa",41.56,2.01,"ES","Catalonia"],
+        ["Takarazuka",34.81,135.34,"JP","Hyōgo"],
+        ["Chapecó",-27.1,-52.62,"BR","Santa Catarina"],
+        ["Navarre",30.42,-86.89,"US","Florida"],
+        ["Banfield",-34.75,-58.38,"AR","Buenos Aires"],
+        ["Toluca",19.29,-99.66,"MX","México"],
+        ["Atsugichō",35.43,139.37,"JP","Kanagawa"],
+        ["Paramaribo",5.85,-55.2,"SR","Paramaribo"],
+        ["Cox’s Bāzār",21.43,92.01,"BD","Chattogram"],
+        ["Badalona",41.43,2.23,"ES","Catalonia"],
+        ["Bandar-e Būshehr",28.93,50.85,"IR","Būshehr"],
+        ["Itapevi",-23.55,-46.93,"BR","São Paulo"],
+        ["Staryy Oskol",51.3,37.84,"RU","Belgorodskaya Oblast’"],
+        ["Częstochowa",50.8,19.12,"PL","Śląskie"],
+        ["Probolinggo",-7.75,113.22,"ID","Jawa Timur"],
+        ["Tanjore",10.79,79.14,"IN","Tamil Nādu"],
+        ["Ji’an Shi",41.12,126.18,"CN","Jilin"],
+        ["Bel Air South",39.5,-76.31,"US","Maryland"],
+        ["Ōta",36.29,139.38,"JP","Gunma"],
+        ["Hachinohe",40.51,141.49,"JP","Aomori"],
+        ["Tiptūr",13.26,76.48,"IN","Karnātaka"],
+        ["Ijebu-Ode",6.82,3.92,"NG","Ogun"],
+        ["Velikiy Novgorod",58.52,31.28,"RU","Novgorodskaya Oblast’"],
+        ["Barra do Dande",-8.47,13.37,"AO","Bengo"],
+        ["Sandton",-26.11,28.05,"ZA","Gauteng"],
+        ["Beji",-6.37,106.82,"ID","Jawa Barat"],
+        ["Hobart",-42.88,147.32,"AU","Tasmania"],
+        ["Cork",51.9,-8.47,"IE","Cork"],
+        ["Dili",-8.55,125.58,"TL","Díli"],
+        ["Swindon",51.56,-1.78,"GB","Swindon"],
+        ["Presidente Prudente",-22.13,-51.39,"BR","São Paulo"],
+        ["Kichha",28.92,79.5,"IN","Uttarākhand"],
+        ["Tilburg",51.55,5.08,"NL","Noord-Brabant"],
+        ["Longjin",22.87,113.07,"CN","Guangdong"],
+        ["Katri",23.48,80.4,"IN","Madhya Pradesh"],
+        ["Korolëv",55.92,37.82,"RU","Moskovskaya Oblast’"],
+        ["Guéckédou",8.57,-10.13,"GN","N’Zérékoré"],
+        ["Neyshābūr",36.22,58.82,"IR","Khorāsān-e Raẕavī"],
+        ["North Port",27.06,-82.2,"US","Florida"],
+        ["Sousse",35.83,10.63,"TN","Sousse"],
+        ["Tchaourou",8.88,2.6,"BJ","Borgou"],
+        ["Rufisque",14.72,-17.27,"SN","Dakar"],
+        ["Duekoué",6.73,-7.35,"CI","Montagnes"],
+        ["San Bernardino",34.14,-117.29,"US","California"],
+        ["Sambhal",28.58,78.55,"IN","Uttar Pradesh"],
+        ["Portland",43.68,-70.27,"US","Maine"],
+        ["San Felipe",10.34,-68.75,"VE","Yaracuy"],
+        ["Sāveh",35.02,50.36,"IR","Markazī"],
+        ["Rennes",48.11,-1.68,"FR","Bretagne"],
+        ["Santa Luzia",-19.77,-43.85,"BR","Minas Gerais"],
+        ["Chí Linh",21.13,106.38,"VN","Hải Dương"],
+        ["La Vega",19.22,-70.53,"DO","Cibao Sur"],
+        ["Juazeiro",-9.43,-40.5,"BR","Bahia"],
+        ["Ashdod",31.8,34.65,"IL","Southern"],
+        ["Kremenchuk",49.06,33.4,"UA","Poltavska Oblast"],
+        ["Polokwane",-23.9,29.45,"ZA","Limpopo"],
+        ["Radom",51.4,21.16,"PL","Mazowieckie"],
+        ["Itabuna",-14.79,-39.28,"BR","Bahia"],
+        ["Al Khubar",26.28,50.2,"SA","Ash Sharqīyah"],
+        ["Osisioma",5.15,7.33,"NG","Abia"],
+        ["Enterprise",36.01,-115.23,"US","Nevada"],
+        ["Bremerton",47.54,-122.71,"US","Washington"],
+        ["Green Bay",44.51,-87.99,"US","Wisconsin"],
+        ["Tuluá",4.08,-76.2,"CO","Valle del Cauca"],
+        ["Zākhū",37.15,42.68,"IQ","Dahūk"],
+        ["Konibodom",40.28,70.42,"TJ","Sughd"],
+        ["Kafue",-15.77,28.18,"ZM","Lusaka"],
+        ["Petrel",38.48,-0.8,"ES","Valencia"],
+        ["Pleiku",13.98,108,"VN","Gia Lai"],
+        ["Pangkalpinang",-2.13,106.12,"ID","Kepulauan Bangka Belitung"],
+        ["Bitung",1.45,125.2,"ID","Sulawesi Utara"],
+        ["Santo Tomas",14.08,121.18,"PH","Batangas"],
+        ["Ānand",22.56,72.95,"IN","Gujarāt"],
+        ["Appleton",44.28,-88.39,"US","Wisconsin"],
+        ["San Miguel",13.48,-88.18,"SV","San Miguel"],
+        ["Córdoba",18.89,-96.93,"MX","Veracruz"],
+        ["Itaboraí",-22.74,-42.86,"BR","Rio de Janeiro"],
+        ["Naihāti",22.89,88.42,"IN","West Bengal"],
+        ["Arakawa",35.74,139.78,"JP","Tōkyō"],
+        ["Babylon",40.69,-73.36,"US","New York"],
+        ["Laâyoune",27.15,-13.2,"MA","Laâyoune-Sakia El Hamra"],
+        ["Butembo",0.15,29.28,"CD","Nord-Kivu"],
+        ["Mainz",49.98,8.27,"DE","Rhineland-Palatinate"],
+        ["Manta",-0.95,-80.72,"EC","Manabí"],
+        ["Oviedo",43.36,-5.84,"ES","Asturias"],
+        ["Spring Valley",36.1,-115.26,"US","Nevada"],
+        ["Apapa",6.45,3.37,"NG","Lagos"],
+        ["Tacoma",47.24,-122.45,"US","Washington"],
+        ["Denov",38.27,67.9,"UZ","Surxondaryo"],
+        ["Netanya",32.33,34.86,"IL","Central"],
+        ["Lutsk",50.75,25.34,"UA","Volynska Oblast"],
+        ["Qostanay",53.2,63.62,"KZ",""],
+        ["Alor Setar",6.12,100.37,"MY","Kedah"],
+        ["Cartagena",37.6,-0.98,"ES","Murcia"],
+        ["Wayaobu",37.14,109.67,"CN","Shaanxi"],
+        ["Zielona Góra",51.93,15.5,"PL","Lubuskie"],
+        ["Gujiao",37.91,112.17,"CN","Shanxi"],
+        ["José C. Paz",-34.52,-58.77,"AR","Buenos Aires"],
+        ["Yamunānagar",30.13,77.29,"IN","Haryāna"],
+        ["Banjarbaru",-3.44,114.83,"ID","Kalimantan Selatan"],
+        ["Valencia",7.9,125.09,"PH","Bukidnon"],
+        ["Ayacucho",-13.16,-74.22,"PE","Ayacucho"],
+        ["Petropavl",54.88,69.17,"KZ",""],
+        ["Lübeck",53.87,10.69,"DE","Schleswig-Holstein"],
+        ["Sabadell",41.55,2.11,"ES","Catalonia"],
+        ["Peñalolén",-33.48,-70.55,"CL","Región Metropolitana"],
+        ["Dongxing",21.58,108.05,"CN","Guangxi"],
+        ["Spartanburg",34.94,-81.93,"US","South Carolina"],
+        ["Ar Ruseris",11.85,34.38,"SD","Blue Nile"],
+        ["Hortolândia",-22.86,-47.22,"BR","São Paulo"],
+        ["Roanoke",37.28,-79.96,"US","Virginia"],
+        ["Gangneung",37.75,128.9,"KR","Gangwon"],
+        ["Hebron",31.53,35.1,"XW",""],
+        ["Pallāvaram",12.97,80.15,"IN","Tamil Nādu"],
+        ["Marg‘ilon",40.47,71.72,"UZ","Farg‘ona"],
+        ["Jiutepec",18.88,-99.17,"MX","Morelos"],
+        ["Tân An",10.53,106.42,"VN","Long An"],
+        ["Golmud",36.41,94.93,"CN","Qinghai"],
+        ["Regina",50.45,-104.61,"CA","Saskatchewan"],
+        ["Guadalupe",22.75,-102.51,"MX","Zacatecas"],
+        ["As Samāwah",31.32,45.28,"IQ","Al Muthanná"],
+        ["Maţraḩ",23.62,58.57,"OM","Masqaţ"],
+        ["Comalcalco",18.28,-93.2,"MX","Tabasco"],
+        ["Cúa",10.17,-66.88,"VE","Miranda"],
+        ["Almere",52.37,5.22,"NL","Flevoland"],
+        ["Vantaa",60.29,25.04,"FI","Uusimaa"],
+        ["La Victoria",10.23,-67.33,"VE","Aragua"],
+        ["Warnes",-17.52,-63.17,"BO","Santa Cruz"],
+        ["Sete Lagoas",-19.47,-44.25,"BR","Minas Gerais"],
+        ["São Leopoldo",-29.76,-51.15,"BR","Rio Grande do Sul"],
+        ["Marcory",5.3,-3.98,"CI","Abidjan"],
+        ["Chilas",35.42,74.09,"PK","Gilgit-Baltistan"],
+        ["Sikasso",11.32,-5.67,"ML","Sikasso"],
+        ["Osan",37.15,127.08,"KR","Gyeonggi"],
+        ["Erfurt",50.98,11.03,"DE","Thuringia"],
+        ["Secunderābād",17.44,78.5,"IN","Andhra Pradesh"],
+        ["Dodoma",-6.17,35.74,"TZ","Dodoma"],
+        ["Sa Đéc",10.3,105.77,"VN","Đồng Tháp"],
+        ["El Tigre",8.89,-64.26,"VE","Anzoátegui"],
+        ["Gainesville",29.68,-82.35,"US","Florida"],
+        ["Norwich",52.63,1.29,"GB","Norfolk"],
+        ["Monghyr",25.38,86.47,"IN","Bihār"],
+        ["Luton",51.88,-0.41,"GB","Luton"],
+        ["Divinópolis",-20.14,-44.88,"BR","Minas Gerais"],
+        ["Gokāk",16.17,74.83,"IN","Karnātaka"],
+        ["Colombo",-25.29,-49.22,"BR","Paraná"],
+        ["Sidi Bel Abbès",35.2,-0.63,"DZ","Sidi Bel Abbès"],
+        ["Jerez de la Frontera",36.68,-6.14,"ES","Andalusia"],
+        ["Tumaco",1.81,-78.76,"CO","Nariño"],
+        ["Mallawī",27.73,30.83,"EG","Al Minyā"],
+        ["Deltona",28.91,-81.21,"US","Florida"],
+        ["Limbe",4.02,9.22,"CM","South-West"],
+        ["Babruysk",53.15,29.23,"BY","Mahilyowskaya Voblasts’"],
+        ["Kure",34.25,132.57,"JP","Hiroshima"],
+        ["Northampton",52.23,-0.89,"GB","Northamptonshire"],
+        ["Kuje",8.88,7.22,"NG","Federal Capital Territory"],
+        ["Bhadrāvati",13.85,75.71,"IN","Karnātaka"],
+        ["Kalamazoo",42.27,-85.59,"US","Michigan"],
+        ["‘Aqrah",36.74,43.89,"IQ","Nīnawá"],
+        ["Cao Lãnh",10.47,105.63,"VN","Đồng Tháp"],
+        ["Zhubei",24.83,121.01,"TW","Hsinchu"],
+        ["Mytishchi",55.92,37.77,"RU","Moskovskaya Oblast’"],
+        ["Nandyāl",15.48,78.48,"IN","Andhra Pradesh"],
+        ["Irákleio",35.34,25.13,"GR","Kríti"],
+        ["Criciúma",-28.68,-49.37,"BR","Santa Catarina"],
+        ["Panchkula",30.74,76.8,"IN","Haryāna"],
+        ["Thousand Oaks",34.19,-118.88,"US","California"],
+        ["Hickory",35.74,-81.32,"US","North Carolina"],
+        ["Chungju",36.97,127.95,"KR","Chungbuk"],
+        ["Burhānpur",21.3,76.23,"IN","Madhya Pradesh"],
+        ["Burgas",42.5,27.47,"BG","Burgas"],
+        ["Barrancabermeja",7.07,-73.85,"CO","Santander"],
+        ["Taitō",35.71,139.78,"JP","Tōkyō"],
+        ["Trece Martires City",14.28,120.87,"PH","Cavite"],
+        ["Pagadian",7.83,123.44,"PH","Zamboanga del Sur"],
+        ["Padova",45.41,11.88,"IT","Veneto"],
+        ["Quilicura",-33.37,-70.73,"CL","Región Metropolitana"],
+        ["Kirātot",32.84,76.23,"IN","Himāchal Pradesh"],
+        ["Isesaki",36.31,139.2,"JP","Gunma"],
+        ["Linz",48.31,14.29,"AT","Oberösterreich"],
+        ["Madiun",-7.63,111.52,"ID","Jawa Timur"],
+        ["Arroyo Naranjo",23.04,-82.33,"CU","La Habana"],
+        ["Bukit Mertajam",5.36,100.47,"MY","Pulau Pinang"],
+        ["Dongning",44.06,131.12,"CN","Heilongjiang"],
+        ["Ploieşti",44.94,26.02,"RO","Prahova"],
+        ["Kāpra",17.49,78.57,"IN","Andhra Pradesh"],
+        ["Pskov",57.82,28.33,"RU","Pskovskaya Oblast’"],
+        ["Yonkers",40.95,-73.87,"US","New York"],
+        ["Burutu",5.35,5.52,"NG","Delta"],
+        ["Móstoles",40.33,-3.87,"ES","Madrid"],
+        ["Oberhausen",51.5,6.87,"DE","North Rhine-Westphalia"],
+        ["Legazpi City",13.13,123.73,"PH","Albay"],
+        ["Panabo",7.3,125.68,"PH","Davao del Norte"],
+        ["Naga City",13.62,123.19,"PH","Naga"],
+        ["Puerto Cabello",10.47,-68.02,"VE","Carabobo"],
+        ["Rostock",54.08,12.13,"DE","Mecklenburg-Western Pomerania"],
+        ["Maracanaú",-3.87,-38.63,"BR","Ceará"],
+        ["Ich’ŏn",37.27,127.43,"KR","Gyeonggi"],
+        ["Beersheba",31.26,34.8,"IL","Southern"],
+        ["Bila Tserkva",49.8,30.12,"UA","Kyivska Oblast"],
+        ["Santo Agostinho",-8.29,-35.03,"BR","Pernambuco"],
+        ["Oulu",65.01,25.47,"FI","Pohjois-Pohjanmaa"],
+        ["Ciputat",-6.31,106.76,"ID","Jawa Barat"],
+        ["Santa Cruz",28.47,-16.25,"ES","Canary Islands"],
+        ["Mary",37.6,61.83,"TM","Mary"],
+        ["Guarenas",10.47,-66.54,"VE","Miranda"],
+        ["Mohammedia",33.68,-7.38,"MA","Casablanca-Settat"],
+        ["Taisheng",23.29,113.35,"CN","Guangdong"],
+        ["Sunyani",7.33,-2.33,"GH","Bono"],
+        ["Moreno Valley",33.92,-117.2,"US","California"],
+        ["Shashemenē",7.2,38.6,"ET","Oromīya"],
+        ["Lubuklinggau",-3.3,102.86,"ID","Sumatera Selatan"],
+        ["Waitakere",-36.85,174.54,"NZ","Auckland"],
+        ["Fontana",34.1,-117.46,"US","California"],
+        ["Ashaiman",5.7,-0.03,"GH","Greater Accra"],
+        ["Zamora",19.98,-102.28,"MX","Michoacán"],
+        ["Kasangati",0.44,32.6,"UG","Wakiso"],
+        ["Kharagpur",22.33,87.32,"IN","West Bengal"],
+        ["College Station",30.59,-96.3,"US","Texas"],
+        ["Monywa",22.11,95.14,"MM","Sagaing"],
+        ["Nishitōkyō",35.73,139.54,"JP","Tōkyō"],
+        ["Robertsonpet",12.96,78.28,"IN","Karnātaka"],
+        ["Lyubertsy",55.68,37.89,"RU","Moskovskaya Oblast’"],
+        ["Dindigul",10.35,77.95,"IN","Tamil Nādu"],
+        ["Toledo",10.38,123.65,"PH","Cebu"],
+        ["Fargo",46.87,-96.83,"US","North Dakota"],
+        ["Milton Keynes",52.04,-0.76,"GB","Milton Keynes"],
+        ["Marawi City",8,124.3,"PH","Lanao del Sur"],
+        ["Morogoro",-6.82,37.66,"TZ","Morogoro"],
+        ["Portoviejo",-1.06,-80.46,"EC","Manabí"],
+        ["Solihull",52.41,-1.78,"GB","Solihull"],
+        ["Parakou",9.35,2.62,"BJ","Borgou"],
+        ["Damietta",31.42,31.82,"EG","Dumyāţ"],
+        ["Shimla",31.1,77.17,"IN","Himāchal Pradesh"],
+        ["Cascais",38.7,-9.42,"PT","Lisboa"],
+        ["Cidade de Nacala",-14.54,40.67,"MZ","Nampula"],
+        ["Kalemie",-5.91,29.19,"CD","Tanganyika"],
+        ["Hospet",15.27,76.39,"IN","Karnātaka"],
+        ["Islington",51.54,-0.1,"GB","Islington"],
+        ["Talca",-35.43,-71.67,"CL","Maule"],
+        ["Zanzibar",-6.16,39.2,"TZ","Zanzibar Urban/West"],
+        ["La Ceiba",15.78,-86.79,"HN","Atlántida"],
+        ["Northcote",-36.8,174.75,"NZ","Auckland"],
+        ["Bolu",40.73,31.61,"TR","Bolu"],
+        ["Ingrāj Bāzār",25,88.15,"IN","West Bengal"],
+        ["San Carlos City",15.93,120.35,"PH","Pangasinan"],
+        ["Jiutai",44.14,125.84,"CN","Jilin"],
+        ["Qal‘at Bīshah",20,42.6,"SA","‘Asīr"],
+        ["Ziguinchor",12.58,-16.27,"SN","Ziguinchor"],
+        ["Bà Rịa",10.5,107.17,"VN","Bà Rịa-Vũng Tàu"],
+        ["Puqi",29.72,113.88,"CN","Hubei"],
+        ["Loures",38.83,-9.17,"PT","Lisboa"],
+        ["Ongole",15.51,80.05,"IN","Andhra Pradesh"],
+        ["Passo Fundo",-28.25,-52.4,"BR","Rio Grande do Sul"],
+        ["Biskra",34.85,5.73,"DZ","Biskra"],
+        ["Bingerville",5.35,-3.9,"CI","Abidjan"],
+        ["Betigeri",15.44,75.64,"IN","Karnātaka"],
+        ["Amarillo",35.2,-101.83,"US","Texas"],
+        ["Trieste",45.65,13.77,"IT","Friuli Venezia Giulia"],
+        ["Ternate",0.78,127.38,"ID","Maluku Utara"],
+        ["Huntington",40.85,-73.38,"US","New York"],
+        ["Sejong",36.49,127.28,"KR","Sejong"],
+        ["Coquimbo",-29.95,-71.34,"CL","Coquimbo"],
+        ["Tekirdağ",40.98,27.52,"TR","Tekirdağ"],
+        ["Colón",9.36,-79.9,"PA","Colón"],
+        ["Kukawa",12.92,13.57,"NG","Borno"],
+        ["Ellore",16.71,81.1,"IN","Andhra Pradesh"],
+        ["Kinh Môn",21.03,106.5,"VN","Hải Dương"],
+        ["Bīrjand",32.87,59.22,"IR","Khorāsān-e Jonūbī"],
+        ["Santa Ana",14.58,121.01,"PH","Manila"],
+        ["La Guaira",10.6,-66.93,"VE","La Guaira"],
+        ["Mandi Burewala",30.15,72.68,"PK","Punjab"],
+        ["Pamplona",42.82,-1.65,"ES","Navarre"],
+        ["Banjar",-7.37,108.53,"ID","Jawa Barat"],
+        ["Mazabuka",-15.85,27.75,"ZM","Southern"],
+        ["Deoghar",24.48,86.7,"IN","Jhārkhand"],
+        ["Biysk",52.53,85.22,"RU","Altayskiy Kray"],
+        ["Tanjungpinang",0.92,104.46,"ID","Kepulauan Riau"],
+        ["Phủ Từ Sơn",21.12,105.96,"VN","Bắc Ninh"],
+        ["Chhindwāra",22.06,78.94,"IN","Madhya Pradesh"],
+        ["Parnamirim",-5.92,-35.25,"BR","Rio Grande do Norte"],
+        ["Lingampalli",17.49,78.32,"IN","Andhra Pradesh"],
+        ["Mokameh",25.39,85.92,"IN","Bihār"],
+        ["Luxor",25.68,32.65,"EG","Al Uqşur"],
+        ["Arica",-18.47,-70.32,"CL","Arica y Parinacota"],
+        ["Las Tunas",20.96,-76.95,"CU","Las Tunas"],
+        ["Hà Tĩnh",18.33,105.9,"VN","Hà Tĩnh"],
+        ["Al Khawr",25.69,51.51,"QA","Al Khawr wa adh Dhakhīrah"],
+        ["Timayy al Imdīd",30.94,31.53,"EG","Ad Daqahlīyah"],
+        ["Al Khums",32.65,14.26,"LY","Al Marqab"],
+        ["Geneva",46.2,6.15,"CH","Genève"],
+        ["Charleroi",50.4,4.43,"BE","Wallonia"],
+        ["Matsue",35.47,133.05,"JP","Shimane"],
+        ["Norwich",41.55,-72.09,"US","Connecticut"],
+        ["Tarakan",3.3,117.63,"ID","Kalimantan Utara"],
+        ["Pingzhen",24.94,121.22,"TW","Taoyuan"],
+        ["Bắc Giang",21.27,106.2,"VN","Bắc Giang"],
+        ["Toruń",53.02,18.61,"PL","Kujawsko-Pomorskie"],
+        ["Cajamarca",-7.17,-78.52,"PE","Cajamarca"],
+        ["Tokat",40.31,36.55,"TR","Tokat"],
+        ["Qinā",26.17,32.72,"EG","Qinā"],
+        ["Mai’Adua",13.19,8.21,"NG","Katsina"],
+        ["Kassel",51.32,9.5,"DE","Hesse"],
+        ["Puri",19.81,85.83,"IN","Odisha"],
+        ["Soio",-6.13,12.37,"AO","Zaire"],
+        ["Olympia",47.04,-122.9,"US","Washington"],
+        ["Haldia",22.07,88.07,"IN","West Bengal"],
+        ["Jacobabad",28.28,68.45,"PK","Sindh"],
+        ["Almería",36.84,-2.47,"ES","Andalusia"],
+        ["Khandwa",21.82,76.35,"IN","Madhya Pradesh"],
+        ["Aberdeen",57.15,-2.11,"GB","Aberdeen City"],
+        ["Huacho",-11.1,-77.6,"PE","Lima"],
+        ["Yachiyo",35.72,140.1,"JP","Chiba"],
+        ["Pulimaddi",15.48,78.48,"IN","Andhra Pradesh"],
+        ["Georgetown",6.81,-58.15,"GY","Demerara-Mahaica"],
+        ["Morena",26.5,78,"IN","Madhya Pradesh"],
+        ["Nasīm Shahr",35.56,51.16,"IR","Tehrān"],
+        ["Nagareyama",35.86,139.9,"JP","Chiba"],
+        ["Cosenza",39.3,16.25,"IT","Calabria"],
+        ["Guacara",10.23,-67.88,"VE","Carabobo"],
+        ["Kabankalan",9.98,122.82,"PH","Negros Occidental"],
+        ["Vĩnh Long",10.25,105.97,"VN","Vĩnh Long"],
+        ["Poza Rica de Hidalgo",20.53,-97.45,"MX","Veracruz"],
+        ["Lạng Sơn",21.85,106.76,"VN","Lạng Sơn"],
+        ["Sidon",33.56,35.38,"LB","Liban-Sud"],
+        ["Moratuwa",6.8,79.88,"LK","Western"],
+        ["At Tājī",33.51,44.23,"IQ","Baghdād"],
+        ["Sātkhira",22.72,89.07,"BD","Khulna"],
+        ["Néma",16.62,-7.25,"MR","Hodh ech Chargui"],
+        ["Isanlu",8.17,5.8,"NG","Kogi"],
+        ["Az Zāwīyah",32.75,12.73,"LY","Az Zāwiyah"],
+        ["Kasama",-10.21,31.18,"ZM","Northern"],
+        ["Banja Luka",44.77,17.19,"BA","Srpska, Republika"],
+        ["Huntington",38.41,-82.43,"US","West Virginia"],
+        ["Santa Tecla",13.67,-89.24,"SV","La Libertad"],
+        ["Uripa",11.92,-72,"CO","La Guajira"],
+        ["Gemena",3.25,19.77,"CD","Sud-Ubangi"],
+        ["Kankan",10.38,-9.3,"GN","Kankan"],
+        ["Rajin",42.34,130.38,"KP","Rasŏn"],
+        ["Huánuco",-9.93,-76.24,"PE","Huánuco"],
+        ["Oradea",47.07,21.92,"RO","Bihor"],
+        ["Rzeszów",50.03,22,"PL","Podkarpackie"],
+        ["Acarigua",9.56,-69.2,"VE","Portuguesa"],
+        ["Koronadal",6.5,124.85,"PH","South Cotabato"],
+        ["San Pedro de Macorís",18.45,-69.3,"DO","Higuamo"],
+        ["Brikama",13.27,-16.65,"GM","West Coast"],
+        ["Tchitato",-7.34,20.82,"AO","Lunda-Norte"],
+        ["Mbarara",-0.61,30.66,"UG","Mbarara"],
+        ["Yuzhno-Sakhalinsk",46.95,142.73,"RU","Sakhalinskaya Oblast’"],
+        ["Trondheim",63.43,10.39,"NO","Trøndelag"],
+        ["Tébessa",35.4,8.12,"DZ","Tébessa"],
+        ["San Fernando",7.89,-67.47,"VE","Apure"],
+        ["Karaman",37.18,33.22,"TR","Karaman"],
+        ["Peterborough",52.57,-0.24,"GB","Peterborough"],
+        ["Sūhāj",26.55,31.7,"EG","Sūhāj"],
+        ["Eldoret",0.52,35.28,"KE","Uasin Gishu"],
+        ["Yamaguchi",34.18,131.47,"JP","Yamaguchi"],
+        ["Muş",38.73,41.49,"TR","Muş"],
+        ["Kırıkkale",39.84,33.51,"TR","Kırıkkale"],
+        ["Lae",-6.73,147,"PG","Morobe"],
+        ["Quelimane",-17.88,36.89,"MZ","Zambézia"],
+        ["Hyesan",41.4,128.18,"KP","Ryanggang"],
+        ["Jalapa",14.64,-89.99,"GT","Jalapa"],
+        ["Croydon",51.37,-0.11,"GB","Croydon"],
+        ["Gorontalo",0.53,123.07,"ID","Gorontalo"],
+        ["Florencia",1.61,-75.61,"CO","Caquetá"],
+        ["Kielce",50.87,20.63,"PL","Świętokrzyskie"],
+        ["Godoy Cruz",-32.92,-68.83,"AR","Mendoza"],
+        ["Rijeka",45.33,14.44,"HR","Primorsko-Goranska Županija"],
+        ["Valera",9.32,-70.61,"VE","Trujillo"],
+        ["Aydın",37.85,27.85,"TR","Aydın"],
+        ["Manzanillo",19.05,-104.32,"MX","Colima"],
+        ["Shahr-e Kord",32.33,50.86,"IR","Chahār Maḩāl va Bakhtīārī"],
+        ["Cap-Haïtien",19.76,-72.2,"HT","Nord"],
+        ["Ngaoundéré",7.32,13.58,"CM","Adamaoua"],
+        ["Sioux Falls",43.54,-96.73,"US","South Dakota"],
+        ["Pinar del Río",22.41,-83.67,"CU","Pinar del Río"],
+        ["Kenema",7.88,-11.19,"SL","Eastern"],
+        ["Digos",6.75,125.35,"PH","Davao del Sur"],
+        ["El Progreso",15.4,-87.8,"HN","Yoro"],
+        ["Al Ḩasakah",36.51,40.74,"SY","Al Ḩasakah"],
+        ["San Francisco de Macorís",19.3,-70.25,"DO","Cibao Nordeste"],
+        ["Iquique",-20.22,-70.15,"CL","Tarapacá"],
+        ["Gharyān",32.17,13.02,"LY","Al Jabal al Gharbī"],
+        ["Kecskemét",46.91,19.69,"HU","Bács-Kiskun"],
+        ["Bournemouth",50.72,-1.88,"GB",""],
+        ["Tottori",35.5,134.23,"JP","Tottori"],
+        ["Malabo",3.75,8.78,"GQ","Bioko Norte"],
+        ["Kōfu",35.66,138.57,"JP","Yamanashi"],
+        ["Gibraltar",36.13,-5.35,"GI",""],
+        ["Calbayog City",12.07,124.6,"PH","Samar"],
+        ["Kairouan",35.68,10.1,"TN","Kairouan"],
+        ["Shendi",16.68,33.43,"SD","River Nile"],
+        ["Suva",-18.14,178.44,"FJ","Rewa"],
+        ["Basildon",51.58,0.49,"GB","Essex"],
+        ["Semnān",35.57,53.4,"IR","Semnān"],
+        ["Trảng Bàng",11.03,106.37,"VN","Tây Ninh"],
+        ["Niš",43.32,21.9,"RS","Niš"],
+        ["Potsdam",52.4,13.07,"DE","Brandenburg"],
+        ["Isiro",2.78,27.62,"CD","Haut-Uélé"],
+        ["Nouméa",-22.28,166.46,"NC","Province Sud"],
+        ["Sorsogon",12.97,124.01,"PH","Sorsogon"],
+        ["Abakan",53.72,91.47,"RU","Khakasiya"],
+        ["Braga",41.55,-8.42,"PT","Braga"],
+        ["Sucúa",-2.46,-78.17,"EC","Morona-Santiago"],
+        ["Petropavlovsk-Kamchatskiy",53.02,158.65,"RU","Kamchatskiy Kray"],
+        ["York",53.96,-1.08,"GB","York"],
+        ["Kindia",10.05,-12.85,"GN","Kindia"],
+        ["La Rioja",-29.41,-66.85,"AR","La Rioja"],
+        ["Odense",55.4,10.39,"DK","Syddanmark"],
+        ["Çanakkale",40.15,26.41,"TR","Çanakkale"],
+        ["Edirne",41.68,26.56,"TR","Edirne"],
+        ["Brăila",45.27,27.96,"RO","Brăila"],
+        ["Phan Rang-Tháp Chàm",11.57,108.98,"VN","Ninh Thuận"],
+        ["Saarbrücken",49.23,7,"DE","Saarland"],
+        ["Mongu",-15.28,23.13,"ZM","Western"],
+        ["Roxas City",11.59,122.75,"PH","Capiz"],
+        ["Tiaret",35.37,1.32,"DZ","Tiaret"],
+        ["Njeru",0.43,33.15,"UG","Buikwe"],
+        ["Al ‘Arīsh",31.12,33.8,"EG","Shamāl Sīnā’"],
+        ["Şalālah",17.02,54.09,"OM","Z̧ufār"],
+        ["Split",43.51,16.44,"HR","Splitsko-Dalmatinska Županija"],
+        ["Basel",47.55,7.59,"CH","Basel-Stadt"],
+        ["Nijmegen",51.85,5.86,"NL","Gelderland"],
+        ["Almada",38.68,-9.16,"PT","Setúbal"],
+        ["Kadugli",11.02,29.72,"SD","South Kordofan"],
+        ["Hamilton",-37.78,175.28,"NZ","Waikato"],
+        ["Bejaïa",36.75,5.06,"DZ","Bejaïa"],
+        ["Ereğli",41.28,31.42,"TR","Zonguldak"],
+        ["Shibirghān",36.67,65.75,"AF","Jowzjān"],
+        ["Les Cayes",18.2,-73.75,"HT","Sud"],
+        ["Plzeň",49.75,13.38,"CZ","Plzeňský Kraj"],
+        ["Bodrum",37.04,27.42,"TR","Muğla"],
+        ["Harar",9.31,42.13,"ET","Hārerī Hizb"],
+        ["Thành Phố Uông Bí",21.04,106.76,"VN","Quảng Ninh"],
+        ["Dagupan City",16.04,120.33,"PH","Dagupan"],
+        ["Habaswein",1.01,39.49,"KE","Wajir"],
+        ["León",12.43,-86.88,"NI","León"],
+        ["Olsztyn",53.78,20.48,"PL","Warmińsko-Mazurskie"],
+        ["Tlemcen",34.88,-1.32,"DZ","Tlemcen"],
+        ["Albacete",39,-1.86,"ES","Castille-La Mancha"],
+        ["Mang La",14.38,107.98,"VN","Kon Tum"],
+        ["Ongata Rongai",-1.4,36.77,"KE","Kajiado"],
+        ["Kindu",-2.95,25.95,"CD","Maniema"],
+        ["Kaolack",14.14,-16.08,"SN","Kaolack"],
+        ["Santander",43.46,-3.8,"ES","Cantabria"],
+        ["Cazanga",-9.3,14.95,"AO","Cuanza-Norte"],
+        ["Surigao",9.79,125.5,"PH","Surigao del Norte"],
+        ["Makurdi",7.73,8.54,"NG","Benue"],
+        ["Loja",-3.98,-79.2,"EC","Loja"],
+        ["Escuintla",14.3,-90.79,"GT","Escuintla"],
+        ["Aplahoué",6.93,1.68,"BJ","Couffo"],
+        ["Portmore",17.95,-76.88,"JM","Saint Catherine"],
+        ["As Suwayq",23.85,57.44,"OM","Shamāl al Bāţinah"],
+        ["Métouia",33.97,10,"TN","Gabès"],
+        ["San Luis",-33.3,-66.33,"AR","San Luis"],
+        ["Cape Coast",5.1,-1.25,"GH","Central"],
+        ["Magwe",4.13,32.3,"SS","Eastern Equatoria"],
+        ["Puerto Montt",-41.47,-72.93,"CL","Los Lagos"],
+        ["Le Havre",49.49,0.1,"FR","Normandie"],
+        ["Al Marj",32.5,20.83,"LY","Al Marj"],
+        ["Batumi",41.65,41.64,"GE","Ajaria"],
+        ["Calabozo",8.92,-67.43,"VE","Guárico"],
+        ["Bordj Bou Arreridj",36.07,4.77,"DZ","Bordj Bou Arréridj"],
+        ["Ilford",51.56,0.09,"GB","Redbridge"],
+        ["Malanville",11.87,3.38,"BJ","Atacora"],
+        ["Pátra",38.25,21.73,"GR","Dytikí Elláda"],
+        ["Jutiapa",14.29,-89.9,"GT","Jutiapa"],
+        ["Uppsala",59.86,17.64,"SE","Uppsala"],
+        ["Siirt",37.92,41.95,"TR","Siirt"],
+        ["Ratnapura",6.68,80.4,"LK","Sabaragamuwa"],
+        ["Perugia",43.11,12.39,"IT","Umbria"],
+        ["Béchar",31.63,-2.2,"DZ","Béchar"],
+        ["Warrington",53.39,-2.59,"GB","Warrington"],
+        ["Ambato",-1.24,-78.62,"EC","Tungurahua"],
+        ["Idlib",35.93,36.63,"SY","Idlib"],
+        ["Cienfuegos",22.15,-80.44,"CU","Cienfuegos"],
+        ["Abengourou",6.73,-3.48,"CI","Comoé"],
+        ["Klaipėda",55.75,21.17,"LT","Klaipėdos Miestas"],
+        ["Chillán",-36.61,-72.1,"CL","Ñuble"],
+        ["Abū Ḩulayfah",29.13,48.13,"KW","Al Aḩmadī"],
+        ["Tunja",5.53,-73.37,"CO","Boyacá"],
+        ["San Marcos",10.62,-84.51,"CR","Alajuela"],
+        ["Wāpi",20.37,72.92,"IN",""],
+        ["Wau",7.7,28,"SS","Western Bahr el Ghazal"],
+        ["Skikda",36.87,6.9,"DZ","Skikda"],
+        ["Kebili",33.71,8.97,"TN","Kébili"],
+        ["Jizzax",40.12,67.84,"UZ","Jizzax"],
+        ["Huddersfield",53.65,-1.78,"GB","Kirklees"],
+        ["Mukono",0.35,32.76,"UG","Mukono"],
+        ["Pristina",42.66,21.16,"XK","Prishtinë"],
+        ["Ash Shīḩānīyah",25.37,51.2,"QA","Ash Shīḩānīyah"],
+        ["Kandy",7.3,80.64,"LK","Central"],
+        ["General Roca",-39.03,-67.58,"AR","Río Negro"],
+        ["Zaranj",30.96,61.86,"AF","Nīmrōz"],
+        ["Al Ghardaqah",27.26,33.81,"EG","Al Baḩr al Aḩmar"],
+        ["Tabora",-5.02,32.8,"TZ","Tabora"],
+        ["Đồng Hới",17.48,106.6,"VN","Quảng Bình"],
+        ["Trà Vinh",9.93,106.35,"VN","Trà Vinh"],
+        ["Kingswood",51.46,-2.5,"GB","South Gloucestershire"],
+        ["Southend",51.55,0.71,"GB","Southend-on-Sea"],
+        ["Khōst",33.33,69.92,"AF","Khōst"],
+        ["Koudougou",12.25,-2.37,"BF","Centre-Ouest"],
+        ["Ninh Bình",20.25,105.98,"VN","Ninh Bình"],
+        ["Bingöl",38.89,40.5,"TR","Bingöl"],
+        ["Dhamār",14.55,44.4,"YE","Dhamār"],
+        ["Enschede",52.22,6.9,"NL","Overijssel"],
+        ["Newport",51.59,-3,"GB","Newport"],
+        ["Catamarca",-28.47,-65.78,"AR","Catamarca"],
+        ["Hat Yai",7.02,100.47,"TH","Songkhla"],
+        ["Arad",46.18,21.31,"RO","Arad"],
+        ["Sāmarrā’",34.2,43.87,"IQ","Şalāḩ ad Dīn"],
+        ["Ilagan",17.15,121.89,"PH","Isabela"],
+        ["Dijon",47.32,5.02,"FR","Bourgogne-Franche-Comté"],
+        ["Erzincan",39.75,39.49,"TR","Erzincan"],
+        ["Enfield",51.65,-0.08,"GB","Enfield"],
+        ["Kamina",-8.74,24.99,"CD","Haut-Lomami"],
+        ["Kétou",7.36,2.61,"BJ","Plateau"],
+        ["Adzopé",6.17,-3.98,"CI","Lagunes"],
+        ["Bariadi",-2.79,33.99,"TZ","Simiyu"],
+        ["Horad Barysaw",54.23,28.51,"BY","Minskaya Voblasts’"],
+        ["Piteşti",44.86,24.87,"RO","Argeş"],
+        ["Souk Ahras",36.29,7.95,"DZ","Souk Ahras"],
+        ["Chlef",36.16,1.33,"DZ","Chlef"],
+        ["Salzburg",47.8,13.05,"AT","Salzburg"],
+        ["Bartın",41.63,32.34,"TR","Bartın"],
+        ["Middelburg",-25.77,29.48,"ZA","Mpumalanga"],
+        ["Cagliari",39.23,9.11,"IT","Sardegna"],
+        ["Esmeraldas",0.97,-79.65,"EC","Esmeraldas"],
+        ["Kırşehir",39.15,34.16,"TR","Kırşehir"],
+        ["San Jose",12.35,121.07,"PH","Occidental Mindoro"],
+        ["Nevşehir",38.63,34.71,"TR","Nevşehir"],
+        ["Dutse",11.83,9.32,"NG","Jigawa"],
+        ["Tete",-16.17,33.6,"MZ","Tete"],
+        ["Golmeh",33.78,46.6,"IR","Īlām"],
+        ["Vĩnh Yên",21.31,105.6,"VN","Vĩnh Phúc"],
+        ["Ciudad Choluteca",13.3,-87.18,"HN","Choluteca"],
+        ["Gulu",2.78,32.3,"UG","Gulu"],
+        ["Oxford",51.75,-1.26,"GB","Oxfordshire"],
+        ["Iringa",-7.77,35.69,"TZ","Iringa"],
+        ["Tauranga",-37.68,176.17,"NZ","Bay of Plenty"],
+        ["Podgorica",42.44,19.26,"ME","Podgorica"],
+        ["Chichicastenango",14.94,-91.11,"GT","Quiché"],
+        ["Quevedo",-1.03,-79.45,"EC","Los Ríos"],
+        ["Logroño",42.47,-2.45,"ES","La Rioja"],
+        ["Copiapó",-27.37,-70.33,"CL","Atacama"],
+        ["Miskolc",48.08,20.67,"HU","Borsod-Abaúj-Zemplén"],
+        ["Kragujevac",44.01,20.94,"RS","Kragujevac"],
+        ["Badajoz",38.88,-6.98,"ES","Extremadura"],
+        ["Singida",-4.82,34.75,"TZ","Singida"],
+        ["Mzuzu",-11.46,34.02,"MW","Mzimba"],
+        ["Đồng Xoài",11.52,106.84,"VN","Bình Phước"],
+        ["Valdivia",-39.81,-73.25,"CL","Los Ríos"],
+        ["Willemstad",12.11,-68.93,"CW",""],
+        ["Borj Hammoud",33.89,35.54,"LB","Mont-Liban"],
+        ["Yilan",24.75,121.75,"TW","Yilan"],
+        ["Tororo",0.69,34.18,"UG","Tororo"],
+        ["M’Sila",35.71,4.54,"DZ","M’sila"],
+        ["Urganch",41.55,60.63,"UZ","Xorazm"],
+        ["Kashikishi",-9.3,28.72,"ZM","Luapula"],
+        ["Mariveles",14.43,120.48,"PH","Bataan"],
+        ["Bohicon",7.2,2.07,"BJ","Zou"],
+        ["Harrow",51.58,-0.35,"GB","Harrow"],
+        ["Port Louis",-20.16,57.5,"MU","Port Louis"],
+        ["Ağrı",39.72,43.05,"TR","Ağrı"],
+        ["Amasya",40.65,35.83,"TR","Amasya"],
+        ["Maīmanah",35.93,64.75,"AF","Fāryāb"],
+        ["Kastamonu",41.38,33.78,"TR","Kastamonu"],
+        ["‘Ajlūn",32.33,35.75,"JO","‘Ajlūn"],
+        ["Santiago",16.68,121.55,"PH","Santiago"],
+        ["Jean-Rabel",19.85,-73.2,"HT","Nord-Ouest"],
+        ["Al ‘Aqabah",29.53,35.01,"JO","Al ‘Aqabah"],
+        ["Dundee",56.46,-2.97,"GB","Dundee City"],
+        ["Lüleburgaz",41.41,27.36,"TR","Kırklareli"],
+        ["Szombathely",47.24,16.62,"HU","Vas"],
+        ["Kutaisi",42.25,42.7,"GE","Imereti"],
+        ["Siem Reap",13.36,103.86,"KH","Siem Reap"],
+        ["Mati",6.95,126.23,"PH","Davao Oriental"],
+        ["Sumbawanga",-7.97,31.62,"TZ","Rukwa"],
+        ["Malakal",9.55,31.65,"SS","Upper Nile"],
+        ["Kafr ash Shaykh",31.11,30.95,"EG","Kafr ash Shaykh"],
+        ["Hưng Yên",20.65,106.07,"VN","Hưng Yên"],
+        ["Sibiu",45.79,24.15,"RO","Sibiu"],
+        ["Keren",15.78,38.46,"ER","‘Anseba"],
+        ["Dar‘ā",32.62,36.1,"SY","Dar‘ā"],
+        ["West Bromwich",52.52,-1.99,"GB","Sandwell"],
+        ["Riobamba",-1.67,-78.65,"EC","Chimborazo"],
+        ["Calapan",13.41,121.18,"PH","Oriental Mindoro"],
+        ["Mostaganem",35.93,0.08,"DZ","Mostaganem"],
+        ["Gloucester",51.86,-2.24,"GB","Gloucestershire"],
+        ["Matanzas",23.05,-81.58,"CU","Matanzas"],
+        ["Flores",16.93,-89.88,"GT","Petén"],
+        ["David",8.43,-82.43,"PA","Chiriquí"],
+        ["Comayagua",14.45,-87.64,"HN","Comayagua"],
+        ["Moshi",-3.33,37.34,"TZ","Kilimanjaro"],
+        ["Lárisa",39.64,22.42,"GR","Thessalía"],
+        ["Yalova",40.66,29.28,"TR","Yalova"],
+        ["Bacău",46.58,26.92,"RO","Bacău"],
+        ["Mehtar Lām",34.67,70.21,"AF","Laghmān"],
+        ["Al Mukallā",14.53,49.13,"YE","Ḩaḑramawt"],
+        ["Ruse",43.82,25.95,"BG","Ruse"],
+        ["Ramu",3.94,41.22,"KE","Mandera"],
+        ["Yopal",5.35,-72.41,"CO","Casanare"],
+        ["Aalborg",57.05,9.92,"DK","Nordjylland"],
+        ["Coimbra",40.21,-8.43,"PT","Coimbra"],
+        ["Ghaznī",33.55,68.42,"AF","Ghaznī"],
+        ["Shillong",25.57,91.88,"IN","Meghālaya"],
+        ["Cizre",37.33,42.19,"TR","Şırnak"],
+        ["Birkenhead",53.39,-3.01,"GB","Wirral"],
+        ["Bizerte",37.28,9.86,"TN","Bizerte"],
+        ["Telford",52.68,-2.45,"GB","Telford and Wrekin"],
+        ["Moundou",8.57,16.08,"TD","Logone Occidental"],
+        ["Lichinga",-13.32,35.23,"MZ","Niassa"],
+        ["Namacunde",-17.3,15.85,"AO","Cunene"],
+        ["Tetovo",42.01,20.97,"MK","Tetovo"],
+        ["Maykop",44.6,40.08,"RU","Adygeya"],
+        ["Preston",53.76,-2.7,"GB","Lancashire"],
+        ["Bondoukou",8.03,-2.8,"CI","Zanzan"],
+        ["Jyväskylä",62.24,25.74,"FI","Keski-Suomi"],
+        ["Pemba",-12.97,40.55,"MZ","Cabo Delgado"],
+        ["Gweru",-19.46,29.8,"ZW","Midlands"],
+        ["Rize",41.02,40.52,"TR","Rize"],
+        ["Middlesbrough",54.58,-1.24,"GB","Redcar and Cleveland"],
+        ["Ozamiz City",8.15,123.85,"PH","Misamis Occidental"],
+        ["Pécs",46.07,18.23,"HU","Baranya"],
+        ["Masaya",11.98,-86.09,"NI","Masaya"],
+        ["Momostenango",15.04,-91.41,"GT","Totonicapán"],
+        ["Blackpool",53.81,-3.05,"GB","Blackpool"],
+        ["Lausanne",46.52,6.63,"CH","Vaud"],
+        ["Sancti Spíritus",21.93,-79.44,"CU","Sancti Spíritus"],
+        ["Médéa",36.27,2.75,"DZ","Médéa"],
+        ["Dipolog",8.59,123.34,"PH","Zamboanga del Norte"],
+        ["Jacmel",18.24,-72.54,"HT","Sud-Est"],
+        ["Iğdır",39.92,44.04,"TR","Iğdır"],
+        ["La Trinidad",16.46,120.59,"PH","Benguet"],
+        ["Norrköping",58.6,16.2,"SE","Östergötland"],
+        ["Jolo",6,121,"PH","Sulu"],
+        ["Tours",47.39,0.69,"FR","Centre-Val de Loire"],
+        ["Gisenyi",-1.7,29.25,"RW","Western Province"],
+        ["Darwin",-12.44,130.84,"AU","Northern Territory"],
+        ["Gingoog",8.82,125.1,"PH","Misamis Oriental"],
+        ["Phủ Lý",20.54,105.91,"VN","Hà Nam"],
+        ["Huehuetenango",15.31,-91.48,"GT","Huehuetenango"],
+        ["Stara Zagora",42.43,25.65,"BG","Stara Zagora"],
+        ["Port-Gentil",-0.72,8.78,"GA","Ogooué-Maritime"],
+        ["Qabr as Sitt",33.45,36.34,"SY","Rīf Dimashq"],
+        ["Ağcabədi",40.05,47.46,"AZ","Ağcabədi"],
+        ["Giresun",40.92,38.39,"TR","Giresun"],
+        ["Tobruk",32.08,23.96,"LY","Al Buţnān"],
+        ["Reykjavík",64.15,-21.94,"IS","Reykjavík"],
+        ["Gitega",-3.43,29.93,"BI","Gitega"],
+        ["Lira",2.25,32.9,"UG","Lira"],
+        ["May Pen",17.97,-77.24,"JM","Clarendon"],
+        ["Tizi Ouzou",36.72,4.05,"DZ","Tizi Ouzou"],
+        ["El Oued",33.37,6.87,"DZ","El Oued"],
+        ["Mörön",49.64,100.16,"MN","Hövsgöl"],
+        ["Nakhon Ratchasima",14.98,102.1,"TH","Nakhon Ratchasima"],
+        ["Laghouat",33.8,2.87,"DZ","Laghouat"],
+        ["Brighton",50.82,-0.14,"GB","Brighton and Hove"],
+        ["Târgu-Mureş",46.55,24.56,"RO","Mureş"],
+        ["Dumaguete City",9.31,123.31,"PH","Negros Oriental"],
+        ["Navoiy",40.08,65.38,"UZ","Navoiy"],
+        ["Sale",53.42,-2.32,"GB","Trafford"],
+        ["Bern",46.95,7.45,"CH","Bern"],
+        ["Veszprém",47.09,17.91,"HU","Veszprém"],
+        ["Tiraspol",46.84,29.64,"MD","Stînga Nistrului"],
+        ["Ségou",13.45,-6.27,"ML","Ségou"],
+        ["Matagalpa",12.93,-85.92,"NI","Matagalpa"],
+        ["Ouargla",31.95,5.32,"DZ","Ouargla"],
+        ["Male",4.18,73.51,"MV","Maale"],
+        ["Luxembourg",49.61,6.13,"LU","Luxembourg"],
+        ["Innsbruck",47.27,11.39,"AT","Tirol"],
+        ["San Juan",18.81,-71.23,"DO","El Valle"],
+        ["Karabük",41.2,32.63,"TR","Karabük"],
+        ["Ibarra",0.36,-78.13,"EC","Imbabura"],
+        ["Papeete",-17.53,-149.57,"PF","Îles du Vent"],
+        ["Jijel",36.82,5.77,"DZ","Jijel"],
+        ["Vlorë",40.47,19.48,"AL","Vlorë"],
+        ["Quibdó",5.69,-76.66,"CO","Chocó"],
+        ["Surat Thani",9.14,99.33,"TH","Surat Thani"],
+        ["Lào Cai",22.48,103.98,"VN","Lào Cai"],
+        ["Trinidad",-14.83,-64.9,"BO","El Beni"],
+        ["City of Isabela",6.7,121.97,"PH","Basilan"],
+        ["Udon Thani",17.42,102.75,"TH","Udon Thani"],
+        ["Lincoln",53.23,-0.54,"GB","Lincolnshire"],
+        ["Relizane",35.74,0.56,"DZ","Relizane"],
+        ["Battambang",13.1,103.2,"KH","Battambang"],
+        ["Sukrah",36.88,10.25,"TN","L’Ariana"],
+        ["Antsiranana",-12.3,49.28,"MG","Antsiranana"],
+        ["Tottenham",51.6,-0.07,"GB","Haringey"],
+        ["Batticaloa",7.72,81.7,"LK","Eastern"],
+        ["Bukoba",-1.33,31.82,"TZ","Kagera"],
+        ["Rustavi",41.55,45.01,"GE","Kvemo Kartli"],
+        ["Västerås",59.62,16.55,"SE","Västmanland"],
+        ["Kibaha",-6.77,38.92,"TZ","Coast"],
+        ["Saïda",34.83,0.15,"DZ","Saïda"],
+        ["Darnah",32.77,22.63,"LY","Darnah"],
+        ["Praia",14.92,-23.51,"CV","Praia"],
+        ["Opole",50.67,17.93,"PL","Opolskie"],
+        ["Koforidua",6.08,-0.25,"GH","Eastern"],
+        ["Leiria",39.75,-8.8,"PT","Leiria"],
+        ["Örebro",59.27,15.21,"SE","Örebro"],
+        ["San Juan",14.6,121.03,"PH","San Juan"],
+        ["Dover",39.16,-75.52,"US","Delaware"],
+        ["San Fernando",16.62,120.32,"PH","La Union"],
+        ["Jilib",0.5,42.77,"SO","Jubbada Dhexe"],
+        ["Billings",45.79,-108.55,"US","Montana"],
+        ["Salto",-31.38,-57.95,"UY","Salto"],
+        ["Juticalpa",14.67,-86.22,"HN","Olancho"],
+        ["Ouahigouya",13.58,-2.42,"BF","Nord"],
+        ["Leeuwarden",53.2,5.78,"NL","Fryslân"],
+        ["Bến Tre",10.23,106.38,"VN","Bến Tre"],
+        ["Glazoué",7.97,2.24,"BJ","Collines"],
+        ["Panevėžys",55.73,24.35,"LT","Panevėžio Miestas"],
+        ["New Mirpur",33.15,73.75,"PK","Azad Kashmir"],
+        ["Exeter",50.73,-3.53,"GB","Devon"],
+        ["Savannakhet",16.55,104.75,"LA","Savannakhét"],
+        ["Cambridge",52.21,0.12,"GB","Cambridgeshire"],
+        ["Baia Mare",47.67,23.58,"RO","Maramureş"],
+        ["Punta Arenas",-53.17,-70.93,"CL","Magallanes y de la Antártica Chilena"],
+        ["Kaya",13.08,-1.08,"BF","Centre-Nord"],
+        ["Kilifi",-3.63,39.85,"KE","Kilifi"],
+        ["Romford",51.58,0.18,"GB","Havering"],
+        ["Hoima",1.43,31.35,"UG","Hoima"],
+        ["Maina",13.47,144.73,"GU",""],
+        ["Cherkessk",44.22,42.06,"RU","Karachayevo-Cherkesiya"],
+        ["Gyumri",40.79,43.85,"AM","Shirak"],
+        ["Chinandega",12.63,-87.13,"NI","Chinandega"],
+        ["Kuopio",62.89,27.68,"FI","Pohjois-Savo"],
+        ["Hòa Bình",20.81,105.34,"VN","Hòa Bình"],
+        ["Tabuk",17.41,121.44,"PH","Kalinga"],
+        ["Porlamar",10.96,-63.85,"VE","Nueva Esparta"],
+        ["Fier",40.73,19.56,"AL","Fier"],
+        ["High Wycombe",51.63,-0.75,"GB","Buckinghamshire"],
+        ["Ban Bang Pu Mai",13.54,100.62,"TH","Samut Prakan"],
+        ["Gateshead",54.95,-1.6,"GB","Gateshead"],
+        ["Guelma",36.46,7.43,"DZ","Guelma"],
+        ["Ghardaïa",32.48,3.67,"DZ","Ghardaïa"],
+        ["San Carlos",9.65,-68.58,"VE","Cojedes"],
+        ["Ar Rustāq",23.39,57.42,"OM","Janūb al Bāţinah"],
+        ["Pakxé",15.12,105.78,"LA","Champasak"],
+        ["Yüksekova",37.57,44.28,"TR","Hakkâri"],
+        ["Pleven",43.41,24.62,"BG","Pleven"],
+        ["Pescara",42.46,14.21,"IT","Abruzzo"],
+        ["Slough",51.51,-0.59,"GB","Slough"],
+        ["Vihiga",0.05,34.73,"KE","Vihiga"],
+        ["Butwāl",27.7,83.47,"NP","Lumbinī"],
+        ["Guelmim",28.98,-10.07,"MA","Guelmim-Oued Noun"],
+        ["Kampong Cham",11.99,105.46,"KH","Kampong Cham"],
+        ["Malita",6.4,125.6,"PH","Davao Occidental"],
+        ["Niğde",37.97,34.68,"TR","Niğde"],
+        ["Lahti",60.98,25.65,"FI","Päijät-Häme"],
+        ["Nouadhibou",20.93,-17.03,"MR","Dakhlet Nouadhibou"],
+        ["Trento",46.07,11.12,"IT","Trentino-Alto Adige"],
+        ["Blackburn",53.75,-2.48,"GB","Blackburn with Darwen"],
+        ["Nazran",43.22,44.77,"RU","Ingushetiya"],
+        ["Tahoua",14.89,5.26,"NE","Tahoua"],
+        ["Agadez",17,7.98,"NE","Agadez"],
+        ["Kabwe",-14.43,28.45,"ZM","Central"],
+        ["Banfora",10.63,-4.76,"BF","Cascades"],
+        ["Chimaltenango",14.66,-90.82,"GT","Chimaltenango"],
+        ["Xai-Xai",-25.05,33.65,"MZ","Gaza"],
+        ["Boké",10.94,-14.3,"GN","Boké"],
+        ["Bongao",5.03,119.77,"PH","Tawi-Tawi"],
+        ["Aïn Beïda",35.8,7.39,"DZ","Oum el Bouaghi"],
+        ["Kilis",36.72,37.12,"TR","Kilis"],
+        ["Sabhā",27.04,14.43,"LY","Sabhā"],
+        ["Kyzyl",51.72,94.45,"RU","Tyva"],
+        ["Ra’s al Khaymah",25.77,55.95,"AE","Ra’s al Khaymah"],
+        ["Khon Kaen",16.43,102.83,"TH","Khon Kaen"],
+        ["Kars",40.61,43.1,"TR","Kars"],
+        ["Phatthaya",12.94,100.89,"TH","Chon Buri"],
+        ["Burlington",44.49,-73.23,"US","Vermont"],
+        ["Pedro Juan Caballero",-22.53,-55.75,"PY","Amambay"],
+        ["Sandvika",59.88,10.52,"NO","Viken"],
+        ["Buzău",45.15,26.82,"RO","Buzău"],
+        ["Kasese",0.19,30.09,"UG","Kasese"],
+        ["Sliven",42.68,26.33,"BG","Sliven"],
+        ["Al Muḑaybī",22.57,58.12,"OM","Shamāl ash Sharqīyah"],
+        ["Uzhhorod",48.62,22.3,"UA","Zakarpatska Oblast"],
+        ["Iriga City",13.42,123.41,"PH","Camarines Sur"],
+        ["Machakos",-1.52,37.27,"KE","Machakos"],
+        ["Kristiansand",58.15,8,"NO","Agder"],
+        ["Pul-e Khumrī",35.95,68.7,"AF","Baghlān"],
+        ["Novyy Urengoy",66.08,76.68,"RU","Yamalo-Nenetskiy Avtonomnyy Okrug"],
+        ["Durrës",41.31,19.44,"AL","Durrës"],
+        ["Jendouba",36.5,8.78,"TN","Jendouba"],
+        ["Ioánnina",39.66,20.85,"GR","Ípeiros"],
+        ["Burdur",37.72,30.28,"TR","Burdur"],
+        ["Sokodé",8.98,1.13,"TG","Centrale"],
+        ["Jönköping",57.78,14.16,"SE","Jönköping"],
+        ["Ciudad de la Costa",-34.82,-55.95,"UY","Canelones"],
+        ["Shkodër",42.07,19.51,"AL","Shkodër"],
+        ["Kaposvár",46.36,17.78,"HU","Somogy"],
+        ["Estelí",13.09,-86.35,"NI","Estelí"],
+        ["Subic",14.88,120.23,"PH","Zambales"],
+        ["Funchal",32.65,-16.92,"PT","Madeira"],
+        ["Baybay",10.68,124.8,"PH","Leyte"],
+        ["Daet",14.11,122.96,"PH","Camarines Norte"],
+        ["Laoag",18.2,120.59,"PH","Ilocos Norte"],
+        ["Sabara Bangou",15.12,2,"NE","Tillabéri"],
+        ["Moroni",-11.7,43.26,"KM","Grande Comore"],
+        ["Gafsa",34.42,8.78,"TN","Gafsa"],
+        ["Kintampo",8.05,-1.73,"GH","Bono East"],
+        ["Puerto Barrios",15.73,-88.6,"GT","Izabal"],
+        ["Kiffa",16.63,-11.4,"MR","Assaba"],
+        ["Franceville",-1.63,13.58,"GA","Haut-Ogooué"],
+        ["Ahuachapán",13.92,-89.85,"SV","Ahuachapán"],
+        ["Manzini",-26.48,31.37,"SZ","Manzini"],
+        ["Sonsonate",13.72,-89.72,"SV","Sonsonate"],
+        ["Masindi",1.68,31.72,"UG","Masindi"],
+        ["Rochdale",53.61,-2.16,"GB","Rochdale"],
+        ["Montego Bay",18.47,-77.92,"JM","Saint James"],
+        ["Bridgetown",13.1,-59.62,"BB","Saint Michael"],
+        ["Hualien",23.97,121.61,"TW","Hualien"],
+        ["Retalhuleu",14.53,-91.68,"GT","Retalhuleu"],
+        ["Doncaster",53.52,-1.13,"GB","Doncaster"],
+        ["Rotherham",53.43,-1.36,"GB","Rotherham"],
+        ["Glan",5.82,125.2,"PH","Sarangani"],
+        ["Bayugan",8.71,125.75,"PH","Agusan del Sur"],
+        ["Walthamstow",51.58,-0.02,"GB","Waltham Forest"],
+        ["Medenine",33.35,10.51,"TN","Médenine"],
+        ["Tacurong",6.68,124.67,"PH","Sultan Kudarat"],
+        ["Malacatán",14.91,-92.06,"GT","San Marcos"],
+        ["Béja",36.73,9.18,"TN","Béja"],
+        ["Taitung",22.76,121.14,"TW","Taitung"],
+        ["St. John's",47.48,-52.8,"CA","Newfoundland and Labrador"],
+        ["Maxixe",-23.87,35.35,"MZ","Inhambane"],
+        ["Kasserine",35.17,8.83,"TN","Kasserine"],
+        ["Maţrūḩ",31.35,27.23,"EG","Maţrūḩ"],
+        ["Moncton",46.13,-64.77,"CA","New Brunswick"],
+        ["Ferizaj",42.37,21.17,"XK","Ferizaj"],
+        ["Mascara",35.4,0.13,"DZ","Mascara"],
+        ["Khenchela",35.42,7.13,"DZ","Khenchela"],
+        ["Yāsūj",30.67,51.59,"IR","Kohgīlūyeh va Bowyer Aḩmad"],
+        ["Mopti",14.49,-4.18,"ML","Mopti"],
+        ["Birnin Kebbi",12.45,4.2,"NG","Kebbi"],
+        ["Sarh",9.15,18.38,"TD","Moyen-Chari"],
+        ["Žilina",49.22,18.74,"SK","Žilina"],
+        ["Douliu",23.71,120.54,"TW","Yunlin"],
+        ["Labé",11.32,-12.28,"GN","Labé"],
+        ["Maidstone",51.27,0.53,"GB","Kent"],
+        ["Emmen",52.78,6.9,"NL","Drenthe"],
+        ["Shinyanga",-3.66,33.42,"TZ","Shinyanga"],
+        ["Basingstoke",51.27,-1.09,"GB","Hampshire"],
+        ["Wa",10.07,-2.5,"GH","Upper West"],
+        ["Šiauliai",55.93,23.32,"LT","Šiaulių Miestas"],
+        ["Botoşani",47.75,26.67,"RO","Botoşani"],
+        ["Erdenet",49.03,104.04,"MN","Orhon"],
+        ["Nakhon Si Thammarat",8.44,99.96,"TH","Nakhon Si Thammarat"],
+        ["Kŭlob",37.91,69.78,"TJ","Khatlon"],
+        ["Ad Dakhla",23.71,-15.95,"MA","Dakhla-Oued Ed-Dahab"],
+        ["Dagenham",51.54,0.14,"GB","Barking and Dagenham"],
+        ["Mingəçevir",40.77,47.05,"AZ","Mingəçevir"],
+        ["Lokossa",6.63,1.72,"BJ","Mono"],
+        ["Sơn La",21.33,103.91,"VN","Sơn La"],
+        ["Toufen",24.68,120.91,"TW","Miaoli"],
+        ["Mityana",0.4,32.04,"UG","Mityana"],
+        ["Granada",11.93,-85.96,"NI","Granada"],
+        ["Yozgat",39.82,34.81,"TR","Yozgat"],
+        ["Sultan Kudarat",7.23,124.25,"PH","Maguindanao"],
+        ["Tagbilaran City",9.65,123.85,"PH","Bohol"],
+        ["Monastir",35.77,10.82,"TN","Monastir"],
+        ["Masbate",12.27,123.58,"PH","Masbate"],
+        ["Liberec",50.77,15.07,"CZ","Liberecký Kraj"],
+        ["Gillingham",51.39,0.55,"GB","Medway"],
+        ["Maldonado",-34.9,-54.95,"UY","Maldonado"],
+        ["Thimphu",27.47,89.64,"BT","Thimphu"],
+        ["Séguéla",7.97,-6.67,"CI","Woroba"],
+        ["Dolisie",-4.2,12.67,"CG","Niari"],
+        ["Salford",53.48,-2.29,"GB","Salford"],
+        ["Masaka",-0.34,31.74,"UG","Masaka"],
+        ["Kilinochchi",9.4,80.4,"LK","North Central"],
+        ["Pazardzhik",42.2,24.33,"BG","Pazardzhik"],
+        ["Wigan",53.54,-2.63,"GB","Wigan"],
+        ["Elista",46.32,44.27,"RU","Kalmykiya"],
+        ["Musoma",-1.5,33.8,"TZ","Mara"],
+        ["Mubende",0.56,31.4,"UG","Mubende"],
+        ["Francistown",-21.17,27.51,"BW","Francistown"],
+        ["Hounslow",51.47,-0.37,"GB","Hounslow"],
+        ["Bumba",2.18,22.47,"CD","Mongala"],
+        ["Mazatenango",14.53,-91.5,"GT","Suchitepéquez"],
+        ["Santa Rosa",-36.62,-64.28,"AR","La Pampa"],
+        ["Wembley",51.55,-0.3,"GB","Brent"],
+        ["Hinche",19.15,-72.02,"HT","Centre"],
+        ["Saint Helens",53.45,-2.75,"GB","St. Helens"],
+        ["Bălţi",47.77,27.92,"MD","Bălţi"],
+        ["Satu Mare",47.79,22.89,"RO","Satu Mare"],
+        ["Arafat",18.05,-15.97,"MR","Nouakchott Sud"],
+        ["Şabrātah",32.79,12.48,"LY","An Nuqāţ al Khams"],
+        ["Worcester",52.19,-2.22,"GB","Worcestershire"],
+        ["‘Ibrī",23.23,56.5,"OM","Az̧ Z̧āhirah"],
+        ["Nantou",23.92,120.68,"TW","Nantou"],
+        ["Eastbourne",50.77,0.28,"GB","East Sussex"],
+        ["Klagenfurt",46.62,14.3,"AT","Kärnten"],
+        ["Hikkaduwa",6.15,80.11,"LK","Southern"],
+        ["Chaguanas",10.52,-61.4,"TT","Chaguanas"],
+        ["Ngã Bảy",9.82,105.82,"VN","Hậu Giang"],
+        ["Zomba",-15.38,35.33,"MW","Zomba"],
+        ["Daoukro",7.05,-3.97,"CI","Lacs"],
+        ["Vimmerby",57.67,15.85,"SE","Kalmar"],
+        ["Ancona",43.62,13.52,"IT","Marche"],
+        ["Xırdalan",40.45,49.76,"AZ","Abşeron"],
+        ["Leer",8.3,30.15,"SS","Unity"],
+        ["Yên Bái",21.7,104.87,"VN","Yên Bái"],
+        ["Port Blair",11.67,92.74,"IN","Andaman and Nicobar Islands"],
+        ["Kpalimé",6.9,0.63,"TG","Plateaux"],
+        ["Gangtok",27.33,88.62,"IN","Sikkim"],
+        ["Zahlé",33.83,35.92,"LB","Béqaa"],
+        ["Vāsco Da Gāma",15.4,73.81,"IN","Goa"],
+        ["Bāmyān",34.83,67.83,"AF","Bāmyān"],
+        ["Dzolokpuita",6.79,0.44,"GH","Volta"],
+        ["Gwelej",14.75,36.72,"ER","Gash-Barka"],
+        ["Mumias",0.33,34.48,"KE","Kakamega"],
+        ["Songea",-10.68,35.65,"TZ","Ruvuma"],
+        ["Pouytenga",12.25,-0.43,"BF","Centre-Est"],
+        ["Sololá",14.77,-91.18,"GT","Sololá"],
+        ["Dunedin",-45.87,170.5,"NZ","Otago"],
+        ["Nabire",-3.37,135.5,"ID","Papua Tengah"],
+        ["Sundsvall",62.4,17.32,"SE","Västernorrland"],
+        ["Geita",-2.87,32.23,"TZ","Geita"],
+        ["Jinotega",13.09,-86,"NI","Jinotega"],
+        ["Bislig",8.21,126.32,"PH","Surigao del Sur"],
+        ["Viseu",40.67,-7.92,"PT","Viseu"],
+        ["Wakefield",53.68,-1.49,"GB","Wakefield"],
+        ["Kohīma",25.67,94.1,"IN","Nāgāland"],
+        ["Sisophon",13.58,102.98,"KH","Banteay Meanchey"],
+        ["Nyeri",-0.42,36.95,"KE","Nyeri"],
+        ["Râmnicu Vâlcea",45.1,24.38,"RO","Vâlcea"],
+        ["Sopron",47.68,16.58,"HU","Sopron"],
+        ["Chipata",-13.65,32.65,"ZM","Eastern"],
+        ["Silvassa",20.27,73.02,"IN","Dādra and Nagar Haveli and Damān and Diu"],
+        ["Catarman",12.5,124.63,"PH","Northern Samar"],
+        ["Janakpur",26.73,85.93,"NP","Madhesh"],
+        ["Radès",36.77,10.28,"TN","Ben Arous"],
+        ["Hammamet",36.4,10.62,"TN","Nabeul"],
+        ["Pernik",42.6,23.03,"BG","Pernik"],
+        ["Maribor",46.56,15.65,"SI","Maribor"],
+        ["Gävle",60.67,17.14,"SE","Gävleborg"],
+        ["Tumbes",-3.57,-80.46,"PE","Tumbes"],
+        ["Paletwa",21.3,92.85,"MM","Chin State"],
+        ["Arauca",7.09,-70.76,"CO","Arauca"],
+        ["Oldham",53.54,-2.12,"GB","Oldham"],
+        ["Half Way Tree",18.01,-76.78,"JM","Saint Andrew"],
+        ["Kelo",9.31,15.81,"TD","Tandjilé"],
+        ["Chārīkār",35.01,69.17,"AF","Parwān"],
+        ["Çankırı",40.6,33.62,"TR","Çankırı"],
+        ["Hammersmith",51.49,-0.22,"GB","Hammersmith and Fulham"],
+        ["Río Gallegos",-51.62,-69.22,"AR","Santa Cruz"],
+        ["Tataouine",32.93,10.45,"TN","Tataouine"],
+        ["Labuan",5.3,115.22,"MY","Labuan"],
+        ["Naxçıvan",39.21,45.41,"AZ","Naxçıvan"],
+        ["Hemel Hempstead",51.75,-0.47,"GB","Hertfordshire"],
+        ["Kimilili",0.78,34.72,"KE","Bungoma"],
+        ["Mbabane",-26.32,31.16,"SZ","Hhohho"],
+        ["Bath",51.38,-2.36,"GB","Bath and North East Somerset"],
+        ["Gjakovë",42.38,20.43,"XK","Gjakovë"],
+        ["Prizren",42.21,20.74,"XK","Prizren"],
+        ["Gatchina",59.57,30.12,"RU","Leningradskaya Oblast’"],
+        ["České Budějovice",48.97,14.47,"CZ","Jihočeský Kraj"],
+        ["Monkayo",7.82,126.05,"PH","Davao de Oro"],
+        ["Đông Hà",16.83,107.1,"VN","Quảng Trị"],
+        ["Al Fujayrah",25.12,56.33,"AE","Al Fujayrah"],
+        ["Magadan",59.57,150.8,"RU","Magadanskaya Oblast’"],
+        ["Wimbledon",51.42,-0.21,"GB","Merton"],
+        ["Tatvan",38.5,42.28,"TR","Bitlis"],
+        ["Hradec Králové",50.21,15.83,"CZ","Královéhradecký Kraj"],
+        ["Drobeta-Turnu Severin",44.63,22.65,"RO","Mehedinţi"],
+        ["Mtwara",-10.27,40.18,"TZ","Mtwara"],
+        ["Bedford",52.14,-0.47,"GB","Bedford"],
+        ["Errachidia",31.93,-4.42,"MA","Drâa-Tafilalet"],
+        ["Darlington",54.53,-1.55,"GB","Darlington"],
+        ["Suceava",47.65,26.26,"RO","Suceava"],
+        ["Ústí nad Labem",50.66,14.04,"CZ","Ústecký Kraj"],
+        ["Umeå",63.83,20.26,"SE","Västerbotten"],
+        ["Bender",46.83,29.48,"MD","Bender"],
+        ["Pardubice",50.04,15.78,"CZ","Pardubický Kraj"],
+        ["Ţurayf",31.68,38.65,"SA","Al Ḩudūd ash Shamālīyah"],
+        ["Southport",53.65,-3.01,"GB","Sefton"],
+        ["Yao",12.85,17.56,"TD","Batha"],
+        ["Tartu",58.38,26.72,"EE","Tartu"],
+        ["Kendu Bay",-0.36,34.64,"KE","Homa Bay"],
+        ["Solwezi",-12.14,26.39,"ZM","North-Western"],
+        ["Vanadzor",40.81,44.49,"AM","Lorri"],
+        ["Dobrich",43.57,27.83,"BG","Dobrich"],
+        ["Orpington",51.37,0.1,"GB","Bromley"],
+        ["Valjevo",44.27,19.88,"RS","Valjevo"],
+        ["Masvingo",-20.07,30.83,"ZW","Masvingo"],
+        ["Balkanabat",39.52,54.37,"TM","Balkan"],
+        ["Ţarţūs",34.88,35.88,"SY","Ţarţūs"],
+        ["Ipil",7.78,122.59,"PH","Zamboanga Sibugay"],
+        ["Léré",9.77,14.15,"TD","Mayo-Kebbi-Ouest"],
+        ["Kalibo",11.71,122.37,"PH","Aklan"],
+        ["Jalal-Abad",40.93,73,"KG","Jalal-Abad"],
+        ["As Salţ",32.03,35.73,"JO","Al Balqā’"],
+        ["Hartlepool",54.69,-1.21,"GB","Hartlepool"],
+        ["Viana do Castelo",41.7,-8.83,"PT","Viana do Castelo"],
+        ["Danlí",14.03,-86.57,"HN","El Paraíso"],
+        ["Prešov",49,21.24,"SK","Prešov"],
+        ["Podujevë",42.92,21.2,"XK","Podujevë"],
+        ["Bertoua",4.58,13.68,"CM","Est"],
+        ["Grimsby",53.57,-0.08,"GB","North East Lincolnshire"],
+        ["Halifax",53.73,-1.86,"GB","Calderdale"],
+        ["Coronel Oviedo",-25.42,-56.45,"PY","Caaguazú"],
+        ["Janzūr",32.82,13.01,"LY","Al Jafārah"],
+        ["Al Wakrah",25.18,51.61,"QA","Al Wakrah"],
+        ["Ébolowa",2.92,11.15,"CM","Sud"],
+        ["Makeni",8.88,-12.04,"SL","Northern"],
+        ["Chester",53.19,-2.89,"GB","Cheshire West and Chester"],
+        ["Maasin",10.13,124.85,"PH","Southern Leyte"],
+        ["Norton",-17.88,30.7,"ZW","Mashonaland West"],
+        ["Nuneaton",52.52,-1.47,"GB","Warwickshire"],
+        ["Tucupita",9.06,-62.05,"VE","Delta Amacuro"],
+        ["Nakhon Sawan",15.71,100.14,"TH","Nakhon Sawan"],
+        ["Loznica",44.53,19.23,"RS","Loznica"],
+        ["Kalpitiya",8.17,79.72,"LK","North Western"],
+        ["Odienné",9.5,-7.57,"CI","Denguélé"],
+        ["Ciudad de Melilla",35.28,-2.95,"ES","Melilla"],
+        ["Sharūrah",17.48,47.12,"SA","Najrān"],
+        ["Kouvola",60.87,26.7,"FI","Kymenlaakso"],
+        ["Karakol",42.49,78.39,"KG","Ysyk-Köl"],
+        ["El Bayadh",33.68,1.02,"DZ","El Bayadh"],
+        ["Xuddur",4.12,43.89,"SO","Bakool"],
+        ["Batarasa",8.67,117.62,"PH","Palawan"],
+        ["Shumen",43.28,26.93,"BG","Shumen"],
+        ["Pori",61.48,21.8,"FI","Satakunta"],
+        ["Mitrovicë",42.88,20.87,"XK",""],
+        ["Louga",15.62,-16.22,"SN","Louga"],
+        ["Piatra Neamţ",46.93,26.37,"RO","Neamţ"],
+        ["Puerto Maldonado",-12.6,-69.18,"PE","Madre de Dios"],
+        ["Derry",54.99,-7.34,"GB","Derry and Strabane"],
+        ["Ealing",51.52,-0.3,"GB","Ealing"],
+        ["Bahlā’",22.97,57.3,"OM","Ad Dākhilīyah"],
+        ["Walvisbaai",-22.96,14.51,"NA","Erongo"],
+        ["Woolwich",51.49,0.06,"GB","Greenwich"],
+        ["Larnaca",34.92,33.63,"CY","Lárnaka"],
+        ["Veliko Tarnovo",43.08,25.62,"BG","Veliko Tarnovo"],
+        ["Heṭauḍā",27.42,85.03,"NP","Bāgmatī"],
+        ["Mādabā",31.72,35.8,"JO","Mādabā"],
+        ["Khemis Miliana",36.26,2.2,"DZ","Aïn Defla"],
+        ["Honiara",-9.43,159.96,"SB","Honiara"],
+        ["Osijek",45.56,18.69,"HR","Osječko-Baranjska Županija"],
+        ["Haskovo",41.93,25.57,"BG","Haskovo"],
+        ["Barahona",18.2,-71.1,"DO","Enriquillo"],
+        ["Hayes",51.51,-0.42,"GB","Hillingdon"],
+        ["Ciudad de Ceuta",35.89,-5.3,"ES","Ceuta"],
+        ["Nazareth",32.7,35.3,"IL","Northern"],
+        ["Reşiţa",45.3,21.89,"RO","Caraş-Severin"],
+        ["San Fernando",10.28,-61.47,"TT","San Fernando"],
+        ["Stockton-on-Tees",54.57,-1.32,"GB","Stockton-on-Tees"],
+        ["Chelghoum el Aïd",36.17,6.17,"DZ","Mila"],
+        ["Târgu Jiu",45.03,23.27,"RO","Gorj"],
+        ["Bilecik",40.14,29.98,"TR","Bilecik"],
+        ["Lucerne",47.05,8.3,"CH","Luzern"],
+        ["Apizaco",19.42,-98.13,"MX","Tlaxcala"],
+        ["Mpanda",-6.35,31.07,"TZ","Katavi"],
+        ["Port of Spain",10.67,-61.52,"TT","Port of Spain"],
+        ["Ahenkro",7.12,0.32,"GH","Oti"],
+        ["Daugavpils",55.88,26.54,"LV","Augšdaugava"],
+        ["Cabadbaran",9.12,125.53,"PH","Agusan del Norte"],
+        ["Tallaght",53.29,-6.36,"IE","South Dublin"],
+        ["Nabatîyé",33.38,35.45,"LB","Nabatîyé"],
+        ["Puerto Ayacucho",5.66,-67.63,"VE","Amazonas"],
+        ["Andahuaylas",-13.66,-73.38,"PE","Apurímac"],
+        ["Scunthorpe",53.58,-0.65,"GB","North Lincolnshire"],
+        ["Sremska Mitrovica",44.97,19.61,"RS","Sremska Mitrovica"],
+        ["Chiquimula",14.78,-89.53,"GT","Chiquimula"],
+        ["Târgovişte",44.92,25.46,"RO","Dâmboviţa"],
+        ["Mahdia",35.5,11.07,"TN","Mahdia"],
+        ["Galway",53.27,-9.05,"IE","Galway"],
+        ["Dudley",52.51,-2.09,"GB","Dudley"],
+        ["Ban Talat Rangsit",13.98,100.62,"TH","Pathum Thani"],
+        ["Focşani",45.7,27.18,"RO","Vrancea"],
+        ["Ubon Ratchathani",15.23,104.86,"TH","Ubon Ratchathani"],
+        ["Bistriţa",47.13,24.5,"RO","Bistriţa-Năsăud"],
+        ["Tambacounda",13.77,-13.67,"SN","Tambacounda"],
+        ["Nakhon Pathom",13.82,100.06,"TH","Nakhon Pathom"],
+        ["Bury",53.59,-2.3,"GB","Bury"],
+        ["Elbasan",41.11,20.08,"AL","Elbasan"],
+        ["Brixton",51.46,-0.12,"GB","Lambeth"],
+        ["Nitra",48.31,18.09,"SK","Nitra"],
+        ["Aveiro",40.63,-8.65,"PT","Aveiro"],
+        ["Banská Bystrica",48.74,19.15,"SK","Banská Bystrica"],
+        ["Kuacjok",8.31,27.99,"SS","Warrap"],
+        ["Faranah",10.03,-10.73,"GN","Faranah"],
+        ["Godāwari̇̄",28.91,80.59,"NP","Sudūrpashchim"],
+        ["Phuket",7.89,98.4,"TH","Phuket"],
+        ["Mansfield",53.14,-1.2,"GB","Nottinghamshire"],
+        ["Bracknell",51.42,-0.75,"GB","Bracknell Forest"],
+        ["Paisley",55.85,-4.42,"GB","Renfrewshire"],
+        ["Guildford",51.24,-0.57,"GB","Surrey"],
+        ["Berbérati",4.26,15.79,"CF","Mambéré-Kadéï"],
+        ["Mao",19.57,-71.08,"DO","Cibao Noroeste"],
+        ["Surt",31.21,16.59,"LY","Surt"],
+        ["Virac",13.58,124.23,"PH","Catanduanes"],
+        ["Zrenjanin",45.38,20.39,"RS","Zrenjanin"],
+        ["Edgware",51.62,-0.27,"GB","Barnet"],
+        ["Abéché",13.83,20.83,"TD","Ouaddaï"],
+        ["Khemis el Khechna",36.65,3.33,"DZ","Boumerdes"],
+        ["Cheyenne",41.14,-104.79,"US","Wyoming"],
+        ["Paysandú",-32.32,-58.08,"UY","Paysandú"],
+        ["Palmerston North",-40.35,175.61,"NZ","Manawatu-Wanganui"],
+        ["Pančevo",44.87,20.64,"RS","Pančevo"],
+        ["East Ham",51.53,0.06,"GB","Newham"],
+        ["Weston-super-Mare",51.35,-2.98,"GB","North Somerset"],
+        ["Tamanrasset",22.79,5.52,"DZ","Tamanrasset"],
+        ["Sankt Gallen",47.42,9.37,"CH","Sankt Gallen"],
+        ["Arta",11.52,42.85,"DJ","Arta"],
+        ["Aïn Temouchent",35.3,-1.14,"DZ","Aïn Temouchent"],
+        ["Joensuu",62.6,29.75,"FI","Pohjois-Karjala"],
+        ["Carlisle",54.89,-2.94,"GB","Cumbria"],
+        ["South Shields",55,-1.43,"GB","South Tyneside"],
+        ["Tissemsilt",35.61,1.81,"DZ","Tissemsilt"],
+        ["East Kilbride",55.76,-4.18,"GB","South Lanarkshire"],
+        ["Teyateyaneng",-29.15,27.74,"LS","Berea"],
+        ["Zacatecoluca",13.5,-88.87,"SV","La Paz"],
+        ["Newcastle under Lyme",53.01,-2.23,"GB","Staffordshire"],
+        ["Zadar",44.12,15.23,"HR","Zadarska Županija"],
+        ["Al Muḩarraq",26.25,50.62,"BH","Al Muḩarraq"],
+        ["Bombo",0.58,32.55,"UG","Luwero"],
+        ["Darhan",49.47,105.96,"MN","Darhan-Uul"],
+        ["Darhan",49.62,106.35,"MN","Selenge"],
+        ["Bitola",41.03,21.33,"MK","Bitola"],
+        ["Zlín",49.23,17.67,"CZ","Zlínský Kraj"],
+        ["Assab",13.02,42.73,"ER","Debubawi K’eyyĭḥ Baḥri"],
+        ["Karlstad",59.38,13.5,"SE","Värmland"],
+        ["Kara-Balta",42.83,73.85,"KG","Chüy"],
+        ["Prey Veng",11.48,105.32,"KH","Prey Veng"],
+        ["Sharm ash Shaykh",27.91,34.33,"EG","Janūb Sīnā’"],
+        ["Siuna",13.73,-84.78,"NI","Costa Caribe Norte"],
+        ["Tulcea",45.19,28.8,"RO","Tulcea"],
+        ["El Kef",36.18,8.71,"TN","Kef"],
+        ["Nandi Hills",0.1,35.18,"KE","Nandi"],
+        ["Birobidzhan",48.8,132.93,"RU","Yevreyskaya Avtonomnaya Oblast’"],
+        ["Bawku",11.05,-0.23,"GH","Upper East"],
+        ["Harrogate",53.99,-1.54,"GB","North Yorkshire"],
+        ["Cao Bằng",22.67,106.26,"VN","Cao Bằng"],
+        ["Blagoevgrad",42.01,23.09,"BG","Blagoevgrad"],
+        ["Lala",7.97,123.75,"PH","Lanao del Norte"],
+        ["Crewe",53.1,-2.44,"GB","Cheshire East"],
+        ["Fada Ngourma",12.05,0.37,"BF","Est"],
+        ["San José de las Lajas",22.97,-82.16,"CU","Mayabeque"],
+        ["Jinja",0.42,33.2,"UG","Jinja"],
+        ["Lappeenranta",61.07,28.18,"FI","Etelä-Karjala"],
+        ["Tocoa",15.68,-86,"HN","Colón"],
+        ["Borongan",11.61,125.44,"PH","Eastern Samar"],
+        ["San Andrés",12.58,-81.7,"CO","San Andrés y Providencia"],
+        ["Stara Pazova",44.98,20.17,"RS","Stara Pazova"],
+        ["Čačak",43.89,20.35,"RS","Čačak"],
+        ["Shrewsbury",52.71,-2.75,"GB","Shropshire"],
+        ["Tarīn Kōṯ",32.63,65.87,"AF","Uruzgān"],
+        ["Alexandroúpoli",40.85,25.87,"GR","Anatolikí Makedonía kai Thráki"],
+        ["Salamá",15.11,-90.32,"GT","Baja Verapaz"],
+        ["Lisburn",54.52,-6.03,"GB","Lisburn and Castlereagh"],
+        ["Halmstad",56.67,12.86,"SE","Halland"],
+        ["Ajaccio",41.93,8.74,"FR","Corsica"],
+        ["Sotik",-0.68,35.12,"KE","Bomet"],
+        ["Salima",-13.78,34.43,"MW","Salima"],
+        ["Sihanoukville",10.63,103.5,"KH","Preah Sihanouk"],
+        ["Nadi",-17.8,177.42,"FJ","Ba"],
+        ["Samraong",14.25,103.58,"KH","Oddar Meanchey"],
+        ["Phitsanulok",16.82,100.26,"TH","Phitsanulok"],
+        ["Kumanovo",42.13,21.71,"MK","Kumanovo"],
+        ["Zinjibār",13.13,45.38,"YE","Abyan"],
+        ["Yambol",42.48,26.5,"BG","Yambol"],
+        ["Şirvan",39.93,48.92,"AZ","Şirvan"],
+        ["Gardēz",33.6,69.22,"AF","Paktiyā"],
+        ["Loulé",37.15,-8,"PT","Faro"],
+        ["Chiang Rai",19.91,99.83,"TH","Chiang Rai"],
+        ["Mindelo",16.89,-24.99,"CV","São Vicente"],
+        ["Slatina",44.43,24.36,"RO","Olt"],
+        ["Şa‘dah",16.94,43.76,"YE","Şa‘dah"],
+        ["Érd",47.38,18.92,"HU","Pest"],
+        ["Castries",14.02,-60.98,"LC","Castries"],
+        ["Thakhèk",17.4,104.8,"LA","Khammouan"],
+        ["Điện Biên Phủ",21.38,103.02,"VN","Điện Biên"],
+        ["Badhan",10.71,48.33,"SO","Sanaag"],
+        ["Moquegua",-17.2,-70.93,"PE","Moquegua"],
+        ["Vushtrri",42.82,20.97,"XK","Vushtrri"],
+        ["Encarnación",-27.33,-55.87,"PY","Itapúa"],
+        ["Szolnok",47.17,20.2,"HU","Jász-Nagykun-Szolnok"],
+        ["Rhondda",51.62,-3.42,"GB","Rhondda Cynon Taff"],
+        ["La Chorrera",8.88,-79.78,"PA","Panamá Oeste"],
+        ["Kladno",50.15,14.1,"CZ","Středočeský Kraj"],
+        ["San José del Guaviare",2.57,-72.63,"CO","Guaviare"],
+        ["Ponta Delgada",37.74,-25.67,"PT","Azores"],
+        ["Bouira",36.38,3.9,"DZ","Bouira"],
+        ["Şəki",41.2,47.17,"AZ","Şəki"],
+        ["Adrar",27.87,-0.29,"DZ","Adrar"],
+        ["Lodja",-3.52,23.6,"CD","Sankuru"],
+        ["Tynemouth",55.02,-1.42,"GB","North Tyneside"],
+        ["Hämeenlinna",60.99,24.47,"FI","Kanta-Häme"],
+        ["Putrajaya",2.93,101.69,"MY","Putrajaya"],
+        ["Liepāja",56.51,21.01,"LV","Liepāja"],
+        ["Al Buraymī",24.26,55.78,"OM","Al Buraymī"],
+        ["Kamuli",0.95,33.13,"UG","Kamuli"],
+        ["Bayombong",16.48,121.15,"PH","Nueva Vizcaya"],
+        ["Apac",1.99,32.53,"UG","Apac"],
+        ["Vaasa",63.1,21.62,"FI","Pohjanmaa"],
+        ["Molepolole",-24.41,25.5,"BW","Kweneng"],
+        ["Walsall",52.58,-1.98,"GB","Walsall"],
+        ["Ayolas",-27.4,-56.9,"PY","Misiones"],
+        ["Eskilstuna",59.37,16.51,"SE","Södermanland"],
+        ["Tejen",37.38,60.5,"TM","Ahal"],
+        ["Potenza",40.63,15.8,"IT","Basilicata"],
+        ["Kozáni",40.3,21.78,"GR","Dytikí Makedonía"],
+        ["Río Grande",-53.78,-67.7,"AR","Tierra del Fuego, Antártida e Islas del Atlántico Sur"],
+        ["Nueva Guinea",11.69,-84.46,"NI","Costa Caribe Sur"],
+        ["Kati",12.75,-8.08,"ML","Koulikoro"],
+        ["Grays",51.48,0.33,"GB","Thurrock"],
+        ["Kraljevo",43.72,20.69,"RS","Kraljevo"],
+        ["Karlskrona",56.16,15.59,"SE","Blekinge"],
+        ["Bayburt",40.26,40.23,"TR","Bayburt"],
+        ["Nālūt",31.87,10.98,"LY","Nālūt"],
+        ["Novi Pazar",43.15,20.52,"RS","Novi Pazar"],
+        ["Zacapa",14.97,-89.53,"GT","Zacapa"],
+        ["Växjö",56.88,14.81,"SE","Kronoberg"],
+        ["Prilep",41.35,21.55,"MK","Prilep"],
+        ["Goz-Beida",12.22,21.41,"TD","Sila"],
+        ["Garissa",-0.46,39.66,"KE","Garissa"],
+        ["Arima",10.63,-61.28,"TT","Arima"],
+        ["Trnava",48.38,17.59,"SK","Trnava"],
+        ["Villa Curuguaty",-24.48,-55.71,"PY","Canindeyú"],
+        ["Torquay",50.47,-3.53,"GB","Torbay"],
+        ["Pateros",14.54,121.07,"PH",""],
+        ["Călăraşi",44.2,27.33,"RO","Călăraşi"],
+        ["Tatabánya",47.59,18.39,"HU","Komárom-Esztergom"],
+        ["San Jose",10.74,121.94,"PH","Antique"],
+        ["Mecheria",33.55,-0.28,"DZ","Naama"],
+        ["Popondetta",-8.77,148.23,"PG","Northern"],
+        ["Wamena",-4.1,138.95,"ID","Papua Pegunungan"],
+        ["Sandefjord",59.13,10.22,"NO","Vestfold og Telemark"],
+        ["Busia",0.47,34.09,"UG","Busia"],
+        ["Chiquimulilla",14.09,-90.38,"GT","Santa Rosa"],
+        ["As Suwaydā’",32.71,36.57,"SY","As Suwaydā’"],
+        ["Faīẕābād",37.12,70.58,"AF","Badakhshān"],
+        ["Kensington",51.5,-0.19,"GB","Kensington and Chelsea"],
+        ["Rivera",-30.9,-55.55,"UY","Rivera"],
+        ["Sokhumi",43,41.02,"GE","Abkhazia"],
+        ["Alba Iulia",46.07,23.57,"RO","Alba"],
+        ["Seinäjoki",62.79,22.84,"FI","Etelä-Pohjanmaa"],
+        ["Qal‘ah-ye Now",34.99,63.13,"AF","Bādghīs"],
+        ["Latacunga",-0.93,-78.62,"EC","Cotopaxi"],
+        ["Magong",23.57,119.58,"TW","Penghu"],
+        ["Dédougou",12.47,-3.47,"BF","Boucle du Mouhoun"],
+        ["Paphos",34.77,32.42,"CY","Páfos"],
+        ["Maidenhead",51.52,-0.72,"GB","Windsor and Maidenhead"],
+        ["Merthyr Tudful",51.74,-3.38,"GB","Merthyr Tydfil"],
+        ["Velika Gorica",45.7,16.07,"HR","Zagrebačka Županija"],
+        ["Rundu",-17.92,19.77,"NA","Kavango East"],
+        ["Kitale",1.02,35,"KE","Trans Nzoia"],
+        ["Gorno-Altaysk",51.96,85.96,"RU","Altay"],
+        ["Anuradhapura",8.34,80.41,"LK","Northern"],
+        ["Lugano",46.01,8.95,"CH","Ticino"],
+        ["Puerto Asís",0.52,-76.5,"CO","Putumayo"],
+        ["Vaslui",46.64,27.73,"RO","Vaslui"],
+        ["Hereford",52.06,-2.72,"GB","Herefordshire"],
+        ["Beledweyne",4.74,45.2,"SO","Hiiraan"],
+        ["Kayes",-4.17,13.29,"CG","Bouenza"],
+        ["Rovaniemi",66.5,25.73,"FI","Lappi"],
+        ["Wundanyi",-3.4,38.36,"KE","Taita/Taveta"],
+        ["Kolda",12.88,-14.95,"SN","Kolda"],
+        ["Napier",-39.49,176.92,"NZ","Hawke’s Bay"],
+        ["Santarém",39.23,-8.69,"PT","Santarém"],
+        ["Twickenham",51.45,-0.34,"GB","Richmond upon Thames"],
+        ["Madang",-5.22,145.8,"PG","Madang"],
+        ["Rayong",12.67,101.28,"TH","Rayong"],
+        ["Runcorn",53.34,-2.73,"GB","Halton"],
+        ["Saraburi",14.53,100.91,"TH","Saraburi"],
+        ["Vratsa",43.2,23.55,"BG","Vratsa"],
+        ["Karonga",-9.93,33.93,"MW","Karonga"],
+        ["Wrecsam",53.05,-2.99,"GB","Wrexham"],
+        ["Wandsworth",51.46,-0.19,"GB","Wandsworth"],
+        ["Cayenne",4.93,-52.33,"GF",""],
+        ["Ilobasco",13.84,-88.85,"SV","Cabañas"],
+        ["Djibo",14.1,-1.63,"BF","Sahel"],
+        ["Candon",17.2,120.45,"PH","Ilocos Sur"],
+        ["Gia Nghĩa",11.98,107.7,"VN","Đắk Nông"],
+        ["Giurgiu",43.9,25.97,"RO","Giurgiu"],
+        ["Kindamba",-3.73,14.52,"CG","Pool"],
+        ["Yala",6.54,101.28,"TH","Yala"],
+        ["Coyhaique",-45.57,-72.07,"CL","Aysén"],
+        ["Bocaranga",6.98,15.64,"CF","Ouham-Pendé"],
+        ["Deva",45.88,22.91,"RO","Hunedoara"],
+        ["Dar Naim",18.03,-15.97,"MR","Nouakchott Nord"],
+        ["Santa Rosa de Copán",14.77,-88.78,"HN","Copán"],
+        ["Bangor",54.66,-5.67,"GB","Ards and North Down"],
+        ["Soroti",1.72,33.61,"UG","Soroti"],
+        ["Fort Portal",0.65,30.27,"UG","Kabarole"],
+        ["Puerto Limón",10,-83.08,"CR","Limón"],
+        ["Oyem",1.6,11.57,"GA","Woleu-Ntem"],
+        ["Kyustendil",42.28,22.68,"BG","Kyustendil"],
+        ["Trang",7.56,99.61,"TH","Trang"],
+        ["Juigalpa",12.11,-85.37,"NI","Chontales"],
+        ["Taunton",51.02,-3.1,"GB","Somerset"],
+        ["Leskovac",43,21.95,"RS","Leskovac"],
+        ["Samut Sakhon",13.55,100.28,"TH","Samut Sakhon"],
+        ["Horqueta",-23.34,-57.04,"PY","Concepción"],
+        ["Kratie",12.48,106.03,"KH","Kratie"],
+        ["Banane",0.5,38.67,"KE","Isiolo"],
+        ["Kakuma",3.72,34.87,"KE","Turkana"],
+        ["Loughborough",52.77,-1.2,"GB","Leicestershire"],
+        ["Nkhotakota",-12.92,34.3,"MW","Nkhotakota"],
+        ["Užice",43.85,19.85,"RS","Užice"],
+        ["Suharekë",42.38,20.82,"XK","Suharekë"],
+        ["Itānagar",27.1,93.62,"IN","Arunāchal Pradesh"],
+        ["Hua Hin",12.57,99.96,"TH","Prachuap Khiri Khan"],
+        ["Ruhengeri",-1.5,29.63,"RW","Northern Province"],
+        ["Artemisa",22.81,-82.76,"CU","Artemisa"],
+        ["Chalkída",38.46,23.6,"GR","Stereá Elláda"],
+        ["Antigua Guatemala",14.57,-90.73,"GT","Sacatepéquez"],
+        ["Yevlax",40.62,47.15,"AZ","Yevlax"],
+        ["Cerro de Pasco",-10.69,-76.26,"PE","Pasco"],
+        ["Manouba",36.81,10.1,"TN","Manouba"],
+        ["Kruševac",43.58,21.33,"RS","Kruševac"],
+        ["Dosso",13.05,3.2,"NE","Dosso"],
+        ["Kasungu",-13.03,33.48,"MW","Kasungu"],
+        ["Aketi",2.73,23.75,"CD","Bas-Uélé"],
+        ["Gllogovc",42.62,20.89,"XK","Gllogovc"],
+        ["Limerick",52.67,-8.62,"IE","Limerick"],
+        ["Pursat",12.53,103.92,"KH","Pursat"],
+        ["Şatrovka",39.93,48.92,"AZ","Salyan"],
+        ["Naval",11.58,124.45,"PH","Biliran"],
+        ["Dapaong",10.87,0.2,"TG","Savanes"],
+        ["Békéscsaba",46.68,21.09,"HU","Békés"],
+        ["Nausori",-18.02,178.55,"FJ","Tailevu"],
+        ["Lipjan",42.53,21.14,"XK","Lipjan"],
+        ["Diriamba",11.86,-86.24,"NI","Carazo"],
+        ["Ejmiatsin",40.17,44.29,"AM","Armavir"],
+        ["Wiwilí",13.62,-85.82,"NI","Nueva Segovia"],
+        ["Nacaome",13.53,-87.48,"HN","Valle"],
+        ["Boac",13.45,121.83,"PH","Marinduque"],
+        ["Gümüşhane",40.46,39.48,"TR","Gümüşhane"],
+        ["Villa Hayes",-25.1,-57.57,"PY","Presidente Hayes"],
+        ["Belize City",17.5,-88.19,"BZ","Belize"],
+        ["Sarapiquí",10.49,-83.94,"CR","Heredia"],
+        ["Maun",-19.98,23.42,"BW","North West"],
+        ["Mafeteng",-29.82,27.25,"LS","Mafeteng"],
+        ["Pula",44.87,13.85,"HR","Istarska Županija"],
+        ["Nikšić",42.78,18.95,"ME","Nikšić"],
+        ["Ródos",36.44,28.22,"GR","Nótio Aigaío"],
+        ["Kitgum",3.29,32.88,"UG","Kitgum"],
+        ["Caacupé",-25.39,-57.14,"PY","Cordillera"],
+        ["Miragoâne",18.45,-73.09,"HT","Nippes"],
+        ["Slavonski Brod",45.17,18.02,"HR","Brodsko-Posavska Županija"],
+        ["Évora",38.57,-7.9,"PT","Évora"],
+        ["Wote",-1.78,37.63,"KE","Makueni"],
+        ["Villarrica",-25.75,-56.43,"PY","Guairá"],
+        ["Zouerate",22.73,-12.47,"MR","Tiris Zemmour"],
+        ["Rahovec",42.4,20.65,"XK","Rahovec"],
+        ["Zalău",47.19,23.06,"RO","Sălaj"],
+        ["São Tomé",0.34,6.73,"ST","Água Grande"],
+        ["Castelo Branco",39.82,-7.5,"PT","Castelo Branco"],
+        ["Diffun",16.59,121.5,"PH","Quirino"],
+        ["Mendi",-6.15,143.66,"PG","Southern Highlands"],
+        ["Intibucá",14.32,-88.17,"HN","Intibucá"],
+        ["Sfântu-Gheorghe",45.86,25.79,"RO","Covasna"],
+        ["Ohrid",41.12,20.8,"MK","Ohrid"],
+        ["Tursunzoda",38.51,68.23,"TJ","Nohiyahoi Tobei Jumhurí"],
+        ["Guliston",40.48,68.78,"UZ","Sirdaryo"],
+        ["Trenčín",48.89,18.04,"SK","Trenčin"],
+        ["Hà Giang",22.83,104.98,"VN","Hà Giang"],
+        ["Sankt Pölten",48.2,15.62,"AT","Niederösterreich"],
+        ["San Agustín Acasaguastlán",14.95,-89.97,"GT","El Progreso"],
+        ["Zalaegerszeg",46.84,16.85,"HU","Zala"],
+        ["Jelgava",56.65,23.71,"LV","Jelgava"],
+        ["Vranje",42.55,21.9,"RS","Vranje"],
+        ["Santa Cruz",10.24,-85.64,"CR","Guanacaste"],
+        ["Lampang",18.3,99.5,"TH","Lampang"],
+        ["Tacuarembó",-31.73,-55.98,"UY","Tacuarembó"],
+        ["Mikkeli",61.68,27.27,"FI","Etelä-Savo"],
+        ["Gabrovo",42.87,25.33,"BG","Gabrovo"],
+        ["Terneuzen",51.33,3.83,"NL","Zeeland"],
+        ["Weymouth",50.61,-2.46,"GB","Dorset"],
+        ["Ruma",45,19.83,"RS","Ruma"],
+        ["Gjilan",42.46,21.47,"XK","Gjilan"],
+        ["Chèddra",13.44,16.05,"TD","Barh-El-Gazel"],
+        ["New Plymouth",-39.06,174.07,"NZ","Taranaki"],
+        ["Iganga",0.62,33.49,"UG","Iganga"],
+        ["Louangphabang",19.88,102.13,"LA","Louangphabang"],
+        ["Sakon Nakhon",17.16,104.15,"TH","Sakon Nakhon"],
+        ["Tulcán",0.81,-77.72,"EC","Carchi"],
+        ["Popeşti-Leordeni",44.38,26.17,"RO","Ilfov"],
+        ["Narva",59.38,28.2,"EE","Narva"],
+        ["San Vicente",13.65,-88.78,"SV","San Vicente"],
+        ["Kabale",-1.25,29.99,"UG","Kabale"],
+        ["Karlovac",45.48,15.55,"HR","Karlovačka Županija"],
+        ["Dunfermline",56.07,-3.44,"GB","Fife"],
+        ["Targovishte",43.25,26.58,"BG","Targovishte"],
+        ["Kalamáta",37.04,22.11,"GR","Pelopónnisos"],
+        ["San Estanislao",-24.65,-56.43,"PY","San Pedro"],
+        ["Phra Nakhon Si Ayutthaya",14.35,100.56,"TH","Phra Nakhon Si Ayutthaya"],
+        ["Maha Sarakham",16.18,103.3,"TH","Maha Sarakham"],
+        ["Hrazdan",40.5,44.77,"AM","Kotayk’"],
+        ["Bodø",67.28,14.38,"NO","Nordland"],
+        ["Madīnat Ḩamad",26.11,50.51,"BH","Ash Shamālīyah"],
+        ["Marondera",-18.19,31.55,"ZW","Mashonaland East"],
+        ["Ålesund",62.47,6.16,"NO","Møre og Romsdal"],
+        ["Takeo",10.98,104.78,"KH","Takeo"],
+        ["Ad Dabbah",18.05,30.95,"SD","Northern"],
+        ["Roskilde",55.65,12.08,"DK","Sjælland"],
+        ["Alytus",54.4,24.05,"LT","Alytaus Miestas"],
+        ["Vila Real",41.3,-7.75,"PT","Vila Real"],
+        ["Kardzhali",41.65,25.37,"BG","Kardzhali"],
+        ["Melo",-32.37,-54.18,"UY","Cerro Largo"],
+        ["Aguadulce",8.24,-80.54,"PA","Coclé"],
+        ["Barri",51.41,-3.27,"GB","Vale of Glamorgan, The"],
+        ["Sombor",45.78,19.12,"RS","Sombor"],
+        ["Port-Vila",-17.73,168.32,"VU","Shefa"],
+        ["Mangochi",-14.47,35.27,"MW","Mangochi"],
+        ["Lənkəran",38.75,48.85,"AZ","Lənkəran"],
+        ["Kyzyl-Kyya",40.26,72.13,"KG","Batken"],
+        ["Eger",47.9,20.37,"HU","Heves"],
+        ["Korçë",40.62,20.77,"AL","Korçë"],
+        ["Jihlava",49.4,15.59,"CZ","Vysočina"],
+        ["Sar-e Pul",36.22,65.93,"AF","Sar-e Pul"],
+        ["Rosso",16.51,-15.8,"MR","Trarza"],
+        ["Cumbernauld",55.95,-3.99,"GB","North Lanarkshire"],
+        ["Skenderaj",42.75,20.79,"XK","Skenderaj"],
+        ["Livingston",55.88,-3.52,"GB","West Lothian"],
+        ["Whangarei",-35.72,174.32,"NZ","Northland"],
+        ["Jarash",32.27,35.89,"JO","Jarash"],
+        ["Mahalapye",-23.1,26.8,"BW","Central"],
+        ["Neath",51.66,-3.81,"GB","Neath Port Talbot"],
+        ["Jūrmala",56.97,23.77,"LV","Jūrmala"],
+        ["Gbadolite",4.28,21,"CD","Nord-Ubangi"],
+        ["Maḩmūd-e Rāqī",35.02,69.33,"AF","Kāpīsā"],
+        ["Bangued",17.6,120.62,"PH","Abra"],
+        ["Chbar Mon",11.45,104.5,"KH","Kampong Speu"],
+        ["Ma‘ān",30.2,35.73,"JO","Ma‘ān"],
+        ["Cojutepeque",13.72,-88.93,"SV","Cuscatlán"],
+        ["Kabarore",-1.62,30.39,"RW","Eastern Province"],
+        ["Vidin",44,22.87,"BG","Vidin"],
+        ["Gracias",14.58,-88.58,"HN","Lempira"],
+        ["Bandar Seri Begawan",4.89,114.94,"BN","Brunei dan Muara"],
+        ["Semera",11.79,41.01,"ET","Āfar"],
+        ["Kahemba",-7.28,19,"CD","Kwango"],
+        ["Aarsâl",34.18,36.42,"LB","Baalbek-Hermel"],
+        ["Al Khārjah",25.44,30.55,"EG","Al Wādī al Jadīd"],
+        ["Chake Chake",-5.24,39.77,"TZ","Pemba South"],
+        ["Xankəndi",39.82,46.75,"AZ","Xankəndi"],
+        ["Östersund",63.18,14.64,"SE","Jämtland"],
+        ["Selibe Phikwe",-21.98,27.84,"BW","Selibe Phikwe"],
+        ["Huancavelica",-12.79,-74.98,"PE","Huancavelica"],
+        ["Mpigi",0.23,32.33,"UG","Mpigi"],
+        ["Gao",16.27,-0.05,"ML","Gao"],
+        ["Pen-y-Bont ar Ogwr",51.51,-3.58,"GB","Bridgend"],
+        ["Odiongan",12.4,122,"PH","Romblon"],
+        ["Campobasso",41.57,14.67,"IT","Molise"],
+        ["Kaédi",16.15,-13.51,"MR","Gorgol"],
+        ["Luleå",65.58,22.15,"SE","Norrbotten"],
+        ["Pejë",42.66,20.29,"XK","Pejë"],
+        ["Kangar",6.43,100.2,"MY","Perlis"],
+        ["Couva",10.42,-61.45,"TT","Couva/Tabaquite/Talparo"],
+        ["Nueva Loja",0.08,-76.88,"EC","Sucumbíos"],
+        ["Cwmbran",51.65,-3.02,"GB","Torfaen"],
+        ["Asadābād",34.87,71.15,"AF","Kunaṟ"],
+        ["Waterford",52.26,-7.13,"IE","Waterford"],
+        ["Karlovy Vary",50.23,12.87,"CZ","Karlovarský Kraj"],
+        ["Mandeville",18.03,-77.5,"JM","Manchester"],
+        ["Upper Buchanan",5.92,-10.05,"LR","Grand Bassa"],
+        ["Nong Khai",17.87,102.74,"TH","Nong Khai"],
+        ["Gori",41.98,44.11,"GE","Shida Kartli"],
+        ["Faya",17.92,19.12,"TD","Borkou"],
+        ["Durham",54.78,-1.57,"GB","Durham"],
+        ["Dornbirn",47.42,9.75,"AT","Vorarlberg"],
+        ["Kanye",-24.98,25.35,"BW","Southern"],
+        ["Birendranagar",28.6,81.63,"NP","Karṇālī"],
+        ["Leribe",-28.87,28.04,"LS","Leribe"],
+        ["Invercargill",-46.41,168.35,"NZ","Southland"],
+        ["Yumbe",3.47,31.25,"UG","Yumbe"],
+        ["Kokkola",63.84,23.13,"FI","Keski-Pohjanmaa"],
+        ["Puerto Lempira",15.27,-83.77,"HN","Gracias a Dios"],
+        ["Inđija",45.05,20.08,"RS","Inđija"],
+        ["Perth",56.4,-3.43,"GB","Perth and Kinross"],
+        ["Inverness",57.48,-4.22,"GB","Highland"],
+        ["New Amsterdam",6.25,-57.52,"GY","East Berbice-Corentyne"],
+        ["Nagykanizsa",46.46,16.99,"HU","Nagykanizsa"],
+        ["Xam Nua",20.42,104.05,"LA","Houaphan"],
+        ["Ayr",55.46,-4.63,"GB","South Ayrshire"],
+        ["Wokingham",51.41,-0.84,"GB","Wokingham"],
+        ["Njombe",-9.33,34.77,"TZ","Njombe"],
+        ["Aweil",8.78,27.4,"SS","Northern Bahr el Ghazal"],
+        ["Ḩajjah",15.7,43.6,"YE","Ḩajjah"],
+        ["Nelson",-41.27,173.28,"NZ","Nelson"],
+        ["Kilmarnock",55.61,-4.5,"GB","East Ayrshire"],
+        ["Šibenik",43.74,15.89,"HR","Šibensko-Kninska Županija"],
+        ["Bindura",-17.3,31.33,"ZW","Mashonaland Central"],
+        ["Farim",12.48,-15.22,"GW","Oio"],
+        ["Cobija",-11.03,-68.73,"BO","Pando"],
+        ["Chitré",7.97,-80.43,"PA","Herrera"],
+        ["Santiago",8.1,-80.98,"PA","Veraguas"],
+        ["Freeport City",26.53,-78.7,"BS","City of Freeport"],
+        ["Slobozia",44.56,27.37,"RO","Ialomiţa"],
+        ["Gbarnga",7,-9.47,"LR","Bong"],
+        ["Yambio",4.57,28.38,"SS","Western Equatoria"],
+        ["Tindouf",27.68,-8.13,"DZ","Tindouf"],
+        ["Nueva Gerona",21.88,-82.8,"CU","Isla de la Juventud"],
+        ["Salisbury",51.07,-1.79,"GB","Wiltshire"],
+        ["Alexandria",43.97,25.33,"RO","Teleorman"],
+        ["Birāk",27.53,14.28,"LY","Wādī ash Shāţi’"],
+        ["Erith",51.48,0.18,"GB","Bexley"],
+        ["Radā‘",14.42,44.84,"YE","Al Bayḑā’"],
+        ["Ashton",53.49,-2.1,"GB","Tameside"],
+        ["Gaoua",10.32,-3.17,"BF","Sud-Ouest"],
+        ["Inongo",-1.95,18.27,"CD","Mai-Ndombe"],
+        ["Surbiton",51.39,-0.31,"GB","Kingston upon Thames"],
+        ["Bắc Kạn",22.13,105.83,"VN","Bắc Kạn"],
+        ["Maria Aurora",15.8,121.47,"PH","Aurora"],
+        ["Catford",51.45,-0.02,"GB","Lewisham"],
+        ["Port Loko",8.77,-12.79,"SL","North Western"],
+        ["Borlänge",60.49,15.44,"SE","Dalarna"],
+        ["Razgrad",43.53,26.52,"BG","Razgrad"],
+        ["Mochudi",-24.42,26.15,"BW","Kgatleng"],
+        ["Umm al Qaywayn",25.55,55.55,"AE","Umm al Qaywayn"],
+        ["Pattani",6.87,101.25,"TH","Pattani"],
+        ["Dunaújváros",46.98,18.91,"HU","Dunaújváros"],
+        ["Boyabat",41.47,34.77,"TR","Sinop"],
+        ["La Paz",14.32,-87.68,"HN","La Paz"],
+        ["Murzuq",25.9,13.9,"LY","Murzuq"],
+        ["Veles",41.72,21.78,"MK","Veles"],
+        ["Bushenyi",-0.54,30.19,"UG","Buhweju"],
+        ["Štip",41.74,22.19,"MK","Štip"],
+        ["Hódmezővásárhely",46.43,20.32,"HU","Hódmezővásárhely"],
+        ["Silistra",44.12,27.26,"BG","Silistra"],
+        ["Kapan",39.2,46.42,"AM","Syunik’"],
+        ["Cumaribo",4.43,-69.8,"CO","Vichada"],
+        ["Kula",45.6,19.53,"RS","Kula"],
+        ["Zugdidi",42.51,41.87,"GE","Samegrelo-Zemo Svaneti"],
+        ["Lai Châu",22.4,103.44,"VN","Lai Châu"],
+        ["Badulla",6.98,81.06,"LK","Uva"],
+        ["Nueva Valencia",10.53,122.54,"PH","Guimaras"],
+        ["Quinhámel",11.88,-15.85,"GW","Biombo"],
+        ["Dubrovnik",42.64,18.11,"HR","Dubrovačko-Neretvanska Županija"],
+        ["Fianga",9.92,15.14,"TD","Mayo-Kebbi-Est"],
+        ["Charlottetown",46.24,-63.13,"CA","Prince Edward Island"],
+        ["Hwange",-18.36,26.5,"ZW","Matabeleland North"],
+        ["Guarda",40.53,-7.33,"PT","Guarda"],
+        ["Si Sa Ket",15.11,104.33,"TH","Si Sa Ket"],
+        ["Iten",0.67,35.51,"KE","Elgeyo/Marakwet"],
+        ["Pallisa",1.17,33.71,"UG","Pallisa"],
+        ["Qəzyan",39.29,46.67,"AZ","Qubadlı"],
+        ["Ardahan",41.11,42.7,"TR","Ardahan"],
+        ["Miercurea-Ciuc",46.36,25.8,"RO","Harghita"],
+        ["Greenock",55.95,-4.76,"GB","Inverclyde"],
+        ["Mercedes",-33.25,-58.03,"UY","Soriano"],
+        ["Ban Wat Lak Hok",13.56,100.06,"TH","Ratchaburi"],
+        ["Beitbridge",-22.22,30,"ZW","Matabeleland South"],
+        ["Santa Bárbara",14.92,-88.23,"HN","Santa Bárbara"],
+        ["Kampong Chhnang",12.25,104.67,"KH","Kampong Chhnang"],
+        ["Su-ngai Kolok",6.03,101.97,"TH","Narathiwat"],
+        ["Lindi",-10,39.71,"TZ","Lindi"],
+        ["Puntarenas",9.97,-84.83,"CR","Puntarenas"],
+        ["Sutton",51.37,-0.2,"GB","Sutton"],
+        ["Nola",3.53,16.07,"CF","Sangha-Mbaéré"],
+        ["Svay Rieng",11.08,105.8,"KH","Svay Rieng"],
+        ["Caerphilly",51.58,-3.22,"GB","Caerphilly"],
+        ["Nebbi",2.48,31.09,"UG","Nebbi"],
+        ["Bambari",5.77,20.67,"CF","Ouaka"],
+        ["Ganta",7.24,-8.98,"LR","Nimba"],
+        ["Mambajao",9.25,124.72,"PH","Camiguin"],
+        ["Embu",-0.54,37.46,"KE","Embu"],
+        ["Rivas",11.44,-85.83,"NI","Rivas"],
+        ["Newbury",51.4,-1.32,"GB","West Berkshire"],
+        ["Drogheda",53.72,-6.35,"IE","Louth"],
+        ["Bagua Grande",-5.76,-78.45,"PE","Amazonas"],
+        ["Famagusta",35.13,33.94,"CY","Ammóchostos"],
+        ["Puerto Francisco de Orellana",-0.46,-76.98,"EC","Orellana"],
+        ["Artigas",-30.47,-56.47,"UY","Artigas"],
+        ["Impfondo",1.63,18.07,"CG","Likouala"],
+        ["Şəmkir",40.83,46.02,"AZ","Şəmkir"],
+        ["Lovech",43.13,24.72,"BG","Lovech"],
+        ["Kirkby",53.48,-2.89,"GB","Knowsley"],
+        ["Talas",42.52,72.23,"KG","Talas"],
+        ["Montana",43.41,23.22,"BG","Montana"],
+        ["Bjelovar",45.9,16.83,"HR","Bjelovarsko-Bilogorska Županija"],
+        ["Arawa",-6.22,155.57,"PG","Bougainville"],
+        ["El Golea",30.6,2.9,"DZ","El Meniaa"],
+        ["Madīnat ‘Īsá",26.17,50.55,"BH","Al Janūbīyah"],
+        ["Xaçmaz",41.47,48.81,"AZ","Xaçmaz"],
+        ["Brčko",44.88,18.81,"BA","Brcko District"],
+        ["Ngozi",-2.91,29.83,"BI","Ngozi"],
+        ["Koumra",8.91,17.55,"TD","Mandoul"],
+        ["Massawa",15.61,39.45,"ER","Semienawi K’eyyĭḥ Baḥri"],
+        ["Surin",14.89,103.49,"TH","Surin"],
+        ["Santa Elena",-2.23,-80.86,"EC","Santa Elena"],
+        ["Oshakati",-17.78,15.7,"NA","Oshana"],
+        ["Pärnu",58.38,24.5,"EE","Pärnu"],
+        ["Chachoengsao",13.69,101.07,"TH","Chachoengsao"],
+        ["Touggourt",33.1,6.07,"DZ","Touggourt"],
+        ["Kaffrine",14.1,-15.54,"SN","Kaffrine"],
+        ["Istog",42.78,20.48,"XK","Istog"],
+        ["Kampot",10.6,104.17,"KH","Kampot"],
+        ["Gambēla",8.25,34.58,"ET","Gambēla Hizboch"],
+        ["Tromsø",69.68,18.94,"NO","Troms og Finnmark"],
+        ["La Chaux-de-Fonds",47.1,6.83,"CH","Neuchâtel"],
+        ["Varaždin",46.31,16.34,"HR","Varaždinska Županija"],
+        ["Lambaréné",-0.69,10.23,"GA","Moyen-Ogooué"],
+        ["Ilkeston",52.97,-1.31,"GB","Derbyshire"],
+        ["Tunceli",39.11,39.55,"TR","Tunceli"],
+        ["Bərdə",40.37,47.13,"AZ","Bərdə"],
+        ["Klinë",42.62,20.57,"XK","Klinë"],
+        ["Minas",-34.37,-55.23,"UY","Lavalleja"],
+        ["Fribourg",46.8,7.15,"CH","Fribourg"],
+        ["Am-Timan",11.03,20.28,"TD","Salamat"],
+        ["Choybalsan",48.08,114.54,"MN","Dornod"],
+        ["Kikinda",45.83,20.45,"RS","Kikinda"],
+        ["Kranj",46.23,14.37,"SI","Kranj"],
+        ["Ali Sabieh",11.15,42.72,"DJ","Ali Sabieh"],
+        ["Celje",46.24,15.27,"SI","Celje"],
+        ["Koboko",3.41,30.96,"UG","Koboko"],
+        ["Apia",-13.83,-171.75,"WS","Tuamasaga"],
+        ["Les Abricots",18.63,-74.3,"HT","Grand’Anse"],
+        ["Kajaani",64.23,27.72,"FI","Kainuu"],
+        ["Stirling",56.12,-3.94,"GB","Stirling"],
+        ["Kisii",-0.68,34.77,"KE","Kisii"],
+        ["Gabú",12.28,-14.22,"GW","Gabú"],
+        ["Leighton Buzzard",51.92,-0.66,"GB","Central Bedfordshire"],
+        ["San Carlos",11.12,-84.78,"NI","Río San Juan"],
+        ["Trou du Nord",19.63,-72.02,"HT","Nord-Est"],
+        ["Tozeur",33.92,8.13,"TN","Tozeur"],
+        ["Conchagua",13.3,-87.87,"SV","La Unión"],
+        ["Bečej",45.62,20.03,"RS","Bečej"],
+        ["Blyth",55.13,-1.51,"GB","Northumberland"],
+        ["Ataq",14.54,46.83,"YE","Shabwah"],
+        ["Rukungiri",-0.79,29.93,"UG","Rukungiri"],
+        ["Adjumani",3.38,31.79,"UG","Adjumani"],
+        ["Prijepolje",43.54,19.65,"RS","Prijepolje"],
+        ["Llanelli",51.68,-4.16,"GB","Carmarthenshire"],
+        ["Al Qunayţirah",33.13,35.82,"SY","Al Qunayţirah"],
+        ["Swords",53.46,-6.22,"IE","Fingal"],
+        ["Chaiyaphum",15.81,102.03,"TH","Chaiyaphum"],
+        ["Marijampolė",54.55,23.35,"LT","Marijampolė"],
+        ["San José",-34.33,-56.72,"UY","San José"],
+        ["Schaffhausen",47.7,8.63,"CH","Schaffhausen"],
+        ["Ebebiyín",2.15,11.32,"GQ","Kié-Ntem"],
+        ["Bindé",11.75,-1.1,"BF","Centre-Sud"],
+        ["Berat",40.7,19.95,"AL","Berat"],
+        ["Bossangoa",6.48,17.45,"CF","Ouham"],
+        ["Tuyên Quang",21.82,105.22,"VN","Tuyên Quang"],
+        ["Liwonde",-15.07,35.23,"MW","Balaka"],
+        ["Mbulu",-3.85,35.55,"TZ","Manyara"],
+        ["Monaco",43.73,7.42,"MC",""],
+        ["Esch-sur-Alzette",49.5,5.98,"LU","Esch-sur-Alzette"],
+        ["Göyçay",40.65,47.74,"AZ","Göyçay"],
+        ["Boende",-0.28,20.88,"CD","Tshuapa"],
+        ["Kamenicë",42.58,21.58,"XK","Kamenicë"],
+        ["Bugiri",0.57,33.75,"UG","Bugiri"],
+        ["Farafenni",13.57,-15.6,"GM","North Bank"],
+        ["Krong Kep",10.49,104.32,"KH","Kep"],
+        ["Tlokweng",-24.67,25.97,"BW","South East"],
+        ["Rumonge",-3.97,29.43,"BI","Rumonge"],
+        ["Beja",38.03,-7.88,"PT","Beja"],
+        ["Falkirk",56,-3.78,"GB","Falkirk"],
+        ["Gostivar",41.8,20.92,"MK","Gostivar"],
+        ["Vršac",45.12,21.3,"RS","Vršac"],
+        ["Al ‘Aqīq",20.27,41.65,"SA","Al Bāḩah"],
+        ["Cha-am",12.8,99.97,"TH","Phetchaburi"],
+        ["Zorgo",12.25,-0.62,"BF","Plateau-Central"],
+        ["Bragança",41.81,-6.76,"PT","Bragança"],
+        ["Timbuktu",16.77,-3,"ML","Tombouctou"],
+        ["Bridlington",54.08,-0.19,"GB","East Riding of Yorkshire"],
+        ["La Troncal",-2.4,-79.33,"EC","Cañar"],
+        ["Roi Et",16.05,103.65,"TH","Roi Et"],
+        ["Bria",6.54,21.99,"CF","Haute-Kotto"],
+        ["Qazax",41.09,45.37,"AZ","Qazax"],
+        ["Artvin",41.18,41.82,"TR","Artvin"],
+        ["Ringsaker",61.02,10.8,"NO","Innlandet"],
+        ["Suong",11.92,105.65,"KH","Tbong Khmum"],
+        ["Phatthalung",7.5,100,"TH","Phatthalung"],
+        ["Chur",46.85,9.53,"CH","Graubünden"],
+        ["Maīdān Shahr",34.4,68.87,"AF","Wardak"],
+        ["Dikhil",11.12,42.37,"DJ","Dikhil"],
+        ["Awbārī",26.58,12.77,"LY","Wādī al Ḩayāt"],
+        ["Oranjestad",12.52,-70.04,"AW",""],
+        ["Dragash",42.06,20.65,"XK","Dragash"],
+        ["Naryn",41.43,76,"KG","Naryn"],
+        ["Sion",46.23,7.37,"CH","Valais"],
+        ["Gisborne",-38.66,178.02,"NZ","Gisborne"],
+        ["Smolyan",41.58,24.7,"BG","Smolyan"],
+        ["Kalasin",16.43,103.51,"TH","Kalasin"],
+        ["Merauke",-8.49,140.4,"ID","Papua Selatan"],
+        ["Durazno",-33.37,-56.52,"UY","Durazno"],
+        ["Isingiro",-0.79,30.82,"UG","Isingiro"],
+        ["Colwyn Bay",53.29,-3.7,"GB","Conwy"],
+        ["Šid",45.12,19.23,"RS","Šid"],
+        ["Bor",44.13,22.1,"RS","Bor"],
+        ["Kópavogur",64.11,-21.91,"IS","Kópavogur"],
+        ["Aosta",45.73,7.32,"IT","Valle d’Aosta"],
+        ["Pontneddfechan",51.76,-3.59,"GB","Powys"],
+        ["Fushë Kosovë",42.63,21.12,"XK","Fushë Kosovë"],
+        ["Kakata",6.53,-10.35,"LR","Margibi"],
+        ["Uttaradit",17.62,100.1,"TH","Uttaradit"],
+        ["Somoto",13.48,-86.58,"NI","Madriz"],
+        ["Kovin",44.75,20.97,"RS","Kovin"],
+        ["Irvine",55.62,-4.66,"GB","North Ayrshire"],
+        ["Florida",-34.1,-56.22,"UY","Florida"],
+        ["Koh Kong",11.62,102.98,"KH","Koh Kong"],
+        ["Iriba",15.12,22.25,"TD","Wadi-Fira"],
+        ["Puyo",-1.49,-78,"EC","Pastaza"],
+        ["Saint Helier",49.19,-2.11,"JE",""],
+        ["Chumphon",10.49,99.18,"TH","Chumphon"],
+        ["Kohtla-Järve",59.4,27.26,"EE","Kohtla-Järve"],
+        ["Paidha",2.42,30.99,"UG","Zombo"],
+        ["Kaçanik",42.25,21.26,"XK","Kaçanik"],
+        ["Ventspils",57.39,21.57,"LV","Ventspils"],
+        ["Sisak",45.49,16.38,"HR","Sisačko-Moslavačka Županija"],
+        ["Mažeikiai",56.32,22.33,"LT","Mažeikiai"],
+        ["Kyrenia",35.34,33.32,"CY","Kerýneia"],
+        ["Kusapín",9.18,-81.89,"PA","Ngäbe-Buglé"],
+        ["Mukdahan",16.54,104.72,"TH","Mukdahan"],
+        ["Timimoun",29.25,0.23,"DZ","Timimoun"],
+        ["Carapeguá",-25.77,-57.25,"PY","Paraguarí"],
+        ["Pilar",-26.87,-58.3,"PY","Ñeembucú"],
+        ["Harper",4.37,-7.72,"LR","Maryland"],
+        ["I-n-Salah",27.19,2.46,"DZ","In Salah"],
+        ["Leticia",-4.22,-69.93,"CO","Amazonas"],
+        ["Dumfries",55.07,-3.6,"GB","Dumfries and Galloway"],
+        ["Salgótarján",48.1,19.81,"HU","Nógrád"],
+        ["Bambadinca",12.03,-14.87,"GW","Bafatá"],
+        ["Rumbek",6.81,29.68,"SS","Lakes"],
+        ["Mamoudzou",-12.78,45.23,"YT",""],
+        ["Bauko",16.99,120.86,"PH","Mountain"],
+        ["Kampong Thom",12.7,104.9,"KH","Kampong Thom"],
+        ["Rumuruti",0.26,36.54,"KE","Laikipia"],
+        ["Kiryandongo",1.95,32.14,"UG","Kiryandongo"],
+        ["Mae Sot",16.71,98.57,"TH","Tak"],
+        ["Bangassou",4.74,22.82,"CF","Mbomou"],
+        ["Kalisizo",-0.53,31.62,"UG","Rakai"],
+        ["Ibanda",-0.13,30.5,"UG","Ibanda"],
+        ["İmişli",39.87,48.06,"AZ","İmişli"],
+        ["Zaqatala",41.63,46.64,"AZ","Zaqatala"],
+        ["Siliana",36.08,9.37,"TN","Siliana"],
+        ["Changuinola",9.43,-82.52,"PA","Bocas del Toro"],
+        ["Vinkovci",45.29,18.8,"HR","Vukovarsko-Srijemska Županija"],
+        ["Diffa",13.32,12.61,"NE","Diffa"],
+        ["Szekszárd",46.36,18.7,"HU","Tolna"],
+        ["Dedza",-14.37,34.33,"MW","Dedza"],
+        ["Sabirabad",40.01,48.48,"AZ","Sabirabad"],
+        ["Leh",34.16,77.58,"IN","Ladākh"],
+        ["Koprivnica",46.15,16.82,"HR","Koprivničko-Križevačka Županija"],
+        ["Ungheni",47.22,27.82,"MD","Ungheni"],
+        ["Busia",0.46,34.11,"KE","Busia"],
+        ["Laḩij",13.05,44.88,"YE","Laḩij"],
+        ["Zug",47.17,8.52,"CH","Zug"],
+        ["Āsosa",10.07,34.52,"ET","Bīnshangul Gumuz"],
+        ["Krabi",8.06,98.92,"TH","Krabi"],
+        ["Čakovec",46.39,16.43,"HR","Međimurska Županija"],
+        ["Banlung",13.75,107,"KH","Ratanakiri"],
+        ["Khorugh",37.48,71.55,"TJ","Kŭhistoni Badakhshon"],
+        ["San Gregorio de Nigua",18.38,-70.08,"DO",""],
+        ["Navan",53.65,-6.68,"IE","Meath"],
+        ["Kericho",-0.37,35.28,"KE","Kericho"],
+        ["Cahul",45.92,28.18,"MD","Cahul"],
+        ["Majuro",7.08,171.38,"MH","Majuro"],
+        ["Kayunga",0.7,32.9,"UG","Kayunga"],
+        ["Mutsamudu",-12.17,44.39,"KM","Anjouan"],
+        ["Hafnarfjörður",64.02,-21.97,"IS","Hafnarfjörður"],
+        ["Subotica",46.1,19.67,"RS","Subotica"],
+        ["Al Madad",13.72,44.73,"YE","Aḑ Ḑāli‘"],
+        ["Mount Hagen",-5.86,144.24,"PG","Western Highlands"],
+        ["Stung Treng",13.52,105.97,"KH","Stung Treng"],
+        ["Ağdaş",40.65,47.48,"AZ","Ağdaş"],
+        ["Doba",8.66,16.85,"TD","Logone Oriental"],
+        ["Point Fortin",10.17,-61.67,"TT","Point Fortin"],
+        ["Bačka Palanka",45.25,19.4,"RS","Bačka Palanka"],
+        ["Kyegegwa",0.48,31.05,"UG","Kyegegwa"],
+        ["Linden",6,-58.3,"GY","Upper Demerara-Berbice"],
+        ["Chalatenango",14.03,-88.93,"SV","Chalatenango"],
+        ["Cottica",3.85,-54.23,"SR","Sipaliwini"],
+        ["Kamphaeng Phet",16.48,99.52,"TH","Kamphaeng Phet"],
+        ["Kitui",-1.37,38.02,"KE","Kitui"],
+        ["Apatin",45.67,18.98,"RS","Apatin"],
+        ["Siquijor",9.18,123.58,"PH","Siquijor"],
+        ["Rehoboth",-23.32,17.08,"NA","Hardap"],
+        ["Tarawa",1.34,173.02,"KI",""],
+        ["Pakwach",2.46,31.5,"UG","Pakwach"],
+        ["Katima Mulilo",-17.5,24.28,"NA","Zambezi"],
+        ["Buri Ram",14.99,103.1,"TH","Buri Ram"],
+        ["Blackrock",53.3,-6.18,"IE","Dún Laoghaire-Rathdown"],
+        ["Louang Namtha",20.95,101.4,"LA","Louangnamtha"],
+        ["Ölgiy",48.97,89.97,"MN","Bayan-Ölgiy"],
+        ["Samut Songkhram",13.41,100,"TH","Samut Songkhram"],
+        ["Mendefera",14.88,38.82,"ER","Debub"],
+        ["Mpika",-11.83,31.46,"ZM","Muchinga"],
+        ["Mitú",1.2,-70.17,"CO","Vaupés"],
+        ["Princes Town",10.27,-61.38,"TT","Princes Town"],
+        ["Kočani",41.92,22.41,"MK","Kočani"],
+        ["Temerin",45.42,19.88,"RS","Temerin"],
+        ["Otjiwarongo",-20.46,16.65,"NA","Otjozondjupa"],
+        ["Ouésso",1.61,16.05,"CG","Sangha"],
+        ["Bearsden",55.92,-4.33,"GB","East Dunbartonshire"],
+        ["Mchinji",-13.82,32.9,"MW","Mchinji"],
+        ["Aşağı Göycəli",41.12,45.49,"AZ","Ağstafa"],
+        ["Labasa",-16.43,179.37,"FJ","Macuata"],
+        ["Douglas",54.15,-4.48,"IM",""],
+        ["Mytilíni",39.1,26.55,"GR","Vóreio Aigaío"],
+        ["Mongo",12.18,18.7,"TD","Guéra"],
+        ["Koewarasan",5.77,-55.29,"SR","Wanica"],
+        ["George Town",19.29,-81.37,"KY",""],
+        ["Phuntsholing",26.85,89.38,"BT","Chhukha"],
+        ["Waddān",29.16,16.14,"LY","Al Jufrah"],
+        ["Conner",17.81,121.29,"PH","Apayao"],
+        ["Duayaw-Nkwanta",7.17,-2.1,"GH","Ahafo"],
+        ["Mu’tah",31.1,35.7,"JO","Al Karak"],
+        ["Pakxan",18.4,103.66,"LA","Bolikhamxai"],
+        ["Al Ghayz̧ah",16.21,52.17,"YE","Al Mahrah"],
+        ["Shtime",42.43,21.03,"XK","Shtime"],
+        ["Zalingei",12.9,23.48,"SD","Central Darfur"],
+        ["Kimbe",-5.56,150.16,"PG","West New Britain"],
+        ["Jonava",55.07,24.28,"LT","Jonava"],
+        ["Catió",11.28,-15.25,"GW","Tombali"],
+        ["Lobatse",-25.22,25.67,"BW","Lobatse"],
+        ["Nsanje",-16.92,35.27,"MW","Nsanje"],
+        ["Rēzekne",56.51,27.34,"LV","Rēzekne"],
+        ["Turrialba",9.89,-83.68,"CR","Cartago"],
+        ["Newton Mearns",55.77,-4.33,"GB","East Renfrewshire"],
+        ["Voinjama",8.42,-9.75,"LR","Lofa"],
+        ["Samokov",42.34,23.56,"BG","Sofia"],
+        ["Utena",55.5,25.6,"LT","Utena"],
+        ["Victoria",-4.62,55.45,"SC","Mont Buxton"],
+        ["Wete",-5.06,39.73,"TZ","Pemba North"],
+        ["Nakhon Phanom",17.41,104.78,"TH","Nakhon Phanom"],
+        ["Sélibaby",15.16,-12.18,"MR","Guidimaka"],
+        ["Blenheim",-41.52,173.95,"NZ","Marlborough"],
+        ["San Jose",10.01,125.59,"PH","Dinagat Islands"],
+        ["Clydebank",55.9,-4.4,"GB","West Dunbartonshire"],
+        ["Ulaangom",49.98,92.07,"MN","Uvs"],
+        ["Bayanhongor",46.19,100.72,"MN","Bayanhongor"],
+        ["Lamut",16.65,121.22,"PH","Ifugao"],
+        ["Colonia del Sacramento",-34.47,-57.84,"UY","Colonia"],
+        ["Suphan Buri",14.47,100.12,"TH","Suphan Buri"],
+        ["Hovd",48,91.64,"MN","Hovd"],
+        ["Bajina Bašta",43.97,19.56,"RS","Bajina Bašta"],
+        ["Amnat Charoen",15.85,104.63,"TH","Amnat Charoen"],
+        ["Cəlilabad",39.21,48.5,"AZ","Cəlilabad"],
+        ["Göygöl",40.59,46.32,"AZ","Göygöl"],
+        ["Koper",45.55,13.73,"SI","Koper"],
+        ["Zwedru",6.07,-8.13,"LR","Grand Gedeh"],
+        ["Kanchanaburi",14.02,99.53,"TH","Kanchanaburi"],
+        ["Velenje",46.36,15.11,"SI","Velenje"],
+        ["El Tarf",36.77,8.31,"DZ","El Tarf"],
+        ["Treinta y Tres",-33.23,-54.38,"UY","Treinta y Tres"],
+        ["Salaga",8.55,-0.52,"GH","Savannah"],
+        ["Frauenfeld",47.55,8.9,"CH","Thurgau"],
+        ["Rocha",-34.48,-54.35,"UY","Rocha"],
+        ["Lamu",-2.27,40.9,"KE","Lamu"],
+        ["Diego Martin",10.72,-61.57,"TT","Diego Martin"],
+        ["Ennis",52.85,-8.98,"IE","Clare"],
+        ["Tipasa",36.59,2.44,"DZ","Tipaza"],
+        ["Rhyl",53.32,-3.48,"GB","Denbighshire"],
+        ["Wewak",-3.55,143.63,"PG","East Sepik"],
+        ["Whitehorse",60.7,-135.07,"CA","Yukon"],
+        ["Kingstown",13.16,-61.22,"VC","Saint George"],
+        ["Moyale",3.53,39.06,"KE","Marsabit"],
+        ["Kibuku",1.04,33.84,"UG","Kibuku"],
+        ["Kamonkoli",1.08,34.1,"UG","Budaka"],
+        ["Mohale’s Hoek",-30.15,27.47,"LS","Mohale’s Hoek"],
+        ["Visby",57.63,18.31,"SE","Gotland"],
+        ["Portalegre",39.32,-7.42,"PT","Portalegre"],
+        ["Ryde",50.73,-1.16,"GB","Isle of Wight"],
+        ["Kérkyra",39.62,19.92,"GR","Ionía Nísia"],
+        ["Nar’yan-Mar",67.63,53.05,"RU","Nenetskiy Avtonomnyy Okrug"],
+        ["Bāzārak",35.31,69.52,"AF","Panjshir"],
+        ["Şamaxı",40.63,48.64,"AZ","Şamaxı"],
+        ["Kaga Bandoro",7,19.18,"CF","Nana-Grébizi"],
+        ["Mponela",-13.52,33.72,"MW","Dowa"],
+        ["Fray Bentos",-33.13,-58.3,"UY","Río Negro"],
+        ["Abim",2.7,33.66,"UG","Abim"],
+        ["Tbeng Meanchey",13.82,104.97,"KH","Preah Vihear"],
+        ["Birkirkara",35.9,14.46,"MT","Birkirkara"],
+        ["Carlow",52.83,-6.93,"IE","Carlow"],
+        ["Lukaya",-0.15,31.87,"UG","Kalungu"],
+        ["Fatick",14.33,-16.41,"SN","Fatick"],
+        ["San Juan Nepomuceno",-26.12,-55.93,"PY","Caazapá"],
+        ["Novo Mesto",45.8,15.17,"SI","Novo Mesto"],
+        ["Lop Buri",14.8,100.63,"TH","Lop Buri"],
+        ["Al Jawf",24.22,23.3,"LY","Al Kufrah"],
+        ["Vrbas",45.57,19.65,"RS","Vrbas"],
+        ["Atar",20.52,-13.05,"MR","Adrar"],
+        ["Butaleja",0.93,33.95,"UG","Butaleja"],
+        ["Tchibanga",-2.93,11,"GA","Nyanga"],
+        ["Owando",-0.48,15.9,"CG","Cuvette"],
+        ["Arbroath",56.56,-2.59,"GB","Angus"],
+        ["Cibitoke",-2.89,29.12,"BI","Cibitoke"],
+        ["Guaranda",-1.6,-79,"EC","Bolívar"],
+        ["Chanthaburi",12.61,102.1,"TH","Chanthaburi"],
+        ["Fada",17.18,21.58,"TD","Ennedi-Ouest"],
+        ["Sibiti",-3.69,13.35,"CG","Lékoumou"],
+        ["Tralee",52.27,-9.7,"IE","Kerry"],
+        ["Satun",6.61,100.07,"TH","Satun"],
+        ["Aţ Ţafīlah",30.84,35.6,"JO","Aţ Ţafīlah"],
+        ["Kyenjojo",0.61,30.64,"UG","Kyenjojo"],
+        ["Kėdainiai",55.28,23.97,"LT","Kėdainiai"],
+        ["Gjirokastër",40.07,20.13,"AL","Gjirokastër"],
+        ["Tena",-0.99,-77.82,"EC","Napo"],
+        ["Nuku‘alofa",-21.13,-175.2,"TO","Tongatapu"],
+        ["Sevan",40.56,44.95,"AM","Geghark’unik’"],
+        ["Bassar",9.25,0.78,"TG","Kara"],
+        ["Gitega",-3.43,29.84,"BI","Mwaro"],
+        ["Ban Bang Rin",9.95,98.63,"TH","Ranong"],
+        ["Elgin",57.65,-3.31,"GB","Moray"],
+        ["Buyende",1.15,33.16,"UG","Buyende"],
+        ["Wichian Buri",15.66,101.11,"TH","Phetchabun"],
+        ["Ogre",56.82,24.61,"LV","Ogre"],
+        ["Valmiera",57.55,25.4,"LV","Valmiera"],
+        ["Pul-e ‘Alam",33.98,69.04,"AF","Lōgar"],
+        ["Kotido",3.01,34.11,"UG","Kotido"],
+        ["Kagadi",0.94,30.81,"UG","Kagadi"],
+        ["Biləsuvar",39.46,48.55,"AZ","Biləsuvar"],
+        ["Quartier Militaire",-20.25,57.55,"MU","Moka"],
+        ["Andorra la Vella",42.5,1.5,"AD","Andorra la Vella"],
+        ["Savanna-la-Mar",18.22,-78.13,"JM","Westmoreland"],
+        ["Mouila",-1.86,11.06,"GA","Ngounié"],
+        ["Moyo",3.65,31.72,"UG","Moyo"],
+        ["Sibut",5.73,19.08,"CF","Kémo"],
+        ["Kiboga",0.92,31.76,"UG","Kiboga"],
+        ["Požega",45.33,17.67,"HR","Požeško-Slavonska Županija"],
+        ["Rumphi",-11.02,33.87,"MW","Rumphi"],
+        ["Loei",17.49,101.73,"TH","Loei"],
+        ["Bundibugyo",0.71,30.06,"UG","Bundibugyo"],
+        ["Phichit",16.44,100.35,"TH","Phichit"],
+        ["Telšiai",55.98,22.25,"LT","Telšiai"],
+        ["São Filipe",14.9,-24.5,"CV","São Filipe"],
+        ["Saint John’s",17.12,-61.85,"AG","Saint John"],
+        ["Soroca",48.17,28.3,"MD","Soroca"],
+        ["Kilkenny",52.65,-7.26,"IE","Kilkenny"],
+        ["Mbaïki",3.88,18,"CF","Lobaye"],
+        ["Salémata",12.63,-12.82,"SN","Kédougou"],
+        ["Nkhata Bay",-11.6,34.3,"MW","Nkhata Bay"],
+        ["Camborne",50.21,-5.3,"GB","Cornwall"],
+        ["Port Laoise",53.03,-7.3,"IE","Laois"],
+        ["Uliastay",47.74,96.84,"MN","Dzavhan"],
+        ["Ghāt",24.96,10.18,"LY","Ghāt"],
+        ["Kayanza",-2.92,29.62,"BI","Kayanza"],
+        ["Gros Islet",14.08,-60.95,"LC","Gros-Islet"],
+        ["Kobilo",15.93,-13.52,"SN","Matam"],
+        ["Jēkabpils",56.5,25.88,"LV","Jēkabpils"],
+        ["Ashtarak",40.3,44.36,"AM","Aragatsotn"],
+        ["Nong Bua Lamphu",17.2,102.44,"TH","Nong Bua Lamphu"],
+        ["Tauragė",55.25,22.29,"LT","Tauragė"],
+        ["Goroka",-6.08,145.38,"PG","Eastern Highlands"],
+        ["Hacıqabul",40.04,48.94,"AZ","Hacıqabul"],
+        ["Aarau",47.4,8.05,"CH","Aargau"],
+        ["Laventille",10.65,-61.48,"TT","San Juan/Laventille"],
+        ["Trinidad",-33.53,-56.88,"UY","Flores"],
+        ["Ghanzi",-21.7,21.65,"BW","Ghanzi"],
+        ["Naas",53.22,-6.67,"IE","Kildare"],
+        ["Masis",40.06,44.44,"AM","Ararat"],
+        ["Baile Átha Luain",53.42,-7.94,"IE","Westmeath"],
+        ["Wang Nam Yen",13.5,102.18,"TH","Sa Kaeo"],
+        ["Virovitica",45.83,17.38,"HR","Virovitičko-Podravska Županija"],
+        ["Ntcheu",-14.83,34.67,"MW","Ntcheu"],
+        ["Ukmergė",55.25,24.75,"LT","Ukmergė"],
+        ["Obock",11.97,43.28,"DJ","Obock"],
+        ["Allschwil",47.55,7.53,"CH","Basel-Landschaft"],
+        ["Seria",4.61,114.33,"BN","Belait"],
+        ["Orhei",47.38,28.82,"MD","Orhei"],
+        ["Omagh",54.59,-7.29,"GB","Fermanagh and Omagh"],
+        ["San Francisco",13.7,-88.1,"SV","Morazán"],
+        ["Saint Paul’s Bay",35.95,14.4,"MT","San Pawl il-Baħar"],
+        ["Öndörhaan",47.32,110.66,"MN","Hentiy"],
+        ["Gamboma",-1.88,15.86,"CG","Plateaux"],
+        ["Mulanje",-16.03,35.51,"MW","Mulanje"],
+        ["Bonga",7.27,36.23,"ET","YeDebub M‘irab Ītyop’iya Hizboch"],
+        ["Amdjarass",16.07,22.84,"TD","Ennedi-Est"],
+        ["Maralal",1.1,36.7,"KE","Samburu"],
+        ["Musselburgh",55.94,-3.05,"GB","East Lothian"],
+        ["Quba",41.36,48.51,"AZ","Quba"],
+        ["Goodlands",-20.03,57.64,"MU","Rivière du Rempart"],
+        ["İsmayıllı",40.79,48.15,"AZ","İsmayıllı"],
+        ["Nan",18.78,100.78,"TH","Nan"],
+        ["Ćuprija",43.92,21.37,"RS","Ćuprija"],
+        ["Ijevan",40.88,45.15,"AM","Tavush"],
+        ["Yasothon",15.8,104.14,"TH","Yasothon"],
+        ["Zaghouan",36.4,10.15,"TN","Zaghouan"],
+        ["Kihihi",-0.75,29.7,"UG","Kanungu"],
+        ["Senta",45.93,20.09,"RS","Senta"],
+        ["Kokopo",-4.35,152.27,"PG","East New Britain"],
+        ["Mosta",35.91,14.43,"MT","Mosta"],
+        ["Ağsu",40.57,48.4,"AZ","Ağsu"],
+        ["Wexford",52.33,-6.46,"IE","Wexford"],
+        ["Comrat",46.32,28.67,"MD","Găgăuzia"],
+        ["Bubanza",-3.08,29.4,"BI","Bubanza"],
+        ["Opuwo",-18.06,13.84,"NA","Kunene"],
+        ["Arvayheer",46.27,102.78,"MN","Övörhangay"],
+        ["Zemio",5.03,25.13,"CF","Haut-Mbomou"],
+        ["Antrim",54.72,-6.21,"GB","Antrim and Newtownabbey"],
+        ["Tidjikja",18.55,-11.43,"MR","Tagant"],
+        ["San Marcos",14.4,-88.95,"HN","Ocotepeque"],
+        ["Ulcinj",41.92,19.2,"ME","Ulcinj"],
+        ["Saynshand",44.89,110.14,"MN","Dornogovĭ"],
+        ["Kavieng",-2.57,150.8,"PG","New Ireland"],
+        ["Inírida",3.87,-67.92,"CO","Guainía"],
+        ["Dokolo",1.92,33.17,"UG","Dokolo"],
+        ["Pećinci",44.9,19.97,"RS","Pećinci"],
+        ["Telavi",41.92,45.48,"GE","K’akheti"],
+        ["Visaginas",55.6,26.44,"LT","Visaginas"],
+        ["Yellowknife",62.47,-114.41,"CA","Northwest Territories"],
+        ["Herceg Novi",42.45,18.53,"ME","Herceg Novi"],
+        ["Dalanzadgad",43.57,104.43,"MN","Ömnögovĭ"],
+        ["Tsumeb",-19.25,17.7,"NA","Oshikoto"],
+        ["Letterkenny",54.96,-7.72,"IE","Donegal"],
+        ["Peterhead",57.51,-1.78,"GB","Aberdeenshire"],
+        ["Kamwenge",0.19,30.45,"UG","Kamwenge"],
+        ["Budva",42.29,18.84,"ME","Budva"],
+        ["Attapu",14.8,106.83,"LA","Attapu"],
+        ["Sligo",54.27,-8.48,"IE","Sligo"],
+        ["Pljevlja",43.36,19.36,"ME","Pljevlja"],
+        ["Gobabis",-22.43,18.97,"NA","Omaheke"],
+        ["Mao",14.12,15.31,"TD","Kanem"],
+        ["Akureyri",65.68,-18.1,"IS","Akureyri"],
+        ["Nakasi",-18.07,178.52,"FJ","Naitasiri"],
+        ["Sironko",1.23,34.25,"UG","Sironko"],
+        ["Ribeira Grande",17.18,-25.06,"CV","Ribeira Grande"],
+        ["Massaguet",12.47,15.44,"TD","Hadjer-Lamis"],
+        ["Jwaneng",-24.6,24.73,"BW","Jwaneng"],
+        ["Mansa Konko",13.47,-15.55,"GM","Lower River"],
+        ["Siyəzən",41.08,49.11,"AZ","Siyəzən"],
+        ["Futog",45.23,19.72,"RS",""],
+        ["Leposaviq",43.1,20.8,"XK","Leposaviq"],
+        ["Saylac",11.35,43.47,"SO","Awdal"],
+        ["Tarrafal",15.28,-23.75,"CV","Tarrafal"],
+        ["Ebbw Vale",51.78,-3.21,"GB","Blaenau Gwent"],
+        ["Tsetserleg",47.48,101.45,"MN","Arhangay"],
+        ["Basse Santa Su",13.32,-14.22,"GM","Upper River"],
+        ["Straşeni",47.13,28.62,"MD","Străşeni"],
+        ["Olten",47.35,7.9,"CH","Solothurn"],
+        ["Nuuk",64.18,-51.69,"GL","Sermersooq"],
+        ["Fomboni",-12.28,43.74,"KM","Mohéli"],
+        ["Filadelfia",-22.34,-60.03,"PY","Boquerón"],
+        ["Greystones",53.14,-6.07,"IE","Wicklow"],
+        ["Palanga",55.92,21.07,"LT","Palangos Miestas"],
+        ["Sangre Grande",10.57,-61.13,"TT","Sangre Grande"],
+        ["Kikube",1.33,31.21,"UG","Kikuube"],
+        ["Luganville",-15.53,167.17,"VU","Sanma"],
+        ["Mwanza",-15.6,34.52,"MW","Mwanza"],
+        ["Porto Novo",17.02,-25.06,"CV","Porto Novo"],
+        ["Orange Walk",18.08,-88.56,"BZ","Orange Walk"],
+        ["Ptuj",46.42,15.87,"SI","Ptuj"],
+        ["Salaspils",56.87,24.35,"LV","Salaspils"],
+        ["Saatlı",39.93,48.37,"AZ","Saatlı"],
+        ["Sing Buri",14.89,100.4,"TH","Sing Buri"],
+        ["Mārupe",56.91,24.06,"LV","Mārupe"],
+        ["Khaşab",26.18,56.25,"OM","Musandam"],
+        ["Prachin Buri",14.06,101.37,"TH","Prachin Buri"],
+        ["Chitipa",-9.7,33.27,"MW","Chitipa"],
+        ["Ngora",1.46,33.78,"UG","Ngora"],
+        ["Ban Houayxay",20.26,100.43,"LA","Bokèo"],
+        ["Dourbali",11.81,15.86,"TD","Chari-Baguirmi"],
+        ["Tunapuna",10.63,-61.38,"TT","Tunapuna/Piarco"],
+        ["Ban Mae Ka Hua Thung",19.09,99.91,"TH","Phayao"],
+        ["Bel Air",-20.26,57.75,"MU","Flacq"],
+        ["Eldama Ravine",0.05,35.72,"KE","Baringo"],
+        ["Kisoro",-1.28,29.69,"UG","Kisoro"],
+        ["Scarborough",11.18,-60.74,"TT","Tobago"],
+        ["Bonnyrigg",55.87,-3.1,"GB","Midlothian"],
+        ["Füzuli",39.6,47.14,"AZ","Füzuli"],
+        ["Plungė",55.92,21.85,"LT","Plungė"],
+        ["Namayingo",0.35,33.88,"UG","Namayingo"],
+        ["Illizi",26.51,8.48,"DZ","Illizi"],
+        ["Belmopan",17.25,-88.77,"BZ","Cayo"],
+        ["Kretinga",55.89,21.24,"LT","Kretinga"],
+        ["Trstenik",43.62,21,"RS","Trstenik"],
+        ["Mayuge",0.46,33.48,"UG","Mayuge"],
+        ["Sawankhalok",17.31,99.83,"TH","Sukhothai"],
+        ["Clonmel",52.35,-7.71,"IE","Tipperary"],
+        ["Laç",41.64,19.71,"AL","Lezhë"],
+        ["Makokou",0.57,12.87,"GA","Ogooué-Ivindo"],
+        ["Viljandi",58.37,25.6,"EE","Viljandi"],
+        ["Sliema",35.91,14.5,"MT","Sliema"],
+        ["Keetmanshoop",-26.58,18.13,"NA","//Karas"],
+        ["Astara",38.46,48.88,"AZ","Astara"],
+        ["Kaliro",0.89,33.5,"UG","Kaliro"],
+        ["Marib",15.46,45.33,"YE","Ma’rib"],
+        ["Qormi",35.88,14.47,"MT","Qormi"],
+        ["Connahs Quay",53.22,-3.06,"GB","Flintshire"],
+        ["Kukës",42.08,20.42,"AL","Kukës"],
+        ["Tukums",56.97,23.15,"LV","Tukums"],
+        ["Ocho Rios",18.42,-77.12,"JM","Saint Ann"],
+        ["Phrae",18.15,100.14,"TH","Phrae"],
+        ["Zveçan",42.9,20.83,"XK","Zveçan"],
+        ["Ban Na Sai",17.73,98.95,"TH","Lamphun"],
+        ["Añisoc",1.85,10.77,"GQ","Wele-Nzas"],
+        ["Micoud",13.82,-60.9,"LC","Micoud"],
+        ["Roseau",15.3,-61.39,"DM","Saint George"],
+        ["Struga",41.18,20.68,"MK","Struga"],
+        ["Qusar",41.43,48.44,"AZ","Qusar"],
+        ["Keflavík",64.02,-22.57,"IS","Reykjanesbær"],
+        ["Bordj Mokhtar",21.33,0.95,"DZ","Bordj Badji Mokhtar"],
+        ["Greenville",5.02,-9.03,"LR","Sinoe"],
+        ["Ntungamo",-0.88,30.27,"UG","Ntungamo"],
+        ["Freienbach",47.2,8.75,"CH","Schwyz"],
+        ["Bangor",53.23,-4.13,"GB","Isle of Anglesey"],
+        ["Srbobran",45.53,19.78,"RS","Srbobran"],
+        ["Moroto",2.53,34.67,"UG","Moroto"],
+        ["Lyantonde",-0.41,31.16,"UG","Lyantonde"],
+        ["Garðabær",64.08,-22,"IS","Garðabær"],
+        ["Stepney",51.52,-0.05,"GB","Tower Hamlets"],
+        ["Koulamoutou",-1.13,12.48,"GA","Ogooué-Lolo"],
+        ["Xaignabouli",19.25,101.75,"LA","Xaignabouli"],
+        ["Šilutė",55.35,21.48,"LT","Šilutė"],
+        ["Nakhon Nayok",14.21,101.21,"TH","Nakhon Nayok"],
+        ["Bačka Topola",45.82,19.63,"RS","Bačka Topola"],
+        ["Al Ḩazm",16.16,44.78,"YE","Al Jawf"],
+        ["Qazyan",40.44,47.68,"AZ","Ucar"],
+        ["Manafwa",0.96,34.28,"UG","Manafwa"],
+        ["Căuşeni",46.63,29.4,"MD","Căuşeni"],
+        ["Alotau",-10.32,150.43,"PG","Milne Bay"],
+        ["Gargždai",55.71,21.4,"LT","Klaipėda"],
+        ["Bijelo Polje",43.04,19.75,"ME","Bijelo Polje"],
+        ["Kulhudhuffushi",6.62,73.07,"MV","Thiladhunmathee Dhekunuburi"],
+        ["Maliana",-8.99,125.22,"TL","Bobonaro"],
+        ["Altay",46.37,96.26,"MN","Govĭ-Altay"],
+        ["Herisau",47.38,9.27,"CH","Appenzell Ausserrhoden"],
+        ["Vieux Fort",13.73,-60.95,"LC","Vieux-Fort"],
+        ["Titel",45.2,20.3,"RS","Titel"],
+        ["Ərkivan",39.02,48.65,"AZ","Masallı"],
+        ["Zaṟah Sharan",33.13,68.78,"AF","Paktīkā"],
+        ["Anadyr",64.73,177.52,"RU","Chukotskiy Avtonomnyy Okrug"],
+        ["Ban Pang Mu",19.33,97.97,"TH","Mae Hong Son"],
+        ["Kyazanga",-0.39,31.32,"UG","Lwengo"],
+        ["Aleg",17.05,-13.92,"MR","Brakna"],
+        ["Edineţ",48.17,27.32,"MD","Edineţ"],
+        ["Uthai Thani",15.38,100.03,"TH","Uthai Thani"],
+        ["Tari",-5.85,142.95,"PG","Hela"],
+        ["Żabbar",35.88,14.54,"MT","Żabbar"],
+        ["Kürdəmir",40.34,48.16,"AZ","Kürdəmir"],
+        ["Bambous",-20.26,57.41,"MU","Black River"],
+        ["Khamir",15.99,43.96,"YE","‘Amrān"],
+        ["Maardu",59.48,25.02,"EE","Maardu"],
+        ["Radviliškis",55.8,23.55,"LT","Radviliškis"],
+        ["Zubin Potok",42.92,20.68,"XK","Zubin Potok"],
+        ["Gombe",0.18,32.11,"UG","Butambala"],
+        ["Kidal",18.44,1.41,"ML","Kidal"],
+        ["Phôngsali",21.68,102.1,"LA","Phôngsali"],
+        ["Le Hochet",-20.14,57.52,"MU","Pamplemousses"],
+        ["Richmond",-41.33,173.18,"NZ","Tasman"],
+        ["Paro",27.43,89.42,"BT","Paro"],
+        ["Quthing",-30.4,27.7,"LS","Quthing"],
+        ["Fayrōz Kōh",34.52,65.25,"AF","Ghōr"],
+        ["Kalongo",3.04,33.37,"UG","Agago"],
+        ["Rakvere",59.35,26.35,"EE","Rakvere"],
+        ["Baucau",-8.47,126.45,"TL","Baucau"],
+        ["Nalerigu",10.53,-0.37,"GH","North East"],
+        ["Tadjourah",11.78,42.88,"DJ","Tadjourah"],
+        ["Port Antonio",18.18,-76.45,"JM","Portland"],
+        ["Cēsis",57.32,25.27,"LV","Cēsis"],
+        ["Ozurgeti",41.94,41.99,"GE","Guria"],
+        ["Banbridge",54.34,-6.26,"GB","Armagh City, Banbridge and Craigavon"],
+        ["Dzuunmod",47.71,106.95,"MN","Töv"],
+        ["Djanet",24.56,9.49,"DZ","Djanet"],
+        ["Tullamore",53.27,-7.5,"IE","Offaly"],
+        ["Debar",41.53,20.53,"MK","Debar"],
+        ["Sigulda",57.15,24.87,"LV","Sigulda"],
+        ["Escaldes-Engordany",42.51,1.54,"AD","Escaldes-Engordany"],
+        ["Oyam",2.24,32.39,"UG","Oyam"],
+        ["Eisenstadt",47.85,16.52,"AT","Burgenland"],
+        ["Busembatia",0.78,33.63,"UG","Bugweri"],
+        ["Alloa",56.12,-3.79,"GB","Clackmannanshire"],
+        ["Alindao",5.03,21.22,"CF","Basse-Kotto"],
+        ["Baruun-Urt",46.68,113.28,"MN","Sühbaatar"],
+        ["Neftçala",39.36,49.25,"AZ","Neftçala"],
+        ["Cetinje",42.38,18.92,"ME","Cetinje"],
+        ["Sjenica",43.27,20,"RS","Sjenica"],
+        ["Kerugoya",-0.5,37.28,"KE","Kirinyaga"],
+        ["Akhaltsikhe",41.64,42.99,"GE","Samtskhe-Javakheti"],
+        ["Bukedea",1.35,34.04,"UG","Bukedea"],
+        ["Nehrəm",39.11,45.46,"AZ","Babək"],
+        ["Kamnik",46.23,14.61,"SI","Kamnik"],
+        ["Trbovlje",46.15,15.05,"SI","Trbovlje"],
+        ["Plav",42.6,19.94,"ME","Plav"],
+        ["Hawick",55.42,-2.79,"GB","Scottish Borders"],
+        ["Milford Haven",51.71,-5.04,"GB","Pembrokeshire"],
+        ["Bar",42.1,19.1,"ME","Bar"],
+        ["Ndélé",8.41,20.65,"CF","Bamingui-Bangoran"],
+        ["Tovuz",40.99,45.63,"AZ","Tovuz"],
+        ["Helensburgh",56.02,-4.73,"GB","Argyll and Bute"],
+        ["Shtërpcë",42.23,21.02,"XK","Shtërpcë"],
+        ["West End",26.69,-78.97,"BS","West Grand Bahama"],
+        ["Naxxar",35.92,14.44,"MT","Naxxar"],
+        ["Kaabong",3.52,34.12,"UG","Kaabong"],
+        ["Goudomp",12.58,-15.87,"SN","Sédhiou"],
+        ["Jesenice",46.44,14.06,"SI","Jesenice"],
+        ["Tórshavn",62,-6.78,"FO","Tórshavn"],
+        ["Ang Thong",14.59,100.46,"TH","Ang Thong"],
+        ["Sečanj",45.37,20.77,"RS","Sečanj"],
+        ["Peshkopi",41.68,20.43,"AL","Dibër"],
+        ["Basseterre",17.3,-62.73,"KN","Saint George Basseterre"],
+        ["Domžale",46.14,14.6,"SI","Domžale"],
+        ["Namanga",-2.55,36.78,"KE","Nyamira"],
+        ["Qazmalar",40.98,47.85,"AZ","Qəbələ"],
+        ["Druskininkai",54.02,23.97,"LT","Druskininkai"],
+        ["Drochia",48.03,27.75,"MD","Drochia"],
+        ["Novi Bečej",45.6,20.12,"RS","Novi Bečej"],
+        ["Tubmanburg",6.87,-10.82,"LR","Bomi"],
+        ["Fyzabad",10.18,-61.55,"TT","Siparia"],
+        ["Kuressaare",58.25,22.48,"EE","Saaremaa"],
+        ["Aberystwyth",52.41,-4.08,"GB","Ceredigion"],
+        ["Foammulah",-0.29,73.42,"MV","Fuvammulah"],
+        ["Nova Gorica",45.96,13.64,"SI","Nova Gorica"],
+        ["Holborn",51.52,-0.11,"GB","Camden"],
+        ["Quzanlı",40.16,47.17,"AZ","Ağdam"],
+        ["Kumi",1.46,33.94,"UG","Kumi"],
+        ["Kibiito",0.48,30.19,"UG","Bunyangabu"],
+        ["Kapchorwa",1.4,34.45,"UG","Kapchorwa"],
+        ["Amolatar",1.64,32.83,"UG","Amolatar"],
+        ["Daru",-9.08,143.2,"PG","Western"],
+        ["Nieuw Nickerie",5.93,-56.98,"SR","Nickerie"],
+        ["Rose Belle",-20.4,57.61,"MU","Grand Port"],
+        ["Rokiškis",55.97,25.58,"LT","Rokiškis"],
+        ["Serere",1.5,33.55,"UG","Serere"],
+        ["Delémont",47.37,7.35,"CH","Jura"],
+        ["Road Town",18.42,-64.62,"VG",""],
+        ["Luchenza",-16.02,35.3,"MW","Thyolo"],
+        ["Kotor",42.43,18.77,"ME","Kotor"],
+        ["Pago Pago",-14.27,-170.7,"AS",""],
+        ["Tərtər",40.35,46.93,"AZ","Tərtər"],
+        ["Chai Nat",15.19,100.13,"TH","Chai Nat"],
+        ["Makuyu",-0.9,37.18,"KE","Murang’a"],
+        ["San Ġwann",35.91,14.48,"MT","San Ġwann"],
+        ["Abergavenny",51.82,-3.02,"GB","Monmouthshire"],
+        ["Ialoveni",46.95,28.78,"MD","Ialoveni"],
+        ["Culfa",38.96,45.63,"AZ","Culfa"],
+        ["Hînceşti",46.82,28.58,"MD","Hînceşti"],
+        ["Saint David’s",12.04,-61.68,"GD","Saint David"],
+        ["Krapina",46.16,15.87,"HR","Krapinsko-Zagorska Županija"],
+        ["Sîngerei",47.63,28.15,"MD","Sîngerei"],
+        ["Anna Regina",7.26,-58.48,"GY","Pomeroon-Supenaam"],
+        ["Kanoni",0.17,31.91,"UG","Gomba"],
+        ["Oshikango",-17.4,15.88,"NA","Ohangwena"],
+        ["Meerzorg",5.81,-55.15,"SR","Commewijne"],
+        ["Zamora",-4.07,-78.96,"EC","Zamora-Chinchipe"],
+        ["Taraclia",45.9,28.67,"MD","Taraclia"],
+        ["Mandalgovĭ",45.77,106.27,"MN","Dundgovĭ"],
+        ["Encamp",42.54,1.58,"AD","Encamp"],
+        ["Bulgan",48.81,103.53,"MN","Bulgan"],
+        ["Penal",10.17,-61.47,"TT","Penal/Debe"],
+        ["Beyləqan",39.78,47.62,"AZ","Beyləqan"],
+        ["Sillamäe",59.39,27.77,"EE","Sillamäe"],
+        ["Qalāt",32.11,66.91,"AF","Zābul"],
+        ["Valga",57.78,26.03,"EE","Valga"],
+        ["Marsaskala",35.86,14.57,"MT","Marsaskala"],
+        ["Făleşti",47.57,27.71,"MD","Făleşti"],
+        ["Castlebar",53.86,-9.3,"IE","Mayo"],
+        ["Assomada",15.1,-23.67,"CV","Santa Catarina"],
+        ["Qoubaiyat",34.57,36.28,"LB","Aakkâr"],
+        ["Ḩukūmatī Gīzāb",33.38,66.27,"AF","Dāykundī"],
+        ["Floreşti",47.89,28.3,"MD","Floreşti"],
+        ["Cimişlia",46.52,28.78,"MD","Cimişlia"],
+        ["Robertsport",6.75,-11.37,"LR","Grand Cape Mount"],
+        ["Żebbuġ",35.87,14.44,"MT","Żebbuġ"],
+        ["Aioun",16.67,-9.62,"MR","Hodh el Gharbi"],
+        ["Vanimo",-2.67,141.28,"PG","West Sepik"],
+        ["Berane",42.84,19.86,"ME","Berane"],
+        ["Elektrėnai",54.79,24.66,"LT","Elektrénai"],
+        ["Pozharan",42.36,21.34,"XK","Viti"],
+        ["Hackney",51.54,-0.03,"GB","Hackney"],
+        ["Nakasongola",1.32,32.47,"UG","Nakasongola"],
+        ["Bol",13.46,14.74,"TD","Lac"],
+        ["Gatumba",-3.33,29.25,"BI","Bujumbura Rural"],
+        ["Izola",45.53,13.67,"SI","Izola"],
+        ["Škofja Loka",46.17,14.3,"SI","Škofja Loka"],
+        ["Fgura",35.87,14.52,"MT","Fgura"],
+        ["Kundiawa",-6.02,144.97,"PG","Chimbu"],
+        ["Bugongi",-0.64,30.25,"UG","Sheema"],
+        ["Port Morant",17.9,-76.32,"JM","Saint Thomas"],
+        ["Võru",57.85,26.99,"EE","Võru"],
+        ["Żejtun",35.86,14.53,"MT","Żejtun"],
+        ["Rabat",35.88,14.4,"MT","Rabat"],
+        ["Kavaratti",10.56,72.64,"IN","Lakshadweep"],
+        ["Mariehamn",60.1,19.93,"FI","Åland"],
+        ["Qax",41.42,46.92,"AZ","Qax"],
+        ["Ḩadībū",12.65,54.02,"YE","Arkhabīl Suquţrá"],
+        ["Las Tablas",7.77,-80.28,"PA","Los Santos"],
+        ["Santa Cruz",-0.53,-90.35,"EC","Galápagos"],
+        ["Akjoujt",19.75,-14.38,"MR","Inchiri"],
+        ["Murska Sobota",46.67,16.17,"SI","Murska Sobota"],
+        ["Si Wilai",18.19,103.74,"TH","Bueng Kan"],
+        ["Rezina",47.73,28.95,"MD","Rezina"],
+        ["Kiwoko",0.84,32.36,"UG","Nakaseke"],
+        ["Loikaw",19.67,97.21,"MM","Kayah State"],
+        ["Oakham",52.67,-0.73,"GB","Rutland"],
+        ["Attard",35.89,14.44,"MT","Attard"],
+        ["An Cabhán",53.99,-7.36,"IE","Cavan"],
+        ["Beni Abbès",30.08,-2.1,"DZ","Béni Abbès"],
+        ["Serravalle",43.97,12.48,"SM","Serravalle"],
+        ["Anenii Noi",46.88,29.22,"MD","Anenii Noi"],
+        ["Strumica",41.44,22.64,"MK","Strumica"],
+        ["Vinica",41.88,22.51,"MK","Vinica"],
+        ["Kuršėnai",55.98,22.92,"LT","Šiauliai"],
+        ["Probištip",41.99,22.18,"MK","Probištip"],
+        ["Żurrieq",35.83,14.48,"MT","Żurrieq"],
+        ["Călăraşi",47.25,28.3,"MD","Călăraşi"],
+        ["Amuru",2.82,31.86,"UG","Amuru"],
+        ["Ormesby",54.55,-1.18,"GB","Middlesbrough"],
+        ["Karuzi",-3.1,30.17,"BI","Karuzi"],
+        ["Daşkəsən",40.52,46.11,"AZ","Daşkəsən"],
+        ["Aduku",2.02,32.72,"UG","Kwania"],
+        ["Graçanicë",42.6,21.2,"XK","Graçanicë"],
+        ["Bela Crkva",44.9,21.42,"RS","Bela Crkva"],
+        ["Cookstown",54.65,-6.74,"GB","Mid-Ulster"],
+        ["Kralendijk",12.14,-68.27,"BQ","Bonaire"],
+        ["Al Maḩwīt",15.47,43.55,"YE","Al Maḩwīt"],
+        ["Jurbarkas",55.08,22.77,"LT","Jurbarkas"],
+        ["Ada",45.8,20.13,"RS","Ada"],
+        ["Jõhvi",59.36,27.43,"EE","Jõhvi"],
+        ["Surinam",-20.51,57.51,"MU","Savanne"],
+        ["Likiškiai",54.4,24,"LT","Alytus"],
+        ["Biržai",56.2,24.75,"LT","Biržai"],
+        ["Choyr",46.36,108.37,"MN","Govĭsümber"],
+        ["Trat",12.24,102.51,"TH","Trat"],
+        ["Phangnga",8.46,98.53,"TH","Phangnga"],
+        ["Hithadhoo",-0.61,73.09,"MV","Addu"],
+        ["Ordubad",38.91,46.03,"AZ","Ordubad"],
+        ["Sarnen",46.9,8.25,"CH","Obwalden"],
+        ["Brikama Ba",13.53,-14.93,"GM","Central River"],
+        ["Olaine",56.78,23.93,"LV","Olaine"],
+        ["Vilkaviškis",54.65,23.03,"LT","Vilkaviškis"],
+        ["Santana",0.26,6.74,"ST","Cantagalo"],
+        ["Samux",40.77,46.41,"AZ","Samux"],
+        ["Kazo",-0.05,30.76,"UG","Kazo"],
+        ["Birao",10.29,22.78,"CF","Vakaga"],
+        ["Garliava",54.82,23.87,"LT","Kaunas"],
+        ["Kuldīga",56.97,21.97,"LV","Kuldīga"],
+        ["Naftalan",40.51,46.83,"AZ","Naftalan"],
+        ["Mellieħa",35.96,14.37,"MT","Mellieħa"],
+        ["Keila",59.31,24.42,"EE","Keila"],
+        ["La Massana",42.54,1.51,"AD","La Massana"],
+        ["Neves",0.36,6.55,"ST","Lembá"],
+        ["Mojkovac",42.96,19.58,"ME","Mojkovac"],
+        ["Vrnjačka Banja",43.62,20.89,"RS","Vrnjačka Banja"],
+        ["Swieqi",35.92,14.48,"MT","Swieqi"],
+        ["Kwale",-4.17,39.46,"KE","Kwale"],
+        ["Nisporeni",47.08,28.18,"MD","Nisporeni"],
+        ["Kirundo",-2.59,30.09,"BI","Kirundo"],
+        ["Longford",53.73,-7.8,"IE","Longford"],
+        ["Bukomansimbi",-0.17,31.62,"UG","Bukomansimbi"],
+        ["Butha-Buthe",-28.78,28.23,"LS","Butha-Buthe"],
+        ["Lentvaris",54.65,25.07,"LT","Trakai"],
+        ["Mohlanapeng",-29.7,28.69,"LS","Thaba-Tseka"],
+        ["Kanjiža",46.07,20.05,"RS","Kanjiža"],
+        ["Geylegphug",26.87,90.49,"BT","Sarpang"],
+        ["Bauska",56.41,24.19,"LV","Bauska"],
+        ["Otočac",44.87,15.23,"HR","Ličko-Senjska Županija"],
+        ["Birżebbuġa",35.83,14.53,"MT","Birżebbuġa"],
+        ["Raseiniai",55.37,23.12,"LT","Raseiniai"],
+        ["Saldus",56.67,22.5,"LV","Saldus"],
+        ["Tshabong",-26.02,22.41,"BW","Kgalagadi"],
+        ["Haapsalu",58.94,23.54,"EE","Haapsalu"],
+        ["Sigatoka",-18.14,177.51,"FJ","Nadroga and Navosa"],
+        ["Caernarfon",53.14,-4.27,"GB","Gwynedd"],
+        ["Muyinga",-2.85,30.33,"BI","Muyinga"],
+        ["Postojna",45.78,14.21,"SI","Postojna"],
+        ["Borogani",46.37,28.52,"MD","Cantemir"],
+        ["Pedra Badejo",15.14,-23.53,"CV","Santa Cruz"],
+        ["Basco",20.45,121.97,"PH","Batanes"],
+        ["Bulisa",2.12,31.42,"UG","Buliisa"],
+        ["Rožaje",42.84,20.16,"ME","Rožaje"],
+        ["Hani i Elezit",42.15,21.3,"XK","Hani i Elezit"],
+        ["Altdorf",46.87,8.63,"CH","Uri"],
+        ["Makamba",-4.13,29.8,"BI","Makamba"],
+        ["Tivat",42.43,18.7,"ME","Tivat"],
+        ["Ntchisi",-13.37,34,"MW","Ntchisi"],
+        ["Samdrup Jongkhar",26.8,91.51,"BT","Samdrup Jongkhar"],
+        ["Sədərək",39.72,44.88,"AZ","Sədərək"],
+        ["Rîşcani",47.96,27.55,"MD","Rîşcani"],
+        ["Kasane",-17.82,25.15,"BW","Chobe"],
+        ["Ħamrun",35.89,14.49,"MT","Ħamrun"],
+        ["Žabalj",45.37,20.07,"RS","Žabalj"],
+        ["Sant Julià de Lòria",42.47,1.49,"AD","Sant Julià de Lòria"],
+        ["Evinayong",1.45,10.57,"GQ","Centro Sur"],
+        ["Katakwi",1.92,33.96,"UG","Katakwi"],
+        ["Dangriga",16.97,-88.22,"BZ","Stann Creek"],
+        ["Logatec",45.92,14.23,"SI","Logatec"],
+        ["Ewo",-0.87,14.82,"CG","Cuvette-Ouest"],
+        ["Manatuto",-8.52,126.02,"TL","Manatuto"],
+        ["Odžaci",45.52,19.27,"RS","Odžaci"],
+        ["Wangdue Phodrang",27.48,89.9,"BT","Wangdue Phodrang"],
+        ["Amuria",2.03,33.64,"UG","Amuria"],
+        ["Prienai",54.63,23.94,"LT","Prienai"],
+        ["Vrhnika",45.96,14.29,"SI","Vrhnika"],
+        ["Rio Claro",10.3,-61.17,"TT","Mayaro/Rio Claro"],
+        ["Qızılhacılı",40.58,46.85,"AZ","Goranboy"],
+        ["Talsi",57.24,22.59,"LV","Talsi"],
+        ["Mokhotlong",-29.29,29.07,"LS","Mokhotlong"],
+        ["Corozal",18.4,-88.4,"BZ","Corozal"],
+        ["Joniškis",56.23,23.6,"LT","Joniškis"],
+        ["Sremski Karlovci",45.2,19.93,"RS","Sremski Karlovci"],
+        ["Koror",7.34,134.48,"PW","Koror"],
+        ["Dobele",56.62,23.27,"LV","Dobele"],
+        ["Siġġiewi",35.85,14.44,"MT","Siġġiewi"],
+        ["Bududa",1.01,34.33,"UG","Bududa"],
+        ["Glodeni",47.77,27.52,"MD","Glodeni"],
+        ["Gədəbəy",40.57,45.82,"AZ","Gədəbəy"],
+        ["Anykščiai",55.53,25.1,"LT","Anykščiai"],
+        ["Tarxien",35.87,14.51,"MT","Tarxien"],
+        ["Buba",11.58,-15,"GW","Quinara"],
+        ["Imsida",35.9,14.49,"MT","Imsida"],
+        ["Bartica",6.4,-58.62,"GY","Cuyuni-Mazaruni"],
+        ["Varėna",54.21,24.57,"LT","Varėna"],
+        ["Basarabeasca",46.33,28.96,"MD","Basarabeasca"],
+        ["Zərdab",40.22,47.71,"AZ","Zərdab"],
+        ["Stans",46.95,8.35,"CH","Nidwalden"],
+        ["Brokopondo",5.07,-54.97,"SR","Brokopondo"],
+        ["Kaišiadorys",54.87,24.45,"LT","Kaišiadorys"],
+        ["Moengo",5.62,-54.4,"SR","Marowijne"],
+        ["Slovenska Bistrica",46.39,15.58,"SI","Slovenska Bistrica"],
+        ["Rubirizi",-0.27,30.11,"UG","Rubirizi"],
+        ["Naujoji Akmenė",56.32,22.9,"LT","Akmenė"],
+        ["Kočevje",45.64,14.86,"SI","Kočevje"],
+        ["Koné",-21.06,164.85,"NC","Province Nord"],
+        ["Balakən",41.73,46.41,"AZ","Balakən"],
+        ["Gleno",-8.72,125.44,"TL","Ermera"],
+        ["Beočin",45.2,19.73,"RS","Beočin"],
+        ["Gżira",35.91,14.49,"MT","Gżira"],
+        ["Sokobanja",43.65,21.87,"RS","Sokobanja"],
+        ["Greymouth",-42.45,171.21,"NZ","West Coast"],
+        ["Mtskheta",41.85,44.72,"GE","Mtskheta Mtianeti"],
+        ["Port Maria",18.37,-76.89,"JM","Saint Mary"],
+        ["Paide",58.88,25.56,"EE","Paide"],
+        ["Alebtong",2.25,33.32,"UG","Alebtong"],
+        ["Auki",-8.77,160.7,"SB","Malaita"],
+        ["Paola",35.87,14.51,"MT","Paola"],
+        ["Sembabule",-0.08,31.46,"UG","Sembabule"],
+        ["Falmouth",18.49,-77.66,"JM","Trelawny"],
+        ["San Ġiljan",35.92,14.49,"MT","San Ġiljan"],
+        ["Iqaluit",63.76,-68.51,"CA","Nunavut"],
+        ["Luba",3.45,8.55,"GQ","Bioko Sur"],
+        ["Grosuplje",45.96,14.66,"SI","Grosuplje"],
+        ["Monaghan",54.25,-6.97,"IE","Monaghan"],
+        ["Yeghegnadzor",39.76,45.33,"AM","Vayots’ Dzor"],
+        ["Yardımlı",38.92,48.24,"AZ","Yardımlı"],
+        ["Guadalupe",0.38,6.64,"ST","Lobata"],
+        ["Kibale",0.79,31.08,"UG","Kibaale"],
+        ["Roatán",16.32,-86.54,"HN","Islas de la Bahía"],
+        ["Kelmė",55.63,22.93,"LT","Kelmė"],
+        ["Sen Monorom",12.45,107.2,"KH","Mondolkiri"],
+        ["Ādaži",57.07,24.33,"LV","Ādaži"],
+        ["Ludza",56.55,27.72,"LV","Ludza"],
+        ["Leova",46.48,28.25,"MD","Leova"],
+        ["Kirkwall",58.98,-2.96,"GB","Orkney Islands"],
+        ["Neiafu",-18.65,-173.98,"TO","Vava‘u"],
+        ["Nangan",26.16,119.94,"TW","Lienchiang"],
+        ["Ravne na Koroškem",46.54,14.96,"SI","Ravne na Koroškem"],
+        ["Aračinovo",42.03,21.56,"MK","Aračinovo"],
+        ["Briceni",48.36,27.08,"MD","Briceni"],
+        ["Lerik",38.78,48.42,"AZ","Lerik"],
+        ["Krāslava",55.88,27.17,"LV","Krāslava"],
+        ["Kičevo",41.51,20.96,"MK","Kičevo"],
+        ["Ocniţa",48.39,27.44,"MD","Ocniţa"],
+        ["Slovenj Gradec",46.51,15.08,"SI","Slovenj Gradec"],
+        ["Kəlbəcər",40.11,46.04,"AZ","Kəlbəcər"],
+        ["Teleneşti",47.5,28.37,"MD","Teleneşti"],
+        ["Krško",45.95,15.48,"SI","Krško"],
+        ["Lapovo",44.18,21.1,"RS","Lapovo"],
+        ["Ruyigi",-3.48,30.25,"BI","Ruyigi"],
+        ["Novobërdë",42.6,21.43,"XK","Novobërdë"],
+        ["Donduşeni",48.22,27.58,"MD","Donduşeni"],
+        ["Ştefan Vodă",46.52,29.66,"MD","Ştefan Vodă"],
+        ["Diekirch",49.87,6.16,"LU","Diekirch"],
+        ["In Guezzam",19.57,5.77,"DZ","In Guezzam"],
+        ["Aizkraukle",56.6,25.25,"LV","Aizkraukle"],
+        ["Līvāni",56.37,26.18,"LV","Līvāni"],
+        ["Melekeok",7.5,134.62,"PW","Melekeok"],
+        ["Gulbene",57.17,26.75,"LV","Gulbene"],
+        ["Novi Kneževac",46.05,20.1,"RS","Novi Kneževac"],
+        ["Santa Venera",35.89,14.48,"MT","Santa Venera"],
+        ["Hola",-1.5,40.03,"KE","Tana River"],
+        ["Victoria",36.04,14.24,"MT","Rabat (Ghawdex)"],
+        ["Kiruhura",-0.21,30.83,"UG","Kiruhura"],
+        ["Limbaži",57.52,24.72,"LV","Limbaži"],
+        ["Lerwick",60.16,-1.14,"GB","Shetland Islands"],
+        ["Selfoss",63.93,-21,"IS","Sveitarfélagið Árborg"],
+        ["Oğuz",41.07,47.46,"AZ","Oğuz"],
+        ["Borgo Maggiore",43.95,12.45,"SM","Borgo Maggiore"],
+        ["Obiliq",42.69,21.08,"XK","Obiliq"],
+        ["Ajdovščina",45.89,13.91,"SI","Ajdovščina"],
+        ["Brežice",45.9,15.59,"SI","Brežice"],
+        ["Šalčininkai",54.32,25.38,"LT","Šalčininkai"],
+        ["Madona",56.85,26.22,"LV","Madona"],
+        ["Kovačica",45.11,20.62,"RS","Kovačica"],
+        ["Criuleni",47.22,29.17,"MD","Criuleni"],
+        ["Litija",46.07,14.82,"SI","Litija"],
+        ["Trindade",0.3,6.68,"ST","Mé-Zóchi"],
+        ["Kerema",-7.97,145.77,"PG","Gulf"],
+        ["Alūksne",57.42,27.05,"LV","Alūksne"],
+        ["Bogatić",44.83,19.48,"RS","Bogatić"],
+        ["Zouar",20.45,16.52,"TD","Tibesti"],
+        ["Pasvalys",56.06,24.4,"LT","Pasvalys"],
+        ["Siteki",-26.45,31.95,"SZ","Lubombo"],
+        ["Sal Rei",16.18,-22.92,"CV","Boa Vista"],
+        ["Lorengau",-2.03,147.27,"PG","Manus"],
+        ["Punakha",27.58,89.86,"BT","Punakha"],
+        ["Jakar",27.55,90.73,"BT","Bumthang"],
+        ["Phalombe",-15.8,35.65,"MW","Phalombe"],
+        ["Kavadarci",41.43,22.01,"MK","Kavadarci"],
+        ["Palikir",6.92,158.19,"FM","Pohnpei"],
+        ["Kupiškis",55.83,24.97,"LT","Kupiškis"],
+        ["Espargos",16.76,-22.95,"CV","Sal"],
+        ["Preiļi",56.3,26.72,"LV","Preiļi"],
+        ["Bački Petrovac",45.36,19.59,"RS","Bački Petrovac"],
+        ["Gizo",-8.11,156.84,"SB","Western"],
+        ["Mengeš",46.16,14.57,"SI","Mengeš"],
+        ["Bač",45.38,19.23,"RS","Bač"],
+        ["Junik",42.48,20.28,"XK","Junik"],
+        ["Viqueque",-8.85,126.37,"TL","Viqueque"],
+        ["Cəbrayıl",39.4,47.03,"AZ","Cəbrayıl"],
+        ["Zarasai",55.73,26.25,"LT","Zarasai"],
+        ["Sežana",45.7,13.87,"SI","Sežana"],
+        ["Funafuti",-8.52,179.2,"TV","Funafuti"],
+        ["Zagorje",46.13,14.99,"SI","Zagorje ob Savi"],
+        ["Lucea",18.45,-78.18,"JM","Hanover"],
+        ["Mitoma",-0.61,30.05,"UG","Mitooma"],
+        ["Schaan",47.17,9.51,"LI","Schaan"],
+        ["Glarus",47.03,9.07,"CH","Glarus"],
+        ["Radovljica",46.34,14.17,"SI","Radovljica"],
+        ["Luqa",35.86,14.49,"MT","Luqa"],
+        ["Idrija",46,14.03,"SI","Idrija"],
+        ["Şoldăneşti",47.82,28.8,"MD","Şoldăneşti"],
+        ["Ros Comáin",53.63,-8.18,"IE","Roscommon"],
+        ["Rutana",-3.92,30,"BI","Rutana"],
+        ["Balvi",57.13,27.25,"LV","Balvi"],
+        ["Grand Turk",21.47,-71.14,"TC",""],
+        ["Ranillug",42.49,21.56,"XK","Ranillug"],
+        ["Molėtai",55.23,25.42,"LT","Molėtai"],
+        ["Appenzell",47.33,9.42,"CH","Appenzell Innerrhoden"],
+        ["Echternach",49.81,6.42,"LU","Echternach"],
+        ["Marigot",18.07,-63.08,"MF",""],
+        ["Xocavənd",39.8,47.11,"AZ","Xocavənd"],
+        ["Masunga",-20.67,27.42,"BW","North East"],
+        ["Cacheu",12.27,-16.17,"GW","Cacheu"],
+        ["Vaduz",47.14,9.52,"LI","Vaduz"],
+        ["Sisimiut",66.94,-53.67,"GL","Qeqqata"],
+        ["Kazlų Rūda",54.75,23.5,"LT","Kazlų Rūdos"],
+        ["Salavan",15.72,106.42,"LA","Salavan"],
+        ["Mamushë",42.32,20.72,"XK","Mamushë"],
+        ["Črnomelj",45.57,15.19,"SI","Črnomelj"],
+        ["Petnjica",42.91,19.96,"ME","Petnjica"],
+        ["Mali Iđoš",45.71,19.66,"RS","Mali Iđoš"],
+        ["Muramvya",-3.25,29.6,"BI","Muramvya"],
+        ["Avarua",-21.21,-159.77,"CK",""],
+        ["Šakiai",54.95,23.05,"LT","Šakiai"],
+        ["Wiltz",49.97,5.93,"LU","Wiltz"],
+        ["Cospicua",35.88,14.52,"MT","Bormla"],
+        ["Medvode",46.14,14.41,"SI","Medvode"],
+        ["Skuodas",56.27,21.53,"LT","Skuodas"],
+        ["Põlva",58.05,27.06,"EE","Põlva"],
+        ["Partesh",42.4,21.43,"XK","Partesh"],
+        ["Napak",2.12,34.23,"UG","Napak"],
+        ["Tarrafal",16.57,-24.36,"CV","Tarrafal de São Nicolau"],
+        ["Thinadhoo",0.53,73,"MV","Huvadhuatholhu Dhekunuburi"],
+        ["Triesen",47.1,9.53,"LI","Triesen"],
+        ["Kalangala",-0.32,32.29,"UG","Kalangala"],
+        ["Ķekava",56.83,24.23,"LV","Ķekava"],
+        ["Slovenske Konjice",46.34,15.42,"SI","Slovenske Konjice"],
+        ["Danilovgrad",42.61,19.05,"ME","Danilovgrad"],
+        ["Liquiçá",-8.59,125.33,"TL","Likisá"],
+        ["Smiltene",57.43,25.9,"LV","Smiltene"],
+        ["Ignalina",55.35,26.17,"LT","Ignalina"],
+        ["Rogaška Slatina",46.23,15.64,"SI","Rogaška Slatina"],
+        ["Jõgeva",58.75,26.4,"EE","Jõgeva"],
+        ["Rapla",58.99,24.8,"EE","Rapla"],
+        ["Punta Gorda",16.1,-88.81,"BZ","Toledo"],
+        ["Palé",-1.41,5.63,"GQ","Annobón"],
+        ["Žalec",46.25,15.16,"SI","Žalec"],
+        ["Puerto Casado",-22.29,-57.94,"PY","Alto Paraguay"],
+        ["Grevenmacher",49.68,6.44,"LU","Grevenmacher"],
+        ["Samtse",27.03,89.08,"BT","Samtse"],
+        ["Gevgelija",41.14,22.5,"MK","Gevgelija"],
+        ["Hrastnik",46.15,15.15,"SI","Hrastnik"],
+        ["Šentjur",46.22,15.4,"SI","Šentjur"],
+        ["Aībak",36.27,68.02,"AF","Samangān"],
+        ["Bled",46.37,14.11,"SI","Bled"],
+        ["Xagħra",36.05,14.27,"MT","Xagħra"],
+        ["Vrapčište",41.83,20.89,"MK","Vrapčište"],
+        ["Ordino",42.56,1.53,"AD","Ordino"],
+        ["Irig",45.1,19.85,"RS","Irig"],
+        ["Bolama",11.58,-15.48,"GW","Bolama/Bijagós"],
+        ["Tuzi",42.37,19.33,"ME","Tuzi"],
+        ["Ilulissat",69.22,-51.1,"GL","Avannaata"],
+        ["Għaxaq",35.85,14.52,"MT","Għaxaq"],
+        ["Čoka",45.93,20.15,"RS","Čoka"],
+        ["Šilalė",55.48,22.18,"LT","Šilalė"],
+        ["Radoviš",41.64,22.46,"MK","Radoviš"],
+        ["Klaksvík",62.24,-6.54,"FO","Klaksvík"],
+        ["Balzers",47.07,9.5,"LI","Balzers"],
+        ["Prevalje",46.54,14.91,"SI","Prevalje"],
+        ["Outapi",-17.52,15,"NA","Omusati"],
+        ["Opovo",45.05,20.43,"RS","Opovo"],
+        ["Sevnica",46.01,15.3,"SI","Sevnica"],
+        ["Valka",57.77,26,"LV","Valka"],
+        ["Nadur",36.04,14.3,"MT","Nadur"],
+        ["Pakruojis",55.97,23.87,"LT","Pakruojis"],
+        ["Švenčionys",55.13,26.16,"LT","Švenčionys"],
+        ["Bururi",-3.95,29.62,"BI","Bururi"],
+        ["Eschen",47.22,9.52,"LI","Eschen"],
+        ["Şuşa",39.76,46.75,"AZ","Şuşa"],
+        ["Qıvraq",39.4,45.11,"AZ","Kəngərli"],
+        ["Mauren",47.22,9.53,"LI","Mauren"],
+        ["Marsa",35.88,14.49,"MT","Marsa"],
+        ["Ilirska Bistrica",45.57,14.25,"SI","Ilirska Bistrica"],
+        ["Saint George’s",12.05,-61.75,"GD","Saint George"],
+        ["Nwoya",2.64,32,"UG","Nwoya"],
+        ["Black River",18.03,-77.85,"JM","Saint Elizabeth"],
+        ["Ruše",46.54,15.52,"SI","Ruše"],
+        ["La Palma",8.41,-78.15,"PA","Darién"],
+        ["Calheta de São Miguel",15.19,-23.59,"CV","São Miguel"],
+        ["Naifaru",5.44,73.37,"MV","Faadhippolhu"],
+        ["Canillo",42.57,1.6,"AD","Canillo"],
+        ["Wabag",-5.49,143.72,"PG","Enga"],
+        ["Carrick on Shannon",53.94,-8.1,"IE","Leitrim"],
+        ["San Marino",43.93,12.45,"SM","San Marino Città"],
+        ["Kalvarija",54.42,23.22,"LT","Kalvarija"],
+        ["Pietà",35.89,14.49,"MT","Pietà"],
+        ["Cerknica",45.8,14.36,"SI","Cerknica"],
+        ["Balzan",35.9,14.45,"MT","Balzan"],
+        ["Qobustan",40.54,48.93,"AZ","Qobustan"],
+        ["Trebnje",45.91,15.01,"SI","Trebnje"],
+        ["Trzin",46.14,14.56,"SI","Trzin"],
+        ["Lazdijai",54.23,23.52,"LT","Lazdijai"],
+        ["Plandište",45.23,21.12,"RS","Plandište"],
+        ["Remich",49.54,6.37,"LU","Remich"],
+        ["Miklavž na Dravskem Polju",46.51,15.7,"SI","Miklavž na Dravskem Polju"],
+        ["Deçan",42.53,20.28,"XK","Deçan"],
+        ["Piran",45.53,13.57,"SI","Piran"],
+        ["Lavumisa",-27.32,31.9,"SZ","Shiselweni"],
+        ["Šempeter pri Gorici",45.93,13.64,"SI","Šempeter-Vrtojba"],
+        ["Tržič",46.36,14.29,"SI","Tržič"],
+        ["Žiri",46.05,14.11,"SI","Žiri"],
+        ["Pembroke",35.93,14.48,"MT","Pembroke"],
+        ["Imġarr",35.92,14.37,"MT","Imġarr"],
+        ["Cankuzo",-3.22,30.55,"BI","Cankuzo"],
+        ["Berovo",41.71,22.86,"MK","Berovo"],
+        ["Ribnica",45.74,14.73,"SI","Ribnica"],
+        ["Dingli",35.86,14.38,"MT","Dingli"],
+        ["São João dos Angolares",0.13,6.65,"ST","Caué"],
+        ["Kruševo",41.37,21.25,"MK","Kruševo"],
+        ["Domagnano",43.95,12.47,"SM","Domagnano"],
+        ["Marsaxlokk",35.84,14.54,"MT","Marsaxlokk"],
+        ["Tolmin",46.19,13.74,"SI","Tolmin"],
+        ["Mongar",27.28,91.24,"BT","Mongar"],
+        ["Kirakira",-10.45,161.92,"SB","Makira and Ulawa"],
+        ["Sveti Nikole",41.87,21.94,"MK","Sveti Nikole"],
+        ["Alibunar",45.08,20.97,"RS","Alibunar"],
+        ["Kaberamaido",1.77,33.15,"UG","Kaberamaido"],
+        ["Malishevë",42.48,20.75,"XK","Malishevë"],
+        ["Fish Town",5.2,-7.88,"LR","River Gee"],
+        ["Imqabba",35.84,14.47,"MT","Imqabba"],
+        ["Xewkija",36.03,14.26,"MT","Xewkija"],
+        ["Laško",46.16,15.24,"SI","Laško"],
+        ["Lenart v Slovenskih Goricah",46.57,15.83,"SI","Lenart"],
+        ["Demir Kapija",41.41,22.24,"MK","Demir Kapija"],
+        ["Ljutomer",46.52,16.2,"SI","Ljutomer"],
+        ["Rietavas",55.72,21.93,"LT","Rietavas"],
+        ["Kärdla",59,22.75,"EE","Hiiumaa"],
+        ["Metlika",45.65,15.32,"SI","Metlika"],
+        ["Ankaran",45.58,13.74,"SI","Ankaran"],
+        ["Brezovica",46.02,14.42,"SI","Brezovica"],
+        ["Groningen",5.8,-55.47,"SR","Saramacca"],
+        ["Għajnsielem",36.03,14.29,"MT","Għajnsielem"],
+        ["Mežica",46.52,14.85,"SI","Mežica"],
+        ["Iklin",35.9,14.45,"MT","Iklin"],
+        ["Şahbuz",39.41,45.57,"AZ","Şahbuz"],
+        ["Colonia",9.52,138.13,"FM","Yap"],
+        ["Šenčur",46.24,14.42,"SI","Šenčur"],
+        ["Saulkrasti",57.25,24.42,"LV","Saulkrasti"],
+        ["Golubovci",42.33,19.23,"ME","Zeta"],
+        ["Ulbroka",56.93,24.28,"LV","Ropaži"],
+        ["Birštonas",54.6,24.02,"LT","Birštonas"],
+        ["Qaqortoq",60.72,-46.04,"GL","Kujalleq"],
+        ["Dravograd",46.59,15.02,"SI","Dravograd"],
+        ["Gornja Radgona",46.68,15.99,"SI","Gornja Radgona"],
+        ["Ainaro",-8.98,125.5,"TL","Ainaro"],
+        ["Lija",35.9,14.45,"MT","Lija"],
+        ["Železniki",46.22,14.16,"SI","Železniki"],
+        ["Aasiaat",68.71,-52.87,"GL","Qeqertalik"],
+        ["Porto Inglês",15.14,-23.21,"CV","Maio"],
+        ["Trashigang",27.33,91.55,"BT","Trashigang"],
+        ["Delčevo",41.97,22.77,"MK","Delčevo"],
+        ["Kalkara",35.89,14.53,"MT","Kalkara"],
+        ["Mahibadhoo",3.76,72.97,"MV","Ariatholhu Dhekunuburi"],
+        ["Lethem",3.38,-59.8,"GY","Upper Takutu-Upper Essequibo"],
+        ["Gudja",35.85,14.5,"MT","Gudja"],
+        ["Mabaruma",8.2,-59.78,"GY","Barima-Waini"],
+        ["Żebbuġ",36.07,14.24,"MT","Żebbuġ (Ghawdex)"],
+        ["Lendava",46.56,16.45,"SI","Lendava"],
+        ["Bogdanci",41.2,22.57,"MK","Bogdanci"],
+        ["Rogašovci",46.81,16.03,"SI","Rogašovci"],
+        ["Šoštanj",46.38,15.05,"SI","Šoštanj"],
+        ["Zreče",46.38,15.39,"SI","Zreče"],
+        ["Sowa Town",-20.56,26.22,"BW","Sowa Town"],
+        ["Bopolu",7.07,-10.49,"LR","Gbarpolu"],
+        ["Žitište",45.48,20.55,"RS","Žitište"],
+        ["Radlje ob Dravi",46.62,15.23,"SI","Radlje ob Dravi"],
+        ["Viligili",0.76,73.44,"MV","Huvadhuatholhu Uthuruburi"],
+        ["São Domingos",15.03,-23.56,"CV","São Domingos"],
+        ["Buala",-8.13,159.58,"SB","Isabel"],
+        ["Senglea",35.89,14.52,"MT","Isla"],
+        ["Għargħur",35.92,14.45,"MT","Għargħur"],
+        ["Qrendi",35.83,14.46,"MT","Qrendi"],
+        ["Trashi Yangtse",27.58,91.47,"BT","Trashi Yangtse"],
+        ["Barclayville",4.68,-8.23,"LR","Grand Kru"],
+        ["Kolašin",42.82,19.52,"ME","Kolašin"],
+        ["Škofljica",45.98,14.58,"SI","Škofljica"],
+        ["Trongsa",27.5,90.5,"BT","Trongsa"],
+        ["Rače",46.45,15.68,"SI","Rače-Fram"],
+        ["Negotino",41.48,22.09,"MK","Negotino"],
+        ["Sauðárkrókur",65.75,-19.64,"IS","Skagafjörður"],
+        ["Borovnica",45.92,14.36,"SI","Borovnica"],
+        ["Eydhafushi",5.1,73.07,"MV","Maalhosmadulu Dhekunuburi"],
+        ["Triesenberg",47.12,9.54,"LI","Triesenberg"],
+        ["Vittoriosa",35.89,14.52,"MT","Birgu"],
+        ["Ísafjörður",66.08,-23.13,"IS","Ísafjarðarbær"],
+        ["Tofol",5.33,163.01,"FM","Kosrae"],
+        ["Cestos City",5.47,-9.58,"LR","River Cess"],
+        ["Imtarfa",35.89,14.4,"MT","Imtarfa"],
+        ["Mkokotoni",-5.88,39.27,"TZ","Zanzibar North"],
+        ["Mahdia",5.27,-59.15,"GY","Potaro-Siparuni"],
+        ["Kllokot",42.37,21.38,"XK","Kllokot"],
+        ["Fiorentino",43.91,12.46,"SM","Fiorentino"],
+        ["Ungoofaaru",5.67,73.03,"MV","Maalhosmadulu Uthuruburi"],
+        ["Capitol Hill",15.21,145.75,"MP",""],
+        ["Vojnik",46.29,15.31,"SI","Vojnik"],
+        ["Kudahuvadhoo",2.67,72.89,"MV","Nilandheatholhu Dhekunuburi"],
+        ["Beltinci",46.61,16.23,"SI","Beltinci"],
+        ["Vevčani",41.24,20.59,"MK","Vevčani"],
+        ["Höfn",64.25,-15.21,"IS","Sveitarfélagið Hornafjörður"],
+        ["Nida",55.3,21.01,"LT","Neringa"],
+        ["Karungu",-0.85,34.15,"KE","Migori"],
+        ["Polzela",46.28,15.07,"SI","Polzela"],
+        ["Zhemgang",27.21,90.66,"BT","Zhemgang"],
+        ["Egilsstaðir",65.28,-14.38,"IS","Múlaþing"],
+        ["Ruggell",47.25,9.53,"LI","Ruggell"],
+        ["Muta",46.62,15.17,"SI","Muta"],
+        ["Qala",36.04,14.31,"MT","Qala"],
+        ["Štore",46.22,15.31,"SI","Štore"],
+        ["Ig",45.97,14.54,"SI","Ig"],
+        ["Onverwacht",5.59,-55.19,"SR","Para"],
+        ["Gradsko",41.58,21.94,"MK","Gradsko"],
+        ["Stanley",-51.7,-57.85,"FK",""],
+        ["Floriana",35.89,14.51,"MT","Floriana"],
+        ["Ivančna Gorica",45.94,14.8,"SI","Ivančna Gorica"],
+        ["Črna na Koroškem",46.47,14.85,"SI","Črna na Koroškem"],
+        ["Kirkop",35.84,14.49,"MT","Kirkop"],
+        ["Laçın",39.64,46.55,"AZ","Laçın"],
+        ["Vianden",49.93,6.21,"LU","Vianden"],
+        ["Totness",5.88,-56.33,"SR","Coronie"],
+        ["Cidade Velha",14.92,-23.61,"CV","Ribeira Grande de Santiago"],
+        ["Acquaviva",43.95,12.42,"SM","Acquaviva"],
+        ["Radenci",46.65,16.05,"SI","Radenci"],
+        ["Safi",35.83,14.49,"MT","Safi"],
+        ["Sannat",36.02,14.25,"MT","Sannat"],
+        ["Spodnje Hoče",46.5,15.65,"SI","Hoče-Slivnica"],
+        ["Funadhoo",6.15,73.29,"MV","Miladhunmadulu Uthuruburi"],
+        ["Same",-9,125.65,"TL","Manufahi"],
+        ["Pivka",45.68,14.2,"SI","Pivka"],
+        ["Mozirje",46.34,14.96,"SI","Mozirje"],
+        ["Vipava",45.85,13.96,"SI","Vipava"],
+        ["Ambrolauri",42.52,43.15,"GE","Rach’a-Lechkhumi da Kvemo Svaneti"],
+        ["Manadhoo",5.76,73.41,"MV","Miladhunmadulu Dhekunuburi"],
+        ["Semič",45.65,15.18,"SI","Semič"],
+        ["Djibloho",1.59,10.82,"GQ","Djibloho"],
+        ["Radeče",46.07,15.17,"SI","Radeče"],
+        ["Lovrenc na Pohorju",46.54,15.38,"SI","Lovrenc na Pohorju"],
+        ["Valandovo",41.32,22.56,"MK","Valandovo"],
+        ["Capellen",49.64,5.99,"LU","Capellen"],
+        ["Kriva Palanka",42.2,22.33,"MK","Kriva Palanka"],
+        ["Ormož",46.41,16.15,"SI","Ormož"],
+        ["Borgarnes",64.53,-21.92,"IS","Borgarbyggð"],
+        ["Straža",45.79,15.07,"SI","Straža"],
+        ["Kerċem",36.04,14.23,"MT","Kerċem"],
+        ["Žabljak",43.16,19.12,"ME","Žabljak"],
+        ["Kratovo",42.08,22.18,"MK","Kratovo"],
+        ["Amudat",1.95,34.94,"UG","Amudat"],
+        ["Philipsburg",18.02,-63.05,"SX",""],
+        ["Krivogaštani",41.34,21.33,"MK","Krivogaštani"],
+        ["Zrnovci",41.85,22.44,"MK","Zrnovci"],
+        ["Mislinja",46.44,15.19,"SI","Mislinja"],
+        ["Ta’ Xbiex",35.9,14.5,"MT","Ta’ Xbiex"],
+        ["Naklo",46.27,14.32,"SI","Naklo"],
+        ["Bohinjska Bistrica",46.27,13.95,"SI","Bohinj"],
+        ["Šmarje",46.23,15.52,"SI","Šmarje pri Jelšah"],
+        ["Divača",45.68,13.97,"SI","Divača"],
+        ["Xgħajra",35.89,14.55,"MT","Xgħajra"],
+        ["Varakļāni",56.6,26.75,"LV","Varakļāni"],
+        ["Cerklje na Gorenjskem",46.25,14.49,"SI","Cerklje na Gorenjskem"],
+        ["Spodnji Duplek",46.51,15.75,"SI","Duplek"],
+        ["Pehčevo",41.76,22.89,"MK","Pehčevo"],
+        ["Gusinje",42.56,19.83,"ME","Gusinje"],
+        ["Gamprin",47.22,9.5,"LI","Gamprin"],
+        ["Pārūn",35.42,70.92,"AF","Nūristān"],
+        ["Odranci",46.59,16.28,"SI","Odranci"],
+        ["Vodice",46.18,14.48,"SI","Vodice"],
+        ["Alofi",-19.06,-169.92,"NU",""],
+        ["Prebold",46.24,15.09,"SI","Prebold"],
+        ["Xızı",40.91,49.07,"AZ","Xızı"],
+        ["Zgornja Kungota",46.64,15.61,"SI","Kungota"],
+        ["Bovec",46.34,13.55,"SI","Bovec"],
+        ["Plasnica",41.47,21.12,"MK","Plasnica"],
+        ["Chiradzulu",-15.7,35.18,"MW","Chiradzulu"],
+        ["Rogatec",46.22,15.71,"SI","Rogatec"],
+        ["Għarb",36.06,14.21,"MT","Għarb"],
+        ["Vuzenica",46.6,15.17,"SI","Vuzenica"],
+        ["Miren",45.9,13.61,"SI","Miren-Kostanjevica"],
+        ["Turnišče",46.62,16.32,"SI","Turnišče"],
+        ["Tabor",46.21,15,"SI","Tabor"],
+        ["Nova Crnja",45.67,20.6,"RS","Nova Crnja"],
+        ["Mogila",41.11,21.38,"MK","Mogila"],
+        ["Tearce",42.08,21.05,"MK","Tearce"],
+        ["Clervaux",50.05,6.03,"LU","Clervaux"],
+        ["Dragomer",46.02,14.38,"SI","Log-Dragomer"],
+        ["Munxar",36.03,14.24,"MT","Munxar"],
+        ["Kranjska Gora",46.49,13.79,"SI","Kranjska Gora"],
+        ["Šentjernej",45.84,15.34,"SI","Šentjernej"],
+        ["Cerkno",46.13,13.99,"SI","Cerkno"],
+        ["Oplotnica",46.39,15.45,"SI","Oplotnica"],
+        ["Machinga",-14.97,35.52,"MW","Machinga"],
+        ["Xocalı",39.91,46.79,"AZ","Xocalı"],
+        ["Šmartno",46.04,14.85,"SI","Šmartno pri Litiji"],
+        ["Mirna",45.95,15.07,"SI","Mirna"],
+        ["Selnica ob Dravi",46.55,15.49,"SI","Selnica ob Dravi"],
+        ["Plužine",43.15,18.83,"ME","Plužine"],
+        ["Santo António",1.64,7.42,"ST","Príncipe"],
+        ["Novaci",41.04,21.46,"MK","Novaci"],
+        ["Safotu",-13.45,-172.4,"WS","Gagaifomauga"],
+        ["Dornava",46.43,15.95,"SI","Dornava"],
+        ["Kidričevo",46.41,15.8,"SI","Kidričevo"],
+        ["Tulagi",-9.1,160.15,"SB","Central"],
+        ["Rosoman",41.52,21.95,"MK","Rosoman"],
+        ["Novo Selo",41.41,22.88,"MK","Novo Selo"],
+        ["Isangel",-19.53,169.28,"VU","Tafea"],
+        ["Leulumoega",-13.82,-171.92,"WS","A‘ana"],
+        ["Faetano",43.93,12.5,"SM","Faetano"],
+        ["Horjul",46.02,14.3,"SI","Horjul"],
+        ["Črenšovci",46.57,16.29,"SI","Črenšovci"],
+        ["Daga",27.07,89.88,"BT","Dagana"],
+        ["Kanal",46.09,13.63,"SI","Kanal ob Soči"],
+        ["Asau",-13.52,-172.64,"WS","Vaisigano"],
+        ["Gorenja Vas",46.11,14.15,"SI","Gorenja Vas-Poljane"],
+        ["Veymandoo",2.19,73.09,"MV","Kolhumadulu"],
+        ["Poljčane",46.31,15.58,"SI","Poljčane"],
+        ["Ljubno",46.33,14.83,"SI","Ljubno"],
+        ["Schellenberg",47.23,9.55,"LI","Schellenberg"],
+        ["Kobarid",46.25,13.58,"SI","Kobarid"],
+        ["Benedikt",46.61,15.88,"SI","Benedikt"],
+        ["Andrijevica",42.73,19.79,"ME","Andrijevica"],
+        ["Bosilovo",41.44,22.73,"MK","Bosilovo"],
+        ["Oranjestad",17.48,-62.98,"BQ","Sint Eustatius"],
+        ["Gornji Grad",46.3,14.81,"SI","Gornji Grad"],
+        ["Mirna Peč",45.86,15.09,"SI","Mirna Peč"],
+        ["Fontana",36.04,14.24,"MT","Fontana"],
+        ["Središče ob Dravi",46.39,16.27,"SI","Središče ob Dravi"],
+        ["Montegiardino",43.91,12.48,"SM","Montegiardino"],
+        ["Konče",41.5,22.38,"MK","Konče"],
+        ["Moravče",46.14,14.74,"SI","Moravče"],
+        ["Lufilufi",-13.85,-171.58,"WS","Atua"],
+        ["Dobrovnik",46.65,16.35,"SI","Dobrovnik"],
+        ["Dobrova",46.05,14.41,"SI","Dobrova-Polhov Gradec"],
+        ["Veržej",46.58,16.16,"SI","Veržej"],
+        ["Komenda",46.21,14.54,"SI","Komenda"],
+        ["Dolenjske Toplice",45.75,15.06,"SI","Dolenjske Toplice"],
+        ["Nazarje",46.32,14.95,"SI","Nazarje"],
+        ["Rostuša",41.61,20.6,"MK","Mavrovo i Rostuše"],
+        ["Velika Polana",46.57,16.35,"SI","Velika Polana"],
+        ["Vitanje",46.38,15.3,"SI","Vitanje"],
+        ["Gorišnica",46.41,16.01,"SI","Gorišnica"],
+        ["Hamilton",32.29,-64.78,"BM","Hamilton"],
+        ["Jegunovce",42.07,21.12,"MK","Jegunovce"],
+        ["Pesnica",46.61,15.67,"SI","Pesnica"],
+        ["Sodražica",45.76,14.64,"SI","Sodražica"],
+        ["Stari Trg",45.71,14.47,"SI","Loška Dolina"],
+        ["Preddvor",46.31,14.42,"SI","Preddvor"],
+        ["Vatican City",41.9,12.45,"VA",""],
+        ["Zgornja Hajdina",46.41,15.84,"SI","Hajdina"],
+        ["Vailoa",-13.76,-172.31,"WS","Palauli"],
+        ["Starše",46.47,15.77,"SI","Starše"],
+        ["Sveta Trojica v Slovenskih Goricah",46.58,15.88,"SI","Sveta Trojica v Slovenskih Goricah"],
+        ["Moravske-Toplice",46.69,16.23,"SI","Moravske Toplice"],
+        ["San Lawrenz",36.06,14.2,"MT","San Lawrenz"],
+        ["Širvintos",55.04,24.97,"LT","Širvintos"],
+        ["Rankovce",42.17,22.12,"MK","Rankovce"],
+        ["Velike Lašče",45.84,14.64,"SI","Velike Lašče"],
+        ["Jamestown",-15.93,-5.72,"SH","Saint Helena"],
+        ["Hvalba",61.6,-6.96,"FO","Hvalba"],
+        ["Lakatoro",-16.11,167.42,"VU","Malampa"],
+        ["Mokronog",45.94,15.15,"SI","Mokronog-Trebelno"],
+        ["Sopište",41.95,21.43,"MK","Sopište"],
+        ["Kostanjevica na Krki",45.85,15.42,"SI","Kostanjevica na Krki"],
+        ["Obleševo",41.88,22.33,"MK","Češinovo-Obleševo"],
+        ["Karbinci",41.82,22.24,"MK","Karbinci"],
+        ["Komen",45.82,13.75,"SI","Komen"],
+        ["Šmartno",46.33,15.03,"SI","Šmartno ob Paki"],
+        ["Kozje",46.07,15.56,"SI","Kozje"],
+        ["Puconci",46.7,16.16,"SI","Puconci"],
+        ["Vasilevo",41.48,22.64,"MK","Vasilevo"],
+        ["Bangar",4.71,115.07,"BN","Temburong"],
+        ["Grad",46.8,16.1,"SI","Grad"],
+        ["Nkurenkuru",-17.62,18.6,"NA","Kavango West"],
+        ["Tigoa",-11.56,160.07,"SB","Rennell and Bellona"],
+        ["Majšperk",46.35,15.73,"SI","Majšperk"],
+        ["Saleaula",-13.45,-172.33,"WS","Gaga‘emauga"],
+        ["Videm",45.85,14.69,"SI","Dobrepolje"],
+        ["Petrovec",41.94,21.62,"MK","Petrovec"],
+        ["Podčetrtek",46.16,15.6,"SI","Podčetrtek"],
+        ["Makedonski Brod",41.51,21.22,"MK","Makedonski Brod"],
+        ["Zgornje Jezersko",46.4,14.5,"SI","Jezersko"],
+        ["Staro Nagoričane",42.2,21.83,"MK","Staro Nagoričane"],
+        ["Lata",-10.72,165.83,"SB","Temotu"],
+        ["Apače",46.7,15.91,"SI","Apače"],
+        ["Demir Hisar",41.22,21.2,"MK","Demir Hisar"],
+        ["Kobilje",46.68,16.4,"SI","Kobilje"],
+        ["Dobrna",46.34,15.23,"SI","Dobrna"],
+        ["Zgornje Gorje",46.38,14.07,"SI","Gorje"],
+        ["Għasri",36.06,14.23,"MT","Għasri"],
+        ["Lozovo",41.78,21.9,"MK","Lozovo"],
+        ["Rečica",46.32,14.92,"SI","Rečica ob Savinji"],
+        ["Felidhoo",3.47,73.55,"MV","Felidheatholhu"],
+        ["Križevci",46.56,16.14,"SI","Križevci"],
+        ["Markovci",46.4,15.93,"SI","Markovci"],
+        ["Šmarješke Toplice",45.86,15.22,"SI","Šmarješke Toplice"],
+        ["Planken",47.18,9.53,"LI","Planken"],
+        ["Šavnik",42.95,19.1,"ME","Šavnik"],
+        ["Vreed-en-Hoop",6.81,-58.18,"GY","Essequibo Islands-West Demerara"],
+        ["Centar Župa",41.48,20.56,"MK","Centar Župa"],
+        ["The Bottom",17.63,-63.25,"BQ","Saba"],
+        ["Videm pri Ptuju",46.37,15.89,"SI","Videm"],
+        ["Cirkulane",46.34,15.99,"SI","Cirkulane"],
+        ["Brvenica",41.97,20.98,"MK","Brvenica"],
+        ["Skopun",61.91,-6.87,"FO","Skopun"],
+        ["Lukovica",46.17,14.69,"SI","Lukovica"],
+        ["Belčišta",41.3,20.83,"MK","Debarca"],
+        ["Crna Trava",42.81,22.3,"RS","Crna Trava"],
+        ["Kuzma",46.83,16.08,"SI","Kuzma"],
+        ["Cankova",46.72,16.02,"SI","Cankova"],
+        ["Hvannasund",62.28,-6.52,"FO","Hvannasund"],
+        ["Gornji Petrovci",46.81,16.22,"SI","Gornji Petrovci"],
+        ["Tišina",46.66,16.09,"SI","Tišina"],
+        ["Ribnica",46.54,15.27,"SI","Ribnica na Pohorju"],
+        ["Luče",46.36,14.74,"SI","Luče"],
+        ["Šalovci",46.83,16.3,"SI","Šalovci"],
+        ["Brades",16.79,-62.21,"MS","Saint Peter"],
+        ["Juršinci",46.49,15.97,"SI","Juršinci"],
+        ["Podlehnik",46.34,15.88,"SI","Podlehnik"],
+        ["Braslovče",46.29,15.04,"SI","Braslovče"],
+        ["Dolneni",41.43,21.45,"MK","Dolneni"],
+        ["Trnovska Vas",46.52,15.9,"SI","Trnovska Vas"],
+        ["Jurovski Dol",46.61,15.78,"SI","Sveti Jurij v Slovenskih Goricah"],
+        ["Hrib-Loški Potok",45.7,14.59,"SI","Loški Potok"],
+        ["Vitomarci",46.52,15.93,"SI","Sveti Andraž v Slovenskih Goricah"],
+        ["Dobrovo",46,13.53,"SI","Brda"],
+        ["Šentrupert",45.98,15.09,"SI","Šentrupert"],
+        ["Podvelka",46.59,15.33,"SI","Podvelka"],
+        ["Porkeri",61.48,-6.75,"FO","Porkeri"],
+        ["Nova Vas",45.77,14.51,"SI","Bloke"],
+        ["Imdina",35.89,14.4,"MT","Imdina"],
+        ["Hodoš",46.83,16.32,"SI","Hodoš"],
+        ["Dol",46.09,14.64,"SI","Dol pri Ljubljani"],
+        ["Čučer-Sandevo",42.1,21.39,"MK","Čučer-Sandevo"],
+        ["Zelenikovo",41.89,21.59,"MK","Zelenikovo"],
+        ["Tomaž pri Ormožu",46.48,16.08,"SI","Sveti Tomaž"],
+        ["Bistrica ob Sotli",46.06,15.66,"SI","Bistrica ob Sotli"],
+        ["Škocjan",45.91,15.29,"SI","Škocjan"],
+        ["Amau",-10.04,148.57,"PG","Central"],
+        ["Makole",46.32,15.67,"SI","Makole"],
+        ["Sveti Jurij",46.57,16.02,"SI","Sveti Jurij ob Ščavnici"],
+        ["Solčava",46.42,14.69,"SI","Solčava"],
+        ["Destrnik",46.49,15.88,"SI","Destrnik"],
+        ["Waitangi",-43.95,-176.56,"NZ","Chatham Islands"],
+        ["Cerkvenjak",46.57,15.94,"SI","Cerkvenjak"],
+        ["Sveta Ana",46.65,15.85,"SI","Sveta Ana"],
+        ["Razkrižje",46.52,16.29,"SI","Razkrižje"],
+        ["Fort Wellington",6.4,-57.62,"GY","Mahaica-Berbice"],
+        ["Dobje",46.14,15.39,"SI","Dobje"],
+        ["Želino",41.98,21.06,"MK","Želino"],
+        ["Star Dojran",41.19,22.72,"MK","Dojran"],
+        ["Grytviken",-54.28,-36.51,"GS",""],
+        ["Fámjin",61.53,-6.88,"FO","Fámjin"],
+        ["Osilnica",45.53,14.7,"SI","Osilnica"],
+        ["Studeničani",41.92,21.53,"MK","Studeničani"],
+        ["Pagėgiai",55.13,21.92,"LT","Pagégiai"],
+        ["Samamea",-13.93,-171.53,"WS","Va‘a-o-Fonoti"],
+        ["Bogovinje",41.92,20.91,"MK","Bogovinje"],
+        ["Vransko",46.17,14.82,"SI","Vransko"],
+        ["Kostel",45.51,14.91,"SI","Kostel"],
+        ["Gaigirgordub",9.56,-78.95,"PA","Guna Yala"],
+        ["Nord",81.72,-17.8,"GL",""],
+        ["Yaren",-0.55,166.92,"NR","Yaren"],
+        ["Gustavia",17.9,-62.85,"BL",""],
+        ["Saint-Pierre",46.78,-56.18,"PM",""],
+        ["The Valley",18.22,-63.05,"AI",""],
+        ["Mata-Utu",-13.28,-176.17,"WF","Uvea"],
+        ["Kingston",-29.06,167.96,"NF",""],
+        ["Longyearbyen",78.22,15.63,"XR",""],
+        ["Adamstown",-25.07,-130.08,"PN",""],
+        ["Flying Fish Cove",-10.42,105.72,"CX",""],
+        ["Banqiao",25.01,121.47,"TW","New Taipei"],
+        ["Đà Nẵng",16.07,108.22,"VN","Đà Nẵng"],
+        ["João Teves",15.07,-23.59,"CV","São Lourenço dos Órgãos"],
+        ["Xai",20.69,101.99,"LA","Oudômxai"],
+        ["Tutin",42.99,20.33,"RS","Tutin"],
+        ["Thulusdhoo",4.37,73.65,"MV","Maaleatholhu"],
+        ["Ta Khmau",11.48,104.95,"KH","Kandal"],
+        ["Aranđelovac",44.3,20.56,"RS","Aranđelovac"],
+        ["Rasdhoo",4.26,72.99,"MV","Ariatholhu Uthuruburi"],
+        ["Dhihdhoo",6.89,73.11,"MV","Thiladhunmathee Uthuruburi"],
+        ["Ivanjica",43.58,20.23,"RS","Ivanjica"],
+        ["Priboj",43.58,19.53,"RS","Priboj"],
+        ["Jagodina",43.98,21.26,"RS","Jagodina"],
+        ["Šabac",44.76,19.69,"RS","Šabac"],
+        ["Smederevo",44.66,20.93,"RS","Smederevo"],
+        ["Arilje",43.75,20.1,"RS","Arilje"],
+        ["Vladičin Han",42.7,22.07,"RS","Vladičin Han"],
+        ["Nova Varoš",43.47,19.82,"RS","Nova Varoš"],
+        ["Kuršumlija",43.14,21.27,"RS","Kuršumlija"],
+        ["Aleksandrovac",43.46,21.05,"RS","Aleksandrovac"],
+        ["Xékong",15.35,106.73,"LA","Xékong"],
+        ["Nilandhoo",3.06,72.89,"MV","Nilandheatholhu Uthuruburi"],
+        ["Taro",-6.71,156.4,"SB","Choiseul"],
+        ["Gornji Milanovac",44.02,20.46,"RS","Gornji Milanovac"],
+        ["Svrljig",43.42,22.12,"RS","Svrljig"],
+        ["Raška",43.29,20.61,"RS","Raška"],
+        ["Pirot",43.15,22.59,"RS","Pirot"],
+        ["Prokuplje",43.23,21.59,"RS","Prokuplje"],
+        ["Brus",43.38,21.03,"RS","Brus"],
+        ["Surdulica",42.7,22.17,"RS","Surdulica"],
+        ["Ub",44.45,20.07,"RS","Ub"],
+        ["Lučani",43.87,20.13,"RS","Lučani"],
+        ["Muli",2.92,73.58,"MV","Mulakatholhu"],
+        ["Požega",43.85,20.04,"RS","Požega"],
+        ["Neno",-15.4,34.65,"MW","Neno"],
+        ["Siaya",0.07,34.28,"KE","Siaya"],
+        ["Smederevska Palanka",44.37,20.96,"RS","Smederevska Palanka"],
+        ["Chikwawa",-16.03,34.8,"MW","Chikwawa"],
+        ["Namutumba",0.84,33.69,"UG","Namutumba"],
+        ["Fonadhoo",1.83,73.5,"MV","Hahdhunmathi"],
+        ["Babušnica",43.07,22.41,"RS","Babušnica"],
+        ["Vlasotince",42.97,22.13,"RS","Vlasotince"],
+        ["Ljubovija",44.19,19.37,"RS","Ljubovija"],
+        ["Lajkovac",44.37,20.17,"RS","Lajkovac"],
+        ["Kosjerić",44,19.92,"RS","Kosjerić"],
+        ["Mionica",44.25,20.08,"RS","Mionica"],
+        ["Bela Palanka",43.22,22.31,"RS","Bela Palanka"],
+        ["Bukwo",1.29,34.75,"UG","Bukwo"],
+        ["Kapenguria",1.23,35.12,"KE","West Pokot"],
+        ["Yenagoa",4.93,6.27,"NG","Bayelsa"],
+        ["Umm Şalāl ‘Alī",25.47,51.4,"QA","Umm Şalāl"],
+        ["Maracha",3.29,30.94,"UG","Maracha"],
+        ["Požarevac",44.62,21.19,"RS","Požarevac"],
+        ["Krupanj",44.37,19.37,"RS","Krupanj"],
+        ["Knjaževac",43.5,22.43,"RS","Knjaževac"],
+        ["Picos",15.08,-23.63,"CV","São Salvador do Mundo"],
+        ["Zaječar",43.9,22.28,"RS","Zaječar"],
+        ["Paraćin",43.87,21.42,"RS","Paraćin"],
+        ["Lebane",42.92,21.73,"RS","Lebane"],
+        ["Binyin",1.42,34.53,"UG","Kween"],
+        ["Rača",44.23,20.98,"RS","Rača"],
+        ["Bulambuli",1.16,34.4,"UG","Bulambuli"],
+        ["Aileu",-8.73,125.57,"TL","Aileu"],
+        ["Aleksinac",43.54,21.7,"RS","Aleksinac"],
+        ["Vwawa",-9.11,32.93,"TZ","Songwe"],
+        ["Osečina",44.37,19.6,"RS","Osečina"],
+        ["Weno",7.45,151.85,"FM","Chuuk"],
+        ["Jincheng",24.42,118.32,"TW","Kinmen"],
+        ["Despotovac",44.08,21.43,"RS","Despotovac"],
+        ["Čajetina",43.75,19.72,"RS","Čajetina"],
+        ["Ljig",44.22,20.24,"RS","Ljig"],
+        ["Butebo",1.19,33.92,"UG","Butebo"],
+        ["Koani",-6.13,39.28,"TZ","Zanzibar Central/South"],
+        ["Varvarin",43.72,21.37,"RS","Varvarin"],
+        ["Mali Zvornik",44.4,19.12,"RS","Mali Zvornik"],
+        ["Luuka Town",0.76,33.33,"UG","Luuka"],
+        ["Abakaliki",6.32,8.11,"NG","Ebonyi"],
+        ["Blace",43.29,21.28,"RS","Blace"],
+        ["Doljevac",43.2,21.83,"RS","Doljevac"],
+        ["Pombas",17.15,-25.01,"CV","Paul"],
+        ["Az̧ Z̧a‘āyin",25.57,51.48,"QA","Az̧ Z̧a‘āyin"],
+        ["Batočina",44.15,21.08,"RS","Batočina"],
+        ["Negotin",44.22,22.52,"RS","Negotin"],
+        ["Rubanda",-1.19,29.84,"UG","Rubanda"],
+        ["Ntara",0,30.37,"UG","Kitagwenda"],
+        ["Toftir",62.1,-6.74,"FO","Nes"],
+        ["Bupoto",0.91,34.36,"UG","Namisindwa"],
+        ["Veliko Gradište",44.75,21.52,"RS","Veliko Gradište"],
+        ["Santa Luċija",36.04,14.22,"MT","Santa Luċija"],
+        ["Dimitrovgrad",43.02,22.78,"RS","Dimitrovgrad"],
+        ["Al Jabīn",14.7,43.6,"YE","Raymah"],
+        ["Velika Plana",44.33,21.08,"RS","Velika Plana"],
+        ["Petrovac na Mlavi",44.38,21.42,"RS","Petrovac na Mlavi"],
+        ["Svilajnac",44.22,21.2,"RS","Svilajnac"],
+        ["Boljevac",43.82,21.95,"RS","Boljevac"],
+        ["Kole",2.43,32.8,"UG","Kole"],
+        ["Narok",-1.08,35.87,"KE","Narok"],
+        ["Ouled Djellal",34.42,5.07,"DZ","Ouled Djellal"],
+        ["Kladovo",44.6,22.61,"RS","Kladovo"],
+        ["Mparo",-1.18,30.05,"UG","Rukiga"],
+        ["Ol Kalou",-0.27,36.38,"KE","Nyandarua"],
+        ["Kasanda",0.55,31.82,"UG","Kasanda"],
+        ["Kasaali",-0.62,31.55,"UG","Kyotera"],
+        ["Šentilj",46.68,15.65,"SI","Šentilj"],
+        ["Bojnik",43.01,21.72,"RS","Bojnik"],
+        ["Kakumiro",0.78,31.32,"UG","Kakumiro"],
+        ["Kinoni",-0.66,30.46,"UG","Rwampara"],
+        ["Pailin",12.85,102.61,"KH","Pailin"],
+        ["Topola",44.25,20.68,"RS","Topola"],
+        ["Suai",-9.31,125.26,"TL","Kovalima"],
+        ["Pante Macassar",-9.2,124.38,"TL","Oé-Cusse Ambeno"],
+        ["Kalaki",1.82,33.34,"UG","Kalaki"],
+        ["Chiesanuova",43.91,12.42,"SM","Chiesanuova"],
+        ["Saltangará",62.12,-6.72,"FO","Runavík"],
+        ["Mulifanua",-13.83,-171.98,"WS","Aiga-i-le-Tai"],
+        ["Lospalos",-8.52,127.03,"TL","Lautém"],
+        ["Ilinden",41.99,21.58,"MK","Ilinden"],
+        ["Tsirang",27.02,90.12,"BT","Tsirang"],
+        ["Tutong",4.81,114.66,"BN","Tutong"],
+        ["Merošina",43.28,21.72,"RS","Merošina"],
+        ["Sefwi Wiawso",6.22,-2.48,"GH","Western North"],
+        ["Mersch",49.75,6.1,"LU","Mersch"],
+        ["Saratamata",-15.29,167.99,"VU","Penama"],
+        ["Strendur",62.11,-6.76,"FO","Sjóvar"],
+        ["Kurumul",-5.85,144.63,"PG","Jiwaka"],
+        ["Palenga",2.58,32.35,"UG","Omoro"],
+        ["Lamwo",3.53,32.8,"UG","Lamwo"],
+        ["Žitorađa",43.18,21.72,"RS","Žitorađa"],
+        ["Koceljeva",44.47,19.81,"RS","Koceljeva"],
+        ["Žužemberk",45.83,14.93,"SI","Žužemberk"],
+        ["Madīnat ash Shamāl",26.12,51.22,"QA","Ash Shamāl"],
+        ["Gadžin Han",43.22,22.03,"RS","Gadžin Han"],
+        ["Ćićevac",43.72,21.45,"RS","Ćićevac"],
+        ["Zavrč",46.39,16.05,"SI","Zavrč"],
+        ["Lipkovo",42.16,21.59,"MK","Lipkovo"],
+        ["Bosilegrad",42.5,22.47,"RS","Bosilegrad"],
+        ["Vladimirci",44.62,19.78,"RS","Vladimirci"],
+        ["Haa",27.38,89.29,"BT","Haa"],
+        ["Ražanj",43.67,21.55,"RS","Ražanj"],
+        ["Tvøroyri",61.55,-6.81,"FO","Tvøroyri"],
+        ["Kučevo",44.48,21.67,"RS","Kučevo"],
+        ["Medveđa",42.83,21.58,"RS","Medveđa"],
+        ["Şərur",39.55,44.98,"AZ","Şərur"],
+        ["Redange-sur-Attert",49.77,5.89,"LU","Redange"],
+        ["Cocieri",47.3,29.12,"MD","Dubăsari"],
+        ["Fuglafjørður",62.24,-6.81,"FO","Fuglafjarður"],
+        ["Rekovac",43.87,21.13,"RS","Rekovac"],
+        ["Knić",43.92,20.72,"RS","Knić"],
+        ["Nabilatuk",2.05,34.57,"UG","Nabilatuk"],
+        ["Nova Sintra",14.87,-24.7,"CV","Brava"],
+        ["Pemagatshel",27.03,91.45,"BT","Pemagatshel"],
+        ["Igreja",15.03,-24.32,"CV","Mosteiros"],
+        ["Vágur",61.47,-6.82,"FO","Vágur"],
+        ["Safotulafai",-13.68,-172.18,"WS","Fa‘asaleleaga"],
+        ["Qacha’s Nek",-30.12,28.68,"LS","Qacha’s Nek"],
+        ["Žabari",44.36,21.21,"RS","Žabari"],
+        ["Malo Crniće",44.57,21.28,"RS","Malo Crniće"],
+        ["Pader",3.05,33.22,"UG","Pader"],
+        ["Otuke",2.44,33.5,"UG","Otuke"],
+        ["Dəvəçi",41.2,48.99,"AZ","Şabran"],
+        ["El Meghaïer",33.95,5.92,"DZ","El Meghaier"],
+        ["Norðragøta",62.2,-6.74,"FO","Eystur"],
+        ["Leava",-14.29,-178.16,"WF","Sigave"],
+        ["Anouvông",18.9,103.09,"LA","Xaisômboun"],
+        ["Nakapiripirit",1.92,34.78,"UG","Nakapiripirit"],
+        ["Satupa‘itea",-13.77,-172.33,"WS","Satupa‘itea"],
+        ["Makedonska Kamenica",42.02,22.59,"MK","Makedonska Kamenica"],
+        ["Golubac",44.65,21.63,"RS","Golubac"],
+        ["Majdanpek",44.42,21.93,"RS","Majdanpek"],
+        ["Şūr",22.57,59.53,"OM","Janūb ash Sharqīyah"],
+        ["Ribeira Brava",16.61,-24.3,"CV","Ribeira Brava"],
+        ["Žetale",46.28,15.79,"SI","Žetale"],
+        ["Sørvágur",62.07,-7.31,"FO","Sørvágur"],
+        ["Resen",41.09,21.01,"MK","Resen"],
+        ["Cova Figueira",14.89,-24.29,"CV","Santa Catarina do Fogo"],
+        ["Eiði",62.3,-7.09,"FO","Eiði"],
+        ["Oyrarbakki",62.21,-7,"FO","Sunda"],
+        ["Vestmanna",62.15,-7.17,"FO","Vestmanna"],
+        ["Kyankwanzi",1.2,31.8,"UG","Kyankwanzi"],
+        ["Kvívík",62.12,-7.07,"FO","Kvívík"],
+        ["Sumba",61.41,-6.71,"FO","Sumba"],
+        ["Sandavágur",62.05,-7.15,"FO","Vágar"],
+        ["Trgovište",42.35,22.09,"RS","Trgovište"],
+        ["Sola",-13.87,167.55,"VU","Torba"],
+        ["Hov",61.51,-6.76,"FO","Hov"],
+        ["Viðareiði",62.36,-6.53,"FO","Viðareiði"],
+        ["Žagubica",44.2,21.79,"RS","Žagubica"],
+        ["Sandur",61.83,-6.82,"FO","Sandur"],
+        ["Laascaanood",8.48,47.36,"SO","Sool"],
+        ["Ntoroko",1.05,30.54,"UG","Ntoroko"],
+        ["Húsavík",61.81,-6.68,"FO","Húsavík"],
+        ["Georgetown",-7.93,-14.41,"SH","Ascension"],
+        ["Lhuentse",27.65,91.15,"BT","Lhuentse"],
+        ["Kunoy",62.29,-6.67,"FO","Kunoy"],
+        ["Skálavík",61.83,-6.66,"FO","Skálavík"],
+        ["Wé",-20.92,167.27,"NC","Province Îles"],
+        ["Kirkja",62.33,-6.32,"FO","Fugloy"],
+        ["Sieyik",9.38,-82.65,"PA","Naso Tjër Di"],
+        ["Edinburgh of the Seven Seas",-37.07,-12.31,"SH","Tristan da Cunha"],
+        ["Skúvoy",61.77,-6.8,"FO","Skúvoy"],
+        ["Gasa",27.92,89.68,"BT","Gasa"],
+        ["Haymā’",19.96,56.28,"OM","Al Wusţá"],
+        ["Unión Chocó",8.08,-77.56,"PA","Emberá-Wounaan"],
+        ["Preševo",42.31,21.65,"RS","Preševo"],
+        ["Bujanovac",42.47,21.77,"RS","Bujanovac"],
+        ["Kitamilo",0.24,33.27,"UG","Buvuma"],
+        ["Charlotte Amalie",18.34,-64.93,"VI","Virgin Islands"]
+    ];
+}
@@ -0,0 +1,619 @@
+/**
+ * ExifTags - EXIF 2.32 / TIFF tag dictionary and value formatting
+ *
+ * Names every tag of the 0th, Exif, GPS and Interop IFDs and turns piexifjs
+ * values into readable text: enum lookups (Flash 16 is "Off, did not fire"),
+ * rationals with units (1/250 s, f/2.8, 50 mm), version strings and the
+ * character-code prefix of UserComment, and GPS coordinates and measurements
+ * with their reference tags. The 1st IFD (thumbnail) uses the 0th
+ * IFD entries with a "Thumbnail" prefix, so every label stays unique and can
+ * be mapped back to its tag.
+ */
+class ExifTags {
+    // IFDs in display order
+    static IFDS = ['0th', 'Exif', 'GPS', 'Interop', '1st'];
+
+    // Offsets of the Exif, GPS and Interop IFDs and of the thumbnail: they describe the
+    // file layout rather than the photo, and piexif.dump rewrites them
+    static POINTER_TAGS = ['34665', '34853', '40965', '513'];
+
+    static RESOLUTION_UNITS = { 1: 'None', 2: 'inches', 3: 'cm' };
+
+    static DIRECTION_REFS = { T: 'True north', M: 'Magnetic north' };
+
+    // Tag entries: a name, or [name, format] where format is a formatter name or an enum table
+    static DICTIONARY = {
+        '0th': {
+            '11': 'Processing Software',
+            '254': ['Subfile Type', { 0: 'Full-resolution image', 1: 'Reduced-resolution image', 2: 'Single page', 4: 'Transparency mask' }],
+            '256': 'Image Width',
+            '257': 'Image Height',
+            '258': 'Bits Per Sample',
+            '259': ['Compression', {
+                1: 'Uncompressed', 2: 'CCITT 1D', 3: 'T4/Group 3 fax', 4: 'T6/Group 4 fax', 5: 'LZW',
+                6: 'JPEG (old-style)', 7: 'JPEG', 8: 'Adobe Deflate', 32773: 'PackBits', 34892: 'Lossy JPEG'
+            }],
+            '262': ['Photometric Interpretation', {
+                0: 'WhiteIsZero', 1: 'BlackIsZero', 2: 'RGB', 3: 'RGB palette', 4: 'Transparency mask',
+                5: 'CMYK', 6: 'YCbCr', 8: 'CIELab', 32803: 'Colour filter array', 34892: 'Linear raw'
+            }],
+            '263': ['Thresholding', { 1: 'No dithering or halftoning', 2: 'Ordered dither or halftone', 3: 'Randomized dither' }],
+            '266': ['Fill Order', { 1: 'Normal', 2: 'Reversed' }],
+            '269': 'Document Name',
+            '270': 'Image Description',
+            '271': 'Camera Make',
+            '272': 'Camera Model',
+            '273': 'Strip Offsets',
+            '274': ['Orientation', 'orientation'],
+            '277': 'Samples Per Pixel',
+            '278': 'Rows Per Strip',
+            '279': 'Strip Byte Counts',
+            '282': ['X Resolution', 'resolution'],
+            '283': ['Y Resolution', 'resolution'],
+            '284': ['Planar Configuration', { 1: 'Chunky', 2: 'Planar' }],
+            '285': 'Page Name',
+            '296': ['Resolution Unit', ExifTags.RESOLUTION_UNITS],
+            '297': 'Page Number',
+            '301': ['Transfer Function', 'binary'],
+            '305': 'Software',
+            '306': 'Date/Time',
+            '315': 'Artist/Author',
+            '316': 'Host Computer',
+            '317': ['Predictor', { 1: 'None', 2: 'Horizontal differencing', 3: 'Floating point' }],
+            '318': ['White Point', 'rational'],
+            '319': ['Primary Chromaticities', 'rational'],
+            '320': ['Colour Map', 'binary'],
+            '322': 'Tile Width',
+            '323': 'Tile Length',
+            '324': 'Tile Offsets',
+            '325': 'Tile Byte Counts',
+            '330': 'Sub IFDs',
+            '338': ['Extra Samples', { 0: 'Unspecified', 1: 'Associated alpha', 2: 'Unassociated alpha' }],
+            '339': ['Sample Format', { 1: 'Unsigned integer', 2: 'Signed integer', 3: 'Floating point', 4: 'Undefined' }],
+            '513': 'JPEG Interchange Format',
+            '514': 'JPEG Interchange Format Length',
+            '529': ['YCbCr Coefficients', 'rational'],
+            '530': ['YCbCr Sub Sampling', 'subSampling'],
+            '531': ['YCbCr Positioning', { 1: 'Centered', 2: 'Co-sited' }],
+            '532': ['Reference Black White', 'rational'],
+            '700': ['Application Notes (XMP)', 'binary'],
+            '18246': 'Rating',
+            '18249': 'Rating Percent',
+            '33421': 'CFA Repeat Pattern Dim',
+            '33422': ['CFA Pattern (TIFF/EP)', 'binary'],
+            '33432': 'Copyright',
+            '33723': ['IPTC-NAA', 'binary'],
+            '34377': ['Photoshop Settings', 'binary'],
+            '34665': 'Exif IFD Pointer',
+            '34675': ['Inter Colour Profile', 'binary'],
+            '34853': 'GPS IFD Pointer',
+            '40091': ['XP Title', 'xp'],
+            '40092': ['XP Comment', 'xp'],
+            '40093': ['XP Author', 'xp'],
+            '40094': ['XP Keywords', 'xp'],
+            '40095': ['XP Subject', 'xp'],
+            '50341': ['Print Image Matching', 'binary'],
+            '50706': ['DNG Version', 'dotted'],
+            '50707': ['DNG Backward Version', 'dotted'],
+            '50708': 'Unique Camera Model',
+            '50709': 'Localized Camera Model',
+            '50735': 'Camera Serial Number',
+            '50740': ['DNG Private Data', 'binary']
+        },
+        'Exif': {
+            '33434': ['Exposure Time', 'exposureTime'],
+            '33437': ['F-Number', 'fNumber'],
+            '34850': ['Exposure Program', {
+                0: 'Not defined', 1: 'Manual', 2: 'Program AE', 3: 'Aperture priority', 4: 'Shutter priority',
+                5: 'Creative (slow speed)', 6: 'Action (high speed)', 7: 'Portrait', 8: 'Landscape'
+            }],
+            '34852': 'Spectral Sensitivity',
+            '34855': 'ISO Speed',
+            '34856': ['Opto-Electric Conversion Factor', 'binary'],
+            '34864': ['Sensitivity Type', {
+                0: 'Unknown', 1: 'Standard output sensitivity', 2: 'Recommended exposure index', 3: 'ISO speed',
+                4: 'Standard output sensitivity and recommended exposure index',
+                5: 'Standard output sensitivity and ISO speed', 6: 'Recommended exposure index and ISO speed',
+                7: 'Standard output sensitivity, recommended exposure index and ISO speed'
+            }],
+            '34865': 'Standard Output Sensitivity',
+            '34866': 'Recommended Exposure Index',
+            '34867': 'ISO Speed Value',
+            '34868': 'ISO Speed Latitude yyy',
+            '34869': 'ISO Speed Latitude zzz',
+            '36864': ['EXIF Version', 'version'],
+            '36867': 'Date/Time Original',
+            '36868': 'Date/Time Digitized',
+            '36880': 'Offset Time',
+            '36881': 'Offset Time Original',
+            '36882': 'Offset Time Digitized',
+            '37121': ['Components Configuration', 'components'],
+            '37122': ['Compressed Bits Per Pixel', 'rational'],
+            '37377': ['Shutter Speed (APEX)', 'apexShutter'],
+            '37378': ['Aperture', 'apexAperture'],
+            '37379': ['Brightness', 'ev'],
+            '37380': ['Exposure Bias', 'ev'],
+            '37381': ['Max Aperture', 'apexAperture'],
+            '37382': ['Subject Distance', 'distance'],
+            '37383': ['Metering Mode', {
+                0: 'Unknown', 1: 'Average', 2: 'Center-weighted average', 3: 'Spot', 4: 'Multi-spot',
+                5: 'Multi-segment', 6: 'Partial', 255: 'Other'
+            }],
+            '37384': ['Light Source', {
+                0: 'Unknown', 1: 'Daylight', 2: 'Fluorescent', 3: 'Tungsten (incandescent)', 4: 'Flash',
+                9: 'Fine weather', 10: 'Cloudy', 11: 'Shade', 12: 'Daylight fluorescent (D 5700 - 7100K)',
+                13: 'Day white fluorescent (N 4600 - 5500K)', 14: 'Cool white fluorescent (W 3800 - 4500K)',
+                15: 'White fluorescent (WW 3250 - 3800K)', 16: 'Warm white fluorescent (L 2600 - 3250K)',
+                17: 'Standard light A', 18: 'Standard light B', 19: 'Standard light C', 20: 'D55', 21: 'D65',
+                22: 'D75', 23: 'D50', 24: 'ISO studio tungsten', 255: 'Other'
+            }],
+            '37385': ['Flash', 'flash'],
+            '37386': ['Focal Length', 'focalLength'],
+            '37396': ['Subject Area', 'subjectArea'],
+            '37500': ['Maker Note', 'makerNote'],
+            '37510': ['User Comment', 'encodedText'],
+            '37520': 'Subsec Time',
+            '37521': 'Subsec Time Original',
+            '37522': 'Subsec Time Digitized',
+            '37888': ['Ambient Temperature', 'temperature'],
+            '37889': ['Humidity', 'humidity'],
+            '37890': ['Pressure', 'pressure'],
+            '37891': ['Water Depth', 'waterDepth'],
+            '37892': ['Acceleration', 'acceleration'],
+            '37893': ['Camera Elevation Angle', 'angle'],
+            '40960': ['FlashPix Version', 'version'],
+            '40961': ['Color Space', { 1: 'sRGB', 2: 'Adobe RGB', 65533: 'Wide gamut RGB', 65534: 'ICC profile', 65535: 'Uncalibrated' }],
+            '40962': 'Pixel X Dimension',
+            '40963': 'Pixel Y Dimension',
+            '40964': 'Related Sound File',
+            '40965': 'Interoperability IFD Pointer',
+            '41483': ['Flash Energy', 'rational'],
+            '41484': ['Spatial Frequency Response', 'binary'],
+            '41486': ['Focal Plane X Resolution', 'focalPlaneResolution'],
+            '41487': ['Focal Plane Y Resolution', 'focalPlaneResolution'],
+            '41488': ['Focal Plane Resolution Unit', ExifTags.RESOLUTION_UNITS],
+            '41492': 'Subject Location',
+            '41493': ['Exposure Index', 'rational'],
+            '41495': ['Sensing Method', {
+                1: 'Not defined', 2: 'One-chip colour area', 3: 'Two-chip colour area', 4: 'Three-chip colour area',
+                5: 'Colour sequential area', 7: 'Trilinear', 8: 'Colour sequential linear'
+            }],
+            '41728': ['File Source', { 0: 'Other', 1: 'Film scanner (transparent)', 2: 'Film scanner (reflective)', 3: 'Digital camera' }],
+            '41729': ['Scene Type', { 1: 'Directly photographed' }],
+            '41730': ['CFA Pattern', 'binary'],
+            '41985': ['Custom Rendered', { 0: 'Normal', 1: 'Custom', 2: 'HDR (no original saved)', 3: 'HDR (original saved)', 4: 'Original (for HDR)', 6: 'Panorama', 7: 'Portrait HDR', 8: 'Portrait' }],
+            '41986': ['Exposure Mode', { 0: 'Auto', 1: 'Manual', 2: 'Auto bracket' }],
+            '41987': ['White Balance', { 0: 'Auto', 1: 'Manual' }],
+            '41988': ['Digital Zoom Ratio', 'zoom'],
+            '41989': ['Focal Length (35mm)', 'focalLength'],
+            '41990': ['Scene Capture Type', { 0: 'Standard', 1: 'Landscape', 2: 'Portrait', 3: 'Night scene' }],
+            '41991': ['Gain Control', { 0: 'None', 1: 'Low gain up', 2: 'High gain up', 3: 'Low gain down', 4: 'High gain down' }],
+            '41992': ['Contrast', { 0: 'Normal', 1: 'Soft', 2: 'Hard' }],
+            '41993': ['Saturation', { 0: 'Normal', 1: 'Low', 2: 'High' }],
+            '41994': ['Sharpness', { 0: 'Normal', 1: 'Soft', 2: 'Hard' }],
+            '41995': ['Device Setting Description', 'binary'],
+            '41996': ['Subject Distance Range', { 0: 'Unknown', 1: 'Macro', 2: 'Close', 3: 'Distant' }],
+            '42016': 'Image Unique ID',
+            '42032': 'Camera Owner Name',
+            '42033': 'Body Serial Number',
+            '42034': ['Lens Specification', 'lensSpecification'],
+            '42035': 'Lens Make',
+            '42036': 'Lens Model',
+            '42037': 'Lens Serial Number',
+            '42080': ['Composite Image', { 0: 'Unknown', 1: 'Not a composite image', 2: 'General composite image', 3: 'Composite image captured while shooting' }],
+            '42081': 'Source Image Number Of Composite Image',
+            '42082': ['Source Exposure Times Of Composite Image', 'binary'],
+            '42240': ['Gamma', 'rational']
+        },
+        'GPS': {
+            '0': ['GPS Version', 'dotted'],
+            '1': ['GPS Latitude Ref', { N: 'North', S: 'South' }],
+            '2': ['GPS Latitude', 'gpsCoordinate'],
+            '3': ['GPS Longitude Ref', { E: 'East', W: 'West' }],
+            '4': ['GPS Longitude', 'gpsCoordinate'],
+            '5': ['GPS Altitude Ref', { 0: 'Above sea level', 1: 'Below sea level' }],
+            '6': ['GPS Altitude', 'gpsAltitude'],
+            '7': ['GPS Timestamp', 'gpsTime'],
+            '8': 'GPS Satellites',
+            '9': ['GPS Status', { A: 'Measurement in progress', V: 'Measurement interrupted' }],
+            '10': ['GPS Measure Mode', { 2: '2-dimensional measurement', 3: '3-dimensional measurement' }],
+            '11': ['GPS Dilution of Precision', 'gpsMeasurement'],
+            '12': ['GPS Speed Ref', { K: 'km/h', M: 'mph', N: 'knots' }],
+            '13': ['GPS Speed', 'gpsSpeed'],
+            '14': ['GPS Track Ref', ExifTags.DIRECTION_REFS],
+            '15': ['GPS Track', 'bearing'],
+            '16': ['GPS Img Direction Ref', ExifTags.DIRECTION_REFS],
+            '17': ['GPS Img Direction', 'bearing'],
+            '18': 'GPS Map Datum',
+            '19': ['GPS Dest Latitude Ref', { N: 'North', S: 'South' }],
+            '20': ['GPS Dest Latitude', 'gpsCoordinate'],
+            '21': ['GPS Dest Longitude Ref', { E: 'East', W: 'West' }],
+            '22': ['GPS Dest Longitude', 'gpsCoordinate'],
+            '23': ['GPS Dest Bearing Ref', ExifTags.DIRECTION_REFS],
+            '24': ['GPS Dest Bearing', 'bearing'],
+            '25': ['GPS Dest Distance Ref', { K: 'Kilometres', M: 'Miles', N: 'Nautical miles' }],
+            '26': ['GPS Dest Distance', 'rational'],
+            '27': ['GPS Processing Method', 'encodedText'],
+            '28': ['GPS Area Information', 'encodedText'],
+            '29': 'GPS Date',
+            '30': ['GPS Differential', { 0: 'No correction', 1: 'Differential corrected' }],
+            '31': ['GPS Horizontal Accuracy', 'gpsAccuracy']
+        },
+        'Interop': {
+            '1': ['Interoperability Index', {
+                R98: 'R98 - DCF basic file (sRGB)', R03: 'R03 - DCF option file (Adobe RGB)', THM: 'THM - DCF thumbnail file'
+            }],
+            '2': ['Interoperability Version', 'version'],
+            '4096': 'Related Image File Format',
+            '4097': 'Related Image Width',
+            '4098': 'Related Image Height'
+        }
+    };
+
+    // Character codes that prefix UserComment, GPSProcessingMethod and GPSAreaInformation
+    static TEXT_ENCODINGS = {
+        'ASCII\0\0\0': 'latin1',
+        'UNICODE\0': 'utf-16',
+        'JIS\0\0\0\0\0': 'shift_jis',
+        '\0\0\0\0\0\0\0\0': 'utf-8'
+    };
+
+    // Channels named by Components Configuration
+    static COMPONENTS = ['-', 'Y', 'Cb', 'Cr', 'R', 'G', 'B'];
+
+    // Formatters by name; each gets (value, ifdTags, tag) and returns the display text, or null to use formatGeneric
+    static FORMATTERS = {
+        rational: (value) => ExifTags.formatGeneric(value, 'Rational'),
+        binary: (value) => ExifTags.describeBinary(value),
+        makerNote: (value) => `${ExifTags.formatFileSize(value.length)} of vendor data`,
+        orientation: (value) => ImageOrientation.LABELS[value] || `Unknown (${value})`,
+        resolution: (value, ifdTags) => {
+            const unit = { 2: ' dpi', 3: ' dots per cm' }[ifdTags[296]] || '';
+            return `${ExifTags.formatNumber(ExifTags.toNumber(value))}${unit}`;
+        },
+        focalPlaneResolution: (value, ifdTags) => {
+            const unit = { 2: ' per inch', 3: ' per cm' }[ifdTags[41488]] || '';
+            return `${ExifTags.formatNumber(ExifTags.toNumber(value))}${unit}`;
+        },
+        exposureTime: (value) => ExifTags.formatExposureTime(ExifTags.toNumber(value)),
+        apexShutter: (value) => ExifTags.formatExposureTime(Math.pow(2, -ExifTags.toNumber(value))),
+        fNumber: (value) => `f/${ExifTags.formatNumber(ExifTags.toNumber(value), 1)}`,
+        apexAperture: (value) => `f/${ExifTags.formatNumber(Math.pow(2, ExifTags.toNumber(value) / 2), 1)}`,
+        ev: (value) => {
+            const ev = ExifTags.toNumber(value);
+            return `${ev > 0 ? '+' : ''}${ExifTags.formatNumber(ev, 2)} EV`;
+        },
+        focalLength: (value) => `${ExifTags.formatNumber(ExifTags.isRational(value) ? ExifTags.toNumber(value) : value, 1)} mm`,
+        distance: (value) => {
+            if (value[0] === 0xFFFFFFFF) return 'Infinity';
+            if (value[0] === 0) return 'Unknown';
+            return `${ExifTags.formatNumber(ExifTags.toNumber(value), 2)} m`;
+        },
+        zoom: (value) => (value[0] === 0 ? 'Not used' : `${ExifTags.formatNumber(ExifTags.toNumber(value), 2)}x`),
+        temperature: (value) => `${ExifTags.formatNumber(ExifTags.toNumber(value), 1)} °C`,
+        humidity: (value) => `${ExifTags.formatNumber(ExifTags.toNumber(value), 1)} %`,
+        pressure: (value) => `${ExifTags.formatNumber(ExifTags.toNumber(value), 1)} hPa`,
+        waterDepth: (value) => `${ExifTags.formatNumber(ExifTags.toNumber(value), 2)} m`,
+        acceleration: (value) => `${ExifTags.formatNumber(ExifTags.toNumber(value), 2)} mGal`,
+        angle: (value) => `${ExifTags.formatNumber(ExifTags.toNumber(value), 2)}°`,
+        version: (value) => {
+            // Four ASCII digits, e.g. "0232" for version 2.32
+            const digits = String(value).replace(/\0+$/, '');
+            if (!/^\d{4}$/.test(digits)) return null;
+            return `${Number(digits.slice(0, 2))}.${digits.slice(2)}`;
+        },
+        dotted: (value) => (Array.isArray(value) ? value.join('.') : null),
+        gpsCoordinate: (value) => {
+            // Degrees, minutes and seconds: rationals, or plain numbers on some mobile browsers
+            if (!Array.isArray(value) || value.length !== 3) return null;
+            const [degrees, minutes, seconds] = value.map(part => ExifTags.toNumber(part) || 0);
+            const decimal = degrees + minutes / 60 + seconds / 3600;
+            return `${degrees}° ${minutes}' ${seconds.toFixed(2)}" (${decimal.toFixed(6)}°)`;
+        },
+        gpsAltitude: (value, ifdTags) =>
+            `${ExifTags.toNumber(value).toFixed(1)} m ${ifdTags[5] === 1 ? 'below' : 'above'} sea level`,
+        gpsSpeed: (value, ifdTags) => {
+            const units = { K: 'km/h', M: 'mph', N: 'knots' };
+            return `${ExifTags.toNumber(value).toFixed(1)} ${units[ifdTags[12]] || 'km/h'}`;
+        },
+        // The reference tag (true or magnetic north) comes right before each bearing
+        bearing: (value, ifdTags, tag) =>
+            `${ExifTags.toNumber(value).toFixed(1)}° (${ifdTags[tag - 1] === 'M' ? 'magnetic north' : 'true north'})`,
+        gpsAccuracy: (value) => `± ${ExifTags.toNumber(value).toFixed(1)} m`,
+        gpsMeasurement: (value) => ExifTags.toNumber(value).toFixed(1),
+        gpsTime: (value) => {
+            const pad = (number) => String(number).padStart(2, '0');
+            const [hours, minutes, seconds] = value.map(part => ExifTags.toNumber(part));
+            const wholeSeconds = Math.floor(seconds);
+            const fraction = seconds - wholeSeconds ? String(ExifTags.formatNumber(seconds - wholeSeconds, 3)).slice(1) : '';
+            return `${pad(hours)}:${pad(minutes)}:${pad(wholeSeconds)}${fraction} UTC`;
+        },
+        components: (value) => Array.from(value, char => ExifTags.COMPONENTS[char.charCodeAt(0)] || '?').join(', '),
+        subSampling: (value) => {
+            const names = { '1,1': 'YCbCr 4:4:4', '2,1': 'YCbCr 4:2:2', '2,2': 'YCbCr 4:2:0', '4,1': 'YCbCr 4:1:1', '4,2': 'YCbCr 4:1:0', '1,2': 'YCbCr 4:4:0' };
+            return names[String(value)] || null;
+        },
+        subjectArea: (value) => {
+            const [x, y, width, height] = value;
+            if (value.length === 2) return `Point at ${x}, ${y}`;
+            if (value.length === 3) return `Circle at ${x}, ${y} with diameter ${width}`;
+            if (value.length === 4) return `Rectangle at ${x}, ${y}, ${width} x ${height}`;
+            return null;
+        },
+        lensSpecification: (value) => {
+            // Shortest and longest focal length, then the largest aperture at each; 0/0 means unknown
+            const [wide, tele, wideAperture, teleAperture] = value.map(part => (part[1] ? ExifTags.toNumber(part) : null));
+            const known = (number) => (number === null ? '?' : ExifTags.formatNumber(number, 1));
+            const focal = wide === tele ? `${known(wide)} mm` : `${known(wide)}-${known(tele)} mm`;
+            if (wideAperture === null && teleAperture === null) return focal;
+            const aperture = wideAperture === teleAperture ? known(wideAperture) : `${known(wideAperture)}-${known(teleAperture)}`;
+            return `${focal} f/${aperture}`;
+        },
+        flash: (value) => ExifTags.formatFlash(value),
+        encodedText: (value) => ExifTags.decodeText(value),
+        xp: (value) => new TextDecoder('utf-16le').decode(new Uint8Array(value)).replace(/\0+$/, '')
+    };
+
+    /**
+     * Get the dictionary entry of a tag
+     *
+     * @param {string} ifd - IFD name ('0th', 'Exif', 'GPS', 'Interop' or '1st')
+     * @param {string|number} tag - Numeric tag
+     * @returns {{name: string, format: string|Object|null}|null} Name and format, or null if unknown
+     */
+    static getEntry(ifd, tag) {
+        const entry = ExifTags.DICTIONARY[ifd === '1st' ? '0th' : ifd]?.[tag];
+        if (!entry) return null;
+
+        const [name, format] = Array.isArray(entry) ? entry : [entry, null];
+        return { name: ifd === '1st' ? `Thumbnail ${name}` : name, format };
+    }
+
+    /**
+     * Get the display name of a tag
+     *
+     * @param {string} ifd - IFD name
+     * @param {string|number} tag - Numeric tag
+     * @returns {string|null} Name, or null if the tag is not in the dictionary
+     */
+    static getName(ifd, tag) {
+        return ExifTags.getEntry(ifd, tag)?.name || null;
+    }
+
+    /**
+     * Get the label the viewer shows for a tag
+     *
+     * @param {string} ifd - IFD name
+     * @param {string|number} tag - Numeric tag
+     * @returns {string} Name, or a generic label such as "Exif Tag 59932" for unknown tags
+     */
+    static getLabel(ifd, tag) {
+        return ExifTags.getName(ifd, tag) || `${ifd} Tag ${tag}`;
+    }
+
+    /**
+     * Find a tag by its display name
+     *
+     * @param {string} name - Name from getName
+     * @returns {{ifd: string, tag: number}|null} The tag, or null if no tag has that name
+     */
+    static findByName(name) {
+        for (const ifd of ExifTags.IFDS) {
+            const tag = Object.keys(ExifTags.DICTIONARY[ifd === '1st' ? '0th' : ifd])
+                .find(key => ExifTags.getName(ifd, key) === name);
+            if (tag) return { ifd, tag: Number(tag) };
+        }
+        return null;
+    }
+
+    /**
+     * Turn the display text of an enum tag back into its value
+     *
+     * @param {string} ifd - IFD name
+     * @param {string|number} tag - Numeric tag
+     * @param {string} text - Display text from format
+     * @returns {string} The enum key, or the text itself for tags without an enum table
+     */
+    static parseEnum(ifd, tag, text) {
+        const format = ExifTags.getEntry(ifd, tag)?.format;
+        if (!format || typeof format !== 'object') return text;
+        return Object.keys(format).find(key => format[key] === text) || text;
+    }
+
+    /**
+     * Format a tag value for display
+     *
+     * @param {string} ifd - IFD name
+     * @param {string|number} tag - Numeric tag
+     * @param {*} value - Value from piexifjs
+     * @param {Object} ifdTags - All tags of the same IFD, for units stored in other tags
+     * @returns {string|number} Display value ('' for empty values)
+     */
+    static format(ifd, tag, value, ifdTags = {}) {
+        const format = ExifTags.getEntry(ifd, tag)?.format;
+        const type = piexif.TAGS[ifd === '0th' || ifd === '1st' ? 'Image' : ifd]?.[tag]?.type;
+
+        if (format && typeof format === 'object') {
+            const key = ExifTags.toEnumKey(value);
+            return key in format ? format[key] : `Unknown (${key})`;
+        }
+        if (format) {
+            try {
+                const formatted = ExifTags.FORMATTERS[format](value, ifdTags, Number(tag));
+                if (formatted !== null) return formatted;
+            } catch (error) {
+                // Values of an unexpected type fall back to the generic formatting below
+            }
+        }
+        return ExifTags.formatGeneric(value, type);
+    }
+
+    /**
+     * Format a value without knowing what it means
+     *
+     * @param {*} value - Value from piexifjs
+     * @param {string} [type] - piexifjs field type; without it only lists of pairs count as rationals
+     * @returns {string|number} Text with trailing NULs removed, decimal rationals,
+     *     comma-separated lists, or a size for binary data
+     */
+    static formatGeneric(value, type) {
+        if (typeof value === 'string') {
+            const text = value.replace(/\0+$/, '');
+            return /[\x00-\x08\x0e-\x1f\x7f-\x9f]/.test(text) ? ExifTags.describeBinary(value) : text;
+        }
+        if ((type === 'Rational' || type === 'SRational') && ExifTags.isRational(value)) {
+            return ExifTags.formatNumber(ExifTags.toNumber(value));
+        }
+        if (Array.isArray(value)) {
+            return value.map(part => (ExifTags.isRational(part) ? ExifTags.formatNumber(ExifTags.toNumber(part)) : part)).join(', ');
+        }
+        if (value && typeof value === 'object') return JSON.stringify(value);
+        return value;
+    }
+
+    /**
+     * Describe the Flash bit field
+     *
+     * @param {number} value - Flash value
+     * @returns {string} Description such as "Off, did not fire" or "Auto, fired, red-eye reduction"
+     * @example
+     * ExifTags.formatFlash(16); // "Off, did not fire"
+     */
+    static formatFlash(value) {
+        if (value & 0x20) return 'No flash function';
+
+        const mode = ['', 'On', 'Off', 'Auto'][(value >> 3) & 3];
+        const parts = [mode, value & 1 ? 'fired' : 'did not fire'];
+        const strobeReturn = (value >> 1) & 3;
+        if (strobeReturn === 2) parts.push('return not detected');
+        if (strobeReturn === 3) parts.push('return detected');
+        if (value & 0x40) parts.push('red-eye reduction');
+
+        const text = parts.filter(Boolean).join(', ');
+        return text.charAt(0).toUpperCase() + text.slice(1);
+    }
+
+    /**
+     * Format an exposure time in seconds
+     *
+     * @param {number} seconds - Exposure time
+     * @returns {string} "1/250 s" for short exposures, "2.5 s" for long ones
+     */
+    static formatExposureTime(seconds) {
+        if (seconds > 0 && seconds < 0.25) return `1/${Math.round(1 / seconds)} s`;
+        return `${ExifTags.formatNumber(seconds, 1)} s`;
+    }
+
+    /**
+     * Decode text that starts with an 8-byte character code (UserComment and the GPS text tags)
+     *
+     * @param {string} value - Binary string from piexifjs
+     * @returns {string} Decoded text without padding
+     */
+    static decodeText(value) {
+        const encoding = ExifTags.TEXT_ENCODINGS[value.slice(0, 8)];
+        if (!encoding) return ExifTags.formatGeneric(value);
+
+        const bytes = Uint8Array.from(value.slice(8), char => char.charCodeAt(0));
+        let label = encoding;
+        if (encoding === 'utf-16') {
+            // The byte order follows the file; ASCII text has its zero bytes first in big-endian
+            const zerosFirst = bytes.filter((byte, i) => i % 2 === 0 && byte === 0).length;
+            const zerosSecond = bytes.filter((byte, i) => i % 2 === 1 && byte === 0).length;
+            label = zerosFirst > zerosSecond ? 'utf-16be' : 'utf-16le';
+        }
+        return new TextDecoder(label).decode(bytes).replace(/[\0\s]+$/, '');
+    }
+
+    /**
+     * Describe binary data by its size
+     *
+     * @param {string|Array} value - Binary string or byte array
+     * @returns {string} Description such as "1.2 KB of binary data"
+     */
+    static describeBinary(value) {
+        return `${ExifTags.formatFileSize(value.length)} of binary data`;
+    }
+
+    /**
+     * Format a size in bytes
+     * ExifTags also runs without main.js (see metadata-core.mjs), so this mirrors MetadataTool.formatFileSize
+     *
+     * @param {number} bytes - Size in bytes
+     * @returns {string} Formatted size (e.g., "2.5 MB", "1.2 KB")
+     */
+    static formatFileSize(bytes) {
+        if (bytes === 0) return '0 Bytes';
+        const k = 1024;
+        const sizes = ['Bytes', 'KB', 'MB', 'GB'];
+        const i = Math.floor(Math.log(bytes) / Math.log(k));
+        return (bytes / Math.pow(k, i)).toFixed(2) + ' ' + sizes[i];
+    }
+
+    /**
+     * Turn a value into an enum table key
+     * Single-byte UNDEFINED values (e.g. File Source "\x03") are looked up by their code
+     *
+     * @param {*} value - Value from piexifjs
+     * @returns {string|number} Key
+     */
+    static toEnumKey(value) {
+        if (typeof value === 'string') {
+            const text = value.replace(/\0+$/, '');
+            return text.length === 1 && text.charCodeAt(0) < 0x20 ? text.charCodeAt(0) : text;
+        }
+        return Array.isArray(value) ? value[0] : value;
+    }
+
+    /**
+     * Check whether a value is a single rational
+     *
+     * @param {*} value - Value from piexifjs
+     * @returns {boolean} True for [numerator, denominator]
+     */
+    static isRational(value) {
+        return Array.isArray(value) && value.length === 2 && typeof value[0] === 'number' &&
+            typeof value[1] === 'number' && !Number.isNaN(value[1]);
+    }
+
+    /**
+     * Convert a rational to a number
+     *
+     * @param {Array|number} value - [numerator, denominator], or a plain number
+     * @returns {number} Value (0 for a zero denominator)
+     */
+    static toNumber(value) {
+        if (typeof value === 'number') return value;
+        return value[1] ? value[0] / value[1] : 0;
+    }
+
+    /**
+     * Convert decimal degrees to the degree, minute and second rationals of a GPS tag
+     * The sign is dropped; the hemisphere goes into the separate reference tag. Seconds
+     * keep two decimals (about 30 cm), rounded as a whole so 59.995" carries into the minutes
+     *
+     * @param {number} decimal - Latitude or longitude in decimal degrees
+     * @returns {number[][]} [[degrees, 1], [minutes, 1], [hundredths of seconds, 100]]
+     * @example
+     * ExifTags.decimalToDMS(40.446389) // [[40, 1], [26, 1], [4700, 100]]
+     */
+    static decimalToDMS(decimal) {
+        const hundredths = Math.round(Math.abs(decimal) * 360000);
+        return [
+            [Math.floor(hundredths / 360000), 1],
+            [Math.floor((hundredths % 360000) / 6000), 1],
+            [hundredths % 6000, 100]
+        ];
+    }
+
+    /**
+     * Round a number for display without trailing zeros
+     *
+     * @param {number} number - Number to format
+     * @param {number} decimals - Maximum number of decimals
+     * @returns {number} Rounded number
+     */
+    static formatNumber(number, decimals = 4) {
+        return Number(number.toFixed(decimals));
+    }
+}
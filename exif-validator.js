@@ -0,0 +1,132 @@
+/**
+ * ExifValidator - Checks the structure of an EXIF block before it is decoded
+ *
+ * piexifjs trusts the offsets in a file: a truncated IFD, a value that points
+ * past the end of the block or two IFDs that point at each other make it throw
+ * somewhere deep inside, or quietly decode garbage. This walks the same IFDs it
+ * reads (IFD0, IFD1, and the Exif, GPS and Interop IFDs) with bounds checks, a
+ * depth limit and a record of visited offsets, and throws a MetadataError that
+ * says what is wrong.
+ */
+class ExifValidator {
+    // Byte sizes of the TIFF field types, by type number
+    static TYPE_SIZES = [0, 1, 1, 2, 4, 8, 1, 1, 2, 4, 8, 4, 8];
+
+    // EXIF blocks are at most 64 KB in JPEGs; PNG, WebP and HEIF allow more, but not this much
+    static MAX_SIZE = 16 * 1024 * 1024;
+
+    // Entries beyond this count are treated as a corrupt IFD
+    static MAX_ENTRIES = 1000;
+
+    // IFD0 > Exif > Interop is as deep as piexifjs goes
+    static MAX_DEPTH = 3;
+
+    // Pointer tags to the sub-IFDs piexifjs reads, by the IFD that holds them
+    static SUB_IFDS = {
+        '0th': { 34665: 'Exif', 34853: 'GPS' },
+        'Exif': { 40965: 'Interop' }
+    };
+
+    /**
+     * Validate an EXIF block
+     *
+     * @param {Uint8Array} tiff - EXIF data starting at the TIFF header (without "Exif\0\0")
+     * @throws {MetadataError} If the block is too large, truncated, points outside
+     *     itself or contains a cycle
+     */
+    static validate(tiff) {
+        if (tiff.length > ExifValidator.MAX_SIZE) {
+            throw new MetadataError('too-large', `The EXIF block is larger than ${ExifValidator.MAX_SIZE} bytes`);
+        }
+        if (tiff.length < 8) throw new MetadataError('truncated', 'The EXIF block is too short for a TIFF header', 0);
+
+        const order = String.fromCharCode(tiff[0], tiff[1]);
+        if (order !== 'II' && order !== 'MM') throw new MetadataError('corrupt', 'The EXIF block has no TIFF header', 0);
+
+        const little = order === 'II';
+        const view = new DataView(tiff.buffer, tiff.byteOffset, tiff.byteLength);
+        const visited = new Set();
+
+        const walk = (ifd, offset, depth) => {
+            const { entries, next } = ExifValidator.readIfd(view, ifd, offset, little, visited);
+
+            const pointers = ExifValidator.SUB_IFDS[ifd] || {};
+            entries.forEach(entry => {
+                if (pointers[entry.tag] && depth < ExifValidator.MAX_DEPTH) {
+                    walk(pointers[entry.tag], entry.value, depth + 1);
+                }
+            });
+
+            return { entries, next };
+        };
+
+        // IFD1 (the thumbnail) follows IFD0; piexifjs reads no further along the chain
+        const { next } = walk('0th', view.getUint32(4, little), 1);
+        if (next === 0) return;
+
+        const { entries } = walk('1st', next, 1);
+        const thumbnailOffset = entries.find(entry => entry.tag === 513)?.value;
+        const thumbnailLength = entries.find(entry => entry.tag === 514)?.value;
+        if (thumbnailOffset !== undefined && thumbnailLength !== undefined &&
+            thumbnailOffset + thumbnailLength > tiff.length) {
+            throw new MetadataError('invalid-offset', 'The EXIF thumbnail points outside the EXIF block', thumbnailOffset);
+        }
+    }
+
+    /**
+     * Read and check the entries of an IFD
+     *
+     * @param {DataView} view - EXIF block
+     * @param {string} ifd - IFD name, for error messages
+     * @param {number} offset - Offset of the entry count
+     * @param {boolean} little - Byte order
+     * @param {Set<number>} visited - Offsets of the IFDs read so far; the offset is added
+     * @returns {{entries: Object[], next: number}} Entries ({ tag, type, count, value }, where value
+     *     is the raw 32-bit value field) and the offset of the next IFD (0 if there is none)
+     * @throws {MetadataError} If the IFD was read before, lies outside the block or has
+     *     values outside it
+     */
+    static readIfd(view, ifd, offset, little, visited) {
+        if (visited.has(offset)) {
+            throw new MetadataError('cyclic-ifd', `The ${ifd} IFD points back to an IFD read before`, offset);
+        }
+        visited.add(offset);
+
+        // Offsets below 8 point into the TIFF header
+        if (offset < 8 || offset + 2 > view.byteLength) {
+            throw new MetadataError('invalid-offset', `The ${ifd} IFD points outside the EXIF block`, offset);
+        }
+
+        const count = view.getUint16(offset, little);
+        if (offset + 2 + count * 12 > view.byteLength) {
+            throw new MetadataError('truncated', `The ${ifd} IFD has ${count} entries but the EXIF block ends first`, offset);
+        }
+        if (count > ExifValidator.MAX_ENTRIES) {
+            throw new MetadataError('too-large', `The ${ifd} IFD has ${count} entries`, offset);
+        }
+
+        const entries = [];
+        for (let i = 0; i < count; i++) {
+            const entryOffset = offset + 2 + i * 12;
+            const entry = {
+                tag: view.getUint16(entryOffset, little),
+                type: view.getUint16(entryOffset + 2, little),
+                count: view.getUint32(entryOffset + 4, little),
+                value: view.getUint32(entryOffset + 8, little)
+            };
+
+            // Values of up to 4 bytes sit in the entry itself; values of unknown types have no known size
+            const length = (ExifValidator.TYPE_SIZES[entry.type] || 0) * entry.count;
+            if (length > 4 && entry.value + length > view.byteLength) {
+                throw new MetadataError('invalid-offset',
+                    `Tag ${entry.tag} of the ${ifd} IFD points outside the EXIF block`, entryOffset);
+            }
+            entries.push(entry);
+        }
+
+        // Some writers leave out the next IFD offset of the last IFD
+        const nextOffset = offset + 2 + count * 12;
+        const next = nextOffset + 4 <= view.byteLength ? view.getUint32(nextOffset, little) : 0;
+        return { entries, next };
+    }
+}
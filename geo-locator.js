@@ -0,0 +1,351 @@
+/**
+ * GeoLocator - Offline reverse geocoding and map rendering
+ *
+ * Works entirely on the bundled GeoData tables, so looking at a photo's
+ * location never sends the coordinates to a map or geocoding service.
+ * Maps are returned as inline SVG markup.
+ */
+class GeoLocator {
+    static EARTH_RADIUS_KM = 6371;
+    static METERS_PER_DEGREE = 111320;
+
+    // Regional map size in pixels and the longitude span it shows
+    static MAP_WIDTH = 320;
+    static MAP_HEIGHT = 200;
+    static MAP_SPAN_DEGREES = 16;
+
+    // World overview size in pixels
+    static OVERVIEW_WIDTH = 120;
+    static OVERVIEW_HEIGHT = 60;
+
+    // Nearest city considered part of a location when no country polygon matches
+    static MAX_OFFSHORE_KM = 100;
+
+    // Nearest city that overrides the polygon match when it lies in a country too small to draw
+    static SMALL_COUNTRY_KM = 30;
+
+    /**
+     * Find the country containing a point
+     *
+     * @param {number} lat - Latitude in decimal degrees
+     * @param {number} lon - Longitude in decimal degrees
+     * @returns {{iso2: string, name: string}|null} Country, or null at sea or in areas too small for the map
+     */
+    static countryAt(lat, lon) {
+        // Rings that cross the antimeridian are stored with longitudes above 180
+        const candidates = lon < 0 ? [lon, lon + 360] : [lon];
+
+        for (const [iso2, name, polygons] of GeoData.COUNTRIES) {
+            const inside = polygons.some(rings =>
+                candidates.some(x => GeoLocator.isInsidePolygon(rings, x, lat)));
+            if (inside) return { iso2, name };
+        }
+        return null;
+    }
+
+    /**
+     * Even-odd point-in-polygon test, so inner rings (holes) are excluded
+     *
+     * @param {number[][]} rings - Flat [lon, lat, ...] rings
+     * @param {number} x - Longitude
+     * @param {number} y - Latitude
+     * @returns {boolean} True if the point is inside
+     */
+    static isInsidePolygon(rings, x, y) {
+        let inside = false;
+        rings.forEach(ring => {
+            for (let i = 0, j = ring.length - 2; i < ring.length; j = i, i += 2) {
+                const xi = ring[i], yi = ring[i + 1];
+                const xj = ring[j], yj = ring[j + 1];
+                if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+                    inside = !inside;
+                }
+            }
+        });
+        return inside;
+    }
+
+    /**
+     * Find the nearest bundled city
+     *
+     * @param {number} lat - Latitude in decimal degrees
+     * @param {number} lon - Longitude in decimal degrees
+     * @param {string|null} iso2 - Only consider cities in this country
+     * @returns {{name: string, region: string, iso2: string, distanceKm: number}|null} Nearest city
+     */
+    static nearestCity(lat, lon, iso2 = null) {
+        let best = null;
+        GeoData.CITIES.forEach(([name, cityLat, cityLon, country, region]) => {
+            if (iso2 && country !== iso2) return;
+
+            const distanceKm = GeoLocator.distanceKm(lat, lon, cityLat, cityLon);
+            if (!best || distanceKm < best.distanceKm) {
+                best = { name, region, iso2: country, distanceKm };
+            }
+        });
+        return best;
+    }
+
+    /**
+     * Describe a location using the bundled countries and cities
+     * The region is that of the nearest bundled city, so it is approximate near borders
+     *
+     * @param {number} lat - Latitude in decimal degrees
+     * @param {number} lon - Longitude in decimal degrees
+     * @returns {{country: string|null, iso2: string|null, region: string|null, city: string|null,
+     *     distanceKm: number|null}} Location
+     */
+    static reverseGeocode(lat, lon) {
+        let country = GeoLocator.countryAt(lat, lon);
+        let city = (country && country.iso2 && GeoLocator.nearestCity(lat, lon, country.iso2)) ||
+            GeoLocator.nearestCity(lat, lon);
+
+        // Small countries such as Singapore have no polygon and fall inside a neighbour's outline
+        const closest = GeoLocator.nearestCity(lat, lon);
+        if (country && closest && closest.iso2 in GeoData.COUNTRY_NAMES &&
+            closest.distanceKm < GeoLocator.SMALL_COUNTRY_KM && closest.distanceKm < city.distanceKm) {
+            country = null;
+            city = closest;
+        }
+
+        if (!country && (!city || city.distanceKm > GeoLocator.MAX_OFFSHORE_KM)) {
+            return { country: null, iso2: null, region: null, city: null, distanceKm: null };
+        }
+
+        const countryName = country ? country.name : GeoLocator.countryName(city.iso2);
+        return {
+            country: countryName,
+            iso2: country ? country.iso2 : city.iso2,
+            region: city ? city.region || null : null,
+            city: city ? city.name : null,
+            distanceKm: city ? city.distanceKm : null
+        };
+    }
+
+    /**
+     * Find the centre of a country
+     * This is the centroid of the country's largest polygon, so islands and
+     * overseas territories do not pull it into the sea. Countries too small to
+     * have a polygon use their largest bundled city instead
+     *
+     * @param {string} iso2 - ISO 3166-1 alpha-2 code
+     * @returns {{lat: number, lon: number}|null} Centre, or null if the country is not bundled
+     */
+    static countryCentroid(iso2) {
+        const country = GeoData.COUNTRIES.find(([code]) => code === iso2);
+        if (!country) {
+            const city = GeoData.CITIES.find(entry => entry[3] === iso2);
+            return city ? { lat: city[1], lon: city[2] } : null;
+        }
+
+        // Shoelace formula over the outer ring of each polygon
+        let best = null;
+        country[2].forEach(([ring]) => {
+            let area = 0, x = 0, y = 0;
+            for (let i = 0, j = ring.length - 2; i < ring.length; j = i, i += 2) {
+                const cross = ring[j] * ring[i + 1] - ring[i] * ring[j + 1];
+                area += cross;
+                x += (ring[j] + ring[i]) * cross;
+                y += (ring[j + 1] + ring[i + 1]) * cross;
+            }
+            if (area !== 0 && (!best || Math.abs(area) > Math.abs(best.area))) {
+                best = { area, lon: x / (3 * area), lat: y / (3 * area) };
+            }
+        });
+        if (!best) return null;
+
+        // Rings that cross the antimeridian use longitudes above 180
+        return { lat: best.lat, lon: best.lon > 180 ? best.lon - 360 : best.lon };
+    }
+
+    /**
+     * Get the display name of a country code
+     *
+     * @param {string} iso2 - ISO 3166-1 alpha-2 code
+     * @returns {string} Country name, or the code if it is not bundled
+     */
+    static countryName(iso2) {
+        const country = GeoData.COUNTRIES.find(([code]) => code === iso2);
+        return country ? country[1] : GeoData.COUNTRY_NAMES[iso2] || iso2;
+    }
+
+    /**
+     * Great-circle distance between two points (haversine formula)
+     *
+     * @param {number} lat1 - First latitude
+     * @param {number} lon1 - First longitude
+     * @param {number} lat2 - Second latitude
+     * @param {number} lon2 - Second longitude
+     * @returns {number} Distance in kilometres
+     */
+    static distanceKm(lat1, lon1, lat2, lon2) {
+        const toRadians = (degrees) => degrees * Math.PI / 180;
+        const dLat = toRadians(lat2 - lat1);
+        const dLon = toRadians(lon2 - lon1);
+        const a = Math.sin(dLat / 2) ** 2 +
+            Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+        return 2 * GeoLocator.EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+    }
+
+    /**
+     * Render a regional map centred on a point, with a world overview
+     *
+     * @param {Object} location - Point to mark
+     * @param {number} location.lat - Latitude in decimal degrees
+     * @param {number} location.lon - Longitude in decimal degrees
+     * @param {number|null} location.direction - Camera bearing in degrees from north, if known
+     * @param {number|null} location.accuracy - Horizontal accuracy radius in metres, if known
+     * @returns {string} SVG markup for both maps
+     */
+    static renderMap({ lat, lon, direction = null, accuracy = null }) {
+        const width = GeoLocator.MAP_WIDTH;
+        const height = GeoLocator.MAP_HEIGHT;
+        const cosLat = Math.max(Math.cos(lat * Math.PI / 180), 0.2);
+        const scale = width / (GeoLocator.MAP_SPAN_DEGREES * cosLat);
+
+        // Equirectangular projection, corrected for latitude so the region is not stretched
+        const project = (pointLon, pointLat) => {
+            let dLon = pointLon - lon;
+            if (dLon > 180) dLon -= 360;
+            if (dLon < -180) dLon += 360;
+            return [width / 2 + dLon * cosLat * scale, height / 2 - (pointLat - lat) * scale];
+        };
+
+        const lonRadius = width / 2 / (cosLat * scale) + 1;
+        const latRadius = height / 2 / scale + 1;
+        const visible = (ring) => {
+            for (let i = 0; i < ring.length; i += 2) {
+                let dLon = Math.abs(ring[i] - lon);
+                if (dLon > 180) dLon = 360 - dLon;
+                if (dLon < lonRadius && Math.abs(ring[i + 1] - lat) < latRadius) return true;
+            }
+            return false;
+        };
+
+        const land = GeoLocator.buildPath(project, visible);
+
+        // Label the largest nearby cities
+        const cities = GeoData.CITIES
+            .filter(([, cityLat, cityLon]) => {
+                const [x, y] = project(cityLon, cityLat);
+                return x > 10 && x < width - 10 && y > 10 && y < height - 10;
+            })
+            .slice(0, 6)
+            .map(([name, cityLat, cityLon]) => {
+                const [x, y] = project(cityLon, cityLat).map(GeoLocator.round);
+                return `<circle cx="${x}" cy="${y}" r="2" class="map-city"/>` +
+                    `<text x="${x + 4}" y="${y - 3}" class="map-label">${GeoLocator.escapeXml(name)}</text>`;
+            })
+            .join('');
+
+        const cx = width / 2;
+        const cy = height / 2;
+        let overlay = '';
+
+        if (accuracy !== null && accuracy > 0) {
+            const radius = GeoLocator.round((accuracy / GeoLocator.METERS_PER_DEGREE) * scale);
+            if (radius >= 3) {
+                overlay += `<circle cx="${cx}" cy="${cy}" r="${radius}" class="map-accuracy"/>`;
+            }
+        }
+
+        if (direction !== null) {
+            const angle = direction * Math.PI / 180;
+            const x = GeoLocator.round(cx + Math.sin(angle) * 28);
+            const y = GeoLocator.round(cy - Math.cos(angle) * 28);
+            overlay += `<line x1="${cx}" y1="${cy}" x2="${x}" y2="${y}" class="map-direction" marker-end="url(#map-arrow)"/>`;
+        }
+
+        const overview = GeoLocator.renderOverview(lat, lon);
+
+        return `
+            <svg class="location-map" viewBox="0 0 ${width} ${height}" width="${width}" height="${height}"
+                role="img" aria-label="Map of the photo location">
+                <defs>
+                    <marker id="map-arrow" viewBox="0 0 10 10" refX="5" refY="5" markerWidth="5" markerHeight="5" orient="auto">
+                        <path d="M0,0 L10,5 L0,10 z" class="map-arrow-head"/>
+                    </marker>
+                </defs>
+                <rect width="${width}" height="${height}" class="map-sea"/>
+                <path d="${land}" class="map-land"/>
+                ${cities}
+                ${overlay}
+                <circle cx="${cx}" cy="${cy}" r="5" class="map-marker"/>
+            </svg>
+            ${overview}
+        `;
+    }
+
+    /**
+     * Render a small world map with the point marked
+     *
+     * @param {number} lat - Latitude in decimal degrees
+     * @param {number} lon - Longitude in decimal degrees
+     * @returns {string} SVG markup
+     */
+    static renderOverview(lat, lon) {
+        const width = GeoLocator.OVERVIEW_WIDTH;
+        const height = GeoLocator.OVERVIEW_HEIGHT;
+        const project = (pointLon, pointLat) => [
+            ((pointLon > 180 ? pointLon - 360 : pointLon) + 180) / 360 * width,
+            (90 - pointLat) / 180 * height
+        ];
+
+        // Rings shifted past 180° would wrap across the whole map, so they are left out here
+        const land = GeoLocator.buildPath(project, ring => ring.every((value, i) => i % 2 === 1 || value <= 180));
+        const [x, y] = project(lon, lat).map(GeoLocator.round);
+
+        return `
+            <svg class="location-overview" viewBox="0 0 ${width} ${height}" width="${width}" height="${height}"
+                role="img" aria-label="World overview">
+                <rect width="${width}" height="${height}" class="map-sea"/>
+                <path d="${land}" class="map-land"/>
+                <circle cx="${x}" cy="${y}" r="3" class="map-marker"/>
+            </svg>
+        `;
+    }
+
+    /**
+     * Build an SVG path for every country ring accepted by a filter
+     *
+     * @param {Function} project - Maps (lon, lat) to [x, y] pixels
+     * @param {Function} include - Returns true for rings to draw
+     * @returns {string} Path data
+     */
+    static buildPath(project, include) {
+        const parts = [];
+        GeoData.COUNTRIES.forEach(([, , polygons]) => {
+            polygons.forEach(rings => rings.forEach(ring => {
+                if (!include(ring)) return;
+
+                let path = '';
+                for (let i = 0; i < ring.length; i += 2) {
+                    const [x, y] = project(ring[i], ring[i + 1]).map(GeoLocator.round);
+                    path += `${i === 0 ? 'M' : 'L'}${x},${y}`;
+                }
+                parts.push(path + 'Z');
+            }));
+        });
+        return parts.join('');
+    }
+
+    /**
+     * Round a pixel coordinate to one decimal place
+     *
+     * @param {number} value - Coordinate
+     * @returns {number} Rounded coordinate
+     */
+    static round(value) {
+        return Math.round(value * 10) / 10;
+    }
+
+    /**
+     * Escape text for use inside SVG markup
+     *
+     * @param {string} text - Raw text
+     * @returns {string} Escaped text
+     */
+    static escapeXml(text) {
+        return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    }
+}
@@ -0,0 +1,550 @@
+/**
+ * HeicParser - Reads and strips metadata items in HEIC/HEIF files
+ *
+ * HEIF files are ISOBMFF box trees. Metadata is stored as items declared in
+ * meta/iinf (Exif, or a "mime" item holding XMP) whose bytes are located through
+ * meta/iloc. Stripping drops those items from iinf, iloc and iref and zero-fills
+ * their payloads in place. A free box takes up the space they leave in meta, so
+ * the file size and every iloc offset stay valid and the coded image data is untouched.
+ */
+class HeicParser {
+    // Major and compatible brands that identify a HEIF still image
+    static BRANDS = ['heic', 'heix', 'heim', 'heis', 'hevc', 'hevx', 'mif1', 'msf1'];
+
+    // Item types that carry descriptive or personal metadata
+    static METADATA_CHUNKS = ['Exif', 'mime'];
+
+    // Item type whose payload is an EXIF (TIFF) block
+    static EXIF_CHUNK = 'Exif';
+
+    static ITEM_NAMES = {
+        hvc1: 'HEVC image',
+        av01: 'AV1 image',
+        grid: 'Image grid',
+        iden: 'Derived image',
+        iovl: 'Image overlay',
+        Exif: 'EXIF block',
+        mime: 'MIME data'
+    };
+
+    /**
+     * Check whether a byte array is a HEIF file
+     *
+     * @param {Uint8Array} bytes - File contents
+     * @returns {boolean} True for HEIC/HEIF data
+     */
+    static isHeic(bytes) {
+        if (bytes.length < 16 || HeicParser.readFourCC(bytes, 4) !== 'ftyp') return false;
+
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const end = Math.min(view.getUint32(0), bytes.length);
+        // Major brand, then compatible brands after the minor version
+        for (let pos = 8; pos + 4 <= end; pos += pos === 8 ? 8 : 4) {
+            if (HeicParser.BRANDS.includes(HeicParser.readFourCC(bytes, pos))) return true;
+        }
+        return false;
+    }
+
+    /**
+     * List the boxes between two offsets
+     *
+     * @param {Uint8Array} bytes - File contents
+     * @param {number} start - Offset of the first box
+     * @param {number} end - End of the enclosing box
+     * @returns {Object[]} Boxes in order ({ type, offset, size, dataOffset })
+     * @throws {MetadataError} If a box header is invalid or runs past its parent
+     */
+    static readBoxes(bytes, start, end) {
+        const boxes = [];
+        let pos = start;
+
+        while (pos + 8 <= end) {
+            const box = HeicParser.readBoxHeader(bytes, pos, end);
+            boxes.push(box);
+            pos += box.size;
+        }
+
+        return boxes;
+    }
+
+    /**
+     * Read the header of a single box
+     *
+     * @param {Uint8Array} bytes - File contents
+     * @param {number} pos - Offset of the box
+     * @param {number} end - End of the enclosing box
+     * @returns {{type: string, offset: number, size: number, dataOffset: number}} The box
+     * @throws {MetadataError} If the header is invalid or the box runs past its parent
+     */
+    static readBoxHeader(bytes, pos, end) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        let size = view.getUint32(pos);
+        const type = HeicParser.readFourCC(bytes, pos + 4);
+        let headerSize = 8;
+
+        if (size === 1) {
+            // 64-bit size follows the type
+            if (pos + 16 > end) throw new MetadataError('truncated', `Truncated HEIF box ${type} at offset ${pos}`, pos);
+            size = view.getUint32(pos + 8) * 2 ** 32 + view.getUint32(pos + 12);
+            headerSize = 16;
+        } else if (size === 0) {
+            // Box extends to the end of its parent
+            size = end - pos;
+        }
+
+        if (size < headerSize || pos + size > end) {
+            throw new MetadataError('truncated', `Truncated HEIF box ${type} at offset ${pos}`, pos);
+        }
+
+        return { type, offset: pos, size, dataOffset: pos + headerSize };
+    }
+
+    /**
+     * Locate the items declared in the top-level meta box
+     *
+     * @param {Uint8Array} bytes - File contents
+     * @returns {Object[]} Items ({ id, type, name, contentType, extents: [{ offset, length }] })
+     *     with extents resolved to absolute file offsets
+     * @throws {MetadataError} If the data is not a HEIF file or its meta box is malformed
+     */
+    static parseItems(bytes) {
+        if (!HeicParser.isHeic(bytes)) {
+            throw new MetadataError('unsupported', 'Not a HEIC/HEIF file');
+        }
+
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const meta = HeicParser.readBoxes(bytes, 0, bytes.length).find(box => box.type === 'meta');
+        if (!meta) return [];
+
+        // meta is a full box: skip its version and flags
+        const children = HeicParser.readBoxes(bytes, meta.dataOffset + 4, meta.offset + meta.size);
+        const iinf = children.find(box => box.type === 'iinf');
+        const iloc = children.find(box => box.type === 'iloc');
+        const idat = children.find(box => box.type === 'idat');
+
+        const items = new Map();
+        if (iinf) {
+            const version = bytes[iinf.dataOffset];
+            const entriesStart = iinf.dataOffset + 4 + (version === 0 ? 2 : 4);
+            HeicParser.readBoxes(bytes, entriesStart, iinf.offset + iinf.size)
+                .filter(box => box.type === 'infe')
+                .forEach(box => {
+                    const item = HeicParser.readItemInfo(bytes, view, box);
+                    if (item) items.set(item.id, item);
+                });
+        }
+
+        if (iloc) {
+            HeicParser.readItemLocations(bytes, view, iloc, idat).forEach(({ id, extents }) => {
+                const item = items.get(id) || { id, type: '', name: '', contentType: '' };
+                item.extents = extents;
+                items.set(id, item);
+            });
+        }
+
+        return Array.from(items.values()).map(item => ({ extents: [], ...item }));
+    }
+
+    /**
+     * Read an item info entry (infe box, version 2 or 3)
+     *
+     * @param {Uint8Array} bytes - File contents
+     * @param {DataView} view - View over the file
+     * @param {Object} box - infe box
+     * @returns {Object|null} Item without extents, or null for legacy versions
+     */
+    static readItemInfo(bytes, view, box) {
+        const version = bytes[box.dataOffset];
+        if (version < 2) return null;
+
+        const end = box.offset + box.size;
+        let pos = box.dataOffset + 4;
+        const id = version === 2 ? view.getUint16(pos) : view.getUint32(pos);
+        pos += (version === 2 ? 2 : 4) + 2;     // Skip item_protection_index
+        const type = HeicParser.readFourCC(bytes, pos);
+        pos += 4;
+
+        const name = HeicParser.readString(bytes, pos, end);
+        const nameEnd = bytes.indexOf(0, pos);
+        const contentType = type === 'mime' && nameEnd !== -1 && nameEnd < end
+            ? HeicParser.readString(bytes, nameEnd + 1, end)
+            : '';
+
+        return { id, type, name, contentType };
+    }
+
+    /**
+     * Resolve the extents of every item in the iloc box
+     *
+     * @param {Uint8Array} bytes - File contents
+     * @param {DataView} view - View over the file
+     * @param {Object} iloc - iloc box
+     * @param {Object|undefined} idat - idat box, for items stored inside meta
+     * @returns {Object[]} Entries in order ({ id, extents: [{ offset, length }], start, end }),
+     *     with the position of each entry in the file
+     * @throws {MetadataError} If an extent points outside the file
+     */
+    static readItemLocations(bytes, view, iloc, idat) {
+        const version = bytes[iloc.dataOffset];
+        let pos = iloc.dataOffset + 4;
+
+        const readSized = (size) => {
+            let value = 0;
+            if (size === 4) value = view.getUint32(pos);
+            else if (size === 8) value = view.getUint32(pos) * 2 ** 32 + view.getUint32(pos + 4);
+            pos += size;
+            return value;
+        };
+
+        const offsetSize = bytes[pos] >> 4;
+        const lengthSize = bytes[pos] & 0x0F;
+        const baseOffsetSize = bytes[pos + 1] >> 4;
+        const indexSize = version > 0 ? bytes[pos + 1] & 0x0F : 0;
+        pos += 2;
+
+        const itemCount = version < 2 ? view.getUint16(pos) : view.getUint32(pos);
+        pos += version < 2 ? 2 : 4;
+
+        const locations = [];
+        for (let i = 0; i < itemCount; i++) {
+            const start = pos;
+            const id = version < 2 ? view.getUint16(pos) : view.getUint32(pos);
+            pos += version < 2 ? 2 : 4;
+
+            let constructionMethod = 0;
+            if (version > 0) {
+                constructionMethod = view.getUint16(pos) & 0x0F;
+                pos += 2;
+            }
+            pos += 2;   // data_reference_index
+
+            const baseOffset = readSized(baseOffsetSize);
+            const extentCount = view.getUint16(pos);
+            pos += 2;
+
+            const extents = [];
+            for (let e = 0; e < extentCount; e++) {
+                readSized(indexSize);
+                const extentOffset = readSized(offsetSize);
+                const length = readSized(lengthSize);
+
+                // Construction method 1 stores the data inside the idat box
+                const origin = constructionMethod === 1 && idat ? idat.dataOffset : 0;
+                const offset = origin + baseOffset + extentOffset;
+                if (offset + length > bytes.length) {
+                    throw new MetadataError('invalid-offset', `HEIF item ${id} points outside the file`, offset);
+                }
+                extents.push({ offset, length });
+            }
+
+            // Construction method 2 references other items and owns no bytes itself
+            locations.push({ id, extents: constructionMethod === 2 ? [] : extents, start, end: pos });
+        }
+
+        return locations;
+    }
+
+    /**
+     * Read the ICC profile from the colour information (colr) item property
+     *
+     * @param {Uint8Array} bytes - File contents
+     * @returns {Uint8Array|null} Profile bytes of the first colr box holding one, or null
+     * @throws {MetadataError} If the data is not a HEIF file or its meta box is malformed
+     */
+    static readIccProfile(bytes) {
+        if (!HeicParser.isHeic(bytes)) {
+            throw new MetadataError('unsupported', 'Not a HEIC/HEIF file');
+        }
+
+        const find = (boxes, type) => boxes.find(box => box.type === type);
+        const meta = find(HeicParser.readBoxes(bytes, 0, bytes.length), 'meta');
+        const iprp = meta && find(HeicParser.readBoxes(bytes, meta.dataOffset + 4, meta.offset + meta.size), 'iprp');
+        const ipco = iprp && find(HeicParser.readBoxes(bytes, iprp.dataOffset, iprp.offset + iprp.size), 'ipco');
+        if (!ipco) return null;
+
+        // A colr box holds either an ICC profile ("prof", "rICC") or coded colour primaries ("nclx")
+        const colr = HeicParser.readBoxes(bytes, ipco.dataOffset, ipco.offset + ipco.size).find(box =>
+            box.type === 'colr' && ['prof', 'rICC'].includes(HeicParser.readFourCC(bytes, box.dataOffset)));
+        return colr ? bytes.subarray(colr.dataOffset + 4, colr.offset + colr.size) : null;
+    }
+
+    /**
+     * Decode the items into display entries
+     *
+     * @param {Uint8Array} bytes - File contents
+     * @returns {Promise<{entries: Object[], exif: Uint8Array|null, xmp: string|null}>} One entry per
+     *     metadata item ({ type, label, value }), the EXIF payload as TIFF bytes, and the XMP packet
+     */
+    static async readMetadata(bytes) {
+        const items = HeicParser.parseItems(bytes);
+        const entries = [];
+        let exif = null;
+        let xmp = null;
+
+        const imageCount = items.filter(item => !HeicParser.METADATA_CHUNKS.includes(item.type)).length;
+        if (imageCount) {
+            const types = [...new Set(items.map(item => item.type))]
+                .filter(type => !HeicParser.METADATA_CHUNKS.includes(type))
+                .map(type => HeicParser.ITEM_NAMES[type] || type);
+            entries.push({ type: 'iinf', label: 'Image Items', value: `${imageCount} (${types.join(', ')})` });
+        }
+
+        items.filter(item => HeicParser.METADATA_CHUNKS.includes(item.type)).forEach(item => {
+            const data = HeicParser.readItemData(bytes, item);
+
+            // Blanked items hold only zeros
+            if (data.every(byte => byte === 0)) return;
+
+            if (item.type === 'Exif') {
+                exif = exif || HeicParser.getExifTiff(data);
+                entries.push({ type: item.type, label: `EXIF Item (#${item.id})`, value: `${data.length} bytes` });
+            } else if (item.contentType === 'application/rdf+xml') {
+                xmp = xmp || new TextDecoder('utf-8').decode(data);
+                entries.push({ type: item.type, label: `XMP Item (#${item.id})`, value: `${data.length} bytes` });
+            } else {
+                entries.push({
+                    type: item.type,
+                    label: `MIME Item (#${item.id})`,
+                    value: `${item.contentType || 'unknown type'}, ${data.length} bytes`
+                });
+            }
+        });
+
+        return { entries, exif, xmp };
+    }
+
+    /**
+     * Remove metadata items from a HEIF file without re-encoding it
+     * The Exif and XMP items are dropped from iinf, iloc and iref, and their payloads
+     * are overwritten with zeros in place. The rebuilt boxes are followed by a free
+     * box of the size they lost, so meta, the file and every item offset keep their
+     * size and position. The colour profile lives in the item properties (colr box)
+     * and is always kept.
+     *
+     * @param {Uint8Array} bytes - Original HEIF contents
+     * @returns {{data: Uint8Array, removed: Object[]}} Cleaned file and the removed items
+     * @throws {MetadataError} If the data is not a HEIF file or its meta box is malformed
+     */
+    static stripMetadata(bytes) {
+        const output = bytes.slice();
+        const items = HeicParser.parseItems(bytes).filter(item => HeicParser.METADATA_CHUNKS.includes(item.type));
+        if (items.length === 0) return { data: output, removed: [] };
+
+        const removed = items.map(item => {
+            item.extents.forEach(extent => output.fill(0, extent.offset, extent.offset + extent.length));
+            return {
+                name: item.type === 'Exif' ? 'Exif' : 'MIME',
+                identifier: item.contentType || `item ${item.id}`,
+                offset: item.extents.length ? item.extents[0].offset : 0,
+                length: item.extents.reduce((total, extent) => total + extent.length, 0)
+            };
+        });
+
+        // meta is a full box: its children follow the version and flags
+        const ids = new Set(items.map(item => item.id));
+        const meta = HeicParser.readBoxes(output, 0, output.length).find(box => box.type === 'meta');
+        const start = meta.dataOffset + 4;
+        const end = meta.offset + meta.size;
+        const children = HeicParser.readBoxes(output, start, end).map(box => {
+            switch (box.type) {
+                case 'iinf': return HeicParser.removeItemInfo(output, box, ids);
+                case 'iloc': return HeicParser.removeItemLocations(output, box, ids);
+                case 'iref': return HeicParser.removeItemReferences(output, box, ids);
+                default: return output.slice(box.offset, box.offset + box.size);
+            }
+        });
+
+        // Every dropped infe box is over 8 bytes, so there is always room for the free box header
+        const length = children.reduce((total, child) => total + child.length, 0);
+        const free = HeicParser.writeBox('free', [new Uint8Array(end - start - length - 8)]);
+        let pos = start;
+        [...children, free].forEach(child => {
+            output.set(child, pos);
+            pos += child.length;
+        });
+
+        return { data: output, removed };
+    }
+
+    /**
+     * Rebuild an iinf box without some items
+     *
+     * @param {Uint8Array} bytes - File contents
+     * @param {Object} iinf - iinf box
+     * @param {Set<number>} ids - IDs of the items to drop
+     * @returns {Uint8Array} New iinf box
+     */
+    static removeItemInfo(bytes, iinf, ids) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const version = bytes[iinf.dataOffset];
+        const countSize = version === 0 ? 2 : 4;
+        const entries = HeicParser.readBoxes(bytes, iinf.dataOffset + 4 + countSize, iinf.offset + iinf.size)
+            .filter(box => box.type !== 'infe' || !ids.has(HeicParser.readItemInfo(bytes, view, box)?.id))
+            .map(box => bytes.subarray(box.offset, box.offset + box.size));
+
+        const header = bytes.slice(iinf.dataOffset, iinf.dataOffset + 4 + countSize);
+        HeicParser.writeSized(header, 4, countSize, entries.length);
+        return HeicParser.writeBox('iinf', [header, ...entries]);
+    }
+
+    /**
+     * Rebuild an iloc box without some items
+     * The entries that stay are copied unchanged, as no item data moves
+     *
+     * @param {Uint8Array} bytes - File contents
+     * @param {Object} iloc - iloc box
+     * @param {Set<number>} ids - IDs of the items to drop
+     * @returns {Uint8Array} New iloc box
+     */
+    static removeItemLocations(bytes, iloc, ids) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const entries = HeicParser.readItemLocations(bytes, view, iloc);
+        const countSize = bytes[iloc.dataOffset] < 2 ? 2 : 4;
+        const kept = entries.filter(entry => !ids.has(entry.id));
+
+        // Version and flags, the field sizes, then the item count
+        const header = bytes.slice(iloc.dataOffset, iloc.dataOffset + 6 + countSize);
+        HeicParser.writeSized(header, 6, countSize, kept.length);
+        return HeicParser.writeBox('iloc', [header, ...kept.map(entry => bytes.subarray(entry.start, entry.end))]);
+    }
+
+    /**
+     * Rebuild an iref box without the references from or to some items
+     * A reference box left with no target items is dropped
+     *
+     * @param {Uint8Array} bytes - File contents
+     * @param {Object} iref - iref box
+     * @param {Set<number>} ids - IDs of the items to drop
+     * @returns {Uint8Array} New iref box
+     */
+    static removeItemReferences(bytes, iref, ids) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const idSize = bytes[iref.dataOffset] === 0 ? 2 : 4;
+        const readId = (pos) => (idSize === 2 ? view.getUint16(pos) : view.getUint32(pos));
+
+        const references = HeicParser.readBoxes(bytes, iref.dataOffset + 4, iref.offset + iref.size).map(box => {
+            const from = readId(box.dataOffset);
+            const count = view.getUint16(box.dataOffset + idSize);
+            const targets = Array.from({ length: count }, (_, i) => readId(box.dataOffset + idSize + 2 + i * idSize))
+                .filter(id => !ids.has(id));
+            if (ids.has(from) || targets.length === 0) return null;
+
+            const body = new Uint8Array(idSize + 2 + targets.length * idSize);
+            HeicParser.writeSized(body, 0, idSize, from);
+            HeicParser.writeSized(body, idSize, 2, targets.length);
+            targets.forEach((id, i) => HeicParser.writeSized(body, idSize + 2 + i * idSize, idSize, id));
+            return HeicParser.writeBox(box.type, [body]);
+        }).filter(Boolean);
+
+        return HeicParser.writeBox('iref', [bytes.slice(iref.dataOffset, iref.dataOffset + 4), ...references]);
+    }
+
+    /**
+     * Build a box with a 32-bit size
+     *
+     * @param {string} type - Four-character box type
+     * @param {Uint8Array[]} parts - Box contents
+     * @returns {Uint8Array} The box
+     */
+    static writeBox(type, parts) {
+        const size = 8 + parts.reduce((total, part) => total + part.length, 0);
+        const box = new Uint8Array(size);
+        new DataView(box.buffer).setUint32(0, size);
+        for (let i = 0; i < 4; i++) box[4 + i] = type.charCodeAt(i);
+
+        let pos = 8;
+        parts.forEach(part => {
+            box.set(part, pos);
+            pos += part.length;
+        });
+        return box;
+    }
+
+    /**
+     * Write a big-endian unsigned integer of 2 or 4 bytes
+     *
+     * @param {Uint8Array} bytes - Destination
+     * @param {number} pos - Offset of the field
+     * @param {number} size - Field size in bytes (2 or 4)
+     * @param {number} value - Value to write
+     */
+    static writeSized(bytes, pos, size, value) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        if (size === 2) view.setUint16(pos, value);
+        else view.setUint32(pos, value);
+    }
+
+    /**
+     * Calculate a SHA-256 hash over the file with its metadata items stripped
+     * Stripping a cleaned file again changes nothing, so it hashes the same as its
+     * original exactly when every other byte, including the coded image, is identical.
+     *
+     * @param {Uint8Array} bytes - HEIF contents
+     * @returns {Promise<string>} Hex-encoded hash
+     */
+    static async hashImageData(bytes) {
+        const { data } = HeicParser.stripMetadata(bytes);
+        const digest = await crypto.subtle.digest('SHA-256', data);
+        return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * Concatenate the extents of an item
+     *
+     * @param {Uint8Array} bytes - File contents
+     * @param {Object} item - Item from parseItems
+     * @returns {Uint8Array} Item payload
+     */
+    static readItemData(bytes, item) {
+        const data = new Uint8Array(item.extents.reduce((total, extent) => total + extent.length, 0));
+        let offset = 0;
+        item.extents.forEach(extent => {
+            data.set(bytes.subarray(extent.offset, extent.offset + extent.length), offset);
+            offset += extent.length;
+        });
+        return data;
+    }
+
+    /**
+     * Return the TIFF data of an Exif item
+     * The payload starts with a 4-byte offset to the TIFF header, which usually
+     * skips a JPEG-style "Exif\0\0" marker
+     *
+     * @param {Uint8Array} data - Exif item payload
+     * @returns {Uint8Array|null} TIFF data, or null if the item is empty or invalid
+     */
+    static getExifTiff(data) {
+        if (data.length < 8) return null;
+
+        const start = 4 + new DataView(data.buffer, data.byteOffset, data.byteLength).getUint32(0);
+        const tiff = data.subarray(start);
+        const isTiff = tiff.length >= 8 &&
+            ((tiff[0] === 0x49 && tiff[1] === 0x49) || (tiff[0] === 0x4D && tiff[1] === 0x4D));
+        return isTiff ? tiff : null;
+    }
+
+    /**
+     * Read a null-terminated UTF-8 string
+     *
+     * @param {Uint8Array} bytes - File contents
+     * @param {number} start - First byte of the string
+     * @param {number} end - Limit of the enclosing box
+     * @returns {string} Decoded string
+     */
+    static readString(bytes, start, end) {
+        let stop = start;
+        while (stop < end && bytes[stop] !== 0) stop++;
+        return new TextDecoder('utf-8').decode(bytes.subarray(start, stop));
+    }
+
+    /**
+     * Read a four-character code
+     *
+     * @param {Uint8Array} bytes - File contents
+     * @param {number} offset - Position of the code
+     * @returns {string} Four-character code
+     */
+    static readFourCC(bytes, offset) {
+        return String.fromCharCode(bytes[offset], bytes[offset + 1], bytes[offset + 2], bytes[offset + 3]);
+    }
+}
@@ -0,0 +1,678 @@
+/**
+ * HiddenDataScanner - Looks for data hidden outside the regular metadata fields
+ *
+ * Lists every JPEG segment, PNG/WebP chunk or top-level HEIF box with its offset
+ * and size, and flags the places where a file can carry data that no metadata
+ * reader shows: bytes appended after the end of the image, unknown segments or
+ * chunks, oversized comments and embedded archives. A chi-square test on the
+ * least significant bits (of the DCT coefficients for JPEG, of the pixels for
+ * PNG and WebP) catches naive LSB steganography, which leaves the pairs of
+ * values that differ only in their lowest bit almost equally common.
+ *
+ * scan runs in the pipeline's worker; the pixel check needs a canvas, so it runs
+ * on the page through checkPixels or checkFile.
+ */
+class HiddenDataScanner {
+    // APPn identifiers written by cameras and common software, with a description
+    static KNOWN_APP_SEGMENTS = {
+        'JFIF': 'JFIF header',
+        'JFXX': 'JFIF thumbnail',
+        'Exif': 'EXIF metadata',
+        'http://ns.adobe.com/xap/1.0/': 'XMP metadata',
+        'http://ns.adobe.com/xmp/extension/': 'Extended XMP metadata',
+        'ICC_PROFILE': 'Colour profile',
+        'MPF': 'Multi-picture index',
+        'FPXR': 'FlashPix data',
+        'Ducky': 'Photoshop "Save for Web" data',
+        'Photoshop 3.0': 'Photoshop and IPTC data',
+        'Adobe': 'Colour transform'
+    };
+
+    // Descriptions of the other JPEG segments
+    static JPEG_NOTES = {
+        SOI: 'Start of image',
+        EOI: 'End of image',
+        DQT: 'Quantization tables',
+        DHT: 'Huffman tables',
+        DRI: 'Restart interval',
+        SOS: 'Image data',
+        COM: 'Comment'
+    };
+
+    // Registered PNG chunks (PNG 3rd edition and common extensions), with a description
+    static KNOWN_PNG_CHUNKS = {
+        IHDR: 'Header', PLTE: 'Palette', IDAT: 'Image data', IEND: 'End of image',
+        tRNS: 'Transparency', gAMA: 'Gamma', cHRM: 'Chromaticities', sRGB: 'sRGB intent',
+        sBIT: 'Significant bits', iCCP: 'Colour profile', cICP: 'Colour space',
+        mDCV: 'Mastering display', cLLI: 'Light levels', tEXt: 'Text metadata',
+        zTXt: 'Compressed text metadata', iTXt: 'International text metadata',
+        eXIf: 'EXIF metadata', tIME: 'Modification time', bKGD: 'Background colour',
+        hIST: 'Palette histogram', pHYs: 'Pixel size', sPLT: 'Suggested palette',
+        oFFs: 'Image offset', pCAL: 'Pixel calibration', sCAL: 'Physical scale',
+        sTER: 'Stereo layout', gIFg: 'GIF control', gIFx: 'GIF extension',
+        acTL: 'Animation control', fcTL: 'Frame control', fdAT: 'Frame data',
+        iDOT: 'Apple decoding hint', dSIG: 'Digital signature', vpAg: 'Virtual page'
+    };
+
+    // Registered WebP chunks, with a description
+    static KNOWN_WEBP_CHUNKS = {
+        'VP8 ': 'Image data (lossy)', 'VP8L': 'Image data (lossless)', 'VP8X': 'Extended header',
+        'ALPH': 'Transparency', 'ANIM': 'Animation control', 'ANMF': 'Animation frame',
+        'ICCP': 'Colour profile', 'EXIF': 'EXIF metadata', 'XMP ': 'XMP metadata'
+    };
+
+    // Top-level boxes of HEIF files, with a description
+    static KNOWN_HEIF_BOXES = {
+        ftyp: 'File type', meta: 'Item information and metadata', mdat: 'Image and metadata items',
+        free: 'Free space', skip: 'Free space', moov: 'Image sequence', moof: 'Sequence fragment',
+        mfra: 'Fragment index', styp: 'Segment type', sidx: 'Segment index'
+    };
+
+    // File signatures recognised in appended data; archives are also searched for inside blocks
+    static SIGNATURES = [
+        { name: 'ZIP archive', bytes: [0x50, 0x4B, 0x03, 0x04], archive: true },
+        { name: 'ZIP archive', bytes: [0x50, 0x4B, 0x05, 0x06], archive: true },
+        { name: 'RAR archive', bytes: [0x52, 0x61, 0x72, 0x21, 0x1A, 0x07], archive: true },
+        { name: '7-Zip archive', bytes: [0x37, 0x7A, 0xBC, 0xAF, 0x27, 0x1C], archive: true },
+        { name: 'PDF document', bytes: [0x25, 0x50, 0x44, 0x46, 0x2D], archive: true },
+        { name: 'gzip data', bytes: [0x1F, 0x8B, 0x08] },
+        { name: 'JPEG image', bytes: [0xFF, 0xD8, 0xFF] },
+        { name: 'PNG image', bytes: [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A] }
+    ];
+
+    // Comments and text chunks larger than this are reported
+    static MAX_COMMENT_SIZE = 4096;
+
+    // The DCT check decodes at most this many MCUs from the top of a JPEG
+    static MAX_DCT_MCUS = 8192;
+
+    // The pixel check reads at most this area from the top left of the image
+    static MAX_PIXEL_SIDE = 2048;
+
+    // Sequential embedding starts at the top, so this share of the rows is also tested alone
+    static PREFIX_SHARE = 0.1;
+
+    // Samples needed for a meaningful test; small or noisy images look random otherwise
+    static MIN_SAMPLES = { dct: 4096, pixels: 65536 };
+
+    // Value pairs seen fewer times than this (on average) are left out of the test
+    static MIN_PAIR_COUNT = 5;
+
+    // Chi-square probability above which the LSBs look embedded
+    static SUSPICIOUS_P = 0.95;
+
+    /**
+     * Scan the structure of a file and, for JPEG, the DCT coefficients
+     *
+     * @param {Uint8Array} bytes - File contents
+     * @returns {{format: string|null, blocks: Object[], findings: Object[], lsb: Object|null}}
+     *     Blocks in file order ({ name, offset, length, note, flagged, count }), findings
+     *     ({ level: 'warning' | 'info', message }) and the LSB test result (see testDct);
+     *     lsb is null when the pixels have to be checked on the page (PNG, WebP)
+     */
+    static scan(bytes) {
+        const format = MetadataJobs.getFormat(bytes);
+        const report = { format, blocks: [], findings: [], lsb: null };
+
+        try {
+            if (format === 'jpeg') HiddenDataScanner.scanJpeg(bytes, report);
+            else if (format === 'png') HiddenDataScanner.scanPng(bytes, report);
+            else if (format === 'webp') HiddenDataScanner.scanWebp(bytes, report);
+            else if (format === 'heic') HiddenDataScanner.scanHeif(bytes, report);
+        } catch (error) {
+            report.findings.push({ level: 'warning', message: `The file structure could not be fully read: ${error.message}` });
+        }
+
+        HiddenDataScanner.findEmbeddedArchives(bytes, report);
+        report.blocks = HiddenDataScanner.mergeRepeatedBlocks(report.blocks);
+
+        if (format === 'jpeg') {
+            report.lsb = HiddenDataScanner.testDct(bytes);
+        } else if (format === 'heic') {
+            report.lsb = { method: 'pixels', skipped: 'HEIF image data cannot be decoded here' };
+        }
+        return report;
+    }
+
+    /**
+     * List the segments of a JPEG, flagging unknown APPn segments, large comments
+     * and data after EOI that is not an MPF preview image
+     *
+     * @param {Uint8Array} bytes - File contents
+     * @param {Object} report - Report being built
+     */
+    static scanJpeg(bytes, report) {
+        const { segments, trailingOffset } = JpegParser.parseSegments(bytes);
+
+        segments.forEach(segment => {
+            const block = { name: segment.name, offset: segment.offset, length: segment.length, note: '', flagged: false };
+            const isApp = segment.marker >= 0xE0 && segment.marker <= 0xEF;
+
+            if (isApp) {
+                block.name = `APP${segment.marker - 0xE0}`;
+                const note = HiddenDataScanner.KNOWN_APP_SEGMENTS[segment.identifier];
+                if (note) {
+                    block.name += ` (${segment.identifier})`;
+                    block.note = note;
+                } else {
+                    block.note = segment.identifier ? `Unknown identifier "${segment.identifier}"` : 'No identifier';
+                    HiddenDataScanner.flag(report, block, segment.identifier
+                        ? `Unknown ${block.name} segment "${segment.identifier}"`
+                        : `${block.name} segment without an identifier`);
+                }
+            } else if (segment.name.startsWith('SOF')) {
+                block.note = 'Frame header';
+            } else {
+                block.note = HiddenDataScanner.JPEG_NOTES[segment.name] || '';
+            }
+
+            if (segment.marker === 0xFE && segment.length > HiddenDataScanner.MAX_COMMENT_SIZE) {
+                HiddenDataScanner.flag(report, block, 'Unusually large comment');
+            }
+            report.blocks.push(block);
+        });
+
+        // MPF preview images legitimately follow the EOI marker
+        let mpfImages = [];
+        try {
+            mpfImages = JpegParser.readMpfImages(bytes, segments).filter(image => image.offset >= trailingOffset);
+        } catch (error) {
+            // A broken MPF index leaves everything after EOI unexplained
+        }
+        mpfImages.sort((a, b) => a.offset - b.offset);
+
+        let pos = trailingOffset;
+        mpfImages.forEach(image => {
+            HiddenDataScanner.addTrailingData(bytes, report, pos, image.offset, 'EOI');
+            report.blocks.push({
+                name: `MPF image (${image.label})`,
+                offset: image.offset,
+                length: image.length,
+                note: 'Embedded preview image',
+                flagged: false
+            });
+            pos = Math.max(pos, image.offset + image.length);
+        });
+        HiddenDataScanner.addTrailingData(bytes, report, pos, bytes.length, 'EOI');
+    }
+
+    /**
+     * List the chunks of a PNG, flagging unknown chunks, large text chunks and
+     * data after IEND
+     *
+     * @param {Uint8Array} bytes - File contents
+     * @param {Object} report - Report being built
+     */
+    static scanPng(bytes, report) {
+        const { chunks, trailingOffset } = PngParser.parseChunks(bytes);
+        report.blocks.push({ name: 'Signature', offset: 0, length: 8, note: 'PNG signature', flagged: false });
+
+        chunks.forEach(chunk => {
+            const block = {
+                name: chunk.type,
+                offset: chunk.offset,
+                length: chunk.length + 12,
+                note: HiddenDataScanner.KNOWN_PNG_CHUNKS[chunk.type] || '',
+                flagged: false
+            };
+
+            if (!block.note) {
+                // Bit 5 of the second letter marks chunks defined by a single application
+                block.note = chunk.type.charCodeAt(1) & 0x20 ? 'Unknown private chunk' : 'Unknown chunk';
+                HiddenDataScanner.flag(report, block, `${block.note} ${chunk.type}`);
+            } else if (['tEXt', 'zTXt', 'iTXt'].includes(chunk.type) && chunk.length > HiddenDataScanner.MAX_COMMENT_SIZE) {
+                const keyword = JpegParser.readIdentifier(bytes, chunk.dataOffset, chunk.dataOffset + chunk.length);
+                block.note += ` (${keyword})`;
+                // XMP packets are large by nature and are listed with the metadata
+                if (keyword !== 'XML:com.adobe.xmp') {
+                    HiddenDataScanner.flag(report, block, `Unusually large ${chunk.type} chunk "${keyword}"`);
+                }
+            }
+            report.blocks.push(block);
+        });
+
+        HiddenDataScanner.addTrailingData(bytes, report, trailingOffset, bytes.length, 'IEND');
+    }
+
+    /**
+     * List the chunks of a WebP file, flagging unknown chunks and data after the RIFF container
+     *
+     * @param {Uint8Array} bytes - File contents
+     * @param {Object} report - Report being built
+     */
+    static scanWebp(bytes, report) {
+        const { chunks, trailingOffset } = WebpParser.parseChunks(bytes);
+        report.blocks.push({ name: 'RIFF header', offset: 0, length: 12, note: 'WebP container', flagged: false });
+
+        chunks.forEach(chunk => {
+            const name = chunk.type.trim();
+            const block = {
+                name,
+                offset: chunk.offset,
+                length: Math.min(8 + chunk.length + (chunk.length % 2), bytes.length - chunk.offset),
+                note: HiddenDataScanner.KNOWN_WEBP_CHUNKS[chunk.type] || '',
+                flagged: false
+            };
+            if (!block.note) {
+                block.note = 'Unknown chunk';
+                HiddenDataScanner.flag(report, block, `Unknown chunk ${name}`);
+            }
+            report.blocks.push(block);
+        });
+
+        HiddenDataScanner.addTrailingData(bytes, report, trailingOffset, bytes.length, 'the RIFF container');
+    }
+
+    /**
+     * List the top-level boxes of a HEIF file, flagging unknown boxes and bytes
+     * that do not form a valid box
+     *
+     * @param {Uint8Array} bytes - File contents
+     * @param {Object} report - Report being built
+     */
+    static scanHeif(bytes, report) {
+        let pos = 0;
+
+        while (pos + 8 <= bytes.length) {
+            let box;
+            try {
+                box = HeicParser.readBoxHeader(bytes, pos, bytes.length);
+            } catch (error) {
+                break;
+            }
+
+            const block = {
+                name: box.type,
+                offset: box.offset,
+                length: box.size,
+                note: HiddenDataScanner.KNOWN_HEIF_BOXES[box.type] || '',
+                flagged: false
+            };
+            if (!block.note) {
+                block.note = 'Unknown box';
+                HiddenDataScanner.flag(report, block, `Unknown top-level box "${box.type}"`);
+            }
+            report.blocks.push(block);
+            pos += box.size;
+        }
+
+        HiddenDataScanner.addTrailingData(bytes, report, pos, bytes.length, 'the last box');
+    }
+
+    /**
+     * Add a block for bytes that follow the end of the image, if there are any
+     * Zero or 0xFF padding is listed without a warning
+     *
+     * @param {Uint8Array} bytes - File contents
+     * @param {Object} report - Report being built
+     * @param {number} start - First byte of the data
+     * @param {number} end - End of the data
+     * @param {string} after - What the data follows, for the message (e.g. "EOI")
+     */
+    static addTrailingData(bytes, report, start, end, after) {
+        if (start >= end) return;
+
+        const data = bytes.subarray(start, end);
+        const block = { name: `Data after ${after}`, offset: start, length: end - start, note: '', flagged: false };
+
+        if (data.every(value => value === 0) || data.every(value => value === 0xFF)) {
+            block.note = 'Padding';
+        } else {
+            const signature = HiddenDataScanner.SIGNATURES.find(entry =>
+                entry.bytes.every((value, i) => data[i] === value));
+            block.note = signature ? signature.name : 'Unknown data';
+            const what = signature ? signature.name : 'data';
+            HiddenDataScanner.flag(report, block, `${block.length.toLocaleString()} bytes of ${what} appended after ${after}`);
+        }
+        report.blocks.push(block);
+    }
+
+    /**
+     * Report archive signatures inside blocks, e.g. a ZIP hidden in a comment
+     * Signatures at the start of appended data are already reported with it
+     *
+     * @param {Uint8Array} bytes - File contents
+     * @param {Object} report - Report being built
+     */
+    static findEmbeddedArchives(bytes, report) {
+        const archives = HiddenDataScanner.SIGNATURES.filter(entry => entry.archive);
+        const firstBytes = new Set(archives.map(entry => entry.bytes[0]));
+        const found = new Set();
+
+        for (let pos = 0; pos < bytes.length; pos++) {
+            if (!firstBytes.has(bytes[pos])) continue;
+
+            const signature = archives.find(entry => entry.bytes.every((value, i) => bytes[pos + i] === value));
+            if (!signature) continue;
+
+            const block = report.blocks.find(entry => pos >= entry.offset && pos < entry.offset + entry.length);
+            if (block?.offset === pos && block.name.startsWith('Data after')) continue;
+
+            // One finding per archive type and block is enough
+            const key = `${signature.name}@${block ? block.offset : -1}`;
+            if (found.has(key)) continue;
+            found.add(key);
+
+            const where = block ? `inside ${block.name}` : 'outside any block';
+            const message = `${signature.name} signature ${where} at offset ${HiddenDataScanner.formatOffset(pos)}`;
+            if (block) HiddenDataScanner.flag(report, block, message);
+            else report.findings.push({ level: 'warning', message });
+        }
+    }
+
+    /**
+     * Mark a block as suspicious and add a warning for it
+     *
+     * @param {Object} report - Report being built
+     * @param {Object} block - Block to mark
+     * @param {string} message - Description of the problem, without the offset
+     */
+    static flag(report, block, message) {
+        block.flagged = true;
+        const at = message.includes(' at offset ') ? '' : ` at offset ${HiddenDataScanner.formatOffset(block.offset)}`;
+        report.findings.push({ level: 'warning', message: message + at });
+    }
+
+    /**
+     * Collapse runs of identical unflagged blocks, such as hundreds of IDAT chunks
+     *
+     * @param {Object[]} blocks - Blocks in file order
+     * @returns {Object[]} Blocks where runs are one entry with a count and the combined length
+     */
+    static mergeRepeatedBlocks(blocks) {
+        const merged = [];
+        blocks.forEach(block => {
+            const last = merged[merged.length - 1];
+            if (last && !last.flagged && !block.flagged && last.name === block.name &&
+                last.offset + last.length === block.offset) {
+                last.length += block.length;
+                last.count = (last.count || 1) + 1;
+            } else {
+                merged.push({ ...block });
+            }
+        });
+        return merged;
+    }
+
+    /**
+     * Test the LSBs of the quantized DCT coefficients of a JPEG (as changed by JSteg-like tools)
+     * Coefficients 0 and 1 are left out, as those tools do not use them
+     *
+     * @param {Uint8Array} bytes - File contents
+     * @returns {{method: string, samples?: number, pValue?: number, suspicious?: boolean, skipped?: string}}
+     *     Test result, or the reason why the test was skipped
+     */
+    static testDct(bytes) {
+        let jpeg;
+        try {
+            jpeg = JpegTransform.decode(bytes, { maxMcus: HiddenDataScanner.MAX_DCT_MCUS });
+        } catch (error) {
+            return { method: 'dct', skipped: `the DCT coefficients cannot be read (${error.message})` };
+        }
+
+        // Values -2048..2047 at index value + 2048, so pairs start at even indexes
+        const histogram = new Uint32Array(4096);
+        jpeg.components.forEach(component => {
+            const coefficients = component.coefficients;
+            for (let i = 0; i < coefficients.length; i++) {
+                if (i % 64 !== 0) histogram[coefficients[i] + 2048]++;
+            }
+        });
+        // The pair (0, 1) is never used for embedding
+        histogram[2048] = 0;
+        histogram[2049] = 0;
+
+        return HiddenDataScanner.evaluate('dct', [{ name: 'Coefficients', histogram }], []);
+    }
+
+    /**
+     * Test the LSBs of the red, green and blue values of a decoded image
+     * Only the top-left MAX_PIXEL_SIDE square is read; fully transparent pixels are skipped
+     *
+     * @param {CanvasImageSource} image - Decoded image (img element or canvas)
+     * @returns {Object} Test result (see testDct)
+     */
+    static checkPixels(image) {
+        const width = Math.min(image.naturalWidth || image.width, HiddenDataScanner.MAX_PIXEL_SIDE);
+        const height = Math.min(image.naturalHeight || image.height, HiddenDataScanner.MAX_PIXEL_SIDE);
+        if (!width || !height) return { method: 'pixels', skipped: 'the image is empty' };
+
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(image, 0, 0);
+        const { data } = ctx.getImageData(0, 0, width, height);
+
+        const channels = ['Red', 'Green', 'Blue'];
+        const full = channels.map(name => ({ name, histogram: new Uint32Array(256) }));
+        const prefix = channels.map(name => ({ name, histogram: new Uint32Array(256) }));
+        const prefixEnd = Math.ceil(height * HiddenDataScanner.PREFIX_SHARE) * width * 4;
+
+        for (let i = 0; i < data.length; i += 4) {
+            if (data[i + 3] === 0) continue;
+            for (let c = 0; c < 3; c++) {
+                full[c].histogram[data[i + c]]++;
+                if (i < prefixEnd) prefix[c].histogram[data[i + c]]++;
+            }
+        }
+
+        return HiddenDataScanner.evaluate('pixels', full, prefix);
+    }
+
+    /**
+     * Decode an image file and test its pixels (see checkPixels)
+     *
+     * @param {File} file - PNG or WebP file
+     * @returns {Promise<Object>} Test result, or the reason why it was skipped
+     */
+    static checkFile(file) {
+        return new Promise((resolve) => {
+            const url = URL.createObjectURL(file);
+            const img = new Image();
+            img.onload = () => {
+                URL.revokeObjectURL(url);
+                resolve(HiddenDataScanner.checkPixels(img));
+            };
+            img.onerror = () => {
+                URL.revokeObjectURL(url);
+                resolve({ method: 'pixels', skipped: 'the image cannot be decoded in this browser' });
+            };
+            img.src = url;
+        });
+    }
+
+    /**
+     * Run the chi-square test on each histogram and keep the most suspicious result
+     *
+     * @param {string} method - 'dct' or 'pixels'
+     * @param {Object[]} samples - Histograms of the whole sample ({ name, histogram })
+     * @param {Object[]} prefixSamples - Histograms of the first rows only
+     * @returns {Object} Test result (see testDct), with the channel of the highest probability
+     */
+    static evaluate(method, samples, prefixSamples) {
+        const minimum = HiddenDataScanner.MIN_SAMPLES[method];
+        const count = (histogram) => histogram.reduce((total, value) => total + value, 0);
+        const sampleCount = samples.length > 0 ? count(samples[0].histogram) : 0;
+        if (sampleCount < minimum) {
+            return { method, samples: sampleCount, skipped: 'the image is too small for a reliable test' };
+        }
+
+        let best = null;
+        [...samples, ...prefixSamples].forEach(({ name, histogram }) => {
+            if (count(histogram) < minimum) return;
+            const pValue = HiddenDataScanner.chiSquarePairs(histogram);
+            if (pValue !== null && (!best || pValue > best.pValue)) best = { channel: name, pValue };
+        });
+
+        if (!best) return { method, samples: sampleCount, skipped: 'too few distinct values to test' };
+        return {
+            method,
+            samples: sampleCount,
+            channel: best.channel,
+            pValue: best.pValue,
+            suspicious: best.pValue > HiddenDataScanner.SUSPICIOUS_P
+        };
+    }
+
+    /**
+     * Chi-square test of the pairs of values (2k, 2k+1) of a histogram (Westfeld and Pfitzmann)
+     * Embedding random bits makes both values of a pair equally common, which
+     * gives a probability close to 1; natural images give one close to 0
+     *
+     * @param {Uint32Array} histogram - Counts per value, pairs at even indexes
+     * @returns {number|null} Probability that the LSBs were overwritten, or null without enough data
+     */
+    static chiSquarePairs(histogram) {
+        let statistic = 0;
+        let pairs = 0;
+        for (let k = 0; k + 1 < histogram.length; k += 2) {
+            const expected = (histogram[k] + histogram[k + 1]) / 2;
+            if (expected < HiddenDataScanner.MIN_PAIR_COUNT) continue;
+            statistic += (histogram[k + 1] - expected) ** 2 / expected;
+            pairs++;
+        }
+        if (pairs < 2) return null;
+        return HiddenDataScanner.gammaQ((pairs - 1) / 2, statistic / 2);
+    }
+
+    /**
+     * Regularized upper incomplete gamma function Q(a, x), i.e. 1 - CDF of a
+     * chi-square distribution with 2a degrees of freedom at 2x
+     *
+     * @param {number} a - Shape (> 0)
+     * @param {number} x - Point (>= 0)
+     * @returns {number} Q(a, x) between 0 and 1
+     */
+    static gammaQ(a, x) {
+        if (x <= 0) return 1;
+        const logPrefix = -x + a * Math.log(x) - HiddenDataScanner.logGamma(a);
+
+        if (x < a + 1) {
+            // Series for the lower function P(a, x)
+            let term = 1 / a;
+            let sum = term;
+            for (let n = 1; n < 1000 && term > sum * 1e-14; n++) {
+                term *= x / (a + n);
+                sum += term;
+            }
+            return Math.max(0, 1 - sum * Math.exp(logPrefix));
+        }
+
+        // Continued fraction (modified Lentz)
+        const tiny = 1e-300;
+        let b = x + 1 - a;
+        let c = 1 / tiny;
+        let d = 1 / b;
+        let h = d;
+        for (let i = 1; i < 1000; i++) {
+            const an = -i * (i - a);
+            b += 2;
+            d = an * d + b;
+            if (Math.abs(d) < tiny) d = tiny;
+            c = b + an / c;
+            if (Math.abs(c) < tiny) c = tiny;
+            d = 1 / d;
+            const delta = d * c;
+            h *= delta;
+            if (Math.abs(delta - 1) < 1e-14) break;
+        }
+        return Math.min(1, Math.exp(logPrefix) * h);
+    }
+
+    /**
+     * Natural logarithm of the gamma function (Lanczos approximation)
+     *
+     * @param {number} x - Argument (>= 0.5)
+     * @returns {number} ln Γ(x)
+     */
+    static logGamma(x) {
+        const coefficients = [
+            0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313,
+            -176.61502916214059, 12.507343278686905, -0.13857109526572012,
+            9.9843695780195716e-6, 1.5056327351493116e-7
+        ];
+        const z = x - 1;
+        let sum = coefficients[0];
+        for (let i = 1; i < coefficients.length; i++) sum += coefficients[i] / (z + i);
+        const t = z + 7.5;
+        return 0.5 * Math.log(2 * Math.PI) + (z + 0.5) * Math.log(t) - t + Math.log(sum);
+    }
+
+    /**
+     * Check whether a report found nothing that needs attention
+     *
+     * @param {Object|null} report - Report from scan (with the pixel result, if any)
+     * @returns {boolean} False if there are warnings, the LSBs look embedded, or there is no report
+     */
+    static isClean(report) {
+        if (!report) return false;
+        return !report.findings.some(finding => finding.level === 'warning') && !report.lsb?.suspicious;
+    }
+
+    /**
+     * Render a report as HTML: a verdict, the findings and the table of blocks
+     * Block names and notes can come from the file, so they are escaped
+     *
+     * @param {Object} report - Report from scan (with the pixel result, if any)
+     * @returns {string} HTML of the report
+     */
+    static renderReport(report) {
+        const escape = (text) => window.metadataTool.escapeHtml(text);
+        const findings = [...report.findings];
+        const lsb = report.lsb;
+
+        if (lsb?.skipped) {
+            findings.push({ level: 'info', message: `LSB check not run: ${lsb.skipped}` });
+        } else if (lsb) {
+            const detail = `chi-square p = ${lsb.pValue.toFixed(3)}, ${lsb.samples.toLocaleString()} samples`;
+            const source = lsb.method === 'dct' ? 'DCT coefficient' : 'pixel';
+            const channel = lsb.method === 'dct' ? '' : `${lsb.channel.toLowerCase()} `;
+            findings.push(lsb.suspicious
+                ? { level: 'warning', message: `The ${channel}${source} LSBs look like embedded data (${detail})` }
+                : { level: 'info', message: `The ${source} LSBs look natural (${detail})` });
+        }
+
+        const warnings = findings.filter(finding => finding.level === 'warning').length;
+        const verdict = warnings > 0
+            ? `⚠️ ${warnings} possible hiding place${warnings === 1 ? '' : 's'} found`
+            : '✅ No hidden data found';
+
+        const rows = report.blocks.map(block => `
+                <tr class="${block.flagged ? 'hidden-data-flagged' : ''}">
+                    <td>${escape(block.name)}${block.count ? ` ×${block.count}` : ''}</td>
+                    <td>${HiddenDataScanner.formatOffset(block.offset)}</td>
+                    <td>${window.metadataTool.formatFileSize(block.length)}</td>
+                    <td>${escape(block.note)}</td>
+                </tr>`).join('');
+
+        return `
+            <p class="hidden-data-verdict ${warnings > 0 ? 'hidden-data-warning' : 'hidden-data-clean'}">${verdict}</p>
+            ${findings.length > 0 ? `
+            <ul class="hidden-data-findings">
+                ${findings.map(finding => `<li class="hidden-data-${finding.level}">${escape(finding.message)}</li>`).join('')}
+            </ul>` : ''}
+            <details class="hidden-data-structure">
+                <summary>File structure (${report.blocks.length} blocks)</summary>
+                <div class="table-shell">
+                    <table class="hidden-data-table">
+                        <thead>
+                            <tr><th>Block</th><th>Offset</th><th>Size</th><th>Contents</th></tr>
+                        </thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                </div>
+            </details>
+        `;
+    }
+
+    /**
+     * Format a byte offset as hexadecimal
+     *
+     * @param {number} offset - Byte offset
+     * @returns {string} Offset such as "0x1A2B"
+     */
+    static formatOffset(offset) {
+        return `0x${offset.toString(16).toUpperCase().padStart(4, '0')}`;
+    }
+}
@@ -0,0 +1,171 @@
+/**
+ * IccParser - Reads the header and tag table of an ICC colour profile
+ *
+ * The format parsers extract the profile bytes (JPEG APP2 chunks, PNG iCCP,
+ * WebP ICCP, HEIF colr); this class decodes what the profile describes: its
+ * name, colour space, device class, rendering intent and version (ICC.1 v2 and v4).
+ */
+class IccParser {
+    // Size of the fixed header, followed by the tag count and the tag table
+    static HEADER_SIZE = 128;
+
+    static DEVICE_CLASSES = {
+        scnr: 'Input device',
+        mntr: 'Display device',
+        prtr: 'Output device (printer)',
+        link: 'Device link',
+        spac: 'Colour space conversion',
+        abst: 'Abstract',
+        nmcl: 'Named colour'
+    };
+
+    static COLOR_SPACES = {
+        'XYZ': 'XYZ', 'Lab': 'CIELAB', 'Luv': 'CIELUV', 'YCbr': 'YCbCr', 'Yxy': 'Yxy',
+        'RGB': 'RGB', 'GRAY': 'Greyscale', 'HSV': 'HSV', 'HLS': 'HLS', 'CMYK': 'CMYK', 'CMY': 'CMY'
+    };
+
+    static RENDERING_INTENTS = ['Perceptual', 'Media-relative colorimetric', 'Saturation', 'ICC-absolute colorimetric'];
+
+    // Signatures of common colour management modules, platforms and profile creators
+    static SIGNATURE_NAMES = {
+        ADBE: 'Adobe', appl: 'Apple', APPL: 'Apple', MSFT: 'Microsoft', lcms: 'Little CMS',
+        KCMS: 'Kodak', argl: 'ArgyllCMS', HDM: 'Heidelberg', GOOG: 'Google', 'SGI': 'Silicon Graphics',
+        SUNW: 'Sun Microsystems', TGNT: 'Taligent'
+    };
+
+    /**
+     * Decode a profile's header, tag table and text tags
+     *
+     * @param {Uint8Array} profile - Profile bytes
+     * @returns {Object} { size, cmm, version, deviceClass, colorSpace, connectionSpace, created,
+     *     platform, renderingIntent, creator, id, description, copyright, manufacturer, model,
+     *     tags: [{ signature, type, offset, size }] }; text fields are '' when absent
+     * @throws {Error} If the data is not an ICC profile
+     */
+    static parse(profile) {
+        if (profile.length < IccParser.HEADER_SIZE + 4 || IccParser.readSignature(profile, 36) !== 'acsp') {
+            throw new Error('Not an ICC profile');
+        }
+
+        const view = new DataView(profile.buffer, profile.byteOffset, profile.byteLength);
+        const tagCount = view.getUint32(IccParser.HEADER_SIZE);
+        const tags = [];
+        for (let i = 0; i < tagCount; i++) {
+            const entry = IccParser.HEADER_SIZE + 4 + i * 12;
+            if (entry + 12 > profile.length) break;
+
+            const offset = view.getUint32(entry + 4);
+            const size = view.getUint32(entry + 8);
+            // Tags pointing outside the profile are left out
+            if (offset + size > profile.length || size < 8) continue;
+            tags.push({
+                signature: IccParser.readSignature(profile, entry),
+                type: IccParser.readSignature(profile, offset),
+                offset,
+                size
+            });
+        }
+
+        const readText = (signature) => {
+            const tag = tags.find(entry => entry.signature === signature);
+            return tag ? IccParser.readText(profile.subarray(tag.offset, tag.offset + tag.size)) : '';
+        };
+        const signatureName = (offset) => {
+            const signature = IccParser.readSignature(profile, offset);
+            return IccParser.SIGNATURE_NAMES[signature] || signature;
+        };
+
+        const minor = profile[9] >> 4;
+        const bugfix = profile[9] & 0x0F;
+        const colorSpace = IccParser.readSignature(profile, 16);
+        const connectionSpace = IccParser.readSignature(profile, 20);
+        const deviceClass = IccParser.readSignature(profile, 12);
+        const intent = view.getUint32(64);
+        const id = Array.from(profile.subarray(84, 100), byte => byte.toString(16).padStart(2, '0')).join('');
+
+        return {
+            size: view.getUint32(0),
+            cmm: signatureName(4),
+            version: `${profile[8]}.${minor}${bugfix ? `.${bugfix}` : ''}`,
+            deviceClass: IccParser.DEVICE_CLASSES[deviceClass] || deviceClass,
+            colorSpace: IccParser.COLOR_SPACES[colorSpace] || colorSpace,
+            connectionSpace: IccParser.COLOR_SPACES[connectionSpace] || connectionSpace,
+            created: IccParser.readDate(view, 24),
+            platform: signatureName(40),
+            renderingIntent: IccParser.RENDERING_INTENTS[intent] || `Unknown (${intent})`,
+            creator: signatureName(80),
+            // Profiles before v4 leave the MD5 profile ID zeroed
+            id: /[^0]/.test(id) ? id : '',
+            description: readText('desc'),
+            copyright: readText('cprt'),
+            manufacturer: readText('dmnd'),
+            model: readText('dmdd'),
+            tags
+        };
+    }
+
+    /**
+     * Decode a text tag: textDescriptionType (v2), multiLocalizedUnicodeType (v4) or textType
+     *
+     * @param {Uint8Array} data - Tag data, starting with its type signature
+     * @returns {string} The text (the English record if there are several), or '' if unreadable
+     */
+    static readText(data) {
+        const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+        const type = IccParser.readSignature(data, 0);
+        const latin1 = new TextDecoder('latin1');
+        const clean = (text) => text.replace(/\0[\s\S]*$/, '').trim();
+
+        if (type === 'desc' && data.length >= 12) {
+            const count = view.getUint32(8);
+            return clean(latin1.decode(data.subarray(12, Math.min(12 + count, data.length))));
+        }
+        if (type === 'text') {
+            return clean(latin1.decode(data.subarray(8)));
+        }
+        if (type === 'mluc' && data.length >= 16) {
+            const count = view.getUint32(8);
+            const recordSize = view.getUint32(12);
+            const records = [];
+            for (let i = 0; i < count && 16 + (i + 1) * recordSize <= data.length; i++) {
+                const record = 16 + i * recordSize;
+                records.push({
+                    language: latin1.decode(data.subarray(record, record + 2)),
+                    length: view.getUint32(record + 4),
+                    offset: view.getUint32(record + 8)
+                });
+            }
+            const record = records.find(entry => entry.language === 'en') || records[0];
+            if (!record || record.offset + record.length > data.length) return '';
+            return clean(new TextDecoder('utf-16be').decode(data.subarray(record.offset, record.offset + record.length)));
+        }
+        return '';
+    }
+
+    /**
+     * Read a dateTimeNumber (six 16-bit fields, UTC)
+     *
+     * @param {DataView} view - View over the profile
+     * @param {number} offset - Offset of the date
+     * @returns {string} Date as "YYYY-MM-DD HH:MM:SS UTC", or '' if unset
+     */
+    static readDate(view, offset) {
+        const [year, month, day, hours, minutes, seconds] =
+            [0, 1, 2, 3, 4, 5].map(i => view.getUint16(offset + i * 2));
+        if (!year) return '';
+
+        const pad = (value) => String(value).padStart(2, '0');
+        return `${year}-${pad(month)}-${pad(day)} ${pad(hours)}:${pad(minutes)}:${pad(seconds)} UTC`;
+    }
+
+    /**
+     * Read a four-character signature
+     *
+     * @param {Uint8Array} bytes - Profile bytes
+     * @param {number} offset - Offset of the signature
+     * @returns {string} Signature without trailing spaces ('' for an empty signature)
+     */
+    static readSignature(bytes, offset) {
+        return String.fromCharCode(...bytes.subarray(offset, offset + 4)).replace(/[\0 ]+$/, '');
+    }
+}
@@ -0,0 +1,98 @@
+/**
+ * ImageOrientation - EXIF Orientation helpers for previews and canvas re-encoding
+ *
+ * Most current browsers rotate images by their Orientation tag when decoding
+ * them, both for display and for drawImage; older ones show the stored pixels.
+ * browserAppliesOrientation finds out which kind of browser this is once, and
+ * createUprightCanvas applies the rotation or flip only when the browser has not.
+ */
+class ImageOrientation {
+    // Orientation value -> description of how the stored pixels are turned
+    static LABELS = {
+        1: 'Normal',
+        2: 'Mirrored horizontally',
+        3: 'Rotated 180°',
+        4: 'Mirrored vertically',
+        5: 'Mirrored, rotated 90° CCW',
+        6: 'Rotated 90° CW',
+        7: 'Mirrored, rotated 90° CW',
+        8: 'Rotated 90° CCW'
+    };
+
+    // Orientations whose upright image has width and height swapped
+    static TRANSPOSED = [5, 6, 7, 8];
+
+    // 2x1 pixel JPEG tagged Orientation 6: it decodes as 1x2 when the browser rotates it
+    static PROBE_IMAGE = 'data:image/jpeg;base64,' +
+        '/9j/4QAiRXhpZgAATU0AKgAAAAgAAQESAAMAAAABAAYAAAAAAAD/2wBDAAEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEB' +
+        'AQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQH/wAALCAABAAIBAREA/8QAFAABAAAAAAAAAAAAAAAA' +
+        'AAAAAP/EABQQAQAAAAAAAAAAAAAAAAAAAAD/2gAIAQEAAD8AP//Z';
+
+    static probe = null;
+
+    /**
+     * Read the Orientation tag of an EXIF object
+     *
+     * @param {Object|null} exif - EXIF object from piexifjs
+     * @returns {number} Orientation 1-8; 1 when the tag is missing or invalid
+     */
+    static fromExif(exif) {
+        const value = Number(exif?.['0th']?.[274]);
+        return Number.isInteger(value) && value >= 1 && value <= 8 ? value : 1;
+    }
+
+    /**
+     * Check whether the browser applies the Orientation tag when decoding images
+     * The check runs once; later calls share its result
+     *
+     * @returns {Promise<boolean>} True if decoded images are already upright
+     */
+    static browserAppliesOrientation() {
+        if (!ImageOrientation.probe) {
+            ImageOrientation.probe = new Promise((resolve) => {
+                const img = new Image();
+                img.onload = () => resolve(img.naturalWidth === 1 && img.naturalHeight === 2);
+                // Assume the modern behaviour if the probe cannot be decoded
+                img.onerror = () => resolve(true);
+                img.src = ImageOrientation.PROBE_IMAGE;
+            });
+        }
+        return ImageOrientation.probe;
+    }
+
+    /**
+     * Draw a decoded image upright on a new canvas
+     *
+     * @param {HTMLImageElement|ImageBitmap} img - Decoded image
+     * @param {number} orientation - EXIF Orientation of the file
+     * @param {boolean} applied - Whether the browser has already applied the orientation
+     * @returns {HTMLCanvasElement} Canvas holding the upright image
+     */
+    static createUprightCanvas(img, orientation, applied) {
+        const width = img.naturalWidth || img.width;
+        const height = img.naturalHeight || img.height;
+        const rotate = !applied && orientation > 1;
+        const transposed = rotate && ImageOrientation.TRANSPOSED.includes(orientation);
+
+        const canvas = document.createElement('canvas');
+        canvas.width = transposed ? height : width;
+        canvas.height = transposed ? width : height;
+
+        const ctx = canvas.getContext('2d');
+        if (rotate) {
+            // Maps stored pixel coordinates to upright ones (a, b, c, d, e, f as in setTransform)
+            const matrices = {
+                2: [-1, 0, 0, 1, width, 0],
+                3: [-1, 0, 0, -1, width, height],
+                4: [1, 0, 0, -1, 0, height],
+                5: [0, 1, 1, 0, 0, 0],
+                6: [0, 1, -1, 0, height, 0],
+                7: [0, -1, -1, 0, height, width],
+                8: [0, -1, 1, 0, 0, width]
+            };
+            ctx.setTransform(...matrices[orientation]);
+        }
+        ctx.drawImage(img, 0, 0);
+        return canvas;
+    }
+}
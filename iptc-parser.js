@@ -0,0 +1,234 @@
+/**
+ * IptcParser - Reads IPTC-IIM datasets from the Photoshop APP13 segment
+ *
+ * News and agency photos keep their caption, byline, keywords and location in
+ * IPTC "record 2" datasets, stored in the IPTC-NAA resource (ID 0x0404) of the
+ * Photoshop image resource block. Text is decoded as UTF-8 when dataset 1:90
+ * declares it, and as Latin-1 otherwise.
+ */
+class IptcParser {
+    static PHOTOSHOP_ID = 'Photoshop 3.0';
+
+    // Photoshop image resource that holds the IPTC-IIM data
+    static IPTC_RESOURCE = 0x0404;
+
+    // Escape sequence in CodedCharacterSet (1:90) that selects UTF-8
+    static UTF8_MARKER = [0x1B, 0x25, 0x47];
+
+    // Names of the application record (record 2) datasets
+    static DATASETS = {
+        0: 'Record Version',
+        3: 'Object Type Reference',
+        4: 'Object Attribute Reference',
+        5: 'Object Name',
+        7: 'Edit Status',
+        10: 'Urgency',
+        12: 'Subject Reference',
+        15: 'Category',
+        20: 'Supplemental Category',
+        22: 'Fixture Identifier',
+        25: 'Keywords',
+        26: 'Content Location Code',
+        27: 'Content Location Name',
+        30: 'Release Date',
+        35: 'Release Time',
+        37: 'Expiration Date',
+        38: 'Expiration Time',
+        40: 'Special Instructions',
+        45: 'Reference Service',
+        47: 'Reference Date',
+        50: 'Reference Number',
+        55: 'Date Created',
+        60: 'Time Created',
+        62: 'Digital Creation Date',
+        63: 'Digital Creation Time',
+        65: 'Originating Program',
+        70: 'Program Version',
+        75: 'Object Cycle',
+        80: 'By-line',
+        85: 'By-line Title',
+        90: 'City',
+        92: 'Sub-location',
+        95: 'Province/State',
+        100: 'Country Code',
+        101: 'Country Name',
+        103: 'Original Transmission Reference',
+        105: 'Headline',
+        110: 'Credit',
+        115: 'Source',
+        116: 'Copyright Notice',
+        118: 'Contact',
+        120: 'Caption/Abstract',
+        121: 'Local Caption',
+        122: 'Writer/Editor',
+        130: 'Image Type',
+        131: 'Image Orientation',
+        135: 'Language Identifier'
+    };
+
+    static DATE_DATASETS = [30, 37, 47, 55, 62];
+    static TIME_DATASETS = [35, 38, 60, 63];
+
+    /**
+     * Read the IPTC record 2 datasets of a JPEG file
+     *
+     * @param {Uint8Array} bytes - JPEG contents
+     * @returns {Object[]} Datasets in file order ({ dataset, name, value }); empty if there is no IPTC block
+     */
+    static readJpeg(bytes) {
+        const block = IptcParser.readPhotoshopBlock(bytes);
+        if (!block) return [];
+
+        const iim = IptcParser.findResource(block, IptcParser.IPTC_RESOURCE);
+        return iim ? IptcParser.parseDatasets(iim) : [];
+    }
+
+    /**
+     * Join the payloads of all Photoshop APP13 segments
+     * Large resource blocks are split over several consecutive segments
+     *
+     * @param {Uint8Array} bytes - JPEG contents
+     * @returns {Uint8Array|null} Image resource block, or null if absent
+     */
+    static readPhotoshopBlock(bytes) {
+        const { segments } = JpegParser.parseSegments(bytes);
+        const parts = segments
+            .filter(segment => segment.marker === 0xED && segment.identifier === IptcParser.PHOTOSHOP_ID)
+            .map(segment => bytes.subarray(segment.offset + 4 + IptcParser.PHOTOSHOP_ID.length + 1, segment.offset + segment.length));
+
+        if (parts.length === 0) return null;
+
+        const block = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+        let offset = 0;
+        parts.forEach(part => {
+            block.set(part, offset);
+            offset += part.length;
+        });
+        return block;
+    }
+
+    /**
+     * Find a resource in a Photoshop image resource block
+     * Each resource is "8BIM", a 2-byte ID, a padded Pascal-string name, a 4-byte
+     * size and the data, padded to an even length
+     *
+     * @param {Uint8Array} block - Image resource block
+     * @param {number} id - Resource ID to look for
+     * @returns {Uint8Array|null} Resource data, or null if not found
+     */
+    static findResource(block, id) {
+        const view = new DataView(block.buffer, block.byteOffset, block.byteLength);
+        let pos = 0;
+
+        while (pos + 12 <= block.length) {
+            if (String.fromCharCode(...block.subarray(pos, pos + 4)) !== '8BIM') break;
+
+            const resourceId = view.getUint16(pos + 4);
+            const nameLength = block[pos + 6];
+            // Length byte plus name, padded to an even size
+            const sizeOffset = pos + 6 + ((nameLength + 2) & ~1);
+            if (sizeOffset + 4 > block.length) break;
+
+            const size = view.getUint32(sizeOffset);
+            const dataOffset = sizeOffset + 4;
+            if (dataOffset + size > block.length) break;
+
+            if (resourceId === id) {
+                return block.subarray(dataOffset, dataOffset + size);
+            }
+            pos = dataOffset + size + (size % 2);
+        }
+
+        return null;
+    }
+
+    /**
+     * Decode the datasets of an IPTC-IIM stream
+     * Only record 2 (application record) is returned; record 1 is used for the character set
+     *
+     * @param {Uint8Array} data - IPTC-IIM data
+     * @returns {Object[]} Datasets ({ dataset, name, value })
+     */
+    static parseDatasets(data) {
+        const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+        const raw = [];
+        let utf8 = false;
+        let pos = 0;
+
+        while (pos + 5 <= data.length && data[pos] === 0x1C) {
+            const record = data[pos + 1];
+            const dataset = data[pos + 2];
+            let length = view.getUint16(pos + 3);
+            pos += 5;
+
+            // Extended dataset: the low bits give the size of the length field
+            if (length & 0x8000) {
+                const lengthSize = length & 0x7FFF;
+                if (lengthSize > 4 || pos + lengthSize > data.length) break;
+                length = 0;
+                for (let i = 0; i < lengthSize; i++) length = length * 256 + data[pos + i];
+                pos += lengthSize;
+            }
+            if (pos + length > data.length) break;
+
+            const value = data.subarray(pos, pos + length);
+            if (record === 1 && dataset === 90) {
+                utf8 = IptcParser.UTF8_MARKER.every((byte, i) => value[i] === byte);
+            } else if (record === 2) {
+                raw.push({ dataset, value });
+            }
+            pos += length;
+        }
+
+        const decoder = new TextDecoder(utf8 ? 'utf-8' : 'latin1');
+        return raw.map(({ dataset, value }) => ({
+            dataset,
+            name: IptcParser.DATASETS[dataset] || `Dataset 2:${dataset}`,
+            value: IptcParser.formatValue(dataset, value, decoder)
+        }));
+    }
+
+    /**
+     * Turn a dataset value into readable text
+     *
+     * @param {number} dataset - Record 2 dataset number
+     * @param {Uint8Array} value - Raw value
+     * @param {TextDecoder} decoder - Decoder for the declared character set
+     * @returns {string} Display value
+     */
+    static formatValue(dataset, value, decoder) {
+        // Record version is a binary number
+        if (dataset === 0 && value.length === 2) {
+            return String((value[0] << 8) | value[1]);
+        }
+
+        const text = decoder.decode(value).replace(/\0+$/, '').trim();
+
+        // CCYYMMDD
+        if (IptcParser.DATE_DATASETS.includes(dataset) && /^\d{8}$/.test(text)) {
+            return `${text.slice(0, 4)}-${text.slice(4, 6)}-${text.slice(6, 8)}`;
+        }
+
+        // HHMMSS±HHMM
+        const time = IptcParser.TIME_DATASETS.includes(dataset) && text.match(/^(\d{2})(\d{2})(\d{2})([+-]\d{2})?(\d{2})?$/);
+        if (time) {
+            return `${time[1]}:${time[2]}:${time[3]}` + (time[4] ? `${time[4]}:${time[5] || '00'}` : '');
+        }
+
+        return text;
+    }
+
+    /**
+     * Group datasets by name, joining repeated ones such as Keywords
+     *
+     * @param {Object[]} datasets - Datasets from readJpeg
+     * @returns {Object} Values by dataset name
+     */
+    static groupByName(datasets) {
+        const grouped = {};
+        datasets.forEach(({ name, value }) => {
+            grouped[name] = name in grouped ? `${grouped[name]}, ${value}` : value;
+        });
+        return grouped;
+    }
+}
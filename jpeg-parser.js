@@ -0,0 +1,405 @@
+/**
+ * JpegParser - Walks the marker segments of a JPEG file
+ *
+ * Provides lossless metadata stripping: metadata segments (APPn, COM) are dropped
+ * while the quantization/Huffman tables, frame header and entropy-coded scan data
+ * are copied byte for byte, so the decoded pixels are exactly the same.
+ */
+class JpegParser {
+    // Human-readable names for the markers that appear in typical files
+    static MARKER_NAMES = {
+        0xC0: 'SOF0', 0xC1: 'SOF1', 0xC2: 'SOF2', 0xC3: 'SOF3',
+        0xC4: 'DHT', 0xC5: 'SOF5', 0xC6: 'SOF6', 0xC7: 'SOF7',
+        0xC9: 'SOF9', 0xCA: 'SOF10', 0xCB: 'SOF11', 0xCC: 'DAC',
+        0xCD: 'SOF13', 0xCE: 'SOF14', 0xCF: 'SOF15',
+        0xD8: 'SOI', 0xD9: 'EOI', 0xDA: 'SOS', 0xDB: 'DQT',
+        0xDD: 'DRI', 0xFE: 'COM'
+    };
+
+    // Markers that carry the data needed to decode the image
+    static IMAGE_MARKERS = [
+        0xC0, 0xC1, 0xC2, 0xC3, 0xC4, 0xC5, 0xC6, 0xC7,
+        0xC9, 0xCA, 0xCB, 0xCC, 0xCD, 0xCE, 0xCF,
+        0xDA, 0xDB, 0xDD
+    ];
+
+    // MPF image type codes (CIPA DC-007), without the attribute flags
+    static MPF_IMAGE_TYPES = {
+        0x010001: 'Large thumbnail (VGA)',
+        0x010002: 'Large thumbnail (Full HD)',
+        0x010003: 'Large thumbnail (4K)',
+        0x010004: 'Large thumbnail (8K)',
+        0x020001: 'Multi-frame panorama',
+        0x020002: 'Multi-frame disparity',
+        0x020003: 'Multi-frame multi-angle',
+        0x030000: 'Baseline MP primary image'
+    };
+
+    /**
+     * Check whether a byte array starts with the JPEG SOI marker
+     *
+     * @param {Uint8Array} bytes - File contents
+     * @returns {boolean} True for JPEG data
+     */
+    static isJpeg(bytes) {
+        return bytes.length >= 2 && bytes[0] === 0xFF && bytes[1] === 0xD8;
+    }
+
+    /**
+     * Split a JPEG file into its marker segments
+     * SOS segments include the entropy-coded data that follows their header
+     *
+     * @param {Uint8Array} bytes - File contents
+     * @returns {{segments: Object[], trailingOffset: number}} Segments in file order, plus the
+     *     offset of any bytes found after the EOI marker (equal to bytes.length if none)
+     * @throws {MetadataError} If the data is not a JPEG or a segment is truncated
+     */
+    static parseSegments(bytes) {
+        if (!JpegParser.isJpeg(bytes)) {
+            throw new MetadataError('unsupported', 'Not a JPEG file');
+        }
+
+        const segments = [{ marker: 0xD8, name: 'SOI', offset: 0, length: 2, identifier: '' }];
+        let pos = 2;
+
+        while (pos < bytes.length) {
+            if (bytes[pos] !== 0xFF) {
+                throw new MetadataError('corrupt', `Invalid JPEG marker at offset ${pos}`, pos);
+            }
+
+            // Skip fill bytes before the marker code
+            let markerPos = pos + 1;
+            while (markerPos < bytes.length && bytes[markerPos] === 0xFF) markerPos++;
+            if (markerPos >= bytes.length) break;
+
+            const marker = bytes[markerPos];
+            const offset = pos;
+
+            // Standalone markers have no length field
+            if (marker === 0xD9 || marker === 0x01 || (marker >= 0xD0 && marker <= 0xD7)) {
+                const length = markerPos + 1 - offset;
+                segments.push({ marker, name: JpegParser.getMarkerName(marker), offset, length, identifier: '' });
+                pos = offset + length;
+                if (marker === 0xD9) {
+                    return { segments, trailingOffset: pos };
+                }
+                continue;
+            }
+
+            if (markerPos + 2 >= bytes.length) {
+                throw new MetadataError('truncated', `Truncated JPEG segment at offset ${offset}`, offset);
+            }
+
+            const dataLength = (bytes[markerPos + 1] << 8) | bytes[markerPos + 2];
+            let end = markerPos + 1 + dataLength;
+            if (dataLength < 2 || end > bytes.length) {
+                throw new MetadataError('truncated', `Truncated JPEG segment at offset ${offset}`, offset);
+            }
+
+            // Entropy-coded data runs until the next marker that is neither
+            // a stuffed 0xFF00 byte nor a restart marker
+            if (marker === 0xDA) {
+                while (end < bytes.length - 1) {
+                    if (bytes[end] === 0xFF) {
+                        const next = bytes[end + 1];
+                        if (next !== 0x00 && !(next >= 0xD0 && next <= 0xD7)) break;
+                    }
+                    end++;
+                }
+                if (end >= bytes.length - 1) end = bytes.length;
+            }
+
+            segments.push({
+                marker,
+                name: JpegParser.getMarkerName(marker),
+                offset,
+                length: end - offset,
+                identifier: marker >= 0xE0 && marker <= 0xEF
+                    ? JpegParser.readIdentifier(bytes, markerPos + 3, markerPos + 1 + dataLength)
+                    : ''
+            });
+            pos = end;
+        }
+
+        // No EOI marker: the file is truncated, but everything read so far is valid
+        return { segments, trailingOffset: bytes.length };
+    }
+
+    /**
+     * Remove all metadata segments from a JPEG without re-encoding it
+     * Drops APP1 (EXIF/XMP), APP13 (IPTC/Photoshop), COM and other APPn segments.
+     * Keeps the JFIF header (without its thumbnail), the Adobe APP14 colour transform
+     * flag and, unless disabled, the ICC colour profile. Data after EOI, such as the
+     * preview images of an MPF file, is discarded and reported as removed.
+     *
+     * @param {Uint8Array} bytes - Original JPEG contents
+     * @param {Object} options - Stripping options
+     * @param {boolean} options.keepIcc - Keep APP2 ICC_PROFILE segments (default true)
+     * @returns {{data: Uint8Array, removed: Object[]}} Cleaned file and the removed segments
+     */
+    static stripMetadata(bytes, { keepIcc = true } = {}) {
+        const { segments, trailingOffset } = JpegParser.parseSegments(bytes);
+        const kept = [];
+        const removed = [];
+
+        segments.forEach(segment => {
+            const data = bytes.subarray(segment.offset, segment.offset + segment.length);
+
+            if (segment.marker === 0xE0 && segment.identifier === 'JFIF') {
+                kept.push(JpegParser.withoutJfifThumbnail(data));
+            } else if (segment.marker === 0xE2 && segment.identifier === 'ICC_PROFILE' && keepIcc) {
+                kept.push(data);
+            } else if (segment.marker === 0xEE && segment.identifier.startsWith('Adobe')) {
+                kept.push(data);
+            } else if ((segment.marker >= 0xE0 && segment.marker <= 0xEF) || segment.marker === 0xFE) {
+                removed.push(segment);
+            } else {
+                kept.push(data);
+            }
+        });
+
+        if (trailingOffset < bytes.length) {
+            const previews = JpegParser.readMpfImages(bytes, segments).length;
+            removed.push({
+                name: 'Data after EOI',
+                identifier: previews > 0 ? `${previews} MPF image${previews === 1 ? '' : 's'}` : '',
+                offset: trailingOffset,
+                length: bytes.length - trailingOffset
+            });
+        }
+
+        const size = kept.reduce((total, part) => total + part.length, 0);
+        const output = new Uint8Array(size);
+        let offset = 0;
+        kept.forEach(part => {
+            output.set(part, offset);
+            offset += part.length;
+        });
+
+        return { data: output, removed };
+    }
+
+    /**
+     * Reassemble the ICC profile from its APP2 ICC_PROFILE chunks
+     * Profiles larger than one segment are split into numbered chunks
+     *
+     * @param {Uint8Array} bytes - JPEG contents
+     * @param {Object[]} segments - Segments from parseSegments, if already known
+     * @returns {Uint8Array|null} Profile bytes, or null if the file has none
+     */
+    static readIccProfile(bytes, segments = JpegParser.parseSegments(bytes).segments) {
+        // Each chunk starts with "ICC_PROFILE\0", its sequence number and the chunk count
+        const chunks = segments
+            .filter(segment => segment.marker === 0xE2 && segment.identifier === 'ICC_PROFILE')
+            .map(segment => ({
+                sequence: bytes[segment.offset + 16],
+                data: bytes.subarray(segment.offset + 18, segment.offset + segment.length)
+            }))
+            .sort((a, b) => a.sequence - b.sequence);
+        if (chunks.length === 0) return null;
+
+        const profile = new Uint8Array(chunks.reduce((total, chunk) => total + chunk.data.length, 0));
+        let offset = 0;
+        chunks.forEach(chunk => {
+            profile.set(chunk.data, offset);
+            offset += chunk.data.length;
+        });
+        return profile;
+    }
+
+    /**
+     * Insert an ICC profile into a JPEG that has none, after the JFIF header if present
+     *
+     * @param {Uint8Array} bytes - JPEG contents without an ICC profile
+     * @param {Uint8Array} profile - Profile bytes
+     * @returns {Uint8Array} JPEG with APP2 ICC_PROFILE segments
+     * @throws {Error} If the data is not a JPEG or the profile needs more than 255 segments
+     */
+    static insertIccProfile(bytes, profile) {
+        const { segments } = JpegParser.parseSegments(bytes);
+        const maxChunk = 0xFFFF - 2 - 14;
+        const count = Math.ceil(profile.length / maxChunk);
+        if (count > 255) throw new Error('the colour profile is too large for a JPEG');
+
+        const header = [0x49, 0x43, 0x43, 0x5F, 0x50, 0x52, 0x4F, 0x46, 0x49, 0x4C, 0x45, 0x00];
+        const chunks = [];
+        for (let i = 0; i < count; i++) {
+            const data = profile.subarray(i * maxChunk, (i + 1) * maxChunk);
+            const length = 2 + header.length + 2 + data.length;
+            const segment = new Uint8Array(2 + length);
+            segment.set([0xFF, 0xE2, length >> 8, length & 0xFF, ...header, i + 1, count]);
+            segment.set(data, 18);
+            chunks.push(segment);
+        }
+
+        // JFIF requires its APP0 segment to come first
+        const jfif = segments[1]?.marker === 0xE0 && segments[1].identifier === 'JFIF' ? segments[1] : null;
+        const insertAt = jfif ? jfif.offset + jfif.length : 2;
+        const size = chunks.reduce((total, chunk) => total + chunk.length, 0);
+
+        const output = new Uint8Array(bytes.length + size);
+        output.set(bytes.subarray(0, insertAt), 0);
+        let offset = insertAt;
+        chunks.forEach(chunk => {
+            output.set(chunk, offset);
+            offset += chunk.length;
+        });
+        output.set(bytes.subarray(insertAt), offset);
+        return output;
+    }
+
+    /**
+     * Find the additional images listed in the MPF (Multi-Picture Format) APP2 segment
+     * Phones and cameras use them for large previews, depth maps and HDR gain maps;
+     * they are stored after the EOI marker of the primary image
+     *
+     * @param {Uint8Array} bytes - JPEG contents
+     * @param {Object[]} segments - Segments from parseSegments, if already known
+     * @returns {Object[]} { index, type, label, offset, length } for each image other
+     *     than the primary one; empty if there is no valid MP index
+     */
+    static readMpfImages(bytes, segments = JpegParser.parseSegments(bytes).segments) {
+        const app2 = segments.find(segment => segment.marker === 0xE2 && segment.identifier === 'MPF');
+        if (!app2) return [];
+
+        // Offsets in the MP index are relative to the TIFF-style header after "MPF\0"
+        const base = app2.offset + 8;
+        const end = app2.offset + app2.length;
+        if (base + 8 > end) return [];
+
+        const little = bytes[base] === 0x49;
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const u16 = (offset) => view.getUint16(offset, little);
+        const u32 = (offset) => view.getUint32(offset, little);
+
+        const ifd = base + u32(base + 4);
+        if (ifd + 2 > end) return [];
+
+        let entries = null;
+        const count = u16(ifd);
+        for (let i = 0; i < count && ifd + 2 + i * 12 + 12 <= end; i++) {
+            const entry = ifd + 2 + i * 12;
+            // MP Entry: 16 bytes per image
+            if (u16(entry) === 0xB002) {
+                entries = { start: base + u32(entry + 8), count: Math.floor(u32(entry + 4) / 16) };
+            }
+        }
+        if (!entries || entries.start + entries.count * 16 > end) return [];
+
+        const images = [];
+        for (let i = 0; i < entries.count; i++) {
+            const entry = entries.start + i * 16;
+            const type = u32(entry) & 0xFFFFFF;
+            const length = u32(entry + 4);
+            const dataOffset = u32(entry + 8);
+
+            // The primary image is the file itself and has offset 0
+            if (dataOffset === 0) continue;
+
+            const offset = base + dataOffset;
+            if (offset + length > bytes.length || !JpegParser.isJpeg(bytes.subarray(offset, offset + 2))) continue;
+
+            images.push({
+                index: i + 1,
+                type,
+                label: JpegParser.MPF_IMAGE_TYPES[type] || `Image ${i + 1}`,
+                offset,
+                length
+            });
+        }
+        return images;
+    }
+
+    /**
+     * Read the pixel dimensions from the frame header
+     *
+     * @param {Uint8Array} bytes - JPEG contents
+     * @returns {{width: number, height: number}|null} Dimensions, or null if there is no valid frame header
+     */
+    static readDimensions(bytes) {
+        try {
+            const { segments } = JpegParser.parseSegments(bytes);
+            const frame = segments.find(segment => segment.marker >= 0xC0 && segment.marker <= 0xCF &&
+                ![0xC4, 0xC8, 0xCC].includes(segment.marker));
+            if (!frame || frame.length < 9) return null;
+
+            const offset = frame.offset + 5;
+            return {
+                height: (bytes[offset] << 8) | bytes[offset + 1],
+                width: (bytes[offset + 2] << 8) | bytes[offset + 3]
+            };
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Calculate a SHA-256 hash over the image-coding segments
+     * (quantization and Huffman tables, frame header and scan data).
+     * Two files with the same hash decode to exactly the same pixels.
+     *
+     * @param {Uint8Array} bytes - JPEG contents
+     * @returns {Promise<string>} Hex-encoded hash
+     */
+    static async hashImageData(bytes) {
+        const { segments } = JpegParser.parseSegments(bytes);
+        const parts = segments
+            .filter(segment => JpegParser.IMAGE_MARKERS.includes(segment.marker))
+            .map(segment => bytes.subarray(segment.offset, segment.offset + segment.length));
+
+        const combined = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+        let offset = 0;
+        parts.forEach(part => {
+            combined.set(part, offset);
+            offset += part.length;
+        });
+
+        const digest = await crypto.subtle.digest('SHA-256', combined);
+        return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * Get the display name of a marker
+     *
+     * @param {number} marker - Marker code (second byte after 0xFF)
+     * @returns {string} Name such as "APP1", "DQT" or "RST3"
+     */
+    static getMarkerName(marker) {
+        if (marker >= 0xE0 && marker <= 0xEF) return `APP${marker - 0xE0}`;
+        if (marker >= 0xD0 && marker <= 0xD7) return `RST${marker - 0xD0}`;
+        return JpegParser.MARKER_NAMES[marker] || `0x${marker.toString(16).toUpperCase()}`;
+    }
+
+    /**
+     * Read the null-terminated identifier at the start of an APPn payload
+     *
+     * @param {Uint8Array} bytes - File contents
+     * @param {number} start - First payload byte
+     * @param {number} end - End of the segment
+     * @returns {string} Identifier such as "Exif" or "ICC_PROFILE"
+     */
+    static readIdentifier(bytes, start, end) {
+        let identifier = '';
+        for (let i = start; i < Math.min(end, start + 40) && bytes[i] !== 0; i++) {
+            identifier += String.fromCharCode(bytes[i]);
+        }
+        return identifier;
+    }
+
+    /**
+     * Rebuild a JFIF APP0 segment without its embedded thumbnail
+     *
+     * @param {Uint8Array} segment - Original APP0 segment including marker
+     * @returns {Uint8Array} Segment with thumbnail dimensions set to zero
+     */
+    static withoutJfifThumbnail(segment) {
+        if (segment.length < 18) return segment;
+
+        const cleaned = segment.slice(0, 18);
+        cleaned[2] = 0;
+        cleaned[3] = 16;    // Segment length without thumbnail
+        cleaned[16] = 0;    // Thumbnail width
+        cleaned[17] = 0;    // Thumbnail height
+        return cleaned;
+    }
+}
@@ -0,0 +1,753 @@
+/**
+ * JpegTransform - Lossless rotation and flipping of JPEG images
+ *
+ * Works like jpegtran: the entropy-coded data is decoded to DCT coefficients,
+ * the 8x8 blocks are moved and their coefficients transposed or negated, and
+ * the result is Huffman-coded again with optimized tables. No pixels are
+ * decoded, so there is no generation loss. Only baseline and extended
+ * sequential Huffman JPEGs with a single scan are supported, and transforms
+ * that would move a partial edge block into the image are refused (the
+ * "-perfect" behaviour of jpegtran).
+ */
+class JpegTransform {
+    // EXIF Orientation value -> transform that makes the image upright
+    static TRANSFORMS = {
+        2: 'flipHorizontal',
+        3: 'rotate180',
+        4: 'flipVertical',
+        5: 'transpose',
+        6: 'rotate90',
+        7: 'transverse',
+        8: 'rotate270'
+    };
+
+    // Transforms that swap width and height
+    static TRANSPOSING = ['transpose', 'rotate90', 'transverse', 'rotate270'];
+
+    // Transforms that move the right or bottom edge, which must then end on a block boundary
+    static NEEDS_FULL_WIDTH = ['flipHorizontal', 'rotate180', 'transverse', 'rotate270'];
+    static NEEDS_FULL_HEIGHT = ['flipVertical', 'rotate180', 'transverse', 'rotate90'];
+
+    // Natural (row-major) index of each zigzag position
+    static ZIGZAG = [
+        0, 1, 8, 16, 9, 2, 3, 10, 17, 24, 32, 25, 18, 11, 4, 5,
+        12, 19, 26, 33, 40, 48, 41, 34, 27, 20, 13, 6, 7, 14, 21, 28,
+        35, 42, 49, 56, 57, 50, 43, 36, 29, 22, 15, 23, 30, 37, 44, 51,
+        58, 59, 52, 45, 38, 31, 39, 46, 53, 60, 61, 54, 47, 55, 62, 63
+    ];
+
+    /**
+     * Apply the transform for an EXIF orientation
+     *
+     * @param {Uint8Array} bytes - JPEG contents
+     * @param {number} orientation - EXIF Orientation value (2-8)
+     * @returns {Uint8Array} Upright JPEG
+     * @throws {Error} If the file cannot be transformed losslessly; the message says why
+     */
+    static transform(bytes, orientation) {
+        const transform = JpegTransform.TRANSFORMS[orientation];
+        if (!transform) throw new Error(`Unknown orientation ${orientation}`);
+
+        const jpeg = JpegTransform.decode(bytes);
+        const { width, height, mcuWidth, mcuHeight } = jpeg;
+
+        if (JpegTransform.NEEDS_FULL_WIDTH.includes(transform) && width % mcuWidth !== 0) {
+            throw new Error(`the width (${width}px) is not a multiple of the ${mcuWidth}px block size`);
+        }
+        if (JpegTransform.NEEDS_FULL_HEIGHT.includes(transform) && height % mcuHeight !== 0) {
+            throw new Error(`the height (${height}px) is not a multiple of the ${mcuHeight}px block size`);
+        }
+
+        return JpegTransform.encode(JpegTransform.transformCoefficients(jpeg, transform));
+    }
+
+    /**
+     * Decode the frame, tables and DCT coefficients of a JPEG
+     *
+     * @param {Uint8Array} bytes - JPEG contents
+     * @param {Object} options - Decoding options
+     * @param {number} options.maxMcus - Decode only the MCU rows holding this many MCUs
+     *     (for statistics on a sample; the result then describes only the top of the image)
+     * @returns {Object} { sofMarker, precision, width, height, mcuWidth, mcuHeight,
+     *     components, quantTables, otherSegments }, where each component has its
+     *     sampling factors, table selectors and an Int16Array of coefficients
+     *     (64 per block, natural order, blocks row by row)
+     * @throws {Error} For progressive, arithmetic-coded or multi-scan files
+     */
+    static decode(bytes, { maxMcus = Infinity } = {}) {
+        const { segments } = JpegParser.parseSegments(bytes);
+        const huffmanTables = {};
+        const quantTables = [];
+        const otherSegments = [];
+        let frame = null;
+        let restartInterval = 0;
+        let scanSegment = null;
+
+        for (const segment of segments) {
+            const data = bytes.subarray(segment.offset + 4, segment.offset + 2 + ((bytes[segment.offset + 2] << 8) | bytes[segment.offset + 3]));
+
+            switch (segment.marker) {
+                case 0xD8:
+                case 0xD9:
+                    break;
+                case 0xC0:
+                case 0xC1:
+                    frame = JpegTransform.readFrame(segment.marker, data, maxMcus);
+                    break;
+                case 0xC4:
+                    JpegTransform.readHuffmanTables(data, huffmanTables);
+                    break;
+                case 0xDB:
+                    JpegTransform.readQuantTables(data, quantTables);
+                    break;
+                case 0xDD:
+                    restartInterval = (data[0] << 8) | data[1];
+                    break;
+                case 0xDA:
+                    if (scanSegment) throw new Error('multi-scan JPEGs cannot be rotated losslessly');
+                    scanSegment = segment;
+                    break;
+                default:
+                    if ((segment.marker >= 0xE0 && segment.marker <= 0xEF) || segment.marker === 0xFE) {
+                        otherSegments.push(bytes.subarray(segment.offset, segment.offset + segment.length));
+                    } else if (segment.marker >= 0xC2 && segment.marker <= 0xCF) {
+                        throw new Error('progressive and arithmetic-coded JPEGs cannot be rotated losslessly');
+                    } else {
+                        throw new Error(`unsupported JPEG marker ${segment.name}`);
+                    }
+            }
+
+            // Tables defined after the scan do not apply to it
+            if (scanSegment) break;
+        }
+
+        if (!frame || !scanSegment) throw new Error('the JPEG has no image data');
+
+        JpegTransform.decodeScan(bytes, scanSegment, frame, huffmanTables, restartInterval);
+        return { ...frame, quantTables, otherSegments };
+    }
+
+    /**
+     * Read a SOF0/SOF1 frame header and allocate the coefficient arrays
+     *
+     * @param {number} marker - SOF marker
+     * @param {Uint8Array} data - Segment payload
+     * @param {number} maxMcus - Keep only the MCU rows holding this many MCUs (see decode)
+     * @returns {Object} Frame description (see decode)
+     */
+    static readFrame(marker, data, maxMcus = Infinity) {
+        const precision = data[0];
+        let height = (data[1] << 8) | data[2];
+        const width = (data[3] << 8) | data[4];
+        const components = [];
+
+        if (height === 0) throw new Error('JPEGs without a height in the frame header are not supported');
+
+        for (let i = 0; i < data[5]; i++) {
+            const offset = 6 + i * 3;
+            components.push({
+                id: data[offset],
+                h: data[offset + 1] >> 4,
+                v: data[offset + 1] & 0x0F,
+                tq: data[offset + 2]
+            });
+        }
+
+        // A single component is coded block by block, whatever its sampling factors say
+        if (components.length === 1) {
+            components[0].h = 1;
+            components[0].v = 1;
+        }
+
+        const maxH = Math.max(...components.map(c => c.h));
+        const maxV = Math.max(...components.map(c => c.v));
+        const mcusPerLine = Math.ceil(width / (8 * maxH));
+        const mcusPerColumn = Math.min(Math.ceil(height / (8 * maxV)), Math.ceil(maxMcus / mcusPerLine));
+        height = Math.min(height, mcusPerColumn * 8 * maxV);
+
+        components.forEach(component => {
+            component.blocksPerLine = mcusPerLine * component.h;
+            component.blocksPerColumn = mcusPerColumn * component.v;
+            component.coefficients = new Int16Array(component.blocksPerLine * component.blocksPerColumn * 64);
+        });
+
+        return {
+            sofMarker: marker,
+            precision,
+            width,
+            height,
+            mcuWidth: 8 * maxH,
+            mcuHeight: 8 * maxV,
+            mcusPerLine,
+            mcusPerColumn,
+            components
+        };
+    }
+
+    /**
+     * Read the tables of a DHT segment into decoding tables
+     *
+     * @param {Uint8Array} data - Segment payload
+     * @param {Object} tables - Receives tables keyed "dc0", "ac1", ...
+     */
+    static readHuffmanTables(data, tables) {
+        let pos = 0;
+        while (pos < data.length) {
+            const tableClass = data[pos] >> 4;
+            const id = data[pos] & 0x0F;
+            const counts = data.subarray(pos + 1, pos + 17);
+            const total = counts.reduce((sum, count) => sum + count, 0);
+            const values = data.subarray(pos + 17, pos + 17 + total);
+
+            // Canonical codes: for each length, the largest code and where its values start
+            const maxCode = new Int32Array(18).fill(-1);
+            const valueOffset = new Int32Array(17);
+            let code = 0;
+            let k = 0;
+            for (let length = 1; length <= 16; length++) {
+                valueOffset[length] = k - code;
+                code += counts[length - 1];
+                k += counts[length - 1];
+                if (counts[length - 1] > 0) maxCode[length] = code - 1;
+                code <<= 1;
+            }
+            maxCode[17] = 0x7FFFFFFF;
+
+            tables[`${tableClass === 0 ? 'dc' : 'ac'}${id}`] = { maxCode, valueOffset, values: Uint8Array.from(values) };
+            pos += 17 + total;
+        }
+    }
+
+    /**
+     * Read the tables of a DQT segment
+     *
+     * @param {Uint8Array} data - Segment payload
+     * @param {Object[]} tables - Receives { id, precision, values } with values in natural order
+     */
+    static readQuantTables(data, tables) {
+        let pos = 0;
+        while (pos < data.length) {
+            const precision = data[pos] >> 4;
+            const id = data[pos] & 0x0F;
+            const values = new Uint16Array(64);
+            pos++;
+            for (let k = 0; k < 64; k++) {
+                values[JpegTransform.ZIGZAG[k]] = precision ? (data[pos] << 8) | data[pos + 1] : data[pos];
+                pos += precision ? 2 : 1;
+            }
+
+            // A table may be redefined; the last definition is the one in use
+            const index = tables.findIndex(table => table.id === id);
+            if (index >= 0) tables.splice(index, 1);
+            tables.push({ id, precision, values });
+        }
+    }
+
+    /**
+     * Decode the entropy-coded data of the scan into the components' coefficients
+     *
+     * @param {Uint8Array} bytes - JPEG contents
+     * @param {Object} segment - SOS segment from JpegParser.parseSegments
+     * @param {Object} frame - Frame from readFrame
+     * @param {Object} huffmanTables - Tables from readHuffmanTables
+     * @param {number} restartInterval - MCUs between restart markers (0 for none)
+     * @throws {Error} If the scan does not cover every component or uses missing tables
+     */
+    static decodeScan(bytes, segment, frame, huffmanTables, restartInterval) {
+        const headerLength = (bytes[segment.offset + 2] << 8) | bytes[segment.offset + 3];
+        const header = bytes.subarray(segment.offset + 4, segment.offset + 2 + headerLength);
+        const scanComponents = [];
+
+        for (let i = 0; i < header[0]; i++) {
+            const component = frame.components.find(c => c.id === header[1 + i * 2]);
+            if (!component) throw new Error('the scan refers to an unknown component');
+            component.td = header[2 + i * 2] >> 4;
+            component.ta = header[2 + i * 2] & 0x0F;
+            component.dcTable = huffmanTables[`dc${component.td}`];
+            component.acTable = huffmanTables[`ac${component.ta}`];
+            if (!component.dcTable || !component.acTable) throw new Error('the JPEG refers to a missing Huffman table');
+            scanComponents.push(component);
+        }
+
+        if (scanComponents.length !== frame.components.length) {
+            throw new Error('multi-scan JPEGs cannot be rotated losslessly');
+        }
+        frame.scanOrder = scanComponents.map(component => component.id);
+
+        const data = bytes.subarray(segment.offset + 2 + headerLength, segment.offset + segment.length);
+        let pos = 0;
+        let bitBuffer = 0;
+        let bitCount = 0;
+
+        const readBit = () => {
+            if (bitCount === 0) {
+                let byte = 0;
+                if (pos < data.length) {
+                    byte = data[pos];
+                    if (byte === 0xFF) {
+                        // 0xFF00 is a stuffed 0xFF; any other marker ends the data, read as zeros
+                        if (data[pos + 1] === 0x00) pos += 2;
+                        else byte = 0;
+                    } else {
+                        pos++;
+                    }
+                }
+                bitBuffer = byte;
+                bitCount = 8;
+            }
+            bitCount--;
+            return (bitBuffer >> bitCount) & 1;
+        };
+        const receive = (length) => {
+            let value = 0;
+            for (let i = 0; i < length; i++) value = (value << 1) | readBit();
+            return value;
+        };
+        const extend = (value, length) => (value < (1 << (length - 1)) ? value - (1 << length) + 1 : value);
+        const decodeHuffman = (table) => {
+            let code = readBit();
+            let length = 1;
+            while (code > table.maxCode[length]) {
+                code = (code << 1) | readBit();
+                length++;
+                if (length > 16) throw new Error('the JPEG data is corrupt');
+            }
+            return table.values[table.valueOffset[length] + code];
+        };
+
+        const decodeBlock = (component, offset, predictor) => {
+            const coefficients = component.coefficients;
+            const size = decodeHuffman(component.dcTable);
+            const dc = predictor + (size === 0 ? 0 : extend(receive(size), size));
+            coefficients[offset] = dc;
+
+            for (let k = 1; k < 64;) {
+                const symbol = decodeHuffman(component.acTable);
+                const run = symbol >> 4;
+                const acSize = symbol & 0x0F;
+                if (acSize === 0) {
+                    if (run !== 15) break;
+                    k += 16;
+                    continue;
+                }
+                k += run;
+                if (k > 63) throw new Error('the JPEG data is corrupt');
+                coefficients[offset + JpegTransform.ZIGZAG[k]] = extend(receive(acSize), acSize);
+                k++;
+            }
+            return dc;
+        };
+
+        const predictors = new Array(scanComponents.length).fill(0);
+        const restart = () => {
+            // Skip to the restart marker and reset the DC predictors
+            bitCount = 0;
+            while (pos < data.length - 1 && !(data[pos] === 0xFF && data[pos + 1] >= 0xD0 && data[pos + 1] <= 0xD7)) pos++;
+            if (pos < data.length - 1) pos += 2;
+            predictors.fill(0);
+        };
+
+        if (scanComponents.length === 1) {
+            // Non-interleaved: blocks in raster order, only those that hold image pixels
+            const component = scanComponents[0];
+            const blocksWide = Math.ceil(frame.width / 8);
+            const blocksHigh = Math.ceil(frame.height / 8);
+            let count = 0;
+            for (let y = 0; y < blocksHigh; y++) {
+                for (let x = 0; x < blocksWide; x++) {
+                    if (restartInterval && count > 0 && count % restartInterval === 0) restart();
+                    const offset = (y * component.blocksPerLine + x) * 64;
+                    predictors[0] = decodeBlock(component, offset, predictors[0]);
+                    count++;
+                }
+            }
+            return;
+        }
+
+        let count = 0;
+        for (let mcuY = 0; mcuY < frame.mcusPerColumn; mcuY++) {
+            for (let mcuX = 0; mcuX < frame.mcusPerLine; mcuX++) {
+                if (restartInterval && count > 0 && count % restartInterval === 0) restart();
+                scanComponents.forEach((component, i) => {
+                    for (let y = 0; y < component.v; y++) {
+                        for (let x = 0; x < component.h; x++) {
+                            const row = mcuY * component.v + y;
+                            const column = mcuX * component.h + x;
+                            const offset = (row * component.blocksPerLine + column) * 64;
+                            predictors[i] = decodeBlock(component, offset, predictors[i]);
+                        }
+                    }
+                });
+                count++;
+            }
+        }
+    }
+
+    /**
+     * Move and transform the coefficient blocks of every component
+     *
+     * @param {Object} jpeg - Result of decode
+     * @param {string} transform - Transform name (see TRANSFORMS)
+     * @returns {Object} New jpeg description with transformed frame, components and tables
+     */
+    static transformCoefficients(jpeg, transform) {
+        const transposing = JpegTransform.TRANSPOSING.includes(transform);
+
+        const components = jpeg.components.map(component => {
+            const { blocksPerLine: inWidth, blocksPerColumn: inHeight, coefficients } = component;
+            const outWidth = transposing ? inHeight : inWidth;
+            const outHeight = transposing ? inWidth : inHeight;
+            const output = new Int16Array(coefficients.length);
+
+            for (let by = 0; by < inHeight; by++) {
+                for (let bx = 0; bx < inWidth; bx++) {
+                    let tx, ty;
+                    switch (transform) {
+                        case 'flipHorizontal': [tx, ty] = [inWidth - 1 - bx, by]; break;
+                        case 'flipVertical': [tx, ty] = [bx, inHeight - 1 - by]; break;
+                        case 'rotate180': [tx, ty] = [inWidth - 1 - bx, inHeight - 1 - by]; break;
+                        case 'transpose': [tx, ty] = [by, bx]; break;
+                        case 'rotate90': [tx, ty] = [inHeight - 1 - by, bx]; break;
+                        case 'transverse': [tx, ty] = [inHeight - 1 - by, inWidth - 1 - bx]; break;
+                        case 'rotate270': [tx, ty] = [by, inWidth - 1 - bx]; break;
+                    }
+
+                    const source = (by * inWidth + bx) * 64;
+                    const target = (ty * outWidth + tx) * 64;
+                    for (let v = 0; v < 8; v++) {
+                        for (let u = 0; u < 8; u++) {
+                            // Mirroring negates the odd horizontal (u) or vertical (v) frequencies
+                            let value;
+                            switch (transform) {
+                                case 'flipHorizontal': value = coefficients[source + v * 8 + u] * (u & 1 ? -1 : 1); break;
+                                case 'flipVertical': value = coefficients[source + v * 8 + u] * (v & 1 ? -1 : 1); break;
+                                case 'rotate180': value = coefficients[source + v * 8 + u] * ((u + v) & 1 ? -1 : 1); break;
+                                case 'transpose': value = coefficients[source + u * 8 + v]; break;
+                                case 'rotate90': value = coefficients[source + u * 8 + v] * (u & 1 ? -1 : 1); break;
+                                case 'transverse': value = coefficients[source + u * 8 + v] * ((u + v) & 1 ? -1 : 1); break;
+                                case 'rotate270': value = coefficients[source + u * 8 + v] * (v & 1 ? -1 : 1); break;
+                            }
+                            output[target + v * 8 + u] = value;
+                        }
+                    }
+                }
+            }
+
+            return {
+                ...component,
+                h: transposing ? component.v : component.h,
+                v: transposing ? component.h : component.v,
+                blocksPerLine: outWidth,
+                blocksPerColumn: outHeight,
+                coefficients: output
+            };
+        });
+
+        // Quantization tables follow the coefficients they scale
+        const quantTables = jpeg.quantTables.map(table => {
+            if (!transposing) return table;
+            const values = new Uint16Array(64);
+            for (let v = 0; v < 8; v++) {
+                for (let u = 0; u < 8; u++) values[v * 8 + u] = table.values[u * 8 + v];
+            }
+            return { ...table, values };
+        });
+
+        return {
+            ...jpeg,
+            width: transposing ? jpeg.height : jpeg.width,
+            height: transposing ? jpeg.width : jpeg.height,
+            mcuWidth: transposing ? jpeg.mcuHeight : jpeg.mcuWidth,
+            mcuHeight: transposing ? jpeg.mcuWidth : jpeg.mcuHeight,
+            mcusPerLine: transposing ? jpeg.mcusPerColumn : jpeg.mcusPerLine,
+            mcusPerColumn: transposing ? jpeg.mcusPerLine : jpeg.mcusPerColumn,
+            components,
+            quantTables
+        };
+    }
+
+    /**
+     * Write a JPEG from coefficients, with optimized Huffman tables and no restart markers
+     *
+     * @param {Object} jpeg - Jpeg description as returned by decode or transformCoefficients
+     * @returns {Uint8Array} JPEG file
+     */
+    static encode(jpeg) {
+        const scanComponents = jpeg.scanOrder.map(id => jpeg.components.find(c => c.id === id));
+        const blockOrder = JpegTransform.getBlockOrder(jpeg, scanComponents);
+
+        // First pass: symbol frequencies for each table
+        const frequencies = {};
+        const count = (key, symbol) => {
+            frequencies[key] = frequencies[key] || new Uint32Array(257);
+            frequencies[key][symbol]++;
+        };
+        JpegTransform.codeBlocks(scanComponents, blockOrder, {
+            dc: (component, size) => count(`dc${component.td}`, size),
+            ac: (component, symbol) => count(`ac${component.ta}`, symbol),
+            bits: () => {}
+        });
+
+        const tables = {};
+        Object.entries(frequencies).forEach(([key, frequency]) => {
+            tables[key] = JpegTransform.buildHuffmanTable(frequency);
+        });
+
+        // Second pass: entropy-coded data
+        const writer = JpegTransform.createBitWriter();
+        JpegTransform.codeBlocks(scanComponents, blockOrder, {
+            dc: (component, size) => writer.write(tables[`dc${component.td}`].codes[size], tables[`dc${component.td}`].lengths[size]),
+            ac: (component, symbol) => writer.write(tables[`ac${component.ta}`].codes[symbol], tables[`ac${component.ta}`].lengths[symbol]),
+            bits: (value, length) => writer.write(value, length)
+        });
+        const scanData = writer.finish();
+
+        const parts = [Uint8Array.of(0xFF, 0xD8), ...jpeg.otherSegments];
+        const segment = (marker, payload) => {
+            const header = Uint8Array.of(0xFF, marker, (payload.length + 2) >> 8, (payload.length + 2) & 0xFF);
+            parts.push(header, Uint8Array.from(payload));
+        };
+
+        jpeg.quantTables.forEach(table => {
+            const payload = [(table.precision << 4) | table.id];
+            for (let k = 0; k < 64; k++) {
+                const value = table.values[JpegTransform.ZIGZAG[k]];
+                if (table.precision) payload.push(value >> 8, value & 0xFF);
+                else payload.push(value);
+            }
+            segment(0xDB, payload);
+        });
+
+        segment(jpeg.sofMarker, [
+            jpeg.precision, jpeg.height >> 8, jpeg.height & 0xFF, jpeg.width >> 8, jpeg.width & 0xFF,
+            jpeg.components.length,
+            ...jpeg.components.flatMap(c => [c.id, (c.h << 4) | c.v, c.tq])
+        ]);
+
+        Object.entries(tables).forEach(([key, table]) => {
+            const tableClass = key.startsWith('dc') ? 0 : 1;
+            segment(0xC4, [(tableClass << 4) | Number(key.slice(2)), ...table.counts, ...table.values]);
+        });
+
+        segment(0xDA, [
+            scanComponents.length,
+            ...scanComponents.flatMap(c => [c.id, (c.td << 4) | c.ta]),
+            0, 63, 0
+        ]);
+        parts.push(scanData, Uint8Array.of(0xFF, 0xD9));
+
+        const output = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+        let offset = 0;
+        parts.forEach(part => {
+            output.set(part, offset);
+            offset += part.length;
+        });
+        return output;
+    }
+
+    /**
+     * List the blocks in the order the scan codes them
+     *
+     * @param {Object} jpeg - Jpeg description
+     * @param {Object[]} scanComponents - Components in scan order
+     * @returns {Array<[number, number]>} [component index, coefficient offset] pairs
+     */
+    static getBlockOrder(jpeg, scanComponents) {
+        const order = [];
+
+        if (scanComponents.length === 1) {
+            const component = scanComponents[0];
+            for (let y = 0; y < Math.ceil(jpeg.height / 8); y++) {
+                for (let x = 0; x < Math.ceil(jpeg.width / 8); x++) {
+                    order.push([0, (y * component.blocksPerLine + x) * 64]);
+                }
+            }
+            return order;
+        }
+
+        for (let mcuY = 0; mcuY < jpeg.mcusPerColumn; mcuY++) {
+            for (let mcuX = 0; mcuX < jpeg.mcusPerLine; mcuX++) {
+                scanComponents.forEach((component, i) => {
+                    for (let y = 0; y < component.v; y++) {
+                        for (let x = 0; x < component.h; x++) {
+                            const row = mcuY * component.v + y;
+                            const column = mcuX * component.h + x;
+                            order.push([i, (row * component.blocksPerLine + column) * 64]);
+                        }
+                    }
+                });
+            }
+        }
+        return order;
+    }
+
+    /**
+     * Run the Huffman coding of every block, reporting symbols and extra bits
+     *
+     * @param {Object[]} scanComponents - Components in scan order
+     * @param {Array<[number, number]>} blockOrder - Result of getBlockOrder
+     * @param {Object} output - { dc(component, size), ac(component, symbol), bits(value, length) }
+     */
+    static codeBlocks(scanComponents, blockOrder, output) {
+        const predictors = new Array(scanComponents.length).fill(0);
+        const sizeOf = (value) => (value === 0 ? 0 : 32 - Math.clz32(Math.abs(value)));
+        const bitsOf = (value, size) => (value < 0 ? value - 1 : value) & ((1 << size) - 1);
+
+        blockOrder.forEach(([index, offset]) => {
+            const component = scanComponents[index];
+            const coefficients = component.coefficients;
+
+            const difference = coefficients[offset] - predictors[index];
+            predictors[index] = coefficients[offset];
+            const dcSize = sizeOf(difference);
+            output.dc(component, dcSize);
+            if (dcSize) output.bits(bitsOf(difference, dcSize), dcSize);
+
+            let run = 0;
+            for (let k = 1; k < 64; k++) {
+                const value = coefficients[offset + JpegTransform.ZIGZAG[k]];
+                if (value === 0) {
+                    run++;
+                    continue;
+                }
+                while (run > 15) {
+                    output.ac(component, 0xF0);
+                    run -= 16;
+                }
+                const size = sizeOf(value);
+                output.ac(component, (run << 4) | size);
+                output.bits(bitsOf(value, size), size);
+                run = 0;
+            }
+            if (run > 0) output.ac(component, 0x00);
+        });
+    }
+
+    /**
+     * Build an optimal Huffman table limited to 16-bit codes (JPEG Annex K.2)
+     *
+     * @param {Uint32Array} frequencies - Count of each symbol (index 256 is reserved)
+     * @returns {{counts: number[], values: number[], codes: Uint16Array, lengths: Uint8Array}}
+     *     DHT counts and values, and the code and code length of each symbol
+     */
+    static buildHuffmanTable(frequencies) {
+        const frequency = Array.from(frequencies);
+        const codeSize = new Array(257).fill(0);
+        const others = new Array(257).fill(-1);
+
+        // The reserved symbol keeps any code from being all ones
+        frequency[256] = 1;
+
+        for (;;) {
+            let c1 = -1;
+            let c2 = -1;
+            // Least frequent symbol (the highest one on ties), then the next least frequent
+            for (let i = 0; i <= 256; i++) {
+                if (frequency[i] > 0 && (c1 < 0 || frequency[i] <= frequency[c1])) c1 = i;
+            }
+            for (let i = 0; i <= 256; i++) {
+                if (frequency[i] > 0 && i !== c1 && (c2 < 0 || frequency[i] <= frequency[c2])) c2 = i;
+            }
+            if (c2 < 0) break;
+
+            frequency[c1] += frequency[c2];
+            frequency[c2] = 0;
+
+            codeSize[c1]++;
+            while (others[c1] >= 0) {
+                c1 = others[c1];
+                codeSize[c1]++;
+            }
+            others[c1] = c2;
+            codeSize[c2]++;
+            while (others[c2] >= 0) {
+                c2 = others[c2];
+                codeSize[c2]++;
+            }
+        }
+
+        const bits = new Array(33).fill(0);
+        codeSize.forEach(size => {
+            if (size > 0) bits[size]++;
+        });
+
+        // Shorten codes longer than 16 bits
+        for (let i = 32; i > 16; i--) {
+            while (bits[i] > 0) {
+                let j = i - 2;
+                while (bits[j] === 0) j--;
+                bits[i] -= 2;
+                bits[i - 1]++;
+                bits[j + 1] += 2;
+                bits[j]--;
+            }
+        }
+
+        // Drop the reserved symbol's code (the longest one)
+        let longest = 16;
+        while (bits[longest] === 0) longest--;
+        bits[longest]--;
+
+        const values = [];
+        for (let size = 1; size <= 32; size++) {
+            for (let symbol = 0; symbol < 256; symbol++) {
+                if (codeSize[symbol] === size) values.push(symbol);
+            }
+        }
+
+        const codes = new Uint16Array(256);
+        const lengths = new Uint8Array(256);
+        let code = 0;
+        let k = 0;
+        for (let length = 1; length <= 16; length++) {
+            for (let i = 0; i < bits[length]; i++) {
+                codes[values[k]] = code++;
+                lengths[values[k]] = length;
+                k++;
+            }
+            code <<= 1;
+        }
+
+        return { counts: bits.slice(1, 17), values, codes, lengths };
+    }
+
+    /**
+     * Create a writer for entropy-coded data, with 0xFF byte stuffing
+     *
+     * @returns {{write: Function, finish: Function}} write(value, length) appends bits;
+     *     finish() pads the last byte with ones and returns the bytes
+     */
+    static createBitWriter() {
+        let buffer = new Uint8Array(65536);
+        let length = 0;
+        let accumulator = 0;
+        let count = 0;
+
+        const pushByte = (byte) => {
+            if (length + 2 > buffer.length) {
+                const larger = new Uint8Array(buffer.length * 2);
+                larger.set(buffer);
+                buffer = larger;
+            }
+            buffer[length++] = byte;
+            if (byte === 0xFF) buffer[length++] = 0x00;
+        };
+
+        return {
+            write(value, bitLength) {
+                for (let i = bitLength - 1; i >= 0; i--) {
+                    accumulator = (accumulator << 1) | ((value >> i) & 1);
+                    if (++count === 8) {
+                        pushByte(accumulator);
+                        accumulator = 0;
+                        count = 0;
+                    }
+                }
+            },
+            finish() {
+                if (count > 0) pushByte(((accumulator << (8 - count)) | ((1 << (8 - count)) - 1)) & 0xFF);
+                return buffer.subarray(0, length);
+            }
+        };
+    }
+}
@@ -0,0 +1,97 @@
+/**
+ * LocationFuzzer - Replaces an exact GPS location with an approximate one
+ *
+ * Coordinates are snapped to the centre of a grid cell of the chosen size, so
+ * every photo taken in the same cell gets the same location and nothing of the
+ * exact spot survives. The coarsest precision replaces the location with the
+ * centre of its country. Only the position is kept: altitude, direction, speed,
+ * timestamps and every other GPS tag are dropped.
+ */
+class LocationFuzzer {
+    // Precision options: grid cell size in metres, or null for the country centre
+    static PRECISIONS = {
+        '100m': { label: 'within 100 m', meters: 100 },
+        '1km': { label: 'within 1 km', meters: 1000 },
+        '10km': { label: 'within 10 km', meters: 10000 },
+        'country': { label: 'country only', meters: null }
+    };
+
+    // GPS tags written back: GPSVersionID, GPSLatitudeRef, GPSLatitude, GPSLongitudeRef, GPSLongitude
+    static KEPT_TAGS = [0, 1, 2, 3, 4];
+
+    /**
+     * Fuzz the location of a GPS IFD
+     *
+     * @param {Object} gps - GPS IFD from piexifjs
+     * @param {number} lat - Latitude of the IFD in decimal degrees
+     * @param {number} lon - Longitude of the IFD in decimal degrees
+     * @param {string} precision - One of LocationFuzzer.PRECISIONS
+     * @returns {{gps: Object, removedTags: number[]}|null} GPS IFD with the approximate
+     *     position and the tags that were dropped, or null if the location is not in a
+     *     bundled country (country precision only)
+     */
+    static fuzz(gps, lat, lon, precision) {
+        const point = LocationFuzzer.fuzzCoordinates(lat, lon, precision);
+        if (!point) return null;
+
+        const fuzzed = {
+            1: point.lat < 0 ? 'S' : 'N',
+            2: ExifTags.decimalToDMS(point.lat),
+            3: point.lon < 0 ? 'W' : 'E',
+            4: ExifTags.decimalToDMS(point.lon)
+        };
+        if (gps[0] !== undefined) fuzzed[0] = gps[0];
+
+        const removedTags = Object.keys(gps).map(Number).filter(tag => !LocationFuzzer.KEPT_TAGS.includes(tag));
+        return { gps: fuzzed, removedTags };
+    }
+
+    /**
+     * Move a point to the approximate location written for it
+     *
+     * @param {number} lat - Latitude in decimal degrees
+     * @param {number} lon - Longitude in decimal degrees
+     * @param {string} precision - One of LocationFuzzer.PRECISIONS
+     * @returns {{lat: number, lon: number}|null} Approximate location, or null if the
+     *     country is needed but not known
+     * @throws {Error} If the precision is unknown
+     */
+    static fuzzCoordinates(lat, lon, precision) {
+        const option = LocationFuzzer.PRECISIONS[precision];
+        if (!option) throw new Error(`Unknown location precision: ${precision}`);
+
+        if (option.meters === null) {
+            const { iso2 } = GeoLocator.reverseGeocode(lat, lon);
+            return iso2 ? GeoLocator.countryCentroid(iso2) : null;
+        }
+        return LocationFuzzer.snap(lat, lon, option.meters);
+    }
+
+    /**
+     * Snap a point to the centre of its grid cell
+     * Cells are rows of equal height; each row is divided into equal columns about
+     * as wide as the row is tall, so cells stay roughly square towards the poles
+     * and the columns meet evenly at the antimeridian
+     *
+     * @param {number} lat - Latitude in decimal degrees
+     * @param {number} lon - Longitude in decimal degrees
+     * @param {number} meters - Cell size
+     * @returns {{lat: number, lon: number}} Centre of the cell
+     */
+    static snap(lat, lon, meters) {
+        const step = meters / GeoLocator.METERS_PER_DEGREE;
+        const row = Math.floor((Math.min(Math.max(lat, -90), 90) + 90) / step);
+        const rows = Math.ceil(180 / step);
+        const snappedLat = Math.min(row, rows - 1) * step + step / 2 - 90;
+
+        const width = Math.cos(snappedLat * Math.PI / 180) * 360;
+        const columns = Math.max(1, Math.floor(width / step));
+        const columnStep = 360 / columns;
+        const column = Math.floor((((lon + 180) % 360 + 360) % 360) / columnStep);
+
+        return {
+            lat: Math.min(Math.max(snappedLat, -90), 90),
+            lon: column * columnStep + columnStep / 2 - 180
+        };
+    }
+}
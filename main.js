@@ -26,33 +26,41 @@ class MetadataTool {
 
     /**
      * Set up tab switching functionality
-     * Allows users to switch between "View Metadata" and "Remove Metadata" tabs
+     * Allows users to switch between the viewer, remover and compare tabs
      * Updates active states for both buttons and content panels
      */
     setupTabSwitching() {
         document.querySelectorAll('.tab-button').forEach(btn => {
-            btn.addEventListener('click', () => {
-                const tab = btn.dataset.tab;
-                // Remove active class from all tabs and content
-                document.querySelectorAll('.tab-button').forEach(b => b.classList.remove('active'));
-                document.querySelectorAll('.tab-content').forEach(c => c.classList.remove('active'));
-                // Add active class to clicked tab and corresponding content
-                btn.classList.add('active');
-                document.getElementById(tab).classList.add('active');
-            });
+            btn.addEventListener('click', () => this.switchTab(btn.dataset.tab));
         });
     }
 
+    /**
+     * Show a tab and its content panel
+     *
+     * @param {string} tab - ID of the tab content ('viewer', 'remover' or 'compare')
+     */
+    switchTab(tab) {
+        // Remove active class from all tabs and content
+        document.querySelectorAll('.tab-button').forEach(b => b.classList.remove('active'));
+        document.querySelectorAll('.tab-content').forEach(c => c.classList.remove('active'));
+        // Add active class to the chosen tab and corresponding content
+        document.querySelector(`.tab-button[data-tab="${tab}"]`).classList.add('active');
+        document.getElementById(tab).classList.add('active');
+    }
+
     /**
      * Set up drag-and-drop functionality for file upload areas
-     * Enables users to drag image files directly onto upload zones
+     * Enables users to drag image files or folders directly onto upload zones
      * Handles visual feedback (drag-over state) and file transfer to input elements
      */
     setupDragAndDrop() {
         // Define upload areas for both viewer and remover tabs
         const areas = [
             { area: 'viewer-upload-area', input: 'viewer-file-input' },
-            { area: 'remover-upload-area', input: 'remover-file-input' }
+            { area: 'remover-upload-area', input: 'remover-file-input' },
+            { area: 'compare-before-area', input: 'compare-before-input' },
+            { area: 'compare-after-area', input: 'compare-after-input' }
         ];
 
         areas.forEach(({ area, input }) => {
@@ -76,21 +84,80 @@ class MetadataTool {
                 el.addEventListener(ev, () => el.classList.remove('drag-over'));
             });
 
-            // Handle the actual file drop
-            el.addEventListener('drop', e => {
-                const file = e.dataTransfer.files[0];
-                if (file) {
-                    // Transfer the dropped file to the hidden file input
+            // Handle the actual file drop (single files, many files or whole folders)
+            el.addEventListener('drop', async e => {
+                const files = await this.collectDroppedFiles(e.dataTransfer);
+                if (files.length > 0) {
+                    // Transfer the dropped files to the hidden file input
                     const dt = new DataTransfer();
-                    dt.items.add(file);
+                    files.forEach(file => dt.items.add(file));
                     document.getElementById(input).files = dt.files;
-                    // Trigger change event to process the file
+                    // Trigger change event to process the files
                     document.getElementById(input).dispatchEvent(new Event('change'));
                 }
             });
         });
     }
 
+    /**
+     * Collect every file from a drop event, descending into dropped folders
+     * Entries must be read before the first await, because the browser clears
+     * the DataTransfer items once the drop handler yields
+     *
+     * @param {DataTransfer} dataTransfer - DataTransfer object from the drop event
+     * @returns {Promise<File[]>} Flat list of all dropped files
+     */
+    async collectDroppedFiles(dataTransfer) {
+        const entries = Array.from(dataTransfer.items || [])
+            .map(item => item.webkitGetAsEntry ? item.webkitGetAsEntry() : null)
+            .filter(Boolean);
+
+        // Browsers without the entries API only expose plain files
+        if (entries.length === 0) {
+            return Array.from(dataTransfer.files);
+        }
+
+        const files = [];
+        for (const entry of entries) {
+            files.push(...await this.readEntry(entry));
+        }
+        return files;
+    }
+
+    /**
+     * Recursively read a file system entry from a drop
+     *
+     * @param {FileSystemEntry} entry - File or directory entry
+     * @returns {Promise<File[]>} Files contained in the entry
+     */
+    async readEntry(entry) {
+        if (entry.isFile) {
+            return new Promise((resolve) => {
+                entry.file(file => resolve([file]), () => resolve([]));
+            });
+        }
+
+        if (entry.isDirectory) {
+            const reader = entry.createReader();
+            const files = [];
+
+            // readEntries returns results in batches until an empty batch is returned
+            let batch;
+            do {
+                batch = await new Promise((resolve) => {
+                    reader.readEntries(resolve, () => resolve([]));
+                });
+                for (const child of batch) {
+                    files.push(...await this.readEntry(child));
+                }
+            } while (batch.length > 0);
+
+            return files;
+        }
+
+        return [];
+    }
+
     /**
      * Set up theme toggle functionality
      * Placeholder for future dark/light theme switching feature
@@ -124,6 +191,66 @@ class MetadataTool {
         return filename.slice((filename.lastIndexOf('.') - 1 >>> 0) + 2).toLowerCase();
     }
 
+    /**
+     * Get the MIME type of a file, falling back to its extension
+     * Several browsers report an empty type for HEIC/HEIF files
+     *
+     * @param {File} file - File to inspect
+     * @returns {string} Lowercase MIME type, or an empty string if unknown
+     */
+    getMimeType(file) {
+        if (file.type) return file.type.toLowerCase();
+
+        const types = { heic: 'image/heic', heif: 'image/heif', webp: 'image/webp' };
+        return types[this.getFileExtension(file.name)] || '';
+    }
+
+    /**
+     * Convert bytes to a binary string (one character per byte)
+     * piexifjs works on binary strings rather than typed arrays
+     *
+     * @param {Uint8Array} bytes - Bytes to convert
+     * @returns {string} Binary string
+     */
+    bytesToBinaryString(bytes) {
+        let result = '';
+        // Convert in chunks to stay below the maximum argument count
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            result += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        }
+        return result;
+    }
+
+    /**
+     * Convert a binary string (one character per byte) back to bytes
+     *
+     * @param {string} binary - Binary string, e.g. from piexif.insert
+     * @returns {Uint8Array} Bytes
+     */
+    binaryStringToBytes(binary) {
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    }
+
+    /**
+     * Escape text for safe insertion into HTML
+     * Metadata values come from untrusted files and may contain markup
+     *
+     * @param {*} value - Value to escape
+     * @returns {string} HTML-escaped string
+     */
+    escapeHtml(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
     /**
      * Display a notification message to the user
      * Automatically disappears after 4 seconds with slide-out animation
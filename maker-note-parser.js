@@ -0,0 +1,444 @@
+/**
+ * MakerNoteParser - Decodes the vendor IFD inside the EXIF MakerNote tag (37500)
+ *
+ * Maker notes are undocumented IFDs that cameras write next to the standard
+ * EXIF fields. They hold the most fingerprinting-prone data in a photo: body
+ * and lens serial numbers, shutter counts and Apple's time since boot. Each
+ * vendor uses its own header and its own base for value offsets:
+ * - Canon: plain IFD, offsets relative to the EXIF TIFF header
+ * - Nikon (type 3): "Nikon\0" header followed by a complete TIFF header
+ * - Sony: optional "SONY DSC " style header, offsets relative to the EXIF TIFF header
+ * - Apple: "Apple iOS\0" header, big-endian IFD, offsets relative to the maker note
+ * - Samsung (type 2): plain IFD, offsets relative to the maker note
+ * Only tags with a known meaning are decoded; the rest are counted.
+ */
+class MakerNoteParser {
+    // Byte sizes of the TIFF field types, by type number
+    static TYPE_SIZES = [0, 1, 1, 2, 4, 8, 1, 1, 2, 4, 8, 4, 8];
+
+    // Entries beyond this count are treated as a corrupt IFD
+    static MAX_ENTRIES = 1000;
+
+    // Undecoded binary values longer than this are not shown
+    static MAX_BINARY_LENGTH = 64;
+
+    // Known tags per vendor: a name, or [name, format] for values that need decoding
+    static TAGS = {
+        Canon: {
+            0x0006: 'Image Type',
+            0x0007: 'Firmware Version',
+            0x0008: 'File Number',
+            0x0009: 'Owner Name',
+            0x000C: 'Serial Number',
+            0x0010: 'Canon Model ID',
+            0x0028: ['Image Unique ID', 'hex'],
+            0x0095: 'Lens Model',
+            0x0096: 'Internal Serial Number'
+        },
+        Nikon: {
+            0x0001: ['Maker Note Version', 'text'],
+            0x0002: 'ISO',
+            0x0004: 'Quality',
+            0x0005: 'White Balance',
+            0x0007: 'Focus Mode',
+            0x001D: 'Serial Number',
+            0x0024: ['World Time', 'hex'],
+            0x0083: 'Lens Type',
+            0x0084: ['Lens', 'nikonLens'],
+            0x00A0: 'Internal Serial Number',
+            0x00A7: 'Shutter Count',
+            0x00AB: 'Vari Program',
+            0x00B6: ['Power Up Time', 'nikonDate']
+        },
+        Sony: {
+            0x0102: 'Quality',
+            0x0104: 'Flash Exposure Compensation',
+            0x0115: 'White Balance',
+            0x2002: 'Rating',
+            0x2004: 'Contrast',
+            0x2005: 'Saturation',
+            0x2006: 'Sharpness',
+            0x2031: 'Serial Number',
+            0xB001: 'Sony Model ID',
+            0xB020: 'Creative Style',
+            0xB027: 'Lens Type',
+            0xB02A: 'Lens Spec'
+        },
+        Apple: {
+            0x0001: 'Maker Note Version',
+            0x0003: ['Run Time Since Boot', 'appleRunTime'],
+            0x0008: 'Acceleration Vector',
+            0x000A: 'HDR Image Type',
+            0x000B: 'Burst UUID',
+            0x000C: 'Focus Distance Range',
+            0x000F: 'OIS Mode',
+            0x0011: 'Content Identifier',
+            0x0014: 'Image Capture Type',
+            0x0015: 'Image Unique ID',
+            0x0017: 'Live Photo Video Index',
+            0x001F: 'Photos App Feature Flags',
+            0x0020: 'Image Capture Request ID',
+            0x002B: 'Photo Identifier',
+            0x002D: 'Colour Temperature',
+            0x002E: 'Camera Type',
+            0x002F: 'Focus Position',
+            0x0040: 'Semantic Style',
+            0x004A: 'Front Facing Camera'
+        },
+        Samsung: {
+            0x0001: ['Maker Note Version', 'text'],
+            0x0002: 'Device Type',
+            0x0003: 'Samsung Model ID',
+            0x0021: 'Picture Wizard',
+            0x0030: 'Local Location Name',
+            0x0031: 'Location Name',
+            0x0043: 'Camera Temperature',
+            0xA001: 'Firmware Name',
+            0xA002: 'Serial Number',
+            0xA003: 'Lens Type',
+            0xA004: 'Lens Firmware',
+            0xA005: 'Internal Lens Serial Number',
+            0xA013: 'Exposure Compensation',
+            0xA014: 'ISO',
+            0xA01A: 'Focal Length In 35mm Format'
+        }
+    };
+
+    /**
+     * Decode the maker note of an EXIF block
+     *
+     * @param {Uint8Array} tiff - EXIF data starting at the TIFF header ("II" or "MM")
+     * @returns {Object|null} { vendor, size, fields: [{ tag, name, value }], undecoded }, or null
+     *     if there is no maker note or it comes from an unsupported vendor
+     * @throws {Error} If the EXIF or maker note structure is corrupt
+     */
+    static parse(tiff) {
+        const root = MakerNoteParser.readTiffHeader(tiff, 0);
+        const ifd0 = MakerNoteParser.readIfd(tiff, root.ifdOffset, root.little);
+
+        const makeEntry = ifd0.find(entry => entry.tag === 0x010F);
+        const make = makeEntry ? MakerNoteParser.formatText(MakerNoteParser.readValue(tiff, makeEntry, 0, root.little)) : '';
+        const exifPointer = ifd0.find(entry => entry.tag === 0x8769);
+        if (!exifPointer) return null;
+
+        const exifIfd = MakerNoteParser.readIfd(tiff, exifPointer.value, root.little);
+        const makerNoteEntry = exifIfd.find(entry => entry.tag === 0x927C);
+        if (!makerNoteEntry || makerNoteEntry.count <= 4) return null;
+
+        const start = makerNoteEntry.value;
+        if (start + makerNoteEntry.count > tiff.length) {
+            throw new Error('The maker note points outside the EXIF block');
+        }
+        const layout = MakerNoteParser.detectLayout(tiff, start, make, root.little);
+        if (!layout) return null;
+
+        const data = layout.data || tiff;
+        const entries = MakerNoteParser.readIfd(data, layout.ifdOffset, layout.little);
+        const known = MakerNoteParser.TAGS[layout.vendor];
+        const fields = [];
+        let undecoded = 0;
+
+        entries.forEach(entry => {
+            const definition = known[entry.tag];
+            if (!definition) {
+                undecoded++;
+                return;
+            }
+            const [name, format] = Array.isArray(definition) ? definition : [definition, null];
+            let value;
+            try {
+                value = MakerNoteParser.formatValue(
+                    MakerNoteParser.readValue(data, entry, layout.base, layout.little), entry.type, format);
+            } catch (error) {
+                value = '';
+            }
+            if (value === '') {
+                undecoded++;
+                return;
+            }
+            fields.push({ tag: entry.tag, name, value });
+        });
+
+        return { vendor: layout.vendor, size: makerNoteEntry.count, fields, undecoded };
+    }
+
+    /**
+     * Work out where a maker note's IFD starts and what its offsets are relative to
+     *
+     * @param {Uint8Array} tiff - EXIF data starting at the TIFF header
+     * @param {number} start - Offset of the maker note in the EXIF data
+     * @param {string} make - Camera make from IFD0
+     * @param {boolean} little - Byte order of the EXIF data
+     * @returns {Object|null} { vendor, data, ifdOffset, base, little } (data is set when the
+     *     maker note has its own TIFF header), or null for unsupported vendors
+     */
+    static detectLayout(tiff, start, make, little) {
+        const header = String.fromCharCode(...tiff.subarray(start, start + 12));
+
+        if (header.startsWith('Apple iOS\0')) {
+            // The byte order mark follows the 12-byte header; the IFD starts right after it
+            return { vendor: 'Apple', ifdOffset: start + 14, base: start, little: tiff[start + 12] === 0x49 };
+        }
+        if (header.startsWith('Nikon\0\x02')) {
+            const data = tiff.subarray(start + 10);
+            const own = MakerNoteParser.readTiffHeader(data, 0);
+            return { vendor: 'Nikon', data, ifdOffset: own.ifdOffset, base: 0, little: own.little };
+        }
+        if (header.startsWith('SONY DSC ') || header.startsWith('SONY CAM ') || header.startsWith('SONY MOBILE')) {
+            return { vendor: 'Sony', ifdOffset: start + 12, base: 0, little };
+        }
+
+        // Plain IFDs normally share the EXIF byte order, but editors that rewrite EXIF may change it
+        const vendor = make.trim().toUpperCase();
+        const order = MakerNoteParser.guessByteOrder(tiff, start, little);
+        if (vendor.startsWith('CANON')) return { vendor: 'Canon', ifdOffset: start, base: 0, little: order };
+        if (vendor.startsWith('SONY')) return { vendor: 'Sony', ifdOffset: start, base: 0, little: order };
+        if (vendor.startsWith('SAMSUNG')) return { vendor: 'Samsung', ifdOffset: start, base: start, little: order };
+        return null;
+    }
+
+    /**
+     * Pick the byte order in which an IFD's entry count is plausible
+     *
+     * @param {Uint8Array} bytes - Data containing the IFD
+     * @param {number} offset - Offset of the entry count
+     * @param {boolean} little - Expected byte order
+     * @returns {boolean} True for little-endian
+     */
+    static guessByteOrder(bytes, offset, little) {
+        const plausible = (order) => {
+            if (offset + 2 > bytes.length) return false;
+            const count = order ? bytes[offset] | bytes[offset + 1] << 8 : bytes[offset] << 8 | bytes[offset + 1];
+            return count > 0 && count <= MakerNoteParser.MAX_ENTRIES && offset + 2 + count * 12 <= bytes.length;
+        };
+        return plausible(little) || !plausible(!little) ? little : !little;
+    }
+
+    /**
+     * Read a TIFF header
+     *
+     * @param {Uint8Array} bytes - Data containing the header
+     * @param {number} offset - Offset of the byte order mark
+     * @returns {{little: boolean, ifdOffset: number}} Byte order and the offset of the first IFD
+     * @throws {Error} If there is no valid TIFF header
+     */
+    static readTiffHeader(bytes, offset) {
+        const order = String.fromCharCode(bytes[offset], bytes[offset + 1]);
+        if ((order !== 'II' && order !== 'MM') || bytes.length < offset + 8) {
+            throw new Error('Missing TIFF header');
+        }
+        const little = order === 'II';
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        return { little, ifdOffset: offset + view.getUint32(offset + 4, little) };
+    }
+
+    /**
+     * Read the entries of an IFD
+     *
+     * @param {Uint8Array} bytes - Data containing the IFD
+     * @param {number} offset - Offset of the entry count
+     * @param {boolean} little - Byte order
+     * @returns {Object[]} Entries ({ tag, type, count, value, entryOffset }); value is the raw
+     *     32-bit value field, which holds either the data or its offset
+     * @throws {Error} If the IFD lies outside the data or has an implausible entry count
+     */
+    static readIfd(bytes, offset, little) {
+        if (offset + 2 > bytes.length) throw new Error('IFD points outside the data');
+
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const count = view.getUint16(offset, little);
+        if (count > MakerNoteParser.MAX_ENTRIES || offset + 2 + count * 12 > bytes.length) {
+            throw new Error('Corrupt IFD');
+        }
+
+        const entries = [];
+        for (let i = 0; i < count; i++) {
+            const entryOffset = offset + 2 + i * 12;
+            entries.push({
+                tag: view.getUint16(entryOffset, little),
+                type: view.getUint16(entryOffset + 2, little),
+                count: view.getUint32(entryOffset + 4, little),
+                value: view.getUint32(entryOffset + 8, little),
+                entryOffset
+            });
+        }
+        return entries;
+    }
+
+    /**
+     * Read the values of an IFD entry
+     *
+     * @param {Uint8Array} bytes - Data containing the IFD
+     * @param {Object} entry - Entry from readIfd
+     * @param {number} base - Offset that the entry's value offset is relative to
+     * @param {boolean} little - Byte order
+     * @returns {Uint8Array|Array} Raw bytes for BYTE, ASCII and UNDEFINED values, otherwise
+     *     numbers ([numerator, denominator] pairs for rationals)
+     * @throws {Error} For unknown types and values outside the data
+     */
+    static readValue(bytes, entry, base, little) {
+        const size = MakerNoteParser.TYPE_SIZES[entry.type];
+        if (!size) throw new Error(`Unknown field type ${entry.type}`);
+
+        const length = size * entry.count;
+        const offset = length <= 4 ? entry.entryOffset + 8 : base + entry.value;
+        if (offset + length > bytes.length) throw new Error('Value points outside the data');
+
+        const data = bytes.subarray(offset, offset + length);
+        if ([1, 2, 6, 7].includes(entry.type)) return data;
+
+        const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+        const values = [];
+        for (let i = 0; i < entry.count; i++) {
+            const at = i * size;
+            switch (entry.type) {
+                case 3: values.push(view.getUint16(at, little)); break;
+                case 4: values.push(view.getUint32(at, little)); break;
+                case 5: values.push([view.getUint32(at, little), view.getUint32(at + 4, little)]); break;
+                case 8: values.push(view.getInt16(at, little)); break;
+                case 9: values.push(view.getInt32(at, little)); break;
+                case 10: values.push([view.getInt32(at, little), view.getInt32(at + 4, little)]); break;
+                case 11: values.push(view.getFloat32(at, little)); break;
+                case 12: values.push(view.getFloat64(at, little)); break;
+            }
+        }
+        return values;
+    }
+
+    /**
+     * Format the values of a maker note field for display
+     *
+     * @param {Uint8Array|Array} value - Value from readValue
+     * @param {number} type - TIFF field type
+     * @param {string|null} format - Decoding from the tag table ('text', 'hex' for byte values, 'nikonLens',
+     *     'nikonDate', 'appleRunTime'), or null to format by type
+     * @returns {string} Display value, or '' if there is nothing worth showing
+     */
+    static formatValue(value, type, format) {
+        const rational = ([numerator, denominator]) =>
+            (denominator ? Number((numerator / denominator).toPrecision(6)) : 0);
+
+        switch (format) {
+            case 'text':
+                return MakerNoteParser.formatText(value);
+            case 'hex':
+                return Array.from(value, byte => byte.toString(16).padStart(2, '0')).join('');
+            case 'nikonLens': {
+                // Shortest and longest focal length, then the apertures at each end
+                const [wide, tele, wideAperture, teleAperture] = value.map(rational);
+                const focal = wide === tele ? `${wide}mm` : `${wide}-${tele}mm`;
+                const aperture = wideAperture === teleAperture ? `${wideAperture}` : `${wideAperture}-${teleAperture}`;
+                return `${focal} f/${aperture}`;
+            }
+            case 'nikonDate': {
+                // Big-endian year, then month, day, hours, minutes and seconds
+                if (value.length < 7 || !(value[0] << 8 | value[1])) return '';
+                const pad = (number) => String(number).padStart(2, '0');
+                return `${value[0] << 8 | value[1]}-${pad(value[2])}-${pad(value[3])} ` +
+                    `${pad(value[4])}:${pad(value[5])}:${pad(value[6])}`;
+            }
+            case 'appleRunTime':
+                return MakerNoteParser.formatRunTime(MakerNoteParser.readBinaryPlist(value));
+        }
+
+        if (value instanceof Uint8Array) {
+            const text = MakerNoteParser.formatText(value);
+            // Binary blobs are only worth showing when they are short
+            if (type === 2 || /^[\x20-\x7e]+$/.test(text)) return text;
+            if (value.length > MakerNoteParser.MAX_BINARY_LENGTH) return '';
+            return MakerNoteParser.formatValue(value, type, 'hex');
+        }
+        return value.map(part => (Array.isArray(part) ? rational(part) : part)).join(', ');
+    }
+
+    /**
+     * Decode ASCII bytes up to the first NUL
+     *
+     * @param {Uint8Array} bytes - Text bytes
+     * @returns {string} Trimmed text
+     */
+    static formatText(bytes) {
+        return new TextDecoder('latin1').decode(bytes).replace(/\0[\s\S]*$/, '').trim();
+    }
+
+    /**
+     * Format Apple's RunTime dictionary (a CMTime) as the time since the device booted
+     *
+     * @param {*} runTime - Decoded plist with value and timescale
+     * @returns {string} Duration such as "3 days 04:05:06", or '' if the time is not valid
+     */
+    static formatRunTime(runTime) {
+        // Bit 0 of flags marks a valid time
+        if (!runTime || !(runTime.flags & 1) || !runTime.timescale) return '';
+
+        const total = Math.floor(Number(runTime.value) / runTime.timescale);
+        const days = Math.floor(total / 86400);
+        const pad = (number) => String(number).padStart(2, '0');
+        const clock = `${pad(Math.floor(total % 86400 / 3600))}:${pad(Math.floor(total % 3600 / 60))}:${pad(total % 60)}`;
+        return days > 0 ? `${days} day${days === 1 ? '' : 's'} ${clock}` : clock;
+    }
+
+    /**
+     * Decode a binary property list (bplist00) with integers, reals, strings, arrays and dictionaries
+     *
+     * @param {Uint8Array} bytes - Plist data
+     * @returns {*} The top-level object
+     * @throws {Error} If the data is not a binary plist
+     */
+    static readBinaryPlist(bytes) {
+        if (bytes.length < 40 || MakerNoteParser.formatText(bytes.subarray(0, 8)) !== 'bplist00') {
+            throw new Error('Not a binary plist');
+        }
+
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const trailer = bytes.length - 32;
+        const offsetSize = bytes[trailer + 6];
+        const refSize = bytes[trailer + 7];
+        const objectCount = view.getUint32(trailer + 12);
+        const topObject = view.getUint32(trailer + 20);
+        const offsetTable = view.getUint32(trailer + 28);
+
+        const readUint = (offset, size) => {
+            let result = 0;
+            for (let i = 0; i < size; i++) result = result * 256 + bytes[offset + i];
+            return result;
+        };
+        const readObject = (index, depth) => {
+            if (index >= objectCount || depth > 8) throw new Error('Corrupt binary plist');
+            const offset = readUint(offsetTable + index * offsetSize, offsetSize);
+            const marker = bytes[offset];
+            const kind = marker >> 4;
+            let length = marker & 0x0F;
+            let start = offset + 1;
+            // A length of 15 is followed by an integer object holding the real length
+            if (length === 15 && kind !== 0x1 && kind !== 0x2) {
+                const size = 1 << (bytes[start] & 0x0F);
+                length = readUint(start + 1, size);
+                start += 1 + size;
+            }
+
+            switch (kind) {
+                case 0x0: return marker === 0x09 ? true : marker === 0x08 ? false : null;
+                case 0x1: {
+                    const size = 1 << length;
+                    return size === 8 ? view.getBigInt64(start) : readUint(start, size);
+                }
+                case 0x2: return length === 3 ? view.getFloat64(start) : view.getFloat32(start);
+                case 0x5: return MakerNoteParser.formatText(bytes.subarray(start, start + length));
+                case 0x6: return new TextDecoder('utf-16be').decode(bytes.subarray(start, start + length * 2));
+                case 0xA: return Array.from({ length }, (_, i) => readObject(readUint(start + i * refSize, refSize), depth + 1));
+                case 0xD: {
+                    const result = {};
+                    for (let i = 0; i < length; i++) {
+                        const key = readObject(readUint(start + i * refSize, refSize), depth + 1);
+                        result[key] = readObject(readUint(start + (length + i) * refSize, refSize), depth + 1);
+                    }
+                    return result;
+                }
+                default: return null;
+            }
+        };
+
+        return readObject(topObject, 0);
+    }
+}
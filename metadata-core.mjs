@@ -0,0 +1,302 @@
+/**
+ * MetadataCore - Inspect, classify, strip and verify image metadata outside the browser
+ *
+ * The format parsers are classic scripts shared by the page and the pipeline's
+ * worker. This ES module loads the same scripts into a VM context of their own,
+ * the way the worker loads them with importScripts, with piexifjs from npm
+ * instead of the CDN. Everything works on Uint8Arrays and nothing touches the
+ * DOM, so build scripts and CI can run the checks the page runs; the CLI in
+ * bin/metadata-tool.mjs is a thin wrapper around this class.
+ *
+ * Re-encoding and the LSB check of PNG and WebP pixels need a canvas, so strip
+ * is always lossless here and verify only scans the file structure of those formats.
+ * Objects made by the scripts belong to their context, so results are copied
+ * into the caller's realm (see toCallerRealm) before they are returned.
+ */
+import { readFileSync } from 'node:fs';
+import { createRequire } from 'node:module';
+import vm from 'node:vm';
+
+const require = createRequire(import.meta.url);
+
+// Scripts the core needs on top of the worker's own (MetadataJobs.WORKER_SCRIPTS)
+const CORE_SCRIPTS = ['privacy-classifier.js', 'image-orientation.js', 'exif-tags.js', 'zip-writer.js'];
+
+/**
+ * Load the classic scripts into a fresh VM context
+ *
+ * @returns {Object} The classes the core uses, from that context
+ */
+function loadScripts() {
+    const context = vm.createContext({
+        piexif: require('piexifjs'),
+        console,
+        crypto,
+        TextDecoder,
+        TextEncoder,
+        Blob,
+        Response,
+        CompressionStream,
+        DecompressionStream
+    });
+    const run = (script) => vm.runInContext(
+        readFileSync(new URL(script, import.meta.url), 'utf8'), context, { filename: script });
+
+    // The worker file only defines MetadataJobs outside a worker, and lists the parsers it needs
+    run('metadata-worker.js');
+    const workerScripts = vm.runInContext('MetadataJobs.WORKER_SCRIPTS', context)
+        .filter(script => !/^https?:/.test(script));
+    [...workerScripts, ...CORE_SCRIPTS].forEach(run);
+
+    return vm.runInContext(
+        '({ MetadataJobs, MetadataError, ExifTags, PrivacyClassifier, HiddenDataScanner, ImageOrientation, ZipWriter })', context);
+}
+
+const {
+    MetadataJobs, MetadataError, ExifTags, PrivacyClassifier, HiddenDataScanner, ImageOrientation, ZipWriter
+} = loadScripts();
+
+/**
+ * Copy a result out of the script context
+ * Arrays and objects made by the scripts have the context's own Array and Object
+ * prototypes: `instanceof Array` is false for them in the caller's code, and
+ * assert.deepStrictEqual and other prototype-aware comparisons never match
+ * ordinary values. A structured clone rebuilds them with this realm's prototypes
+ *
+ * @param {Object} value - Result built from the scripts' objects
+ * @returns {Object} Copy made of ordinary arrays and objects
+ */
+function toCallerRealm(value) {
+    return structuredClone(value);
+}
+
+export class MetadataCore {
+    // Group names of the container formats, by pipeline format name
+    static CONTAINER_GROUPS = { png: 'PNG', webp: 'WebP', heic: 'HEIF' };
+
+    /**
+     * Read, list and classify every metadata field of a file
+     *
+     * @param {Uint8Array} bytes - File contents
+     * @returns {Promise<Object>} { format, fields, privacy, hiddenData, errors }: fields from listFields,
+     *     the privacy summary from classify, the hidden data findings and LSB result, and the
+     *     blocks that could not be decoded ({ exif, makerNote, xmp, icc }: { code, message, offset }
+     *     from MetadataError.describe, null when fine)
+     * @throws {MetadataError} If the file is not a JPEG, PNG, WebP or HEIF image, or its structure is damaged
+     */
+    static async inspect(bytes) {
+        const parsed = await MetadataCore.parse(bytes);
+        const fields = MetadataCore.listFields(parsed);
+
+        return toCallerRealm({
+            format: parsed.format,
+            fields,
+            privacy: MetadataCore.classify(fields),
+            hiddenData: { findings: parsed.hiddenData.findings, lsb: parsed.hiddenData.lsb },
+            errors: {
+                exif: parsed.exifError,
+                makerNote: parsed.makerNoteError,
+                xmp: parsed.xmpError,
+                icc: parsed.iccError
+            }
+        });
+    }
+
+    /**
+     * Run the pipeline's parse job
+     *
+     * @param {Uint8Array} bytes - File contents
+     * @returns {Promise<Object>} Result of MetadataJobs.parse
+     * @throws {MetadataError} If the file is not a JPEG, PNG, WebP or HEIF image, or its structure is damaged
+     */
+    static async parse(bytes) {
+        if (!MetadataJobs.getFormat(bytes)) throw new MetadataError('unsupported', 'Unsupported image format');
+        return MetadataJobs.parse(MetadataCore.toArrayBuffer(bytes));
+    }
+
+    /**
+     * List the metadata fields of a parse result with their privacy risk
+     * Names are the ones the remover classifies on the page: EXIF names from
+     * ExifTags, decoded maker note fields, IPTC dataset names, XMP paths,
+     * container chunk labels and the embedded preview images
+     *
+     * @param {Object} parsed - Result of MetadataJobs.parse
+     * @returns {Object[]} Fields ({ group, name, value, level, category })
+     */
+    static listFields(parsed) {
+        const fields = [];
+        const add = (group, name, value) => fields.push({ group, name, value, ...PrivacyClassifier.classify(name) });
+        const { exif, makerNote } = parsed;
+
+        ExifTags.IFDS.forEach(ifd => {
+            Object.entries(exif?.[ifd] || {})
+                .filter(([tag]) => !ExifTags.POINTER_TAGS.includes(tag))
+                .forEach(([tag, value]) => {
+                    add('EXIF', ExifTags.getLabel(ifd, tag), String(ExifTags.format(ifd, tag, value, exif[ifd])));
+                });
+        });
+
+        makerNote?.fields.forEach(field => add(`Maker Notes (${makerNote.vendor})`, field.name, String(field.value)));
+        parsed.iptc.forEach(dataset => add('IPTC', dataset.name, dataset.value));
+        parsed.xmp?.properties.forEach(property => add('XMP', property.path, property.value));
+
+        const containerGroup = MetadataCore.CONTAINER_GROUPS[parsed.format];
+        parsed.metadataChunks.forEach(chunk => add(containerGroup, chunk.label, String(chunk.value)));
+
+        parsed.embeddedImages.forEach(image => {
+            // The EXIF thumbnail goes by the name the classifier knows it by
+            const name = image.kind === 'thumbnail' ? 'Embedded thumbnail' : image.label;
+            const size = image.width ? `${image.width} x ${image.height}, ` : '';
+            add('Embedded images', name, `${size}${ExifTags.formatFileSize(image.size)}`);
+        });
+
+        return fields;
+    }
+
+    /**
+     * Summarise the privacy risk of a list of fields
+     * Fields that are not low risk count as sensitive, as in the remover's warning list
+     *
+     * @param {Object[]} fields - Fields from listFields
+     * @returns {{score: number, rating: string, counts: Object, sensitive: boolean, groups: Object[]}}
+     *     Score and rating from PrivacyClassifier.score, and the fields grouped by category
+     */
+    static classify(fields) {
+        const names = fields.map(field => field.name);
+        const { score, rating, counts } = PrivacyClassifier.score(names);
+        const groups = PrivacyClassifier.summarize(names);
+
+        return toCallerRealm({ score, rating, counts, sensitive: groups.some(group => group.level !== 'low'), groups });
+    }
+
+    /**
+     * Strip all metadata without re-encoding
+     * A rotated JPEG is turned upright losslessly, as on the page
+     *
+     * @param {Uint8Array} bytes - File contents
+     * @param {Object} options - Stripping options
+     * @param {boolean} options.keepIcc - Keep the ICC colour profile (default true)
+     * @returns {Promise<{data: Uint8Array, format: string, removed: Object[], orientation: Object|null}>}
+     *     Cleaned file, the removed segments or chunks, and how the orientation was handled
+     * @throws {Error} If the file is not a JPEG, PNG, WebP or HEIF image
+     */
+    static async strip(bytes, { keepIcc = true } = {}) {
+        const parsed = await MetadataCore.parse(bytes);
+        const orientation = ImageOrientation.fromExif(parsed.exif);
+        const { data, removed, orientation: orientationResult } =
+            await MetadataJobs.strip(MetadataCore.toArrayBuffer(bytes), { keepIcc, orientation });
+
+        return toCallerRealm({ data: new Uint8Array(data), format: parsed.format, removed, orientation: orientationResult });
+    }
+
+    /**
+     * Check that a cleaned file parses, has no metadata fields and passes the hidden data scan
+     *
+     * @param {Uint8Array} cleaned - Cleaned file contents
+     * @param {Object} options - Verification options
+     * @param {Uint8Array|null} options.original - Original file; when given, the image data of
+     *     both files is compared, which only holds if the strip did not rotate the image
+     * @returns {Promise<Object>} { clean, fields, errors, findings, lsb, imageData }: clean is true when
+     *     every block could be read, no fields are left and the scan found nothing; errors lists the
+     *     blocks that could not be read ({ block, code, message, offset }); imageData is
+     *     { identical, hash } or null
+     * @throws {MetadataError} If the cleaned file is not a JPEG, PNG, WebP or HEIF image, or its structure is damaged
+     */
+    static async verify(cleaned, { original = null } = {}) {
+        const parsed = await MetadataCore.parse(cleaned);
+        const fields = MetadataCore.listFields(parsed);
+
+        let imageData = null;
+        if (original) {
+            const [{ hash: originalHash }, { hash }] = await Promise.all([
+                MetadataJobs.hash(MetadataCore.toArrayBuffer(original)),
+                MetadataJobs.hash(MetadataCore.toArrayBuffer(cleaned))
+            ]);
+            imageData = { identical: originalHash === hash, hash };
+        }
+
+        // A block that could not be read has no fields either, so it fails the check
+        const errors = MetadataError.collect(parsed);
+        return toCallerRealm({
+            clean: errors.length === 0 && fields.length === 0 && HiddenDataScanner.isClean(parsed.hiddenData),
+            fields,
+            errors,
+            findings: parsed.hiddenData.findings,
+            lsb: parsed.hiddenData.lsb,
+            imageData
+        });
+    }
+
+    /**
+     * Compare the metadata fields of two files
+     * Fields are matched by group and name; repeated names (e.g. IPTC Keywords) are joined
+     *
+     * @param {Uint8Array} before - First file
+     * @param {Uint8Array} after - Second file
+     * @returns {Promise<Object>} { added, removed, changed, unchanged }: lists of fields
+     *     ({ group, name, value } or { group, name, before, after } for changes, with level
+     *     and category) and the number of unchanged fields
+     * @throws {Error} If either file is not a JPEG, PNG, WebP or HEIF image
+     */
+    static async diff(before, after) {
+        const [beforeFields, afterFields] = await Promise.all([before, after].map(async bytes =>
+            MetadataCore.toFieldMap(MetadataCore.listFields(await MetadataCore.parse(bytes)))));
+        const result = { added: [], removed: [], changed: [], unchanged: 0 };
+
+        beforeFields.forEach((field, key) => {
+            const other = afterFields.get(key);
+            if (!other) {
+                result.removed.push(field);
+            } else if (other.value !== field.value) {
+                const { value, ...rest } = field;
+                result.changed.push({ ...rest, before: value, after: other.value });
+            } else {
+                result.unchanged++;
+            }
+        });
+        afterFields.forEach((field, key) => {
+            if (!beforeFields.has(key)) result.added.push(field);
+        });
+
+        return result;
+    }
+
+    /**
+     * Index fields by group and name
+     *
+     * @param {Object[]} fields - Fields from listFields
+     * @returns {Map<string, Object>} Fields by "group: name", with the values of repeated names joined
+     */
+    static toFieldMap(fields) {
+        const map = new Map();
+        fields.forEach(field => {
+            const key = `${field.group}: ${field.name}`;
+            const existing = map.get(key);
+            map.set(key, existing ? { ...existing, value: `${existing.value}, ${field.value}` } : field);
+        });
+        return map;
+    }
+
+    /**
+     * Number a file name until it is not among the used names, the way the page
+     * numbers repeated names in a ZIP archive (ZipWriter.numberName)
+     *
+     * @param {string} name - Requested file name
+     * @param {Set<string>} usedNames - Names taken so far (left unchanged)
+     * @returns {string} Name with a " (n)" suffix added if needed, e.g. "photo (2).jpg"
+     */
+    static getUniqueName(name, usedNames) {
+        return ZipWriter.numberName(name, usedNames);
+    }
+
+    /**
+     * Copy the bytes of a view into an ArrayBuffer of their own
+     * Jobs take whole ArrayBuffers, and Node.js Buffers are often views into a shared pool
+     *
+     * @param {Uint8Array} bytes - File contents
+     * @returns {ArrayBuffer} Buffer holding exactly those bytes
+     */
+    static toArrayBuffer(bytes) {
+        return bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
+    }
+}
@@ -0,0 +1,298 @@
+/**
+ * MetadataDiff - Tag-by-tag comparison of the metadata of two images
+ *
+ * Used to check what an export pipeline, a social network upload or the
+ * remover kept, changed or dropped. Both files are read with the viewer's
+ * extraction code, EXIF is formatted with parseExifData one IFD at a time, and
+ * the fields are compared group by group (IFD0, Exif, GPS, container chunks,
+ * IPTC and XMP).
+ */
+class MetadataDiff {
+    // EXIF IFDs compared, with the group name shown for each
+    static EXIF_GROUPS = {
+        '0th': 'IFD0 (Image)',
+        'Exif': 'Exif IFD',
+        'GPS': 'GPS IFD',
+        'Interop': 'Interop IFD',
+        '1st': 'IFD1 (Thumbnail)'
+    };
+
+    static STATUS_LABELS = {
+        added: 'Added',
+        removed: 'Removed',
+        changed: 'Changed'
+    };
+
+    /**
+     * Initialize the MetadataDiff
+     */
+    constructor() {
+        this.beforeFile = null;         // File on the left ("before") side
+        this.afterFile = null;          // File on the right ("after") side
+        this.currentDiff = null;        // Last comparison, for export
+        this.init();
+    }
+
+    /**
+     * Initialize the diff view by setting up event listeners
+     */
+    init() {
+        this.setupEventListeners();
+    }
+
+    /**
+     * Set up event listeners for the two file inputs and the export button
+     */
+    setupEventListeners() {
+        document.getElementById('compare-before-input').addEventListener('change', (e) => {
+            this.selectFile('before', e.target.files[0]);
+        });
+        document.getElementById('compare-after-input').addEventListener('change', (e) => {
+            this.selectFile('after', e.target.files[0]);
+        });
+        document.getElementById('export-diff-btn').addEventListener('click', () => {
+            this.exportDiffAsJSON();
+        });
+    }
+
+    /**
+     * Set one side of the comparison and compare once both files are chosen
+     *
+     * @param {string} side - 'before' or 'after'
+     * @param {File|undefined} file - The selected file
+     */
+    async selectFile(side, file) {
+        if (!file) return;
+
+        if (!MetadataViewer.ACCEPTED_TYPES.includes(window.metadataTool.getMimeType(file))) {
+            window.metadataTool.showNotification('Please select a valid image file (JPG, PNG, WebP or HEIC)', 'error');
+            return;
+        }
+
+        if (side === 'before') this.beforeFile = file;
+        else this.afterFile = file;
+        document.getElementById(`compare-${side}-name`).textContent = file.name;
+
+        if (this.beforeFile && this.afterFile) {
+            await this.compareFiles(this.beforeFile, this.afterFile);
+        }
+    }
+
+    /**
+     * Compare two files and show the result in the compare tab
+     *
+     * @param {File} beforeFile - Original file
+     * @param {File} afterFile - Processed file
+     * @returns {Promise<Object|null>} The comparison (see buildDiff), or null if cancelled
+     */
+    async compareFiles(beforeFile, afterFile) {
+        this.beforeFile = beforeFile;
+        this.afterFile = afterFile;
+        document.getElementById('compare-before-name').textContent = beforeFile.name;
+        document.getElementById('compare-after-name').textContent = afterFile.name;
+
+        let beforeMetadata, afterMetadata;
+        try {
+            [beforeMetadata, afterMetadata] = await Promise.all([
+                window.metadataViewer.extractRealMetadata(beforeFile),
+                window.metadataViewer.extractRealMetadata(afterFile)
+            ]);
+        } catch (error) {
+            if (error.name !== 'AbortError') throw error;
+            window.metadataTool.showNotification('Processing cancelled', 'info');
+            return null;
+        }
+
+        this.currentDiff = this.buildDiff(
+            { file: beforeFile, groups: this.collectGroups(beforeMetadata) },
+            { file: afterFile, groups: this.collectGroups(afterMetadata) }
+        );
+        this.displayDiff(this.currentDiff);
+        return this.currentDiff;
+    }
+
+    /**
+     * Turn extracted metadata into plain-text fields grouped by IFD or block
+     *
+     * @param {Object} metadata - Result of MetadataViewer.extractRealMetadata
+     * @returns {Object} Field values by field name, by group name
+     */
+    collectGroups(metadata) {
+        const groups = {};
+        const addGroup = (name, fields) => {
+            if (Object.keys(fields).length > 0) groups[name] = fields;
+        };
+
+        // Format each IFD on its own so fields stay grouped; GPS values need the whole GPS IFD
+        if (metadata.rawExif) {
+            Object.entries(MetadataDiff.EXIF_GROUPS).forEach(([ifd, name]) => {
+                if (!metadata.rawExif[ifd]) return;
+
+                const tags = Object.fromEntries(Object.entries(metadata.rawExif[ifd])
+                    .filter(([tag]) => !ExifTags.POINTER_TAGS.includes(tag)));
+                const fields = window.metadataViewer.parseExifData({ [ifd]: tags });
+                delete fields[MetadataViewer.MAP_PREVIEW_LABEL];
+                Object.keys(fields).forEach(key => {
+                    fields[key] = String(fields[key]);
+                });
+                addGroup(name, fields);
+            });
+        }
+
+        if (metadata.container) {
+            const fields = {};
+            metadata.container.entries.forEach(({ label, value }) => {
+                fields[label] = String(value);
+            });
+            addGroup(metadata.container.title, fields);
+        }
+
+        if (metadata.rawIptc) {
+            addGroup('IPTC', IptcParser.groupByName(metadata.rawIptc));
+        }
+
+        if (metadata.rawXmp) {
+            addGroup('XMP', Object.fromEntries(metadata.rawXmp.properties.map(({ path, value }) => [path, value])));
+        }
+
+        return groups;
+    }
+
+    /**
+     * Compare two sets of grouped fields
+     *
+     * @param {{file: File, groups: Object}} before - Original file and its fields
+     * @param {{file: File, groups: Object}} after - Processed file and its fields
+     * @returns {Object} File details, totals and, per group, the added, removed and
+     *     changed fields plus the number of unchanged ones
+     */
+    buildDiff(before, after) {
+        const summary = { added: 0, removed: 0, changed: 0, unchanged: 0 };
+        const groupNames = [...new Set([...Object.keys(before.groups), ...Object.keys(after.groups)])];
+
+        const groups = groupNames.map(group => {
+            const beforeFields = before.groups[group] || {};
+            const afterFields = after.groups[group] || {};
+            const result = { group, added: [], removed: [], changed: [], unchanged: 0 };
+
+            Object.entries(beforeFields).forEach(([field, value]) => {
+                if (!(field in afterFields)) {
+                    result.removed.push({ field, before: value });
+                } else if (afterFields[field] !== value) {
+                    result.changed.push({ field, before: value, after: afterFields[field] });
+                } else {
+                    result.unchanged++;
+                }
+            });
+
+            Object.entries(afterFields).forEach(([field, value]) => {
+                if (!(field in beforeFields)) {
+                    result.added.push({ field, after: value });
+                }
+            });
+
+            summary.added += result.added.length;
+            summary.removed += result.removed.length;
+            summary.changed += result.changed.length;
+            summary.unchanged += result.unchanged;
+            return result;
+        });
+
+        const describe = (file) => ({ fileName: file.name, fileSize: file.size });
+        return {
+            before: describe(before.file),
+            after: describe(after.file),
+            comparedAt: new Date().toISOString(),
+            summary,
+            groups
+        };
+    }
+
+    /**
+     * Show a comparison as a table with one section per group
+     *
+     * @param {Object} diff - Result of buildDiff
+     */
+    displayDiff(diff) {
+        const escape = (text) => window.metadataTool.escapeHtml(text);
+        const { added, removed, changed, unchanged } = diff.summary;
+
+        document.getElementById('diff-summary').innerHTML = `
+            <span class="diff-count diff-removed">${removed} removed</span>
+            <span class="diff-count diff-added">${added} added</span>
+            <span class="diff-count diff-changed">${changed} changed</span>
+            <span class="diff-count">${unchanged} unchanged</span>
+        `;
+
+        const tbody = document.getElementById('diff-tbody');
+        tbody.innerHTML = '';
+
+        const differing = diff.groups.filter(group =>
+            group.added.length + group.removed.length + group.changed.length > 0);
+
+        if (differing.length === 0) {
+            const row = document.createElement('tr');
+            row.innerHTML = `
+                <td colspan="4" style="text-align: center; padding: 2rem;">
+                    <strong>✅ Both files carry the same metadata</strong>
+                </td>
+            `;
+            tbody.appendChild(row);
+        }
+
+        differing.forEach(group => {
+            const headerRow = document.createElement('tr');
+            headerRow.innerHTML = `
+                <td colspan="4" style="background: var(--light); font-weight: bold; padding: 1rem;">
+                    ${escape(group.group)}
+                    <small class="diff-unchanged">${group.unchanged} unchanged</small>
+                </td>
+            `;
+            tbody.appendChild(headerRow);
+
+            ['removed', 'changed', 'added'].forEach(status => {
+                group[status].forEach(entry => {
+                    const row = document.createElement('tr');
+                    row.className = `diff-row diff-${status}`;
+                    row.innerHTML = `
+                        <td><span class="diff-badge">${MetadataDiff.STATUS_LABELS[status]}</span></td>
+                        <td style="font-weight: 600;">${escape(entry.field)}</td>
+                        <td>${entry.before !== undefined ? escape(entry.before) : '—'}</td>
+                        <td>${entry.after !== undefined ? escape(entry.after) : '—'}</td>
+                    `;
+                    tbody.appendChild(row);
+                });
+            });
+        });
+
+        document.getElementById('diff-display').style.display = 'block';
+    }
+
+    /**
+     * Export the current comparison as a JSON file
+     */
+    exportDiffAsJSON() {
+        if (!this.currentDiff) {
+            window.metadataTool?.showNotification('No comparison to export', 'warning');
+            return;
+        }
+
+        const blob = new Blob([JSON.stringify(this.currentDiff, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `${this.currentDiff.before.fileName.replace(/\.[^/.]+$/, '')}-metadata-diff.json`;
+        a.click();
+        URL.revokeObjectURL(url);
+
+        window.metadataTool?.showNotification('Comparison exported successfully', 'success');
+    }
+}
+
+/**
+ * Initialize the MetadataDiff when DOM is fully loaded
+ * Creates a global instance so the remover can open its results in the diff
+ */
+document.addEventListener('DOMContentLoaded', () => {
+    window.metadataDiff = new MetadataDiff();
+});
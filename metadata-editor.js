@@ -0,0 +1,510 @@
+/**
+ * MetadataEditor - Edits EXIF fields of the image shown in the viewer
+ *
+ * Switches the viewer's metadata table into an edit mode with typed inputs
+ * (text, date/time, rationals, decimal GPS coordinates), validates the input
+ * and writes the changes back into the JPEG with piexifjs.
+ */
+class MetadataEditor {
+    // Editable fields and the input type used for each
+    static FIELDS = [
+        { ifd: '0th', tag: 270, label: 'Image Description', type: 'text' },
+        { ifd: '0th', tag: 315, label: 'Artist/Author', type: 'text' },
+        { ifd: '0th', tag: 33432, label: 'Copyright', type: 'text' },
+        { ifd: '0th', tag: 271, label: 'Camera Make', type: 'text' },
+        { ifd: '0th', tag: 272, label: 'Camera Model', type: 'text' },
+        { ifd: '0th', tag: 305, label: 'Software', type: 'text' },
+        {
+            ifd: '0th', tag: 274, label: 'Orientation', type: 'select',
+            options: ImageOrientation.LABELS
+        },
+        { ifd: '0th', tag: 306, label: 'Date/Time', type: 'datetime' },
+        { ifd: 'Exif', tag: 36867, label: 'Date/Time Original', type: 'datetime' },
+        { ifd: 'Exif', tag: 36868, label: 'Date/Time Digitized', type: 'datetime' },
+        { ifd: 'Exif', tag: 33434, label: 'Exposure Time', type: 'rational', hint: 'seconds, e.g. 1 / 250' },
+        { ifd: 'Exif', tag: 33437, label: 'F-Number', type: 'rational', hint: 'e.g. 28 / 10 for f/2.8' },
+        { ifd: 'Exif', tag: 37386, label: 'Focal Length', type: 'rational', hint: 'millimetres' },
+        { ifd: 'Exif', tag: 34855, label: 'ISO Speed', type: 'integer' },
+        { ifd: 'GPS', tag: 2, label: 'GPS Latitude', type: 'latitude', hint: 'decimal degrees, negative for south' },
+        { ifd: 'GPS', tag: 4, label: 'GPS Longitude', type: 'longitude', hint: 'decimal degrees, negative for west' },
+        { ifd: 'GPS', tag: 6, label: 'GPS Altitude', type: 'altitude', hint: 'metres, negative below sea level' }
+    ];
+
+    /**
+     * Initialize the MetadataEditor
+     */
+    constructor() {
+        this.editing = false;           // Whether the table is in edit mode
+        this.editedFile = null;         // Last saved file
+        this.editedFileUrl = null;      // Object URL of the last saved file
+        this.init();
+    }
+
+    /**
+     * Initialize the editor by setting up event listeners
+     */
+    init() {
+        this.setupEventListeners();
+    }
+
+    /**
+     * Set up event listeners for the edit, save, cancel and date shift controls
+     */
+    setupEventListeners() {
+        document.getElementById('edit-metadata-btn').addEventListener('click', () => {
+            this.startEditing();
+        });
+
+        document.getElementById('save-metadata-btn').addEventListener('click', () => {
+            this.saveChanges();
+        });
+
+        document.getElementById('cancel-edit-btn').addEventListener('click', () => {
+            this.stopEditing();
+        });
+
+        document.getElementById('shift-dates-btn').addEventListener('click', () => {
+            this.shiftDates(Number(document.getElementById('shift-dates-hours').value));
+        });
+    }
+
+    /**
+     * Switch the viewer table into edit mode for the current file
+     */
+    startEditing() {
+        const viewer = window.metadataViewer;
+        if (!viewer?.currentFile || !viewer.currentMetadata) {
+            window.metadataTool.showNotification('Select an image first', 'warning');
+            return;
+        }
+
+        if (!['image/jpeg', 'image/jpg'].includes(viewer.currentFile.type.toLowerCase())) {
+            window.metadataTool.showNotification('Editing is only supported for JPEG images', 'warning');
+            return;
+        }
+
+        const exifData = viewer.currentMetadata.rawExif || {};
+        const tbody = document.getElementById('metadata-tbody');
+        tbody.innerHTML = '';
+
+        MetadataEditor.FIELDS.forEach(field => {
+            const row = document.createElement('tr');
+            row.className = 'edit-row';
+            row.innerHTML = `
+                <td style="font-weight: 600;">
+                    ${field.label}
+                    ${field.hint ? `<br><small class="edit-hint">${field.hint}</small>` : ''}
+                </td>
+                <td class="edit-cell"></td>
+            `;
+            row.querySelector('.edit-cell').appendChild(this.createInput(field, exifData));
+            tbody.appendChild(row);
+        });
+
+        this.editing = true;
+        document.getElementById('edit-toolbar').style.display = 'flex';
+        document.getElementById('viewer-actions').style.display = 'none';
+    }
+
+    /**
+     * Leave edit mode and show the read-only table again
+     */
+    stopEditing() {
+        this.editing = false;
+        document.getElementById('edit-toolbar').style.display = 'none';
+        document.getElementById('viewer-actions').style.display = 'block';
+
+        const viewer = window.metadataViewer;
+        if (viewer?.currentMetadata) {
+            viewer.displayMetadata(viewer.currentMetadata);
+        }
+    }
+
+    /**
+     * React to the viewer loading a file
+     * Leaves edit mode, and hides the download link unless the file is the one just saved
+     *
+     * @param {File} file - The file now shown in the viewer
+     */
+    onFileLoaded(file) {
+        if (this.editing) {
+            this.editing = false;
+            document.getElementById('edit-toolbar').style.display = 'none';
+            document.getElementById('viewer-actions').style.display = 'block';
+        }
+
+        if (file !== this.editedFile) {
+            document.getElementById('download-edited-link').style.display = 'none';
+        }
+    }
+
+    /**
+     * Create the input element(s) for one editable field
+     *
+     * @param {Object} field - Field definition from MetadataEditor.FIELDS
+     * @param {Object} exifData - Raw EXIF object from piexifjs
+     * @returns {HTMLElement} Input, select or wrapper element for the field
+     */
+    createInput(field, exifData) {
+        const value = exifData[field.ifd]?.[field.tag];
+        const gps = exifData.GPS || {};
+        let element;
+
+        switch (field.type) {
+            case 'select': {
+                element = document.createElement('select');
+                element.innerHTML = '<option value="">(not set)</option>' +
+                    Object.entries(field.options)
+                        .map(([key, label]) => `<option value="${key}">${key} – ${label}</option>`)
+                        .join('');
+                element.value = value !== undefined ? String(value) : '';
+                break;
+            }
+            case 'datetime': {
+                element = document.createElement('input');
+                element.type = 'datetime-local';
+                element.step = '1';
+                element.value = this.exifDateToInput(value);
+                break;
+            }
+            case 'rational': {
+                // Two number inputs for numerator and denominator
+                element = document.createElement('span');
+                element.className = 'rational-input';
+                element.innerHTML = `
+                    <input type="number" min="0" step="1" data-part="numerator" aria-label="${field.label} numerator">
+                    <span>/</span>
+                    <input type="number" min="1" step="1" data-part="denominator" aria-label="${field.label} denominator">
+                `;
+                if (Array.isArray(value)) {
+                    element.querySelector('[data-part="numerator"]').value = value[0];
+                    element.querySelector('[data-part="denominator"]').value = value[1];
+                }
+                break;
+            }
+            case 'latitude':
+            case 'longitude': {
+                element = document.createElement('input');
+                element.type = 'number';
+                element.step = 'any';
+                const refTag = field.type === 'latitude' ? 1 : 3;
+                const decimal = window.metadataViewer.convertGPSToDecimal(value, gps[refTag]);
+                element.value = decimal !== null ? decimal.toFixed(6) : '';
+                break;
+            }
+            case 'altitude': {
+                element = document.createElement('input');
+                element.type = 'number';
+                element.step = 'any';
+                if (Array.isArray(value)) {
+                    const altitude = window.metadataViewer.convertRational(value);
+                    element.value = (gps[5] === 1 ? -altitude : altitude).toFixed(2);
+                }
+                break;
+            }
+            case 'integer': {
+                element = document.createElement('input');
+                element.type = 'number';
+                element.min = '0';
+                element.step = '1';
+                element.value = value !== undefined ? (Array.isArray(value) ? value[0] : value) : '';
+                break;
+            }
+            default: {
+                element = document.createElement('input');
+                element.type = 'text';
+                element.value = typeof value === 'string' ? value.replace(/\0+$/, '') : '';
+            }
+        }
+
+        element.dataset.ifd = field.ifd;
+        element.dataset.tag = field.tag;
+        element.classList.add('edit-input');
+        return element;
+    }
+
+    /**
+     * Read and validate all inputs
+     *
+     * @returns {{values: Map, errors: string[]}} Parsed values keyed by field, and validation errors
+     */
+    collectValues() {
+        const values = new Map();
+        const errors = [];
+
+        document.querySelectorAll('#metadata-tbody .edit-invalid').forEach(el => el.classList.remove('edit-invalid'));
+
+        MetadataEditor.FIELDS.forEach(field => {
+            const element = document.querySelector(
+                `#metadata-tbody .edit-input[data-ifd="${field.ifd}"][data-tag="${field.tag}"]`
+            );
+            const fail = (message) => {
+                errors.push(`${field.label}: ${message}`);
+                element.classList.add('edit-invalid');
+            };
+
+            if (field.type === 'rational') {
+                const numerator = element.querySelector('[data-part="numerator"]').value.trim();
+                const denominator = element.querySelector('[data-part="denominator"]').value.trim();
+                if (numerator === '' && denominator === '') {
+                    values.set(field, null);
+                } else if (!/^\d+$/.test(numerator) || !/^\d+$/.test(denominator) || Number(denominator) === 0) {
+                    fail('enter whole numbers with a denominator above zero');
+                } else {
+                    values.set(field, [Number(numerator), Number(denominator)]);
+                }
+                return;
+            }
+
+            const raw = element.value.trim();
+            if (raw === '') {
+                values.set(field, null);
+                return;
+            }
+
+            switch (field.type) {
+                case 'text':
+                    // EXIF ASCII fields are stored one byte per character
+                    if (/[^\u0000-\u00ff]/.test(raw)) {
+                        fail('only Latin characters can be stored in EXIF text fields');
+                    } else {
+                        values.set(field, raw);
+                    }
+                    break;
+                case 'select':
+                    values.set(field, Number(raw));
+                    break;
+                case 'datetime': {
+                    const exifDate = this.inputToExifDate(raw);
+                    if (!exifDate) fail('enter a valid date and time');
+                    else values.set(field, exifDate);
+                    break;
+                }
+                case 'integer':
+                    if (!/^\d+$/.test(raw) || Number(raw) > 65535) fail('enter a whole number from 0 to 65535');
+                    else values.set(field, Number(raw));
+                    break;
+                case 'latitude':
+                case 'longitude': {
+                    const limit = field.type === 'latitude' ? 90 : 180;
+                    const decimal = Number(raw);
+                    if (!isFinite(decimal) || Math.abs(decimal) > limit) fail(`enter a value from -${limit} to ${limit}`);
+                    else values.set(field, decimal);
+                    break;
+                }
+                case 'altitude': {
+                    const altitude = Number(raw);
+                    if (!isFinite(altitude)) fail('enter a number of metres');
+                    else values.set(field, altitude);
+                    break;
+                }
+            }
+        });
+
+        // A position needs both coordinates
+        const latitude = values.get(MetadataEditor.FIELDS.find(f => f.type === 'latitude'));
+        const longitude = values.get(MetadataEditor.FIELDS.find(f => f.type === 'longitude'));
+        if ((latitude === null) !== (longitude === null)) {
+            errors.push('GPS: enter both latitude and longitude, or clear both');
+        }
+
+        return { values, errors };
+    }
+
+    /**
+     * Validate the inputs, write them into the JPEG and offer the result for download
+     */
+    async saveChanges() {
+        const viewer = window.metadataViewer;
+        const { values, errors } = this.collectValues();
+
+        if (errors.length > 0) {
+            window.metadataTool.showNotification(
+                errors.length === 1 ? errors[0] : `${errors[0]} (and ${errors.length - 1} more)`,
+                'error'
+            );
+            return;
+        }
+
+        try {
+            await this.writeExif(this.applyValues(viewer.currentMetadata.rawExif, values));
+            window.metadataTool.showNotification('Metadata saved – download the edited file below', 'success');
+        } catch (error) {
+            console.error('Error writing metadata:', error);
+            window.metadataTool.showNotification('Error writing metadata: ' + error.message, 'error');
+        }
+    }
+
+    /**
+     * Write an EXIF object into the viewer's current JPEG, offer the result for
+     * download and show it in the viewer
+     * Also used by the importer
+     *
+     * @param {Object} exifData - EXIF object for piexif.dump
+     * @returns {Promise<File>} The edited file
+     * @throws {Error} If piexifjs cannot write the data
+     */
+    async writeExif(exifData) {
+        const viewer = window.metadataViewer;
+        const baseName = viewer.currentFile.name.replace(/\.[^/.]+$/, '').replace(/_edited$/, '');
+        const extension = window.metadataTool.getFileExtension(viewer.currentFile.name);
+        const editedFile = await this.insertExif(viewer.currentFile, exifData, `${baseName}_edited.${extension}`);
+
+        this.offerDownload(editedFile);
+
+        // Reload the viewer so the table shows what was actually written
+        await viewer.handleFileSelection(editedFile);
+        return editedFile;
+    }
+
+    /**
+     * Write an EXIF object into a JPEG, replacing the EXIF block it has
+     * Also used by the remover to write an approximate location into re-encoded JPEGs
+     *
+     * @param {File} file - The JPEG
+     * @param {Object} exifData - EXIF object for piexif.dump
+     * @param {string} name - Name of the new file
+     * @returns {Promise<File>} New file with the EXIF block
+     * @throws {Error} If piexifjs cannot write the data
+     */
+    async insertExif(file, exifData, name = file.name) {
+        const bytes = new Uint8Array(await file.arrayBuffer());
+        const jpeg = piexif.insert(piexif.dump(exifData), window.metadataTool.bytesToBinaryString(bytes));
+
+        return new File([window.metadataTool.binaryStringToBytes(jpeg)], name, {
+            type: file.type,
+            lastModified: Date.now()
+        });
+    }
+
+    /**
+     * Apply validated values to a copy of the EXIF object
+     *
+     * @param {Object|null} original - Raw EXIF object from piexifjs
+     * @param {Map} values - Validated values from collectValues (null means remove)
+     * @returns {Object} New EXIF object ready for piexif.dump
+     */
+    applyValues(original, values) {
+        const exifData = original
+            ? JSON.parse(JSON.stringify(original))
+            : { '0th': {}, 'Exif': {}, 'GPS': {}, 'Interop': {}, '1st': {}, 'thumbnail': null };
+        ['0th', 'Exif', 'GPS', 'Interop', '1st'].forEach(ifd => {
+            exifData[ifd] = exifData[ifd] || {};
+        });
+
+        values.forEach((value, field) => {
+            const ifd = exifData[field.ifd];
+
+            switch (field.type) {
+                case 'latitude':
+                case 'longitude': {
+                    const refTag = field.type === 'latitude' ? 1 : 3;
+                    if (value === null) {
+                        delete ifd[field.tag];
+                        delete ifd[refTag];
+                    } else {
+                        ifd[field.tag] = ExifTags.decimalToDMS(value);
+                        ifd[refTag] = field.type === 'latitude'
+                            ? (value < 0 ? 'S' : 'N')
+                            : (value < 0 ? 'W' : 'E');
+                    }
+                    break;
+                }
+                case 'altitude':
+                    if (value === null) {
+                        delete ifd[6];
+                        delete ifd[5];
+                    } else {
+                        ifd[6] = [Math.round(Math.abs(value) * 100), 100];
+                        ifd[5] = value < 0 ? 1 : 0;
+                    }
+                    break;
+                default:
+                    if (value === null) delete ifd[field.tag];
+                    else ifd[field.tag] = value;
+            }
+        });
+
+        // GPS readers expect a version tag whenever GPS data is present
+        const gpsTags = Object.keys(exifData.GPS).filter(tag => tag !== '0');
+        if (gpsTags.length > 0 && !exifData.GPS[0]) {
+            exifData.GPS[0] = [2, 3, 0, 0];
+        } else if (gpsTags.length === 0) {
+            exifData.GPS = {};
+        }
+
+        return exifData;
+    }
+
+    /**
+     * Shift every date/time input by a number of hours (to fix a wrong camera clock)
+     *
+     * @param {number} hours - Hours to add; may be negative or fractional
+     */
+    shiftDates(hours) {
+        if (!this.editing || !isFinite(hours) || hours === 0) return;
+
+        document.querySelectorAll('#metadata-tbody input[type="datetime-local"]').forEach(input => {
+            if (!input.value) return;
+            const exifDate = this.inputToExifDate(input.value);
+            if (!exifDate) return;
+
+            // Work in UTC so the shift is not affected by daylight saving changes
+            const [date, time] = exifDate.split(' ');
+            const [year, month, day] = date.split(':').map(Number);
+            const [hour, minute, second] = time.split(':').map(Number);
+            const shifted = new Date(Date.UTC(year, month - 1, day, hour, minute, second) + hours * 3600000);
+            input.value = shifted.toISOString().slice(0, 19);
+        });
+    }
+
+    /**
+     * Convert an EXIF date string ("YYYY:MM:DD HH:MM:SS") to a datetime-local value
+     *
+     * @param {string} value - EXIF date string
+     * @returns {string} Value such as "2024-01-02T03:04:05", or '' if invalid
+     */
+    exifDateToInput(value) {
+        if (typeof value !== 'string') return '';
+        const match = value.match(/^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2}):(\d{2})/);
+        return match ? `${match[1]}-${match[2]}-${match[3]}T${match[4]}:${match[5]}:${match[6]}` : '';
+    }
+
+    /**
+     * Convert a datetime-local value to an EXIF date string
+     *
+     * @param {string} value - Value such as "2024-01-02T03:04" or "2024-01-02T03:04:05"
+     * @returns {string|null} EXIF date string, or null if invalid
+     */
+    inputToExifDate(value) {
+        const match = value.match(/^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::(\d{2}))?/);
+        if (!match) return null;
+        return `${match[1]}:${match[2]}:${match[3]} ${match[4]}:${match[5]}:${match[6] || '00'}`;
+    }
+
+    /**
+     * Show a download link for the edited file
+     *
+     * @param {File} file - The edited file
+     */
+    offerDownload(file) {
+        if (this.editedFileUrl) {
+            URL.revokeObjectURL(this.editedFileUrl);
+        }
+        this.editedFile = file;
+        this.editedFileUrl = URL.createObjectURL(file);
+
+        const link = document.getElementById('download-edited-link');
+        link.href = this.editedFileUrl;
+        link.download = file.name;
+        link.style.display = 'inline-flex';
+    }
+}
+
+/**
+ * Initialize the MetadataEditor when DOM is fully loaded
+ * Creates a global instance accessible to other modules
+ */
+document.addEventListener('DOMContentLoaded', () => {
+    window.metadataEditor = new MetadataEditor();
+});
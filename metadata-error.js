@@ -0,0 +1,95 @@
+/**
+ * MetadataError - A file or metadata block that could not be parsed
+ *
+ * The parsers throw it for damaged and malicious files, with a code saying what
+ * was wrong, so the UI can explain the problem and refuse to call a file clean.
+ * Errors lose their class when posted from the worker, so they travel as the
+ * plain objects made by describe().
+ */
+class MetadataError extends Error {
+    // Error codes and their labels
+    static CODES = {
+        'truncated': 'Truncated data',
+        'invalid-offset': 'Invalid offset',
+        'cyclic-ifd': 'Cyclic IFD',
+        'too-large': 'Size limit exceeded',
+        'unsupported': 'Unsupported format',
+        'corrupt': 'Corrupt data'
+    };
+
+    // Parse result fields that hold the error of a metadata block, and the block names
+    static BLOCK_ERRORS = {
+        exifError: 'EXIF',
+        makerNoteError: 'Maker note',
+        xmpError: 'XMP',
+        iccError: 'ICC profile'
+    };
+
+    /**
+     * @param {string} code - One of MetadataError.CODES
+     * @param {string} message - Description of the problem
+     * @param {number|null} offset - Byte offset of the problem, if known
+     */
+    constructor(code, message, offset = null) {
+        super(message);
+        this.name = 'MetadataError';
+        this.code = code;
+        this.offset = offset;
+    }
+
+    /**
+     * Turn any error into a plain object that can be posted from the worker
+     * Errors from other sources (e.g. a corrupt zlib stream) get the code 'corrupt'
+     *
+     * @param {Error} error - Error to describe
+     * @returns {{code: string, message: string, offset: number|null}} Error description
+     */
+    static describe(error) {
+        return {
+            code: MetadataError.CODES[error.code] ? error.code : 'corrupt',
+            message: error.message,
+            offset: Number.isInteger(error.offset) ? error.offset : null
+        };
+    }
+
+    /**
+     * Rebuild an error from its description
+     *
+     * @param {{code: string, message: string, offset: number|null}} description - From describe()
+     * @returns {MetadataError} The error
+     */
+    static fromDescription({ code, message, offset = null }) {
+        return new MetadataError(code, message, offset);
+    }
+
+    /**
+     * List the metadata blocks of a parse result that failed to decode
+     *
+     * @param {Object} parsed - Parse result from MetadataJobs.parse
+     * @returns {Object[]} Errors ({ block, code, message, offset }) in BLOCK_ERRORS order
+     */
+    static collect(parsed) {
+        return Object.entries(MetadataError.BLOCK_ERRORS)
+            .filter(([field]) => parsed[field])
+            .map(([field, block]) => ({ block, ...parsed[field] }));
+    }
+
+    /**
+     * Render parse errors as a list
+     * Messages can quote the file, so they are escaped
+     *
+     * @param {Object[]} errors - Errors from collect, or descriptions with a block name
+     * @returns {string} HTML of the list
+     */
+    static renderList(errors) {
+        const escape = (text) => window.metadataTool.escapeHtml(text);
+        return `
+            <ul class="parse-errors">
+                ${errors.map(error => `
+                <li>
+                    <strong>${escape(error.block)}: ${MetadataError.CODES[error.code]}</strong>
+                    ${escape(error.message)}
+                </li>`).join('')}
+            </ul>`;
+    }
+}
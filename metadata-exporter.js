@@ -0,0 +1,636 @@
+/**
+ * MetadataExporter - Writes extracted metadata as JSON, ExifTool JSON, CSV or XMP sidecars
+ *
+ * Works on the metadata objects built by MetadataViewer.extractRealMetadata.
+ * Every field is collected once with its ExifTool-style group and tag name, its
+ * formatted value (as shown in the viewer) and its raw value (numbers for
+ * numeric tags, decimal degrees for GPS coordinates), and each format picks
+ * what it needs from that list.
+ */
+class MetadataExporter {
+    static FORMATS = {
+        json: { label: 'JSON', extension: 'json', type: 'application/json' },
+        exiftool: { label: 'ExifTool JSON (-json -G)', extension: 'json', type: 'application/json' },
+        csv: { label: 'CSV', extension: 'csv', type: 'text/csv' },
+        xmp: { label: 'XMP sidecar', extension: 'xmp', type: 'application/rdf+xml' }
+    };
+
+    // ExifTool tag names that differ from the EXIF specification names used by piexifjs
+    static EXIFTOOL_NAMES = {
+        DateTime: 'ModifyDate',
+        DateTimeDigitized: 'CreateDate',
+        ISOSpeedRatings: 'ISO',
+        ExposureBiasValue: 'ExposureCompensation',
+        PixelXDimension: 'ExifImageWidth',
+        PixelYDimension: 'ExifImageHeight',
+        FocalLengthIn35mmFilm: 'FocalLengthIn35mmFormat',
+        CameraOwnerName: 'OwnerName',
+        BodySerialNumber: 'SerialNumber',
+        LensSpecification: 'LensInfo',
+        InteroperabilityIndex: 'InteropIndex',
+        ImageLength: 'ImageHeight',
+        JPEGInterchangeFormat: 'ThumbnailOffset',
+        JPEGInterchangeFormatLength: 'ThumbnailLength'
+    };
+
+    // ExifTool names of the IPTC record 2 datasets
+    static IPTC_NAMES = {
+        0: 'ApplicationRecordVersion', 3: 'ObjectTypeReference', 4: 'ObjectAttributeReference',
+        5: 'ObjectName', 7: 'EditStatus', 10: 'Urgency', 12: 'SubjectReference', 15: 'Category',
+        20: 'SupplementalCategories', 22: 'FixtureIdentifier', 25: 'Keywords', 26: 'ContentLocationCode',
+        27: 'ContentLocationName', 30: 'ReleaseDate', 35: 'ReleaseTime', 37: 'ExpirationDate',
+        38: 'ExpirationTime', 40: 'SpecialInstructions', 45: 'ReferenceService', 47: 'ReferenceDate',
+        50: 'ReferenceNumber', 55: 'DateCreated', 60: 'TimeCreated', 62: 'DigitalCreationDate',
+        63: 'DigitalCreationTime', 65: 'OriginatingProgram', 70: 'ProgramVersion', 75: 'ObjectCycle',
+        80: 'By-line', 85: 'By-lineTitle', 90: 'City', 92: 'Sub-location', 95: 'Province-State',
+        100: 'Country-PrimaryLocationCode', 101: 'Country-PrimaryLocationName',
+        103: 'OriginalTransmissionReference', 105: 'Headline', 110: 'Credit', 115: 'Source',
+        116: 'CopyrightNotice', 118: 'Contact', 120: 'Caption-Abstract', 121: 'LocalCaption',
+        122: 'Writer-Editor', 130: 'ImageType', 131: 'ImageOrientation', 135: 'LanguageIdentifier'
+    };
+
+    // GPS tags stored as degrees, minutes and seconds
+    static GPS_COORDINATE_TAGS = ['2', '4', '20', '22'];
+
+    // Windows "XP" tags, stored as UCS-2 byte arrays
+    static XP_TAGS = ['40091', '40092', '40093', '40094', '40095'];
+
+    static XMP_NAMESPACES = {
+        x: 'adobe:ns:meta/',
+        rdf: 'http://www.w3.org/1999/02/22-rdf-syntax-ns#',
+        dc: 'http://purl.org/dc/elements/1.1/',
+        xmp: 'http://ns.adobe.com/xap/1.0/',
+        tiff: 'http://ns.adobe.com/tiff/1.0/',
+        exif: 'http://ns.adobe.com/exif/1.0/',
+        exifEX: 'http://cipa.jp/exif/1.0/',
+        photoshop: 'http://ns.adobe.com/photoshop/1.0/',
+        Iptc4xmpCore: 'http://iptc.org/std/Iptc4xmpCore/1.0/xmlns/'
+    };
+
+    // EXIF tags written to XMP sidecars, following the MWG mapping
+    static XMP_FROM_EXIF = [
+        { ifd: '0th', tag: '270', property: 'dc:description', kind: 'alt' },
+        { ifd: '0th', tag: '271', property: 'tiff:Make' },
+        { ifd: '0th', tag: '272', property: 'tiff:Model' },
+        { ifd: '0th', tag: '274', property: 'tiff:Orientation' },
+        { ifd: '0th', tag: '305', property: 'xmp:CreatorTool' },
+        { ifd: '0th', tag: '306', property: 'xmp:ModifyDate', kind: 'date' },
+        { ifd: '0th', tag: '315', property: 'dc:creator', kind: 'seq' },
+        { ifd: '0th', tag: '33432', property: 'dc:rights', kind: 'alt' },
+        { ifd: 'Exif', tag: '33434', property: 'exif:ExposureTime', kind: 'rational' },
+        { ifd: 'Exif', tag: '33437', property: 'exif:FNumber', kind: 'rational' },
+        { ifd: 'Exif', tag: '34850', property: 'exif:ExposureProgram' },
+        { ifd: 'Exif', tag: '34855', property: 'exif:ISOSpeedRatings', kind: 'seq' },
+        { ifd: 'Exif', tag: '36867', property: 'exif:DateTimeOriginal', kind: 'date' },
+        { ifd: 'Exif', tag: '36868', property: 'xmp:CreateDate', kind: 'date' },
+        { ifd: 'Exif', tag: '37380', property: 'exif:ExposureBiasValue', kind: 'rational' },
+        { ifd: 'Exif', tag: '37383', property: 'exif:MeteringMode' },
+        { ifd: 'Exif', tag: '37386', property: 'exif:FocalLength', kind: 'rational' },
+        { ifd: 'Exif', tag: '40962', property: 'exif:PixelXDimension' },
+        { ifd: 'Exif', tag: '40963', property: 'exif:PixelYDimension' },
+        { ifd: 'Exif', tag: '41989', property: 'exif:FocalLengthIn35mmFilm' },
+        { ifd: 'Exif', tag: '42016', property: 'exif:ImageUniqueID' },
+        { ifd: 'Exif', tag: '42032', property: 'exifEX:CameraOwnerName' },
+        { ifd: 'Exif', tag: '42033', property: 'exifEX:BodySerialNumber' },
+        { ifd: 'Exif', tag: '42035', property: 'exifEX:LensMake' },
+        { ifd: 'Exif', tag: '42036', property: 'exifEX:LensModel' },
+        { ifd: 'Exif', tag: '42037', property: 'exifEX:LensSerialNumber' },
+        { ifd: 'GPS', tag: '2', property: 'exif:GPSLatitude', kind: 'gps' },
+        { ifd: 'GPS', tag: '4', property: 'exif:GPSLongitude', kind: 'gps' },
+        { ifd: 'GPS', tag: '5', property: 'exif:GPSAltitudeRef' },
+        { ifd: 'GPS', tag: '6', property: 'exif:GPSAltitude', kind: 'rational' },
+        { ifd: 'GPS', tag: '16', property: 'exif:GPSImgDirectionRef' },
+        { ifd: 'GPS', tag: '17', property: 'exif:GPSImgDirection', kind: 'rational' }
+    ];
+
+    // IPTC datasets written to XMP sidecars
+    static XMP_FROM_IPTC = {
+        5: { property: 'dc:title', kind: 'alt' },
+        15: { property: 'photoshop:Category' },
+        25: { property: 'dc:subject', kind: 'bag' },
+        40: { property: 'photoshop:Instructions' },
+        55: { property: 'photoshop:DateCreated' },
+        80: { property: 'dc:creator', kind: 'seq' },
+        85: { property: 'photoshop:AuthorsPosition' },
+        90: { property: 'photoshop:City' },
+        92: { property: 'Iptc4xmpCore:Location' },
+        95: { property: 'photoshop:State' },
+        100: { property: 'Iptc4xmpCore:CountryCode' },
+        101: { property: 'photoshop:Country' },
+        103: { property: 'photoshop:TransmissionReference' },
+        105: { property: 'photoshop:Headline' },
+        110: { property: 'photoshop:Credit' },
+        115: { property: 'photoshop:Source' },
+        116: { property: 'dc:rights', kind: 'alt' },
+        120: { property: 'dc:description', kind: 'alt' },
+        122: { property: 'photoshop:CaptionWriter' }
+    };
+
+    /**
+     * Build the export file for one or more images
+     *
+     * @param {string} format - Key of MetadataExporter.FORMATS
+     * @param {Object[]} items - { file, metadata } for each image, metadata from extractRealMetadata
+     * @returns {{blob: Blob, fileName: string}} File to download; several XMP sidecars are zipped
+     * @throws {Error} For unknown formats
+     */
+    static build(format, items) {
+        const config = MetadataExporter.FORMATS[format];
+        if (!config) throw new Error(`Unknown export format: ${format}`);
+
+        const baseName = items.length === 1
+            ? items[0].file.name.replace(/\.[^/.]+$/, '')
+            : 'images';
+
+        if (format === 'xmp') {
+            // One sidecar per image, named after it (photo.jpg -> photo.xmp)
+            const sidecars = items.map(({ file, metadata }) => ({
+                name: file.name.replace(/\.[^/.]+$/, '') + '.xmp',
+                content: MetadataExporter.toXmpSidecar(metadata)
+            }));
+
+            if (sidecars.length === 1) {
+                return {
+                    blob: new Blob([sidecars[0].content], { type: config.type }),
+                    fileName: sidecars[0].name
+                };
+            }
+
+            const zip = new ZipWriter();
+            const encoder = new TextEncoder();
+            sidecars.forEach(sidecar => zip.addFile(sidecar.name, encoder.encode(sidecar.content)));
+            return { blob: zip.toBlob(), fileName: 'xmp-sidecars.zip' };
+        }
+
+        let content;
+        if (format === 'json') {
+            const exports = items.map(({ file, metadata }) => MetadataExporter.toJson(file, metadata));
+            content = JSON.stringify(exports.length === 1 ? exports[0] : exports, null, 2);
+        } else if (format === 'exiftool') {
+            content = JSON.stringify(items.map(({ file, metadata }) => MetadataExporter.toExifToolObject(file, metadata)), null, 2);
+        } else {
+            content = MetadataExporter.toCsv(items);
+        }
+
+        const suffix = format === 'exiftool' ? 'exiftool' : 'metadata';
+        return {
+            blob: new Blob([content], { type: config.type }),
+            fileName: `${baseName}-${suffix}.${config.extension}`
+        };
+    }
+
+    /**
+     * Build the viewer's own JSON export, with raw EXIF values next to the formatted ones
+     *
+     * @param {File} file - The image file
+     * @param {Object} metadata - Result of extractRealMetadata
+     * @returns {Object} Export object
+     */
+    static toJson(file, metadata) {
+        const exportData = {
+            fileName: file.name,
+            fileSize: file.size,
+            extractedAt: new Date().toISOString(),
+            basicInfo: metadata.basic,
+            exifData: Object.fromEntries(Object.entries(metadata.exif)
+                .filter(([label]) => label !== MetadataViewer.MAP_PREVIEW_LABEL))
+        };
+
+        if (metadata.rawExif) {
+            // Raw values by IFD and ExifTool tag name; binary data is written as { base64 }
+            // so it cannot be mistaken for text when the file is imported again
+            exportData.rawExif = {};
+            MetadataExporter.collectExifFields(metadata.rawExif).forEach(field => {
+                exportData.rawExif[field.ifd] = exportData.rawExif[field.ifd] || {};
+                exportData.rawExif[field.ifd][field.name] = field.binary ? { base64: btoa(field.binary) } : field.raw;
+            });
+        }
+
+        if (metadata.container) {
+            exportData.containerMetadata = Object.fromEntries(
+                metadata.container.entries.map(({ label, value }) => [label, value]));
+        }
+
+        if (metadata.rawIptc) {
+            exportData.iptcData = IptcParser.groupByName(metadata.rawIptc);
+        }
+
+        if (metadata.rawIcc) {
+            // The tag table is structural; the header fields describe the profile
+            const { tags, ...profile } = metadata.rawIcc;
+            exportData.iccProfile = { ...profile, tags: tags.map(tag => tag.signature) };
+        }
+
+        if (metadata.rawMakerNote) {
+            const { vendor, fields, undecoded } = metadata.rawMakerNote;
+            exportData.makerNote = {
+                vendor,
+                fields: Object.fromEntries(fields.map(field => [field.name, field.value])),
+                undecodedTags: undecoded
+            };
+        }
+
+        if (metadata.rawXmp) {
+            const { namespaces, properties } = metadata.rawXmp;
+            exportData.xmpData = {
+                namespaces,
+                properties: Object.fromEntries(properties.map(({ path, value }) => [path, value]))
+            };
+        }
+
+        return exportData;
+    }
+
+    /**
+     * Build one entry of ExifTool's `-json -G -n` output
+     * Repeated tags (IPTC keywords, flattened XMP lists) become arrays, as in ExifTool
+     *
+     * @param {File} file - The image file
+     * @param {Object} metadata - Result of extractRealMetadata
+     * @returns {Object} Object with "SourceFile" and "Group:Tag" keys
+     */
+    static toExifToolObject(file, metadata) {
+        const result = { SourceFile: file.webkitRelativePath || file.name };
+
+        MetadataExporter.collectFields(file, metadata).forEach(({ key, raw }) => {
+            if (!(key in result)) {
+                result[key] = raw;
+            } else if (Array.isArray(result[key])) {
+                result[key].push(raw);
+            } else {
+                result[key] = [result[key], raw];
+            }
+        });
+
+        return result;
+    }
+
+    /**
+     * Build a CSV file with one row per image
+     * Each tag gets a column with the formatted value; tags whose raw value differs
+     * get a second column with a "#" suffix, like ExifTool's raw-value tag names
+     *
+     * @param {Object[]} items - { file, metadata } for each image
+     * @returns {string} CSV text (RFC 4180, CRLF line endings)
+     */
+    static toCsv(items) {
+        const columns = [];
+        const rawColumns = new Set();
+        const rows = items.map(({ file, metadata }) => {
+            const row = { SourceFile: file.webkitRelativePath || file.name };
+
+            MetadataExporter.collectFields(file, metadata).forEach(({ key, value, raw }) => {
+                if (!columns.includes(key)) columns.push(key);
+
+                const rawText = String(raw);
+                row[key] = key in row ? `${row[key]}, ${value}` : value;
+                row[`${key}#`] = `${key}#` in row ? `${row[`${key}#`]}, ${rawText}` : rawText;
+                if (rawText !== value) rawColumns.add(key);
+            });
+            return row;
+        });
+
+        const header = ['SourceFile'];
+        columns.forEach(key => {
+            header.push(key);
+            if (rawColumns.has(key)) header.push(`${key}#`);
+        });
+
+        const quote = (text) => /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        return [header, ...rows.map(row => header.map(column => row[column] ?? ''))]
+            .map(cells => cells.map(cell => quote(String(cell))).join(','))
+            .join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Build an XMP sidecar
+     * The image's own XMP is kept as it is, and EXIF and IPTC fields are added
+     * as XMP properties unless the XMP already has them
+     *
+     * @param {Object} metadata - Result of extractRealMetadata
+     * @returns {string} XMP packet
+     */
+    static toXmpSidecar(metadata) {
+        const escape = MetadataExporter.escapeXml;
+        const existing = new Set((metadata.rawXmp?.properties || []).map(({ path }) => path.split(/[\[/ ]/)[0]));
+        const properties = new Map();
+        const add = (property, kind, values) => {
+            if (existing.has(property) || properties.has(property) || values.length === 0) return;
+            properties.set(property, { kind, values });
+        };
+
+        const exif = metadata.rawExif || {};
+        MetadataExporter.XMP_FROM_EXIF.forEach(({ ifd, tag, property, kind }) => {
+            const value = exif[ifd]?.[tag];
+            if (value === undefined) return;
+            const text = MetadataExporter.toXmpValue(value, kind, exif[ifd], tag);
+            if (text !== '') add(property, kind, Array.isArray(text) ? text : [text]);
+        });
+
+        const iptcValues = {};
+        (metadata.rawIptc || []).forEach(({ dataset, value }) => {
+            (iptcValues[dataset] = iptcValues[dataset] || []).push(value);
+        });
+        Object.entries(MetadataExporter.XMP_FROM_IPTC).forEach(([dataset, { property, kind }]) => {
+            const values = iptcValues[dataset];
+            if (values) add(property, kind, kind ? values : [values.join(', ')]);
+        });
+
+        // Original descriptions, and the namespaces declared on their rdf:RDF element
+        const original = [];
+        const namespaces = { ...MetadataExporter.XMP_NAMESPACES };
+        (metadata.xmpPackets || []).forEach(packet => {
+            const match = packet.match(/<rdf:RDF([^>]*)>([\s\S]*)<\/rdf:RDF>/);
+            if (!match) return;
+            for (const [, prefix, uri] of match[1].matchAll(/xmlns:([\w-]+)\s*=\s*["']([^"']*)["']/g)) {
+                namespaces[prefix] = uri;
+            }
+            original.push(match[2].trim());
+        });
+
+        // x: is declared on x:xmpmeta
+        delete namespaces.x;
+        const used = new Set(['rdf', ...Array.from(properties.keys(), property => property.split(':')[0])]);
+        const declarations = Object.entries(namespaces)
+            .filter(([prefix]) => used.has(prefix) || original.some(text => text.includes(`${prefix}:`)))
+            .map(([prefix, uri]) => `xmlns:${prefix}="${escape(uri)}"`)
+            .join('\n    ');
+
+        const body = Array.from(properties, ([property, { kind, values }]) => {
+            if (!kind || kind === 'date' || kind === 'rational' || kind === 'gps') {
+                return `   <${property}>${escape(values[0])}</${property}>`;
+            }
+            const container = { seq: 'rdf:Seq', bag: 'rdf:Bag', alt: 'rdf:Alt' }[kind];
+            const lang = kind === 'alt' ? ' xml:lang="x-default"' : '';
+            const items = values.map(value => `     <rdf:li${lang}>${escape(value)}</rdf:li>`).join('\n');
+            return `   <${property}>\n    <${container}>\n${items}\n    </${container}>\n   </${property}>`;
+        });
+
+        const added = body.length > 0
+            ? `  <rdf:Description rdf:about="">\n${body.join('\n')}\n  </rdf:Description>`
+            : '';
+
+        return [
+            '<?xpacket begin="﻿" id="W5M0MpCehiHzreSzNTczkc9d"?>',
+            '<x:xmpmeta xmlns:x="adobe:ns:meta/">',
+            ` <rdf:RDF ${declarations}>`,
+            ...original.map(text => `  ${text}`),
+            added,
+            ' </rdf:RDF>',
+            '</x:xmpmeta>',
+            '<?xpacket end="w"?>',
+            ''
+        ].filter(line => line !== '').join('\n');
+    }
+
+    /**
+     * Collect every field of an image with its ExifTool key, formatted and raw value
+     *
+     * @param {File} file - The image file
+     * @param {Object} metadata - Result of extractRealMetadata
+     * @returns {Object[]} Fields ({ key, value, raw }) in File, EXIF, container, IPTC, XMP order
+     */
+    static collectFields(file, metadata) {
+        const fields = [
+            { key: 'File:FileName', value: file.name, raw: file.name },
+            {
+                key: 'File:FileSize',
+                value: window.metadataTool.formatFileSize(file.size),
+                raw: file.size
+            },
+            {
+                key: 'File:MIMEType',
+                value: window.metadataTool.getMimeType(file),
+                raw: window.metadataTool.getMimeType(file)
+            },
+            {
+                key: 'File:FileModifyDate',
+                value: MetadataExporter.formatExifToolDate(new Date(file.lastModified)),
+                raw: MetadataExporter.formatExifToolDate(new Date(file.lastModified))
+            }
+        ];
+
+        if (metadata.rawExif) {
+            MetadataExporter.collectExifFields(metadata.rawExif).forEach(field => {
+                fields.push({ key: `EXIF:${field.name}`, value: field.value, raw: field.raw });
+            });
+        }
+
+        if (metadata.container) {
+            const group = { png: 'PNG', webp: 'RIFF', heic: 'QuickTime' }[metadata.format] || 'File';
+            metadata.container.entries.forEach(({ label, value }) => {
+                // "tEXt: Author (2)" -> "Author", "iTXt: Title [en]" -> "Title-en", "Last Modified (tIME)" -> "LastModified"
+                const [text, lang] = label
+                    .replace(/^\w{4}: /, '')
+                    .replace(/ \((\w{4}|\d+|#\d+)\)$/, '')
+                    .split(' [');
+                const name = text.replace(/[^A-Za-z0-9]+(.)?/g, (match, next) => (next || '').toUpperCase()) +
+                    (lang ? `-${lang.replace(/\]$/, '')}` : '');
+                fields.push({ key: `${group}:${name}`, value: String(value), raw: String(value) });
+            });
+        }
+
+        (metadata.rawIptc || []).forEach(({ dataset, value }) => {
+            const name = MetadataExporter.IPTC_NAMES[dataset] || `IPTC_2_${dataset}`;
+            // ExifTool writes IPTC dates with colons, as in EXIF
+            const raw = IptcParser.DATE_DATASETS.includes(dataset) ? value.replace(/-/g, ':') : value;
+            fields.push({ key: `IPTC:${name}`, value, raw });
+        });
+
+        (metadata.rawXmp?.properties || []).forEach(({ path, value }) => {
+            fields.push({ key: `XMP:${MetadataExporter.toExifToolXmpName(path)}`, value, raw: value });
+        });
+
+        return fields;
+    }
+
+    /**
+     * Collect the EXIF fields of a piexifjs object
+     *
+     * @param {Object} exif - EXIF object from piexifjs
+     * @returns {Object[]} Fields ({ ifd, tag, name, value, raw, binary }); binary holds the
+     *     bytes of binary values as a binary string, for exports that can include them
+     */
+    static collectExifFields(exif) {
+        const fields = [];
+        const viewer = window.metadataViewer;
+
+        ['0th', 'Exif', 'GPS', 'Interop', '1st'].forEach(ifd => {
+            const tags = exif[ifd];
+            if (!tags) return;
+
+            // Format with the viewer (GPS values need their reference tags), then look each tag up by label
+            const formatted = viewer.parseExifData({ [ifd]: tags });
+            const group = ifd === '0th' || ifd === '1st' ? 'Image' : ifd;
+
+            Object.entries(tags).forEach(([tag, value]) => {
+                if (ExifTags.POINTER_TAGS.includes(tag)) return;
+
+                const info = piexif.TAGS[group]?.[tag];
+                const specName = info ? info.name : `Tag0x${Number(tag).toString(16).padStart(4, '0')}`;
+                const name = MetadataExporter.EXIFTOOL_NAMES[specName] || specName;
+                const { raw, binary } = MetadataExporter.toRawValue(ifd, tag, value, info?.type);
+                const label = ExifTags.getLabel(ifd, tag);
+                const display = formatted[label] !== undefined ? String(formatted[label]) : String(raw);
+
+                fields.push({ ifd, tag, name, value: display, raw, binary });
+            });
+        });
+
+        if (exif.thumbnail) {
+            fields.push({
+                ifd: '1st',
+                tag: 'thumbnail',
+                name: 'ThumbnailImage',
+                value: `${exif.thumbnail.length} bytes`,
+                raw: MetadataExporter.describeBinary(exif.thumbnail.length),
+                binary: exif.thumbnail
+            });
+        }
+
+        return fields;
+    }
+
+    /**
+     * Convert a piexifjs value to the value ExifTool prints with -n
+     *
+     * @param {string} ifd - IFD name
+     * @param {string} tag - Numeric tag as a string
+     * @param {*} value - Value from piexifjs
+     * @param {string|undefined} type - EXIF type name from piexif.TAGS
+     * @returns {{raw: (number|string), binary: (string|null)}} Raw value, and the binary
+     *     string for values that are binary data
+     */
+    static toRawValue(ifd, tag, value, type) {
+        const rational = ([numerator, denominator]) => {
+            if (denominator === 0) return numerator === 0 ? 'undef' : 'inf';
+            return Number((numerator / denominator).toPrecision(10));
+        };
+
+        if (ifd === 'GPS' && MetadataExporter.GPS_COORDINATE_TAGS.includes(tag) && Array.isArray(value[0])) {
+            const [degrees, minutes, seconds] = value.map(rational);
+            return { raw: Number((degrees + minutes / 60 + seconds / 3600).toFixed(8)), binary: null };
+        }
+
+        if (ifd === 'GPS' && tag === '7' && Array.isArray(value[0])) {
+            const parts = value.map(rational);
+            return { raw: parts.map((part, i) => (i < 2 ? String(part).padStart(2, '0') : part)).join(':'), binary: null };
+        }
+
+        if (MetadataExporter.XP_TAGS.includes(tag) && Array.isArray(value)) {
+            const text = new TextDecoder('utf-16le').decode(new Uint8Array(value)).replace(/\0+$/, '');
+            return { raw: text, binary: null };
+        }
+
+        if (Array.isArray(value)) {
+            const parts = value.map(part => (Array.isArray(part) ? rational(part) : part));
+            if (!Array.isArray(value[0]) && (type === 'Rational' || type === 'SRational')) {
+                return { raw: rational(value), binary: null };
+            }
+            return { raw: parts.length === 1 ? parts[0] : parts.join(' '), binary: null };
+        }
+
+        if (typeof value === 'string') {
+            const text = value.replace(/\0+$/, '');
+            // Undefined-type values such as MakerNote are binary unless they are short printable text
+            if (/[\x00-\x08\x0e-\x1f\x7f-\x9f]/.test(text) || (type === 'Undefined' && text.length > 64)) {
+                return { raw: MetadataExporter.describeBinary(value.length), binary: value };
+            }
+            return { raw: text, binary: null };
+        }
+
+        return { raw: value, binary: null };
+    }
+
+    /**
+     * Convert an EXIF value to XMP text
+     *
+     * @param {*} value - Value from piexifjs
+     * @param {string|undefined} kind - Mapping kind ('date', 'rational', 'gps', 'seq' ...)
+     * @param {Object} ifdTags - All tags of the IFD (for GPS reference tags)
+     * @param {string} tag - Numeric tag as a string
+     * @returns {string|string[]} XMP value, a list for array kinds, or '' if it cannot be converted
+     */
+    static toXmpValue(value, kind, ifdTags, tag) {
+        if (kind === 'date') {
+            // "2020:01:02 03:04:05" -> "2020-01-02T03:04:05"
+            const match = String(value).match(/^(\d{4}):(\d{2}):(\d{2}) (\d{2}:\d{2}:\d{2})/);
+            return match ? `${match[1]}-${match[2]}-${match[3]}T${match[4]}` : '';
+        }
+
+        if (kind === 'rational') {
+            const [numerator, denominator] = Array.isArray(value[0]) ? value[0] : value;
+            return `${numerator}/${denominator}`;
+        }
+
+        if (kind === 'gps') {
+            // XMP GPS coordinates are "DDD,MM.mmmmmmR"
+            if (!Array.isArray(value[0]) || value.some(([, denominator]) => denominator === 0)) return '';
+            const [degrees, minutes, seconds] = value.map(([numerator, denominator]) => numerator / denominator);
+            const ref = String(ifdTags[String(Number(tag) - 1)] || (tag === '2' ? 'N' : 'E')).charAt(0);
+            const totalMinutes = minutes + seconds / 60;
+            return `${Math.floor(degrees)},${(totalMinutes + (degrees % 1) * 60).toFixed(6)}${ref}`;
+        }
+
+        if (Array.isArray(value)) {
+            return value.map(String);
+        }
+
+        return String(value).replace(/\0+$/, '').trim();
+    }
+
+    /**
+     * Turn an XmpParser path into an ExifTool-style flattened tag name
+     * "xmpMM:History[2]/stEvt:action" -> "HistoryAction", "dc:title [fr-FR]" -> "Title-fr-FR"
+     *
+     * @param {string} path - Property path from XmpParser
+     * @returns {string} Tag name
+     */
+    static toExifToolXmpName(path) {
+        const [propertyPath, lang] = path.split(' [');
+        const name = propertyPath
+            .split('/')
+            .map(part => part.replace(/\[\d+\]$/, '').replace(/^[^:]*:/, ''))
+            .map(part => part.charAt(0).toUpperCase() + part.slice(1))
+            .join('');
+        return lang ? `${name}-${lang.replace(/\]$/, '')}` : name;
+    }
+
+    /**
+     * Describe binary data the way ExifTool does without -b
+     *
+     * @param {number} length - Size in bytes
+     * @returns {string} Placeholder text
+     */
+    static describeBinary(length) {
+        return `(Binary data ${length} bytes, use -b option to extract)`;
+    }
+
+    /**
+     * Format a date as ExifTool prints file dates ("2024:05:01 14:03:22+02:00")
+     *
+     * @param {Date} date - Date to format
+     * @returns {string} Formatted local date with time zone offset
+     */
+    static formatExifToolDate(date) {
+        const pad = (number) => String(Math.floor(Math.abs(number))).padStart(2, '0');
+        const offset = -date.getTimezoneOffset();
+        return `${date.getFullYear()}:${pad(date.getMonth() + 1)}:${pad(date.getDate())} ` +
+            `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}` +
+            `${offset >= 0 ? '+' : '-'}${pad(offset / 60)}:${pad(offset % 60)}`;
+    }
+
+    /**
+     * Escape text for XML element content and attribute values
+     *
+     * @param {string} text - Raw text
+     * @returns {string} Escaped text
+     */
+    static escapeXml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
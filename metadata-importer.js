@@ -0,0 +1,752 @@
+/**
+ * MetadataImporter - Applies metadata from a JSON export or XMP sidecar to the current image
+ *
+ * Accepts the viewer's JSON export, ExifTool JSON (-json, -G or -G1) and XMP
+ * sidecars. Imported fields are mapped back to EXIF tags and listed next to the
+ * image's current values; fields that would overwrite a different value need
+ * an explicit choice. The chosen fields are written into the JPEG with piexifjs
+ * through the editor, so the result is offered like any other edit.
+ */
+class MetadataImporter {
+    // ExifTool group names (-G1) and the IFD they refer to; "EXIF" (-G) means any IFD
+    static GROUP_IFDS = {
+        IFD0: '0th',
+        ExifIFD: 'Exif',
+        GPS: 'GPS',
+        InteropIFD: 'Interop'
+    };
+
+    // piexif.TAGS group of each IFD
+    static TAG_GROUPS = {
+        '0th': 'Image',
+        'Exif': 'Exif',
+        'GPS': 'GPS',
+        'Interop': 'Interop'
+    };
+
+    // IPTC and XMP fields (ExifTool names) used when the EXIF tag itself is missing
+    static FALLBACK_TAGS = {
+        'IPTC:CopyrightNotice': { ifd: '0th', tag: 33432 },
+        'XMP:Rights': { ifd: '0th', tag: 33432 },
+        'IPTC:By-line': { ifd: '0th', tag: 315 },
+        'XMP:Creator': { ifd: '0th', tag: 315 },
+        'IPTC:Caption-Abstract': { ifd: '0th', tag: 270 },
+        'XMP:Description': { ifd: '0th', tag: 270 }
+    };
+
+    // GPS tags and the reference tag that gives their sign or unit
+    static GPS_REF_TAGS = { 2: 1, 4: 3, 6: 5, 17: 16, 20: 19, 22: 21 };
+
+    static ACTION_LABELS = {
+        new: 'New',
+        conflict: 'Conflict',
+        same: 'Unchanged'
+    };
+
+    /**
+     * Initialize the MetadataImporter
+     */
+    constructor() {
+        this.sourceName = null;         // Name of the imported JSON or XMP file
+        this.entries = [];              // Mapped tags, see mapEntries
+        this.skipped = [];              // Imported fields that cannot be written, with the reason
+        this.tagIndex = null;           // EXIF tag numbers by IFD and name, built on first use
+        this.init();
+    }
+
+    /**
+     * Initialize the importer by setting up event listeners
+     */
+    init() {
+        this.setupEventListeners();
+    }
+
+    /**
+     * Set up event listeners for the import button, file input and preview toolbar
+     */
+    setupEventListeners() {
+        const input = document.getElementById('import-metadata-input');
+
+        document.getElementById('import-metadata-btn').addEventListener('click', () => {
+            const viewer = window.metadataViewer;
+            if (!viewer?.currentFile || !viewer.currentMetadata) {
+                window.metadataTool.showNotification('Select an image first', 'warning');
+                return;
+            }
+            if (!['image/jpeg', 'image/jpg'].includes(viewer.currentFile.type.toLowerCase())) {
+                window.metadataTool.showNotification('Importing is only supported for JPEG images', 'warning');
+                return;
+            }
+            input.click();
+        });
+
+        input.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            // Reset so choosing the same file again fires another change event
+            e.target.value = '';
+            if (file) this.importFile(file);
+        });
+
+        document.getElementById('import-use-all-btn').addEventListener('click', () => {
+            document.querySelectorAll('#import-tbody select[data-entry]').forEach(select => {
+                select.value = 'imported';
+            });
+        });
+
+        document.getElementById('cancel-import-btn').addEventListener('click', () => {
+            this.closePreview();
+        });
+
+        document.getElementById('apply-import-btn').addEventListener('click', () => {
+            this.applyImport();
+        });
+    }
+
+    /**
+     * Read a JSON or XMP file, map it to EXIF tags and show the preview
+     *
+     * @param {File} file - The JSON export or XMP sidecar
+     */
+    async importFile(file) {
+        let imported;
+        try {
+            imported = this.parseImport(await file.text());
+        } catch (error) {
+            console.error('Error reading metadata file:', error);
+            window.metadataTool.showNotification(`Cannot import ${file.name}: ${error.message}`, 'error');
+            return;
+        }
+
+        this.sourceName = file.name;
+        this.skipped = imported.skipped;
+        this.entries = this.mapEntries(imported.tags, window.metadataViewer.currentMetadata.rawExif);
+
+        if (this.entries.length === 0) {
+            window.metadataTool.showNotification(`${file.name} has no fields that can be written to EXIF`, 'warning');
+            return;
+        }
+
+        this.showPreview();
+    }
+
+    /**
+     * Detect the file type and read its fields as EXIF tags
+     *
+     * @param {string} text - File contents
+     * @returns {{tags: Object[], skipped: Object[]}} Tags ({ ifd, tag, value, source }) in
+     *     piexifjs form, and the fields that were left out ({ name, reason })
+     * @throws {Error} If the file is neither JSON nor XMP, or is malformed
+     */
+    parseImport(text) {
+        const trimmed = text.trim();
+
+        if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+            let data;
+            try {
+                data = JSON.parse(trimmed);
+            } catch (error) {
+                throw new Error('the JSON is malformed');
+            }
+
+            if (Array.isArray(data)) {
+                // ExifTool writes one object per file; only the first is used
+                if (!data[0] || typeof data[0] !== 'object') throw new Error('the JSON has no entries');
+                return this.readExifToolJson(data[0]);
+            }
+            if (data && typeof data === 'object' && 'SourceFile' in data) {
+                return this.readExifToolJson(data);
+            }
+            if (data && typeof data === 'object' && (data.rawExif || data.exifData)) {
+                return this.readExportJson(data);
+            }
+            throw new Error('the JSON is not a metadata export');
+        }
+
+        if (/<x:xmpmeta|<rdf:RDF/.test(trimmed)) {
+            return this.readXmpSidecar(trimmed);
+        }
+
+        throw new Error('expected a JSON export or an XMP sidecar');
+    }
+
+    /**
+     * Read the viewer's JSON export
+     * Raw values (rawExif) are used when present; older exports only have the
+     * formatted values, from which text fields can still be restored
+     *
+     * @param {Object} data - Parsed JSON export
+     * @returns {{tags: Object[], skipped: Object[]}} See parseImport
+     */
+    readExportJson(data) {
+        const tags = [];
+        const skipped = [];
+
+        if (data.rawExif) {
+            Object.entries(data.rawExif).forEach(([ifd, fields]) => {
+                Object.entries(fields || {}).forEach(([name, raw]) => {
+                    this.addRawTag(tags, skipped, ifd, name, raw, `${ifd}:${name}`);
+                });
+            });
+            return { tags, skipped };
+        }
+
+        Object.entries(data.exifData).forEach(([label, value]) => {
+            const found = this.findTagByLabel(label);
+            const type = found && piexif.TAGS[MetadataImporter.TAG_GROUPS[found.ifd]]?.[found.tag]?.type;
+
+            if (!found) {
+                skipped.push({ name: label, reason: 'unknown field' });
+            } else if (type !== 'Ascii' || typeof value !== 'string') {
+                skipped.push({ name: label, reason: 'only text fields can be read from formatted values' });
+            } else {
+                // Text tags such as GPS Latitude Ref are shown by meaning ("North" for "N")
+                this.addRawTag(tags, skipped, found.ifd, found.tag, ExifTags.parseEnum(found.ifd, found.tag, value), label);
+            }
+        });
+
+        return { tags, skipped };
+    }
+
+    /**
+     * Read one file entry of ExifTool JSON
+     * EXIF values must be numeric (-n) to round-trip exactly; IPTC and XMP copyright,
+     * creator and description fill the EXIF tags the file does not have
+     *
+     * @param {Object} data - Object with "Group:Tag" keys
+     * @returns {{tags: Object[], skipped: Object[]}} See parseImport
+     */
+    readExifToolJson(data) {
+        const tags = [];
+        const skipped = [];
+        const fallbacks = [];
+
+        Object.entries(data).forEach(([key, raw]) => {
+            if (key === 'SourceFile') return;
+
+            const [group, name] = key.includes(':') ? key.split(':') : ['EXIF', key];
+            if (group === 'EXIF' || MetadataImporter.GROUP_IFDS[group]) {
+                const ifd = MetadataImporter.GROUP_IFDS[group] || this.findIfdByName(name);
+                if (!ifd) {
+                    skipped.push({ name: key, reason: 'unknown EXIF tag' });
+                } else {
+                    this.addRawTag(tags, skipped, ifd, name, raw, key);
+                }
+            } else if (MetadataImporter.FALLBACK_TAGS[key]) {
+                fallbacks.push({ key, raw });
+            } else if (!['File', 'ExifTool', 'Composite', 'System'].includes(group)) {
+                skipped.push({ name: key, reason: 'no EXIF equivalent' });
+            }
+        });
+
+        fallbacks.forEach(({ key, raw }) => {
+            const { ifd, tag } = MetadataImporter.FALLBACK_TAGS[key];
+            if (tags.some(entry => entry.ifd === ifd && entry.tag === tag)) return;
+            this.addRawTag(tags, skipped, ifd, tag, Array.isArray(raw) ? raw.join('; ') : raw, key);
+        });
+
+        return { tags, skipped };
+    }
+
+    /**
+     * Read an XMP sidecar using the exporter's EXIF-to-XMP mapping in reverse
+     *
+     * @param {string} text - XMP packet
+     * @returns {{tags: Object[], skipped: Object[]}} See parseImport
+     * @throws {Error} If the XMP is malformed
+     */
+    readXmpSidecar(text) {
+        const tags = [];
+        const skipped = [];
+
+        let properties;
+        try {
+            ({ properties } = XmpParser.parse([text]));
+        } catch (error) {
+            throw new Error('the XMP is malformed');
+        }
+
+        properties.forEach(({ path, value }) => {
+            // Only the default language of alternatives goes into EXIF
+            if (path.includes(' [')) {
+                skipped.push({ name: path, reason: 'only the default language is imported' });
+                return;
+            }
+
+            const mapping = MetadataExporter.XMP_FROM_EXIF.find(item => item.property === path);
+            if (!mapping) {
+                skipped.push({ name: path, reason: 'no EXIF equivalent' });
+                return;
+            }
+            if (tags.some(entry => entry.ifd === mapping.ifd && entry.tag === Number(mapping.tag))) return;
+
+            const converted = this.fromXmpValue(value, mapping);
+            if (converted === null) {
+                skipped.push({ name: path, reason: `"${value}" is not a valid value` });
+                return;
+            }
+            converted.forEach(({ tag, value: tagValue }) => {
+                tags.push({ ifd: mapping.ifd, tag, value: tagValue, source: path });
+            });
+        });
+
+        return { tags, skipped };
+    }
+
+    /**
+     * Convert a raw (ExifTool -n style) value and add it to the tag list
+     *
+     * @param {Object[]} tags - Output list
+     * @param {Object[]} skipped - Skipped fields
+     * @param {string} ifd - IFD name
+     * @param {string|number} nameOrTag - ExifTool tag name, "Tag0x...", or tag number
+     * @param {*} raw - Imported value
+     * @param {string} source - Field name shown in the preview
+     */
+    addRawTag(tags, skipped, ifd, nameOrTag, raw, source) {
+        if (!MetadataImporter.TAG_GROUPS[ifd]) {
+            skipped.push({ name: source, reason: ifd === '1st' ? 'thumbnail data is not imported' : 'unknown IFD' });
+            return;
+        }
+
+        const tag = typeof nameOrTag === 'number' ? nameOrTag : this.findTag(ifd, nameOrTag);
+        if (tag === null) {
+            skipped.push({ name: source, reason: 'unknown EXIF tag' });
+            return;
+        }
+        if (ExifTags.POINTER_TAGS.includes(String(tag))) return;
+
+        const type = piexif.TAGS[MetadataImporter.TAG_GROUPS[ifd]][tag]?.type;
+        const value = this.fromRawValue(ifd, tag, raw, type);
+        if (value === null) {
+            skipped.push({ name: source, reason: 'value cannot be stored in this tag' });
+            return;
+        }
+
+        tags.push({ ifd, tag, value, source });
+
+        // Signed coordinates carry the hemisphere, which EXIF keeps in the reference tag
+        if (ifd === 'GPS' && (tag === 2 || tag === 4) && typeof raw === 'number' && raw < 0) {
+            tags.push({ ifd, tag: tag - 1, value: tag === 2 ? 'S' : 'W', source });
+        }
+    }
+
+    /**
+     * Convert a raw value to the form piexifjs writes for the tag type
+     *
+     * @param {string} ifd - IFD name
+     * @param {number} tag - Tag number
+     * @param {*} raw - Number, text, space-separated numbers or { base64 }
+     * @param {string} type - EXIF type name from piexif.TAGS
+     * @returns {*} piexifjs value, or null if the value does not fit the type
+     */
+    fromRawValue(ifd, tag, raw, type) {
+        if (raw === null || raw === undefined || raw === '') return null;
+
+        if (typeof raw === 'object' && typeof raw.base64 === 'string') {
+            try {
+                return atob(raw.base64);
+            } catch (error) {
+                return null;
+            }
+        }
+        if (typeof raw === 'string' && raw.startsWith('(Binary data ')) return null;
+
+        if (ifd === 'GPS' && [2, 4, 20, 22].includes(tag)) {
+            const decimal = Number(raw);
+            return isFinite(decimal) ? ExifTags.decimalToDMS(decimal) : null;
+        }
+
+        if (ifd === 'GPS' && tag === 7) {
+            const parts = String(raw).split(':').map(Number);
+            if (parts.length !== 3 || parts.some(part => !isFinite(part))) return null;
+            return [[parts[0], 1], [parts[1], 1], [Math.round(parts[2] * 1000), 1000]];
+        }
+
+        if (MetadataExporter.XP_TAGS.includes(String(tag))) {
+            // UCS-2 little endian with a terminating null character
+            const text = String(raw);
+            const bytes = [];
+            for (let i = 0; i < text.length; i++) {
+                bytes.push(text.charCodeAt(i) & 0xFF, text.charCodeAt(i) >> 8);
+            }
+            return bytes.concat([0, 0]);
+        }
+
+        const numbers = typeof raw === 'number' ? [raw] : String(raw).trim().split(/\s+/).map(Number);
+
+        switch (type) {
+            case 'Ascii': {
+                const text = String(raw);
+                // EXIF ASCII fields are stored one byte per character
+                return /[^\u0000-\u00ff]/.test(text) ? null : text;
+            }
+            case 'Byte':
+            case 'Short':
+            case 'Long':
+            case 'SShort':
+            case 'SLong':
+                if (numbers.some(number => !Number.isInteger(number))) return null;
+                return numbers.length === 1 ? numbers[0] : numbers;
+            case 'Rational':
+            case 'SRational': {
+                const parts = typeof raw === 'number' ? [raw] : String(raw).trim().split(/\s+/);
+                const rationals = parts.map(part => this.toRational(part, type === 'SRational'));
+                if (rationals.includes(null)) return null;
+                return rationals.length === 1 ? rationals[0] : rationals;
+            }
+            case 'Float':
+            case 'DFloat':
+                return numbers.every(isFinite) ? (numbers.length === 1 ? numbers[0] : numbers) : null;
+            default:
+                // Undefined: single bytes come as numbers, byte lists (ComponentsConfiguration)
+                // as space-separated numbers, and short values such as ExifVersion as text
+                if (typeof raw === 'number') return String.fromCharCode(raw);
+                if (/^\d+( \d+)+$/.test(raw) && numbers.every(number => number <= 255)) {
+                    return String.fromCharCode(...numbers);
+                }
+                return String(raw);
+        }
+    }
+
+    /**
+     * Convert an XMP value to one or more EXIF tags
+     *
+     * @param {string} value - XMP value
+     * @param {Object} mapping - Entry of MetadataExporter.XMP_FROM_EXIF
+     * @returns {Object[]|null} Tags ({ tag, value }), or null if the value is invalid
+     */
+    fromXmpValue(value, { ifd, tag, kind }) {
+        const tagNumber = Number(tag);
+        const type = piexif.TAGS[MetadataImporter.TAG_GROUPS[ifd]][tagNumber]?.type;
+
+        switch (kind) {
+            case 'date': {
+                // "2024-01-02T03:04:05.123+01:00" -> "2024:01:02 03:04:05"
+                const match = value.match(/^(\d{4})-(\d{2})-(\d{2})(?:T(\d{2}):(\d{2})(?::(\d{2}))?)?/);
+                if (!match) return null;
+                const [, year, month, day, hour = '00', minute = '00', second = '00'] = match;
+                return [{ tag: tagNumber, value: `${year}:${month}:${day} ${hour}:${minute}:${second}` }];
+            }
+            case 'rational': {
+                const rational = this.toRational(value, type === 'SRational');
+                return rational ? [{ tag: tagNumber, value: rational }] : null;
+            }
+            case 'gps': {
+                // "48,51.504N" or "48,51,30.24N"
+                const match = value.match(/^(\d+),(\d+(?:\.\d+)?)(?:,(\d+(?:\.\d+)?))?([NSEW])$/);
+                if (!match) return null;
+                const decimal = Number(match[1]) + Number(match[2]) / 60 + Number(match[3] || 0) / 3600;
+                return [
+                    { tag: tagNumber, value: ExifTags.decimalToDMS(decimal) },
+                    { tag: tagNumber - 1, value: match[4] }
+                ];
+            }
+            default: {
+                // Lists (e.g. ISO) keep their first value when the tag holds a number
+                const text = kind === 'seq' && type !== 'Ascii' ? value.split(', ')[0] : value;
+                const converted = this.fromRawValue(ifd, tagNumber, type === 'Ascii' ? text : Number(text), type);
+                return converted === null ? null : [{ tag: tagNumber, value: converted }];
+            }
+        }
+    }
+
+    /**
+     * Convert a decimal or "n/d" value to an EXIF rational
+     *
+     * @param {number|string} value - Value to convert
+     * @param {boolean} signed - Whether negative values are allowed
+     * @returns {number[]|null} [numerator, denominator], or null if invalid
+     */
+    toRational(value, signed) {
+        if (value === 'inf') return [1, 0];
+        if (value === 'undef') return [0, 0];
+
+        const fraction = String(value).match(/^(-?\d+)\/(\d+)$/);
+        if (fraction) {
+            const rational = [Number(fraction[1]), Number(fraction[2])];
+            return rational[0] < 0 && !signed ? null : rational;
+        }
+
+        const decimal = Number(value);
+        if (!isFinite(decimal) || (decimal < 0 && !signed)) return null;
+
+        // Continued fractions find the simplest fraction (1/250 rather than 4/1000)
+        let [previousNumerator, numerator] = [0, 1];
+        let [previousDenominator, denominator] = [1, 0];
+        let remainder = Math.abs(decimal);
+        for (let i = 0; i < 20; i++) {
+            const whole = Math.floor(remainder);
+            [previousNumerator, numerator] = [numerator, whole * numerator + previousNumerator];
+            [previousDenominator, denominator] = [denominator, whole * denominator + previousDenominator];
+            if (Math.abs(numerator / denominator - Math.abs(decimal)) < 1e-9 || remainder === whole) break;
+            remainder = 1 / (remainder - whole);
+            if (denominator > 1000000) break;
+        }
+
+        return [decimal < 0 ? -numerator : numerator, denominator];
+    }
+
+    /**
+     * Find a tag number by ExifTool or EXIF name within an IFD
+     *
+     * @param {string} ifd - IFD name
+     * @param {string} name - Tag name, or "Tag0x..." for unknown tags
+     * @returns {number|null} Tag number
+     */
+    findTag(ifd, name) {
+        const hex = name.match(/^Tag0x([0-9a-f]{4})$/i);
+        if (hex) return parseInt(hex[1], 16);
+
+        if (!this.tagIndex) {
+            const specNames = Object.fromEntries(Object.entries(MetadataExporter.EXIFTOOL_NAMES)
+                .map(([specName, exifToolName]) => [exifToolName, specName]));
+            this.tagIndex = {};
+            Object.entries(MetadataImporter.TAG_GROUPS).forEach(([tagIfd, group]) => {
+                this.tagIndex[tagIfd] = {};
+                Object.entries(piexif.TAGS[group]).forEach(([tag, info]) => {
+                    this.tagIndex[tagIfd][info.name] = Number(tag);
+                });
+                // ExifTool names first resolve to the specification name
+                Object.entries(specNames).forEach(([exifToolName, specName]) => {
+                    if (specName in this.tagIndex[tagIfd]) {
+                        this.tagIndex[tagIfd][exifToolName] = this.tagIndex[tagIfd][specName];
+                    }
+                });
+            });
+        }
+
+        return this.tagIndex[ifd]?.[name] ?? null;
+    }
+
+    /**
+     * Find which IFD holds a tag, for ExifTool JSON written with -G
+     *
+     * @param {string} name - ExifTool tag name
+     * @returns {string|null} IFD name
+     */
+    findIfdByName(name) {
+        // piexifjs also lists Exif tags such as ExposureTime under Image (for TIFF/EP), so IFD0 goes last
+        return ['Exif', 'GPS', 'Interop', '0th'].find(ifd => this.findTag(ifd, name) !== null) || null;
+    }
+
+    /**
+     * Find a tag by the label the viewer shows for it
+     *
+     * @param {string} label - Label such as "Copyright" or "Exif Tag 42036"
+     * @returns {{ifd: string, tag: number}|null} The tag
+     */
+    findTagByLabel(label) {
+        const generic = label.match(/^(\w+) Tag (\d+)$/);
+        if (generic) return { ifd: generic[1], tag: Number(generic[2]) };
+
+        return ExifTags.findByName(label);
+    }
+
+    /**
+     * Group imported tags with their GPS reference tags and compare them with the image
+     *
+     * @param {Object[]} tags - Tags from parseImport
+     * @param {Object|null} currentExif - Raw EXIF object of the image
+     * @returns {Object[]} Entries ({ ifd, tag, tags, status }) where tags holds the tag
+     *     and its reference tag, and status is 'new', 'conflict' or 'same'
+     */
+    mapEntries(tags, currentExif) {
+        const entries = [];
+
+        tags.forEach(({ ifd, tag, value, source }) => {
+            const existing = entries.find(entry => entry.ifd === ifd && entry.tag === tag);
+            if (existing) {
+                existing.tags[tag] = value;
+                return;
+            }
+            entries.push({ ifd, tag, source, tags: { [tag]: value } });
+        });
+
+        // Reference tags are written with their value tag, so both stay consistent
+        entries.filter(entry => entry.ifd === 'GPS' && MetadataImporter.GPS_REF_TAGS[entry.tag]).forEach(entry => {
+            const refTag = MetadataImporter.GPS_REF_TAGS[entry.tag];
+            const ref = entries.find(other => other.ifd === 'GPS' && other.tag === refTag);
+            if (ref) {
+                entry.tags[refTag] = ref.tags[refTag];
+                ref.merged = true;
+            }
+        });
+
+        return entries
+            .filter(entry => !entry.merged)
+            .map(entry => {
+                const current = Object.keys(entry.tags).map(tag => currentExif?.[entry.ifd]?.[tag]);
+                // Compare raw values, so 1200/10 and 120/1 count as the same altitude
+                const normalize = (tag, value) => {
+                    if (value === undefined) return undefined;
+                    const type = piexif.TAGS[MetadataImporter.TAG_GROUPS[entry.ifd]][tag]?.type;
+                    return JSON.stringify(MetadataExporter.toRawValue(entry.ifd, tag, value, type).raw);
+                };
+                let status = 'same';
+                if (current.every(value => value === undefined)) {
+                    status = 'new';
+                } else if (Object.keys(entry.tags).some((tag, i) =>
+                    normalize(tag, entry.tags[tag]) !== normalize(tag, current[i]))) {
+                    status = 'conflict';
+                }
+                return { ifd: entry.ifd, tag: entry.tag, source: entry.source, tags: entry.tags, status };
+            });
+    }
+
+    /**
+     * Show the preview table with the current and imported value of every field
+     */
+    showPreview() {
+        const escape = (text) => window.metadataTool.escapeHtml(text);
+        const currentExif = window.metadataViewer.currentMetadata.rawExif;
+        const counts = { new: 0, conflict: 0, same: 0 };
+
+        const tbody = document.getElementById('import-tbody');
+        tbody.innerHTML = '';
+
+        this.entries.forEach((entry, index) => {
+            counts[entry.status]++;
+
+            const current = this.formatEntry(entry, currentExif?.[entry.ifd] || {});
+            const imported = this.formatEntry(entry, entry.tags);
+
+            let action;
+            if (entry.status === 'new') {
+                action = `<label class="import-choice"><input type="checkbox" data-entry="${index}" checked> Write</label>`;
+            } else if (entry.status === 'conflict') {
+                action = `
+                    <select data-entry="${index}" aria-label="Value to keep for ${escape(imported.label)}">
+                        <option value="current">Keep current</option>
+                        <option value="imported">Use imported</option>
+                    </select>
+                `;
+            } else {
+                action = '<span class="import-unchanged">Unchanged</span>';
+            }
+
+            const row = document.createElement('tr');
+            row.className = `import-row import-${entry.status}`;
+            row.innerHTML = `
+                <td><span class="import-badge">${MetadataImporter.ACTION_LABELS[entry.status]}</span></td>
+                <td style="font-weight: 600;">${escape(imported.label)}</td>
+                <td>${current.value !== null ? escape(current.value) : '—'}</td>
+                <td>${escape(imported.value)}</td>
+                <td>${action}</td>
+            `;
+            tbody.appendChild(row);
+        });
+
+        document.getElementById('import-summary').textContent =
+            `From ${this.sourceName}: ${counts.new} new, ${counts.conflict} conflicting, ${counts.same} unchanged`;
+
+        const skipped = document.getElementById('import-skipped');
+        skipped.style.display = this.skipped.length > 0 ? 'block' : 'none';
+        skipped.innerHTML = `
+            <summary>${this.skipped.length} field(s) cannot be written to EXIF</summary>
+            <ul>
+                ${this.skipped.map(({ name, reason }) => `<li><strong>${escape(name)}</strong>: ${escape(reason)}</li>`).join('')}
+            </ul>
+        `;
+
+        document.getElementById('import-use-all-btn').style.display = counts.conflict > 0 ? 'inline-flex' : 'none';
+        document.getElementById('import-preview').style.display = 'block';
+        document.getElementById('viewer-actions').style.display = 'none';
+        document.getElementById('import-preview').scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    }
+
+    /**
+     * Format the value of an entry the way the viewer shows it
+     *
+     * @param {Object} entry - Entry from mapEntries
+     * @param {Object} ifdTags - Tags of the IFD to read the value from (the image's or the imported ones)
+     * @returns {{label: string, value: string|null}} Field label and formatted value (null if not set)
+     */
+    formatEntry(entry, ifdTags) {
+        const tags = {};
+        Object.keys(entry.tags).forEach(tag => {
+            if (ifdTags[tag] !== undefined) tags[tag] = ifdTags[tag];
+        });
+
+        const field = MetadataExporter.collectExifFields({ [entry.ifd]: tags })
+            .find(item => item.tag === String(entry.tag));
+        const label = ExifTags.getName(entry.ifd, entry.tag) ||
+            field?.name ||
+            piexif.TAGS[MetadataImporter.TAG_GROUPS[entry.ifd]][entry.tag]?.name ||
+            `${entry.ifd} Tag ${entry.tag}`;
+
+        return { label, value: field ? field.value : null };
+    }
+
+    /**
+     * Write the chosen fields into the image through the editor
+     */
+    async applyImport() {
+        const viewer = window.metadataViewer;
+        const chosen = this.entries.filter((entry, index) => {
+            const control = document.querySelector(`#import-tbody [data-entry="${index}"]`);
+            if (!control) return false;
+            return control.type === 'checkbox' ? control.checked : control.value === 'imported';
+        });
+
+        if (chosen.length === 0) {
+            window.metadataTool.showNotification('No fields selected to import', 'warning');
+            return;
+        }
+
+        const original = viewer.currentMetadata.rawExif;
+        const exifData = original
+            ? JSON.parse(JSON.stringify(original))
+            : { '0th': {}, 'Exif': {}, 'GPS': {}, 'Interop': {}, '1st': {}, 'thumbnail': null };
+        ['0th', 'Exif', 'GPS', 'Interop', '1st'].forEach(ifd => {
+            exifData[ifd] = exifData[ifd] || {};
+        });
+
+        chosen.forEach(entry => Object.assign(exifData[entry.ifd], entry.tags));
+
+        // GPS readers expect a version tag whenever GPS data is present
+        if (Object.keys(exifData.GPS).length > 0 && !exifData.GPS[0]) {
+            exifData.GPS[0] = [2, 3, 0, 0];
+        }
+
+        try {
+            this.closePreview();
+            await window.metadataEditor.writeExif(exifData);
+            window.metadataTool.showNotification(
+                `Imported ${chosen.length} field(s) – download the edited file below`,
+                'success'
+            );
+        } catch (error) {
+            console.error('Error writing imported metadata:', error);
+            window.metadataTool.showNotification('Error writing metadata: ' + error.message, 'error');
+        }
+    }
+
+    /**
+     * Hide the preview and show the viewer actions again
+     */
+    closePreview() {
+        document.getElementById('import-preview').style.display = 'none';
+        document.getElementById('viewer-actions').style.display = 'block';
+        this.entries = [];
+        this.skipped = [];
+    }
+
+    /**
+     * React to the viewer loading a file: a preview belongs to the previous image
+     *
+     * @param {File} file - The file now shown in the viewer
+     */
+    onFileLoaded(file) {
+        if (document.getElementById('import-preview').style.display !== 'none') {
+            this.closePreview();
+        }
+    }
+}
+
+/**
+ * Initialize the MetadataImporter when DOM is fully loaded
+ * Creates a global instance accessible to other modules
+ */
+document.addEventListener('DOMContentLoaded', () => {
+    window.metadataImporter = new MetadataImporter();
+});
@@ -0,0 +1,352 @@
+/**
+ * MetadataPipeline - Reads files once and runs metadata jobs off the main thread
+ *
+ * Each file is read into an ArrayBuffer a single time; the buffer and the parse
+ * result are cached and shared by the viewer, remover and diff. Parsing,
+ * stripping and hashing run in metadata-worker.js, with progress shown in the
+ * status bar under the tabs. Cancelling stops the read, terminates the worker
+ * and rejects the pending jobs with an AbortError.
+ */
+class MetadataPipeline {
+    static WORKER_URL = 'metadata-worker.js';
+
+    // Number of recent files whose buffers and parse results are kept
+    static CACHE_SIZE = 4;
+
+    // Jobs that finish faster than this never show the status bar
+    static STATUS_DELAY_MS = 250;
+
+    /**
+     * Initialize the MetadataPipeline
+     */
+    constructor() {
+        this.cache = new Map();         // File -> { buffer: Promise, parsed: Promise }
+        this.worker = null;             // Dedicated worker, started on first use
+        this.workerReady = null;        // Resolves to true once the worker loaded its scripts, false if it failed
+        this.jobs = new Map();          // Job id -> { resolve, reject, label }
+        this.readers = new Set();       // FileReaders still reading
+        this.nextJobId = 1;
+        this.statusTimer = null;
+        this.init();
+    }
+
+    /**
+     * Initialize the pipeline by setting up event listeners
+     */
+    init() {
+        document.getElementById('pipeline-cancel-btn')?.addEventListener('click', () => {
+            this.cancel();
+        });
+    }
+
+    /**
+     * Read a file into an ArrayBuffer, once
+     *
+     * @param {File} file - The file to read
+     * @returns {Promise<ArrayBuffer>} File contents (shared; do not modify)
+     */
+    readFile(file) {
+        return this.getCacheEntry(file).buffer;
+    }
+
+    /**
+     * Parse all metadata of a file, once
+     *
+     * @param {File} file - The file to parse
+     * @returns {Promise<Object>} Result of MetadataJobs.parse
+     */
+    parse(file) {
+        const entry = this.getCacheEntry(file);
+        if (!entry.parsed) {
+            entry.parsed = entry.buffer.then(buffer => this.runJob('parse', buffer, {}, `Analyzing ${file.name}`));
+            // A cancelled or failed parse can be retried later
+            entry.parsed.catch(() => {
+                entry.parsed = null;
+            });
+        }
+        return entry.parsed;
+    }
+
+    /**
+     * Strip metadata from a file without re-encoding it
+     *
+     * @param {File} file - The file to clean
+     * @param {string} fileName - Name of the cleaned file
+     * @param {Object} options - Options for MetadataJobs.strip
+     * @param {Object} caching - How the result is kept
+     * @param {boolean} caching.cache - Cache the cleaned file (default true). Throwaway results,
+     *     such as size estimates, would otherwise push the files in use out of the cache
+     * @returns {Promise<{file: File, removed: Object[], keptFields: number, orientation: Object|null}>}
+     *     Cleaned file and job details
+     */
+    async strip(file, fileName, options = {}, { cache = true } = {}) {
+        const buffer = await this.readFile(file);
+        const { data, removed, keptFields, orientation } = await this.runJob('strip', buffer, options, `Cleaning ${file.name}`);
+
+        const cleanedFile = new File([data], fileName, {
+            type: window.metadataTool.getMimeType(file),
+            lastModified: Date.now()
+        });
+        // The cleaned bytes are already in memory, so verifying them needs no extra read
+        if (cache) this.getCacheEntry(cleanedFile, data);
+
+        return { file: cleanedFile, removed, keptFields, orientation };
+    }
+
+    /**
+     * Hash the image data of a file
+     *
+     * @param {File} file - The file to hash
+     * @returns {Promise<string|null>} Hex SHA-256 hash, or null for unsupported formats
+     */
+    async hashImageData(file) {
+        const buffer = await this.readFile(file);
+        const { hash } = await this.runJob('hash', buffer, {}, `Verifying ${file.name}`);
+        return hash;
+    }
+
+    /**
+     * Get or create the cache entry of a file, dropping the oldest entries
+     *
+     * @param {File} file - The file
+     * @param {ArrayBuffer} buffer - Contents, if they are already known
+     * @returns {{buffer: Promise<ArrayBuffer>, parsed: Promise<Object>|null}} Cache entry
+     */
+    getCacheEntry(file, buffer = null) {
+        let entry = this.cache.get(file);
+        if (entry) {
+            // Move to the end so it is dropped last
+            this.cache.delete(file);
+        } else {
+            entry = { buffer: buffer ? Promise.resolve(buffer) : this.readWithProgress(file), parsed: null };
+            entry.buffer.catch(() => this.cache.delete(file));
+        }
+        this.cache.set(file, entry);
+
+        while (this.cache.size > MetadataPipeline.CACHE_SIZE) {
+            this.cache.delete(this.cache.keys().next().value);
+        }
+        return entry;
+    }
+
+    /**
+     * Read a file with FileReader so large reads report progress and can be aborted
+     *
+     * @param {File} file - The file to read
+     * @returns {Promise<ArrayBuffer>} File contents
+     */
+    readWithProgress(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            const label = `Reading ${file.name}`;
+            this.readers.add(reader);
+
+            reader.onprogress = (e) => {
+                if (e.lengthComputable) this.showProgress(label, e.loaded / e.total);
+            };
+            reader.onload = () => {
+                this.readers.delete(reader);
+                this.hideProgressIfIdle();
+                resolve(reader.result);
+            };
+            reader.onerror = () => {
+                this.readers.delete(reader);
+                this.hideProgressIfIdle();
+                reject(new Error('Failed to read file'));
+            };
+            reader.onabort = () => {
+                this.readers.delete(reader);
+                reject(MetadataPipeline.createAbortError());
+            };
+
+            reader.readAsArrayBuffer(file);
+            this.showProgress(label, 0);
+        });
+    }
+
+    /**
+     * Run a job in the worker, or on the main thread if no worker can be started
+     *
+     * @param {string} type - Job type (see MetadataJobs.run)
+     * @param {ArrayBuffer} buffer - File contents; copied, never transferred, so the cache stays usable
+     * @param {Object} options - Job options
+     * @param {string} label - Text shown in the status bar
+     * @returns {Promise<Object>} Job result
+     */
+    async runJob(type, buffer, options, label) {
+        const id = this.nextJobId++;
+        const result = new Promise((resolve, reject) => {
+            this.jobs.set(id, { resolve, reject, label });
+        });
+        this.showProgress(label, 0);
+
+        const useWorker = await this.startWorker();
+        // Cancelled while the worker was starting
+        if (!this.jobs.has(id)) return result;
+
+        if (useWorker) {
+            this.worker.postMessage({ id, type, buffer, options });
+        } else {
+            const progress = (stage, fraction) => this.onJobMessage({ id, type: 'progress', stage, fraction });
+            MetadataJobs.run(type, buffer, options, progress).then(
+                value => this.onJobMessage({ id, type: 'result', result: value }),
+                error => this.onJobMessage({ id, type: 'error', ...MetadataError.describe(error) })
+            );
+        }
+
+        return result;
+    }
+
+    /**
+     * Start the worker if needed
+     *
+     * @returns {Promise<boolean>} True if the worker is running, false to run jobs locally
+     */
+    startWorker() {
+        if (this.workerReady) return this.workerReady;
+
+        this.workerReady = new Promise((resolve) => {
+            if (typeof Worker === 'undefined') {
+                resolve(false);
+                return;
+            }
+
+            try {
+                this.worker = new Worker(MetadataPipeline.WORKER_URL);
+            } catch (error) {
+                console.log('Metadata worker unavailable, parsing on the main thread:', error);
+                resolve(false);
+                return;
+            }
+
+            let started = false;
+            this.worker.onmessage = (e) => {
+                if (e.data.type === 'ready') {
+                    started = true;
+                    resolve(true);
+                } else {
+                    this.onJobMessage(e.data);
+                }
+            };
+            this.worker.onerror = (e) => {
+                this.worker.terminate();
+                this.worker = null;
+
+                // Errors before "ready" mean the worker or its scripts could not be loaded
+                if (!started) {
+                    console.log('Metadata worker unavailable, parsing on the main thread:', e.message);
+                    resolve(false);
+                    return;
+                }
+
+                // Jobs sent to a worker that crashed will never finish; the next job starts a new one
+                console.error('Metadata worker stopped:', e.message);
+                this.workerReady = null;
+                this.jobs.forEach(job => job.reject(new Error('Metadata worker stopped unexpectedly')));
+                this.jobs.clear();
+                this.hideProgressIfIdle();
+            };
+        });
+
+        return this.workerReady;
+    }
+
+    /**
+     * Handle a progress, result or error message from a job
+     *
+     * @param {Object} message - Message posted by the worker (or the local fallback)
+     */
+    onJobMessage({ id, type, stage, fraction, result, message, code, offset }) {
+        const job = this.jobs.get(id);
+        if (!job) return;
+
+        if (type === 'progress') {
+            this.showProgress(`${job.label}: ${stage}`, fraction);
+            return;
+        }
+
+        this.jobs.delete(id);
+        this.hideProgressIfIdle();
+        if (type === 'result') job.resolve(result);
+        else job.reject(MetadataError.fromDescription({ code, message, offset }));
+    }
+
+    /**
+     * Cancel every read and job in progress
+     * Pending promises reject with an AbortError; cancelled files are read again next time
+     */
+    cancel() {
+        this.readers.forEach(reader => reader.abort());
+        this.readers.clear();
+
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+            this.workerReady = null;
+        }
+
+        this.jobs.forEach(job => job.reject(MetadataPipeline.createAbortError()));
+        this.jobs.clear();
+        this.hideProgressIfIdle();
+    }
+
+    /**
+     * Show the status bar with a stage and progress
+     * The bar only appears once work has been running for STATUS_DELAY_MS
+     *
+     * @param {string} label - Description of the current stage
+     * @param {number} fraction - Progress from 0 to 1
+     */
+    showProgress(label, fraction) {
+        const status = document.getElementById('pipeline-status');
+        if (!status) return;
+
+        document.getElementById('pipeline-status-text').textContent = label;
+        document.getElementById('pipeline-progress').value = fraction;
+
+        if (status.hidden && !this.statusTimer) {
+            this.statusTimer = setTimeout(() => {
+                this.statusTimer = null;
+                if (this.isBusy()) status.hidden = false;
+            }, MetadataPipeline.STATUS_DELAY_MS);
+        }
+    }
+
+    /**
+     * Hide the status bar when nothing is being read or processed
+     */
+    hideProgressIfIdle() {
+        if (this.isBusy()) return;
+
+        clearTimeout(this.statusTimer);
+        this.statusTimer = null;
+        const status = document.getElementById('pipeline-status');
+        if (status) status.hidden = true;
+    }
+
+    /**
+     * Check whether any read or job is in progress
+     *
+     * @returns {boolean} True while work is pending
+     */
+    isBusy() {
+        return this.readers.size > 0 || this.jobs.size > 0;
+    }
+
+    /**
+     * Create the error used for cancelled work
+     *
+     * @returns {DOMException} Error named "AbortError"
+     */
+    static createAbortError() {
+        return new DOMException('Processing cancelled', 'AbortError');
+    }
+}
+
+/**
+ * Initialize the MetadataPipeline when DOM is fully loaded
+ * Created before the viewer and remover, which share it
+ */
+document.addEventListener('DOMContentLoaded', () => {
+    window.metadataPipeline = new MetadataPipeline();
+});
@@ -1,11 +1,43 @@
 /**
  * MetadataRemover - Strips ALL metadata from images
  * 
- * This class removes EXIF metadata from images by redrawing them on a canvas.
- * The canvas-based approach ensures complete metadata removal including GPS data,
- * camera information, timestamps, and any other embedded metadata.
+ * This class removes EXIF metadata from images either losslessly, by dropping the
+ * metadata segments of a JPEG, or by redrawing them on a canvas. Both approaches
+ * remove GPS data, camera information, timestamps, and any other embedded metadata.
  */
 class MetadataRemover {
+    // Configuration constants
+    static ACCEPTED_TYPES = ['image/jpeg', 'image/jpg', 'image/png', 'image/webp', 'image/heic', 'image/heif'];
+
+    // Display names for each IFD in the tag checklist
+    static IFD_LABELS = {
+        '0th': 'Image (0th IFD)',
+        'Exif': 'Camera & exposure (Exif IFD)',
+        'GPS': 'Location (GPS IFD)',
+        'Interop': 'Interoperability'
+    };
+
+    // Checklist presets: each returns true when a tag should be kept
+    static TAG_PRESETS = {
+        all: () => false,
+        location: (ifd) => ifd !== 'GPS',
+        copyright: (ifd, tag) => ifd === '0th' && ['33432', '315', '274'].includes(tag),
+        'keep-all': () => true
+    };
+
+    // File extensions of the output formats, by MIME type
+    static OUTPUT_EXTENSIONS = {
+        'image/jpeg': 'jpg',
+        'image/png': 'png',
+        'image/webp': 'webp',
+        'image/avif': 'avif'
+    };
+
+    static DEFAULT_NAME_TEMPLATE = '{name}_cleaned';
+
+    // The output size is estimated once the settings stop changing for this long
+    static ESTIMATE_DELAY_MS = 300;
+
     /**
      * Initialize the MetadataRemover
      * Sets up properties to track files and metadata throughout the removal process
@@ -15,6 +47,23 @@ class MetadataRemover {
         this.cleanedFile = null;              // Cleaned file after metadata removal
         this.originalExifData = null;         // Original EXIF data for comparison
         this.originalMetadataCount = 0;       // Count of metadata fields in original
+        this.removedSegments = [];            // Segments dropped by the last lossless strip
+        this.lastStripWasLossless = false;    // Whether the last cleaned file kept the original image data
+        this.keptFieldCount = 0;              // Fields deliberately kept by selective removal
+        this.orientationResult = null;        // How the last clean handled the EXIF Orientation
+        this.iccResult = null;                // How the last clean handled the ICC colour profile
+        this.outputResult = null;             // Format, size and quality of the last re-encoded file
+        this.locationResult = null;           // How the last clean handled the GPS location
+        this.originalEmbeddedImages = [];     // EXIF thumbnail and MPF previews of the original
+        this.remainingEmbeddedImages = [];    // Embedded images still found in the cleaned file
+        this.originalHiddenData = null;       // Hidden data report of the original
+        this.cleanedHiddenData = null;        // Hidden data report of the last cleaned file
+        this.originalParseErrors = [];        // Metadata blocks of the original that could not be read
+        this.cleanedParseErrors = [];         // Metadata blocks of the last cleaned file that could not be read
+        this.batchQueue = [];                 // Entries for multi-file cleaning
+        this.batchRunning = false;            // Whether a batch is currently being processed
+        this.estimateTimer = null;            // Pending output size estimate
+        this.estimateRun = 0;                 // Latest estimate; older ones are discarded when they finish
         this.init();
     }
 
@@ -26,19 +75,73 @@ class MetadataRemover {
     }
 
     /**
-     * Set up event listeners for file input and clean button
-     * Handles file selection and metadata cleaning actions
+     * Set up event listeners for file inputs and clean buttons
+     * Handles file selection, single-file cleaning and batch actions
      */
     setupEventListeners() {
-        const fileInput = document.getElementById('remover-file-input');
-        fileInput.addEventListener('change', (e) => {
-            this.handleFileSelection(e.target.files[0]);
+        ['remover-file-input', 'remover-folder-input'].forEach(id => {
+            document.getElementById(id).addEventListener('change', (e) => {
+                this.handleFileSelections(Array.from(e.target.files));
+            });
         });
 
         const cleanButton = document.getElementById('clean-metadata-btn');
         cleanButton.addEventListener('click', () => {
             this.cleanMetadata();
         });
+
+        document.getElementById('clean-selected-btn').addEventListener('click', () => {
+            this.cleanSelectedMetadata();
+        });
+
+        document.querySelectorAll('#selective-removal [data-preset]').forEach(button => {
+            button.addEventListener('click', () => this.applyPreset(button.dataset.preset));
+        });
+
+        document.getElementById('clean-batch-btn').addEventListener('click', () => {
+            this.processBatch();
+        });
+
+        document.getElementById('download-zip-btn').addEventListener('click', () => {
+            this.downloadBatchZip();
+        });
+
+        document.getElementById('location-precision').addEventListener('change', () => {
+            this.updateLocationPreview();
+        });
+
+        document.getElementById('output-quality').addEventListener('input', (e) => {
+            document.getElementById('output-quality-value').textContent = `${e.target.value}%`;
+        });
+
+        // The file name does not change the size, every other option can
+        const sizeOptions = '#output-format, #output-quality, #output-max-width, #output-max-height, ' +
+            'input[name="strip-mode"], #keep-icc-profile, #location-precision';
+        document.querySelectorAll(sizeOptions).forEach(control => {
+            control.addEventListener('input', () => this.scheduleOutputEstimate());
+            control.addEventListener('change', () => this.scheduleOutputEstimate());
+        });
+    }
+
+    /**
+     * Route a selection to the single-file or batch flow
+     *
+     * @param {File[]} files - The selected files
+     */
+    async handleFileSelections(files) {
+        if (files.length === 0) return;
+
+        if (this.batchRunning) {
+            window.metadataTool.showNotification('Please wait for the current batch to finish', 'warning');
+            return;
+        }
+
+        if (files.length === 1) {
+            await this.handleFileSelection(files[0]);
+            return;
+        }
+
+        this.prepareBatch(files);
     }
 
     /**
@@ -52,13 +155,22 @@ class MetadataRemover {
 
         this.currentFile = file;
         this.displayFileInfo(file);
+        document.getElementById('batch-section').style.display = 'none';
 
         // Analyze and count metadata fields in the original file
-        await this.analyzeOriginalMetadata(file);
+        try {
+            await this.analyzeOriginalMetadata(file);
+        } catch (error) {
+            if (error.name !== 'AbortError') throw error;
+            window.metadataTool.showNotification('Processing cancelled', 'info');
+            return;
+        }
 
         // Show processing section, hide results until cleaning is complete
         document.getElementById('processing-section').style.display = 'block';
         document.getElementById('result-section').style.display = 'none';
+        this.updateLocationPreview();
+        this.scheduleOutputEstimate();
     }
 
     /**
@@ -68,10 +180,11 @@ class MetadataRemover {
      */
     displayFileInfo(file) {
         const fileInfoDiv = document.getElementById('remover-file-info');
+        const escape = (text) => window.metadataTool.escapeHtml(text);
         fileInfoDiv.innerHTML = `
-            <p><strong>File Name:</strong> ${file.name}</p>
+            <p><strong>File Name:</strong> ${escape(file.name)}</p>
             <p><strong>File Size:</strong> ${window.metadataTool.formatFileSize(file.size)}</p>
-            <p><strong>File Type:</strong> ${file.type || 'Unknown'}</p>
+            <p><strong>File Type:</strong> ${escape(file.type || 'Unknown')}</p>
         `;
     }
 
@@ -83,86 +196,455 @@ class MetadataRemover {
      * @returns {Promise} Resolves when analysis is complete
      */
     async analyzeOriginalMetadata(file) {
-        return new Promise((resolve) => {
-            const reader = new FileReader();
-
-            reader.onload = (e) => {
-                try {
-                    const imageData = e.target.result;
-                    // Load EXIF data from the image
-                    this.originalExifData = piexif.load(imageData);
-
-                    // Count total metadata fields across all IFDs
-                    let count = 0;
-                    const foundFields = [];
-
-                    // Iterate through each IFD (Image File Directory)
-                    for (let ifd in this.originalExifData) {
-                        if (this.originalExifData[ifd] && typeof this.originalExifData[ifd] === 'object') {
-                            const keys = Object.keys(this.originalExifData[ifd]);
-                            count += keys.length;
-
-                            // Get field names for display
-                            if (keys.length > 0) {
-                                foundFields.push(`${ifd}: ${keys.length} fields`);
-                            }
-                        }
-                    }
+        // Load EXIF data, maker notes, IPTC datasets, PNG/WebP/HEIF metadata chunks and embedded previews
+        const { exif, makerNote, iptc: iptcDatasets, metadataChunks: containerChunks, embeddedImages, parseErrors } =
+            await this.readFileMetadata(file);
+        this.originalExifData = exif;
+        this.originalParseErrors = parseErrors;
+        this.originalEmbeddedImages = embeddedImages;
+        const mpfImages = embeddedImages.filter(image => image.kind === 'mpf');
+        const makerNoteFields = makerNote ? makerNote.fields : [];
+
+        // Count total metadata fields across all IFDs, maker notes, datasets, chunks and MPF images
+        const count = this.countMetadataFields(this.originalExifData) + makerNoteFields.length +
+            iptcDatasets.length + containerChunks.length + mpfImages.length;
+        const foundFields = [];
 
-                    this.originalMetadataCount = count;
-
-                    // Display metadata preview
-                    const metadataPreview = document.getElementById('metadata-preview');
-                    const foundMetadata = document.getElementById('found-metadata');
-
-                    // Display results based on metadata count
-                    if (count > 0) {
-                        // Show warning about found metadata
-                        metadataPreview.style.display = 'block';
-                        foundMetadata.innerHTML = `
-                            <p><strong>🔍 Found ${count} metadata fields in this image:</strong></p>
-                            <ul>
-                                ${foundFields.map(field => `<li>${field}</li>`).join('')}
-                            </ul>
-                            <p class="warning-message">⚠️ This metadata may contain sensitive information including:</p>
-                            <ul>
-                                <li>GPS location data</li>
-                                <li>Camera make and model</li>
-                                <li>Date and time photos were taken</li>
-                                <li>Software used to edit the image</li>
-                                <li>Author/copyright information</li>
-                            </ul>
-                        `;
-                    } else {
-                        // Image is already clean
-                        metadataPreview.style.display = 'block';
-                        foundMetadata.innerHTML = `
-                            <p class="success-message">✅ No EXIF metadata detected in this image</p>
-                            <p>This image is already clean, but you can still process it to ensure no hidden metadata exists.</p>
-                        `;
+        // Get per-IFD field counts for display
+        if (this.originalExifData) {
+            for (let ifd in this.originalExifData) {
+                if (this.originalExifData[ifd] && typeof this.originalExifData[ifd] === 'object') {
+                    const keys = Object.keys(this.originalExifData[ifd]);
+                    if (keys.length > 0) {
+                        foundFields.push(`${ifd}: ${keys.length} fields`);
                     }
+                }
+            }
+        }
+
+        // Maker note fields sit inside the single MakerNote tag, so they are listed on their own
+        if (makerNoteFields.length > 0) {
+            foundFields.push(`Maker notes (${makerNote.vendor}): ${makerNoteFields.length} fields`);
+        }
+
+        if (iptcDatasets.length > 0) {
+            foundFields.push(`IPTC: ${iptcDatasets.length} fields`);
+        }
+
+        if (containerChunks.length > 0) {
+            const types = [...new Set(containerChunks.map(chunk => chunk.type.trim()))].join(', ');
+            foundFields.push(`Container metadata (${types}): ${containerChunks.length} fields`);
+        }
+
+        if (embeddedImages.length > 0) {
+            foundFields.push(`Embedded preview images: ${embeddedImages.map(image => image.label).join(', ')}`);
+        }
+
+        this.originalMetadataCount = count;
+
+        // Display metadata preview
+        const metadataPreview = document.getElementById('metadata-preview');
+        const foundMetadata = document.getElementById('found-metadata');
+        metadataPreview.style.display = 'block';
+
+        // Blocks that could not be read may hold more fields than were counted
+        const parseErrorNote = parseErrors.length > 0 ? `
+                <p class="status-text warning">⚠️ Part of the metadata could not be read, so there may be more than listed:</p>
+                ${MetadataError.renderList(parseErrors)}
+            ` : '';
+
+        // Display results based on metadata count
+        if (count > 0) {
+            // Show warning about found metadata
+            foundMetadata.innerHTML = `
+                <p><strong>🔍 Found ${count} metadata fields in this image:</strong></p>
+                <ul>
+                    ${foundFields.map(field => `<li>${window.metadataTool.escapeHtml(field)}</li>`).join('')}
+                </ul>
+                ${this.renderRiskSummary([
+                    ...this.getFieldLabels(this.originalExifData, iptcDatasets, containerChunks, mpfImages),
+                    ...makerNoteFields.map(field => field.name)
+                ])}
+                ${parseErrorNote}
+            `;
+        } else if (parseErrors.length > 0) {
+            foundMetadata.innerHTML = `
+                <p><strong>🔍 No metadata fields could be read from this image</strong></p>
+                ${parseErrorNote}
+                <p>Cleaning removes the unreadable blocks along with everything else.</p>
+            `;
+        } else {
+            // Image is already clean, unless the hidden data scan below finds something
+            foundMetadata.innerHTML = `
+                <p class="success-message">✅ No EXIF metadata detected in this image</p>
+                <p>This image has no metadata fields, but you can still process it to remove anything the hidden data scan finds.</p>
+            `;
+        }
+
+        this.renderTagChecklist(file, this.originalExifData);
+
+        this.originalHiddenData = await this.inspectHiddenData(file);
+        const hiddenDataBlock = document.getElementById('remover-hidden-data');
+        hiddenDataBlock.style.display = this.originalHiddenData ? 'block' : 'none';
+        if (this.originalHiddenData) {
+            document.getElementById('remover-hidden-data-report').innerHTML =
+                HiddenDataScanner.renderReport(this.originalHiddenData);
+        }
+    }
 
-                    resolve();
-                } catch (error) {
-                    // Error reading EXIF means no metadata exists (which is good)
-                    console.log('No EXIF data found or error reading EXIF:', error);
-                    this.originalMetadataCount = 0;
-                    this.originalExifData = null;
-
-                    const metadataPreview = document.getElementById('metadata-preview');
-                    const foundMetadata = document.getElementById('found-metadata');
-                    metadataPreview.style.display = 'block';
-                    foundMetadata.innerHTML = `
-                        <p class="success-message">✅ No EXIF metadata detected</p>
-                        <p>This image appears to be clean already.</p>
-                    `;
-
-                    resolve();
+    /**
+     * List the display names of every metadata field found in a file
+     *
+     * @param {Object|null} exifData - EXIF object from piexifjs
+     * @param {Object[]} iptcDatasets - IPTC datasets from readFileMetadata
+     * @param {Object[]} containerChunks - Metadata chunks from readFileMetadata
+     * @param {Object[]} mpfImages - MPF preview images from readFileMetadata
+     * @returns {string[]} Field labels
+     */
+    getFieldLabels(exifData, iptcDatasets, containerChunks, mpfImages = []) {
+        const labels = [];
+
+        Object.keys(MetadataRemover.IFD_LABELS).forEach(ifd => {
+            Object.keys(exifData?.[ifd] || {})
+                .filter(tag => !ExifTags.POINTER_TAGS.includes(tag))
+                .forEach(tag => labels.push(this.getTagLabel(ifd, tag)));
+        });
+        if (exifData?.thumbnail) labels.push('Embedded thumbnail');
+
+        iptcDatasets.forEach(dataset => labels.push(dataset.name));
+        containerChunks.forEach(chunk => labels.push(chunk.label));
+        mpfImages.forEach(image => labels.push(image.label));
+        return labels;
+    }
+
+    /**
+     * Build the warning list from the fields actually found, grouped by privacy risk
+     *
+     * @param {string[]} labels - Field labels from getFieldLabels
+     * @returns {string} HTML for the warning message and list
+     */
+    renderRiskSummary(labels) {
+        const escape = (text) => window.metadataTool.escapeHtml(text);
+        const groups = PrivacyClassifier.summarize(labels);
+        const sensitive = groups.filter(group => group.level !== 'low');
+
+        if (sensitive.length === 0) {
+            return '<p>Only technical settings were found, but they are still removed when cleaning.</p>';
+        }
+
+        const items = groups.map(group => {
+            const shown = group.fields.slice(0, 5).map(escape).join(', ');
+            const more = group.fields.length > 5 ? ` and ${group.fields.length - 5} more` : '';
+            return `<li class="risk-${group.level}"><strong>${group.category}</strong> ` +
+                `<span class="risk-badge">${group.level}</span>: ${shown}${more}</li>`;
+        });
+
+        return `
+            <p class="warning-message">⚠️ This metadata contains sensitive information:</p>
+            <ul class="risk-list">${items.join('')}</ul>
+        `;
+    }
+
+    /**
+     * Render the tag-level checklist used for selective removal
+     * Checked tags are kept and everything starts unchecked, so cleaning without
+     * touching the checklist removes every tag. Only JPEGs with EXIF data get a
+     * checklist, because the file is rebuilt with piexif.insert
+     *
+     * @param {File} file - The original file
+     * @param {Object|null} exifData - EXIF object from piexifjs
+     */
+    renderTagChecklist(file, exifData) {
+        const section = document.getElementById('selective-removal');
+        const checklist = document.getElementById('tag-checklist');
+        checklist.innerHTML = '';
+
+        const isJpeg = ['image/jpeg', 'image/jpg'].includes(file.type.toLowerCase());
+        if (!isJpeg || this.countMetadataFields(exifData) === 0) {
+            section.style.display = 'none';
+            return;
+        }
+
+        const escape = (text) => window.metadataTool.escapeHtml(text);
+
+        Object.entries(MetadataRemover.IFD_LABELS).forEach(([ifd, label]) => {
+            const tags = Object.keys(exifData[ifd] || {})
+                .filter(tag => !ExifTags.POINTER_TAGS.includes(tag));
+            if (tags.length === 0) return;
+
+            const group = document.createElement('fieldset');
+            group.className = 'tag-group';
+            group.innerHTML = `
+                <legend>${label}</legend>
+                ${tags.map(tag => `
+                    <label class="tag-option">
+                        <input type="checkbox" data-ifd="${ifd}" data-tag="${tag}">
+                        <span class="tag-name">${escape(this.getTagLabel(ifd, tag))}</span>
+                        <span class="tag-value">${escape(this.formatTagPreview(exifData[ifd][tag]))}</span>
+                    </label>
+                `).join('')}
+            `;
+            checklist.appendChild(group);
+        });
+
+        // The thumbnail and its 1st IFD are kept or removed as a unit
+        if (exifData.thumbnail) {
+            const group = document.createElement('fieldset');
+            group.className = 'tag-group';
+            group.innerHTML = `
+                <legend>Thumbnail (1st IFD)</legend>
+                <label class="tag-option">
+                    <input type="checkbox" data-ifd="thumbnail" data-tag="">
+                    <span class="tag-name">Embedded thumbnail image</span>
+                    <span class="tag-value">${window.metadataTool.formatFileSize(exifData.thumbnail.length)}</span>
+                </label>
+            `;
+            checklist.appendChild(group);
+        }
+
+        section.style.display = 'block';
+    }
+
+    /**
+     * Check or uncheck tags according to a preset
+     *
+     * @param {string} preset - Key of MetadataRemover.TAG_PRESETS
+     */
+    applyPreset(preset) {
+        const shouldKeep = MetadataRemover.TAG_PRESETS[preset];
+        if (!shouldKeep) return;
+
+        document.querySelectorAll('#tag-checklist input[type="checkbox"]').forEach(checkbox => {
+            checkbox.checked = shouldKeep(checkbox.dataset.ifd, checkbox.dataset.tag);
+        });
+    }
+
+    /**
+     * Get the tags currently checked to be kept
+     *
+     * @returns {Set<string>} Keys in the form "ifd:tag" (the thumbnail is "thumbnail:")
+     */
+    getSelectedTags() {
+        const selected = new Set();
+        document.querySelectorAll('#tag-checklist input[type="checkbox"]:checked').forEach(checkbox => {
+            selected.add(`${checkbox.dataset.ifd}:${checkbox.dataset.tag}`);
+        });
+        return selected;
+    }
+
+    /**
+     * Get a human-readable tag name
+     * Uses the viewer's names first, then the names known to piexifjs
+     *
+     * @param {string} ifd - IFD name ('0th', 'Exif', 'GPS', 'Interop')
+     * @param {string} tag - Numeric tag as a string
+     * @returns {string} Tag name
+     */
+    getTagLabel(ifd, tag) {
+        const viewerName = ExifTags.getName(ifd, tag);
+        if (viewerName) return viewerName;
+
+        const group = ifd === '0th' ? 'Image' : ifd;
+        return piexif.TAGS[group]?.[tag]?.name || `${ifd} Tag ${tag}`;
+    }
+
+    /**
+     * Format a raw EXIF value as a short preview for the checklist
+     *
+     * @param {*} value - Raw value from piexifjs
+     * @returns {string} Preview of at most 40 characters
+     */
+    formatTagPreview(value) {
+        let text;
+        if (Array.isArray(value)) {
+            text = value.map(part => Array.isArray(part) ? part.join('/') : part).join(', ');
+        } else {
+            text = String(value);
+        }
+
+        // Binary values (e.g. MakerNote) are not worth previewing
+        if (/[\x00-\x08\x0e-\x1f]/.test(text)) {
+            return `${text.length} bytes of binary data`;
+        }
+        return text.length > 40 ? text.slice(0, 40) + '…' : text;
+    }
+
+    /**
+     * Remove only the unchecked tags and create a clean file
+     */
+    async cleanSelectedMetadata() {
+        if (!this.currentFile) {
+            window.metadataTool.showNotification('Please select a file first', 'warning');
+            return;
+        }
+
+        const selection = this.getSelectedTags();
+        const removedCount = document.querySelectorAll('#tag-checklist input[type="checkbox"]').length - selection.size;
+        const cleanButton = document.getElementById('clean-selected-btn');
+        const originalText = cleanButton.innerHTML;
+        cleanButton.innerHTML = '<div class="loading"></div> Removing tags...';
+        cleanButton.disabled = true;
+
+        try {
+            this.cleanedFile = await this.stripSelectedTags(this.currentFile, selection);
+            await this.verifyCleanedFile(this.cleanedFile);
+
+            window.metadataTool.showNotification(`✅ Removed ${removedCount} unchecked tags`, 'success');
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                window.metadataTool.showNotification('Processing cancelled', 'info');
+                return;
+            }
+            console.error('Error removing selected tags:', error);
+            window.metadataTool.showNotification('Error removing metadata: ' + error.message, 'error');
+        } finally {
+            cleanButton.innerHTML = originalText;
+            cleanButton.disabled = false;
+        }
+    }
+
+    /**
+     * Rebuild a JPEG keeping only the selected EXIF tags
+     * All other metadata segments are dropped losslessly, then the reduced EXIF
+     * block is written back with piexif.dump/piexif.insert in the pipeline's worker.
+     * No canvas re-encode happens. If Orientation is among the removed tags, the
+     * image is rotated losslessly so it still displays upright.
+     *
+     * @param {File} file - The original JPEG
+     * @param {Set<string>} selection - Tags to keep, as returned by getSelectedTags
+     * @returns {Promise<File>} Promise resolving to the cleaned file
+     */
+    async stripSelectedTags(file, selection) {
+        const exifData = JSON.parse(JSON.stringify(this.originalExifData));
+
+        ['0th', 'Exif', 'GPS', 'Interop'].forEach(ifd => {
+            Object.keys(exifData[ifd] || {}).forEach(tag => {
+                if (!selection.has(`${ifd}:${tag}`)) {
+                    delete exifData[ifd][tag];
                 }
+            });
+        });
+
+        if (!selection.has('thumbnail:')) {
+            exifData.thumbnail = null;
+            exifData['1st'] = {};
+        }
+
+        // Removing the Orientation tag means turning the image upright instead
+        const orientation = selection.has('0th:274') ? 1 : ImageOrientation.fromExif(this.originalExifData);
+
+        const keepIcc = this.getKeepIcc();
+        const { file: cleanedFile, removed, keptFields, orientation: orientationResult } =
+            await window.metadataPipeline.strip(
+                file,
+                this.getCleanedFileName(file),
+                { exif: this.countMetadataFields(exifData) > 0 ? exifData : null, orientation, keepIcc }
+            );
+        this.removedSegments = removed;
+        this.lastStripWasLossless = true;
+        this.keptFieldCount = keptFields;
+        this.orientationResult = orientationResult;
+        this.outputResult = null;
+        this.locationResult = null;
+        this.iccResult = await this.getIccResult(file, { kept: keepIcc });
+
+        return cleanedFile;
+    }
+
+    /**
+     * Read the EXIF data, IPTC datasets and container metadata chunks of a file
+     * Parsing happens once per file in the shared pipeline. A file that cannot be
+     * parsed has no fields, but its error is reported in parseErrors: it may still
+     * hold metadata that could not be read
+     *
+     * @param {File} file - The image file to read
+     * @returns {Promise<{exif: Object|null, makerNote: Object|null, iptc: Object[], metadataChunks: Object[],
+     *     embeddedImages: Object[], hiddenData: Object|null, icc: Object|null, iccProfile: Uint8Array|null,
+     *     parseErrors: Object[]}>}
+     *     EXIF object from piexifjs, decoded maker note fields, IPTC datasets, PNG/WebP/HEIF metadata
+     *     chunks (the EXIF chunk is left out because its fields are counted through exif), the
+     *     embedded EXIF thumbnail and MPF previews, the hidden data report (without the pixel
+     *     check), the decoded and raw ICC profile, and the blocks that could not be read
+     *     ({ block, code, message, offset }, see MetadataError)
+     * @throws {DOMException} AbortError if the user cancels processing
+     */
+    async readFileMetadata(file) {
+        try {
+            const parsed = await window.metadataPipeline.parse(file);
+            const { exif, makerNote, iptc, metadataChunks, embeddedImages, hiddenData, icc, iccProfile } = parsed;
+            return {
+                exif, makerNote, iptc, metadataChunks, embeddedImages, hiddenData, icc, iccProfile,
+                parseErrors: MetadataError.collect(parsed)
+            };
+        } catch (error) {
+            if (error.name === 'AbortError') throw error;
+            console.error('Error reading metadata:', error);
+            return {
+                exif: null, makerNote: null, iptc: [], metadataChunks: [], embeddedImages: [], hiddenData: null,
+                icc: null, iccProfile: null, parseErrors: [{ block: 'File', ...MetadataError.describe(error) }]
             };
+        }
+    }
 
-            reader.readAsDataURL(file);
-        });
+    /**
+     * Get the full hidden data report of a file
+     * The worker has no canvas, so PNG and WebP pixels are tested here
+     *
+     * @param {File} file - The image file to inspect
+     * @returns {Promise<Object|null>} Report from HiddenDataScanner, or null if the file cannot be parsed
+     * @throws {DOMException} AbortError if the user cancels processing
+     */
+    async inspectHiddenData(file) {
+        const { hiddenData } = await this.readFileMetadata(file);
+        if (!hiddenData || hiddenData.lsb) return hiddenData;
+        // The parse result is cached, so the pixel result goes on a copy
+        return { ...hiddenData, lsb: await HiddenDataScanner.checkFile(file) };
+    }
+
+    /**
+     * Read the EXIF Orientation of a file
+     *
+     * @param {File} file - The image file to read
+     * @returns {Promise<number>} Orientation 1-8 (1 when the file has no Orientation tag)
+     * @throws {DOMException} AbortError if the user cancels processing
+     */
+    async readOrientation(file) {
+        const { exif } = await this.readFileMetadata(file);
+        return ImageOrientation.fromExif(exif);
+    }
+
+    /**
+     * Count every metadata field in a file (EXIF fields, decoded maker note fields,
+     * IPTC datasets, container metadata chunks and MPF preview images)
+     *
+     * @param {File} file - The image file to inspect
+     * @returns {Promise<number>} Total number of fields
+     */
+    async countFileMetadata(file) {
+        const { exif, makerNote, iptc, metadataChunks, embeddedImages } = await this.readFileMetadata(file);
+        // The EXIF thumbnail is already counted with the EXIF fields
+        const mpfImages = embeddedImages.filter(image => image.kind === 'mpf');
+        const makerNoteCount = makerNote ? makerNote.fields.length : 0;
+        return this.countMetadataFields(exif) + makerNoteCount + iptc.length + metadataChunks.length + mpfImages.length;
+    }
+
+    /**
+     * Count metadata fields across all IFDs of an EXIF object
+     * The IFD1 thumbnail is a binary string rather than an IFD, and counts as one field
+     *
+     * @param {Object|null} exifData - EXIF object from piexifjs
+     * @returns {number} Total number of fields
+     */
+    countMetadataFields(exifData) {
+        if (!exifData) return 0;
+
+        let count = exifData.thumbnail ? 1 : 0;
+        for (let ifd in exifData) {
+            if (exifData[ifd] && typeof exifData[ifd] === 'object') {
+                count += Object.keys(exifData[ifd]).length;
+            }
+        }
+        return count;
     }
 
     /**
@@ -182,14 +664,23 @@ class MetadataRemover {
         cleanButton.disabled = true;
 
         try {
-            // Remove ALL metadata by redrawing image on canvas
+            // Remove ALL metadata, losslessly where possible
+            this.keptFieldCount = 0;
             this.cleanedFile = await this.stripAllMetadata(this.currentFile);
 
             // Verify that metadata was actually removed
             await this.verifyCleanedFile(this.cleanedFile);
 
-            window.metadataTool.showNotification('✅ All metadata removed successfully!', 'success');
+            if (this.cleanedParseErrors.length > 0) {
+                window.metadataTool.showNotification('Metadata removed, but the cleaned file could not be verified', 'warning');
+            } else {
+                window.metadataTool.showNotification('✅ All metadata removed successfully!', 'success');
+            }
         } catch (error) {
+            if (error.name === 'AbortError') {
+                window.metadataTool.showNotification('Processing cancelled', 'info');
+                return;
+            }
             console.error('Error cleaning metadata:', error);
             window.metadataTool.showNotification('Error removing metadata: ' + error.message, 'error');
         } finally {
@@ -201,67 +692,597 @@ class MetadataRemover {
 
     /**
      * Strip all metadata from an image file
-     * Uses canvas redrawing technique which inherently removes all EXIF data
+     * JPEGs, PNGs and WebPs are cleaned losslessly when lossless mode is selected
+     * and the output settings keep the format and size; everything else is redrawn
+     * on a canvas. Either way the EXIF Orientation is baked into the pixels where
+     * possible, since the tag itself is removed. When a location precision is
+     * chosen, cleaned JPEGs get an approximate GPS location written back
      * 
      * @param {File} file - The image file to clean
+     * @param {number} index - Position of the file in the batch, for the {index} name token
+     * @returns {Promise<File>} Promise resolving to the cleaned file
+     */
+    async stripAllMetadata(file, index = 1) {
+        const orientation = await this.readOrientation(file);
+        const { exif } = await this.readFileMetadata(file);
+        const location = this.getFuzzedLocation(exif);
+        const locationExif = this.getLocationExif(location);
+
+        this.keptFieldCount = 0;
+        let cleanedFile;
+        if (this.canStripLosslessly(file)) {
+            cleanedFile = await this.stripLossless(file, orientation, index, locationExif);
+        } else {
+            cleanedFile = await this.reencodeWithoutMetadata(file, orientation, index);
+            if (locationExif && cleanedFile.type === 'image/jpeg') {
+                cleanedFile = await window.metadataEditor.insertExif(cleanedFile, locationExif);
+                // Count the written fields the same way the verification step will
+                this.keptFieldCount = this.countMetadataFields(piexif.load(piexif.dump(locationExif)));
+            }
+        }
+
+        this.locationResult = location;
+        if (location?.gps && this.getOutputType(cleanedFile, { format: 'original' }) !== 'image/jpeg') {
+            const format = MetadataRemover.OUTPUT_EXTENSIONS[cleanedFile.type] || window.metadataTool.getFileExtension(cleanedFile.name);
+            this.locationResult = {
+                ...location,
+                gps: null,
+                reason: `Only JPEGs can hold an approximate location, so it was removed from this ${format.toUpperCase()} file`
+            };
+        }
+        return cleanedFile;
+    }
+
+    /**
+     * Get the location precision chosen in the options panel
+     *
+     * @returns {string} 'remove' or one of LocationFuzzer.PRECISIONS
+     */
+    getLocationPrecision() {
+        const select = document.getElementById('location-precision');
+        return select ? select.value : 'remove';
+    }
+
+    /**
+     * Work out the approximate location to keep for a file
+     * The coordinates are read, before and after fuzzing, the way the viewer reads them
+     *
+     * @param {Object|null} exif - EXIF object from piexifjs
+     * @returns {Object|null} null if the location is removed or the file has none, otherwise
+     *     { label, gps, removedTags, original, fuzzed, reason }: the precision label, the GPS
+     *     IFD to write, the GPS tags dropped, both positions as { lat, lon }, and why gps is
+     *     null when no approximate location can be written
+     */
+    getFuzzedLocation(exif) {
+        const precision = this.getLocationPrecision();
+        const gps = exif?.GPS;
+        if (precision === 'remove' || !gps || (gps[2] === undefined && gps[4] === undefined)) return null;
+
+        const viewer = window.metadataViewer;
+        const result = {
+            label: LocationFuzzer.PRECISIONS[precision].label,
+            gps: null,
+            removedTags: [],
+            original: null,
+            fuzzed: null,
+            reason: null
+        };
+
+        const lat = viewer.convertGPSToDecimal(gps[2], gps[1]);
+        const lon = viewer.convertGPSToDecimal(gps[4], gps[3]);
+        if (lat === null || lon === null || Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+            result.reason = 'The GPS coordinates could not be read, so the location was removed';
+            return result;
+        }
+        result.original = { lat, lon };
+
+        const fuzzed = LocationFuzzer.fuzz(gps, lat, lon, precision);
+        if (!fuzzed) {
+            result.reason = 'The location is not inside a country of the offline map data, so it was removed';
+            return result;
+        }
+
+        result.gps = fuzzed.gps;
+        result.removedTags = fuzzed.removedTags;
+        result.fuzzed = {
+            lat: viewer.convertGPSToDecimal(fuzzed.gps[2], fuzzed.gps[1]),
+            lon: viewer.convertGPSToDecimal(fuzzed.gps[4], fuzzed.gps[3])
+        };
+        return result;
+    }
+
+    /**
+     * Build the EXIF block that holds an approximate location
+     *
+     * @param {Object|null} location - Result of getFuzzedLocation
+     * @returns {Object|null} EXIF object for piexif.dump, or null if no location is written
+     */
+    getLocationExif(location) {
+        return location?.gps
+            ? { '0th': {}, 'Exif': {}, 'GPS': location.gps, 'Interop': {}, '1st': {}, 'thumbnail': null }
+            : null;
+    }
+
+    /**
+     * Show where the current file's location will end up with the chosen precision
+     */
+    updateLocationPreview() {
+        const preview = document.getElementById('location-fuzz-preview');
+        // Cleaning writes what getFuzzedLocation returns, so the preview goes by it alone
+        const location = this.currentFile ? this.getFuzzedLocation(this.originalExifData) : null;
+        const hasGps = location !== null;
+
+        preview.hidden = !this.currentFile || (!hasGps && this.getLocationPrecision() === 'remove');
+        if (preview.hidden) return;
+
+        if (!hasGps) {
+            preview.textContent = 'This image has no GPS location';
+        } else if (!location.gps) {
+            preview.textContent = location.reason;
+        } else {
+            const { original, fuzzed } = location;
+            const place = GeoLocator.reverseGeocode(fuzzed.lat, fuzzed.lon);
+            const moved = GeoLocator.distanceKm(original.lat, original.lon, fuzzed.lat, fuzzed.lon);
+            preview.textContent = `📍 ${original.lat.toFixed(6)}, ${original.lon.toFixed(6)} will be saved as ` +
+                `${fuzzed.lat.toFixed(6)}, ${fuzzed.lon.toFixed(6)}` +
+                (place.country ? ` (${[place.city, place.country].filter(Boolean).join(', ')})` : '') +
+                `, ${this.describeDistance(moved)} from the original`;
+        }
+    }
+
+    /**
+     * Format a distance for the location preview and summary
+     *
+     * @param {number} km - Distance in kilometres
+     * @returns {string} e.g. "350 m" or "12.4 km"
+     */
+    describeDistance(km) {
+        return km < 1 ? `${Math.round(km * 1000)} m` : `${km.toFixed(1)} km`;
+    }
+
+    /**
+     * Get the cleaning mode chosen in the options panel
+     *
+     * @returns {string} 'lossless' or 'reencode'
+     */
+    getStripMode() {
+        const selected = document.querySelector('input[name="strip-mode"]:checked');
+        return selected ? selected.value : 'lossless';
+    }
+
+    /**
+     * Check whether the ICC colour profile should be kept
+     *
+     * @returns {boolean} True when the option is checked (the default)
+     */
+    getKeepIcc() {
+        const checkbox = document.getElementById('keep-icc-profile');
+        return checkbox ? checkbox.checked : true;
+    }
+
+    /**
+     * Get the output settings chosen in the options panel
+     * Empty or invalid sizes mean no limit
+     *
+     * @returns {{format: string, quality: number, maxWidth: number|null, maxHeight: number|null,
+     *     nameTemplate: string}} 'original' or a MIME type, quality in percent, the size limits
+     *     in pixels and the file name template
+     */
+    getOutputSettings() {
+        const value = (id) => document.getElementById(id)?.value ?? '';
+        const dimension = (id) => {
+            const number = parseInt(value(id), 10);
+            return number > 0 ? number : null;
+        };
+        const quality = parseInt(value('output-quality'), 10);
+
+        return {
+            format: value('output-format') || 'original',
+            quality: quality >= 10 && quality <= 100 ? quality : 92,
+            maxWidth: dimension('output-max-width'),
+            maxHeight: dimension('output-max-height'),
+            nameTemplate: value('output-name-template').trim() || MetadataRemover.DEFAULT_NAME_TEMPLATE
+        };
+    }
+
+    /**
+     * Get the type a file is encoded as when it is re-encoded
+     *
+     * @param {File} file - The original file
+     * @param {Object} settings - Output settings from getOutputSettings
+     * @returns {string} MIME type
+     */
+    getOutputType(file, settings) {
+        if (settings.format !== 'original') return settings.format;
+        const type = window.metadataTool.getMimeType(file);
+        return type === 'image/jpg' ? 'image/jpeg' : type;
+    }
+
+    /**
+     * Check whether the output settings ask for a different format or a smaller image
+     * Quality alone does not: it only applies when the image is re-encoded anyway
+     *
+     * @param {File} file - The original file
+     * @param {Object} settings - Output settings from getOutputSettings
+     * @returns {boolean} True when the file must be re-encoded
+     */
+    outputNeedsReencode(file, settings) {
+        return this.getOutputType(file, settings) !== this.getOutputType(file, { format: 'original' }) ||
+            settings.maxWidth !== null || settings.maxHeight !== null;
+    }
+
+    /**
+     * Describe how a clean handled the colour profile of a file
+     *
+     * @param {File} file - The original file
+     * @param {Object} handling - What happened to the profile
+     * @param {boolean} handling.kept - Whether the cleaned file has the profile
+     * @param {boolean} handling.converted - Whether the pixels were converted to sRGB instead
+     * @param {string|null} handling.reason - Why the profile could not be handled as chosen
+     * @returns {Promise<Object|null>} { description, kept, converted, reason }, or null if the
+     *     file has no profile
+     */
+    async getIccResult(file, { kept, converted = false, reason = null }) {
+        const { icc } = await this.readFileMetadata(file);
+        if (!icc) return null;
+        return { description: icc.description || `${icc.colorSpace} profile`, kept, converted, reason };
+    }
+
+    /**
+     * Get the parser that can strip a file type losslessly
+     *
+     * @param {File} file - The image file to clean
+     * @returns {Function|null} JpegParser, PngParser, WebpParser, HeicParser, or null if unsupported
+     */
+    getLosslessParser(file) {
+        const type = window.metadataTool.getMimeType(file);
+        if (type === 'image/jpeg' || type === 'image/jpg') return JpegParser;
+        if (type === 'image/png') return PngParser;
+        if (type === 'image/webp') return WebpParser;
+        if (type === 'image/heic' || type === 'image/heif') return HeicParser;
+        return null;
+    }
+
+    /**
+     * Check whether a file will be cleaned without re-encoding
+     *
+     * @param {File} file - The image file to clean
+     * @returns {boolean} True for supported formats in lossless mode unless the output
+     *     settings convert or resize them, and always for HEIF
+     */
+    canStripLosslessly(file) {
+        const parser = this.getLosslessParser(file);
+        // Browsers cannot redraw or encode HEIF, so it is always cleaned in place
+        if (parser === HeicParser) return true;
+        return this.getStripMode() === 'lossless' && parser !== null &&
+            !this.outputNeedsReencode(file, this.getOutputSettings());
+    }
+
+    /**
+     * Build the file name for a cleaned copy from the name template
+     * The template tokens are {name} (the original name without its extension),
+     * {date} (today, as YYYY-MM-DD) and {index}. Characters that file systems
+     * reject are replaced, and the extension follows the output type
+     *
+     * @param {File} file - The original file
+     * @param {Object} options - Naming options
+     * @param {number} options.index - Position of the file in the batch
+     * @param {string|null} options.type - Type of the cleaned file, if it was re-encoded
+     * @param {string} options.template - Name template, from the output settings by default
+     * @returns {string} Name of the cleaned file
+     */
+    getCleanedFileName(file, { index = 1, type = null, template = this.getOutputSettings().nameTemplate } = {}) {
+        const originalName = file.name.replace(/\.[^/.]+$/, '');
+        const now = new Date();
+        const pad = (number) => String(number).padStart(2, '0');
+        const tokens = {
+            name: originalName,
+            date: `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`,
+            index: String(index)
+        };
+
+        const baseName = template
+            .replace(/\{(name|date|index)\}/g, (match, token) => tokens[token])
+            .replace(/[\\/:*?"<>|\x00-\x1f]/g, '_')
+            .trim() || `${originalName}_cleaned`;
+
+        const keepsType = !type || type === this.getOutputType(file, { format: 'original' });
+        const extension = keepsType
+            ? window.metadataTool.getFileExtension(file.name)
+            : MetadataRemover.OUTPUT_EXTENSIONS[type] || window.metadataTool.getFileExtension(file.name);
+        return extension ? `${baseName}.${extension}` : baseName;
+    }
+
+    /**
+     * Strip metadata from a JPEG, PNG, WebP or HEIF file without re-encoding it
+     * Metadata segments, chunks and HEIF items are dropped and the
+     * compressed image data is copied unchanged, so there is no quality loss and
+     * the ICC profile is kept. The work happens in the pipeline's worker.
+     * A rotated JPEG has its DCT blocks rearranged instead, which is still lossless
+     *
+     * @param {File} file - The file to clean
+     * @param {number} orientation - EXIF Orientation of the file
+     * @param {number} index - Position of the file in the batch
+     * @param {Object|null} exif - EXIF object to write back (JPEG only), e.g. an approximate location
      * @returns {Promise<File>} Promise resolving to the cleaned file
      */
-    async stripAllMetadata(file) {
+    async stripLossless(file, orientation = 1, index = 1, exif = null) {
+        const keepIcc = this.getKeepIcc();
+        const { file: cleanedFile, removed, keptFields, orientation: orientationResult } =
+            await window.metadataPipeline.strip(file, this.getCleanedFileName(file, { index }), { orientation, keepIcc, exif });
+        this.removedSegments = removed;
+        this.lastStripWasLossless = true;
+        // Only set when the Orientation tag had to be kept or an approximate location was written
+        this.keptFieldCount = keptFields;
+        this.orientationResult = orientationResult;
+        this.outputResult = null;
+
+        // HEIF stores the profile as an item property, which stripping never touches
+        const heif = this.getLosslessParser(file) === HeicParser;
+        this.iccResult = await this.getIccResult(file, {
+            kept: keepIcc || heif,
+            reason: heif && !keepIcc ? 'HEIF files keep their colour profile in the image properties' : null
+        });
+
+        return cleanedFile;
+    }
+
+    /**
+     * Strip all metadata by redrawing the image on a canvas
+     * Drawing to a canvas inherently removes all EXIF data, but re-encodes the pixels.
+     * The image is drawn upright, as the Orientation tag does not survive. The browser
+     * converts the colours to sRGB while decoding, so when the ICC profile is kept the
+     * image is decoded without conversion and the profile is written back instead
+     *
+     * @param {File} file - The image file to clean
+     * @param {number} orientation - EXIF Orientation of the file
+     * @param {number} index - Position of the file in the batch
+     * @returns {Promise<File>} Promise resolving to the cleaned file
+     */
+    async reencodeWithoutMetadata(file, orientation = 1, index = 1) {
+        this.removedSegments = [];
+        this.lastStripWasLossless = false;
+        this.orientationResult = orientation > 1 ? { value: orientation, applied: 'pixels', reason: null } : null;
+
+        const { iccProfile } = await this.readFileMetadata(file);
+        let reason = null;
+        if (iccProfile && this.getKeepIcc()) {
+            try {
+                const cleanedFile = await this.reencodeKeepingProfile(file, iccProfile, index);
+                this.iccResult = await this.getIccResult(file, { kept: true });
+                return cleanedFile;
+            } catch (error) {
+                console.warn('Could not keep the colour profile:', error);
+                reason = error.message;
+            }
+        }
+        this.iccResult = await this.getIccResult(file, { kept: false, converted: true, reason });
+
+        // Drawing to canvas strips ALL EXIF metadata automatically
+        const canvas = await this.drawUpright(file, orientation);
+        return this.encodeOutput(canvas, file, index);
+    }
+
+    /**
+     * Decode an image and draw it upright onto a canvas
+     *
+     * @param {File} file - The image file
+     * @param {number} orientation - EXIF Orientation of the file
+     * @returns {Promise<HTMLCanvasElement>} Canvas holding the upright image
+     */
+    async drawUpright(file, orientation = 1) {
+        const orientationApplied = await ImageOrientation.browserAppliesOrientation();
+
         return new Promise((resolve, reject) => {
-            const reader = new FileReader();
-
-            reader.onload = (e) => {
-                try {
-                    const img = new Image();
-
-                    img.onload = () => {
-                        // Create canvas with same dimensions as original image
-                        // Drawing to canvas strips ALL EXIF metadata automatically
-                        const canvas = document.createElement('canvas');
-                        canvas.width = img.naturalWidth;
-                        canvas.height = img.naturalHeight;
-
-                        // Draw the image onto the canvas (this removes metadata)
-                        const ctx = canvas.getContext('2d');
-                        ctx.drawImage(img, 0, 0);
-
-                        // Convert canvas to blob (creates new file without metadata)
-                        canvas.toBlob((blob) => {
-                            if (blob) {
-                                // Generate filename for cleaned file
-                                const originalName = file.name.replace(/\.[^/.]+$/, '');
-                                const extension = window.metadataTool.getFileExtension(file.name);
-
-                                // Create new File object from blob (metadata-free)
-                                const cleanedFile = new File(
-                                    [blob],
-                                    `${originalName}_cleaned.${extension}`,
-                                    {
-                                        type: file.type,
-                                        lastModified: Date.now()
-                                    }
-                                );
-
-                                resolve(cleanedFile);
-                            } else {
-                                reject(new Error('Failed to create cleaned file'));
-                            }
-                        }, file.type, 0.92); // High quality (92%)
-                    };
-
-                    img.onerror = () => reject(new Error('Failed to load image'));
-                    img.src = e.target.result;
-
-                } catch (error) {
-                    reject(error);
-                }
+            // An object URL lets the browser decode the file without a base64 copy
+            const url = URL.createObjectURL(file);
+            const img = new Image();
+
+            img.onload = () => {
+                URL.revokeObjectURL(url);
+                resolve(ImageOrientation.createUprightCanvas(img, orientation, orientationApplied));
             };
 
-            reader.onerror = () => reject(new Error('Failed to read file'));
-            reader.readAsDataURL(file);
+            img.onerror = () => {
+                URL.revokeObjectURL(url);
+                reject(new Error('Failed to load image'));
+            };
+            img.src = url;
         });
     }
 
+    /**
+     * Redraw an image on a canvas without colour conversion and attach its ICC profile again
+     *
+     * @param {File} file - The image file to clean
+     * @param {Uint8Array} iccProfile - The file's ICC profile
+     * @param {number} index - Position of the file in the batch
+     * @returns {Promise<File>} Promise resolving to the cleaned file
+     * @throws {Error} If the browser cannot decode without conversion or the profile cannot be written
+     */
+    async reencodeKeepingProfile(file, iccProfile, index = 1) {
+        let bitmap;
+        try {
+            // The bitmap is already upright, as createImageBitmap applies the orientation itself
+            bitmap = await createImageBitmap(file, { colorSpaceConversion: 'none', imageOrientation: 'from-image' });
+        } catch (error) {
+            throw new Error('This browser cannot decode images without converting their colours');
+        }
+
+        const canvas = ImageOrientation.createUprightCanvas(bitmap, 1, true);
+        bitmap.close();
+        const encoded = await this.encodeOutput(canvas, file, index);
+
+        // Browsers fall back to PNG for types they cannot encode
+        const parser = this.getLosslessParser(encoded);
+        if (!parser || !parser.insertIccProfile) {
+            throw new Error(`A colour profile cannot be added to ${encoded.type} files`);
+        }
+        const bytes = new Uint8Array(await encoded.arrayBuffer());
+        const data = await parser.insertIccProfile(bytes, iccProfile);
+
+        return new File([data], encoded.name, { type: encoded.type, lastModified: Date.now() });
+    }
+
+    /**
+     * Encode a canvas with the output settings and record what was written
+     *
+     * @param {HTMLCanvasElement} canvas - Canvas holding the cleaned image
+     * @param {File} file - The original file
+     * @param {number} index - Position of the file in the batch
+     * @returns {Promise<File>} Promise resolving to the cleaned file
+     */
+    async encodeOutput(canvas, file, index = 1) {
+        const settings = this.getOutputSettings();
+        const output = this.fitCanvas(canvas, settings);
+        const cleanedFile = await this.canvasToFile(output, file, { index, settings });
+
+        this.outputResult = {
+            requestedType: this.getOutputType(file, settings),
+            type: cleanedFile.type,
+            quality: settings.quality,
+            width: output.width,
+            height: output.height,
+            originalWidth: canvas.width,
+            originalHeight: canvas.height
+        };
+        return cleanedFile;
+    }
+
+    /**
+     * Scale a canvas down to fit the maximum width and height, keeping its aspect ratio
+     *
+     * @param {HTMLCanvasElement} canvas - Canvas holding the image
+     * @param {{maxWidth: number|null, maxHeight: number|null}} settings - Size limits
+     * @returns {HTMLCanvasElement} The canvas itself if it fits, otherwise a smaller copy
+     */
+    fitCanvas(canvas, { maxWidth, maxHeight }) {
+        const scale = Math.min(
+            maxWidth ? maxWidth / canvas.width : 1,
+            maxHeight ? maxHeight / canvas.height : 1
+        );
+        if (scale >= 1) return canvas;
+
+        const resized = document.createElement('canvas');
+        resized.width = Math.max(1, Math.round(canvas.width * scale));
+        resized.height = Math.max(1, Math.round(canvas.height * scale));
+
+        const ctx = resized.getContext('2d');
+        ctx.imageSmoothingQuality = 'high';
+        ctx.drawImage(canvas, 0, 0, resized.width, resized.height);
+        return resized;
+    }
+
+    /**
+     * Encode a canvas as the cleaned version of a file
+     *
+     * @param {HTMLCanvasElement} canvas - Canvas holding the cleaned image
+     * @param {File} file - The original file
+     * @param {Object} options - Encoding options
+     * @param {number} options.index - Position of the file in the batch
+     * @param {Object} options.settings - Output settings, from the options panel by default
+     * @returns {Promise<File>} Promise resolving to the cleaned file
+     */
+    canvasToFile(canvas, file, { index = 1, settings = this.getOutputSettings() } = {}) {
+        return new Promise((resolve, reject) => {
+            // Convert canvas to blob (creates new file without metadata)
+            canvas.toBlob((blob) => {
+                if (blob) {
+                    // Browsers encode types they do not support as PNG, so the name follows the blob
+                    const type = blob.type || this.getOutputType(file, settings);
+                    const cleanedFile = new File(
+                        [blob],
+                        this.getCleanedFileName(file, { index, type, template: settings.nameTemplate }),
+                        { type, lastModified: Date.now() }
+                    );
+
+                    resolve(cleanedFile);
+                } else {
+                    reject(new Error('Failed to create cleaned file'));
+                }
+            }, this.getOutputType(file, settings), settings.quality / 100);
+        });
+    }
+
+    /**
+     * Estimate the output size of the current file after a short delay
+     * Called whenever an option that changes the size does
+     */
+    scheduleOutputEstimate() {
+        clearTimeout(this.estimateTimer);
+        this.estimateTimer = setTimeout(() => this.updateOutputEstimate(), MetadataRemover.ESTIMATE_DELAY_MS);
+    }
+
+    /**
+     * Show the estimated output size of the current file with the chosen options
+     * An estimate that finishes after a newer one started is discarded
+     */
+    async updateOutputEstimate() {
+        const estimate = document.getElementById('output-estimate');
+        const file = this.currentFile;
+        if (!file) {
+            estimate.textContent = this.batchQueue.length > 0
+                ? 'The estimated output size is shown for single images'
+                : 'Choose an image to see the estimated output size';
+            return;
+        }
+
+        const run = ++this.estimateRun;
+        estimate.textContent = 'Estimating the output size…';
+        try {
+            const size = await this.estimateOutputSize(file);
+            if (run !== this.estimateRun) return;
+            const { formatFileSize } = window.metadataTool;
+            estimate.textContent = `Estimated output: ${formatFileSize(size)} ` +
+                `(${this.describeSizeRatio(file.size, size)} of ${formatFileSize(file.size)})`;
+        } catch (error) {
+            if (run !== this.estimateRun) return;
+            estimate.textContent = error.name === 'AbortError'
+                ? 'Estimate cancelled'
+                : 'The output size of this image cannot be estimated';
+        }
+    }
+
+    /**
+     * Work out the size of a file cleaned with the chosen options
+     * The file is stripped or encoded exactly as cleaning would, approximate location
+     * included, without keeping the result. Re-encodes leave out the colour profile,
+     * which adds a few KB at most
+     *
+     * @param {File} file - The image file
+     * @returns {Promise<number>} Size in bytes
+     */
+    async estimateOutputSize(file) {
+        const orientation = await this.readOrientation(file);
+        const { exif } = await this.readFileMetadata(file);
+        const locationExif = this.getLocationExif(this.getFuzzedLocation(exif));
+        if (this.canStripLosslessly(file)) {
+            const { file: stripped } = await window.metadataPipeline.strip(
+                file, file.name, { orientation, keepIcc: this.getKeepIcc(), exif: locationExif }, { cache: false }
+            );
+            return stripped.size;
+        }
+
+        const settings = this.getOutputSettings();
+        const canvas = this.fitCanvas(await this.drawUpright(file, orientation), settings);
+        let encoded = await this.canvasToFile(canvas, file, { settings });
+        if (locationExif && encoded.type === 'image/jpeg') {
+            encoded = await window.metadataEditor.insertExif(encoded, locationExif);
+        }
+        return encoded.size;
+    }
+
+    /**
+     * Express an output size as a share of the original size
+     *
+     * @param {number} originalSize - Size of the original file in bytes
+     * @param {number} size - Size of the output in bytes
+     * @returns {string} e.g. "42.5%"
+     */
+    describeSizeRatio(originalSize, size) {
+        return `${originalSize > 0 ? ((size / originalSize) * 100).toFixed(1) : '100.0'}%`;
+    }
+
     /**
      * Verify that metadata was successfully removed from the cleaned file
      * Attempts to read EXIF data and counts any remaining fields
@@ -270,36 +1291,44 @@ class MetadataRemover {
      * @returns {Promise} Resolves when verification is complete
      */
     async verifyCleanedFile(cleanedFile) {
-        return new Promise((resolve) => {
-            const reader = new FileReader();
-
-            reader.onload = (e) => {
-                try {
-                    const imageData = e.target.result;
-                    const cleanedExifData = piexif.load(imageData);
-
-                    // Count any remaining metadata fields
-                    let remainingCount = 0;
-                    for (let ifd in cleanedExifData) {
-                        if (cleanedExifData[ifd] && typeof cleanedExifData[ifd] === 'object') {
-                            remainingCount += Object.keys(cleanedExifData[ifd]).length;
-                        }
-                    }
+        // Count any remaining metadata fields
+        const remainingCount = await this.countFileMetadata(cleanedFile);
+        const { embeddedImages, parseErrors } = await this.readFileMetadata(cleanedFile);
+        this.remainingEmbeddedImages = embeddedImages;
+        this.cleanedParseErrors = parseErrors;
+        this.cleanedHiddenData = await this.inspectHiddenData(cleanedFile);
+        // A file that could not be parsed has no fields either, so that is not proof of a clean file
+        if (parseErrors.length > 0) {
+            console.warn('The cleaned file could not be fully parsed:', parseErrors);
+        }
 
-                    // Display before/after comparison
-                    this.displayResults(remainingCount);
-                    resolve();
+        // A lossless strip must leave the compressed image data untouched, unless it was rotated
+        let pixelCheck = null;
+        if (this.lastStripWasLossless && this.orientationResult?.applied !== 'pixels') {
+            pixelCheck = await this.comparePixelData(this.currentFile, cleanedFile);
+            if (!pixelCheck.identical) {
+                window.metadataTool.showNotification('Image data changed during lossless cleaning', 'error');
+            }
+        }
 
-                } catch (error) {
-                    // If piexif.load fails, NO EXIF data exists - perfect result!
-                    console.log('No EXIF data in cleaned file (GOOD!)');
-                    this.displayResults(0);
-                    resolve();
-                }
-            };
+        // Display before/after comparison
+        this.displayResults(remainingCount, pixelCheck);
+    }
 
-            reader.readAsDataURL(cleanedFile);
-        });
+    /**
+     * Compare the image data of two files by hashing their scan segments or image chunks
+     *
+     * @param {File} originalFile - The original image
+     * @param {File} cleanedFile - The losslessly cleaned file
+     * @returns {Promise<{identical: boolean, hash: string}>} Comparison result and the cleaned file's hash
+     */
+    async comparePixelData(originalFile, cleanedFile) {
+        const [originalHash, cleanedHash] = await Promise.all([
+            window.metadataPipeline.hashImageData(originalFile),
+            window.metadataPipeline.hashImageData(cleanedFile)
+        ]);
+
+        return { identical: originalHash === cleanedHash, hash: cleanedHash };
     }
 
     /**
@@ -307,8 +1336,9 @@ class MetadataRemover {
      * Shows metadata count reduction and file size changes
      * 
      * @param {number} remainingMetadataCount - Number of metadata fields remaining after cleaning
+     * @param {Object|null} pixelCheck - Result of comparePixelData for lossless cleaning, or null
      */
-    displayResults(remainingMetadataCount) {
+    displayResults(remainingMetadataCount, pixelCheck = null) {
         const resultSection = document.getElementById('result-section');
         const beforeMetadataDiv = document.getElementById('before-metadata');
         const afterMetadataDiv = document.getElementById('after-metadata');
@@ -324,18 +1354,53 @@ class MetadataRemover {
             <p class="status-text danger">⚠️ Contains sensitive data</p>
         `;
 
+        // Fields kept on purpose by selective removal are not counted as leftovers
+        const keptOnPurpose = this.keptFieldCount > 0 && remainingMetadataCount <= this.keptFieldCount;
+        const onlyOrientation = this.orientationResult?.applied === 'tag' && remainingMetadataCount === 1;
+        const keptLocation = Boolean(this.locationResult?.gps) && remainingMetadataCount <= this.keptFieldCount;
+        // No metadata fields is not enough: the file must also parse and pass the hidden data scan
+        const parsedCleanly = this.cleanedParseErrors.length === 0;
+        const hiddenDataClean = HiddenDataScanner.isClean(this.cleanedHiddenData);
+        const verified = parsedCleanly && hiddenDataClean;
+        // Fields that are left although nobody asked to keep them
+        const leftover = remainingMetadataCount > 0 && !onlyOrientation && !keptLocation && !keptOnPurpose;
+        let afterStatus = 'Mostly Clean';
+        if (!parsedCleanly) afterStatus = 'Could not be verified';
+        else if (remainingMetadataCount === 0) afterStatus = hiddenDataClean ? 'Completely Clean' : 'No metadata fields left';
+        else if (onlyOrientation) afterStatus = 'Only Orientation kept';
+        else if (keptLocation) afterStatus = 'Approximate location kept';
+        else if (keptOnPurpose) afterStatus = `Kept ${remainingMetadataCount} chosen fields`;
+
         // Display "after" state with remaining metadata count
         afterMetadataDiv.innerHTML = `
             <div class="metadata-count-display">
-                <div class="count-number success">${remainingMetadataCount}</div>
+                <div class="count-number ${leftover ? '' : 'success'}">${remainingMetadataCount}</div>
                 <div class="count-label">Metadata Fields</div>
             </div>
-            <p class="status-text success">✅ ${remainingMetadataCount === 0 ? 'Completely Clean' : 'Mostly Clean'}</p>
+            <p class="status-text ${parsedCleanly && !leftover ? 'success' : 'warning'}">${parsedCleanly && !leftover ? '✅' : '⚠️'} ${afterStatus}</p>
         `;
 
+        let securityStatus = '✅ Safe to share publicly';
+        if (!parsedCleanly) {
+            securityStatus = '⚠️ Not verified: the cleaned file could not be fully parsed, so it may still hold metadata';
+        } else if (!hiddenDataClean) {
+            securityStatus = this.cleanedHiddenData
+                ? '⚠️ Not verified: check the hidden data report below before sharing'
+                : '⚠️ Not verified: the cleaned file could not be scanned for hidden data';
+        } else if (onlyOrientation) {
+            securityStatus = '✅ Only the Orientation tag remains, so the image displays upright';
+        } else if (keptLocation) {
+            securityStatus = `✅ Only the approximate location (${this.locationResult.label}) remains`;
+        } else if (keptOnPurpose) {
+            securityStatus = `✅ Only the ${remainingMetadataCount} fields you chose to keep remain`;
+        } else if (remainingMetadataCount > 0) {
+            securityStatus = `⚠️ ${remainingMetadataCount} fields could not be removed: check the cleaned file before sharing`;
+        }
+
         // Calculate file size difference
         const sizeDiff = this.currentFile.size - this.cleanedFile.size;
-        const percentChange = ((sizeDiff / this.currentFile.size) * 100).toFixed(2);
+        const percentChange = ((Math.abs(sizeDiff) / this.currentFile.size) * 100).toFixed(2);
+        const sizeChange = `File size ${sizeDiff >= 0 ? 'reduced' : 'increased'} by ${percentChange}%`;
 
         cleanedFileInfo.innerHTML = `
             <div class="clean-summary">
@@ -348,22 +1413,49 @@ class MetadataRemover {
                     </div>
                     <div class="summary-item">
                         <strong>Cleaned File:</strong>
-                        <span>${this.cleanedFile.name}</span>
-                        <span>${window.metadataTool.formatFileSize(this.cleanedFile.size)}</span>
+                        <span>${window.metadataTool.escapeHtml(this.cleanedFile.name)}</span>
+                        <span>${window.metadataTool.formatFileSize(this.cleanedFile.size)}
+                            (${this.describeSizeRatio(this.currentFile.size, this.cleanedFile.size)} of the original)</span>
                     </div>
                     <div class="summary-item highlight">
                         <strong>Metadata Removed:</strong>
-                        <span>${this.originalMetadataCount} fields stripped</span>
-                        <span>File size reduced by ${Math.abs(percentChange)}%</span>
+                        <span>${Math.max(this.originalMetadataCount - remainingMetadataCount, 0)} fields stripped</span>
+                        <span>${sizeChange}</span>
                     </div>
-                    <div class="summary-item success">
+                    <div class="summary-item ${verified && !leftover ? 'success' : 'highlight'}">
                         <strong>Security Status:</strong>
-                        <span>✅ Safe to share publicly</span>
+                        <span>${securityStatus}</span>
+                        ${parsedCleanly ? '' : MetadataError.renderList(this.cleanedParseErrors)}
                     </div>
+                    ${this.outputResult ? this.renderOutputSummary(this.outputResult) : ''}
+                    ${this.locationResult ? this.renderLocationSummary(this.locationResult) : ''}
+                    ${this.orientationResult ? this.renderOrientationSummary(this.orientationResult) : ''}
+                    ${this.iccResult ? this.renderIccSummary(this.iccResult) : ''}
+                    ${this.originalEmbeddedImages.length > 0 ? this.renderEmbeddedImageSummary() : ''}
+                    ${pixelCheck ? `
+                    <div class="summary-item ${pixelCheck.identical ? 'success' : 'highlight'}">
+                        <strong>Image Data:</strong>
+                        <span>${pixelCheck.identical ? '✅ Pixels unchanged (lossless)' : '❌ Image data differs from the original'}</span>
+                        <span title="${pixelCheck.hash}">SHA-256 ${pixelCheck.hash.slice(0, 16)}…</span>
+                    </div>` : ''}
+                    ${this.removedSegments.length > 0 ? `
+                    <div class="summary-item">
+                        <strong>Segments Removed:</strong>
+                        <span>${this.removedSegments.map(segment => window.metadataTool.escapeHtml(
+                            segment.identifier ? `${segment.name} (${segment.identifier})` : segment.name
+                        )).join(', ')}</span>
+                    </div>` : ''}
                 </div>
             </div>
         `;
 
+        const cleanedHiddenData = document.getElementById('cleaned-hidden-data');
+        cleanedHiddenData.style.display = this.cleanedHiddenData ? 'block' : 'none';
+        if (this.cleanedHiddenData) {
+            document.getElementById('cleaned-hidden-data-report').innerHTML =
+                HiddenDataScanner.renderReport(this.cleanedHiddenData);
+        }
+
         // Setup download link for cleaned file
         const url = URL.createObjectURL(this.cleanedFile);
         downloadLink.href = url;
@@ -373,10 +1465,373 @@ class MetadataRemover {
             setTimeout(() => URL.revokeObjectURL(url), 100);
         };
 
+        // Open the field-by-field comparison of the original and the cleaned file
+        document.getElementById('show-diff-btn').onclick = async () => {
+            window.metadataTool.switchTab('compare');
+            await window.metadataDiff.compareFiles(this.currentFile, this.cleanedFile);
+        };
+
         // Show results section and scroll into view
         resultSection.style.display = 'block';
         resultSection.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
     }
+
+    /**
+     * Describe the format, dimensions and quality of a re-encoded file, as a cleaning summary item
+     *
+     * @param {Object} result - Output result of the clean, as recorded by encodeOutput
+     * @returns {string} HTML of the summary item
+     */
+    renderOutputSummary(result) {
+        const formatName = (type) => (MetadataRemover.OUTPUT_EXTENSIONS[type] || type).toUpperCase();
+        const resized = result.width !== result.originalWidth || result.height !== result.originalHeight;
+        const lossy = result.type !== 'image/png';
+        const fellBack = result.type !== result.requestedType;
+
+        return `
+                    <div class="summary-item ${fellBack ? 'highlight' : ''}">
+                        <strong>Output:</strong>
+                        <span>${formatName(result.type)}, ${result.width} × ${result.height} px${lossy ? `, quality ${result.quality}%` : ''}</span>
+                        ${resized ? `<span>Resized from ${result.originalWidth} × ${result.originalHeight} px</span>` : ''}
+                        ${fellBack ? `<span>⚠️ This browser cannot encode ${formatName(result.requestedType)}, so the image was saved as ${formatName(result.type)}</span>` : ''}
+                    </div>`;
+    }
+
+    /**
+     * Describe the approximate location written to the cleaned file, as a cleaning summary item
+     *
+     * @param {Object} result - Location result of the clean, from getFuzzedLocation
+     * @returns {string} HTML of the summary item
+     */
+    renderLocationSummary(result) {
+        if (!result.gps) {
+            return `
+                    <div class="summary-item highlight">
+                        <strong>Location:</strong>
+                        <span>📍 Location removed</span>
+                        <span>${window.metadataTool.escapeHtml(result.reason)}</span>
+                    </div>`;
+        }
+
+        const { original, fuzzed } = result;
+        const moved = GeoLocator.distanceKm(original.lat, original.lon, fuzzed.lat, fuzzed.lon);
+        const removed = result.removedTags.map(tag => ExifTags.getLabel('GPS', tag));
+
+        return `
+                    <div class="summary-item success">
+                        <strong>Location:</strong>
+                        <span>📍 Kept ${result.label}: ${fuzzed.lat.toFixed(6)}, ${fuzzed.lon.toFixed(6)}</span>
+                        <span>${this.describeDistance(moved)} from the original position</span>
+                        ${removed.length > 0 ? `<span>Removed ${removed.join(', ')}</span>` : ''}
+                    </div>`;
+    }
+
+    /**
+     * Describe how the EXIF Orientation was handled, as a cleaning summary item
+     *
+     * @param {{value: number, applied: string, reason: string|null}} result - Orientation result of the clean
+     * @returns {string} HTML of the summary item
+     */
+    renderOrientationSummary(result) {
+        const label = ImageOrientation.LABELS[result.value];
+        const reason = result.reason ? window.metadataTool.escapeHtml(result.reason) : '';
+        const summaries = {
+            pixels: {
+                className: 'success',
+                text: `🔄 ${label} image turned upright${this.lastStripWasLossless ? ' losslessly' : ''}`,
+                detail: this.lastStripWasLossless ? 'JPEG blocks rearranged without re-compression' : ''
+            },
+            tag: {
+                className: '',
+                text: `↻ Orientation tag kept (${label})`,
+                detail: `Lossless rotation not possible: ${reason}`
+            },
+            none: {
+                className: 'highlight',
+                text: `⚠️ Orientation tag removed (${label}), so the image may not display upright`,
+                detail: `${reason}. Use Re-encode mode to turn it upright`
+            }
+        };
+        const { className, text, detail } = summaries[result.applied];
+
+        return `
+                    <div class="summary-item ${className}">
+                        <strong>Orientation:</strong>
+                        <span>${text}</span>
+                        ${detail ? `<span>${detail}</span>` : ''}
+                    </div>`;
+    }
+
+    /**
+     * Describe how the ICC colour profile was handled, as a cleaning summary item
+     *
+     * @param {{description: string, kept: boolean, converted: boolean, reason: string|null}} result -
+     *     Colour profile result of the clean
+     * @returns {string} HTML of the summary item
+     */
+    renderIccSummary(result) {
+        const name = window.metadataTool.escapeHtml(result.description);
+        const reason = result.reason ? window.metadataTool.escapeHtml(result.reason) : '';
+        let className = 'success';
+        let text = `🎨 Kept the “${name}” colour profile`;
+        let detail = reason;
+        if (!result.kept && result.converted) {
+            className = reason ? 'highlight' : '';
+            text = `🎨 Converted from “${name}” to sRGB`;
+            detail = reason ? `The profile could not be kept: ${reason}` : 'Colours were converted, so the image looks the same';
+        } else if (!result.kept) {
+            className = 'highlight';
+            text = `⚠️ Removed the “${name}” colour profile`;
+            detail = 'Colours may look different, as the pixels were not converted to sRGB';
+        }
+
+        return `
+                    <div class="summary-item ${className}">
+                        <strong>Colour Profile:</strong>
+                        <span>${text}</span>
+                        ${detail ? `<span>${detail}</span>` : ''}
+                    </div>`;
+    }
+
+    /**
+     * List the embedded thumbnail and previews removed from (or kept in) the cleaned file
+     *
+     * @returns {string} HTML of the summary item
+     */
+    renderEmbeddedImageSummary() {
+        const remaining = this.remainingEmbeddedImages.map(image => image.label);
+        const removed = this.originalEmbeddedImages
+            .map(image => image.label)
+            .filter(label => !remaining.includes(label));
+
+        return `
+                    <div class="summary-item ${remaining.length > 0 ? 'highlight' : 'success'}">
+                        <strong>Embedded Previews:</strong>
+                        ${removed.length > 0 ? `<span>✅ Removed ${removed.join(', ')}</span>` : ''}
+                        ${remaining.length > 0 ? `<span>⚠️ Kept: ${remaining.join(', ')}</span>` : ''}
+                    </div>`;
+    }
+
+    /**
+     * Queue several files for batch cleaning and show the batch list
+     * Files with unsupported types (common when a whole folder is dropped) are
+     * listed as skipped rather than silently ignored
+     *
+     * @param {File[]} files - The selected files
+     */
+    prepareBatch(files) {
+        this.batchQueue = files.map(file => {
+            const supported = MetadataRemover.ACCEPTED_TYPES.includes(window.metadataTool.getMimeType(file));
+            return {
+                file,
+                status: supported ? 'pending' : 'skipped',
+                message: supported ? '' : 'Unsupported file type',
+                originalCount: null,
+                remainingCount: null,
+                hiddenDataFound: false,
+                unverified: false,
+                keptCount: 0,
+                cleanedFile: null
+            };
+        });
+
+        this.currentFile = null;
+        this.cleanedFile = null;
+        document.getElementById('processing-section').style.display = 'none';
+        document.getElementById('batch-section').style.display = 'flex';
+        document.getElementById('download-zip-btn').disabled = true;
+
+        this.renderBatchQueue();
+        this.updateLocationPreview();
+        this.scheduleOutputEstimate();
+    }
+
+    /**
+     * Render the batch queue table and progress indicator
+     */
+    renderBatchQueue() {
+        const tbody = document.getElementById('batch-tbody');
+        tbody.innerHTML = '';
+
+        this.batchQueue.forEach(entry => {
+            const row = document.createElement('tr');
+            entry.row = row;
+            this.updateBatchRow(entry);
+            tbody.appendChild(row);
+        });
+
+        this.updateBatchProgress();
+    }
+
+    /**
+     * Refresh a single row of the batch table
+     *
+     * @param {Object} entry - Batch queue entry
+     */
+    updateBatchRow(entry) {
+        const labels = {
+            pending: '⏳ Waiting',
+            processing: '🔄 Cleaning…',
+            done: entry.unverified ? '⚠️ Not verified'
+                : entry.remainingCount <= entry.keptCount && !entry.hiddenDataFound ? '✅ Clean' : '⚠️ Partially clean',
+            skipped: '⏭️ Skipped',
+            error: '❌ Failed'
+        };
+
+        const name = entry.file.webkitRelativePath || entry.file.name;
+        const status = labels[entry.status] + (entry.message ? ` – ${entry.message}` : '');
+
+        entry.row.className = `batch-row batch-${entry.status}`;
+        entry.row.innerHTML = `
+            <td class="batch-name"></td>
+            <td>${status}</td>
+            <td>${entry.originalCount ?? '–'}</td>
+            <td>${entry.remainingCount ?? '–'}</td>
+        `;
+        // File names come from the user's disk, so never interpret them as HTML
+        entry.row.querySelector('.batch-name').textContent = name;
+    }
+
+    /**
+     * Update the batch progress bar and summary text
+     */
+    updateBatchProgress() {
+        const processable = this.batchQueue.filter(entry => entry.status !== 'skipped');
+        const finished = processable.filter(entry => entry.status === 'done' || entry.status === 'error');
+        const skipped = this.batchQueue.length - processable.length;
+
+        const progress = document.getElementById('batch-progress');
+        progress.max = Math.max(processable.length, 1);
+        progress.value = finished.length;
+
+        document.getElementById('batch-progress-text').textContent =
+            `${finished.length} of ${processable.length} images processed` +
+            (skipped > 0 ? ` (${skipped} unsupported file${skipped === 1 ? '' : 's'} skipped)` : '');
+    }
+
+    /**
+     * Clean every queued file one after another
+     * Each file is analyzed, stripped and verified, and its row is updated as it completes
+     */
+    async processBatch() {
+        const pending = this.batchQueue.filter(entry => entry.status === 'pending' || entry.status === 'error');
+        if (pending.length === 0) {
+            window.metadataTool.showNotification('No images left to clean', 'info');
+            return;
+        }
+
+        const cleanButton = document.getElementById('clean-batch-btn');
+        const originalText = cleanButton.innerHTML;
+        cleanButton.innerHTML = '<div class="loading"></div> Stripping metadata...';
+        cleanButton.disabled = true;
+        this.batchRunning = true;
+
+        for (const entry of pending) {
+            entry.status = 'processing';
+            entry.message = '';
+            entry.keptCount = 0;
+            this.updateBatchRow(entry);
+
+            try {
+                entry.originalCount = await this.countFileMetadata(entry.file);
+                // {index} numbers the files as listed in the queue, skipped ones included
+                entry.cleanedFile = await this.stripAllMetadata(entry.file, this.batchQueue.indexOf(entry) + 1);
+                entry.remainingCount = await this.countFileMetadata(entry.cleanedFile);
+
+                const rotated = this.orientationResult?.applied === 'pixels';
+                if (this.canStripLosslessly(entry.file)) {
+                    if (!rotated) {
+                        const pixelCheck = await this.comparePixelData(entry.file, entry.cleanedFile);
+                        if (!pixelCheck.identical) {
+                            throw new Error('Image data changed during lossless cleaning');
+                        }
+                    }
+                    entry.message = rotated ? 'lossless, rotated upright' : 'lossless';
+                }
+                if (this.orientationResult?.applied === 'tag') entry.message = 'Orientation tag kept';
+                // Only the fields of an approximate location count as deliberately kept
+                if (this.locationResult?.gps) {
+                    entry.keptCount = this.keptFieldCount - (this.orientationResult?.applied === 'tag' ? 1 : 0);
+                    entry.message = [entry.message, `approximate location kept (${this.locationResult.label})`].filter(Boolean).join(', ');
+                } else if (this.locationResult) {
+                    entry.message = [entry.message, 'location removed'].filter(Boolean).join(', ');
+                }
+
+                entry.hiddenDataFound = !HiddenDataScanner.isClean(await this.inspectHiddenData(entry.cleanedFile));
+                if (entry.hiddenDataFound) {
+                    entry.message = [entry.message, 'possible hidden data left'].filter(Boolean).join(', ');
+                }
+
+                const { parseErrors } = await this.readFileMetadata(entry.cleanedFile);
+                entry.unverified = parseErrors.length > 0;
+                if (entry.unverified) {
+                    const unreadable = parseErrors.map(error => `${error.block} (${MetadataError.CODES[error.code]})`);
+                    entry.message = [entry.message, `could not read ${unreadable.join(', ')}`].filter(Boolean).join(', ');
+                }
+                entry.status = 'done';
+            } catch (error) {
+                // Cancelling stops the whole batch; unfinished files can be cleaned again later
+                if (error.name === 'AbortError') {
+                    entry.status = 'pending';
+                    this.updateBatchRow(entry);
+                    break;
+                }
+                console.error(`Error cleaning ${entry.file.name}:`, error);
+                entry.status = 'error';
+                entry.message = error.message;
+            }
+
+            this.updateBatchRow(entry);
+            this.updateBatchProgress();
+        }
+
+        this.batchRunning = false;
+        cleanButton.innerHTML = originalText;
+        cleanButton.disabled = false;
+
+        const cleaned = this.batchQueue.filter(entry => entry.status === 'done').length;
+        const failed = this.batchQueue.filter(entry => entry.status === 'error').length;
+        const unverified = this.batchQueue.filter(entry => entry.status === 'done' && entry.unverified).length;
+        document.getElementById('download-zip-btn').disabled = cleaned === 0;
+
+        if (failed > 0) {
+            window.metadataTool.showNotification(`Cleaned ${cleaned} images, ${failed} failed`, 'warning');
+        } else if (unverified > 0) {
+            window.metadataTool.showNotification(`Cleaned ${cleaned} images, ${unverified} could not be verified`, 'warning');
+        } else {
+            window.metadataTool.showNotification(`✅ Metadata removed from ${cleaned} images`, 'success');
+        }
+    }
+
+    /**
+     * Package all cleaned files into a single ZIP archive and download it
+     * Folder structure is kept when the files came from a folder selection. ZipWriter
+     * numbers repeated names, as a name template without {name} or {index} gives
+     * every file the same name
+     */
+    async downloadBatchZip() {
+        const cleanedEntries = this.batchQueue.filter(entry => entry.status === 'done');
+        if (cleanedEntries.length === 0) {
+            window.metadataTool.showNotification('Clean the images before downloading', 'warning');
+            return;
+        }
+
+        const zip = new ZipWriter();
+        for (const entry of cleanedEntries) {
+            const folder = entry.file.webkitRelativePath
+                ? entry.file.webkitRelativePath.slice(0, -entry.file.name.length)
+                : '';
+            const data = new Uint8Array(await entry.cleanedFile.arrayBuffer());
+            zip.addFile(folder + entry.cleanedFile.name, data, new Date(entry.cleanedFile.lastModified));
+        }
+
+        const url = URL.createObjectURL(zip.toBlob());
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = 'cleaned-images.zip';
+        a.click();
+        setTimeout(() => URL.revokeObjectURL(url), 100);
+    }
 }
 
 /**
@@ -8,8 +8,16 @@
 class MetadataViewer {
     // Configuration constants
     static MAX_FILE_SIZE = 50 * 1024 * 1024; // 50MB
-    static ACCEPTED_TYPES = ['image/jpeg', 'image/jpg', 'image/png'];
+    static ACCEPTED_TYPES = ['image/jpeg', 'image/jpg', 'image/png', 'image/webp', 'image/heic', 'image/heif'];
     static DEBUG = false; // Set to true for debugging
+    static MAP_PREVIEW_LABEL = '📍 Location Preview';
+
+    // Section titles for the container formats, by pipeline format name
+    static CONTAINER_TITLES = {
+        png: 'PNG Metadata Chunks',
+        webp: 'WebP Metadata Chunks',
+        heic: 'HEIF Metadata Items'
+    };
 
     /**
      * Initialize the MetadataViewer
@@ -20,6 +28,8 @@ class MetadataViewer {
         this.currentImage = null;       // Loaded image element
         this.currentImageUrl = null;    // Object URL for current image
         this.currentMetadata = null;    // Stored metadata for export
+        this.embeddedImageUrls = [];    // Object URLs of the embedded previews shown
+        this.fileQueue = [];            // All files selected in the last batch
         this.init();
     }
 
@@ -37,18 +47,77 @@ class MetadataViewer {
     setupEventListeners() {
         const fileInput = document.getElementById('viewer-file-input');
         fileInput.addEventListener('change', (e) => {
-            this.handleFileSelection(e.target.files[0]);
+            this.handleFileSelections(Array.from(e.target.files));
         });
 
         // Export button event listener
         const exportBtn = document.getElementById('export-metadata-btn');
         if (exportBtn) {
             exportBtn.addEventListener('click', () => {
-                this.exportMetadataAsJSON();
+                this.exportMetadata();
             });
         }
     }
 
+    /**
+     * Handle one or more selected files
+     * Unsupported files are skipped; when several images remain, a file list is
+     * shown so the user can switch between them
+     *
+     * @param {File[]} files - The selected files
+     */
+    async handleFileSelections(files) {
+        if (files.length <= 1) {
+            this.fileQueue = [];
+            this.renderFileList();
+            await this.handleFileSelection(files[0]);
+            return;
+        }
+
+        const supported = files.filter(file => MetadataViewer.ACCEPTED_TYPES.includes(window.metadataTool.getMimeType(file)));
+        const skipped = files.length - supported.length;
+
+        if (skipped > 0) {
+            window.metadataTool?.showNotification(
+                `Skipped ${skipped} unsupported file${skipped === 1 ? '' : 's'}`,
+                'warning'
+            );
+        }
+        if (supported.length === 0) return;
+
+        this.fileQueue = supported;
+        await this.handleFileSelection(supported[0]);
+        this.renderFileList();
+    }
+
+    /**
+     * Render the list of files from the last batch selection
+     * Clicking an entry loads that file's metadata into the viewer
+     */
+    renderFileList() {
+        const list = document.getElementById('viewer-file-list');
+        if (!list) return;
+
+        list.innerHTML = '';
+        list.style.display = this.fileQueue.length > 1 ? 'flex' : 'none';
+
+        const exportAll = document.getElementById('export-all-files-label');
+        if (exportAll) exportAll.style.display = this.fileQueue.length > 1 ? 'inline-flex' : 'none';
+
+        this.fileQueue.forEach(file => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'file-chip' + (file === this.currentFile ? ' active' : '');
+            button.textContent = file.name;
+            button.title = window.metadataTool.formatFileSize(file.size);
+            button.addEventListener('click', async () => {
+                await this.handleFileSelection(file);
+                this.renderFileList();
+            });
+            list.appendChild(button);
+        });
+    }
+
     /**
      * Handle file selection and initiate metadata extraction
      * 
@@ -58,9 +127,9 @@ class MetadataViewer {
         if (!file) return;
 
         // Validate file type
-        if (!MetadataViewer.ACCEPTED_TYPES.includes(file.type.toLowerCase())) {
+        if (!MetadataViewer.ACCEPTED_TYPES.includes(window.metadataTool.getMimeType(file))) {
             window.metadataTool?.showNotification(
-                'Please select a valid image file (JPG, JPEG, or PNG)',
+                'Please select a valid image file (JPG, PNG, WebP, or HEIC)',
                 'error'
             );
             return;
@@ -81,6 +150,8 @@ class MetadataViewer {
         }
 
         this.currentFile = file;
+        window.metadataEditor?.onFileLoaded(file);
+        window.metadataImporter?.onFileLoaded(file);
 
         try {
             // Display basic file information and preview
@@ -90,7 +161,15 @@ class MetadataViewer {
             this.currentMetadata = metadata;
             // Display the extracted metadata in a table
             this.displayMetadata(metadata);
+            // Show embedded thumbnails and previews next to the main preview
+            await this.displayEmbeddedImages(metadata.embeddedImages);
+            // List the file structure and anything that could hide data
+            this.displayHiddenData(metadata.hiddenData);
         } catch (error) {
+            if (error.name === 'AbortError') {
+                window.metadataTool?.showNotification('Processing cancelled', 'info');
+                return;
+            }
             console.error('Error extracting metadata:', error);
             window.metadataTool?.showNotification('Error extracting metadata from file', 'error');
         }
@@ -98,17 +177,26 @@ class MetadataViewer {
 
     /**
      * Display basic file information and image preview
-     * Uses createObjectURL for better performance than FileReader
+     * Uses createObjectURL for better performance than FileReader. The preview is
+     * shown upright, with an indicator when the file carries an EXIF Orientation
      * 
      * @param {File} file - The image file to display
      * @returns {Promise} Resolves when image is loaded and displayed
      */
     async displayFileInfo(file) {
+        // Parsing is cached, so reading the orientation here costs nothing extra
+        const orientationPromise = Promise.all([
+            window.metadataPipeline.parse(file)
+                .then(({ exif }) => ImageOrientation.fromExif(exif))
+                .catch(() => 1),
+            ImageOrientation.browserAppliesOrientation()
+        ]);
+
         return new Promise((resolve) => {
             // Display basic file properties
             document.getElementById('file-name').textContent = file.name;
             document.getElementById('file-size').textContent = window.metadataTool.formatFileSize(file.size);
-            document.getElementById('file-type').textContent = file.type || 'Unknown';
+            document.getElementById('file-type').textContent = window.metadataTool.getMimeType(file) || 'Unknown';
 
             // Display file preview
             const filePreview = document.getElementById('file-preview');
@@ -118,12 +206,29 @@ class MetadataViewer {
             this.currentImageUrl = URL.createObjectURL(file); // Faster than FileReader
             img.src = this.currentImageUrl;
 
-            img.onload = () => {
+            img.onload = async () => {
                 this.currentImage = img;
+                const [orientation, applied] = await orientationPromise;
+
+                // Browsers that ignore the tag get a canvas with the rotation applied
+                const preview = orientation > 1 && !applied
+                    ? ImageOrientation.createUprightCanvas(img, orientation, applied)
+                    : img;
+                const [width, height] = preview === img
+                    ? [img.naturalWidth, img.naturalHeight]
+                    : [preview.width, preview.height];
+
                 // Display image dimensions
-                document.getElementById('file-dimensions').textContent =
-                    `${img.naturalWidth} x ${img.naturalHeight} pixels`;
-                filePreview.appendChild(img);
+                document.getElementById('file-dimensions').textContent = `${width} x ${height} pixels`;
+                filePreview.appendChild(preview);
+
+                if (orientation > 1) {
+                    const badge = document.createElement('span');
+                    badge.className = 'orientation-badge';
+                    badge.textContent = `↻ ${ImageOrientation.LABELS[orientation]}`;
+                    badge.title = `EXIF Orientation ${orientation}: shown here upright`;
+                    filePreview.appendChild(badge);
+                }
 
                 // Show metadata display section
                 document.getElementById('metadata-display').style.display = 'block';
@@ -132,66 +237,282 @@ class MetadataViewer {
 
             img.onerror = () => {
                 URL.revokeObjectURL(this.currentImageUrl);
-                window.metadataTool?.showNotification('Failed to load image preview', 'error');
+                this.currentImage = null;
+                // Most browsers cannot decode HEIC, but its metadata can still be read
+                document.getElementById('file-dimensions').textContent = 'Unknown';
+                filePreview.innerHTML = '<p class="preview-unavailable">Preview not available for this format</p>';
+                document.getElementById('metadata-display').style.display = 'block';
                 resolve();
             };
         });
     }
 
     /**
-     * Extract EXIF metadata from the image file
-     * Uses the piexifjs library to parse embedded EXIF data
+     * Show the embedded thumbnail and MPF previews under the main preview
+     * Each one is compared with the main image and flagged when it shows
+     * something different, such as the uncropped or unredacted original
+     *
+     * @param {Object[]} images - Embedded images from the pipeline's parse result
+     * @returns {Promise} Resolves when every image has been loaded and compared
+     */
+    async displayEmbeddedImages(images) {
+        const section = document.getElementById('embedded-images');
+        const list = document.getElementById('embedded-images-list');
+        this.embeddedImageUrls.forEach(url => URL.revokeObjectURL(url));
+        this.embeddedImageUrls = [];
+        list.innerHTML = '';
+
+        if (images.length === 0) {
+            section.style.display = 'none';
+            return;
+        }
+        section.style.display = 'block';
+
+        await Promise.all(images.map(image => new Promise((resolve) => {
+            const figure = document.createElement('figure');
+            figure.className = 'embedded-image';
+            const dimensions = image.width ? `${image.width} x ${image.height} px, ` : '';
+            figure.innerHTML = `
+                <img alt="">
+                <figcaption>
+                    <strong class="embedded-image-label"></strong>
+                    <span>${dimensions}${window.metadataTool.formatFileSize(image.size)}</span>
+                    <span class="embedded-image-status">Comparing with the main image…</span>
+                </figcaption>
+            `;
+            figure.querySelector('.embedded-image-label').textContent = image.label;
+            list.appendChild(figure);
+
+            const status = figure.querySelector('.embedded-image-status');
+            const img = figure.querySelector('img');
+            const url = URL.createObjectURL(new Blob([image.data], { type: 'image/jpeg' }));
+            this.embeddedImageUrls.push(url);
+
+            img.onload = () => {
+                // The main preview is missing when the browser cannot decode the file (e.g. HEIC)
+                if (!this.currentImage?.naturalWidth) {
+                    status.textContent = 'Not compared: the main image cannot be previewed';
+                } else {
+                    const { differs, reason } = ThumbnailInspector.compare(this.currentImage, img);
+                    status.textContent = differs ? `⚠️ ${reason}` : `✅ ${reason}`;
+                    figure.classList.toggle('embedded-image-differs', differs);
+                }
+                resolve();
+            };
+            img.onerror = () => {
+                status.textContent = 'This image cannot be displayed';
+                resolve();
+            };
+            img.src = url;
+        })));
+    }
+
+    /**
+     * Show the hidden data report under the metadata table
+     * The worker has no canvas, so PNG and WebP pixels are tested here on the preview
+     *
+     * @param {Object|null} report - Report from the pipeline's parse result
+     */
+    displayHiddenData(report) {
+        const section = document.getElementById('hidden-data');
+        if (!report) {
+            section.style.display = 'none';
+            return;
+        }
+
+        if (!report.lsb) {
+            const lsb = this.currentImage?.naturalWidth
+                ? HiddenDataScanner.checkPixels(this.currentImage)
+                : { method: 'pixels', skipped: 'the image cannot be decoded in this browser' };
+            report = { ...report, lsb };
+        }
+
+        document.getElementById('hidden-data-report').innerHTML = HiddenDataScanner.renderReport(report);
+        section.style.display = 'block';
+    }
+
+    /**
+     * Extract EXIF, container, IPTC and XMP metadata from the image file
+     * The file is parsed once by the shared pipeline (in a worker) and the result
+     * is turned into display fields here
      * 
      * @param {File} file - The image file to extract metadata from
-     * @returns {Promise<Object>} Object containing basic and EXIF metadata
+     * @returns {Promise<Object>} Object containing basic, EXIF and other metadata
+     * @throws {DOMException} AbortError if the user cancels processing
      */
     async extractRealMetadata(file) {
-        return new Promise((resolve) => {
-            const reader = new FileReader();
-
-            reader.onload = (e) => {
-                try {
-                    const imageData = e.target.result;
-
-                    // Extract EXIF data using piexifjs library
-                    const exifObj = piexif.load(imageData);
-
-                    // Debug logging (only if DEBUG is enabled)
-                    if (MetadataViewer.DEBUG && exifObj.GPS) {
-                        console.log('GPS EXIF Data:', exifObj.GPS);
-                        console.log('GPS Latitude (tag 2):', exifObj.GPS[2]);
-                        console.log('GPS Longitude (tag 4):', exifObj.GPS[4]);
-                    }
-
-                    const metadata = {
-                        basic: this.getBasicMetadata(file),
-                        exif: this.parseExifData(exifObj),
-                        rawExif: exifObj // Store raw EXIF for export
-                    };
-
-                    resolve(metadata);
-                } catch (error) {
-                    console.error('Error parsing EXIF:', error);
-
-                    const errorMessage = error.message.includes('JPEG')
-                        ? 'This image format may not contain EXIF data'
-                        : 'Unable to read metadata from this file';
-
-                    window.metadataTool?.showNotification(errorMessage, 'warning');
-
-                    // If no EXIF data exists or parsing fails, return basic metadata only
-                    resolve({
-                        basic: this.getBasicMetadata(file),
-                        exif: {},
-                        rawExif: null
-                    });
-                }
-            };
+        const metadata = {
+            basic: this.getBasicMetadata(file),
+            exif: {},
+            rawExif: null,
+            format: null,
+            xmpPackets: [],
+            embeddedImages: [],
+            hiddenData: null,
+            parseErrors: []         // Blocks that could not be decoded, from MetadataError
+        };
+
+        let parsed;
+        try {
+            parsed = await window.metadataPipeline.parse(file);
+        } catch (error) {
+            if (error.name === 'AbortError') throw error;
+            console.error('Error parsing metadata:', error);
+            window.metadataTool?.showNotification('Unable to read metadata from this file', 'warning');
+            metadata.parseErrors = [{ block: 'File', ...MetadataError.describe(error) }];
+            return metadata;
+        }
+
+        // Debug logging (only if DEBUG is enabled)
+        if (MetadataViewer.DEBUG && parsed.exif?.GPS) {
+            console.log('GPS EXIF Data:', parsed.exif.GPS);
+        }
 
-            reader.readAsDataURL(file);
+        metadata.format = parsed.format;
+        metadata.xmpPackets = parsed.xmpPackets; // Kept verbatim in XMP sidecars
+        metadata.embeddedImages = parsed.embeddedImages;
+        metadata.hiddenData = parsed.hiddenData;
+        metadata.parseErrors = MetadataError.collect(parsed);
+
+        if (parsed.exif) {
+            metadata.rawExif = parsed.exif; // Store raw EXIF for export
+            metadata.exif = this.parseExifData(parsed.exif);
+        } else if (parsed.exifError) {
+            console.error('Error parsing EXIF:', parsed.exifError);
+            window.metadataTool?.showNotification('Unable to read the EXIF metadata of this file', 'warning');
+        }
+
+        // PNG/WebP chunks and HEIF items are listed as-is
+        const title = MetadataViewer.CONTAINER_TITLES[parsed.format];
+        if (title) {
+            // Chunk text is untrusted, so escape it before it reaches the table
+            const escape = (text) => window.metadataTool.escapeHtml(text);
+            metadata.container = { title, fields: {}, entries: parsed.entries };
+            parsed.entries.forEach(entry => {
+                metadata.container.fields[escape(entry.label)] = escape(entry.value);
+            });
+        }
+
+        this.addXmpMetadata(metadata, parsed);
+        this.addIptcMetadata(metadata, parsed.iptc);
+        this.addIccMetadata(metadata, parsed);
+        this.addMakerNoteMetadata(metadata, parsed);
+
+        return metadata;
+    }
+
+    /**
+     * Add parsed XMP properties to the metadata object
+     * Sets metadata.xmp (escaped, for display) and metadata.rawXmp (for export)
+     *
+     * @param {Object} metadata - Metadata object being built
+     * @param {{xmp: Object|null, xmpError: string|null}} parsed - Parse result from the pipeline
+     */
+    addXmpMetadata(metadata, { xmp, xmpError }) {
+        if (xmpError) {
+            console.error('Error parsing XMP:', xmpError);
+            window.metadataTool?.showNotification('The XMP metadata in this file is malformed', 'warning');
+            return;
+        }
+        if (!xmp) return;
+
+        // XMP text is untrusted, so escape it before it reaches the table
+        const escape = (text) => window.metadataTool.escapeHtml(text);
+        metadata.rawXmp = xmp;
+        metadata.xmp = {};
+        xmp.properties.forEach(({ path, value }) => {
+            metadata.xmp[escape(path)] = escape(value);
+        });
+    }
+
+    /**
+     * Add IPTC datasets to the metadata object
+     * Sets metadata.iptc (escaped, repeated datasets joined) and metadata.rawIptc (for export)
+     *
+     * @param {Object} metadata - Metadata object being built
+     * @param {Object[]} datasets - Datasets from IptcParser.readJpeg
+     */
+    addIptcMetadata(metadata, datasets) {
+        if (datasets.length === 0) return;
+
+        const escape = (text) => window.metadataTool.escapeHtml(text);
+        metadata.rawIptc = datasets;
+        metadata.iptc = {};
+        Object.entries(IptcParser.groupByName(datasets)).forEach(([name, value]) => {
+            metadata.iptc[escape(name)] = escape(value);
         });
     }
 
+    /**
+     * Add the decoded ICC colour profile to the metadata object
+     * Sets metadata.icc (escaped display fields; empty ones are left out) and metadata.rawIcc (for export)
+     *
+     * @param {Object} metadata - Metadata object being built
+     * @param {{icc: Object|null, iccError: string|null}} parsed - Parse result from the pipeline
+     */
+    addIccMetadata(metadata, { icc, iccError }) {
+        if (iccError) {
+            console.error('Error parsing ICC profile:', iccError);
+            window.metadataTool?.showNotification('The colour profile in this file is malformed', 'warning');
+            return;
+        }
+        if (!icc) return;
+
+        const fields = {
+            'Profile Description': icc.description,
+            'Colour Space': icc.colorSpace,
+            'Profile Class': icc.deviceClass,
+            'Rendering Intent': icc.renderingIntent,
+            'Profile Version': icc.version,
+            'Connection Space': icc.connectionSpace,
+            'Device Manufacturer': icc.manufacturer,
+            'Device Model': icc.model,
+            'Preferred CMM': icc.cmm,
+            'Primary Platform': icc.platform,
+            'Profile Creator': icc.creator,
+            'Profile Created': icc.created,
+            'Profile Copyright': icc.copyright,
+            'Profile ID': icc.id,
+            'Profile Size': window.metadataTool.formatFileSize(icc.size),
+            'Profile Tags': `${icc.tags.length} (${icc.tags.map(tag => tag.signature).join(', ')})`
+        };
+
+        // Profile text is untrusted, so escape it before it reaches the table
+        const escape = (text) => window.metadataTool.escapeHtml(text);
+        metadata.rawIcc = icc;
+        metadata.icc = {};
+        Object.entries(fields).forEach(([name, value]) => {
+            if (value) metadata.icc[name] = escape(value);
+        });
+    }
+
+    /**
+     * Add the decoded maker note fields to the metadata object
+     * Sets metadata.makerNote ({ title, fields }, escaped) and metadata.rawMakerNote (for export).
+     * Edited files often leave maker note offsets broken, so a failure is only logged
+     *
+     * @param {Object} metadata - Metadata object being built
+     * @param {{makerNote: Object|null, makerNoteError: string|null}} parsed - Parse result from the pipeline
+     */
+    addMakerNoteMetadata(metadata, { makerNote, makerNoteError }) {
+        if (makerNoteError) {
+            console.warn('Error decoding maker note:', makerNoteError);
+            return;
+        }
+        if (!makerNote || makerNote.fields.length === 0) return;
+
+        // Maker note text is untrusted, so escape it before it reaches the table
+        const escape = (text) => window.metadataTool.escapeHtml(text);
+        metadata.rawMakerNote = makerNote;
+        metadata.makerNote = { title: `Maker Notes (${makerNote.vendor})`, fields: {} };
+        makerNote.fields.forEach(({ name, value }) => {
+            metadata.makerNote.fields[escape(name)] = escape(value);
+        });
+        if (makerNote.undecoded > 0) {
+            metadata.makerNote.fields['Undecoded Tags'] = `${makerNote.undecoded} vendor-specific tags`;
+        }
+    }
+
     /**
      * Get basic file metadata (non-EXIF data)
      * 
@@ -202,14 +523,14 @@ class MetadataViewer {
         return {
             'File Name': file.name,
             'File Size': window.metadataTool.formatFileSize(file.size),
-            'MIME Type': file.type || 'Unknown',
+            'MIME Type': window.metadataTool.getMimeType(file) || 'Unknown',
             'Last Modified': new Date(file.lastModified).toLocaleString()
         };
     }
 
     /**
      * Parse EXIF data object into human-readable metadata
-     * Maps EXIF tag numbers to descriptive names and formats values
+     * Names and values come from the ExifTags dictionary
      * 
      * @param {Object} exifObj - EXIF object from piexifjs
      * @returns {Object} Parsed metadata with human-readable keys and values
@@ -217,123 +538,34 @@ class MetadataViewer {
     parseExifData(exifObj) {
         const metadata = {};
 
-        // EXIF tag names mapping - converts numeric tags to readable names
-        const exifTags = {
-            // Image IFD
-            '0th': {
-                '270': 'Image Description',
-                '271': 'Camera Make',
-                '272': 'Camera Model',
-                '274': 'Orientation',
-                '282': 'X Resolution',
-                '283': 'Y Resolution',
-                '296': 'Resolution Unit',
-                '305': 'Software',
-                '306': 'Date/Time',
-                '315': 'Artist/Author',
-                '33432': 'Copyright'
-            },
-            // EXIF IFD
-            'Exif': {
-                '33434': 'Exposure Time',
-                '33437': 'F-Number',
-                '34850': 'Exposure Program',
-                '34855': 'ISO Speed',
-                '36864': 'EXIF Version',
-                '36867': 'Date/Time Original',
-                '36868': 'Date/Time Digitized',
-                '37377': 'Shutter Speed (APEX)',
-                '37378': 'Aperture',
-                '37380': 'Exposure Bias',
-                '37381': 'Max Aperture',
-                '37383': 'Metering Mode',
-                '37385': 'Flash',
-                '37386': 'Focal Length',
-                '37520': 'Subsec Time',
-                '37521': 'Subsec Time Original',
-                '37522': 'Subsec Time Digitized',
-                '40960': 'FlashPix Version',
-                '40961': 'Color Space',
-                '40962': 'Pixel X Dimension',
-                '40963': 'Pixel Y Dimension',
-                '41486': 'Focal Plane X Resolution',
-                '41487': 'Focal Plane Y Resolution',
-                '41495': 'Sensing Method',
-                '41728': 'File Source',
-                '41729': 'Scene Type',
-                '41985': 'Custom Rendered',
-                '41986': 'Exposure Mode',
-                '41987': 'White Balance',
-                '41988': 'Digital Zoom Ratio',
-                '41989': 'Focal Length (35mm)',
-                '41990': 'Scene Capture Type',
-                '41991': 'Gain Control',
-                '41992': 'Contrast',
-                '41993': 'Saturation',
-                '41994': 'Sharpness',
-                '42016': 'Image Unique ID'
-            },
-            // GPS IFD
-            'GPS': {
-                '0': 'GPS Version',
-                '1': 'GPS Latitude Ref',
-                '2': 'GPS Latitude',
-                '3': 'GPS Longitude Ref',
-                '4': 'GPS Longitude',
-                '5': 'GPS Altitude Ref',
-                '6': 'GPS Altitude',
-                '7': 'GPS Timestamp',
-                '18': 'GPS Map Datum',
-                '29': 'GPS Date'
-            }
-        };
+        // Parse each IFD (Image File Directory) section
+        ExifTags.IFDS.forEach(ifd => {
+            if (!exifObj[ifd]) return;
 
-        // Store GPS coordinates for map link generation
-        let gpsLat = null, gpsLon = null, gpsLatRef = null, gpsLonRef = null;
+            for (let tag in exifObj[ifd]) {
+                if (ExifTags.POINTER_TAGS.includes(tag)) continue;
 
-        // Parse each IFD (Image File Directory) section
-        for (let ifd in exifTags) {
-            if (exifObj[ifd]) {
-                for (let tag in exifObj[ifd]) {
-                    // Get human-readable tag name or use generic name
-                    const tagName = exifTags[ifd][tag] || `${ifd} Tag ${tag}`;
-                    let value = exifObj[ifd][tag];
-
-                    // Store GPS data for later processing
-                    if (ifd === 'GPS') {
-                        if (tag === '2') gpsLat = value;
-                        if (tag === '4') gpsLon = value;
-                        if (tag === '1') gpsLatRef = value;
-                        if (tag === '3') gpsLonRef = value;
-                    }
-
-                    // Format the value based on its type
-                    if (Array.isArray(value)) {
-                        if (ifd === 'GPS' && (tag === '2' || tag === '4')) {
-                            // Format GPS coordinates (latitude/longitude) specially
-                            value = this.formatGPSCoordinate(value);
-                        } else {
-                            // Join array values with commas
-                            value = value.join(', ');
-                        }
-                    } else if (typeof value === 'object') {
-                        // Convert complex objects to JSON string
-                        value = JSON.stringify(value);
-                    }
-
-                    // Only include non-empty values
-                    if (value !== undefined && value !== null && value !== '') {
-                        metadata[tagName] = value;
-                    }
+                const tagName = ExifTags.getLabel(ifd, tag);
+                const value = ExifTags.format(ifd, tag, exifObj[ifd][tag], exifObj[ifd]);
+
+                // Only include non-empty values
+                if (value !== undefined && value !== null && value !== '') {
+                    metadata[tagName] = value;
                 }
             }
+        });
+
+        // The IFD1 thumbnail is image data, not a tag; it is shown under the preview
+        if (exifObj.thumbnail) {
+            metadata['Embedded Thumbnail'] =
+                `${window.metadataTool.formatFileSize(exifObj.thumbnail.length)} JPEG image (shown under the preview)`;
         }
 
-        // Add GPS map link if coordinates are available
-        if (gpsLat && gpsLon) {
-            const mapLink = this.addGPSMapLink(gpsLat, gpsLon, gpsLatRef, gpsLonRef);
-            if (mapLink) {
-                metadata['📍 Location on Map'] = mapLink;
+        // Add an offline map preview if coordinates are available
+        if (exifObj.GPS && exifObj.GPS[2] && exifObj.GPS[4]) {
+            const mapPreview = this.addGPSMapPreview(exifObj.GPS);
+            if (mapPreview) {
+                metadata[MetadataViewer.MAP_PREVIEW_LABEL] = mapPreview;
             }
         }
 
@@ -360,60 +592,44 @@ class MetadataViewer {
     }
 
     /**
-     * Format GPS coordinates from EXIF format to degrees/minutes/seconds with decimal
-     * EXIF stores GPS as arrays of rational numbers [degrees, minutes, seconds]
-     * 
-     * @param {Array} coord - GPS coordinate array from EXIF
-     * @returns {string} Formatted coordinate string (e.g., "40° 26' 46.30\" (40.446389°)")
-     * @example
-     * formatGPSCoordinate([[40,1], [26,1], [4630,100]]) // "40° 26' 46.30" (40.446389°)"
+     * Convert GPS coordinates to decimal and render an offline map preview
+     * The map and place name come from bundled data, so the location is never
+     * sent to an external map service
+     *
+     * @param {Object} gps - GPS IFD from piexifjs
+     * @returns {string|null} HTML with the map and nearest place, or null if the coordinates are invalid
      */
-    formatGPSCoordinate(coord) {
-        if (!Array.isArray(coord) || coord.length !== 3) return coord;
-
-        let degrees, minutes, seconds;
+    addGPSMapPreview(gps) {
+        const lat = this.convertGPSToDecimal(gps[2], gps[1]);
+        const lon = this.convertGPSToDecimal(gps[4], gps[3]);
 
-        // Check if values are already numbers (simplified format common on some mobile browsers)
-        if (typeof coord[0] === 'number') {
-            degrees = coord[0];
-            minutes = coord[1];
-            seconds = coord[2];
-        } else {
-            // Convert rational arrays [[n,d], [n,d], [n,d]]
-            degrees = this.convertRational(coord[0]);
-            minutes = this.convertRational(coord[1]);
-            seconds = this.convertRational(coord[2]);
+        if (lat === null || lon === null || Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+            return null;
         }
 
-        // Validate and sanitize
-        degrees = this.sanitizeNumber(degrees);
-        minutes = this.sanitizeNumber(minutes);
-        seconds = this.sanitizeNumber(seconds);
-
-        // Convert to decimal degrees for easier usage
-        const decimal = degrees + (minutes / 60) + (seconds / 3600);
-
-        return `${degrees}° ${minutes}' ${seconds.toFixed(2)}" (${decimal.toFixed(6)}°)`;
-    }
-
-    /**
-     * Convert GPS coordinates to decimal and create a map link
-     * @param {Array} latitude - GPS latitude array
-     * @param {Array} longitude - GPS longitude array  
-     * @param {string} latRef - 'N' or 'S'
-     * @param {string} lonRef - 'E' or 'W'
-     * @returns {string|null} HTML link to Google Maps or null
-     */
-    addGPSMapLink(latitude, longitude, latRef, lonRef) {
-        const lat = this.convertGPSToDecimal(latitude, latRef);
-        const lon = this.convertGPSToDecimal(longitude, lonRef);
-
-        if (lat !== null && lon !== null) {
-            return `<a href="https://www.google.com/maps?q=${lat},${lon}" target="_blank" rel="noopener noreferrer" style="color: #2563eb; text-decoration: none;">
-                View on map (${lat.toFixed(6)}, ${lon.toFixed(6)})
-            </a>`;
+        const direction = gps[17] ? this.sanitizeNumber(this.convertRational(gps[17])) : null;
+        const accuracy = gps[31] ? this.sanitizeNumber(this.convertRational(gps[31])) : null;
+        const place = GeoLocator.reverseGeocode(lat, lon);
+        const escape = (text) => window.metadataTool.escapeHtml(text);
+
+        let description = 'No nearby place in the offline dataset';
+        if (place.country) {
+            const names = [place.city, place.region, place.country]
+                .filter((name, i, all) => name && all.indexOf(name) === i);
+            description = `Near ${names.map(escape).join(', ')}` +
+                (place.distanceKm !== null ? ` (${Math.round(place.distanceKm)} km from ${escape(place.city)})` : '');
         }
-        return null;
+
+        return `
+            <div class="location-preview">
+                <div class="location-maps">${GeoLocator.renderMap({ lat, lon, direction, accuracy })}</div>
+                <p><strong>${description}</strong></p>
+                <p>${lat.toFixed(6)}, ${lon.toFixed(6)}</p>
+                <small class="location-note">Rendered offline from bundled map data; the location is not sent anywhere.
+                    Places: <a href="https://simplemaps.com/data/world-cities" target="_blank" rel="noopener noreferrer">SimpleMaps</a>
+                    (CC BY 4.0), borders: Natural Earth.</small>
+            </div>
+        `;
     }
 
     /**
@@ -447,27 +663,37 @@ class MetadataViewer {
     }
 
     /**
-     * Export current metadata as JSON file
+     * Export metadata in the format chosen in the export picker
+     * With "all files" ticked, every file of the batch goes into one export
+     * (one CSV row or ExifTool JSON entry per file, zipped XMP sidecars)
      */
-    exportMetadataAsJSON() {
+    async exportMetadata() {
         if (!this.currentMetadata || !this.currentFile) {
             window.metadataTool?.showNotification('No metadata to export', 'warning');
             return;
         }
 
-        const exportData = {
-            fileName: this.currentFile.name,
-            fileSize: this.currentFile.size,
-            extractedAt: new Date().toISOString(),
-            basicInfo: this.currentMetadata.basic,
-            exifData: this.currentMetadata.exif
-        };
+        const format = document.getElementById('export-format-select')?.value || 'json';
+        const exportAll = this.fileQueue.length > 1 && document.getElementById('export-all-files')?.checked;
+        const files = exportAll ? this.fileQueue : [this.currentFile];
+
+        let items;
+        try {
+            items = await Promise.all(files.map(async file => ({
+                file,
+                metadata: file === this.currentFile ? this.currentMetadata : await this.extractRealMetadata(file)
+            })));
+        } catch (error) {
+            if (error.name !== 'AbortError') throw error;
+            window.metadataTool?.showNotification('Processing cancelled', 'info');
+            return;
+        }
 
-        const blob = new Blob([JSON.stringify(exportData, null, 2)], { type: 'application/json' });
+        const { blob, fileName } = MetadataExporter.build(format, items);
         const url = URL.createObjectURL(blob);
         const a = document.createElement('a');
         a.href = url;
-        a.download = `${this.currentFile.name.replace(/\.[^/.]+$/, '')}-metadata.json`;
+        a.download = fileName;
         a.click();
         URL.revokeObjectURL(url);
 
@@ -484,12 +710,25 @@ class MetadataViewer {
         const tbody = document.getElementById('metadata-tbody');
         tbody.innerHTML = '';
 
+        // Labels of every classified field, for the privacy score
+        const sensitiveLabels = [];
+
+        // File names and EXIF strings are untrusted; the map preview is the only HTML value
+        const escape = (text) => window.metadataTool.escapeHtml(text);
+        const escapeFields = (fields) => Object.fromEntries(Object.entries(fields).map(([key, value]) =>
+            key === MetadataViewer.MAP_PREVIEW_LABEL ? [key, value] : [escape(key), escape(value)]));
+
         // Display basic metadata section
-        this.addMetadataRows(tbody, 'Basic File Information', metadata.basic, false);
+        this.addMetadataRows(tbody, 'Basic File Information', escapeFields(metadata.basic), false);
+
+        // Metadata that could not be read may still be in the file, so this comes first
+        if (metadata.parseErrors.length > 0) {
+            this.addParseErrorRow(tbody, metadata.parseErrors);
+        }
 
         // Display EXIF data if available, otherwise show "no metadata" message
         if (Object.keys(metadata.exif).length > 0) {
-            this.addMetadataRows(tbody, 'EXIF Metadata (Sensitive Data)', metadata.exif, true);
+            sensitiveLabels.push(...this.addMetadataRows(tbody, 'EXIF Metadata (Sensitive Data)', escapeFields(metadata.exif), true));
 
             // Check if GPS data is missing (common on mobile uploads due to privacy stripping)
             const hasGPS = Object.keys(metadata.exif).some(key => key.startsWith('GPS'));
@@ -511,18 +750,97 @@ class MetadataViewer {
                 `;
                 tbody.appendChild(warningRow);
             }
-        } else {
+        } else if (!metadata.parseErrors.some(error => error.block === 'EXIF' || error.block === 'File')) {
+            const hasContainerFields = (metadata.container && Object.keys(metadata.container.fields).length > 0) ||
+                (metadata.xmp && Object.keys(metadata.xmp).length > 0) ||
+                (metadata.iptc && Object.keys(metadata.iptc).length > 0);
             const row = document.createElement('tr');
             row.innerHTML = `
                 <td colspan="2" style="text-align: center; padding: 2rem;">
                     <div style="color: var(--secondary);">
                         <strong>✅ No EXIF metadata found</strong><br>
-                        <small>This image has no embedded metadata</small>
+                        <small>${hasContainerFields
+                            ? 'Other embedded metadata is listed below'
+                            : 'This image has no embedded metadata'}</small>
                     </div>
                 </td>
             `;
             tbody.appendChild(row);
         }
+
+        // Display the vendor fields decoded from the MakerNote tag (serial numbers, shutter counts)
+        if (metadata.makerNote) {
+            sensitiveLabels.push(...this.addMetadataRows(tbody, metadata.makerNote.title, metadata.makerNote.fields, true));
+        }
+
+        // Display PNG/WebP chunks or HEIF items (text, timestamps, colour information)
+        if (metadata.container && Object.keys(metadata.container.fields).length > 0) {
+            sensitiveLabels.push(...this.addMetadataRows(tbody, metadata.container.title, metadata.container.fields, true));
+        }
+
+        // Display IPTC datasets (caption, byline, keywords, location, credit)
+        if (metadata.iptc && Object.keys(metadata.iptc).length > 0) {
+            sensitiveLabels.push(...this.addMetadataRows(tbody, 'IPTC Metadata', metadata.iptc, true));
+        }
+
+        // Display XMP properties (edit history, location fields, face regions, document IDs)
+        if (metadata.xmp && Object.keys(metadata.xmp).length > 0) {
+            sensitiveLabels.push(...this.addMetadataRows(tbody, 'XMP Metadata', metadata.xmp, true));
+        }
+
+        // Display the colour profile; it describes the colours, not the photo, so it is not scored
+        if (metadata.icc) {
+            this.addMetadataRows(tbody, 'Colour Profile (ICC)', metadata.icc, false);
+        }
+
+        // MPF previews are not listed in the table, but count like the EXIF thumbnail
+        metadata.embeddedImages
+            .filter(image => image.kind === 'mpf')
+            .forEach(image => sensitiveLabels.push(image.label));
+
+        // The map preview row repeats the GPS coordinates, so it is not scored twice
+        this.renderPrivacyScore(sensitiveLabels.filter(label => label !== MetadataViewer.MAP_PREVIEW_LABEL));
+    }
+
+    /**
+     * Add a warning row listing the metadata blocks that could not be read
+     *
+     * @param {HTMLElement} tbody - Table body to append to
+     * @param {Object[]} errors - Parse errors ({ block, code, message, offset })
+     */
+    addParseErrorRow(tbody, errors) {
+        const row = document.createElement('tr');
+        row.innerHTML = `
+            <td colspan="2" style="background-color: #fff7ed; padding: 1rem; border-left: 4px solid #f59e0b;">
+                <strong>⚠️ Part of the metadata could not be read</strong><br>
+                <small>The file may be damaged or crafted to hide data, so it can hold more than is listed here.</small>
+                ${MetadataError.renderList(errors)}
+            </td>
+        `;
+        tbody.appendChild(row);
+    }
+
+    /**
+     * Show the overall privacy score above the metadata table
+     *
+     * @param {string[]} labels - Labels of the classified fields
+     */
+    renderPrivacyScore(labels) {
+        const container = document.getElementById('privacy-score');
+        if (!container) return;
+
+        const { score, rating, counts } = PrivacyClassifier.score(labels);
+        const ratingClass = rating.split(' ')[0].toLowerCase();
+
+        container.className = `privacy-score privacy-${ratingClass}`;
+        container.innerHTML = `
+            <span class="privacy-score-value">${score}</span>
+            <div>
+                <strong>Privacy score: ${rating}</strong><br>
+                <small>${counts.high} high, ${counts.medium} medium and ${counts.low} low-risk fields</small>
+            </div>
+        `;
+        container.style.display = 'flex';
     }
 
     /**
@@ -532,9 +850,12 @@ class MetadataViewer {
      * @param {HTMLElement} tbody - Table body element to append rows to
      * @param {string} sectionTitle - Title for this metadata section
      * @param {Object} metadata - Metadata key-value pairs to display
-     * @param {boolean} checkSensitive - Whether to check for sensitive data (unused)
+     * @param {boolean} checkSensitive - Whether to classify and colour-code rows by privacy risk
+     * @returns {string[]} Labels of the classified rows (empty when checkSensitive is false)
      */
     addMetadataRows(tbody, sectionTitle, metadata, checkSensitive = false) {
+        const classified = [];
+
         // Add section header row
         const headerRow = document.createElement('tr');
         headerRow.innerHTML = `
@@ -547,13 +868,25 @@ class MetadataViewer {
         // Add individual metadata rows
         Object.entries(metadata).forEach(([key, value]) => {
             const row = document.createElement('tr');
+            let badge = '';
+
+            if (checkSensitive) {
+                const { level, category } = PrivacyClassifier.classify(key);
+                row.className = `risk-row risk-${level}`;
+                row.title = `${level.charAt(0).toUpperCase() + level.slice(1)} privacy risk: ${category}`;
+                badge = `<span class="risk-badge">${level}</span>`;
+                classified.push(key);
+            }
+
             row.innerHTML = `
-                <td style="font-weight: 600;">${key}</td>
+                <td style="font-weight: 600;">${badge}${key}</td>
                 <td>${value}</td>
             `;
 
             tbody.appendChild(row);
         });
+
+        return classified;
     }
 }
 
@@ -0,0 +1,363 @@
+/**
+ * MetadataJobs - Parsing and stripping jobs that run on an ArrayBuffer
+ *
+ * This file is both a classic script and the Web Worker used by
+ * MetadataPipeline. In the worker it loads piexifjs and the format parsers and
+ * answers job messages; on the page it only defines MetadataJobs, which the
+ * pipeline uses directly when workers are unavailable (e.g. pages opened from
+ * file://). Jobs report progress through a callback and never touch the DOM.
+ */
+class MetadataJobs {
+    // Scripts the worker needs, relative to this file
+    static WORKER_SCRIPTS = [
+        'https://cdn.jsdelivr.net/npm/piexifjs@1.0.6/piexif.min.js',
+        'metadata-error.js',
+        'exif-validator.js',
+        'jpeg-parser.js',
+        'jpeg-transform.js',
+        'png-parser.js',
+        'webp-parser.js',
+        'heic-parser.js',
+        'xmp-parser.js',
+        'iptc-parser.js',
+        'icc-parser.js',
+        'maker-note-parser.js',
+        'hidden-data-scanner.js'
+    ];
+
+    /**
+     * Run a job by name
+     *
+     * @param {string} type - 'parse', 'strip' or 'hash'
+     * @param {ArrayBuffer} buffer - File contents
+     * @param {Object} options - Job options
+     * @param {Function} progress - Called with (stage, fraction)
+     * @returns {Promise<Object>} Job result
+     * @throws {Error} For unknown job types and parser errors
+     */
+    static async run(type, buffer, options, progress) {
+        switch (type) {
+            case 'parse':
+                return MetadataJobs.parse(buffer, progress);
+            case 'strip':
+                return MetadataJobs.strip(buffer, options, progress);
+            case 'hash':
+                return MetadataJobs.hash(buffer, progress);
+            default:
+                throw new Error(`Unknown job: ${type}`);
+        }
+    }
+
+    /**
+     * Read every kind of metadata from a file
+     * Failures in one block (e.g. malformed XMP) are reported in the result as
+     * { code, message, offset } (see MetadataError.describe) instead of failing
+     * the whole job. EXIF is only decoded once ExifValidator has checked its structure
+     *
+     * @param {ArrayBuffer} buffer - File contents
+     * @param {Function} progress - Called with (stage, fraction)
+     * @returns {Promise<Object>} { format, exif, exifError, makerNote, makerNoteError, entries,
+     *     metadataChunks, iptc, xmp, xmpPackets, xmpError, embeddedImages, icc, iccProfile, iccError, hiddenData }
+     */
+    static async parse(buffer, progress = () => {}) {
+        const bytes = new Uint8Array(buffer);
+        const format = MetadataJobs.getFormat(bytes);
+        const result = {
+            format,
+            exif: null,             // EXIF object from piexifjs
+            exifError: null,
+            makerNote: null,        // Decoded vendor fields from MakerNoteParser
+            makerNoteError: null,
+            entries: [],            // All PNG/WebP chunks or HEIF items, for display
+            metadataChunks: [],     // Entries that carry metadata, without the EXIF chunk
+            iptc: [],
+            xmp: null,              // { namespaces, properties } from XmpParser
+            xmpPackets: [],         // Raw XMP packets, standard first
+            xmpError: null,
+            embeddedImages: [],     // EXIF thumbnail and MPF images: { kind, label, data, size, width, height }
+            icc: null,              // Decoded colour profile header from IccParser
+            iccProfile: null,       // Raw profile bytes, so re-encoding can keep them
+            iccError: null,
+            hiddenData: null        // Structure and LSB report from HiddenDataScanner
+        };
+
+        let exifBytes = null;
+        let xmpPackets = [];
+
+        progress('Reading metadata blocks', 0.2);
+        if (format === 'jpeg') {
+            const { segments } = JpegParser.parseSegments(bytes);
+            const app1 = segments.find(segment => segment.marker === 0xE1 && segment.identifier === 'Exif');
+            // Skip the marker, length and "Exif\0\0" header
+            if (app1) exifBytes = bytes.subarray(app1.offset + 10, app1.offset + app1.length);
+
+            progress('Reading XMP and IPTC', 0.5);
+            xmpPackets = XmpParser.readJpegPackets(bytes);
+            result.iptc = IptcParser.readJpeg(bytes);
+            result.embeddedImages = JpegParser.readMpfImages(bytes, segments).map(image => ({
+                kind: 'mpf',
+                label: `MPF ${image.label}`,
+                data: bytes.slice(image.offset, image.offset + image.length)
+            }));
+        } else if (format) {
+            const parser = MetadataJobs.getParser(format);
+            const { entries, exif, xmp } = await parser.readMetadata(bytes);
+            result.entries = entries;
+            result.metadataChunks = entries.filter(entry =>
+                parser.METADATA_CHUNKS.includes(entry.type) && entry.type !== parser.EXIF_CHUNK);
+            exifBytes = exif;
+            if (xmp) xmpPackets = [xmp];
+        }
+
+        progress('Decoding EXIF', 0.7);
+        if (exifBytes) {
+            try {
+                ExifValidator.validate(exifBytes);
+                result.exif = piexif.load('Exif\x00\x00' + MetadataJobs.toBinaryString(exifBytes));
+            } catch (error) {
+                result.exifError = MetadataError.describe(error);
+            }
+
+            // The maker note sits inside the EXIF block, so a damaged block is not searched for one
+            if (!result.exifError) {
+                try {
+                    result.makerNote = MakerNoteParser.parse(exifBytes);
+                } catch (error) {
+                    result.makerNoteError = MetadataError.describe(error);
+                }
+            }
+        }
+
+        // The thumbnail goes first so previews are listed smallest first
+        if (result.exif?.thumbnail) {
+            result.embeddedImages.unshift({
+                kind: 'thumbnail',
+                label: 'EXIF thumbnail (IFD1)',
+                data: MetadataJobs.fromBinaryString(result.exif.thumbnail)
+            });
+        }
+        result.embeddedImages.forEach(image => {
+            Object.assign(image, { size: image.data.length }, JpegParser.readDimensions(image.data));
+        });
+
+        progress('Reading colour profile', 0.8);
+        if (format) {
+            try {
+                const profile = await MetadataJobs.getParser(format).readIccProfile(bytes);
+                if (profile) {
+                    result.iccProfile = profile.slice();
+                    result.icc = IccParser.parse(profile);
+                }
+            } catch (error) {
+                result.iccError = MetadataError.describe(error);
+            }
+        }
+
+        progress('Decoding XMP', 0.9);
+        result.xmpPackets = xmpPackets;
+        if (xmpPackets.length > 0) {
+            try {
+                result.xmp = XmpParser.parse(xmpPackets);
+            } catch (error) {
+                result.xmpError = MetadataError.describe(error);
+            }
+        }
+
+        progress('Scanning for hidden data', 0.95);
+        result.hiddenData = HiddenDataScanner.scan(bytes);
+
+        progress('Done', 1);
+        return result;
+    }
+
+    /**
+     * Strip metadata without re-encoding, optionally writing a reduced EXIF block back
+     * When the file had an Orientation other than 1, a JPEG is rotated losslessly so
+     * it stays upright without the tag; if that is not possible, only the Orientation
+     * tag is written back. Other formats cannot be rotated in place and lose the tag.
+     *
+     * @param {ArrayBuffer} buffer - File contents
+     * @param {Object} options - Stripping options
+     * @param {Object|null} options.exif - EXIF object to insert after stripping (JPEG only)
+     * @param {boolean} options.keepIcc - Keep the ICC colour profile (default true)
+     * @param {number} options.orientation - EXIF Orientation to bake in (default 1, nothing to do)
+     * @param {Function} progress - Called with (stage, fraction)
+     * @returns {Promise<{data: ArrayBuffer, removed: Object[], keptFields: number, orientation: Object|null}>}
+     *     Cleaned file, the removed segments or chunks, the number of EXIF fields written back,
+     *     and how the orientation was handled ({ value, applied: 'pixels' | 'tag' | 'none', reason })
+     * @throws {Error} If the format cannot be stripped losslessly
+     */
+    static async strip(buffer, { exif = null, keepIcc = true, orientation = 1 } = {}, progress = () => {}) {
+        const bytes = new Uint8Array(buffer);
+        const format = MetadataJobs.getFormat(bytes);
+        if (!format) throw new MetadataError('unsupported', 'Unsupported image format');
+
+        progress('Stripping metadata', 0.3);
+        const { data, removed } = MetadataJobs.getParser(format).stripMetadata(bytes, { keepIcc });
+
+        let output = data;
+        let orientationResult = null;
+        // HEIF stores its rotation in the irot and imir item properties, which are kept
+        if (orientation > 1 && format !== 'heic') {
+            orientationResult = { value: orientation, applied: 'none', reason: null };
+
+            if (format === 'jpeg') {
+                progress('Rotating image data', 0.5);
+                try {
+                    output = JpegTransform.transform(data, orientation);
+                    orientationResult.applied = 'pixels';
+                    if (exif) exif = MetadataJobs.orientExif(exif, orientation);
+                } catch (error) {
+                    orientationResult.applied = 'tag';
+                    orientationResult.reason = error.message;
+                    exif = exif ? JSON.parse(JSON.stringify(exif)) : { '0th': {} };
+                    exif['0th'] = { ...exif['0th'], 274: orientation };
+                }
+            } else {
+                orientationResult.reason = `${format.toUpperCase()} files cannot be rotated without re-encoding`;
+            }
+        }
+
+        let keptFields = 0;
+        if (exif && format === 'jpeg') {
+            progress('Writing kept EXIF fields', 0.7);
+            const exifBinary = piexif.dump(exif);
+            // Count the kept fields the same way the verification step will
+            const kept = piexif.load(exifBinary);
+            keptFields = Object.values(kept).reduce((total, ifd) =>
+                total + (ifd && typeof ifd === 'object' ? Object.keys(ifd).length : 0), kept.thumbnail ? 1 : 0);
+            try {
+                // Skip the "Exif\0\0" header in front of the TIFF data
+                const makerNote = MakerNoteParser.parse(MetadataJobs.fromBinaryString(exifBinary.slice(6)));
+                if (makerNote) keptFields += makerNote.fields.length;
+            } catch (error) {
+                // A maker note that no longer decodes adds no fields to the verification count either
+            }
+            output = MetadataJobs.fromBinaryString(piexif.insert(exifBinary, MetadataJobs.toBinaryString(output)));
+        }
+
+        progress('Done', 1);
+        // Segments are plain objects, so they can be posted back as they are
+        return {
+            data: output.buffer.slice(output.byteOffset, output.byteOffset + output.byteLength),
+            removed,
+            keptFields,
+            orientation: orientationResult
+        };
+    }
+
+    /**
+     * Update kept EXIF fields for an image whose pixels were turned upright
+     *
+     * @param {Object} exif - EXIF object from piexifjs
+     * @param {number} orientation - Orientation that was applied
+     * @returns {Object} Copy without the Orientation tag, with the pixel dimensions swapped if needed
+     */
+    static orientExif(exif, orientation) {
+        const result = JSON.parse(JSON.stringify(exif));
+        if (result['0th']) delete result['0th'][274];
+
+        const exifIfd = result.Exif;
+        if (exifIfd && [5, 6, 7, 8].includes(orientation)) {
+            [exifIfd[40962], exifIfd[40963]] = [exifIfd[40963], exifIfd[40962]];
+            if (exifIfd[40962] === undefined) delete exifIfd[40962];
+            if (exifIfd[40963] === undefined) delete exifIfd[40963];
+        }
+        return result;
+    }
+
+    /**
+     * Hash the image data of a file (see the parsers' hashImageData)
+     *
+     * @param {ArrayBuffer} buffer - File contents
+     * @param {Function} progress - Called with (stage, fraction)
+     * @returns {Promise<{hash: string|null}>} Hex SHA-256 hash, or null for unsupported formats
+     */
+    static async hash(buffer, progress = () => {}) {
+        const bytes = new Uint8Array(buffer);
+        const format = MetadataJobs.getFormat(bytes);
+
+        progress('Hashing image data', 0.5);
+        const hash = format ? await MetadataJobs.getParser(format).hashImageData(bytes) : null;
+        progress('Done', 1);
+        return { hash };
+    }
+
+    /**
+     * Detect the container format from the file signature
+     *
+     * @param {Uint8Array} bytes - File contents
+     * @returns {string|null} 'jpeg', 'png', 'webp', 'heic', or null
+     */
+    static getFormat(bytes) {
+        if (JpegParser.isJpeg(bytes)) return 'jpeg';
+        if (PngParser.isPng(bytes)) return 'png';
+        if (WebpParser.isWebp(bytes)) return 'webp';
+        if (HeicParser.isHeic(bytes)) return 'heic';
+        return null;
+    }
+
+    /**
+     * Get the parser class for a format
+     *
+     * @param {string} format - Format from getFormat
+     * @returns {Function} Parser class
+     */
+    static getParser(format) {
+        return { jpeg: JpegParser, png: PngParser, webp: WebpParser, heic: HeicParser }[format];
+    }
+
+    /**
+     * Convert bytes to a binary string for piexifjs
+     * main.js is not loaded in the worker, so this mirrors MetadataTool.bytesToBinaryString
+     *
+     * @param {Uint8Array} bytes - Bytes to convert
+     * @returns {string} Binary string
+     */
+    static toBinaryString(bytes) {
+        let result = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            result += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        }
+        return result;
+    }
+
+    /**
+     * Convert a binary string back to bytes
+     *
+     * @param {string} binary - Binary string from piexifjs
+     * @returns {Uint8Array} Bytes
+     */
+    static fromBinaryString(binary) {
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    }
+}
+
+/**
+ * Worker entry point
+ * Messages are { id, type, buffer, options }; replies are { id, type: 'progress' | 'result' | 'error' },
+ * and errors carry the code and offset of MetadataError.describe
+ */
+if (typeof WorkerGlobalScope !== 'undefined' && self instanceof WorkerGlobalScope) {
+    // piexifjs registers itself on window
+    self.window = self;
+    importScripts(...MetadataJobs.WORKER_SCRIPTS);
+
+    self.onmessage = async (e) => {
+        const { id, type, buffer, options } = e.data;
+        const progress = (stage, fraction) => self.postMessage({ id, type: 'progress', stage, fraction });
+
+        try {
+            const result = await MetadataJobs.run(type, buffer, options, progress);
+            self.postMessage({ id, type: 'result', result }, result.data ? [result.data] : []);
+        } catch (error) {
+            self.postMessage({ id, type: 'error', ...MetadataError.describe(error) });
+        }
+    };
+
+    self.postMessage({ type: 'ready' });
+}
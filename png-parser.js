@@ -0,0 +1,414 @@
+/**
+ * PngParser - Reads and strips PNG chunks
+ *
+ * Lists every ancillary chunk (tEXt, iTXt, zTXt, eXIf, tIME, iCCP, ...) with a
+ * decoded value, and removes metadata chunks losslessly by copying the image
+ * chunks unchanged.
+ */
+class PngParser {
+    static SIGNATURE = [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A];
+
+    // Chunks that carry descriptive or personal metadata
+    static METADATA_CHUNKS = ['tEXt', 'zTXt', 'iTXt', 'eXIf', 'tIME'];
+
+    // Chunk whose payload is an EXIF (TIFF) block
+    static EXIF_CHUNK = 'eXIf';
+
+    // Chunks needed to render the image correctly, kept when stripping.
+    // tRNS holds transparency and the APNG chunks hold animation frames.
+    static RENDERING_CHUNKS = [
+        'IHDR', 'PLTE', 'IDAT', 'IEND', 'tRNS', 'gAMA', 'cHRM', 'sRGB', 'sBIT',
+        'acTL', 'fcTL', 'fdAT'
+    ];
+
+    // Chunks that make up the decoded pixels, used for verification hashes
+    static IMAGE_CHUNKS = ['IHDR', 'PLTE', 'tRNS', 'IDAT', 'acTL', 'fcTL', 'fdAT'];
+
+    static RENDERING_INTENTS = ['Perceptual', 'Relative colorimetric', 'Saturation', 'Absolute colorimetric'];
+
+    // Fixed-size chunks, and the shortest valid text and iCCP chunks (a 1-byte keyword and its header fields)
+    static MIN_CHUNK_LENGTHS = { tIME: 7, pHYs: 9, gAMA: 4, sRGB: 1, tEXt: 2, zTXt: 3, iTXt: 6, iCCP: 3 };
+
+    // Compressed chunks that inflate to more than this are treated as decompression bombs
+    static MAX_INFLATED_SIZE = 16 * 1024 * 1024;
+
+    /**
+     * Check whether a byte array starts with the PNG signature
+     *
+     * @param {Uint8Array} bytes - File contents
+     * @returns {boolean} True for PNG data
+     */
+    static isPng(bytes) {
+        return bytes.length >= 8 && PngParser.SIGNATURE.every((value, i) => bytes[i] === value);
+    }
+
+    /**
+     * Split a PNG file into its chunks
+     *
+     * @param {Uint8Array} bytes - File contents
+     * @returns {{chunks: Object[], trailingOffset: number}} Chunks in file order
+     *     ({ type, offset, length, dataOffset }), plus the offset of any bytes after IEND
+     * @throws {MetadataError} If the data is not a PNG or a chunk is truncated
+     */
+    static parseChunks(bytes) {
+        if (!PngParser.isPng(bytes)) {
+            throw new MetadataError('unsupported', 'Not a PNG file');
+        }
+
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const chunks = [];
+        let pos = 8;
+
+        while (pos + 8 <= bytes.length) {
+            const length = view.getUint32(pos);
+            const type = String.fromCharCode(...bytes.subarray(pos + 4, pos + 8));
+            const end = pos + 12 + length;
+
+            if (end > bytes.length) {
+                throw new MetadataError('truncated', `Truncated PNG chunk ${type} at offset ${pos}`, pos);
+            }
+
+            chunks.push({ type, offset: pos, length, dataOffset: pos + 8 });
+            pos = end;
+
+            if (type === 'IEND') break;
+        }
+
+        return { chunks, trailingOffset: pos };
+    }
+
+    /**
+     * Decode all ancillary chunks into display entries
+     * Compressed text chunks are inflated; the eXIf payload is returned as raw
+     * TIFF bytes so it can go through the regular EXIF parser, and the XMP packet
+     * (iTXt keyword "XML:com.adobe.xmp") is returned as text.
+     *
+     * A chunk that cannot be decoded is listed with the reason instead of its value,
+     * so one damaged chunk does not hide the others.
+     *
+     * @param {Uint8Array} bytes - File contents
+     * @returns {Promise<{entries: Object[], exif: Uint8Array|null, xmp: string|null}>} One entry per
+     *     ancillary chunk ({ type, label, value }, plus error: { code, message, offset } from
+     *     MetadataError.describe for chunks that could not be decoded), the eXIf payload and
+     *     the XMP packet if present
+     */
+    static async readMetadata(bytes) {
+        const { chunks } = PngParser.parseChunks(bytes);
+        const entries = [];
+        const usedLabels = new Set();
+        let exif = null;
+        let xmp = null;
+
+        for (const chunk of chunks) {
+            if (['IHDR', 'PLTE', 'IDAT', 'IEND'].includes(chunk.type)) continue;
+
+            const data = bytes.subarray(chunk.dataOffset, chunk.dataOffset + chunk.length);
+            if (chunk.type === 'eXIf') {
+                exif = data;
+            }
+
+            let decoded;
+            try {
+                decoded = await PngParser.decodeChunk(chunk.type, data);
+            } catch (error) {
+                const description = MetadataError.describe(error);
+                decoded = {
+                    label: `${chunk.type} chunk`,
+                    value: `Could not be decoded (${MetadataError.CODES[description.code]}): ${description.message}`,
+                    error: { ...description, offset: description.offset ?? chunk.offset }
+                };
+            }
+            const { label, value, error } = decoded;
+            if (label === 'iTXt: XML:com.adobe.xmp' && xmp === null) {
+                xmp = value;
+            }
+
+            // Several text chunks may share a keyword
+            let uniqueLabel = label;
+            for (let n = 2; usedLabels.has(uniqueLabel); n++) {
+                uniqueLabel = `${label} (${n})`;
+            }
+            usedLabels.add(uniqueLabel);
+
+            const entry = { type: chunk.type, label: uniqueLabel, value };
+            if (error) entry.error = error;
+            entries.push(entry);
+        }
+
+        return { entries, exif, xmp };
+    }
+
+    /**
+     * Decode a single ancillary chunk into a label and readable value
+     *
+     * @param {string} type - Four-letter chunk type
+     * @param {Uint8Array} data - Chunk data (without length, type and CRC)
+     * @returns {Promise<{label: string, value: string}>} Display label and value
+     * @throws {MetadataError} If the chunk is too short or a text chunk has no keyword,
+     *     or a compressed text cannot be inflated
+     */
+    static async decodeChunk(type, data) {
+        const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+        const latin1 = new TextDecoder('latin1');
+        const minimum = PngParser.MIN_CHUNK_LENGTHS[type] || 0;
+        if (data.length < minimum) {
+            throw new MetadataError('truncated', `${type} chunk holds ${data.length} bytes instead of at least ${minimum}`);
+        }
+
+        switch (type) {
+            case 'tEXt': {
+                const separator = PngParser.findKeywordEnd(type, data);
+                return {
+                    label: `tEXt: ${latin1.decode(data.subarray(0, separator))}`,
+                    value: latin1.decode(data.subarray(separator + 1))
+                };
+            }
+            case 'zTXt': {
+                const separator = PngParser.findKeywordEnd(type, data);
+                const text = await PngParser.inflate(data.subarray(separator + 2));
+                return {
+                    label: `zTXt: ${latin1.decode(data.subarray(0, separator))}`,
+                    value: latin1.decode(text)
+                };
+            }
+            case 'iTXt': {
+                // keyword \0 compressionFlag compressionMethod language \0 translatedKeyword \0 text
+                const keywordEnd = PngParser.findKeywordEnd(type, data);
+                const compressed = data[keywordEnd + 1] === 1;
+                const languageEnd = data.indexOf(0, keywordEnd + 3);
+                const translatedEnd = languageEnd === -1 ? -1 : data.indexOf(0, languageEnd + 1);
+                if (keywordEnd + 3 > data.length || translatedEnd === -1) {
+                    throw new MetadataError('corrupt', 'iTXt chunk is missing its language or translated keyword');
+                }
+                let text = data.subarray(translatedEnd + 1);
+                if (compressed) {
+                    text = await PngParser.inflate(text);
+                }
+
+                const language = latin1.decode(data.subarray(keywordEnd + 3, languageEnd));
+                return {
+                    label: `iTXt: ${latin1.decode(data.subarray(0, keywordEnd))}` + (language ? ` [${language}]` : ''),
+                    value: new TextDecoder('utf-8').decode(text)
+                };
+            }
+            case 'tIME': {
+                const pad = (n) => String(n).padStart(2, '0');
+                return {
+                    label: 'Last Modified (tIME)',
+                    value: `${view.getUint16(0)}-${pad(data[2])}-${pad(data[3])} ` +
+                        `${pad(data[4])}:${pad(data[5])}:${pad(data[6])} UTC`
+                };
+            }
+            case 'pHYs': {
+                const x = view.getUint32(0);
+                const y = view.getUint32(4);
+                return {
+                    label: 'Pixel Dimensions (pHYs)',
+                    value: data[8] === 1
+                        ? `${Math.round(x * 0.0254)} x ${Math.round(y * 0.0254)} DPI`
+                        : `Aspect ratio ${x}:${y}`
+                };
+            }
+            case 'gAMA':
+                return { label: 'Gamma (gAMA)', value: (view.getUint32(0) / 100000).toFixed(5) };
+            case 'sRGB':
+                return {
+                    label: 'sRGB Rendering Intent (sRGB)',
+                    value: PngParser.RENDERING_INTENTS[data[0]] || `Unknown (${data[0]})`
+                };
+            case 'iCCP': {
+                const separator = PngParser.findKeywordEnd(type, data);
+                return {
+                    label: 'ICC Profile (iCCP)',
+                    value: `${latin1.decode(data.subarray(0, separator))} (${data.length - separator - 2} bytes compressed)`
+                };
+            }
+            case 'eXIf':
+                return { label: 'EXIF Block (eXIf)', value: `${data.length} bytes` };
+            default:
+                return { label: `${type} chunk`, value: `${data.length} bytes` };
+        }
+    }
+
+    /**
+     * Remove metadata chunks from a PNG without re-encoding it
+     * Keeps the image, transparency, colour and animation chunks; drops text,
+     * EXIF, timestamps and every other ancillary chunk. Data after IEND is discarded.
+     *
+     * @param {Uint8Array} bytes - Original PNG contents
+     * @param {Object} options - Stripping options
+     * @param {boolean} options.keepIcc - Keep the iCCP colour profile chunk (default true)
+     * @returns {{data: Uint8Array, removed: Object[]}} Cleaned file and the removed chunks
+     */
+    static stripMetadata(bytes, { keepIcc = true } = {}) {
+        const { chunks } = PngParser.parseChunks(bytes);
+        const latin1 = new TextDecoder('latin1');
+        const kept = [bytes.subarray(0, 8)];
+        const removed = [];
+
+        chunks.forEach(chunk => {
+            const keep = PngParser.RENDERING_CHUNKS.includes(chunk.type) || (keepIcc && chunk.type === 'iCCP');
+            if (keep) {
+                kept.push(bytes.subarray(chunk.offset, chunk.offset + chunk.length + 12));
+            } else {
+                // Text chunks start with their keyword (at most 79 bytes), which helps identify them
+                const data = bytes.subarray(chunk.dataOffset, chunk.dataOffset + Math.min(chunk.length, 80));
+                const keyword = ['tEXt', 'zTXt', 'iTXt'].includes(chunk.type)
+                    ? latin1.decode(data.subarray(0, Math.max(data.indexOf(0), 0)))
+                    : '';
+                removed.push({ name: chunk.type, identifier: keyword, offset: chunk.offset, length: chunk.length + 12 });
+            }
+        });
+
+        const output = new Uint8Array(kept.reduce((total, part) => total + part.length, 0));
+        let offset = 0;
+        kept.forEach(part => {
+            output.set(part, offset);
+            offset += part.length;
+        });
+
+        return { data: output, removed };
+    }
+
+    /**
+     * Read the ICC profile of the iCCP chunk
+     *
+     * @param {Uint8Array} bytes - PNG contents
+     * @returns {Promise<Uint8Array|null>} Decompressed profile, or null if the file has none
+     */
+    static async readIccProfile(bytes) {
+        const chunk = PngParser.parseChunks(bytes).chunks.find(entry => entry.type === 'iCCP');
+        if (!chunk) return null;
+
+        // Profile name, a null separator and the compression method precede the zlib stream
+        const data = bytes.subarray(chunk.dataOffset, chunk.dataOffset + chunk.length);
+        return PngParser.inflate(data.subarray(data.indexOf(0) + 2));
+    }
+
+    /**
+     * Insert an ICC profile into a PNG, right after its header
+     * Colour chunks the encoder wrote (sRGB, or an older iCCP) are replaced
+     *
+     * @param {Uint8Array} bytes - PNG contents
+     * @param {Uint8Array} profile - Profile bytes
+     * @param {string} name - Profile name stored in the chunk (Latin-1, 1-79 characters)
+     * @returns {Promise<Uint8Array>} PNG with an iCCP chunk
+     * @throws {Error} If the data is not a PNG
+     */
+    static async insertIccProfile(bytes, profile, name = 'ICC Profile') {
+        const { chunks } = PngParser.parseChunks(bytes);
+        const compressed = await PngParser.deflate(profile);
+
+        const keyword = Array.from(name.slice(0, 79), char => char.charCodeAt(0) & 0xFF);
+        const data = new Uint8Array(keyword.length + 2 + compressed.length);
+        data.set(keyword, 0);
+        data.set(compressed, keyword.length + 2);     // Null separator and method 0 (deflate)
+
+        const chunk = new Uint8Array(12 + data.length);
+        const view = new DataView(chunk.buffer);
+        view.setUint32(0, data.length);
+        chunk.set([0x69, 0x43, 0x43, 0x50], 4);      // "iCCP"
+        chunk.set(data, 8);
+        // PNG uses the same CRC-32 as ZIP, over the type and the data
+        view.setUint32(8 + data.length, ZipWriter.crc32(chunk.subarray(4, 8 + data.length)));
+
+        const parts = [bytes.subarray(0, 8)];
+        chunks.forEach(entry => {
+            if (entry.type === 'sRGB' || entry.type === 'iCCP') return;
+            parts.push(bytes.subarray(entry.offset, entry.offset + entry.length + 12));
+            if (entry.type === 'IHDR') parts.push(chunk);
+        });
+
+        const output = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+        let offset = 0;
+        parts.forEach(part => {
+            output.set(part, offset);
+            offset += part.length;
+        });
+        return output;
+    }
+
+    /**
+     * Calculate a SHA-256 hash over the chunks that define the pixels
+     * (header, palette, transparency and image data)
+     *
+     * @param {Uint8Array} bytes - PNG contents
+     * @returns {Promise<string>} Hex-encoded hash
+     */
+    static async hashImageData(bytes) {
+        const { chunks } = PngParser.parseChunks(bytes);
+        const parts = chunks
+            .filter(chunk => PngParser.IMAGE_CHUNKS.includes(chunk.type))
+            .map(chunk => bytes.subarray(chunk.offset, chunk.offset + chunk.length + 12));
+
+        const combined = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+        let offset = 0;
+        parts.forEach(part => {
+            combined.set(part, offset);
+            offset += part.length;
+        });
+
+        const digest = await crypto.subtle.digest('SHA-256', combined);
+        return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * Find the NUL byte that ends the keyword of a text or iCCP chunk
+     * Keywords are 1 to 79 bytes long
+     *
+     * @param {string} type - Four-letter chunk type
+     * @param {Uint8Array} data - Chunk data
+     * @returns {number} Offset of the separator
+     * @throws {MetadataError} If the chunk has no keyword or no separator
+     */
+    static findKeywordEnd(type, data) {
+        const separator = data.subarray(0, 80).indexOf(0);
+        if (separator < 1) {
+            throw new MetadataError('corrupt', `${type} chunk has no keyword followed by a NUL separator`);
+        }
+        return separator;
+    }
+
+    /**
+     * Inflate zlib-compressed chunk data
+     * Reading stops at MAX_INFLATED_SIZE, so a small chunk cannot fill the memory
+     *
+     * @param {Uint8Array} data - zlib stream
+     * @returns {Promise<Uint8Array>} Decompressed bytes
+     * @throws {MetadataError} If the data inflates to more than MAX_INFLATED_SIZE bytes
+     */
+    static async inflate(data) {
+        const reader = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate')).getReader();
+        const parts = [];
+        let length = 0;
+
+        for (let read = await reader.read(); !read.done; read = await reader.read()) {
+            length += read.value.length;
+            if (length > PngParser.MAX_INFLATED_SIZE) {
+                await reader.cancel();
+                throw new MetadataError('too-large',
+                    `A compressed chunk inflates to more than ${PngParser.MAX_INFLATED_SIZE} bytes`);
+            }
+            parts.push(read.value);
+        }
+
+        const result = new Uint8Array(length);
+        let offset = 0;
+        parts.forEach(part => {
+            result.set(part, offset);
+            offset += part.length;
+        });
+        return result;
+    }
+
+    /**
+     * Compress data into a zlib stream
+     *
+     * @param {Uint8Array} data - Bytes to compress
+     * @returns {Promise<Uint8Array>} zlib stream
+     */
+    static async deflate(data) {
+        const stream = new Blob([data]).stream().pipeThrough(new CompressionStream('deflate'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+}
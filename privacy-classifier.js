@@ -0,0 +1,94 @@
+/**
+ * PrivacyClassifier - Rule-based privacy risk levels for metadata fields
+ *
+ * Each field is matched by its display name (EXIF names from the viewer or
+ * piexif, XMP paths, IPTC dataset names, PNG chunk labels) against an ordered
+ * rule list; the first matching rule decides its risk level and category.
+ */
+class PrivacyClassifier {
+    static LEVELS = ['high', 'medium', 'low'];
+
+    // Ordered rules: the first match wins, anything unmatched is low risk
+    static RULES = [
+        { level: 'low', category: 'GPS format information', pattern: /GPS\s*Version|GPSVersionID|GPS\s*Map\s*Datum/i },
+        { level: 'low', category: 'Technical settings', pattern: /Subject\s*(Location|Area|Distance)/i },
+        { level: 'high', category: 'Embedded preview images', pattern: /Embedded\s*thumbnail|^MPF /i },
+        { level: 'high', category: 'Location', pattern: /GPS|Location|\bCity\b|Country|Province|State\b|Sub-?location/i },
+        { level: 'high', category: 'Device serial numbers', pattern: /Serial\s*Number/i },
+        { level: 'high', category: 'Device usage counters', pattern: /Shutter\s*Count|Run\s*Time\s*Since\s*Boot|Power\s*Up\s*Time|File\s*Number/i },
+        { level: 'high', category: 'Owner and author names', pattern: /Owner\s*Name|Artist|Author|By-?line\b|Creator\b|dc:creator|Contact|Writer/i },
+        { level: 'high', category: 'People in the image', pattern: /Region.*Name|PersonDisplayName|PersonInImage/i },
+        { level: 'high', category: 'Unique identifiers', pattern: /Unique\s*ID|DocumentID|InstanceID|Transmission Reference|Identifier|UUID|Request\s*ID/i },
+        { level: 'medium', category: 'Dates and times', pattern: /Date|Time\s*(Created|Stamp|Original|Digitized)|Offset\s*Time|Release Time|Expiration Time|Creation Time|Subsec|Modified|History.*when/i },
+        { level: 'medium', category: 'Camera and lens model', pattern: /Make\b|Model|Lens/i },
+        { level: 'medium', category: 'Software and edit history', pattern: /Software|Originating Program|Program Version|History|Host\s*Computer|Creator\s*Tool/i },
+        { level: 'medium', category: 'Captions and descriptions', pattern: /Description|Caption|Comment|Title|Headline|Keywords|dc:subject|Instructions/i },
+        { level: 'medium', category: 'Copyright and credits', pattern: /Copyright|Rights|Credit|^Source$|photoshop:Source/i }
+    ];
+
+    // Points taken off the score per field, and the most each level can remove
+    static PENALTIES = {
+        high: { perField: 20, max: 60 },
+        medium: { perField: 5, max: 30 },
+        low: { perField: 1, max: 10 }
+    };
+
+    /**
+     * Classify one metadata field
+     *
+     * @param {string} label - Field display name
+     * @returns {{level: string, category: string}} Risk level ('high', 'medium' or 'low') and category
+     */
+    static classify(label) {
+        const rule = PrivacyClassifier.RULES.find(candidate => candidate.pattern.test(label));
+        return rule
+            ? { level: rule.level, category: rule.category }
+            : { level: 'low', category: 'Technical settings' };
+    }
+
+    /**
+     * Calculate an overall privacy score for a set of fields
+     *
+     * @param {string[]} labels - Field display names
+     * @returns {{score: number, rating: string, counts: Object}} Score from 0 to 100
+     *     (100 = nothing identifying), a rating, and the number of fields per level
+     * @example
+     * PrivacyClassifier.score(['GPS Latitude', 'Exposure Time']);
+     * // { score: 79, rating: 'Moderate risk', counts: { high: 1, medium: 0, low: 1 } }
+     */
+    static score(labels) {
+        const counts = { high: 0, medium: 0, low: 0 };
+        labels.forEach(label => counts[PrivacyClassifier.classify(label).level]++);
+
+        const penalty = PrivacyClassifier.LEVELS.reduce((total, level) => {
+            const { perField, max } = PrivacyClassifier.PENALTIES[level];
+            return total + Math.min(counts[level] * perField, max);
+        }, 0);
+        const score = 100 - penalty;
+
+        // A single high-risk field (80 points) is enough to leave the low-risk band
+        let rating = 'High risk';
+        if (score >= 85) rating = 'Low risk';
+        else if (score >= 50) rating = 'Moderate risk';
+
+        return { score, rating, counts };
+    }
+
+    /**
+     * Group fields by category, most sensitive first
+     *
+     * @param {string[]} labels - Field display names
+     * @returns {Object[]} Groups ({ category, level, fields }) ordered by level
+     */
+    static summarize(labels) {
+        const groups = new Map();
+        labels.forEach(label => {
+            const { level, category } = PrivacyClassifier.classify(label);
+            if (!groups.has(category)) groups.set(category, { category, level, fields: [] });
+            groups.get(category).fields.push(label);
+        });
+
+        return Array.from(groups.values()).sort((a, b) =>
+            PrivacyClassifier.LEVELS.indexOf(a.level) - PrivacyClassifier.LEVELS.indexOf(b.level));
+    }
+}
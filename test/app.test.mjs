@@ -0,0 +1,327 @@
+/**
+ * Browser classes: the page loaded into jsdom, cleaning files through the remover
+ */
+import { before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadApp } from './helpers/load-app.mjs';
+import { fixture, EXIF } from './helpers/fixtures.mjs';
+
+let window;
+
+before(async () => {
+    ({ window } = await loadApp());
+});
+
+/**
+ * Wrap a fixture in a File of the page
+ *
+ * @param {string} name - Fixture name
+ * @param {string} type - MIME type
+ * @returns {File} File for the remover
+ */
+function fixtureFile(name, type) {
+    return new window.File([fixture(name)], name, { type });
+}
+
+describe('MetadataTool', () => {
+    it('gets file extensions', () => {
+        const { metadataTool } = window;
+        assert.equal(metadataTool.getFileExtension('photo.JPG'), 'jpg');
+        assert.equal(metadataTool.getFileExtension('archive.tar.gz'), 'gz');
+        assert.equal(metadataTool.getFileExtension('README'), '');
+        assert.equal(metadataTool.getFileExtension('.hidden'), '');
+        assert.equal(metadataTool.getFileExtension('name.'), '');
+    });
+
+    it('formats file sizes', () => {
+        assert.equal(window.metadataTool.formatFileSize(0), '0 Bytes');
+        assert.equal(window.metadataTool.formatFileSize(2048), '2.00 KB');
+    });
+});
+
+describe('MetadataViewer', () => {
+    it('converts rationals, treating a zero denominator as zero', () => {
+        const { metadataViewer } = window;
+        assert.equal(metadataViewer.convertRational([1, 4]), 0.25);
+        assert.equal(metadataViewer.convertRational([5, 0]), 0);
+        assert.equal(metadataViewer.convertRational(7), 0);
+        assert.equal(metadataViewer.sanitizeNumber(NaN), 0);
+        assert.equal(metadataViewer.sanitizeNumber(Infinity), 0);
+    });
+
+    it('labels and formats the EXIF fields', () => {
+        const fields = window.metadataViewer.parseExifData(EXIF);
+        assert.equal(fields['Camera Make'], 'Canon');
+        assert.equal(fields['GPS Latitude'], '40° 26\' 46.30" (40.446194°)');
+        assert.equal(fields['GPS Longitude'], '79° 58\' 56.00" (79.982222°)');
+        assert.equal(fields['F-Number'], 'f/2.8');
+    });
+
+    it('credits the offline place data next to the location', () => {
+        const preview = window.metadataViewer.addGPSMapPreview(EXIF.GPS);
+        assert.match(preview, /SimpleMaps[\s\S]*CC BY 4\.0/);
+        assert.match(window.document.querySelector('.footer').textContent, /SimpleMaps World Cities Basic database\s+\(CC BY 4\.0\)/);
+    });
+
+    it('reports metadata that cannot be read', async () => {
+        const { metadataViewer } = window;
+        const damaged = await metadataViewer.extractRealMetadata(fixtureFile('invalid-offset.jpg', 'image/jpeg'));
+        // Arrays from the page's scripts belong to the page, so the errors are compared as text
+        assert.equal(damaged.parseErrors.map(({ block, code }) => `${block}: ${code}`).join(), 'EXIF: invalid-offset');
+
+        const truncated = await metadataViewer.extractRealMetadata(fixtureFile('truncated.jpg', 'image/jpeg'));
+        assert.equal(truncated.parseErrors.map(({ block, code }) => `${block}: ${code}`).join(), 'File: truncated');
+
+        metadataViewer.displayMetadata(damaged);
+        const table = window.document.getElementById('metadata-tbody').textContent;
+        assert.match(table, /Part of the metadata could not be read/);
+        assert.doesNotMatch(table, /No EXIF metadata found/);
+    });
+
+    it('shows EXIF text and file names as text, keeping the map preview', async () => {
+        const { metadataViewer, document } = window;
+        const file = new window.File([fixture('hostile-exif.jpg')], '<b>bold</b>.jpg', { type: 'image/jpeg' });
+        metadataViewer.displayMetadata(await metadataViewer.extractRealMetadata(file));
+
+        const tbody = document.getElementById('metadata-tbody');
+        assert.equal(tbody.querySelector('img[src="x"]'), null);
+        assert.equal(tbody.querySelector('b'), null);
+        assert.match(tbody.textContent, /<img src=x onerror=alert\(1\)>/);
+        assert.match(tbody.textContent, /<b>bold<\/b>\.jpg/);
+        assert.match(tbody.textContent, /SimpleMaps/);
+    });
+});
+
+describe('MetadataRemover', () => {
+    /**
+     * Select a file and clean it, as the page's buttons do
+     *
+     * @param {File} file - File to clean
+     * @returns {Promise<number>} Number of fields verifyCleanedFile found in the cleaned file
+     */
+    async function clean(file) {
+        const remover = window.metadataRemover;
+        await remover.handleFileSelection(file);
+
+        let remaining = null;
+        const displayResults = remover.displayResults;
+        remover.displayResults = function (count, ...rest) {
+            remaining = count;
+            return displayResults.call(this, count, ...rest);
+        };
+        try {
+            await remover.cleanMetadata();
+        } finally {
+            remover.displayResults = displayResults;
+        }
+        return remaining;
+    }
+
+    it('removes every field of a JPEG', async () => {
+        const remaining = await clean(fixtureFile('full.jpg', 'image/jpeg'));
+        const remover = window.metadataRemover;
+
+        // 22 EXIF tags and pointers, the thumbnail and 4 IPTC datasets
+        assert.equal(remover.originalMetadataCount, 27);
+        assert.equal(remaining, 0);
+        assert.match(window.document.getElementById('after-metadata').textContent, /Completely Clean/);
+        assert.equal(remover.cleanedFile.name, 'full_cleaned.jpg');
+    });
+
+    it('removes the text chunks of a PNG', async () => {
+        const remaining = await clean(fixtureFile('text-chunks.png', 'image/png'));
+
+        // 4 text and time chunks, 13 EXIF tags and pointers (the eXIf chunk is counted by its tags)
+        assert.equal(window.metadataRemover.originalMetadataCount, 17);
+        assert.equal(remaining, 0);
+        assert.match(window.document.getElementById('after-metadata').textContent, /Completely Clean/);
+    });
+
+    it('removes an EXIF block it cannot read', async () => {
+        const remaining = await clean(fixtureFile('cyclic-ifd.jpg', 'image/jpeg'));
+
+        assert.equal(window.metadataRemover.originalMetadataCount, 0);
+        assert.match(window.document.getElementById('found-metadata').textContent, /Cyclic IFD/);
+        assert.equal(remaining, 0);
+        assert.match(window.document.getElementById('cleaned-file-info').textContent, /Safe to share publicly/);
+    });
+
+    it('keeps only the checked tags', async () => {
+        const remover = window.metadataRemover;
+        const { document } = window;
+        await remover.handleFileSelection(fixtureFile('full.jpg', 'image/jpeg'));
+        const boxes = [...document.querySelectorAll('#tag-checklist input[type="checkbox"]')];
+        assert.ok(boxes.length > 0 && boxes.every(box => !box.checked));
+
+        remover.applyPreset('copyright');
+        assert.equal([...remover.getSelectedTags()].join(), '0th:274,0th:315');
+        await remover.cleanSelectedMetadata();
+
+        const { exif } = await remover.readFileMetadata(remover.cleanedFile);
+        assert.equal(exif['0th'][315], 'Jane Doe');
+        assert.equal(exif['0th'][274], 1);
+        assert.equal(exif['0th'][271], undefined);
+        assert.equal(Object.keys(exif.GPS).length, 0);
+        assert.equal(exif.thumbnail, null);
+
+        remover.applyPreset('location');
+        assert.ok(boxes.every(box => box.checked === (box.dataset.ifd !== 'GPS')));
+    });
+
+    it('shows the identifiers of removed segments as text', async () => {
+        await clean(fixtureFile('hostile-identifier.jpg', 'image/jpeg'));
+        const info = window.document.getElementById('cleaned-file-info');
+
+        assert.equal(info.querySelector('img'), null);
+        assert.match(info.textContent, /APP5 \(<img src=x onerror=alert\(1\)>\)/);
+    });
+
+    it('shows the file name and the metadata found as text', async () => {
+        const remover = window.metadataRemover;
+        const file = new window.File([fixture('full.jpg')], '<b>bold</b>.jpg', { type: 'image/jpeg' });
+        await remover.handleFileSelection(file);
+
+        const info = window.document.getElementById('remover-file-info');
+        assert.equal(info.querySelector('b'), null);
+        assert.match(info.textContent, /<b>bold<\/b>\.jpg/);
+        const found = window.document.getElementById('found-metadata');
+        assert.match(found.querySelector('ul').textContent, /0th: \d+ fields/);
+    });
+
+    it('names cleaned files from the template', () => {
+        const remover = window.metadataRemover;
+        const file = fixtureFile('full.jpg', 'image/jpeg');
+        const today = new Date().toLocaleDateString('sv');
+
+        assert.equal(remover.getCleanedFileName(file, { index: 3, template: '{date}-{index}-{name}' }), `${today}-3-full.jpg`);
+        assert.equal(remover.getCleanedFileName(file, { type: 'image/webp', template: 'web/{name}' }), 'web_full.webp');
+        assert.equal(remover.getCleanedFileName(file, { template: '  ' }), 'full_cleaned.jpg');
+    });
+
+    it('re-encodes when the output settings convert or resize', () => {
+        const remover = window.metadataRemover;
+        const { document } = window;
+        const file = fixtureFile('full.jpg', 'image/jpeg');
+        const format = document.getElementById('output-format');
+        const maxWidth = document.getElementById('output-max-width');
+
+        try {
+            assert.equal(remover.canStripLosslessly(file), true);
+            document.getElementById('output-quality').value = '50';
+            assert.equal(remover.getOutputSettings().quality, 50);
+            assert.equal(remover.canStripLosslessly(file), true);
+
+            format.value = 'image/jpeg';
+            assert.equal(remover.canStripLosslessly(file), true);
+            format.value = 'image/webp';
+            assert.equal(remover.canStripLosslessly(file), false);
+
+            format.value = 'original';
+            maxWidth.value = '800';
+            assert.equal(remover.getOutputSettings().maxWidth, 800);
+            assert.equal(remover.canStripLosslessly(file), false);
+        } finally {
+            format.value = 'original';
+            maxWidth.value = '';
+            document.getElementById('output-quality').value = '92';
+        }
+    });
+
+    it('estimates the output size without filling the pipeline cache', async () => {
+        const remover = window.metadataRemover;
+        const { cache } = window.metadataPipeline;
+        const file = fixtureFile('full.jpg', 'image/jpeg');
+        await remover.handleFileSelection(file);
+        const cached = [...cache.keys()];
+
+        const size = await remover.estimateOutputSize(file);
+        assert.ok(size > 0 && size < file.size);
+        assert.equal(cache.size, cached.length);
+        assert.ok([...cache.keys()].every((key, i) => key === cached[i]));
+    });
+
+    it('reports a format the browser could not encode', () => {
+        const html = window.metadataRemover.renderOutputSummary({
+            requestedType: 'image/avif', type: 'image/png', quality: 80,
+            width: 800, height: 600, originalWidth: 4000, originalHeight: 3000
+        });
+        assert.match(html, /PNG, 800 × 600 px</);
+        assert.match(html, /Resized from 4000 × 3000 px/);
+        assert.match(html, /cannot encode AVIF, so the image was saved as PNG/);
+    });
+
+    it('keeps an approximate location when asked to', async () => {
+        const remover = window.metadataRemover;
+        const precision = window.document.getElementById('location-precision');
+        precision.value = '1km';
+        try {
+            const remaining = await clean(fixtureFile('full.jpg', 'image/jpeg'));
+            const { exif } = await remover.readFileMetadata(remover.cleanedFile);
+
+            assert.deepEqual(Object.keys(exif.GPS).join(), '0,1,2,3,4');
+            const lat = window.metadataViewer.convertGPSToDecimal(exif.GPS[2], exif.GPS[1]);
+            const lon = window.metadataViewer.convertGPSToDecimal(exif.GPS[4], exif.GPS[3]);
+            assert.notEqual(lat.toFixed(6), '40.446194');
+            assert.ok(Math.abs(lat - 40.446194) < 0.01 && Math.abs(lon + 79.982222) < 0.01);
+
+            // The GPS pointer and the five position tags
+            assert.equal(remaining, 6);
+            assert.match(window.document.getElementById('after-metadata').textContent, /Approximate location kept/);
+            const summary = window.document.getElementById('cleaned-file-info').textContent;
+            assert.match(summary, /Only the approximate location \(within 1 km\) remains/);
+            assert.match(summary, /Removed GPS Altitude Ref, GPS Altitude/);
+            assert.match(window.document.getElementById('location-fuzz-preview').textContent, /will be saved as/);
+            assert.equal(await remover.estimateOutputSize(remover.currentFile), remover.cleanedFile.size);
+        } finally {
+            precision.value = 'remove';
+        }
+    });
+
+    it('previews the location cleaning writes, even without a latitude', async () => {
+        const remover = window.metadataRemover;
+        const precision = window.document.getElementById('location-precision');
+        await remover.handleFileSelection(fixtureFile('full.jpg', 'image/jpeg'));
+        precision.value = '1km';
+        try {
+            remover.originalExifData = { GPS: { 3: 'W', 4: [[79, 1], [58, 1], [5600, 100]] } };
+            remover.updateLocationPreview();
+            const preview = window.document.getElementById('location-fuzz-preview');
+            assert.equal(preview.hidden, false);
+            assert.match(preview.textContent, /could not be read, so the location was removed/);
+        } finally {
+            precision.value = 'remove';
+        }
+    });
+
+    it('does not call a file with fields left over safe to share', async () => {
+        const remover = window.metadataRemover;
+        await remover.handleFileSelection(fixtureFile('full.jpg', 'image/jpeg'));
+        remover.cleanedFile = fixtureFile('rotated.jpg', 'image/jpeg');
+        remover.lastStripWasLossless = false;
+        remover.keptFieldCount = 0;
+        remover.orientationResult = null;
+        remover.locationResult = null;
+        await remover.verifyCleanedFile(remover.cleanedFile);
+
+        const summary = window.document.getElementById('cleaned-file-info').textContent;
+        assert.doesNotMatch(summary, /Safe to share publicly/);
+        assert.match(summary, /\d+ fields could not be removed/);
+        const after = window.document.getElementById('after-metadata');
+        assert.match(after.textContent, /⚠️ Mostly Clean/);
+        assert.equal(after.querySelector('.count-number').classList.contains('success'), false);
+    });
+
+    it('does not call a file it cannot parse safe to share', async () => {
+        const remover = window.metadataRemover;
+        await remover.handleFileSelection(fixtureFile('full.jpg', 'image/jpeg'));
+        remover.cleanedFile = fixtureFile('corrupt-exif.jpg', 'image/jpeg');
+        remover.lastStripWasLossless = false;
+        await remover.verifyCleanedFile(remover.cleanedFile);
+
+        const summary = window.document.getElementById('cleaned-file-info').textContent;
+        assert.doesNotMatch(summary, /Safe to share publicly/);
+        assert.match(summary, /Not verified/);
+        assert.match(summary, /EXIF: Truncated data/);
+        assert.match(window.document.getElementById('after-metadata').textContent, /Could not be verified/);
+    });
+});
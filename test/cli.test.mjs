@@ -0,0 +1,58 @@
+/**
+ * bin/metadata-tool.mjs: exit codes and output files of the command line front end
+ */
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { mkdtemp, readdir, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { fixture } from './helpers/fixtures.mjs';
+
+const CLI = fileURLToPath(new URL('../bin/metadata-tool.mjs', import.meta.url));
+
+/**
+ * Run the command line tool
+ *
+ * @param {string[]} args - Arguments after the script name
+ * @returns {Promise<{code: number, report: *}>} Exit code and the parsed JSON report
+ */
+function run(args) {
+    return new Promise(resolve => {
+        execFile(process.execPath, [CLI, ...args], { timeout: 60000 }, (error, stdout) => {
+            resolve({ code: error ? error.code : 0, report: stdout ? JSON.parse(stdout) : null });
+        });
+    });
+}
+
+describe('metadata-tool strip', () => {
+    let dir;
+
+    before(async () => {
+        dir = await mkdtemp(path.join(tmpdir(), 'metadata-tool-'));
+    });
+
+    after(async () => {
+        await rm(dir, { recursive: true, force: true });
+    });
+
+    it('does not overwrite an existing cleaned file unless --force is given', async () => {
+        const input = path.join(dir, 'photo.jpg');
+        const output = path.join(dir, 'photo_cleaned.jpg');
+        await writeFile(input, fixture('full.jpg'));
+        await writeFile(output, 'keep me');
+
+        const refused = await run(['strip', input]);
+        assert.equal(refused.code, 2);
+        assert.equal(refused.report[0].code, 'EEXIST');
+        assert.equal(await readFile(output, 'latin1'), 'keep me');
+        assert.deepEqual((await readdir(dir)).sort(), ['photo.jpg', 'photo_cleaned.jpg']);
+
+        const forced = await run(['strip', '--force', input]);
+        assert.equal(forced.code, 0);
+        assert.equal(forced.report[0].output, output);
+        assert.equal(forced.report[0].verification.clean, true);
+        assert.notEqual(await readFile(output, 'latin1'), 'keep me');
+    });
+});
@@ -0,0 +1,192 @@
+/**
+ * MetadataCore: inspect, strip, verify and diff on the fixture corpus
+ */
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { MetadataCore } from '../metadata-core.mjs';
+import { fixture } from './helpers/fixtures.mjs';
+
+/**
+ * Index fields by name
+ *
+ * @param {Object[]} fields - Fields from MetadataCore
+ * @returns {Object} Values by field name (repeated names keep their last value)
+ */
+function byName(fields) {
+    return Object.fromEntries(fields.map(field => [field.name, field.value]));
+}
+
+describe('MetadataCore.inspect', () => {
+    it('reads EXIF, GPS, IPTC, XMP and the thumbnail of a JPEG', async () => {
+        const { format, fields, privacy, errors } = await MetadataCore.inspect(fixture('full.jpg'));
+        const values = byName(fields);
+
+        assert.equal(format, 'jpeg');
+        assert.equal(fields.length, 26);
+        assert.equal(values['Camera Make'], 'Canon');
+        assert.equal(values['Artist/Author'], 'Jane Doe');
+        assert.equal(values['Exposure Time'], '1/250 s');
+        assert.equal(values['Flash'], 'Off, did not fire');
+        assert.equal(values['GPS Latitude'], '40° 26\' 46.30" (40.446194°)');
+        assert.equal(values['GPS Longitude Ref'], 'West');
+        assert.equal(values['GPS Altitude'], '120.0 m above sea level');
+        assert.equal(values['By-line'], 'Jane Doe');
+        assert.equal(values['photoshop:City'], 'Pittsburgh');
+        assert.equal(values['Embedded thumbnail'], '16 x 16, 637.00 Bytes');
+        assert.deepEqual(fields.filter(field => field.name === 'Keywords').map(field => field.value), ['river', 'bridge']);
+        assert.deepEqual(errors, { exif: null, makerNote: null, xmp: null, icc: null });
+
+        assert.equal(privacy.sensitive, true);
+        assert.equal(privacy.rating, 'High risk');
+        assert.equal(fields.find(field => field.name === 'GPS Latitude').level, 'high');
+    });
+
+    it('leaves the structure pointers out', async () => {
+        const { fields } = await MetadataCore.inspect(fixture('full.jpg'));
+        assert.ok(!fields.some(field => /Pointer|JPEG Interchange Format$/.test(field.name)));
+    });
+
+    it('reads the text chunks and EXIF of a PNG', async () => {
+        const { format, fields } = await MetadataCore.inspect(fixture('text-chunks.png'));
+        const values = byName(fields.filter(field => field.group === 'PNG'));
+
+        assert.equal(format, 'png');
+        // The eXIf chunk is listed as its EXIF fields only
+        assert.deepEqual(Object.keys(values), ['tEXt: Author', 'zTXt: Comment', 'iTXt: Title [en]', 'Last Modified (tIME)']);
+        assert.equal(values['zTXt: Comment'], 'compressed comment');
+        assert.equal(byName(fields)['GPS Latitude Ref'], 'North');
+    });
+
+    it('finds nothing in a clean file', async () => {
+        const { fields, privacy } = await MetadataCore.inspect(fixture('clean.jpg'));
+        assert.equal(fields.length, 0);
+        assert.equal(privacy.sensitive, false);
+        assert.equal(privacy.score, 100);
+    });
+
+    it('reports why an EXIF block cannot be decoded', async () => {
+        const expected = {
+            'corrupt-exif.jpg': 'truncated',
+            'cyclic-ifd.jpg': 'cyclic-ifd',
+            'invalid-offset.jpg': 'invalid-offset'
+        };
+        for (const [name, code] of Object.entries(expected)) {
+            const { fields, errors } = await MetadataCore.inspect(fixture(name));
+            assert.equal(fields.length, 0);
+            assert.equal(errors.exif.code, code, name);
+            assert.equal(errors.makerNote, null);
+        }
+    });
+
+    it('reports data appended after the image', async () => {
+        const { hiddenData } = await MetadataCore.inspect(fixture('appended-zip.jpg'));
+        assert.match(hiddenData.findings[0].message, /ZIP archive appended after EOI/);
+    });
+
+    it('rejects truncated files and files that are not images', async () => {
+        await assert.rejects(MetadataCore.inspect(fixture('truncated.jpg')), { code: 'truncated', message: /Truncated JPEG segment/ });
+        await assert.rejects(MetadataCore.inspect(fixture('truncated.png')), { code: 'truncated', message: /Truncated PNG chunk/ });
+        await assert.rejects(MetadataCore.inspect(fixture('not-an-image.jpg')), { code: 'unsupported' });
+    });
+});
+
+describe('MetadataCore.strip and verify', () => {
+    it('removes every metadata segment of a JPEG without touching the image data', async () => {
+        const original = fixture('full.jpg');
+        const { data, removed, orientation } = await MetadataCore.strip(original);
+
+        assert.deepEqual(removed.map(segment => segment.name), ['APP1', 'APP13', 'COM', 'APP1']);
+        assert.equal(orientation, null);
+
+        const verification = await MetadataCore.verify(data, { original });
+        assert.equal(verification.clean, true);
+        assert.equal(verification.fields.length, 0);
+        assert.equal(verification.imageData.identical, true);
+    });
+
+    it('turns a rotated JPEG upright', async () => {
+        const { data, orientation } = await MetadataCore.strip(fixture('rotated.jpg'));
+        assert.deepEqual(orientation, { value: 6, applied: 'pixels', reason: null });
+        assert.equal((await MetadataCore.verify(data)).clean, true);
+    });
+
+    it('removes the text chunks of a PNG', async () => {
+        const original = fixture('text-chunks.png');
+        const { data, removed } = await MetadataCore.strip(original);
+
+        assert.deepEqual(removed.map(chunk => chunk.name), ['tEXt', 'zTXt', 'iTXt', 'tIME', 'eXIf']);
+        const verification = await MetadataCore.verify(data, { original });
+        assert.equal(verification.fields.length, 0);
+        assert.equal(verification.imageData.identical, true);
+    });
+
+    it('removes the EXIF and XMP items of a HEIF file', async () => {
+        const original = fixture('exif-xmp.heic');
+        assert.ok((await MetadataCore.inspect(original)).fields.some(field => field.name === 'GPS Latitude'));
+        const { data, format, removed } = await MetadataCore.strip(original);
+
+        assert.equal(format, 'heic');
+        assert.deepEqual(removed.map(item => item.name), ['Exif', 'MIME']);
+        const verification = await MetadataCore.verify(data, { original });
+        assert.equal(verification.clean, true);
+        assert.equal(verification.fields.length, 0);
+        assert.equal(verification.imageData.identical, true);
+    });
+
+    it('removes data appended after the image', async () => {
+        const { data, removed } = await MetadataCore.strip(fixture('appended-zip.jpg'));
+        assert.deepEqual(removed.map(segment => segment.name), ['Data after EOI']);
+        assert.equal((await MetadataCore.verify(data)).clean, true);
+    });
+
+    it('does not pass a file that cannot be fully parsed', async () => {
+        const verification = await MetadataCore.verify(fixture('cyclic-ifd.jpg'));
+        assert.equal(verification.fields.length, 0);
+        assert.equal(verification.clean, false);
+        assert.deepEqual(verification.errors.map(({ block, code }) => [block, code]), [['EXIF', 'cyclic-ifd']]);
+    });
+
+    it('removes a damaged EXIF block', async () => {
+        const { data, removed } = await MetadataCore.strip(fixture('cyclic-ifd.jpg'));
+        assert.deepEqual(removed.map(segment => segment.name), ['APP1']);
+        assert.equal((await MetadataCore.verify(data)).clean, true);
+    });
+
+    it('does not pass a file that still has hidden data', async () => {
+        const verification = await MetadataCore.verify(fixture('appended-zip.jpg'));
+        assert.equal(verification.fields.length, 0);
+        assert.equal(verification.clean, false);
+    });
+});
+
+describe('MetadataCore.diff', () => {
+    it('lists the fields that cleaning removed', async () => {
+        const { data } = await MetadataCore.strip(fixture('full.jpg'));
+        const { added, removed, changed, unchanged } = await MetadataCore.diff(fixture('full.jpg'), data);
+
+        assert.equal(added.length, 0);
+        assert.equal(changed.length, 0);
+        assert.equal(unchanged, 0);
+        // The two IPTC Keywords are compared as one field
+        assert.equal(removed.length, 25);
+        assert.equal(removed.find(field => field.name === 'Keywords').value, 'river, bridge');
+    });
+
+    it('lists changed values', async () => {
+        const { changed, unchanged } = await MetadataCore.diff(fixture('full.jpg'), fixture('rotated.jpg'));
+        assert.deepEqual(changed.map(({ name, before, after }) => [name, before, after]),
+            [['Orientation', 'Normal', 'Rotated 90° CW']]);
+        assert.equal(unchanged, 24);
+    });
+});
+
+describe('MetadataCore.getUniqueName', () => {
+    it('numbers repeated names before the extension', () => {
+        const used = new Set(['a_cleaned.jpg', 'a_cleaned (2).jpg', 'README', 'v1.0/photo']);
+        assert.equal(MetadataCore.getUniqueName('b_cleaned.jpg', used), 'b_cleaned.jpg');
+        assert.equal(MetadataCore.getUniqueName('a_cleaned.jpg', used), 'a_cleaned (3).jpg');
+        assert.equal(MetadataCore.getUniqueName('README', used), 'README (2)');
+        assert.equal(MetadataCore.getUniqueName('v1.0/photo', used), 'v1.0/photo (2)');
+        assert.equal(used.size, 4);
+    });
+});
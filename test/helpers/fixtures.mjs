@@ -0,0 +1,328 @@
+/**
+ * Generated fixture corpus
+ *
+ * Every file is built in memory from a 16x16 baseline JPEG and a 4x4 PNG, so
+ * the corpus needs no binary files in the repository. The metadata values are
+ * exported next to the files, for the tests to compare against.
+ */
+import { createRequire } from 'node:module';
+import { deflateSync } from 'node:zlib';
+
+const require = createRequire(import.meta.url);
+const piexif = require('piexifjs');
+
+// 16x16 baseline JPEG (4:2:0) without any metadata besides the JFIF header
+const BASE_JPEG = Buffer.from(
+    '/9j/4AAQSkZJRgABAQAAAQABAAD/2wCEABALDA4MChAODQ4SERATGCgaGBYWGDEjJR0oOjM9PDkzODdASFxOQERXRTc4UG1RV19iZ2hn' +
+    'Pk1xeXBkeFxlZ2MBERISGBUYLxoaL2NCOEJjY2NjY2NjY2NjY2NjY2NjY2NjY2NjY2NjY2NjY2NjY2NjY2NjY2NjY2NjY2NjY2NjY//A' +
+    'ABEIABAAEAMBEQACEQEDEQH/xAGiAAABBQEBAQEBAQAAAAAAAAAAAQIDBAUGBwgJCgsQAAIBAwMCBAMFBQQEAAABfQECAwAEEQUSITFB' +
+    'BhNRYQcicRQygZGhCCNCscEVUtHwJDNicoIJChYXGBkaJSYnKCkqNDU2Nzg5OkNERUZHSElKU1RVVldYWVpjZGVmZ2hpanN0dXZ3eHl6' +
+    'g4SFhoeIiYqSk5SVlpeYmZqio6Slpqeoqaqys7S1tre4ubrCw8TFxsfIycrS09TV1tfY2drh4uPk5ebn6Onq8fLz9PX29/j5+gEAAwEB' +
+    'AQEBAQEBAQAAAAAAAAECAwQFBgcICQoLEQACAQIEBAMEBwUEBAABAncAAQIDEQQFITEGEkFRB2FxEyIygQgUQpGhscEJIzNS8BVictEK' +
+    'FiQ04SXxFxgZGiYnKCkqNTY3ODk6Q0RFRkdISUpTVFVWV1hZWmNkZWZnaGlqc3R1dnd4eXqCg4SFhoeIiYqSk5SVlpeYmZqio6Slpqeo' +
+    'qaqys7S1tre4ubrCw8TFxsfIycrS09TV1tfY2dri4+Tl5ufo6ery8/T19vf4+fr/2gAMAwEAAhEDEQA/AOft7HpxXozqkYeuadvY9OK5' +
+    'Z1T3sPXNO3senFcs6p8Rh65p29j04rlnVPew9c//2Q==',
+    'base64'
+);
+
+// EXIF written into the JPEG fixtures: camera, owner, dates and a GPS position
+export const EXIF = {
+    '0th': {
+        271: 'Canon',
+        272: 'Canon EOS 5D',
+        274: 1,
+        305: 'GIMP 2.10',
+        315: 'Jane Doe'
+    },
+    'Exif': {
+        33434: [1, 250],
+        33437: [28, 10],
+        36867: '2024:01:02 03:04:05',
+        37385: 16,
+        42033: 'SN123456'
+    },
+    'GPS': {
+        0: [2, 3, 0, 0],
+        1: 'N',
+        2: [[40, 1], [26, 1], [4630, 100]],
+        3: 'W',
+        4: [[79, 1], [58, 1], [5600, 100]],
+        5: 0,
+        6: [1200, 10]
+    },
+    '1st': {
+        259: 6
+    }
+};
+
+export const XMP_PACKET = '<?xpacket begin="" id="W5M0MpCehiHzreSzNTczkc9d"?>' +
+    '<x:xmpmeta xmlns:x="adobe:ns:meta/"><rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">' +
+    '<rdf:Description rdf:about="" xmlns:photoshop="http://ns.adobe.com/photoshop/1.0/" ' +
+    'xmlns:dc="http://purl.org/dc/elements/1.1/" photoshop:City="Pittsburgh">' +
+    '<dc:creator><rdf:Seq><rdf:li>Jane Doe</rdf:li></rdf:Seq></dc:creator>' +
+    '</rdf:Description></rdf:RDF></x:xmpmeta><?xpacket end="w"?>';
+
+// IPTC record 2 datasets: [dataset, value]
+export const IPTC = [[80, 'Jane Doe'], [90, 'Pittsburgh'], [25, 'river'], [25, 'bridge']];
+
+export const COMMENT = 'Shot from the hotel window';
+
+// PNG text chunks: [type, keyword, text]
+export const PNG_TEXT = [
+    ['tEXt', 'Author', 'Jane Doe'],
+    ['zTXt', 'Comment', 'compressed comment'],
+    ['iTXt', 'Title', 'Grüße']
+];
+
+/**
+ * Wrap data in a JPEG marker segment
+ *
+ * @param {number} marker - Marker byte (e.g. 0xE1 for APP1)
+ * @param {Buffer} payload - Segment data after the length
+ * @returns {Buffer} Segment with marker and length
+ */
+function segment(marker, payload) {
+    const header = Buffer.from([0xFF, marker, 0, 0]);
+    header.writeUInt16BE(payload.length + 2, 2);
+    return Buffer.concat([header, payload]);
+}
+
+/**
+ * Insert segments right after the SOI marker
+ *
+ * @param {Buffer} jpeg - JPEG file
+ * @param {Buffer[]} segments - Segments to insert
+ * @returns {Buffer} New JPEG file
+ */
+function insertSegments(jpeg, segments) {
+    return Buffer.concat([jpeg.subarray(0, 2), ...segments, jpeg.subarray(2)]);
+}
+
+/**
+ * Build a Photoshop APP13 segment holding IPTC datasets
+ *
+ * @param {Array[]} datasets - [dataset, value] pairs of record 2
+ * @returns {Buffer} APP13 segment
+ */
+function iptcSegment(datasets) {
+    const records = Buffer.concat(datasets.map(([dataset, value]) => {
+        const text = Buffer.from(value, 'latin1');
+        return Buffer.concat([Buffer.from([0x1C, 2, dataset, text.length >> 8, text.length & 0xFF]), text]);
+    }));
+    // 8BIM resource 0x0404 with an empty name, padded to an even length
+    const resource = Buffer.alloc(12);
+    resource.write('8BIM', 0, 'latin1');
+    resource.writeUInt16BE(0x0404, 4);
+    resource.writeUInt32BE(records.length, 8);
+    const padding = Buffer.alloc(records.length % 2);
+    return segment(0xED, Buffer.concat([Buffer.from('Photoshop 3.0\0', 'latin1'), resource, records, padding]));
+}
+
+/**
+ * Build a JPEG with EXIF (including a thumbnail), XMP, IPTC and a comment
+ *
+ * @param {Object} overrides - IFDs to merge into EXIF
+ * @returns {Buffer} JPEG file
+ */
+function buildJpeg(overrides = {}) {
+    const exif = { ...EXIF, thumbnail: BASE_JPEG.toString('latin1') };
+    Object.entries(overrides).forEach(([ifd, tags]) => {
+        exif[ifd] = { ...exif[ifd], ...tags };
+    });
+
+    const withExif = Buffer.from(piexif.insert(piexif.dump(exif), BASE_JPEG.toString('latin1')), 'latin1');
+    return insertSegments(withExif, [
+        segment(0xE1, Buffer.from(`http://ns.adobe.com/xap/1.0/\0${XMP_PACKET}`, 'utf8')),
+        iptcSegment(IPTC),
+        segment(0xFE, Buffer.from(COMMENT, 'latin1'))
+    ]);
+}
+
+/**
+ * Calculate the CRC-32 of PNG chunk data
+ *
+ * @param {Buffer} data - Chunk type and data
+ * @returns {number} CRC-32
+ */
+function crc32(data) {
+    let crc = 0xFFFFFFFF;
+    for (const byte of data) {
+        crc ^= byte;
+        for (let bit = 0; bit < 8; bit++) {
+            crc = (crc >>> 1) ^ (crc & 1 ? 0xEDB88320 : 0);
+        }
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Build a PNG chunk
+ *
+ * @param {string} type - Four-letter chunk type
+ * @param {Buffer} data - Chunk data
+ * @returns {Buffer} Chunk with length, type, data and CRC
+ */
+function chunk(type, data) {
+    const body = Buffer.concat([Buffer.from(type, 'latin1'), data]);
+    const length = Buffer.alloc(4);
+    const crc = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    crc.writeUInt32BE(crc32(body));
+    return Buffer.concat([length, body, crc]);
+}
+
+/**
+ * Build a 4x4 RGB PNG with text chunks, a modification time and an eXIf chunk
+ *
+ * @returns {Buffer} PNG file
+ */
+function buildPng() {
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(4, 0);
+    header.writeUInt32BE(4, 4);
+    header.set([8, 2, 0, 0, 0], 8);
+    // Four rows of filter byte 0 and four RGB pixels
+    const pixels = Buffer.alloc(4 * 13, 0x80);
+    for (let row = 0; row < 4; row++) pixels[row * 13] = 0;
+
+    const text = PNG_TEXT.map(([type, keyword, value]) => {
+        if (type === 'zTXt') {
+            return chunk(type, Buffer.concat([Buffer.from(`${keyword}\0\0`, 'latin1'), deflateSync(value)]));
+        }
+        if (type === 'iTXt') {
+            return chunk(type, Buffer.concat([Buffer.from(`${keyword}\0\0\0en\0\0`, 'latin1'), Buffer.from(value, 'utf8')]));
+        }
+        return chunk(type, Buffer.from(`${keyword}\0${value}`, 'latin1'));
+    });
+    const exif = Buffer.from(piexif.dump({ '0th': EXIF['0th'], 'GPS': EXIF.GPS }).slice(6), 'latin1');
+
+    return Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]),
+        chunk('IHDR', header),
+        ...text,
+        chunk('tIME', Buffer.from([0x07, 0xE8, 1, 2, 3, 4, 5])),
+        chunk('eXIf', exif),
+        chunk('IDAT', deflateSync(pixels)),
+        chunk('IEND', Buffer.alloc(0))
+    ]);
+}
+
+/**
+ * Build an ISOBMFF box
+ *
+ * @param {string} type - Four-character box type
+ * @param {Buffer[]} parts - Box contents
+ * @returns {Buffer} Box with its 32-bit size and type
+ */
+function box(type, ...parts) {
+    const body = Buffer.concat(parts);
+    const header = Buffer.alloc(8);
+    header.writeUInt32BE(body.length + 8);
+    header.write(type, 4, 'latin1');
+    return Buffer.concat([header, body]);
+}
+
+/**
+ * Build a HEIF file with an image item, an Exif item and an XMP item
+ * Both metadata items describe the image (cdsc references) and live in mdat
+ * after the coded image, which is placeholder bytes: nothing here decodes it
+ *
+ * @returns {Buffer} HEIF file
+ */
+function buildHeif() {
+    const u16 = (value) => Buffer.from([value >> 8, value & 0xFF]);
+    const u32 = (value) => { const buffer = Buffer.alloc(4); buffer.writeUInt32BE(value); return buffer; };
+    const fullBox = (type, version, ...parts) => box(type, Buffer.from([version, 0, 0, 0]), ...parts);
+    const infe = (id, type, contentType) => fullBox('infe', 2, u16(id), u16(0), Buffer.from(type, 'latin1'),
+        Buffer.from(contentType === undefined ? '\0' : `\0${contentType}\0`, 'latin1'));
+
+    const image = Buffer.from('coded image data', 'latin1');
+    const exif = Buffer.concat([u32(6), Buffer.from(`Exif\0\0${piexif.dump({ '0th': EXIF['0th'], 'GPS': EXIF.GPS }).slice(6)}`, 'latin1')]);
+    const xmp = Buffer.from(XMP_PACKET, 'utf8');
+
+    const ftyp = box('ftyp', Buffer.from('heic', 'latin1'), u32(0), Buffer.from('mif1heic', 'latin1'));
+    // iloc version 0: 4-byte offsets and lengths, no base offset; one extent per item
+    const meta = (offsets) => fullBox('meta', 0,
+        fullBox('hdlr', 0, u32(0), Buffer.from('pict', 'latin1'), Buffer.alloc(13)),
+        fullBox('pitm', 0, u16(1)),
+        fullBox('iloc', 0, Buffer.from([0x44, 0x00]), u16(3),
+            ...[image, exif, xmp].map((data, i) => Buffer.concat([u16(i + 1), u16(0), u16(1), u32(offsets[i]), u32(data.length)]))),
+        fullBox('iinf', 0, u16(3), infe(1, 'hvc1'), infe(2, 'Exif'), infe(3, 'mime', 'application/rdf+xml')),
+        fullBox('iref', 0, box('cdsc', u16(2), u16(1), u16(1)), box('cdsc', u16(3), u16(1), u16(1)))
+    );
+
+    const start = ftyp.length + meta([0, 0, 0]).length + 8;
+    const offsets = [start, start + image.length, start + image.length + exif.length];
+    return Buffer.concat([ftyp, meta(offsets), box('mdat', image, exif, xmp)]);
+}
+
+// Damaged EXIF blocks (big-endian TIFF data, IFD0 at offset 8)
+export const BROKEN_EXIF = {
+    // IFD0 claims 0xFFFF entries but holds one partial entry
+    'truncated': Buffer.from([0x4D, 0x4D, 0x00, 0x2A, 0, 0, 0, 8, 0xFF, 0xFF, 0x01, 0x0F, 0x00, 0x02]),
+    // The Exif IFD pointer of IFD0 points back at IFD0
+    'cyclic-ifd': Buffer.from([
+        0x4D, 0x4D, 0x00, 0x2A, 0, 0, 0, 8,
+        0, 1, 0x87, 0x69, 0, 4, 0, 0, 0, 1, 0, 0, 0, 8,
+        0, 0, 0, 0
+    ]),
+    // Make is 20 ASCII characters stored at offset 1000, past the end of the block
+    'invalid-offset': Buffer.from([
+        0x4D, 0x4D, 0x00, 0x2A, 0, 0, 0, 8,
+        0, 1, 0x01, 0x0F, 0, 2, 0, 0, 0, 20, 0, 0, 0x03, 0xE8,
+        0, 0, 0, 0
+    ])
+};
+
+/**
+ * Build a JPEG with a given EXIF block
+ *
+ * @param {Buffer} tiff - EXIF data starting at the TIFF header
+ * @returns {Buffer} JPEG file
+ */
+function buildExifJpeg(tiff) {
+    return insertSegments(BASE_JPEG, [segment(0xE1, Buffer.concat([Buffer.from('Exif\0\0', 'latin1'), tiff]))]);
+}
+
+const fullJpeg = buildJpeg();
+const png = buildPng();
+
+// Files by name; each test should copy what it modifies
+export const FIXTURES = {
+    'clean.jpg': BASE_JPEG,
+    'full.jpg': fullJpeg,
+    'rotated.jpg': buildJpeg({ '0th': { 274: 6 } }),
+    'text-chunks.png': png,
+    'appended-zip.jpg': Buffer.concat([BASE_JPEG, Buffer.from('PK\x03\x04hidden archive', 'latin1')]),
+    'corrupt-exif.jpg': buildExifJpeg(BROKEN_EXIF.truncated),
+    'cyclic-ifd.jpg': buildExifJpeg(BROKEN_EXIF['cyclic-ifd']),
+    'invalid-offset.jpg': buildExifJpeg(BROKEN_EXIF['invalid-offset']),
+    // Cut inside the XMP segment, and inside the IDAT chunk
+    'truncated.jpg': fullJpeg.subarray(0, fullJpeg.indexOf('Pittsburgh')),
+    'truncated.png': png.subarray(0, png.indexOf('IDAT') + 10),
+    'exif-xmp.heic': buildHeif(),
+    // Short tIME and pHYs chunks, a zTXt that does not inflate and a tEXt without a keyword separator, after IHDR
+    'bad-chunks.png': Buffer.concat([
+        png.subarray(0, 33),
+        chunk('tIME', Buffer.from([0x07, 0xE8, 1])),
+        chunk('pHYs', Buffer.from([0, 0, 0x0B, 0x13])),
+        chunk('zTXt', Buffer.from('Comment\0\0not deflate data', 'latin1')),
+        chunk('tEXt', Buffer.from('no separator', 'latin1')),
+        png.subarray(33)
+    ]),
+    // An APP5 segment whose identifier is markup
+    'hostile-identifier.jpg': insertSegments(BASE_JPEG, [segment(0xE5, Buffer.from('<img src=x onerror=alert(1)>\0data', 'latin1'))]),
+    // An Artist tag whose text is markup
+    'hostile-exif.jpg': buildJpeg({ '0th': { 315: '<img src=x onerror=alert(1)>' } }),
+    'not-an-image.jpg': Buffer.from('This is a text file with a .jpg extension\n', 'latin1')
+};
+
+/**
+ * Get a fixture as a fresh Uint8Array
+ *
+ * @param {string} name - Fixture name
+ * @returns {Uint8Array} Copy of the file contents
+ */
+export function fixture(name) {
+    return new Uint8Array(FIXTURES[name]);
+}
@@ -0,0 +1,103 @@
+/**
+ * Load index.html and its scripts into jsdom
+ *
+ * The page's own scripts run as they do in the browser, with piexifjs from npm
+ * instead of the CDN. jsdom has no workers, canvas or image decoding, so the
+ * pipeline runs its jobs on the page, the orientation probe reports a modern
+ * browser, and every image fails to load, which the page treats as an image it
+ * cannot decode.
+ */
+import { readFileSync } from 'node:fs';
+import { createRequire } from 'node:module';
+import vm from 'node:vm';
+import { JSDOM, VirtualConsole } from 'jsdom';
+
+const require = createRequire(import.meta.url);
+const ROOT = new URL('../../', import.meta.url);
+
+/**
+ * Read a file of the app
+ *
+ * @param {string} path - Path relative to the repository root
+ * @returns {string} File contents
+ */
+function readAppFile(path) {
+    return readFileSync(new URL(path, ROOT), 'utf8');
+}
+
+/**
+ * Replace the browser APIs jsdom lacks with the Node.js ones
+ *
+ * @param {Window} window - jsdom window
+ */
+function installPlatform(window) {
+    for (const name of ['Blob', 'File', 'Response', 'TextDecoder', 'TextEncoder', 'CompressionStream', 'DecompressionStream']) {
+        window[name] = globalThis[name];
+    }
+    Object.defineProperty(window, 'crypto', { value: globalThis.crypto });
+    window.URL.createObjectURL = () => 'blob:fixture';
+    window.URL.revokeObjectURL = () => {};
+    window.Element.prototype.scrollIntoView = () => {};
+
+    // jsdom's FileReader only reads its own Blobs
+    window.FileReader = class {
+        readAsArrayBuffer(blob) {
+            blob.arrayBuffer().then(buffer => {
+                this.result = buffer;
+                this.onload?.({ target: this });
+            }, error => this.onerror?.(error));
+        }
+
+        readAsDataURL(blob) {
+            blob.arrayBuffer().then(buffer => {
+                this.result = `data:${blob.type || 'application/octet-stream'};base64,${Buffer.from(buffer).toString('base64')}`;
+                this.onload?.({ target: this });
+            }, error => this.onerror?.(error));
+        }
+
+        abort() {
+            this.onabort?.();
+        }
+    };
+
+    const src = Object.getOwnPropertyDescriptor(window.HTMLImageElement.prototype, 'src');
+    Object.defineProperty(window.HTMLImageElement.prototype, 'src', {
+        ...src,
+        set(value) {
+            src.set.call(this, value);
+            setTimeout(() => this.dispatchEvent(new window.Event('error')));
+        }
+    });
+}
+
+/**
+ * Load the app
+ *
+ * @returns {Promise<{window: Window, classes: Function}>} The window, with the page's
+ *     globals (metadataTool, metadataViewer ...), and a lookup for the script classes by name
+ */
+export async function loadApp() {
+    const html = readAppFile('index.html')
+        .replace(/<script[^>]*src="https:[^"]*"[^>]*><\/script>/g, '')
+        .replace(/<link[^>]*>/g, '');
+
+    // Scripts log their progress; only jsdom's own errors are worth showing
+    const virtualConsole = new VirtualConsole();
+    virtualConsole.on('jsdomError', error => console.error(error.message));
+
+    const dom = new JSDOM(html, { runScripts: 'outside-only', url: 'http://localhost/', virtualConsole });
+    const { window } = dom;
+    installPlatform(window);
+
+    // Run as scripts rather than eval, so the classes are shared between them as on the page
+    const context = dom.getInternalVMContext();
+    const run = (source, filename) => vm.runInContext(source, context, { filename });
+    run(readFileSync(require.resolve('piexifjs'), 'utf8'), 'piexif.js');
+    const scripts = [...html.matchAll(/<script[^>]*src="([^"?]+)[^"]*"[^>]*><\/script>/g)].map(match => match[1]);
+    scripts.forEach(script => run(readAppFile(script), script));
+
+    run('ImageOrientation.probe = Promise.resolve(true)');
+    window.document.dispatchEvent(new window.Event('DOMContentLoaded'));
+
+    return { window, classes: (name) => run(name) };
+}
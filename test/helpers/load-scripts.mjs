@@ -0,0 +1,36 @@
+/**
+ * Load DOM-free classic scripts into a VM context, as metadata-core.mjs does
+ *
+ * For testing the parsers and helpers as pure functions, without jsdom.
+ */
+import { readFileSync } from 'node:fs';
+import { createRequire } from 'node:module';
+import vm from 'node:vm';
+
+const require = createRequire(import.meta.url);
+
+/**
+ * Load scripts in order into a fresh context
+ *
+ * @param {...string} scripts - Script paths relative to the repository root
+ * @returns {Function} Lookup for the classes defined by the scripts, by name
+ */
+export function loadScripts(...scripts) {
+    const context = vm.createContext({
+        piexif: require('piexifjs'),
+        console,
+        crypto,
+        TextDecoder,
+        TextEncoder,
+        Blob,
+        Response,
+        CompressionStream,
+        DecompressionStream
+    });
+    scripts.forEach(script => {
+        const source = readFileSync(new URL(`../../${script}`, import.meta.url), 'utf8');
+        vm.runInContext(source, context, { filename: script });
+    });
+
+    return (name) => vm.runInContext(name, context);
+}
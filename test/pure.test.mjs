@@ -0,0 +1,305 @@
+/**
+ * Pure-function layer: the DOM-free parsers and helpers, loaded without jsdom
+ */
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadScripts } from './helpers/load-scripts.mjs';
+import { deflateSync } from 'node:zlib';
+import { fixture, BROKEN_EXIF, COMMENT, IPTC } from './helpers/fixtures.mjs';
+
+const classes = loadScripts(
+    'metadata-worker.js', 'metadata-error.js', 'exif-validator.js', 'jpeg-parser.js', 'jpeg-transform.js', 'png-parser.js', 'webp-parser.js',
+    'heic-parser.js', 'xmp-parser.js', 'iptc-parser.js', 'icc-parser.js', 'maker-note-parser.js',
+    'hidden-data-scanner.js', 'privacy-classifier.js', 'image-orientation.js', 'exif-tags.js',
+    'data/geo-data.js', 'geo-locator.js', 'location-fuzzer.js'
+);
+const ExifTags = classes('ExifTags');
+const PrivacyClassifier = classes('PrivacyClassifier');
+const JpegParser = classes('JpegParser');
+const PngParser = classes('PngParser');
+const HeicParser = classes('HeicParser');
+const IptcParser = classes('IptcParser');
+const XmpParser = classes('XmpParser');
+const HiddenDataScanner = classes('HiddenDataScanner');
+const ExifValidator = classes('ExifValidator');
+const MetadataError = classes('MetadataError');
+const MetadataJobs = classes('MetadataJobs');
+const GeoLocator = classes('GeoLocator');
+const LocationFuzzer = classes('LocationFuzzer');
+
+// Objects from the scripts' context have that context's prototypes
+const plain = (value) => JSON.parse(JSON.stringify(value));
+
+describe('ExifTags.format', () => {
+    it('formats GPS coordinates given as rationals', () => {
+        assert.equal(ExifTags.format('GPS', 2, [[40, 1], [26, 1], [4630, 100]]), '40° 26\' 46.30" (40.446194°)');
+    });
+
+    it('formats GPS coordinates given as plain numbers', () => {
+        assert.equal(ExifTags.format('GPS', 2, [40, 26, 46.3]), '40° 26\' 46.30" (40.446194°)');
+    });
+
+    it('treats rationals with a zero denominator as zero', () => {
+        assert.equal(ExifTags.format('GPS', 4, [[79, 1], [58, 0], [0, 0]]), '79° 0\' 0.00" (79.000000°)');
+        assert.equal(ExifTags.toNumber([5, 0]), 0);
+    });
+
+    it('falls back to generic formatting for malformed coordinates', () => {
+        assert.equal(ExifTags.format('GPS', 2, [[40, 1], [26, 1]]), '40, 26');
+    });
+
+    it('uses the reference tags of GPS measurements', () => {
+        assert.equal(ExifTags.format('GPS', 6, [105, 10], { 5: 1 }), '10.5 m below sea level');
+        assert.equal(ExifTags.format('GPS', 13, [50, 10], { 12: 'N' }), '5.0 knots');
+        assert.equal(ExifTags.format('GPS', 17, [90, 1], { 16: 'M' }), '90.0° (magnetic north)');
+    });
+
+    it('decodes flash bits and enum values', () => {
+        assert.equal(ExifTags.format('Exif', 37385, 16), 'Off, did not fire');
+        assert.equal(ExifTags.format('Exif', 37385, 0x19), 'Auto, fired');
+        assert.equal(ExifTags.format('Exif', 37383, 5), 'Multi-segment');
+        assert.equal(ExifTags.format('Exif', 37383, 99), 'Unknown (99)');
+    });
+
+    it('formats exposure values with units', () => {
+        assert.equal(ExifTags.format('Exif', 33434, [1, 250]), '1/250 s');
+        assert.equal(ExifTags.format('Exif', 33434, [25, 10]), '2.5 s');
+        assert.equal(ExifTags.format('Exif', 33437, [28, 10]), 'f/2.8');
+        assert.equal(ExifTags.format('Exif', 37380, [-1, 3]), '-0.33 EV');
+    });
+
+    it('strips the character code of UserComment', () => {
+        assert.equal(ExifTags.format('Exif', 37510, 'ASCII\0\0\0Hello  '), 'Hello');
+    });
+
+    it('describes binary values by their size', () => {
+        assert.equal(ExifTags.format('Exif', 34856, '\x01\x02\x03'), '3.00 Bytes of binary data');
+    });
+
+    it('writes degrees, minutes and seconds', () => {
+        assert.deepEqual(plain(ExifTags.decimalToDMS(-79.982222)), [[79, 1], [58, 1], [5600, 100]]);
+        assert.deepEqual(plain(ExifTags.decimalToDMS(40.446389)), [[40, 1], [26, 1], [4700, 100]]);
+        assert.deepEqual(plain(ExifTags.decimalToDMS(12.999999)), [[13, 1], [0, 1], [0, 100]]);
+    });
+});
+
+describe('ExifTags names', () => {
+    it('gives unknown tags a generic label', () => {
+        assert.equal(ExifTags.getLabel('Exif', 59932), 'Exif Tag 59932');
+    });
+
+    it('keeps every label unique and maps it back to its tag', () => {
+        const seen = new Set();
+        ExifTags.IFDS.forEach(ifd => {
+            Object.keys(ExifTags.DICTIONARY[ifd === '1st' ? '0th' : ifd]).forEach(tag => {
+                const name = ExifTags.getName(ifd, tag);
+                assert.ok(!seen.has(name), `duplicate label ${name}`);
+                seen.add(name);
+                assert.deepEqual(plain(ExifTags.findByName(name)), { ifd, tag: Number(tag) });
+            });
+        });
+    });
+
+    it('turns enum text back into its value', () => {
+        assert.equal(ExifTags.parseEnum('GPS', 1, 'North'), 'N');
+        assert.equal(ExifTags.parseEnum('0th', 271, 'Canon'), 'Canon');
+    });
+});
+
+describe('ExifTags.formatFileSize', () => {
+    it('matches MetadataTool.formatFileSize', () => {
+        assert.equal(ExifTags.formatFileSize(0), '0 Bytes');
+        assert.equal(ExifTags.formatFileSize(1536), '1.50 KB');
+        assert.equal(ExifTags.formatFileSize(5 * 1024 * 1024), '5.00 MB');
+    });
+});
+
+describe('PrivacyClassifier', () => {
+    it('classifies fields by their names', () => {
+        assert.deepEqual(plain(PrivacyClassifier.classify('GPS Latitude')), { level: 'high', category: 'Location' });
+        assert.deepEqual(plain(PrivacyClassifier.classify('GPS Version')), { level: 'low', category: 'GPS format information' });
+        assert.deepEqual(plain(PrivacyClassifier.classify('Body Serial Number')), { level: 'high', category: 'Device serial numbers' });
+        assert.deepEqual(plain(PrivacyClassifier.classify('Exposure Time')), { level: 'low', category: 'Technical settings' });
+    });
+
+    it('scores a set of fields', () => {
+        assert.deepEqual(plain(PrivacyClassifier.score(['GPS Latitude', 'Exposure Time'])), {
+            score: 79,
+            rating: 'Moderate risk',
+            counts: { high: 1, medium: 0, low: 1 }
+        });
+        assert.equal(PrivacyClassifier.score([]).rating, 'Low risk');
+    });
+});
+
+describe('JPEG parsing', () => {
+    it('lists the metadata segments', () => {
+        const { segments } = JpegParser.parseSegments(fixture('full.jpg'));
+        const identifiers = segments.filter(segment => segment.marker >= 0xE0 && segment.marker <= 0xEF)
+            .map(segment => segment.identifier);
+        assert.deepEqual(plain(identifiers), ['http://ns.adobe.com/xap/1.0/', 'Photoshop 3.0', 'Exif', 'JFIF']);
+        assert.ok(segments.some(segment => segment.marker === 0xFE));
+    });
+
+    it('reads the IPTC datasets', () => {
+        const datasets = IptcParser.readJpeg(fixture('full.jpg'));
+        assert.deepEqual(plain(datasets.map(({ dataset, value }) => [dataset, value])), IPTC);
+        assert.equal(datasets[0].name, 'By-line');
+    });
+
+    it('reads the XMP packet', () => {
+        const { properties } = XmpParser.parse(XmpParser.readJpegPackets(fixture('full.jpg')));
+        assert.deepEqual(plain(properties), [
+            { path: 'photoshop:City', value: 'Pittsburgh' },
+            { path: 'dc:creator', value: 'Jane Doe' }
+        ]);
+    });
+
+    it('strips every metadata segment', () => {
+        const { data, removed } = JpegParser.stripMetadata(fixture('full.jpg'));
+        assert.deepEqual(plain(removed.map(segment => segment.name)), ['APP1', 'APP13', 'COM', 'APP1']);
+        assert.equal(Buffer.from(data).indexOf(COMMENT), -1);
+        assert.equal(JpegParser.parseSegments(data).segments.filter(segment => segment.marker === 0xE1).length, 0);
+    });
+
+    it('rejects a truncated file', () => {
+        assert.throws(() => JpegParser.parseSegments(fixture('truncated.jpg')), {
+            name: 'MetadataError', code: 'truncated', message: /Truncated JPEG segment/
+        });
+    });
+});
+
+describe('ExifValidator', () => {
+    it('accepts a well-formed EXIF block', () => {
+        const bytes = fixture('full.jpg');
+        const app1 = JpegParser.parseSegments(bytes).segments.find(segment => segment.identifier === 'Exif');
+        // Skip the marker, length and "Exif\0\0" header
+        assert.doesNotThrow(() => ExifValidator.validate(bytes.subarray(app1.offset + 10, app1.offset + app1.length)));
+    });
+
+    it('reports what is wrong with a damaged block', () => {
+        Object.entries(BROKEN_EXIF).forEach(([code, tiff]) => {
+            assert.throws(() => ExifValidator.validate(new Uint8Array(tiff)), { name: 'MetadataError', code });
+        });
+        assert.throws(() => ExifValidator.validate(new Uint8Array(4)), { code: 'truncated' });
+    });
+
+    it('keeps piexifjs away from a damaged block', async () => {
+        const parsed = await MetadataJobs.parse(fixture('cyclic-ifd.jpg').buffer);
+        assert.equal(parsed.exif, null);
+        assert.deepEqual(plain(parsed.exifError), {
+            code: 'cyclic-ifd', message: 'The Exif IFD points back to an IFD read before', offset: 8
+        });
+    });
+});
+
+describe('MetadataError', () => {
+    it('describes errors from other sources as corrupt data', () => {
+        assert.deepEqual(plain(MetadataError.describe(new Error('bad'))), { code: 'corrupt', message: 'bad', offset: null });
+    });
+
+    it('lists the blocks of a parse result that failed', () => {
+        const errors = MetadataError.collect({ exifError: { code: 'truncated', message: 'short', offset: 8 }, xmpError: null });
+        assert.deepEqual(plain(errors), [{ block: 'EXIF', code: 'truncated', message: 'short', offset: 8 }]);
+    });
+});
+
+describe('PNG parsing', () => {
+    it('reads the text chunks', async () => {
+        const { entries, exif } = await PngParser.readMetadata(fixture('text-chunks.png'));
+        const labels = entries.filter(entry => PngParser.METADATA_CHUNKS.includes(entry.type))
+            .map(({ label, value }) => [label, value]);
+        assert.deepEqual(plain(labels), [
+            ['tEXt: Author', 'Jane Doe'],
+            ['zTXt: Comment', 'compressed comment'],
+            ['iTXt: Title [en]', 'Grüße'],
+            ['Last Modified (tIME)', '2024-01-02 03:04:05 UTC'],
+            ['EXIF Block (eXIf)', `${exif.length} bytes`]
+        ]);
+    });
+
+    it('lists chunks it cannot decode next to the others', async () => {
+        const { entries } = await PngParser.readMetadata(fixture('bad-chunks.png'));
+        const failed = entries.filter(entry => entry.error).map(entry => [entry.type, entry.error.code]);
+        assert.deepEqual(plain(failed), [['tIME', 'truncated'], ['pHYs', 'truncated'], ['zTXt', 'corrupt'], ['tEXt', 'corrupt']]);
+        assert.match(entries[0].value, /^Could not be decoded \(Truncated data\)/);
+        assert.ok(entries.some(entry => entry.label === 'tEXt: Author' && entry.value === 'Jane Doe'));
+    });
+
+    it('rejects a truncated file', async () => {
+        await assert.rejects(PngParser.readMetadata(fixture('truncated.png')), { code: 'truncated' });
+    });
+
+    it('stops inflating at the size limit', async () => {
+        const limit = PngParser.MAX_INFLATED_SIZE;
+        PngParser.MAX_INFLATED_SIZE = 1024;
+        try {
+            await assert.rejects(PngParser.inflate(new Uint8Array(deflateSync(Buffer.alloc(4096)))), { code: 'too-large' });
+            assert.equal((await PngParser.inflate(new Uint8Array(deflateSync(Buffer.alloc(1024))))).length, 1024);
+        } finally {
+            PngParser.MAX_INFLATED_SIZE = limit;
+        }
+    });
+});
+
+describe('HEIF stripping', () => {
+    it('drops the metadata items and keeps every offset', async () => {
+        const original = fixture('exif-xmp.heic');
+        const { data, removed } = HeicParser.stripMetadata(original);
+
+        assert.deepEqual(plain(removed.map(({ name, identifier }) => `${name} (${identifier})`)),
+            ['Exif (item 2)', 'MIME (application/rdf+xml)']);
+        assert.equal(data.length, original.length);
+        assert.deepEqual(plain(HeicParser.parseItems(data)), plain(HeicParser.parseItems(original).slice(0, 1)));
+        assert.equal(Buffer.from(data).indexOf('Jane Doe'), -1);
+        // No reference to the dropped items is left, and stripping again changes nothing
+        assert.equal(Buffer.from(data).indexOf('cdsc'), -1);
+        assert.equal(HeicParser.stripMetadata(data).removed.length, 0);
+        assert.equal(await HeicParser.hashImageData(data), await HeicParser.hashImageData(original));
+    });
+});
+
+describe('HiddenDataScanner', () => {
+    it('flags an archive appended after the image', () => {
+        const report = HiddenDataScanner.scan(fixture('appended-zip.jpg'));
+        assert.ok(report.findings.some(finding => finding.level === 'warning' && /ZIP archive/.test(finding.message)));
+        assert.equal(HiddenDataScanner.isClean(report), false);
+    });
+
+    it('passes a file without extra data', () => {
+        assert.equal(HiddenDataScanner.isClean(HiddenDataScanner.scan(fixture('clean.jpg'))), true);
+    });
+});
+
+describe('LocationFuzzer', () => {
+    it('snaps nearby points to the same cell centre', () => {
+        const a = LocationFuzzer.snap(40.446194, -79.982222, 1000);
+        const b = LocationFuzzer.snap(40.4465, -79.9825, 1000);
+        assert.deepEqual(plain(a), plain(b));
+        assert.ok(GeoLocator.distanceKm(40.446194, -79.982222, a.lat, a.lon) < 1);
+    });
+
+    it('keeps cells on the map near the poles and the antimeridian', () => {
+        const north = LocationFuzzer.snap(90, 179.99, 10000);
+        assert.ok(north.lat <= 90 && Math.abs(north.lon) <= 180);
+        const west = LocationFuzzer.snap(-12.5, -180, 1000);
+        assert.ok(west.lon >= -180 && west.lon < -179.9);
+    });
+
+    it('keeps only the position and sets the hemispheres', () => {
+        const gps = { 0: [2, 3, 0, 0], 1: 'N', 2: [[40, 1], [26, 1], [4630, 100]], 3: 'W', 4: [[79, 1], [58, 1], [5600, 100]],
+            6: [1200, 10], 7: [[3, 1], [4, 1], [5, 1]], 17: [90, 1], 29: '2024:01:02' };
+        const { gps: fuzzed, removedTags } = LocationFuzzer.fuzz(gps, 40.446194, -79.982222, '10km');
+        assert.deepEqual(plain(Object.keys(fuzzed)), ['0', '1', '2', '3', '4']);
+        assert.equal(fuzzed[1], 'N');
+        assert.equal(fuzzed[3], 'W');
+        assert.deepEqual(plain(removedTags), [6, 7, 17, 29]);
+    });
+
+    it('moves a point to the centre of its country', () => {
+        const centre = LocationFuzzer.fuzzCoordinates(48.8566, 2.3522, 'country');
+        assert.equal(GeoLocator.reverseGeocode(centre.lat, centre.lon).iso2, 'FR');
+        assert.ok(GeoLocator.distanceKm(48.8566, 2.3522, centre.lat, centre.lon) > 100);
+        assert.equal(LocationFuzzer.fuzzCoordinates(0, -30, 'country'), null);
+    });
+});
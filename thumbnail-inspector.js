@@ -0,0 +1,168 @@
+/**
+ * ThumbnailInspector - Compares embedded preview images with the main image
+ *
+ * Cameras and phones store a small EXIF thumbnail and sometimes larger MPF
+ * previews next to the main image. Editors often leave them untouched, so after
+ * a crop or a redaction they can still show the original picture. Both images
+ * are reduced to a small luminance grid; a noticeably different framing or
+ * content is reported. Letterbox bars (common in 4:3 thumbnails of 16:9 photos)
+ * are trimmed first, and the preview may be stored rotated or mirrored
+ * relative to the displayed main image, so all eight orientations are tried.
+ */
+class ThumbnailInspector {
+    // Images are reduced to this many pixels on their longest side before comparing
+    static WORK_SIZE = 256;
+
+    // Side of the luminance grid that is compared
+    static GRID_SIZE = 16;
+
+    // Edge rows and columns darker than this (0-255) everywhere count as letterbox bars
+    static BAR_LEVEL = 24;
+
+    // Bars are only trimmed if at least this share of the image remains
+    static MIN_TRIMMED_AREA = 0.25;
+
+    // Thresholds above which a preview is reported as different
+    static MAX_ASPECT_DIFFERENCE = 0.08;    // Relative difference of the aspect ratios
+    static MAX_PIXEL_DIFFERENCE = 0.1;      // Mean absolute luminance difference (0-1)
+    static MAX_CHANGED_AREA = 0.03;         // Share of grid cells that changed, for local edits
+
+    // Luminance difference (0-1) at which a grid cell counts as changed
+    static CELL_CHANGE = 0.2;
+
+    /**
+     * Compare an embedded preview with the main image
+     *
+     * @param {CanvasImageSource} mainImage - Decoded main image
+     * @param {CanvasImageSource} previewImage - Decoded embedded image
+     * @returns {{differs: boolean, aspectDifference: number, pixelDifference: number,
+     *     changedArea: number, reason: string}} Whether the preview differs noticeably,
+     *     the measured differences and an explanation
+     */
+    static compare(mainImage, previewImage) {
+        const main = ThumbnailInspector.fingerprint(mainImage);
+        const preview = ThumbnailInspector.fingerprint(previewImage);
+        const size = ThumbnailInspector.GRID_SIZE;
+
+        let best = null;
+        for (let transform = 0; transform < 8; transform++) {
+            // Bit 0 mirrors horizontally, bit 1 vertically, bit 2 swaps the axes
+            const transposed = (transform & 4) !== 0;
+            let total = 0;
+            let changed = 0;
+            for (let y = 0; y < size; y++) {
+                for (let x = 0; x < size; x++) {
+                    let sx = transform & 1 ? size - 1 - x : x;
+                    let sy = transform & 2 ? size - 1 - y : y;
+                    if (transposed) [sx, sy] = [sy, sx];
+                    const difference = Math.abs(main.grid[y * size + x] - preview.grid[sy * size + sx]);
+                    total += difference;
+                    if (difference > ThumbnailInspector.CELL_CHANGE) changed++;
+                }
+            }
+
+            const pixelDifference = total / (size * size);
+            const aspect = transposed ? 1 / preview.aspect : preview.aspect;
+            const aspectDifference = Math.abs(aspect - main.aspect) / main.aspect;
+            if (!best || pixelDifference < best.pixelDifference) {
+                best = { aspectDifference, pixelDifference, changedArea: changed / (size * size) };
+            }
+        }
+
+        const reframed = best.aspectDifference > ThumbnailInspector.MAX_ASPECT_DIFFERENCE;
+        const edited = best.pixelDifference > ThumbnailInspector.MAX_PIXEL_DIFFERENCE ||
+            best.changedArea > ThumbnailInspector.MAX_CHANGED_AREA;
+
+        let reason = 'Matches the main image';
+        if (reframed) {
+            reason = 'Framed differently from the main image, so it may show the uncropped original';
+        } else if (edited) {
+            reason = 'Content differs from the main image, so it may show an unedited or unredacted version';
+        }
+
+        return { differs: reframed || edited, ...best, reason };
+    }
+
+    /**
+     * Reduce an image to a luminance grid, without letterbox bars
+     *
+     * @param {CanvasImageSource} image - Decoded image (img element or canvas)
+     * @returns {{grid: Float32Array, aspect: number}} GRID_SIZE x GRID_SIZE luminance values
+     *     (0-1, row by row) and the aspect ratio of the trimmed image
+     */
+    static fingerprint(image) {
+        const naturalWidth = image.naturalWidth || image.width;
+        const naturalHeight = image.naturalHeight || image.height;
+        const scale = Math.min(1, ThumbnailInspector.WORK_SIZE / Math.max(naturalWidth, naturalHeight));
+        const width = Math.max(1, Math.round(naturalWidth * scale));
+        const height = Math.max(1, Math.round(naturalHeight * scale));
+
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(image, 0, 0, width, height);
+        const { data } = ctx.getImageData(0, 0, width, height);
+
+        const luma = new Float32Array(width * height);
+        for (let i = 0; i < luma.length; i++) {
+            luma[i] = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+        }
+
+        const { left, top, right, bottom } = ThumbnailInspector.findContent(luma, width, height);
+        const size = ThumbnailInspector.GRID_SIZE;
+        const grid = new Float32Array(size * size);
+
+        // Average the trimmed area into the grid; every cell gets at least one pixel
+        for (let gy = 0; gy < size; gy++) {
+            const y0 = top + Math.floor((gy * (bottom - top)) / size);
+            const y1 = Math.max(y0 + 1, top + Math.floor(((gy + 1) * (bottom - top)) / size));
+            for (let gx = 0; gx < size; gx++) {
+                const x0 = left + Math.floor((gx * (right - left)) / size);
+                const x1 = Math.max(x0 + 1, left + Math.floor(((gx + 1) * (right - left)) / size));
+                let total = 0;
+                for (let y = y0; y < y1; y++) {
+                    for (let x = x0; x < x1; x++) total += luma[y * width + x];
+                }
+                grid[gy * size + gx] = total / ((y1 - y0) * (x1 - x0) * 255);
+            }
+        }
+
+        return { grid, aspect: (right - left) / (bottom - top) };
+    }
+
+    /**
+     * Find the area inside dark letterbox or pillarbox bars
+     *
+     * @param {Float32Array} luma - Luminance values (0-255), row by row
+     * @param {number} width - Width in pixels
+     * @param {number} height - Height in pixels
+     * @returns {{left: number, top: number, right: number, bottom: number}} Content bounds
+     *     (right and bottom exclusive); the whole image if trimming would leave too little
+     */
+    static findContent(luma, width, height) {
+        const isBar = (x0, y0, x1, y1) => {
+            for (let y = y0; y < y1; y++) {
+                for (let x = x0; x < x1; x++) {
+                    if (luma[y * width + x] >= ThumbnailInspector.BAR_LEVEL) return false;
+                }
+            }
+            return true;
+        };
+
+        let top = 0;
+        let bottom = height;
+        let left = 0;
+        let right = width;
+        while (top < bottom - 1 && isBar(0, top, width, top + 1)) top++;
+        while (bottom - 1 > top && isBar(0, bottom - 1, width, bottom)) bottom--;
+        while (left < right - 1 && isBar(left, top, left + 1, bottom)) left++;
+        while (right - 1 > left && isBar(right - 1, top, right, bottom)) right--;
+
+        // A dark photo is not a letterbox
+        if ((right - left) * (bottom - top) < ThumbnailInspector.MIN_TRIMMED_AREA * width * height) {
+            return { left: 0, top: 0, right: width, bottom: height };
+        }
+        return { left, top, right, bottom };
+    }
+}
@@ -0,0 +1,307 @@
+/**
+ * WebpParser - Reads and strips WebP RIFF chunks
+ *
+ * Lists the metadata chunks of a WebP file (EXIF, XMP, ICCP) and removes them
+ * without re-encoding, updating the VP8X feature flags and RIFF size so the
+ * result stays a valid WebP file.
+ */
+class WebpParser {
+    // Chunks that carry descriptive or personal metadata
+    static METADATA_CHUNKS = ['EXIF', 'XMP '];
+
+    // Chunk whose payload is an EXIF (TIFF) block
+    static EXIF_CHUNK = 'EXIF';
+
+    // Chunks that make up the image itself, kept when stripping
+    static IMAGE_CHUNKS = ['VP8 ', 'VP8L', 'VP8X', 'ALPH', 'ANIM', 'ANMF'];
+
+    // VP8X feature flags
+    static FLAG_ICC = 0x20;
+    static FLAG_EXIF = 0x08;
+    static FLAG_XMP = 0x04;
+
+    /**
+     * Check whether a byte array is a WebP file
+     *
+     * @param {Uint8Array} bytes - File contents
+     * @returns {boolean} True for WebP data
+     */
+    static isWebp(bytes) {
+        return bytes.length >= 12 &&
+            WebpParser.readFourCC(bytes, 0) === 'RIFF' &&
+            WebpParser.readFourCC(bytes, 8) === 'WEBP';
+    }
+
+    /**
+     * Split a WebP file into its RIFF chunks
+     *
+     * @param {Uint8Array} bytes - File contents
+     * @returns {{chunks: Object[], trailingOffset: number}} Chunks in file order
+     *     ({ type, offset, length, dataOffset }), plus the offset of any bytes after the RIFF data
+     * @throws {MetadataError} If the data is not a WebP file or a chunk is truncated
+     */
+    static parseChunks(bytes) {
+        if (!WebpParser.isWebp(bytes)) {
+            throw new MetadataError('unsupported', 'Not a WebP file');
+        }
+
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const riffEnd = Math.min(8 + view.getUint32(4, true), bytes.length);
+        const chunks = [];
+        let pos = 12;
+
+        while (pos + 8 <= riffEnd) {
+            const type = WebpParser.readFourCC(bytes, pos);
+            const length = view.getUint32(pos + 4, true);
+
+            if (pos + 8 + length > bytes.length) {
+                throw new MetadataError('truncated', `Truncated WebP chunk ${type.trim()} at offset ${pos}`, pos);
+            }
+
+            chunks.push({ type, offset: pos, length, dataOffset: pos + 8 });
+
+            // Chunks are padded to an even size
+            pos += 8 + length + (length % 2);
+        }
+
+        return { chunks, trailingOffset: Math.min(pos, bytes.length) };
+    }
+
+    /**
+     * Decode the non-image chunks into display entries
+     *
+     * @param {Uint8Array} bytes - File contents
+     * @returns {Promise<{entries: Object[], exif: Uint8Array|null, xmp: string|null}>} One entry per
+     *     non-image chunk ({ type, label, value }), the EXIF payload as TIFF bytes, and the XMP packet
+     */
+    static async readMetadata(bytes) {
+        const { chunks } = WebpParser.parseChunks(bytes);
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const entries = [];
+        let exif = null;
+        let xmp = null;
+
+        chunks.forEach(chunk => {
+            const data = bytes.subarray(chunk.dataOffset, chunk.dataOffset + chunk.length);
+
+            switch (chunk.type) {
+                case 'VP8X': {
+                    const width = 1 + (data[4] | (data[5] << 8) | (data[6] << 16));
+                    const height = 1 + (data[7] | (data[8] << 8) | (data[9] << 16));
+                    const features = [
+                        [WebpParser.FLAG_ICC, 'ICC profile'], [0x10, 'alpha'], [WebpParser.FLAG_EXIF, 'EXIF'],
+                        [WebpParser.FLAG_XMP, 'XMP'], [0x02, 'animation']
+                    ].filter(([flag]) => data[0] & flag).map(([, name]) => name);
+                    entries.push({
+                        type: chunk.type,
+                        label: 'Extended Format (VP8X)',
+                        value: `${width} x ${height} canvas` + (features.length ? `, declares ${features.join(', ')}` : '')
+                    });
+                    break;
+                }
+                case 'EXIF':
+                    exif = WebpParser.stripExifHeader(data);
+                    entries.push({ type: chunk.type, label: 'EXIF Block (EXIF)', value: `${data.length} bytes` });
+                    break;
+                case 'XMP ':
+                    xmp = new TextDecoder('utf-8').decode(data);
+                    entries.push({ type: chunk.type, label: 'XMP Packet (XMP)', value: `${data.length} bytes` });
+                    break;
+                case 'ICCP':
+                    entries.push({ type: chunk.type, label: 'ICC Profile (ICCP)', value: `${data.length} bytes` });
+                    break;
+                case 'ANIM':
+                    entries.push({
+                        type: chunk.type,
+                        label: 'Animation (ANIM)',
+                        value: `Loop count ${view.getUint16(chunk.dataOffset + 4, true) || 'infinite'}`
+                    });
+                    break;
+                default:
+                    if (!WebpParser.IMAGE_CHUNKS.includes(chunk.type)) {
+                        entries.push({ type: chunk.type, label: `${chunk.type.trim()} chunk`, value: `${data.length} bytes` });
+                    }
+            }
+        });
+
+        return { entries, exif, xmp };
+    }
+
+    /**
+     * Remove metadata chunks from a WebP without re-encoding it
+     * Drops EXIF, XMP, unknown chunks and (unless kept) the ICC profile, then
+     * clears the matching VP8X flags and rewrites the RIFF size.
+     *
+     * @param {Uint8Array} bytes - Original WebP contents
+     * @param {Object} options - Stripping options
+     * @param {boolean} options.keepIcc - Keep the ICCP colour profile chunk (default true)
+     * @returns {{data: Uint8Array, removed: Object[]}} Cleaned file and the removed chunks
+     */
+    static stripMetadata(bytes, { keepIcc = true } = {}) {
+        const { chunks } = WebpParser.parseChunks(bytes);
+        const kept = [];
+        const removed = [];
+
+        chunks.forEach(chunk => {
+            const end = Math.min(chunk.dataOffset + chunk.length + (chunk.length % 2), bytes.length);
+            const keep = WebpParser.IMAGE_CHUNKS.includes(chunk.type) || (keepIcc && chunk.type === 'ICCP');
+
+            if (keep) {
+                kept.push({ chunk, data: bytes.slice(chunk.offset, end) });
+            } else {
+                removed.push({ name: chunk.type.trim(), identifier: '', offset: chunk.offset, length: end - chunk.offset });
+            }
+        });
+
+        // Clear the feature flags of removed chunks so decoders do not look for them
+        const vp8x = kept.find(part => part.chunk.type === 'VP8X');
+        if (vp8x) {
+            let flags = vp8x.data[8] & ~(WebpParser.FLAG_EXIF | WebpParser.FLAG_XMP);
+            if (!keepIcc) flags &= ~WebpParser.FLAG_ICC;
+            vp8x.data[8] = flags;
+        }
+
+        const bodySize = kept.reduce((total, part) => total + part.data.length, 0);
+        const output = new Uint8Array(12 + bodySize);
+        output.set(bytes.subarray(0, 12), 0);
+        new DataView(output.buffer).setUint32(4, 4 + bodySize, true);
+
+        let offset = 12;
+        kept.forEach(part => {
+            output.set(part.data, offset);
+            offset += part.data.length;
+        });
+
+        return { data: output, removed };
+    }
+
+    /**
+     * Calculate a SHA-256 hash over the image chunks (bitstream, alpha and animation frames)
+     * The VP8X chunk is left out because stripping changes its flags
+     *
+     * @param {Uint8Array} bytes - WebP contents
+     * @returns {Promise<string>} Hex-encoded hash
+     */
+    static async hashImageData(bytes) {
+        const { chunks } = WebpParser.parseChunks(bytes);
+        const parts = chunks
+            .filter(chunk => WebpParser.IMAGE_CHUNKS.includes(chunk.type) && chunk.type !== 'VP8X')
+            .map(chunk => bytes.subarray(chunk.offset, chunk.dataOffset + chunk.length));
+
+        const combined = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+        let offset = 0;
+        parts.forEach(part => {
+            combined.set(part, offset);
+            offset += part.length;
+        });
+
+        const digest = await crypto.subtle.digest('SHA-256', combined);
+        return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * Read the ICC profile of the ICCP chunk
+     *
+     * @param {Uint8Array} bytes - WebP contents
+     * @returns {Uint8Array|null} Profile bytes, or null if the file has none
+     */
+    static readIccProfile(bytes) {
+        const chunk = WebpParser.parseChunks(bytes).chunks.find(entry => entry.type === 'ICCP');
+        return chunk ? bytes.subarray(chunk.dataOffset, chunk.dataOffset + chunk.length) : null;
+    }
+
+    /**
+     * Insert an ICC profile into a WebP file
+     * A simple (VP8 or VP8L only) file is converted to the extended format, whose
+     * VP8X header announces the profile; the ICCP chunk must follow that header
+     *
+     * @param {Uint8Array} bytes - WebP contents
+     * @param {Uint8Array} profile - Profile bytes
+     * @returns {Uint8Array} WebP with an ICCP chunk
+     * @throws {Error} If the data is not a WebP file or has no image data
+     */
+    static insertIccProfile(bytes, profile) {
+        const { chunks } = WebpParser.parseChunks(bytes);
+        const parts = chunks
+            .filter(chunk => chunk.type !== 'ICCP')
+            .map(chunk => ({
+                chunk,
+                data: bytes.slice(chunk.offset, Math.min(chunk.dataOffset + chunk.length + (chunk.length % 2), bytes.length))
+            }));
+
+        let vp8x = parts.find(part => part.chunk.type === 'VP8X');
+        if (!vp8x) {
+            const image = chunks.find(chunk => chunk.type === 'VP8 ' || chunk.type === 'VP8L');
+            if (!image) throw new Error('the WebP file has no image data');
+
+            const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+            let width;
+            let height;
+            let alpha = false;
+            if (image.type === 'VP8L') {
+                // 14-bit width and height minus one, then the alpha flag, after the 0x2F signature
+                const bits = view.getUint32(image.dataOffset + 1, true);
+                width = (bits & 0x3FFF) + 1;
+                height = ((bits >> 14) & 0x3FFF) + 1;
+                alpha = ((bits >> 28) & 1) === 1;
+            } else {
+                // Key frame header: 3-byte frame tag and start code, then 14-bit width and height
+                width = view.getUint16(image.dataOffset + 6, true) & 0x3FFF;
+                height = view.getUint16(image.dataOffset + 8, true) & 0x3FFF;
+            }
+
+            const data = new Uint8Array(18);
+            data.set([0x56, 0x50, 0x38, 0x58, 10, 0, 0, 0]);     // "VP8X", size 10
+            data[8] = alpha ? 0x10 : 0;
+            [width - 1, height - 1].forEach((value, i) => {
+                data.set([value & 0xFF, (value >> 8) & 0xFF, (value >> 16) & 0xFF], 12 + i * 3);
+            });
+            vp8x = { chunk: { type: 'VP8X' }, data };
+            parts.unshift(vp8x);
+        }
+        vp8x.data[8] |= WebpParser.FLAG_ICC;
+
+        const iccp = new Uint8Array(8 + profile.length + (profile.length % 2));
+        iccp.set([0x49, 0x43, 0x43, 0x50], 0);                  // "ICCP"
+        new DataView(iccp.buffer).setUint32(4, profile.length, true);
+        iccp.set(profile, 8);
+        parts.splice(parts.indexOf(vp8x) + 1, 0, { chunk: { type: 'ICCP' }, data: iccp });
+
+        const bodySize = parts.reduce((total, part) => total + part.data.length, 0);
+        const output = new Uint8Array(12 + bodySize);
+        output.set(bytes.subarray(0, 12), 0);
+        new DataView(output.buffer).setUint32(4, 4 + bodySize, true);
+
+        let offset = 12;
+        parts.forEach(part => {
+            output.set(part.data, offset);
+            offset += part.data.length;
+        });
+        return output;
+    }
+
+    /**
+     * Return the TIFF data of an EXIF chunk
+     * Some encoders prefix the payload with the JPEG-style "Exif\0\0" header
+     *
+     * @param {Uint8Array} data - EXIF chunk payload
+     * @returns {Uint8Array} TIFF data starting with "II" or "MM"
+     */
+    static stripExifHeader(data) {
+        const hasHeader = data.length > 6 &&
+            data[0] === 0x45 && data[1] === 0x78 && data[2] === 0x69 && data[3] === 0x66 &&
+            data[4] === 0 && data[5] === 0;
+        return hasHeader ? data.subarray(6) : data;
+    }
+
+    /**
+     * Read a four-character code
+     *
+     * @param {Uint8Array} bytes - File contents
+     * @param {number} offset - Position of the code
+     * @returns {string} Four-character code
+     */
+    static readFourCC(bytes, offset) {
+        return String.fromCharCode(bytes[offset], bytes[offset + 1], bytes[offset + 2], bytes[offset + 3]);
+    }
+}
@@ -0,0 +1,273 @@
+/**
+ * XmpParser - Extracts and flattens Adobe XMP packets
+ *
+ * Reads the standard and Extended XMP packets stored in JPEG APP1 segments and
+ * turns their RDF/XML into a flat list of namespaced properties, using paths such
+ * as "dc:subject", "xmpMM:History[2]/stEvt:action" or
+ * "mwg-rs:Regions/mwg-rs:RegionList[1]/mwg-rs:Name". The XML is parsed with a
+ * small built-in reader so it works without DOMParser.
+ */
+class XmpParser {
+    static STANDARD_ID = 'http://ns.adobe.com/xap/1.0/';
+    static EXTENDED_ID = 'http://ns.adobe.com/xmp/extension/';
+
+    static CONTAINERS = ['rdf:Seq', 'rdf:Bag', 'rdf:Alt'];
+
+    static ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+    /**
+     * Collect the XMP packets of a JPEG file
+     * Extended XMP is split over several APP1 segments; the pieces are put back
+     * together using their offsets and returned as a second packet.
+     *
+     * @param {Uint8Array} bytes - JPEG contents
+     * @returns {string[]} Standard packet followed by the extended packet, if any
+     */
+    static readJpegPackets(bytes) {
+        const { segments } = JpegParser.parseSegments(bytes);
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const utf8 = new TextDecoder('utf-8');
+        const extended = new Map();
+        let standard = null;
+
+        segments.filter(segment => segment.marker === 0xE1).forEach(segment => {
+            const payloadStart = segment.offset + 4;
+            const end = segment.offset + segment.length;
+
+            if (segment.identifier === XmpParser.STANDARD_ID && standard === null) {
+                standard = utf8.decode(bytes.subarray(payloadStart + XmpParser.STANDARD_ID.length + 1, end));
+            } else if (segment.identifier === XmpParser.EXTENDED_ID) {
+                // GUID (32 ASCII hex digits), full length, offset of this piece, data
+                const pos = payloadStart + XmpParser.EXTENDED_ID.length + 1;
+                if (pos + 40 > end) return;
+
+                const guid = String.fromCharCode(...bytes.subarray(pos, pos + 32));
+                const total = view.getUint32(pos + 32);
+                const offset = view.getUint32(pos + 36);
+                if (!extended.has(guid)) extended.set(guid, { total, pieces: [] });
+                extended.get(guid).pieces.push({ offset, data: bytes.subarray(pos + 40, end) });
+            }
+        });
+
+        const packets = standard === null ? [] : [standard];
+
+        // The standard packet names the extension that belongs to it
+        const guidMatch = standard && standard.match(/HasExtendedXMP\s*(?:=\s*["']|>)\s*([0-9A-Fa-f]{32})/);
+        const guid = guidMatch ? guidMatch[1] : extended.keys().next().value;
+        const extension = guid && extended.get(guid);
+        if (extension) {
+            const data = new Uint8Array(extension.total);
+            extension.pieces.forEach(piece => {
+                if (piece.offset + piece.data.length <= data.length) data.set(piece.data, piece.offset);
+            });
+            packets.push(utf8.decode(data));
+        }
+
+        return packets;
+    }
+
+    /**
+     * Parse XMP packets into namespaced properties
+     *
+     * @param {string[]} packets - XMP packets (RDF/XML)
+     * @returns {{namespaces: Object, properties: Object[]}} Namespace URIs by prefix and
+     *     the flattened properties ({ path, value }) in document order
+     * @throws {Error} If a packet is not well-formed XML
+     */
+    static parse(packets) {
+        const namespaces = {};
+        const properties = [];
+
+        packets.forEach(packet => {
+            const root = XmpParser.parseXml(packet, namespaces);
+            const rdf = XmpParser.findElement(root, 'rdf:RDF');
+            if (!rdf) return;
+
+            rdf.children
+                .filter(node => node.name === 'rdf:Description')
+                .forEach(description => XmpParser.readResource(description, '', properties));
+        });
+
+        return { namespaces, properties };
+    }
+
+    /**
+     * Read the properties of a resource (rdf:Description or structure)
+     *
+     * @param {Object} node - Element holding the properties
+     * @param {string} prefix - Path of the enclosing structure, ending in "/"
+     * @param {Object[]} properties - Output list
+     */
+    static readResource(node, prefix, properties) {
+        // Simple properties may be written as attributes
+        Object.entries(node.attributes).forEach(([name, value]) => {
+            if (!XmpParser.isSyntaxName(name)) {
+                properties.push({ path: prefix + name, value });
+            }
+        });
+
+        node.children.forEach(child => XmpParser.readProperty(child, prefix + child.name, properties));
+    }
+
+    /**
+     * Read one property element: a simple value, an array or a structure
+     *
+     * @param {Object} node - Property element
+     * @param {string} path - Property path
+     * @param {Object[]} properties - Output list
+     */
+    static readProperty(node, path, properties) {
+        if (node.attributes['rdf:resource'] !== undefined) {
+            properties.push({ path, value: node.attributes['rdf:resource'] });
+            return;
+        }
+
+        const container = node.children.find(child => XmpParser.CONTAINERS.includes(child.name));
+        if (container) {
+            const items = container.children.filter(child => child.name === 'rdf:li');
+
+            if (container.name === 'rdf:Alt') {
+                // Language alternatives: the default first, others tagged with their language
+                items.forEach(item => {
+                    const lang = item.attributes['xml:lang'];
+                    const itemPath = lang && lang !== 'x-default' ? `${path} [${lang}]` : path;
+                    XmpParser.readItem(item, itemPath, properties);
+                });
+            } else if (items.every(item => !XmpParser.isStructure(item))) {
+                properties.push({ path, value: items.map(item => item.text.trim()).join(', ') });
+            } else {
+                items.forEach((item, i) => XmpParser.readItem(item, `${path}[${i + 1}]`, properties));
+            }
+            return;
+        }
+
+        if (XmpParser.isStructure(node)) {
+            const description = node.children.find(child => child.name === 'rdf:Description');
+            XmpParser.readResource(description || node, `${path}/`, properties);
+            return;
+        }
+
+        properties.push({ path, value: node.text.trim() });
+    }
+
+    /**
+     * Read one array item, which is either a simple value or a structure
+     *
+     * @param {Object} item - rdf:li element
+     * @param {string} path - Item path
+     * @param {Object[]} properties - Output list
+     */
+    static readItem(item, path, properties) {
+        if (XmpParser.isStructure(item)) {
+            const description = item.children.find(child => child.name === 'rdf:Description');
+            XmpParser.readResource(description || item, `${path}/`, properties);
+        } else {
+            properties.push({ path, value: item.text.trim() });
+        }
+    }
+
+    /**
+     * Check whether an element holds a structure rather than a simple value
+     *
+     * @param {Object} node - Element to check
+     * @returns {boolean} True if it has child elements or property attributes
+     */
+    static isStructure(node) {
+        return node.children.length > 0 ||
+            node.attributes['rdf:parseType'] === 'Resource' ||
+            Object.keys(node.attributes).some(name => !XmpParser.isSyntaxName(name));
+    }
+
+    /**
+     * Check whether an attribute belongs to the RDF/XML syntax rather than the data
+     *
+     * @param {string} name - Qualified attribute name
+     * @returns {boolean} True for xmlns, rdf: and xml: attributes
+     */
+    static isSyntaxName(name) {
+        return name === 'xmlns' || name.startsWith('xmlns:') || name.startsWith('rdf:') || name.startsWith('xml:');
+    }
+
+    /**
+     * Find the first element with a given name (depth first)
+     *
+     * @param {Object} node - Element to search from
+     * @param {string} name - Qualified element name
+     * @returns {Object|null} Matching element
+     */
+    static findElement(node, name) {
+        if (node.name === name) return node;
+        for (const child of node.children) {
+            const found = XmpParser.findElement(child, name);
+            if (found) return found;
+        }
+        return null;
+    }
+
+    /**
+     * Parse an XML document into a simple element tree
+     * Comments, processing instructions (including the xpacket wrapper) and
+     * doctype declarations are skipped.
+     *
+     * @param {string} xml - XML text
+     * @param {Object} namespaces - Receives every xmlns declaration, by prefix
+     * @returns {Object} Document node ({ name, attributes, children, text })
+     * @throws {Error} If elements are not properly nested
+     */
+    static parseXml(xml, namespaces = {}) {
+        const tokenPattern = /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<!\[CDATA\[([\s\S]*?)\]\]>|<\/([^\s>]+)\s*>|<([^\s/>]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g;
+        const attributePattern = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+        const documentNode = { name: '#document', attributes: {}, children: [], text: '' };
+        const stack = [documentNode];
+        let match;
+
+        while ((match = tokenPattern.exec(xml)) !== null) {
+            const [, cdata, closeName, openName, attributeText, selfClosing, text] = match;
+            const current = stack[stack.length - 1];
+
+            if (cdata !== undefined) {
+                current.text += cdata;
+            } else if (text !== undefined) {
+                current.text += XmpParser.decodeEntities(text);
+            } else if (closeName !== undefined) {
+                if (closeName !== current.name) {
+                    throw new Error(`Malformed XMP: unexpected </${closeName}>`);
+                }
+                stack.pop();
+            } else if (openName !== undefined) {
+                const element = { name: openName, attributes: {}, children: [], text: '' };
+                let attribute;
+                while ((attribute = attributePattern.exec(attributeText)) !== null) {
+                    const value = XmpParser.decodeEntities(attribute[2] !== undefined ? attribute[2] : attribute[3]);
+                    element.attributes[attribute[1]] = value;
+                    if (attribute[1].startsWith('xmlns:')) {
+                        namespaces[attribute[1].slice(6)] = value;
+                    }
+                }
+
+                current.children.push(element);
+                if (!selfClosing) stack.push(element);
+            }
+        }
+
+        if (stack.length > 1) {
+            throw new Error(`Malformed XMP: <${stack[stack.length - 1].name}> is not closed`);
+        }
+
+        return documentNode;
+    }
+
+    /**
+     * Replace XML character and entity references
+     *
+     * @param {string} text - Raw text
+     * @returns {string} Decoded text
+     */
+    static decodeEntities(text) {
+        return text.replace(/&(#x[0-9a-fA-F]+|#[0-9]+|[a-z]+);/g, (entity, code) => {
+            if (code.startsWith('#x')) return String.fromCodePoint(parseInt(code.slice(2), 16));
+            if (code.startsWith('#')) return String.fromCodePoint(parseInt(code.slice(1), 10));
+            return XmpParser.ENTITIES[code] ?? entity;
+        });
+    }
+}
@@ -0,0 +1,180 @@
+/**
+ * ZipWriter - Builds ZIP archives in the browser
+ *
+ * Files are stored without compression (method 0). Cleaned JPEG and PNG images
+ * are already compressed, so deflating them again would only cost time.
+ * The archive is assembled in memory and returned as a Blob for download.
+ */
+class ZipWriter {
+    // Lazily built CRC-32 lookup table shared by all instances
+    static CRC_TABLE = null;
+
+    /**
+     * Initialize an empty archive
+     */
+    constructor() {
+        this.entries = [];              // Stored entries: { name, data, crc, date, offset }
+        this.usedNames = new Set();     // Names already present in the archive
+        this.encoder = new TextEncoder();
+    }
+
+    /**
+     * Add a file to the archive
+     * Duplicate names get a numeric suffix so no entry overwrites another on extraction
+     *
+     * @param {string} name - Path of the file inside the archive
+     * @param {Uint8Array} data - File contents
+     * @param {Date} date - Modification date stored in the entry
+     * @returns {string} The name actually used for the entry
+     */
+    addFile(name, data, date = new Date()) {
+        const uniqueName = this.getUniqueName(name);
+        this.usedNames.add(uniqueName);
+        this.entries.push({
+            name: this.encoder.encode(uniqueName),
+            data,
+            crc: ZipWriter.crc32(data),
+            date
+        });
+        return uniqueName;
+    }
+
+    /**
+     * Generate the final archive
+     *
+     * @returns {Blob} ZIP archive with MIME type application/zip
+     */
+    toBlob() {
+        const parts = [];
+        const centralDirectory = [];
+        let offset = 0;
+
+        this.entries.forEach(entry => {
+            const { time, day } = ZipWriter.toDosDateTime(entry.date);
+
+            // Local file header followed by the raw file data
+            const header = new DataView(new ArrayBuffer(30));
+            header.setUint32(0, 0x04034b50, true);
+            header.setUint16(4, 20, true);                  // Version needed to extract
+            header.setUint16(6, 0x0800, true);              // UTF-8 file names
+            header.setUint16(8, 0, true);                   // Stored (no compression)
+            header.setUint16(10, time, true);
+            header.setUint16(12, day, true);
+            header.setUint32(14, entry.crc, true);
+            header.setUint32(18, entry.data.length, true);  // Compressed size
+            header.setUint32(22, entry.data.length, true);  // Uncompressed size
+            header.setUint16(26, entry.name.length, true);
+            header.setUint16(28, 0, true);                  // Extra field length
+
+            parts.push(header, entry.name, entry.data);
+
+            // Matching central directory record
+            const record = new DataView(new ArrayBuffer(46));
+            record.setUint32(0, 0x02014b50, true);
+            record.setUint16(4, 20, true);                  // Version made by
+            record.setUint16(6, 20, true);                  // Version needed to extract
+            record.setUint16(8, 0x0800, true);
+            record.setUint16(10, 0, true);
+            record.setUint16(12, time, true);
+            record.setUint16(14, day, true);
+            record.setUint32(16, entry.crc, true);
+            record.setUint32(20, entry.data.length, true);
+            record.setUint32(24, entry.data.length, true);
+            record.setUint16(28, entry.name.length, true);
+            record.setUint32(42, offset, true);             // Offset of local header
+
+            centralDirectory.push(record, entry.name);
+            offset += 30 + entry.name.length + entry.data.length;
+        });
+
+        const directorySize = centralDirectory.reduce((size, part) => size + part.byteLength, 0);
+
+        // End of central directory record
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);
+        end.setUint16(8, this.entries.length, true);
+        end.setUint16(10, this.entries.length, true);
+        end.setUint32(12, directorySize, true);
+        end.setUint32(16, offset, true);
+
+        return new Blob([...parts, ...centralDirectory, end], { type: 'application/zip' });
+    }
+
+    /**
+     * Return a name that is not yet used in the archive
+     *
+     * @param {string} name - Requested entry name
+     * @returns {string} Name with a " (n)" suffix added if needed
+     * @example
+     * getUniqueName('photo.jpg') // "photo (2).jpg" when "photo.jpg" already exists
+     */
+    getUniqueName(name) {
+        return ZipWriter.numberName(name, this.usedNames);
+    }
+
+    /**
+     * Number a name until it is not among the used names
+     * Shared with the command line tool, which numbers the files it writes the same way.
+     * The suffix goes before the extension of the last path segment
+     *
+     * @param {string} name - Requested name or path, with "/" between folders
+     * @param {Set<string>} usedNames - Names taken so far (left unchanged)
+     * @returns {string} Name with a " (n)" suffix added if needed
+     * @example
+     * ZipWriter.numberName('photos/a.jpg', new Set(['photos/a.jpg'])) // "photos/a (2).jpg"
+     */
+    static numberName(name, usedNames) {
+        if (!usedNames.has(name)) return name;
+
+        const dot = name.lastIndexOf('.');
+        const hasExtension = dot > name.lastIndexOf('/') + 1;
+        const base = hasExtension ? name.slice(0, dot) : name;
+        const extension = hasExtension ? name.slice(dot) : '';
+
+        let counter = 2;
+        while (usedNames.has(`${base} (${counter})${extension}`)) {
+            counter++;
+        }
+        return `${base} (${counter})${extension}`;
+    }
+
+    /**
+     * Calculate the CRC-32 checksum required by the ZIP format
+     *
+     * @param {Uint8Array} data - Bytes to checksum
+     * @returns {number} Unsigned 32-bit CRC
+     */
+    static crc32(data) {
+        if (!ZipWriter.CRC_TABLE) {
+            ZipWriter.CRC_TABLE = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+                }
+                ZipWriter.CRC_TABLE[n] = c >>> 0;
+            }
+        }
+
+        let crc = 0xffffffff;
+        for (let i = 0; i < data.length; i++) {
+            crc = ZipWriter.CRC_TABLE[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xffffffff) >>> 0;
+    }
+
+    /**
+     * Convert a JavaScript date to the MS-DOS time and date fields used by ZIP
+     * DOS dates start in 1980, so earlier dates are clamped
+     *
+     * @param {Date} date - Date to convert
+     * @returns {{time: number, day: number}} Packed DOS time and date
+     */
+    static toDosDateTime(date) {
+        const year = Math.max(date.getFullYear(), 1980);
+        return {
+            time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+            day: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+        };
+    }
+}